@@ -12,6 +12,7 @@ import ProtectedRoute from "./components/ProtectedRoute.jsx";
 import PublicRoute from "./components/PublicRoute.jsx";
 import CustomerLayout from "./components/CustomerLayout.jsx";
 import AdminLayout from "./components/AdminLayout.jsx";
+import ImpersonationBanner from "./components/ImpersonationBanner.jsx";
 import OrderManagerLayout from "./components/OrderManagerLayout.jsx";
 
 // --- Page Components ---
@@ -21,6 +22,7 @@ import HomePage from "./components/HomePage.jsx";
 import Profile from "./pages/Profile.jsx";
 import EditAccount from "./pages/EditAccount.jsx";
 import ForgotPassword from "./pages/ForgotPassword.jsx";
+import AcceptInvite from "./pages/AcceptInvite.jsx";
 import UserManagement from "./pages/UserManagement.jsx";
 import AllPayments from "./pages/Allpayments.jsx";
 import Inventorys from "./pages/Inventory.jsx";
@@ -51,6 +53,14 @@ import ManagerDashboard from "./pages/ManagerDashboard.jsx";
 import ListOrders from "./pages/OrderManager/ListOrders.jsx";
 import ListProducts from "./pages/OrderManager/ListProducts.jsx";
 import AddProducts from "./pages/OrderManager/AddProduct.jsx";
+import Promotions from "./pages/OrderManager/Promotions.jsx";
+import PurchaseOrders from "./pages/OrderManager/PurchaseOrders.jsx";
+import Suppliers from "./pages/OrderManager/Suppliers.jsx";
+import Reviews from "./pages/OrderManager/Reviews.jsx";
+import DeliveryRuns from "./pages/OrderManager/DeliveryRuns.jsx";
+import ShippingZones from "./pages/OrderManager/ShippingZones.jsx";
+import TaxSummary from "./pages/OrderManager/TaxSummary.jsx";
+import TaxRates from "./pages/TaxRates.jsx";
 // Removed CartPending page; cart pending now shown in orders list
 // Add other Order Manager page imports here
 
@@ -73,6 +83,7 @@ import MyRequestsPage from "./pages/MyRequestsPage";
 import CustomerDashboard from "./pages/CustomerDashboard";
 import ServiceManagerDashboard from "./pages/ServiceManagerDashboard";
 import TechnicianDashboard from "./pages/TechnicianDashboard";
+import DeliveryRunSheet from "./pages/DeliveryRunSheet";
 import Dashboard from "./pages/Dashboard";
 import SimpleDashboard from "./pages/SimpleDashboard";
 import AboutUs from "./pages/AboutUs";
@@ -91,6 +102,9 @@ import GroundBooking from "./pages/GroundBooking.jsx";
 import MyBookings from "./pages/MyBookings.jsx";
 import AdminGroundBooking from "./pages/AdminGround/GroundBooking.jsx";
 import GroundsManage from "./pages/AdminGround/GroundsManage.jsx";
+import PermissionMatrix from "./pages/PermissionMatrix.jsx";
+import AuditLogs from "./pages/AuditLogs.jsx";
+import MyPlayers from "./pages/MyPlayers.jsx";
 
 // Wrapper to pass URL param
 function CustomerDashboardWrapper() {
@@ -101,12 +115,14 @@ function CustomerDashboardWrapper() {
 export default function App() {
   return (
     <Router>
+      <ImpersonationBanner />
       <Routes>
         {/* --- Public Routes --- */}
         <Route element={<PublicRoute />}>
           <Route path="/login" element={<Login />} />
           <Route path="/signup" element={<SignUpMultiStep />} />
           <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/accept-invite" element={<AcceptInvite />} />
         </Route>
         {/* --- E-commerce Public Routes --- */}
         <Route path="/" element={<Home />} />
@@ -138,6 +154,7 @@ export default function App() {
             <Route path="edit-account" element={<EditAccount />} />
             <Route path="my-orders" element={<MyOrders />} />
             <Route path="my-booking" element={<MyBookings />} />
+            <Route path="my-players" element={<MyPlayers />} />
             <Route path="notifications" element={<Notifications />} />
           </Route>
         </Route>
@@ -155,6 +172,10 @@ export default function App() {
         <Route element={<ProtectedRoute allowedRoles={["technician"]} />}>
           <Route path="/technician" element={<TechnicianDashboard />} />
         </Route>
+        {/* --- 🚚 DELIVERY STAFF ROUTES --- */}
+        <Route element={<ProtectedRoute allowedRoles={["delivery_staff"]} />}>
+          <Route path="/deliveries" element={<DeliveryRunSheet />} />
+        </Route>
         {/* --- 🛠️ SERVICE MANAGER ROUTES --- */}
         <Route element={<ProtectedRoute allowedRoles={["service_manager"]} />}>
           <Route path="/service-dashboard" element={<Dashboard />} />
@@ -203,11 +224,20 @@ export default function App() {
           <Route path="payments" element={<AllPayments />} />
           <Route path="payroll" element={<PayrollManagement />} />
           <Route path="inventory" element={<Inventorys />} />
+          <Route path="purchase-orders" element={<PurchaseOrders />} />
+          <Route path="suppliers" element={<Suppliers />} />
+          <Route path="reviews" element={<Reviews />} />
+          <Route path="delivery-runs" element={<DeliveryRuns />} />
+          <Route path="shipping-zones" element={<ShippingZones />} />
+          <Route path="tax-rates" element={<TaxRates />} />
+          <Route path="tax-summary" element={<TaxSummary />} />
           <Route path="profile" element={<Profile />} />
           <Route path="edit-account" element={<EditAccount />} />
           <Route path="orders" element={<ListOrders />} />
           <Route path="ground-booking" element={<AdminGroundBooking />} />
           <Route path="grounds" element={<GroundsManage />} />
+          <Route path="permissions" element={<PermissionMatrix />} />
+          <Route path="audit-logs" element={<AuditLogs />} />
         </Route>
 
 
@@ -220,6 +250,13 @@ export default function App() {
             <Route path="orders" element={<ListOrders />} />
             <Route path="products" element={<ListProducts />} />
             <Route path="add_product" element={<AddProducts />} />
+            <Route path="promotions" element={<Promotions />} />
+            <Route path="purchase-orders" element={<PurchaseOrders />} />
+            <Route path="suppliers" element={<Suppliers />} />
+            <Route path="reviews" element={<Reviews />} />
+            <Route path="delivery-runs" element={<DeliveryRuns />} />
+            <Route path="shipping-zones" element={<ShippingZones />} />
+            <Route path="tax-summary" element={<TaxSummary />} />
             {/* You can add more routes for the order manager here */}
           </Route>
         </Route>
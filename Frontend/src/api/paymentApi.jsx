@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { setupAuthInterceptors } from '../utils/authSession';
 
 const API_BASE_URL = 'http://localhost:5000/api';
 
@@ -30,6 +31,9 @@ api.interceptors.request.use(
   }
 );
 
+// This instance does not inherit the global interceptors, so register them here too
+setupAuthInterceptors(api);
+
 // Payment API functions
 export const paymentApi = {
   // Get all payments with filtering and pagination
@@ -80,6 +80,11 @@ export const sendEstimate = (requestId, estimateData) => {
   return axios.post(`${BASE_URL}/${requestId}/estimate`, estimateData);
 };
 
+// Record that the customer paid for the repair; a tax invoice is issued for it
+export const recordRepairPayment = (requestId) => {
+  return axios.post(`${BASE_URL}/${requestId}/payment`);
+};
+
 // Submit customer feedback
 export const submitFeedback = (requestId, feedbackData) => {
   return axios.post(`${BASE_URL}/${requestId}/feedback`, feedbackData);
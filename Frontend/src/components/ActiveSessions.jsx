@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+
+const DeviceIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-gray-500" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" /></svg>;
+
+// Lists the devices the user is logged in on and lets them log any of them out
+export default function ActiveSessions() {
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const navigate = useNavigate();
+
+    const getConfig = () => {
+        const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+        return { headers: { Authorization: `Bearer ${userInfo?.token}` } };
+    };
+
+    const fetchSessions = async () => {
+        try {
+            const { data } = await axios.get('http://localhost:5000/api/auth/sessions', getConfig());
+            setSessions(data);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load active devices.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => { fetchSessions(); }, []);
+
+    const handleLogoutDevice = async (session) => {
+        if (!window.confirm(`Log out ${session.deviceName || 'this device'}?`)) return;
+        try {
+            await axios.delete(`http://localhost:5000/api/auth/sessions/${session._id}`, getConfig());
+            if (session.isCurrent) {
+                localStorage.removeItem('userInfo');
+                navigate('/login');
+                return;
+            }
+            fetchSessions();
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to log out device.');
+        }
+    };
+
+    const handleLogoutAll = async () => {
+        if (!window.confirm('Log out from all devices, including this one?')) return;
+        try {
+            await axios.post('http://localhost:5000/api/auth/logout-all', {}, getConfig());
+        } catch (err) {
+            console.error('Logout all failed:', err);
+        } finally {
+            localStorage.removeItem('userInfo');
+            navigate('/login');
+        }
+    };
+
+    return (
+        <div className="bg-surface rounded-2xl shadow-lg p-8 mt-8">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold text-primary">Active Devices</h2>
+                <button onClick={handleLogoutAll} className="px-4 py-2 text-sm font-medium text-red-600 bg-red-100 rounded-lg hover:bg-red-200">
+                    Log out all devices
+                </button>
+            </div>
+
+            {loading && <p className="text-text-body">Loading devices...</p>}
+            {error && <p className="text-red-600">{error}</p>}
+
+            <ul className="divide-y divide-gray-200">
+                {sessions.map(session => (
+                    <li key={session._id} className="py-3 flex items-center justify-between">
+                        <div className="flex items-center space-x-3">
+                            <DeviceIcon />
+                            <div>
+                                <p className="font-medium text-gray-800">
+                                    {session.deviceName || 'Unknown device'}
+                                    {session.isCurrent && <span className="ml-2 text-xs px-2 py-0.5 bg-green-100 text-green-800 rounded-full">This device</span>}
+                                </p>
+                                <p className="text-xs text-gray-500">
+                                    {session.ipAddress || 'Unknown IP'} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+                                </p>
+                            </div>
+                        </div>
+                        <button onClick={() => handleLogoutDevice(session)} className="px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded hover:bg-gray-200">
+                            Log out
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { MapPin, Pencil, Trash2, Star } from 'lucide-react';
+import { DISTRICTS, EMPTY_ADDRESS, formatAddress } from '../utils/addresses';
+
+const API = 'http://localhost:5000/api/addresses';
+
+// The customer's saved delivery addresses. Pass onSelect to let them pick one (at checkout);
+// the default address is picked to start with.
+const AddressBook = ({ selectedId, onSelect, suggestedLine1 = '' }) => {
+  const [addresses, setAddresses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_ADDRESS);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({});
+
+  const fetchAddresses = async () => {
+    try {
+      const { data } = await axios.get(API);
+      setAddresses(data);
+      if (onSelect && !data.some(address => address._id === selectedId)) {
+        onSelect(data.find(address => address.isDefault) || data[0] || null);
+      }
+    } catch (err) {
+      console.error('Error fetching addresses:', err);
+      setMessage({ type: 'error', text: 'Failed to load your addresses.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchAddresses();
+  }, []);
+
+  const startAdding = () => {
+    setEditing('new');
+    // The old single address field of the profile is a good start for the first entry
+    setForm({ ...EMPTY_ADDRESS, line1: addresses.length === 0 ? suggestedLine1 : '' });
+  };
+
+  const startEditing = (address) => {
+    setEditing(address._id);
+    setForm({ ...EMPTY_ADDRESS, ...Object.fromEntries(Object.keys(EMPTY_ADDRESS).map(field => [field, address[field] || ''])) });
+  };
+
+  const handleChange = (e) => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const { data } = editing === 'new'
+        ? await axios.post(API, form)
+        : await axios.put(`${API}/${editing}`, form);
+      setEditing(null);
+      setMessage({ type: 'success', text: 'Address saved.' });
+      if (onSelect) onSelect(data);
+      fetchAddresses();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error saving address.' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const makeDefault = async (address) => {
+    try {
+      await axios.put(`${API}/${address._id}/default`);
+      fetchAddresses();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error updating address.' });
+    }
+  };
+
+  const removeAddress = async (address) => {
+    if (!window.confirm(`Remove ${address.label || formatAddress(address)}?`)) return;
+    try {
+      await axios.delete(`${API}/${address._id}`);
+      if (onSelect && address._id === selectedId) onSelect(null);
+      fetchAddresses();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error removing address.' });
+    }
+  };
+
+  const inputClass = 'w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-900 focus:border-blue-900';
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-[#072679] flex items-center gap-2">
+          <MapPin className="w-5 h-5" /> {onSelect ? 'Deliver To' : 'My Addresses'}
+        </h2>
+        {!editing && (
+          <button onClick={startAdding} className="text-sm text-[#42ADF5] hover:underline">+ Add address</button>
+        )}
+      </div>
+
+      {message.text && (
+        <div className={`p-3 mb-4 rounded-lg ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>{message.text}</div>
+      )}
+
+      {editing ? (
+        <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+          <input name="label" value={form.label} onChange={handleChange} placeholder="Label, e.g. Home or Office" className={inputClass} />
+          <input name="recipientName" value={form.recipientName} onChange={handleChange} placeholder="Recipient name (optional)" className={inputClass} />
+          <input name="line1" value={form.line1} onChange={handleChange} placeholder="Street address" required className={`${inputClass} md:col-span-2`} />
+          <input name="line2" value={form.line2} onChange={handleChange} placeholder="Apartment, building, area (optional)" className={`${inputClass} md:col-span-2`} />
+          <input name="city" value={form.city} onChange={handleChange} placeholder="City" required className={inputClass} />
+          <select name="district" value={form.district} onChange={handleChange} required className={inputClass}>
+            <option value="">District</option>
+            {DISTRICTS.map(district => <option key={district} value={district}>{district}</option>)}
+          </select>
+          <input name="postalCode" value={form.postalCode} onChange={handleChange} placeholder="Postal code" pattern="\d{5}" className={inputClass} />
+          <input name="phone" value={form.phone} onChange={handleChange} placeholder="Phone for the courier" required className={inputClass} />
+          <textarea
+            name="instructions"
+            value={form.instructions}
+            onChange={handleChange}
+            placeholder="Delivery instructions (optional), e.g. landmark or gate code"
+            maxLength={300}
+            rows="2"
+            className={`${inputClass} md:col-span-2`}
+          />
+          <div className="flex gap-3 md:col-span-2">
+            <button type="submit" disabled={saving} className="bg-blue-900 text-white px-5 py-2 rounded-lg hover:bg-blue-800 disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save address'}
+            </button>
+            <button type="button" onClick={() => setEditing(null)} className="bg-gray-200 text-gray-700 px-5 py-2 rounded-lg hover:bg-gray-300">
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : loading ? (
+        <p className="text-gray-500">Loading...</p>
+      ) : addresses.length === 0 ? (
+        <p className="text-gray-500">No saved addresses yet. Add one to use it at checkout.</p>
+      ) : (
+        <div className="space-y-3">
+          {addresses.map(address => (
+            <div
+              key={address._id}
+              className={`border rounded-lg p-3 text-sm ${onSelect && address._id === selectedId ? 'border-blue-900 bg-blue-50' : 'border-gray-200'}`}
+            >
+              <div className="flex justify-between gap-3">
+                <label className={`flex gap-3 ${onSelect ? 'cursor-pointer' : ''}`}>
+                  {onSelect && (
+                    <input
+                      type="radio"
+                      name="deliveryAddress"
+                      checked={address._id === selectedId}
+                      onChange={() => onSelect(address)}
+                      className="mt-1"
+                    />
+                  )}
+                  <span>
+                    <span className="font-semibold text-gray-900">
+                      {address.label || 'Address'}
+                      {address.isDefault && <span className="ml-2 text-xs font-medium text-green-700">Default</span>}
+                    </span>
+                    <span className="block">{address.recipientName && `${address.recipientName}, `}{formatAddress(address)}</span>
+                    <span className="block text-gray-500">{address.phone}{address.instructions && ` · ${address.instructions}`}</span>
+                  </span>
+                </label>
+                <div className="flex items-start gap-2">
+                  {!address.isDefault && (
+                    <button onClick={() => makeDefault(address)} className="p-1 text-gray-500 hover:text-yellow-600" title="Make default" aria-label="Make default">
+                      <Star className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button onClick={() => startEditing(address)} className="p-1 text-gray-500 hover:text-blue-900" title="Edit" aria-label="Edit address">
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => removeAddress(address)} className="p-1 text-gray-500 hover:text-red-600" title="Remove" aria-label="Remove address">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddressBook;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Outlet, Link, useNavigate, useLocation } from 'react-router-dom';
+import { logoutUser } from '../utils/authSession';
 
 // --- A comprehensive set of icons for the Admin Panel ---
 const UserCircleIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M5.121 17.804A13.937 13.937 0 0112 16c2.5 0 4.847.655 6.879 1.804M15 10a3 3 0 11-6 0 3 3 0 016 0z" /></svg>;
@@ -13,6 +14,10 @@ const WrenchIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5
 const ChatAlt2Icon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M17 8h2a2 2 0 012 2v6a2 2 0 01-2 2h-2v4l-4-4H9a2 2 0 01-2-2V7a2 2 0 012-2h2m8-4H5a2 2 0 00-2 2v10a2 2 0 002 2h11l4 4V4a2 2 0 00-2-2z" /></svg>;
 const PlusCircleIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M12 9v3m0 0v3m0-3h3m-3 0H9m12 0a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>;
 const LogoutIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" /></svg>;
+const ShieldIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" /></svg>;
+const ClipboardIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" /></svg>;
+const StarIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" /></svg>;
+const TruckIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path d="M9 17a2 2 0 11-4 0 2 2 0 014 0zM19 17a2 2 0 11-4 0 2 2 0 014 0z" /><path strokeLinecap="round" strokeLinejoin="round" d="M13 16V6a1 1 0 00-1-1H4a1 1 0 00-1 1v10a1 1 0 001 1h1m8-1a1 1 0 01-1 1H9m4-1V8a1 1 0 011-1h2.586a1 1 0 01.707.293l3.414 3.414a1 1 0 01.293.707V16a1 1 0 01-1 1h-1m-6-1a1 1 0 001 1h1M5 17a2 2 0 104 0m-4 0a2 2 0 114 0m6 0a2 2 0 104 0m-4 0a2 2 0 114 0" /></svg>;
 const PayrollIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>;
 
 export default function AdminLayout() {
@@ -28,9 +33,9 @@ export default function AdminLayout() {
         }
     }, []);
 
-    const handleLogout = () => {
+    const handleLogout = async () => {
         if (window.confirm('Are you sure you want to logout?')) {
-            localStorage.removeItem('userInfo');
+            await logoutUser();
             navigate('/login');
         }
     };
@@ -68,6 +73,12 @@ export default function AdminLayout() {
                         <Link to="/admin/users" className={`flex items-center px-4 py-2 rounded-lg font-medium transition-colors ${isActive('/admin/users') ? 'bg-secondary text-white' : 'text-text-body hover:bg-gray-100'}`}>
                             <UserGroupIcon /> All Users
                         </Link>
+                        <Link to="/admin/permissions" className={`flex items-center px-4 py-2 rounded-lg font-medium transition-colors ${isActive('/admin/permissions') ? 'bg-secondary text-white' : 'text-text-body hover:bg-gray-100'}`}>
+                            <ShieldIcon /> Roles & Permissions
+                        </Link>
+                        <Link to="/admin/audit-logs" className={`flex items-center px-4 py-2 rounded-lg font-medium transition-colors ${isActive('/admin/audit-logs') ? 'bg-secondary text-white' : 'text-text-body hover:bg-gray-100'}`}>
+                            <ClipboardIcon /> Audit Log
+                        </Link>
                         <a href="/admin/payments" className="flex items-center px-4 py-2 rounded-lg font-medium text-text-body hover:bg-gray-100">
                             <CreditCardIcon /> All Payments
                         </a>
@@ -77,6 +88,27 @@ export default function AdminLayout() {
                         <a href="/admin/inventory" className="flex items-center px-4 py-2 rounded-lg font-medium text-text-body hover:bg-gray-100">
                             <PlusCircleIcon /> Inventory
                         </a>
+                        <Link to="/admin/purchase-orders" className={`flex items-center px-4 py-2 rounded-lg font-medium transition-colors ${isActive('/admin/purchase-orders') ? 'bg-secondary text-white' : 'text-text-body hover:bg-gray-100'}`}>
+                            <ClipboardIcon /> Purchase Orders
+                        </Link>
+                        <Link to="/admin/suppliers" className={`flex items-center px-4 py-2 rounded-lg font-medium transition-colors ${isActive('/admin/suppliers') ? 'bg-secondary text-white' : 'text-text-body hover:bg-gray-100'}`}>
+                            <UserGroupIcon /> Suppliers
+                        </Link>
+                        <Link to="/admin/reviews" className={`flex items-center px-4 py-2 rounded-lg font-medium transition-colors ${isActive('/admin/reviews') ? 'bg-secondary text-white' : 'text-text-body hover:bg-gray-100'}`}>
+                            <StarIcon /> Product Reviews
+                        </Link>
+                        <Link to="/admin/delivery-runs" className={`flex items-center px-4 py-2 rounded-lg font-medium transition-colors ${isActive('/admin/delivery-runs') ? 'bg-secondary text-white' : 'text-text-body hover:bg-gray-100'}`}>
+                            <TruckIcon /> Delivery Runs
+                        </Link>
+                        <Link to="/admin/shipping-zones" className={`flex items-center px-4 py-2 rounded-lg font-medium transition-colors ${isActive('/admin/shipping-zones') ? 'bg-secondary text-white' : 'text-text-body hover:bg-gray-100'}`}>
+                            <GlobeIcon /> Shipping Zones
+                        </Link>
+                        <Link to="/admin/tax-rates" className={`flex items-center px-4 py-2 rounded-lg font-medium transition-colors ${isActive('/admin/tax-rates') ? 'bg-secondary text-white' : 'text-text-body hover:bg-gray-100'}`}>
+                            <PayrollIcon /> Tax Rates
+                        </Link>
+                        <Link to="/admin/tax-summary" className={`flex items-center px-4 py-2 rounded-lg font-medium transition-colors ${isActive('/admin/tax-summary') ? 'bg-secondary text-white' : 'text-text-body hover:bg-gray-100'}`}>
+                            <ClipboardIcon /> Tax Summary
+                        </Link>
                         <a href="/admin/orders" className="flex items-center px-4 py-2 rounded-lg font-medium text-text-body hover:bg-gray-100">
                             <ShoppingBagIcon /> Orders
                         </a>
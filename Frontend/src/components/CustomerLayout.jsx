@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { Outlet, Link, useNavigate } from "react-router-dom";
+import { authFetch, logoutUser } from "../utils/authSession";
 
 // Icon Components
 const UserCircleIcon = () => (
@@ -104,6 +105,23 @@ const CalendarIcon = () => (
     </svg>
 );
 
+const UsersIcon = () => (
+    <svg
+        xmlns="http://www.w3.org/2000/svg"
+        className="w-5 h-5 mr-3"
+        fill="none"
+        viewBox="0 0 24 24"
+        stroke="currentColor"
+        strokeWidth={2}
+    >
+        <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z"
+        />
+    </svg>
+);
+
 export default function CustomerLayout() {
     const [showSidebar, setShowSidebar] = useState(false);
     const [userInfo, setUserInfo] = useState(null);
@@ -126,7 +144,7 @@ export default function CustomerLayout() {
             const userId = userInfo?._id;
 
             if (userId) {
-                const response = await fetch("/api/notifications/stats", {
+                const response = await authFetch("/api/notifications/stats", {
                     headers: {
                         Authorization: `Bearer ${userInfo.token}`,
                         "user-id": userId,
@@ -143,9 +161,9 @@ export default function CustomerLayout() {
         }
     };
 
-    const handleLogout = () => {
+    const handleLogout = async () => {
         if (window.confirm("Are you sure you want to logout?")) {
-            localStorage.removeItem("userInfo");
+            await logoutUser();
             navigate("/login");
         }
     };
@@ -211,6 +229,12 @@ export default function CustomerLayout() {
                         >
                             <CalendarIcon /> My Bookings
                         </Link>
+                        <Link
+                            to="/customer/my-players"
+                            className="flex items-center px-4 py-3 font-medium transition-colors rounded-lg text-text-body hover:bg-secondary hover:text-white"
+                        >
+                            <UsersIcon /> My Players
+                        </Link>
                         <Link
                             to="/customer/notifications"
                             className="flex items-center justify-between px-4 py-3 font-medium transition-colors rounded-lg text-text-body hover:bg-secondary hover:text-white"
@@ -73,6 +73,8 @@ const Header = () => {
         navigate('/coach-dashboard');
       } else if (userInfo.role === 'coaching_manager') {
         navigate('/manager-dashboard');
+      } else if (userInfo.role === 'delivery_staff') {
+        navigate('/deliveries');
       } else {
         // Default for customer and other roles
         navigate('/customer/profile');
@@ -0,0 +1,35 @@
+import React, { useEffect, useState } from 'react';
+import { getImpersonation, stopViewingAs } from '../utils/authSession';
+
+// Shown on every page while an admin is viewing the app as another user
+export default function ImpersonationBanner() {
+    const [impersonation, setImpersonation] = useState(getImpersonation());
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        if (!impersonation) return undefined;
+        const timer = setInterval(() => {
+            setNow(Date.now());
+            setImpersonation(getImpersonation());
+        }, 30 * 1000);
+        return () => clearInterval(timer);
+    }, [impersonation]);
+
+    if (!impersonation) return null;
+
+    const minutesLeft = Math.max(0, Math.ceil((new Date(impersonation.expiresAt) - now) / 60000));
+
+    return (
+        <div className="sticky top-0 z-[100] w-full bg-yellow-400 text-gray-900 px-4 py-2 flex flex-wrap items-center justify-center gap-3 text-sm shadow">
+            <span>
+                Viewing as <strong>@{impersonation.username}</strong> ({impersonation.role.replace('_', ' ')})
+                {' · '}{impersonation.allowWrites ? 'changes are allowed' : 'read-only'}
+                {' · '}{minutesLeft > 0 ? `${minutesLeft} min left` : 'expired'}
+                {' · '}everything you do is logged
+            </span>
+            <button onClick={stopViewingAs} className="px-3 py-1 bg-gray-900 text-white rounded hover:bg-gray-700">
+                Stop viewing
+            </button>
+        </div>
+    );
+}
@@ -17,9 +17,45 @@ export default function Login() {
     const [showPassword, setShowPassword] = useState(false);
     const navigate = useNavigate();
 
+    // --- State for the two-factor step ---
+    // 'password' -> 'code' (enrolled users) or 'enroll' -> 'backupCodes' (first-time setup)
+    const [step, setStep] = useState('password');
+    const [challengeToken, setChallengeToken] = useState('');
+    const [code, setCode] = useState('');
+    const [useBackupCode, setUseBackupCode] = useState(false);
+    const [enrollment, setEnrollment] = useState(null);
+    const [backupCodes, setBackupCodes] = useState([]);
+    const [pendingLogin, setPendingLogin] = useState(null);
+
 
     const handleChange = (e) => setFormData({ ...formData, [e.target.name]: e.target.value });
 
+    // --- Save the session and send the user to their dashboard ---
+    const finishLogin = (data) => {
+        localStorage.setItem('userInfo', JSON.stringify(data));
+
+        // Correct Logic
+        if (data.role === 'admin') {
+            navigate('/admin/dashboard');
+        } else if (data.role === 'order_manager') {
+                // Redirecting to the default page we set up in App.jsx
+            navigate('/order_manager/orders'); 
+        } else if (data.role === 'technician') {
+            navigate('/technician');
+        } else if (data.role === 'service_manager') {
+            navigate('/service-dashboard');
+        } else if (data.role === 'coach') {
+            navigate('/coach-dashboard');
+        } else if (data.role === 'coaching_manager') {
+            navigate('/manager-dashboard');
+        } else if (data.role === 'delivery_staff') {
+            navigate('/deliveries');
+        } else {
+                 // Redirect customers and all other roles to home
+             navigate('/'); 
+        }
+    };
+
     // --- Main Login Submission Handler ---
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -27,27 +63,18 @@ export default function Login() {
         setError('');
         try {
             const { data } = await axios.post('http://localhost:5000/api/auth/login', formData);
-            localStorage.setItem('userInfo', JSON.stringify(data));
-            
-            // Correct Logic
-            if (data.role === 'admin') {
-                navigate('/admin/dashboard');
-            } else if (data.role === 'order_manager') {
-                    // Redirecting to the default page we set up in App.jsx
-                navigate('/order_manager/orders'); 
-            } else if (data.role === 'technician') {
-                navigate('/technician');
-            } else if (data.role === 'service_manager') {
-                navigate('/service-dashboard');
-            } else if (data.role === 'coach') {
-                navigate('/coach-dashboard');
-            } else if (data.role === 'coaching_manager') {
-                navigate('/manager-dashboard');
+
+            if (data.twoFactorRequired) {
+                setChallengeToken(data.challengeToken);
+                setStep('code');
+            } else if (data.twoFactorSetupRequired) {
+                setChallengeToken(data.challengeToken);
+                const { data: setup } = await axios.post('http://localhost:5000/api/auth/2fa/enroll/setup', { challengeToken: data.challengeToken });
+                setEnrollment(setup);
+                setStep('enroll');
             } else {
-                     // Redirect customers and all other roles to home
-                 navigate('/'); 
+                finishLogin(data);
             }
-
         } catch (err) {
             setError(err.response?.data?.message || 'Login failed.');
         } finally {
@@ -55,6 +82,50 @@ export default function Login() {
         }
     };
 
+    // The challenge token only lives a few minutes; start over when it has expired
+    const handleSecondStepError = (err) => {
+        setError(err.response?.data?.message || 'Verification failed.');
+        if (err.response?.data?.code === 'CHALLENGE_EXPIRED') {
+            setStep('password');
+            setCode('');
+        }
+    };
+
+    const handleVerifyCode = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+        try {
+            const body = useBackupCode ? { challengeToken, backupCode: code } : { challengeToken, code };
+            const { data } = await axios.post('http://localhost:5000/api/auth/2fa/verify', body);
+            if (data.backupCodesRemaining !== undefined) {
+                alert(`You used a backup code. ${data.backupCodesRemaining} backup code(s) left.`);
+            }
+            finishLogin(data);
+        } catch (err) {
+            handleSecondStepError(err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleEnable = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+        try {
+            const { data } = await axios.post('http://localhost:5000/api/auth/2fa/enroll/enable', { challengeToken, code });
+            const { backupCodes: codes, ...loginData } = data;
+            setBackupCodes(codes);
+            setPendingLogin(loginData);
+            setStep('backupCodes');
+        } catch (err) {
+            handleSecondStepError(err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
 
     return (
         <div className="min-h-screen bg-background flex items-center justify-center p-4">
@@ -64,6 +135,50 @@ export default function Login() {
                     <p className="text-text-body">Sign in to continue to CricketExpert.</p>
                 </div>
 
+                {step === 'code' && (
+                    <form onSubmit={handleVerifyCode} className="space-y-4">
+                        <p className="text-sm text-text-body text-center">
+                            {useBackupCode ? 'Enter one of your backup codes.' : 'Enter the 6-digit code from your authenticator app.'}
+                        </p>
+                        <input type="text" value={code} onChange={(e) => setCode(e.target.value)} placeholder={useBackupCode ? 'xxxx-xxxx' : '123456'} autoComplete="one-time-code" required className="w-full px-3 py-2 border border-gray-300 rounded-lg text-center tracking-widest focus:ring-1 focus:ring-secondary" />
+                        <button type="submit" disabled={loading} className="w-full bg-secondary hover:bg-secondary-hover text-white font-bold py-3 px-4 rounded-lg shadow-lg transition-colors disabled:bg-gray-400">
+                            {loading ? 'Verifying...' : 'Verify'}
+                        </button>
+                        <button type="button" onClick={() => { setUseBackupCode(!useBackupCode); setCode(''); }} className="w-full text-sm font-medium text-secondary hover:underline">
+                            {useBackupCode ? 'Use authenticator app instead' : 'Lost your device? Use a backup code'}
+                        </button>
+                    </form>
+                )}
+
+                {step === 'enroll' && enrollment && (
+                    <form onSubmit={handleEnable} className="space-y-4">
+                        <p className="text-sm text-text-body text-center">
+                            Two-factor authentication is required for your account. Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+                        </p>
+                        <img src={enrollment.qrCode} alt="Two-factor QR code" className="mx-auto w-48 h-48" />
+                        <p className="text-xs text-gray-500 text-center break-all">Can't scan? Enter this key: <span className="font-mono">{enrollment.secret}</span></p>
+                        <input type="text" value={code} onChange={(e) => setCode(e.target.value)} placeholder="123456" autoComplete="one-time-code" required className="w-full px-3 py-2 border border-gray-300 rounded-lg text-center tracking-widest focus:ring-1 focus:ring-secondary" />
+                        <button type="submit" disabled={loading} className="w-full bg-secondary hover:bg-secondary-hover text-white font-bold py-3 px-4 rounded-lg shadow-lg transition-colors disabled:bg-gray-400">
+                            {loading ? 'Enabling...' : 'Enable and Sign In'}
+                        </button>
+                    </form>
+                )}
+
+                {step === 'backupCodes' && (
+                    <div className="space-y-4">
+                        <p className="text-sm text-text-body text-center">
+                            Save these backup codes somewhere safe. Each one can be used once if you lose your device. They will not be shown again.
+                        </p>
+                        <ul className="grid grid-cols-2 gap-2 font-mono text-center bg-gray-50 p-4 rounded-lg">
+                            {backupCodes.map(c => <li key={c}>{c}</li>)}
+                        </ul>
+                        <button type="button" onClick={() => finishLogin(pendingLogin)} className="w-full bg-secondary hover:bg-secondary-hover text-white font-bold py-3 px-4 rounded-lg shadow-lg transition-colors">
+                            I've saved my codes, continue
+                        </button>
+                    </div>
+                )}
+
+                {step === 'password' && (
                 <form onSubmit={handleSubmit} className="space-y-4">
                     <div className="relative">
                         <span className="absolute inset-y-0 left-0 flex items-center pl-3"><UserIcon /></span>
@@ -83,6 +198,7 @@ export default function Login() {
                         {loading ? 'Signing In...' : 'Sign In'}
                     </button>
                 </form>
+                )}
 
                 {error && <p className="text-center text-red-600 font-medium">{error}</p>}
 
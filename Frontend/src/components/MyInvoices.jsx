@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { INVOICE_SOURCE_LABELS, downloadInvoice } from '../utils/invoices';
+
+// The signed-in user's tax invoices, one for every payment they made
+export default function MyInvoices() {
+    const [invoices, setInvoices] = useState([]);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+        axios.get('http://localhost:5000/api/invoices/mine', { headers: { Authorization: `Bearer ${userInfo?.token}` } })
+            .then(({ data }) => setInvoices(data))
+            .catch((err) => {
+                console.error('Error fetching invoices:', err);
+                setError('Failed to load your invoices.');
+            });
+    }, []);
+
+    const handleDownload = async (invoice) => {
+        try {
+            await downloadInvoice(invoice._id, invoice.invoiceNumber);
+        } catch (err) {
+            console.error('Invoice download failed:', err);
+            setError('Failed to download the invoice. Please try again.');
+        }
+    };
+
+    return (
+        <div className="bg-surface rounded-2xl shadow-lg p-8 mt-8">
+            <h2 className="text-2xl font-bold text-primary mb-4">Tax Invoices</h2>
+            {error && <p className="text-red-600 mb-2">{error}</p>}
+            {invoices.length === 0 ? (
+                <p className="text-gray-500">You have no invoices yet. One is issued for every payment you make.</p>
+            ) : (
+                <table className="w-full text-sm">
+                    <thead className="text-left text-gray-600">
+                        <tr>
+                            <th className="py-2">Invoice</th>
+                            <th className="py-2">Date</th>
+                            <th className="py-2">For</th>
+                            <th className="py-2 text-right">Tax</th>
+                            <th className="py-2 text-right">Total</th>
+                            <th className="py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {invoices.map(invoice => (
+                            <tr key={invoice._id} className="border-t">
+                                <td className="py-2 font-mono">{invoice.invoiceNumber}</td>
+                                <td className="py-2">{new Date(invoice.issuedAt).toLocaleDateString()}</td>
+                                <td className="py-2">{INVOICE_SOURCE_LABELS[invoice.source] || invoice.source}</td>
+                                <td className="py-2 text-right">LKR {invoice.tax.toFixed(2)}</td>
+                                <td className="py-2 text-right">LKR {invoice.total.toFixed(2)}</td>
+                                <td className="py-2 text-right">
+                                    <button onClick={() => handleDownload(invoice)} className="text-secondary hover:underline">Download</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
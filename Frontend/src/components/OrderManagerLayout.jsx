@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Outlet, Link, useNavigate, useLocation } from 'react-router-dom';
+import { logoutUser } from '../utils/authSession';
 
 // --- Icon Components ---
 const UserCircleIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M5.121 17.804A13.937 13.937 0 0112 16c2.5 0 4.847.655 6.879 1.804M15 10a3 3 0 11-6 0 3 3 0 016 0z" /></svg>;
@@ -8,6 +9,11 @@ const PlusIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-
 const ClipboardListIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" /></svg>;
 const ShoppingBagIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M16 11V7a4 4 0 00-8 0v4M5 9h14l1 12H4L5 9z" /></svg>;
 const ClockIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M12 8v4l3 3" /><path strokeLinecap="round" strokeLinejoin="round" d="M12 22a10 10 0 110-20 10 10 0 010 20z" /></svg>;
+const TagIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" /></svg>;
+const TruckIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path d="M9 17a2 2 0 11-4 0 2 2 0 014 0zM19 17a2 2 0 11-4 0 2 2 0 014 0z" /><path strokeLinecap="round" strokeLinejoin="round" d="M13 16V6a1 1 0 00-1-1H4a1 1 0 00-1 1v10a1 1 0 001 1h1m8-1a1 1 0 01-1 1H9m4-1V8a1 1 0 011-1h2.586a1 1 0 01.707.293l3.414 3.414a1 1 0 01.293.707V16a1 1 0 01-1 1h-1m-6-1a1 1 0 001 1h1M5 17a2 2 0 104 0m-4 0a2 2 0 114 0m6 0a2 2 0 104 0m-4 0a2 2 0 114 0" /></svg>;
+const OfficeBuildingIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" /></svg>;
+const StarIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z" /></svg>;
+const GlobeIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M3.055 11H5a2 2 0 012 2v1a2 2 0 002 2h8a2 2 0 002-2v-1a2 2 0 012-2h1.945M7.707 4.293l.586-.586a2 2 0 012.828 0l.586.586m-3.414 0l.586.586m2.242 0l.586.586M21 12a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>;
 const LogoutIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" /></svg>;
 
 
@@ -24,8 +30,8 @@ export default function OrderManagerLayout() {
         }
     }, []);
 
-    const handleLogout = () => {
-        localStorage.removeItem('userInfo');
+    const handleLogout = async () => {
+        await logoutUser();
         navigate('/login');
     };
     
@@ -70,6 +76,27 @@ export default function OrderManagerLayout() {
                          <Link to="/order_manager/orders" className={`flex items-center px-4 py-3 rounded-lg font-medium transition-colors ${isActive('/order_manager/orders') ? 'bg-[#42ADF5] text-white' : 'text-gray-700 hover:bg-gray-100'}`}>
                            <ShoppingBagIcon /> Manage Orders
                         </Link>
+                        <Link to="/order_manager/promotions" className={`flex items-center px-4 py-3 rounded-lg font-medium transition-colors ${isActive('/order_manager/promotions') ? 'bg-[#42ADF5] text-white' : 'text-gray-700 hover:bg-gray-100'}`}>
+                           <TagIcon /> Promotions
+                        </Link>
+                        <Link to="/order_manager/purchase-orders" className={`flex items-center px-4 py-3 rounded-lg font-medium transition-colors ${isActive('/order_manager/purchase-orders') ? 'bg-[#42ADF5] text-white' : 'text-gray-700 hover:bg-gray-100'}`}>
+                           <TruckIcon /> Purchase Orders
+                        </Link>
+                        <Link to="/order_manager/suppliers" className={`flex items-center px-4 py-3 rounded-lg font-medium transition-colors ${isActive('/order_manager/suppliers') ? 'bg-[#42ADF5] text-white' : 'text-gray-700 hover:bg-gray-100'}`}>
+                           <OfficeBuildingIcon /> Suppliers
+                        </Link>
+                        <Link to="/order_manager/reviews" className={`flex items-center px-4 py-3 rounded-lg font-medium transition-colors ${isActive('/order_manager/reviews') ? 'bg-[#42ADF5] text-white' : 'text-gray-700 hover:bg-gray-100'}`}>
+                           <StarIcon /> Reviews
+                        </Link>
+                        <Link to="/order_manager/delivery-runs" className={`flex items-center px-4 py-3 rounded-lg font-medium transition-colors ${isActive('/order_manager/delivery-runs') ? 'bg-[#42ADF5] text-white' : 'text-gray-700 hover:bg-gray-100'}`}>
+                           <TruckIcon /> Delivery Runs
+                        </Link>
+                        <Link to="/order_manager/shipping-zones" className={`flex items-center px-4 py-3 rounded-lg font-medium transition-colors ${isActive('/order_manager/shipping-zones') ? 'bg-[#42ADF5] text-white' : 'text-gray-700 hover:bg-gray-100'}`}>
+                           <GlobeIcon /> Shipping Zones
+                        </Link>
+                        <Link to="/order_manager/tax-summary" className={`flex items-center px-4 py-3 rounded-lg font-medium transition-colors ${isActive('/order_manager/tax-summary') ? 'bg-[#42ADF5] text-white' : 'text-gray-700 hover:bg-gray-100'}`}>
+                           <ClipboardListIcon /> Tax Summary
+                        </Link>
                         {/* Cart Pending link removed; shown within Orders */}
                     </nav>
 
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+
+const API_URL = 'http://localhost:5000/api/users/profile';
+
+// "Download my data" and self-service account erasure for customers
+export default function PersonalData() {
+    const [password, setPassword] = useState('');
+    const [confirming, setConfirming] = useState(false);
+    const [error, setError] = useState('');
+    const navigate = useNavigate();
+
+    const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+    const getConfig = () => ({ headers: { Authorization: `Bearer ${userInfo?.token}` } });
+
+    const handleDownload = async () => {
+        setError('');
+        try {
+            const { data } = await axios.get(`${API_URL}/export`, { ...getConfig(), responseType: 'blob' });
+            const url = window.URL.createObjectURL(data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `my-data-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            window.URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('Data export failed:', err);
+            setError('Failed to prepare your data. Please try again.');
+        }
+    };
+
+    const handleErase = async (e) => {
+        e.preventDefault();
+        setError('');
+        try {
+            await axios.delete(API_URL, { ...getConfig(), data: { password } });
+            localStorage.removeItem('userInfo');
+            alert('Your account has been erased.');
+            navigate('/');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to erase your account.');
+        }
+    };
+
+    return (
+        <div className="bg-surface rounded-2xl shadow-lg p-8 mt-8">
+            <h2 className="text-2xl font-bold text-primary mb-4">Your Data</h2>
+            {error && <p className="text-red-600 mb-2">{error}</p>}
+
+            <div className="flex flex-wrap gap-4 items-center">
+                <button onClick={handleDownload} className="px-4 py-2 bg-secondary text-white rounded-lg hover:bg-secondary-hover">
+                    Download my data
+                </button>
+                {userInfo?.role === 'customer' && !confirming && (
+                    <button onClick={() => setConfirming(true)} className="px-4 py-2 text-sm text-red-600 bg-red-100 rounded-lg hover:bg-red-200">
+                        Erase my account
+                    </button>
+                )}
+            </div>
+
+            {confirming && (
+                <form onSubmit={handleErase} className="mt-4 space-y-3">
+                    <p className="text-sm text-text-body">
+                        This removes your name, contact details and login, along with any junior players on your account. Orders and payments are kept for our accounts but no longer identify you. This cannot be undone.
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                        <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Current password" required className="px-3 py-2 border rounded-lg" />
+                        <button type="submit" className="px-4 py-2 text-white bg-red-600 rounded-lg hover:bg-red-700">Erase permanently</button>
+                        <button type="button" onClick={() => setConfirming(false)} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300">Cancel</button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+}
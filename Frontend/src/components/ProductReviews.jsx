@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import StarRating from './StarRating';
+import { getCurrentUserId } from '../utils/getCurrentUser';
+
+const API = 'http://localhost:5000/api/reviews';
+const EMPTY_FORM = { rating: 0, title: '', comment: '', photos: [] };
+
+// Approved reviews of a product, and a review form for customers who received it
+const ProductReviews = ({ productId }) => {
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+  const [sort, setSort] = useState('newest');
+  const [eligibility, setEligibility] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showForm, setShowForm] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [message, setMessage] = useState({});
+  const userId = getCurrentUserId();
+
+  const fetchReviews = async (page = 1) => {
+    try {
+      const { data } = await axios.get(`${API}/product/${productId}`, { params: { sort, page, limit: 5 } });
+      setReviews(data.reviews);
+      setSummary(data.summary);
+      setPagination(data.pagination);
+    } catch (err) {
+      console.error('Error fetching reviews:', err);
+    }
+  };
+
+  const fetchEligibility = async () => {
+    if (!userId) return;
+    try {
+      const { data } = await axios.get(`${API}/eligibility/${productId}`);
+      setEligibility(data);
+      if (data.review) {
+        const { rating, title = '', comment = '', photos = [] } = data.review;
+        setForm({ rating, title, comment, photos });
+      }
+    } catch (err) {
+      console.error('Error checking review eligibility:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchReviews();
+  }, [productId, sort]);
+
+  useEffect(() => {
+    fetchEligibility();
+  }, [productId, userId]);
+
+  const handlePhotoUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (form.photos.length >= 4) {
+      setMessage({ type: 'error', text: 'A review can have up to 4 photos.' });
+      return;
+    }
+    const formData = new FormData();
+    formData.append('photo', file);
+    try {
+      setUploading(true);
+      const { data } = await axios.post('http://localhost:5000/api/upload/review-photo', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      setForm(prev => ({ ...prev, photos: [...prev.photos, data.filePath] }));
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Photo upload failed.' });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.rating) {
+      setMessage({ type: 'error', text: 'Choose a star rating.' });
+      return;
+    }
+    try {
+      const existing = eligibility?.review;
+      const { data } = existing
+        ? await axios.put(`${API}/${existing._id}`, form)
+        : await axios.post(API, { ...form, productId });
+      setMessage({ type: 'success', text: data.message });
+      setShowForm(false);
+      fetchEligibility();
+      fetchReviews();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error saving your review.' });
+    }
+  };
+
+  const myReview = eligibility?.review;
+
+  return (
+    <section className="bg-white rounded-lg shadow-md p-6 mt-8">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+        <div>
+          <h2 className="text-2xl font-bold text-[#072679]">Customer reviews</h2>
+          {summary && <StarRating rating={summary.ratingAverage} count={summary.ratingCount} size={20} />}
+        </div>
+        <select
+          value={sort}
+          onChange={(e) => setSort(e.target.value)}
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        >
+          <option value="newest">Newest</option>
+          <option value="highest">Highest rated</option>
+          <option value="lowest">Lowest rated</option>
+        </select>
+      </div>
+
+      {summary?.ratingCount > 0 && (
+        <div className="mb-6 space-y-1 max-w-sm">
+          {[5, 4, 3, 2, 1].map(star => (
+            <div key={star} className="flex items-center gap-2 text-sm">
+              <span className="w-12">{star} star</span>
+              <div className="flex-1 bg-gray-200 rounded-full h-2">
+                <div
+                  className="bg-yellow-400 h-2 rounded-full"
+                  style={{ width: `${(summary.distribution[star] / summary.ratingCount) * 100}%` }}
+                />
+              </div>
+              <span className="w-8 text-right text-gray-600">{summary.distribution[star]}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {message.text && (
+        <div className={`p-3 mb-4 rounded-lg ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>{message.text}</div>
+      )}
+
+      {eligibility?.canReview && !showForm && (
+        <div className="mb-6">
+          {myReview && (
+            <p className="text-sm text-gray-600 mb-2">
+              Your review is {myReview.status === 'approved' ? 'published' : myReview.status === 'hidden' ? 'hidden by our team' : 'waiting to be checked'}.
+            </p>
+          )}
+          <button
+            onClick={() => { setShowForm(true); setMessage({}); }}
+            className="bg-[#072679] text-white px-4 py-2 rounded-lg hover:bg-[#051A5C] font-medium"
+          >
+            {myReview ? 'Edit your review' : 'Write a review'}
+          </button>
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 mb-6 space-y-3">
+          <StarRating rating={form.rating} size={24} onChange={(rating) => setForm(prev => ({ ...prev, rating }))} />
+          <input
+            value={form.title}
+            onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+            placeholder="Title"
+            maxLength={120}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2"
+          />
+          <textarea
+            value={form.comment}
+            onChange={(e) => setForm(prev => ({ ...prev, comment: e.target.value }))}
+            placeholder="What did you like or dislike?"
+            maxLength={4000}
+            rows="4"
+            className="w-full border border-gray-300 rounded-lg px-3 py-2"
+          />
+          <div className="flex flex-wrap items-center gap-3">
+            {form.photos.map(photo => (
+              <div key={photo} className="relative">
+                <img src={`http://localhost:5000${photo}`} alt="Review" className="w-20 h-20 object-cover rounded" />
+                <button
+                  type="button"
+                  onClick={() => setForm(prev => ({ ...prev, photos: prev.photos.filter(p => p !== photo) }))}
+                  className="absolute -top-2 -right-2 bg-red-600 text-white rounded-full w-5 h-5 text-xs"
+                  aria-label="Remove photo"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+            {form.photos.length < 4 && (
+              <label className="text-sm text-[#42ADF5] cursor-pointer">
+                {uploading ? 'Uploading...' : '+ Add photo'}
+                <input type="file" accept="image/*" onChange={handlePhotoUpload} className="hidden" disabled={uploading} />
+              </label>
+            )}
+          </div>
+          <div className="flex gap-3">
+            <button type="submit" className="bg-[#42ADF5] text-white px-6 py-2 rounded-lg hover:bg-[#2C8ED1] font-semibold">
+              Submit review
+            </button>
+            <button type="button" onClick={() => setShowForm(false)} className="bg-gray-200 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-300">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {reviews.length === 0 ? (
+        <p className="text-gray-500">No reviews yet.</p>
+      ) : (
+        <div className="divide-y">
+          {reviews.map(review => (
+            <div key={review._id} className="py-4">
+              <div className="flex items-center gap-3">
+                <StarRating rating={review.rating} />
+                {review.title && <span className="font-semibold text-gray-900">{review.title}</span>}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                {review.reviewer} · {new Date(review.createdAt).toLocaleDateString()}
+                {review.verifiedPurchase && <span className="ml-2 text-green-700 font-medium">Verified purchase</span>}
+              </p>
+              {review.comment && <p className="mt-2 whitespace-pre-line">{review.comment}</p>}
+              {review.photos.length > 0 && (
+                <div className="flex gap-2 mt-2">
+                  {review.photos.map(photo => (
+                    <img key={photo} src={`http://localhost:5000${photo}`} alt="Review" className="w-20 h-20 object-cover rounded" />
+                  ))}
+                </div>
+              )}
+              {review.response && (
+                <div className="mt-3 ml-4 pl-3 border-l-4 border-[#42ADF5] text-sm">
+                  <p className="font-semibold text-[#072679]">Response from the shop</p>
+                  <p className="whitespace-pre-line">{review.response.body}</p>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination.pages > 1 && (
+        <div className="flex justify-between items-center pt-4 text-sm">
+          <button
+            onClick={() => fetchReviews(pagination.page - 1)}
+            disabled={pagination.page <= 1}
+            className="px-3 py-1 bg-gray-200 rounded disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {pagination.page} of {pagination.pages}</span>
+          <button
+            onClick={() => fetchReviews(pagination.page + 1)}
+            disabled={pagination.page >= pagination.pages}
+            className="px-3 py-1 bg-gray-200 rounded disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ProductReviews;
@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { X } from 'lucide-react';
+import { RETURN_REASON_LABELS } from '../utils/orderStatus';
+import { variantLabel } from '../utils/cartLines';
+
+const API = 'http://localhost:5000/api/returns';
+
+// Form for a customer to return or exchange items from a delivered order
+const ReturnRequestModal = ({ order, onClose, onSubmitted }) => {
+  const [options, setOptions] = useState(null);
+  const [type, setType] = useState('return');
+  const [quantities, setQuantities] = useState({});
+  const [exchangeVariants, setExchangeVariants] = useState({});
+  const [reason, setReason] = useState('');
+  const [comment, setComment] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    axios.get(`${API}/order/${order._id}`)
+      .then(({ data }) => setOptions(data))
+      .catch((err) => {
+        console.error('Error fetching return options:', err);
+        setError(err.response?.data?.message || 'Could not load this order.');
+      });
+  }, [order._id]);
+
+  // The product behind a return line, as populated on the order
+  const productFor = (line) => order.items.find(item => item._id === line.orderItemId)?.productId;
+
+  // Other variants the customer could swap to: active and at the same price
+  const exchangeChoices = (line) => {
+    const product = productFor(line);
+    const variants = product?.variants || [];
+    const priceOf = (variant) => variant?.price ?? product.price;
+    const current = variants.find(variant => variant._id === line.variantId);
+    return variants.filter(variant => variant.is_active && variant._id !== line.variantId && priceOf(variant) === priceOf(current));
+  };
+
+  const handlePhotoUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const formData = new FormData();
+    formData.append('photo', file);
+    try {
+      setUploading(true);
+      const { data } = await axios.post('http://localhost:5000/api/upload/return-photo', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      setPhotos(prev => [...prev, data.filePath]);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Photo upload failed.');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const items = options.lines
+      .filter(line => Number(quantities[line.orderItemId]) > 0)
+      .map(line => ({
+        orderItemId: line.orderItemId,
+        quantity: Number(quantities[line.orderItemId]),
+        exchangeVariantId: type === 'exchange' ? exchangeVariants[line.orderItemId] || null : null
+      }));
+    if (items.length === 0) {
+      setError('Choose how many of at least one item you are sending back.');
+      return;
+    }
+    if (!reason) {
+      setError('Choose a reason.');
+      return;
+    }
+    try {
+      setSubmitting(true);
+      const { data } = await axios.post(API, { orderId: order._id, type, items, reason, comment, photos });
+      onSubmitted(data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not send your request.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const refundTotal = (options?.lines || [])
+    .reduce((sum, line) => sum + (Number(quantities[line.orderItemId]) || 0) * line.unitRefund, 0);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6 relative">
+        <button onClick={onClose} className="absolute top-4 right-4 text-gray-400 hover:text-gray-600" aria-label="Close">
+          <X size={22} />
+        </button>
+        <h2 className="text-2xl font-bold text-[#072679] mb-1">Return or exchange</h2>
+        <p className="text-sm text-[#36516C] mb-4">Order #{order._id}</p>
+
+        {error && <div className="p-3 mb-4 rounded-lg bg-red-50 text-red-800">{error}</div>}
+
+        {!options ? (
+          !error && <p className="text-gray-500">Loading...</p>
+        ) : !options.open ? (
+          <p className="text-gray-600">This order can no longer be returned{options.deadline ? ` (returns closed on ${new Date(options.deadline).toLocaleDateString()})` : ''}.</p>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <p className="text-sm text-gray-500">You can send items back until {new Date(options.deadline).toLocaleDateString()}.</p>
+
+            <div className="flex gap-4">
+              {[['return', 'Return for a refund'], ['exchange', 'Exchange for the same or another size']].map(([value, label]) => (
+                <label key={value} className="flex items-center gap-2 text-sm">
+                  <input type="radio" name="type" value={value} checked={type === value} onChange={() => setType(value)} />
+                  {label}
+                </label>
+              ))}
+            </div>
+
+            <div className="space-y-3">
+              {options.lines.map(line => (
+                <div key={line.orderItemId} className="p-3 bg-gray-50 rounded-lg">
+                  <div className="flex justify-between items-center gap-3">
+                    <div>
+                      <p className="font-medium">{line.name}{line.variantLabel ? ` (${line.variantLabel})` : ''}</p>
+                      <p className="text-xs text-gray-500">
+                        Bought {line.ordered}{line.alreadyReturned > 0 ? `, ${line.alreadyReturned} already sent back` : ''} · LKR {line.unitRefund.toFixed(2)} each
+                      </p>
+                    </div>
+                    {line.returnable > 0 ? (
+                      <select
+                        value={quantities[line.orderItemId] || 0}
+                        onChange={(e) => setQuantities(prev => ({ ...prev, [line.orderItemId]: e.target.value }))}
+                        className="border border-gray-300 rounded-lg px-2 py-1"
+                        aria-label={`How many ${line.name}`}
+                      >
+                        {Array.from({ length: line.returnable + 1 }, (_, n) => <option key={n} value={n}>{n}</option>)}
+                      </select>
+                    ) : (
+                      <span className="text-xs text-gray-500">Nothing left to return</span>
+                    )}
+                  </div>
+                  {type === 'exchange' && Number(quantities[line.orderItemId]) > 0 && exchangeChoices(line).length > 0 && (
+                    <select
+                      value={exchangeVariants[line.orderItemId] || ''}
+                      onChange={(e) => setExchangeVariants(prev => ({ ...prev, [line.orderItemId]: e.target.value }))}
+                      className="mt-2 w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                    >
+                      <option value="">Send me the same item again</option>
+                      {exchangeChoices(line).map(variant => (
+                        <option key={variant._id} value={variant._id}>Swap for {variantLabel(variant)}</option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <select value={reason} onChange={(e) => setReason(e.target.value)} className="w-full border border-gray-300 rounded-lg px-3 py-2">
+              <option value="">Why are you sending it back?</option>
+              {options.reasons.map(value => <option key={value} value={value}>{RETURN_REASON_LABELS[value] || value}</option>)}
+            </select>
+            <textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder="Tell us more (optional)"
+              maxLength={2000}
+              rows="3"
+              className="w-full border border-gray-300 rounded-lg px-3 py-2"
+            />
+
+            <div className="flex flex-wrap items-center gap-3">
+              {photos.map(photo => (
+                <div key={photo} className="relative">
+                  <img src={`http://localhost:5000${photo}`} alt="Returned item" className="w-20 h-20 object-cover rounded" />
+                  <button
+                    type="button"
+                    onClick={() => setPhotos(prev => prev.filter(p => p !== photo))}
+                    className="absolute -top-2 -right-2 bg-red-600 text-white rounded-full w-5 h-5 text-xs"
+                    aria-label="Remove photo"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+              {photos.length < 4 && (
+                <label className="text-sm text-[#42ADF5] cursor-pointer">
+                  {uploading ? 'Uploading...' : '+ Add photo'}
+                  <input type="file" accept="image/*" onChange={handlePhotoUpload} className="hidden" disabled={uploading} />
+                </label>
+              )}
+            </div>
+
+            {type === 'return' && refundTotal > 0 && (
+              <p className="text-sm text-[#072679]">Refund once we receive the items: <strong>LKR {refundTotal.toFixed(2)}</strong></p>
+            )}
+
+            <div className="flex gap-3">
+              <button type="submit" disabled={submitting} className="bg-[#42ADF5] text-white px-6 py-2 rounded-lg hover:bg-[#2C8ED1] font-semibold disabled:opacity-50">
+                {submitting ? 'Sending...' : 'Send request'}
+              </button>
+              <button type="button" onClick={onClose} className="bg-gray-200 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-300">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReturnRequestModal;
@@ -54,7 +54,6 @@ export default function SignUpMultiStep() {
     // Email verification states
     const [emailVerified, setEmailVerified] = useState(false);
     const [verificationCode, setVerificationCode] = useState('');
-    const [tempVerificationData, setTempVerificationData] = useState(null);
     const [verificationLoading, setVerificationLoading] = useState(false);
 
     const handleTextOnlyChange = (e) => setFormData({ ...formData, [e.target.name]: e.target.value.replace(/[^a-zA-Z\s]/g, '') });
@@ -96,7 +95,6 @@ export default function SignUpMultiStep() {
             const { data } = await axios.post('http://localhost:5000/api/auth/send-email-verification', { 
                 email: formData.email 
             });
-            setTempVerificationData(data.tempData);
             setMessage(data.message);
         } catch (err) {
             setError(err.response?.data?.message || 'Failed to send verification code');
@@ -116,14 +114,16 @@ export default function SignUpMultiStep() {
         try {
             const { data } = await axios.post('http://localhost:5000/api/auth/verify-email-code', {
                 email: formData.email,
-                code: verificationCode,
-                tempData: tempVerificationData
+                code: verificationCode
             });
             setEmailVerified(true);
             setMessage(data.message);
             setStep(2); // Move to address step
         } catch (err) {
             setError(err.response?.data?.message || 'Invalid verification code');
+            if (err.response?.data?.codeInvalidated) {
+                setVerificationCode('');
+            }
         } finally {
             setVerificationLoading(false);
         }
@@ -145,6 +145,13 @@ export default function SignUpMultiStep() {
             setError('Please enter a valid 10-digit phone number starting with 0.');
             return;
         }
+        // Junior players are added by a parent or guardian (the server makes the final check)
+        const eighteenthBirthday = new Date(formData.dob);
+        eighteenthBirthday.setFullYear(eighteenthBirthday.getFullYear() + 18);
+        if (eighteenthBirthday > new Date()) {
+            setError('Players under 18 cannot register themselves. Ask a parent or guardian to add you under "My Players" in their account.');
+            return;
+        }
 
         // If email is not verified, send verification code
         if (!emailVerified) {
@@ -0,0 +1,30 @@
+import React from 'react';
+import { Star } from 'lucide-react';
+
+// Five stars filled up to the rating; pass onChange to let the user pick a rating
+const StarRating = ({ rating = 0, count, size = 16, onChange }) => (
+  <div className="flex items-center gap-1">
+    {[1, 2, 3, 4, 5].map(star => {
+      const icon = (
+        <Star
+          size={size}
+          className={star <= Math.round(rating) ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}
+        />
+      );
+      return onChange ? (
+        <button key={star} type="button" onClick={() => onChange(star)} aria-label={`${star} star${star > 1 ? 's' : ''}`}>
+          {icon}
+        </button>
+      ) : (
+        <span key={star}>{icon}</span>
+      );
+    })}
+    {count !== undefined && (
+      <span className="text-sm text-gray-600 ml-1">
+        {count > 0 ? `${Number(rating).toFixed(1)} (${count})` : 'No reviews yet'}
+      </span>
+    )}
+  </div>
+);
+
+export default StarRating;
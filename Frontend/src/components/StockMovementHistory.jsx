@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { X } from 'lucide-react';
+
+const REASON_LABELS = {
+  opening_balance: 'Opening balance',
+  sale: 'Sale',
+  cancellation_restore: 'Cancellation restore',
+  manual_adjustment: 'Manual adjustment',
+  stocktake: 'Stocktake',
+  damaged: 'Damaged',
+  supplier_receipt: 'Supplier receipt',
+  customer_return: 'Customer return',
+};
+
+// Ledger of stock changes for one product, newest first
+const StockMovementHistory = ({ product, onClose }) => {
+  const [movements, setMovements] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchMovements = async (page = 1) => {
+    try {
+      setLoading(true);
+      const response = await axios.get('http://localhost:5000/api/inventory/movements', {
+        params: { productId: product._id, reason: reason || undefined, page, limit: 25 }
+      });
+      setMovements(response.data.movements);
+      setPagination(response.data.pagination);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching stock movements:', err);
+      setError('Failed to load stock history.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchMovements();
+  }, [product._id, reason]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center p-4 border-b">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Stock history</h2>
+            <p className="text-sm text-gray-600">{product.name} ({product.productId})</p>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 border-b">
+          <select
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">All reasons</option>
+            {Object.entries(REASON_LABELS).map(([value, text]) => (
+              <option key={value} value={value}>{text}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="overflow-y-auto flex-1">
+          {error && <div className="p-4 text-red-600">{error}</div>}
+          {loading ? (
+            <div className="p-8 text-center text-gray-500">Loading...</div>
+          ) : movements.length === 0 ? (
+            <div className="p-8 text-center text-gray-500">No stock movements recorded yet.</div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-left text-gray-600 sticky top-0">
+                <tr>
+                  <th className="p-3">Date</th>
+                  <th className="p-3">Item</th>
+                  <th className="p-3">Reason</th>
+                  <th className="p-3 text-right">Change</th>
+                  <th className="p-3 text-right">Balance</th>
+                  <th className="p-3">By</th>
+                  <th className="p-3">Note</th>
+                </tr>
+              </thead>
+              <tbody>
+                {movements.map(movement => (
+                  <tr key={movement._id} className="border-t">
+                    <td className="p-3 whitespace-nowrap">{new Date(movement.createdAt).toLocaleString()}</td>
+                    <td className="p-3">{movement.sku || movement.productName}</td>
+                    <td className="p-3">
+                      {REASON_LABELS[movement.reason] || movement.reason}
+                      {movement.orderId && <div className="text-xs text-gray-500">Order {String(movement.orderId).slice(-6)}</div>}
+                    </td>
+                    <td className={`p-3 text-right font-semibold ${movement.quantity < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                    </td>
+                    <td className="p-3 text-right">{movement.balanceAfter}</td>
+                    <td className="p-3">{movement.actor?.username || 'System'}</td>
+                    <td className="p-3 text-gray-600">{movement.note}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {pagination.pages > 1 && (
+          <div className="flex justify-between items-center p-4 border-t text-sm">
+            <button
+              onClick={() => fetchMovements(pagination.page - 1)}
+              disabled={pagination.page <= 1}
+              className="px-3 py-1 bg-gray-200 rounded disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span>Page {pagination.page} of {pagination.pages}</span>
+            <button
+              onClick={() => fetchMovements(pagination.page + 1)}
+              disabled={pagination.page >= pagination.pages}
+              className="px-3 py-1 bg-gray-200 rounded disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StockMovementHistory;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/auth/2fa';
+
+// Lets staff turn on authenticator-app two-factor, manage backup codes or turn it off
+export default function TwoFactorSettings() {
+    const [status, setStatus] = useState(null);
+    const [enrollment, setEnrollment] = useState(null);
+    const [code, setCode] = useState('');
+    const [backupCodes, setBackupCodes] = useState([]);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+
+    const getConfig = () => {
+        const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+        return { headers: { Authorization: `Bearer ${userInfo?.token}` } };
+    };
+
+    const fetchStatus = async () => {
+        try {
+            const { data } = await axios.get(API_URL, getConfig());
+            setStatus(data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load two-factor settings.');
+        }
+    };
+
+    useEffect(() => { fetchStatus(); }, []);
+
+    const run = async (request, successMessage) => {
+        setError('');
+        setMessage('');
+        try {
+            const { data } = await request();
+            if (data.backupCodes) setBackupCodes(data.backupCodes);
+            if (successMessage) setMessage(successMessage);
+            setCode('');
+            return data;
+        } catch (err) {
+            setError(err.response?.data?.message || 'Something went wrong.');
+            return null;
+        }
+    };
+
+    const handleStart = async () => {
+        const data = await run(() => axios.post(`${API_URL}/setup`, {}, getConfig()));
+        if (data) setEnrollment(data);
+    };
+
+    const handleEnable = async (e) => {
+        e.preventDefault();
+        const data = await run(() => axios.post(`${API_URL}/enable`, { code }, getConfig()), 'Two-factor authentication is now on.');
+        if (data) {
+            setEnrollment(null);
+            fetchStatus();
+        }
+    };
+
+    const handleDisable = async () => {
+        const data = await run(() => axios.post(`${API_URL}/disable`, { code }, getConfig()), 'Two-factor authentication is now off.');
+        if (data) fetchStatus();
+    };
+
+    const handleRegenerate = async () => {
+        const data = await run(() => axios.post(`${API_URL}/backup-codes`, { code }, getConfig()), 'New backup codes generated. The old ones no longer work.');
+        if (data) fetchStatus();
+    };
+
+    if (!status || !status.available) return null;
+
+    return (
+        <div className="bg-surface rounded-2xl shadow-lg p-8 mt-8">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold text-primary">Two-Factor Authentication</h2>
+                <span className={`text-xs px-2 py-0.5 rounded-full ${status.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                    {status.enabled ? 'On' : 'Off'}
+                </span>
+            </div>
+
+            {status.required && <p className="text-sm text-text-body mb-4">Two-factor authentication is required for your role.</p>}
+            {error && <p className="text-red-600 mb-2">{error}</p>}
+            {message && <p className="text-green-700 mb-2">{message}</p>}
+
+            {backupCodes.length > 0 && (
+                <div className="mb-4">
+                    <p className="text-sm text-text-body mb-2">Save these backup codes somewhere safe. Each works once and they will not be shown again.</p>
+                    <ul className="grid grid-cols-2 gap-2 font-mono text-center bg-gray-50 p-4 rounded-lg">
+                        {backupCodes.map(c => <li key={c}>{c}</li>)}
+                    </ul>
+                </div>
+            )}
+
+            {!status.enabled && !enrollment && (
+                <button onClick={handleStart} className="px-4 py-2 bg-secondary text-white rounded-lg hover:bg-secondary-hover">
+                    Set up authenticator app
+                </button>
+            )}
+
+            {!status.enabled && enrollment && (
+                <form onSubmit={handleEnable} className="space-y-3">
+                    <p className="text-sm text-text-body">Scan this QR code with your authenticator app, then enter the 6-digit code it shows.</p>
+                    <img src={enrollment.qrCode} alt="Two-factor QR code" className="w-48 h-48" />
+                    <p className="text-xs text-gray-500 break-all">Can't scan? Enter this key: <span className="font-mono">{enrollment.secret}</span></p>
+                    <div className="flex gap-2">
+                        <input type="text" value={code} onChange={(e) => setCode(e.target.value)} placeholder="123456" required className="px-3 py-2 border rounded-lg tracking-widest" />
+                        <button type="submit" className="px-4 py-2 bg-secondary text-white rounded-lg hover:bg-secondary-hover">Enable</button>
+                    </div>
+                </form>
+            )}
+
+            {status.enabled && (
+                <div className="space-y-3">
+                    <p className="text-sm text-text-body">
+                        On since {new Date(status.enabledAt).toLocaleDateString()} · {status.backupCodesRemaining} backup code(s) left
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                        <input type="text" value={code} onChange={(e) => setCode(e.target.value)} placeholder="Current 6-digit code" className="px-3 py-2 border rounded-lg" />
+                        <button onClick={handleRegenerate} className="px-4 py-2 text-sm bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200">New backup codes</button>
+                        {!status.required && (
+                            <button onClick={handleDisable} className="px-4 py-2 text-sm text-red-600 bg-red-100 rounded-lg hover:bg-red-200">Turn off</button>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import { Heart, Bell, BellOff, Trash2 } from 'lucide-react';
+
+const API = 'http://localhost:5000/api/wishlist';
+
+// The customer's saved products, with restock alerts for the ones that are sold out
+const WishlistPanel = () => {
+  const navigate = useNavigate();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState({});
+
+  const fetchWishlist = async () => {
+    try {
+      const { data } = await axios.get(API);
+      setItems(data);
+    } catch (err) {
+      console.error('Error fetching wishlist:', err);
+      setMessage({ type: 'error', text: 'Failed to load your wishlist.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchWishlist();
+  }, []);
+
+  const removeItem = async (item) => {
+    try {
+      await axios.delete(`${API}/${item._id}`);
+      setItems(prev => prev.filter(entry => entry._id !== item._id));
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error removing item.' });
+    }
+  };
+
+  const toggleRestockAlert = async (item) => {
+    try {
+      if (item.restockAlertId) {
+        await axios.delete(`${API}/restock-alerts/${item.restockAlertId}`);
+        setMessage({ type: 'success', text: `Restock alert for ${item.name} cancelled.` });
+      } else {
+        const { data } = await axios.post(`${API}/restock-alerts`, { productId: item.product._id, variantId: item.variantId });
+        setMessage({ type: 'success', text: data.message });
+      }
+      fetchWishlist();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error updating restock alert.' });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 mb-6">
+      <h2 className="text-2xl font-bold text-[#072679] mb-4 flex items-center gap-2">
+        <Heart className="w-6 h-6" /> My Wishlist
+      </h2>
+
+      {message.text && (
+        <div className={`p-3 mb-4 rounded-lg ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>{message.text}</div>
+      )}
+
+      {loading ? (
+        <p className="text-gray-500">Loading...</p>
+      ) : items.length === 0 ? (
+        <p className="text-gray-500">Nothing saved yet. Tap “Save to wishlist” on any product to keep it here.</p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          {items.map(item => (
+            <div key={item._id} className="border border-gray-200 rounded-lg p-4 flex gap-4">
+              <img
+                src={item.product.image_url || 'https://placehold.co/80'}
+                alt={item.name}
+                className="w-20 h-20 object-contain bg-gray-50 rounded"
+                onError={(e) => { e.target.src = 'https://placehold.co/80'; }}
+              />
+              <div className="flex-1 min-w-0">
+                <p className="font-semibold text-gray-900 truncate">{item.name}</p>
+                <p className="text-sm text-[#072679] font-bold">LKR {item.product.price}</p>
+                {item.inStock ? (
+                  <span className="inline-block bg-green-100 text-green-800 text-xs px-2 py-1 rounded-full mt-1">In stock</span>
+                ) : (
+                  <span className="inline-block bg-red-100 text-red-800 text-xs px-2 py-1 rounded-full mt-1">Out of stock</span>
+                )}
+                <div className="flex gap-3 mt-2 text-sm">
+                  {item.inStock ? (
+                    <button onClick={() => navigate('/buy', { state: { product: item.product } })} className="text-[#42ADF5] hover:underline">
+                      Buy now
+                    </button>
+                  ) : (
+                    <button onClick={() => toggleRestockAlert(item)} className="flex items-center gap-1 text-[#D88717] hover:underline">
+                      {item.restockAlertId ? <><BellOff size={14} /> Stop alert</> : <><Bell size={14} /> Notify me</>}
+                    </button>
+                  )}
+                  <button onClick={() => removeItem(item)} className="flex items-center gap-1 text-red-600 hover:underline" aria-label="Remove">
+                    <Trash2 size={14} /> Remove
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WishlistPanel;
@@ -4,6 +4,10 @@ import App from "./App";
 import "./index.css";
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
+import { setupAuthInterceptors } from './utils/authSession';
+
+// Silently refresh expired access tokens for every axios call in the app
+setupAuthInterceptors();
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+
+const LockIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" /></svg>;
+
+// Same rule as sign-up and the server
+const PASSWORD_RULE = /^(?=.*[A-Z])(?=.*\d)(?=.*[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?]).{8,}$/;
+
+// Landing page for the set-password link emailed to imported and admin-created users
+export default function AcceptInvite() {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+    const navigate = useNavigate();
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!PASSWORD_RULE.test(password)) {
+            setError('Password must be at least 8 characters and include an uppercase letter, a number and a symbol.');
+            return;
+        }
+        if (password !== confirmPassword) {
+            setError('Passwords do not match.');
+            return;
+        }
+        setLoading(true);
+        setError('');
+        try {
+            const { data } = await axios.post('http://localhost:5000/api/auth/invite/accept', { token, password });
+            setMessage(`${data.message} Your username is ${data.username}. Redirecting to login...`);
+            setTimeout(() => {
+                navigate('/login');
+            }, 3000);
+        } catch (err) {
+            setError(err.response?.data?.message || 'An error occurred.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-[#F1F2F7] flex items-center justify-center p-4">
+            <div className="w-full max-w-md bg-white rounded-2xl shadow-xl p-8">
+                <h2 className="text-3xl font-bold text-center text-[#072679] mb-2">Welcome</h2>
+                <p className="text-center text-[#36516C] mb-8">Choose a password to finish setting up your account.</p>
+
+                {!token ? (
+                    <p className="text-center text-red-600 font-medium">This invitation link is incomplete. Please open the link from your email again.</p>
+                ) : (
+                    <form onSubmit={handleSubmit} className="space-y-6">
+                        <div className="relative">
+                            <span className="absolute inset-y-0 left-0 flex items-center pl-3"><LockIcon /></span>
+                            <input type="password" placeholder="New Password" value={password} onChange={(e) => setPassword(e.target.value)} required className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-[#42ADF5]" />
+                        </div>
+                        <div className="relative">
+                            <span className="absolute inset-y-0 left-0 flex items-center pl-3"><LockIcon /></span>
+                            <input type="password" placeholder="Confirm New Password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} required className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-1 focus:ring-[#42ADF5]" />
+                        </div>
+                        <button type="submit" disabled={loading || !!message} className="w-full bg-[#42ADF5] hover:bg-[#2C8ED1] text-white font-bold py-3 px-4 rounded-lg shadow-lg transition-colors disabled:bg-gray-400">
+                            {loading ? 'Saving...' : 'Set Password'}
+                        </button>
+                    </form>
+                )}
+
+                {error && <p className="mt-4 text-center text-red-600 font-medium">{error}</p>}
+                {message && <p className="mt-4 text-center text-green-600 font-medium">{message}</p>}
+            </div>
+        </div>
+    );
+}
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { Brand } from "../../brand.js";
+import { authFetch } from "../../utils/authSession";
 
 const GroundBooking = () => {
   const [bookings, setBookings] = useState([]);
@@ -65,7 +66,12 @@ const GroundBooking = () => {
         ...(sortOrder && { sortOrder }),
       });
 
-      const response = await fetch(`/api/bookings?${params}`);
+      const userInfo = JSON.parse(localStorage.getItem("userInfo"));
+      const response = await authFetch(`/api/bookings?${params}`, {
+        headers: {
+          Authorization: `Bearer ${userInfo?.token}`,
+        },
+      });
       const data = await response.json();
 
       if (data.success) {
@@ -84,7 +90,7 @@ const GroundBooking = () => {
 
   const fetchGrounds = async () => {
     try {
-      const response = await fetch("/api/grounds");
+      const response = await authFetch("/api/grounds");
       const data = await response.json();
       if (data.success) {
         setGrounds(data.data || []);
@@ -100,7 +106,7 @@ const GroundBooking = () => {
       const userInfo = JSON.parse(localStorage.getItem("userInfo"));
 
       if (userInfo && userInfo.token) {
-        const response = await fetch("/api/users", {
+        const response = await authFetch("/api/users", {
           headers: {
             Authorization: `Bearer ${userInfo.token}`,
           },
@@ -193,7 +199,7 @@ const GroundBooking = () => {
         endTime: formData.endTime,
       });
 
-      const response = await fetch(
+      const response = await authFetch(
         `/api/bookings/check-availability?${params}`
       );
       const data = await response.json();
@@ -353,7 +359,7 @@ const GroundBooking = () => {
 
     try {
       const userInfo = JSON.parse(localStorage.getItem("userInfo"));
-      const response = await fetch("/api/bookings", {
+      const response = await authFetch("/api/bookings", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
@@ -392,7 +398,7 @@ const GroundBooking = () => {
 
     try {
       const userInfo = JSON.parse(localStorage.getItem("userInfo"));
-      const response = await fetch(`/api/bookings/${selectedBooking._id}`, {
+      const response = await authFetch(`/api/bookings/${selectedBooking._id}`, {
         method: "PUT",
         headers: {
           "Content-Type": "application/json",
@@ -422,7 +428,7 @@ const GroundBooking = () => {
   const handleDeleteBooking = async () => {
     try {
       const userInfo = JSON.parse(localStorage.getItem("userInfo"));
-      const response = await fetch(`/api/bookings/${selectedBooking._id}`, {
+      const response = await authFetch(`/api/bookings/${selectedBooking._id}`, {
         method: "DELETE",
         headers: {
           Authorization: `Bearer ${userInfo.token}`,
@@ -449,7 +455,7 @@ const GroundBooking = () => {
   const handleStatusChange = async (bookingId, newStatus) => {
     try {
       const userInfo = JSON.parse(localStorage.getItem("userInfo"));
-      const response = await fetch(`/api/bookings/${bookingId}`, {
+      const response = await authFetch(`/api/bookings/${bookingId}`, {
         method: "PUT",
         headers: {
           "Content-Type": "application/json",
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import { Brand } from "../../brand.js";
+import { authFetch } from "../../utils/authSession";
 
 const GroundsManage = () => {
     const [grounds, setGrounds] = useState([]);
@@ -59,7 +60,7 @@ const GroundsManage = () => {
     const fetchGrounds = async () => {
         try {
             setLoading(true);
-            const response = await fetch("/api/grounds");
+            const response = await authFetch("/api/grounds");
             const data = await response.json();
 
             if (data.success) {
@@ -118,7 +119,7 @@ const GroundsManage = () => {
 
         try {
             const userInfo = JSON.parse(localStorage.getItem("userInfo"));
-            const response = await fetch("/api/grounds", {
+            const response = await authFetch("/api/grounds", {
                 method: "POST",
                 headers: {
                     "Content-Type": "application/json",
@@ -153,7 +154,7 @@ const GroundsManage = () => {
 
         try {
             const userInfo = JSON.parse(localStorage.getItem("userInfo"));
-            const response = await fetch(`/api/grounds/${selectedGround._id}`, {
+            const response = await authFetch(`/api/grounds/${selectedGround._id}`, {
                 method: "PUT",
                 headers: {
                     "Content-Type": "application/json",
@@ -187,7 +188,7 @@ const GroundsManage = () => {
     const handleDeleteGround = async () => {
         try {
             const userInfo = JSON.parse(localStorage.getItem("userInfo"));
-            const response = await fetch(`/api/grounds/${selectedGround._id}`, {
+            const response = await authFetch(`/api/grounds/${selectedGround._id}`, {
                 method: "DELETE",
                 headers: {
                     Authorization: `Bearer ${userInfo?.token}`,
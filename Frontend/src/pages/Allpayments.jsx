@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { paymentApi } from '../api/paymentApi';
 import axios from 'axios';
+import { downloadInvoice } from '../utils/invoices';
 
 const AllPayments = () => {
   const [payments, setPayments] = useState([]);
@@ -172,6 +173,15 @@ const AllPayments = () => {
   };
 
   // Get payment type display name
+  const handleDownloadInvoice = async (invoice) => {
+    try {
+      await downloadInvoice(invoice._id, invoice.invoiceNumber);
+    } catch (err) {
+      console.error('Error downloading invoice:', err);
+      alert('Failed to download the invoice. Please try again.');
+    }
+  };
+
   const getPaymentTypeDisplay = (type) => {
     switch (type) {
       case 'order_payment':
@@ -180,6 +190,8 @@ const AllPayments = () => {
         return 'Booking Payment';
       case 'enrollment_payment':
         return 'Enrollment Payment';
+      case 'repair_payment':
+        return 'Repair Payment';
       default:
         return type;
     }
@@ -243,6 +255,7 @@ const AllPayments = () => {
               <option value="order_payment">Order Payment</option>
               <option value="booking_payment">Booking Payment</option>
               <option value="enrollment_payment">Enrollment Payment</option>
+              <option value="repair_payment">Repair Payment</option>
             </select>
           </div>
 
@@ -327,12 +340,15 @@ const AllPayments = () => {
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Related ID
               </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Invoice
+              </th>
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
             {payments.length === 0 ? (
               <tr>
-                <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                <td colSpan="8" className="px-6 py-4 text-center text-gray-500">
                   No payments found
                 </td>
               </tr>
@@ -394,6 +410,18 @@ const AllPayments = () => {
                       }
                     })()}
                   </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-mono">
+                    {payment.invoiceId ? (
+                      <button
+                        onClick={() => handleDownloadInvoice(payment.invoiceId)}
+                        className="text-blue-600 hover:text-blue-800 hover:underline"
+                      >
+                        {payment.invoiceId.invoiceNumber}
+                      </button>
+                    ) : (
+                      <span className="text-gray-500">—</span>
+                    )}
+                  </td>
                 </tr>
               ))
             )}
@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/audit-logs';
+
+const emptyFilters = { action: '', actorRole: '', targetType: '', targetId: '', startDate: '', endDate: '', search: '' };
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+// Admin page to browse the append-only audit trail
+export default function AuditLogs() {
+    const [logs, setLogs] = useState([]);
+    const [filters, setFilters] = useState(emptyFilters);
+    const [options, setOptions] = useState({ actions: [], targetTypes: [], actorRoles: [] });
+    const [page, setPage] = useState(1);
+    const [totalPages, setTotalPages] = useState(1);
+    const [expanded, setExpanded] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const getConfig = () => {
+        const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+        return { headers: { Authorization: `Bearer ${userInfo?.token}` } };
+    };
+
+    const fetchLogs = async () => {
+        try {
+            setLoading(true);
+            const params = new URLSearchParams({ page, limit: 25 });
+            Object.entries(filters).forEach(([key, value]) => { if (value) params.append(key, value); });
+            const { data } = await axios.get(`${API_URL}?${params}`, getConfig());
+            setLogs(data.data);
+            setTotalPages(data.pagination.pages || 1);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load audit log.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        axios.get(`${API_URL}/filters`, getConfig())
+            .then(({ data }) => setOptions(data.data))
+            .catch(err => console.error('Failed to load audit filters:', err));
+    }, []);
+
+    useEffect(() => { fetchLogs(); }, [page, filters]);
+
+    const handleFilterChange = (e) => {
+        setPage(1);
+        setFilters({ ...filters, [e.target.name]: e.target.value });
+    };
+
+    return (
+        <div className="p-4 md:p-8 space-y-6">
+            <div>
+                <h1 className="text-3xl font-bold text-primary">Audit Log</h1>
+                <p className="text-text-body">Every refund, payroll payment, stock change, status change and access change, with who made it and from where.</p>
+            </div>
+
+            <div className="bg-white p-4 rounded-lg shadow-md grid grid-cols-1 md:grid-cols-4 gap-4">
+                <select name="action" value={filters.action} onChange={handleFilterChange} className="px-3 py-2 border rounded">
+                    <option value="">All actions</option>
+                    {options.actions.map(a => <option key={a} value={a}>{a}</option>)}
+                </select>
+                <select name="targetType" value={filters.targetType} onChange={handleFilterChange} className="px-3 py-2 border rounded">
+                    <option value="">All record types</option>
+                    {options.targetTypes.map(t => <option key={t} value={t}>{t}</option>)}
+                </select>
+                <select name="actorRole" value={filters.actorRole} onChange={handleFilterChange} className="px-3 py-2 border rounded">
+                    <option value="">All roles</option>
+                    {options.actorRoles.map(r => <option key={r} value={r}>{r.replace('_', ' ')}</option>)}
+                </select>
+                <input name="search" value={filters.search} onChange={handleFilterChange} placeholder="Search actor, reason or IP..." className="px-3 py-2 border rounded" />
+                <input name="targetId" value={filters.targetId} onChange={handleFilterChange} placeholder="Record ID" className="px-3 py-2 border rounded font-mono text-sm" />
+                <input type="date" name="startDate" value={filters.startDate} onChange={handleFilterChange} className="px-3 py-2 border rounded" />
+                <input type="date" name="endDate" value={filters.endDate} onChange={handleFilterChange} className="px-3 py-2 border rounded" />
+                <button onClick={() => { setPage(1); setFilters(emptyFilters); }} className="px-4 py-2 bg-gray-100 text-gray-800 rounded hover:bg-gray-200">Clear filters</button>
+            </div>
+
+            {error && <div className="p-3 bg-red-100 text-red-700 rounded-lg">{error}</div>}
+
+            <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+                <table className="min-w-full text-sm">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-3 text-left">When</th>
+                            <th className="px-4 py-3 text-left">Actor</th>
+                            <th className="px-4 py-3 text-left">Action</th>
+                            <th className="px-4 py-3 text-left">Record</th>
+                            <th className="px-4 py-3 text-left">IP</th>
+                            <th className="px-4 py-3"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {loading && <tr><td colSpan={6} className="px-4 py-6 text-center text-gray-500">Loading...</td></tr>}
+                        {!loading && logs.length === 0 && <tr><td colSpan={6} className="px-4 py-6 text-center text-gray-500">No audit entries match these filters.</td></tr>}
+                        {!loading && logs.map(log => (
+                            <React.Fragment key={log._id}>
+                                <tr className="border-t">
+                                    <td className="px-4 py-2 whitespace-nowrap">{new Date(log.createdAt).toLocaleString()}</td>
+                                    <td className="px-4 py-2">
+                                        <p className="font-medium text-gray-800">{log.actorName || 'system'}</p>
+                                        <p className="text-xs text-gray-500 capitalize">{log.actorRole?.replace('_', ' ')}</p>
+                                        {log.impersonatedUser && <p className="text-xs text-yellow-700">viewing as user {log.impersonatedUser}</p>}
+                                    </td>
+                                    <td className="px-4 py-2 font-mono">{log.action}</td>
+                                    <td className="px-4 py-2">
+                                        <p>{log.targetType}</p>
+                                        <p className="text-xs text-gray-500 font-mono">{log.targetId}</p>
+                                    </td>
+                                    <td className="px-4 py-2 font-mono text-xs">{log.ipAddress}</td>
+                                    <td className="px-4 py-2 text-right">
+                                        <button onClick={() => setExpanded(expanded === log._id ? null : log._id)} className="text-secondary hover:underline">
+                                            {expanded === log._id ? 'Hide' : 'Details'}
+                                        </button>
+                                    </td>
+                                </tr>
+                                {expanded === log._id && (
+                                    <tr className="bg-gray-50">
+                                        <td colSpan={6} className="px-4 py-3">
+                                            {log.reason && <p className="mb-2"><span className="font-semibold">Reason:</span> {log.reason}</p>}
+                                            {log.changes?.length > 0 ? (
+                                                <table className="text-xs">
+                                                    <thead>
+                                                        <tr><th className="pr-6 text-left">Field</th><th className="pr-6 text-left">Before</th><th className="text-left">After</th></tr>
+                                                    </thead>
+                                                    <tbody>
+                                                        {log.changes.map(c => (
+                                                            <tr key={c.field}>
+                                                                <td className="pr-6 font-mono">{c.field}</td>
+                                                                <td className="pr-6 text-red-700">{formatValue(c.from)}</td>
+                                                                <td className="text-green-700">{formatValue(c.to)}</td>
+                                                            </tr>
+                                                        ))}
+                                                    </tbody>
+                                                </table>
+                                            ) : (
+                                                <p className="text-xs text-gray-500">No field changes recorded.</p>
+                                            )}
+                                            <p className="mt-2 text-xs text-gray-400">{log.userAgent}</p>
+                                        </td>
+                                    </tr>
+                                )}
+                            </React.Fragment>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="flex justify-center items-center space-x-4">
+                <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="px-3 py-1 bg-gray-100 rounded disabled:opacity-50">Previous</button>
+                <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+                <button onClick={() => setPage(page + 1)} disabled={page >= totalPages} className="px-3 py-1 bg-gray-100 rounded disabled:opacity-50">Next</button>
+            </div>
+        </div>
+    );
+}
@@ -1,13 +1,37 @@
 import { useState, useEffect } from 'react';
+import axios from 'axios';
 import { useLocation, useNavigate } from 'react-router-dom';
 import Header from '../components/Header';
 import Footer from '../components/Footer';
+import ProductReviews from '../components/ProductReviews';
+import StarRating from '../components/StarRating';
+import { hasVariants, linePrice, lineStock, lineKey } from '../utils/cartLines';
+import { getCurrentUserId } from '../utils/getCurrentUser';
+
+// Start on the first variant that can be bought
+const initialOptions = (product) => {
+  const variant = (product?.variants || []).find(v => v.is_active && v.stock_quantity > 0)
+    || (product?.variants || []).find(v => v.is_active);
+  return variant ? { ...variant.options } : {};
+};
 
 const BuyPage = () => {
   const location = useLocation();
   const navigate = useNavigate();
   const { product } = location.state || {};
   const [quantity, setQuantity] = useState(1);
+  const [selectedOptions, setSelectedOptions] = useState(() => initialOptions(product));
+  const [totals, setTotals] = useState(null);
+  const [savedMessage, setSavedMessage] = useState(null);
+
+  const withVariants = hasVariants(product);
+  const variant = withVariants
+    ? product.variants.find(v => v.is_active && (product.variantOptions || []).every(option => v.options?.[option.name] === selectedOptions[option.name])) || null
+    : null;
+  const variantId = variant?._id || null;
+  const unitPrice = linePrice(product, variantId);
+  const stock = withVariants ? (variant ? variant.stock_quantity : 0) : lineStock(product, null);
+  const canBuy = (!withVariants || !!variant) && stock > 0;
 
   useEffect(() => {
     if (!product) {
@@ -16,31 +40,87 @@ const BuyPage = () => {
     }
   }, [product, navigate]);
 
+  // Delivery and tax come from the server so the total matches checkout
+  useEffect(() => {
+    if (!product || !canBuy) {
+      setTotals(null);
+      return;
+    }
+    axios.post('http://localhost:5000/api/orders/calculate-total', {
+      items: [{ productId: product._id, variantId, quantity }]
+    })
+      .then(res => setTotals(res.data))
+      .catch(err => {
+        console.error('Error calculating total:', err);
+        setTotals(null);
+      });
+  }, [product, variantId, quantity, canBuy]);
+
+  const handleOptionChange = (name, value) => {
+    setSelectedOptions(prev => ({ ...prev, [name]: value }));
+    setQuantity(1);
+  };
+
   const handleQuantityChange = (change) => {
     const newQuantity = quantity + change;
-    if (newQuantity >= 1 && newQuantity <= (product?.stock_quantity || 999)) {
+    if (newQuantity >= 1 && newQuantity <= stock) {
       setQuantity(newQuantity);
     }
   };
 
+  const handleAddToCart = async () => {
+    if (!canBuy) return;
+    const line = { productId: product._id, variantId, quantity };
+    const savedCart = JSON.parse(localStorage.getItem('cricketCart') || '[]');
+    const existing = savedCart.find(item => lineKey(item) === lineKey(line));
+    const newQuantity = Math.min(stock, (existing?.quantity || 0) + quantity);
+    const newCart = existing
+      ? savedCart.map(item => (item === existing ? { ...item, quantity: newQuantity } : item))
+      : [...savedCart, line];
+    localStorage.setItem('cricketCart', JSON.stringify(newCart));
+
+    const cartToken = localStorage.getItem('cartToken');
+    if (cartToken) {
+      try {
+        await axios.post('http://localhost:5000/api/cart-pending', { cartToken, productId: product._id, variantId, quantity: newQuantity });
+      } catch (err) {
+        console.error('Error syncing Cart_Pending:', err);
+      }
+    }
+    window.dispatchEvent(new CustomEvent('cartUpdated'));
+    navigate('/cart');
+  };
+
+  // Wishlist and restock alerts need an account; guests are sent to log in first
+  const saveForLater = async (path, body) => {
+    if (!getCurrentUserId()) {
+      navigate('/login');
+      return;
+    }
+    try {
+      const res = await axios.post(`http://localhost:5000/api/wishlist${path}`, body);
+      setSavedMessage({ type: 'success', text: res.data.message });
+    } catch (err) {
+      setSavedMessage({ type: 'error', text: err.response?.data?.message || 'Something went wrong. Please try again.' });
+    }
+  };
+
   const handleNextToDelivery = () => {
-    if (!product) return;
+    if (!product || !canBuy || !totals) return;
     
     // Create a cart-like structure for the single product
     const cart = [{
       productId: product._id,
+      variantId,
       quantity: quantity
     }];
 
-    // Calculate totals
-    const subtotal = product.price * quantity;
-    const deliveryFee = 450;
-    const total = subtotal + deliveryFee;
-
     const totalData = {
-      subtotal,
-      deliveryFee,
-      total
+      subtotal: totals.subtotal,
+      discount: totals.discount,
+      deliveryFee: totals.shipping,
+      tax: totals.tax,
+      total: totals.total
     };
 
     // Navigate to delivery page with the product data
@@ -105,7 +185,10 @@ const BuyPage = () => {
 
           {/* Product Details */}
           <div className="bg-white rounded-lg shadow-md p-6">
-            <h1 className="text-3xl font-bold text-[#072679] mb-4">{product.name}</h1>
+            <h1 className="text-3xl font-bold text-[#072679] mb-2">{product.name}</h1>
+            <div className="mb-4">
+              <StarRating rating={product.ratingAverage} count={product.ratingCount || 0} />
+            </div>
             
             <div className="mb-6">
               <p className="text-lg text-[#36516C] leading-relaxed">
@@ -113,12 +196,36 @@ const BuyPage = () => {
               </p>
             </div>
 
+            {/* Variant Options */}
+            {withVariants && (
+              <div className="mb-6 space-y-4">
+                {(product.variantOptions || []).map(option => (
+                  <div key={option.name}>
+                    <label className="block text-sm font-semibold mb-1 capitalize">{option.name}</label>
+                    <select
+                      value={selectedOptions[option.name] || ''}
+                      onChange={(e) => handleOptionChange(option.name, e.target.value)}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-1 focus:ring-[#42ADF5]"
+                    >
+                      <option value="" disabled>Choose {option.name}</option>
+                      {option.values.map(value => (
+                        <option key={value} value={value}>{value}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+                {!variant && (
+                  <p className="text-sm text-red-600">This combination is not available.</p>
+                )}
+              </div>
+            )}
+
             <div className="mb-6">
               <p className="text-2xl font-bold text-[#072679] mb-2">
-                LKR {product.price?.toLocaleString() || 0}
+                LKR {unitPrice.toLocaleString()}
               </p>
               <p className="text-sm text-gray-600">
-                Stock: {product.stock_quantity || 0} available
+                Stock: {stock} available{variant && ` · SKU ${variant.sku}`}
               </p>
             </div>
 
@@ -139,7 +246,7 @@ const BuyPage = () => {
                 <button
                   onClick={() => handleQuantityChange(1)}
                   className="bg-[#42ADF5] text-white px-4 py-2 rounded-lg hover:bg-[#2C8ED1] transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
-                  disabled={quantity >= (product.stock_quantity || 999)}
+                  disabled={quantity >= stock}
                 >
                   +
                 </button>
@@ -150,7 +257,7 @@ const BuyPage = () => {
             <div className="bg-gray-50 rounded-lg p-4 mb-6">
               <div className="flex justify-between items-center mb-2">
                 <span className="text-gray-600">Price per item:</span>
-                <span className="font-semibold">LKR {product.price?.toLocaleString() || 0}</span>
+                <span className="font-semibold">LKR {unitPrice.toLocaleString()}</span>
               </div>
               <div className="flex justify-between items-center mb-2">
                 <span className="text-gray-600">Quantity:</span>
@@ -158,17 +265,29 @@ const BuyPage = () => {
               </div>
               <div className="flex justify-between items-center mb-2">
                 <span className="text-gray-600">Subtotal:</span>
-                <span className="font-semibold">LKR {(product.price * quantity)?.toLocaleString() || 0}</span>
+                <span className="font-semibold">LKR {(totals?.subtotal ?? unitPrice * quantity).toLocaleString()}</span>
               </div>
+              {totals?.discount > 0 && (
+                <div className="flex justify-between items-center mb-2 text-green-700">
+                  <span>Discount:</span>
+                  <span className="font-semibold">- LKR {totals.discount.toLocaleString()}</span>
+                </div>
+              )}
               <div className="flex justify-between items-center mb-2">
                 <span className="text-gray-600">Delivery Fee:</span>
-                <span className="font-semibold">LKR 450</span>
+                <span className="font-semibold">{totals ? `LKR ${totals.shipping.toLocaleString()}` : '—'}</span>
               </div>
+              {totals?.tax > 0 && (
+                <div className="flex justify-between items-center mb-2">
+                  <span className="text-gray-600">Tax:</span>
+                  <span className="font-semibold">LKR {totals.tax.toLocaleString()}</span>
+                </div>
+              )}
               <hr className="my-2" />
               <div className="flex justify-between items-center">
                 <span className="text-lg font-bold text-[#072679]">Total:</span>
                 <span className="text-lg font-bold text-[#072679]">
-                  LKR {((product.price * quantity) + 450)?.toLocaleString() || 0}
+                  {totals ? `LKR ${totals.total.toLocaleString()}` : '—'}
                 </span>
               </div>
             </div>
@@ -176,11 +295,40 @@ const BuyPage = () => {
             {/* Next Button */}
             <button
               onClick={handleNextToDelivery}
-              className="w-full bg-[#42ADF5] text-white py-4 rounded-lg hover:bg-[#2C8ED1] transition-colors font-semibold text-lg"
+              disabled={!canBuy || !totals}
+              className="w-full bg-[#42ADF5] text-white py-4 rounded-lg hover:bg-[#2C8ED1] transition-colors font-semibold text-lg disabled:bg-gray-300 disabled:cursor-not-allowed"
             >
               Next: Delivery
             </button>
 
+            <button
+              onClick={handleAddToCart}
+              disabled={!canBuy}
+              className="w-full mt-3 bg-[#072679] text-white py-3 rounded-lg hover:bg-[#051A5C] transition-colors font-medium disabled:bg-gray-300 disabled:cursor-not-allowed"
+            >
+              Add to Cart
+            </button>
+
+            <div className="flex gap-3 mt-3">
+              <button
+                onClick={() => saveForLater('', { productId: product._id, variantId })}
+                className="flex-1 border border-[#072679] text-[#072679] py-3 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+              >
+                ♡ Save to wishlist
+              </button>
+              {(!withVariants || variant) && stock <= 0 && (
+                <button
+                  onClick={() => saveForLater('/restock-alerts', { productId: product._id, variantId })}
+                  className="flex-1 bg-[#D88717] text-white py-3 rounded-lg hover:bg-[#B36F14] transition-colors font-medium"
+                >
+                  Notify me when back in stock
+                </button>
+              )}
+            </div>
+            {savedMessage && (
+              <p className={`mt-2 text-sm ${savedMessage.type === 'success' ? 'text-green-700' : 'text-red-600'}`}>{savedMessage.text}</p>
+            )}
+
             {/* Back to Products Button */}
             <button
               onClick={() => navigate('/products')}
@@ -190,6 +338,8 @@ const BuyPage = () => {
             </button>
           </div>
         </div>
+
+        <ProductReviews productId={product._id} />
       </div>
 
       <Footer />
@@ -3,6 +3,7 @@ import axios from 'axios';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { X, Search, User, ShoppingCart, Minus, Plus } from 'lucide-react';
 import { getCurrentUserId } from '../utils/getCurrentUser';
+import { lineKey, getVariant, variantLabel, linePrice, lineStock } from '../utils/cartLines';
 import Header from '../components/Header';
 import Footer from '../components/Footer';
 
@@ -10,6 +11,8 @@ const Cart = () => {
   const [cart, setCart] = useState([]);
   const [products, setProducts] = useState([]);
   const [promoCode, setPromoCode] = useState('');
+  // Codes the customer entered; the server decides which of them apply
+  const [promoCodes, setPromoCodes] = useState(() => JSON.parse(localStorage.getItem('promoCodes') || '[]'));
   const [cartToken, setCartToken] = useState('');
   const [error, setError] = useState(null);
   const [totalData, setTotalData] = useState({ subtotal: 0, deliveryFee: 450, total: 0 });
@@ -17,6 +20,8 @@ const Cart = () => {
   const [user, setUser] = useState(null);
   const [selectedItems, setSelectedItems] = useState(new Set());
   const [selectedTotal, setSelectedTotal] = useState(0);
+  // Lines whose quantity can no longer be held in stock, with what is left
+  const [stockIssues, setStockIssues] = useState({});
   const location = useLocation();
   const navigate = useNavigate();
 
@@ -90,18 +95,21 @@ const Cart = () => {
     return products.find(product => product._id === productId) || {};
   };
 
+  // The cart-pending item routes address a variant through the query string
+  const pendingItemUrl = (item) => {
+    const url = `http://localhost:5000/api/cart-pending/${cartToken}/item/${item.productId}`;
+    return item.variantId ? `${url}?variantId=${item.variantId}` : url;
+  };
+
   // Sync local cart to Cart_Pending table
   const syncCartPending = async () => {
     try {
       if (!cartToken) return;
       for (const item of cart) {
-        const product = getProductDetails(item.productId);
-        if (!product) continue;
         await axios.post('http://localhost:5000/api/cart-pending', {
           cartToken: cartToken,
           productId: item.productId,
-          title: product.name,
-          price: product.price,
+          variantId: item.variantId || null,
           quantity: item.quantity
         });
       }
@@ -121,10 +129,14 @@ const Cart = () => {
 
   const fetchCartPending = async (token) => {
     try {
-      const res = await axios.get(`http://localhost:5000/api/cart-pending/${token}`);
+      const res = await axios.post(`http://localhost:5000/api/cart-pending/${token}/holds`);
       const items = res.data || [];
       // Map to local cart structure
-      const mapped = items.map(i => ({ productId: i.productId?._id || i.productId, quantity: i.quantity }));
+      const mapped = items.map(i => ({ productId: i.productId?._id || i.productId, variantId: i.variantId || null, quantity: i.quantity }));
+      // The server renews stock holds here and reports lines it could not hold
+      setStockIssues(Object.fromEntries(
+        items.map((i, index) => [lineKey(mapped[index]), i.available]).filter(([, available]) => available !== undefined)
+      ));
       // Only overwrite local cart if backend has items
       if (mapped.length > 0) {
         setCart(mapped);
@@ -134,9 +146,17 @@ const Cart = () => {
     }
   };
 
-  const handleRemoveItem = (productId) => {
+  // Quantities the server cannot hold in stock are refused with a 409
+  const handleHoldError = (err) => {
+    if (err.response?.status === 409) {
+      alert(err.response.data.message);
+      fetchCartPending(cartToken);
+    }
+  };
+
+  const handleRemoveItem = (line) => {
     setCart(prevCart => {
-      const newCart = prevCart.filter(item => item.productId !== productId);
+      const newCart = prevCart.filter(item => lineKey(item) !== lineKey(line));
       // Dispatch cart update event for header to update count
       window.dispatchEvent(new CustomEvent('cartUpdated'));
       return newCart;
@@ -144,50 +164,50 @@ const Cart = () => {
     // remove from backend and refresh
     if (cartToken) {
       axios
-        .delete(`http://localhost:5000/api/cart-pending/${cartToken}/item/${productId}`)
+        .delete(pendingItemUrl(line))
         .then(() => fetchCartPending(cartToken))
         .catch(() => {});
     }
   };
 
-  const handleQuantityChange = (productId, change) => {
+  const handleQuantityChange = (line, change) => {
     setCart((prevCart) => {
-      const existingItem = prevCart.find(item => item.productId === productId);
-      const product = products.find(p => p._id === productId);
+      const existingItem = prevCart.find(item => lineKey(item) === lineKey(line));
+      const product = products.find(p => p._id === line.productId);
       
       if (!product) return prevCart;
+      const stock = lineStock(product, line.variantId);
       
       let newCart;
       if (existingItem) {
         const newQuantity = existingItem.quantity + change;
         if (newQuantity <= 0) {
-          newCart = prevCart.filter(item => item.productId !== productId);
-        } else if (newQuantity > product.stock_quantity) {
-          alert(`Only ${product.stock_quantity} items available in stock`);
+          newCart = prevCart.filter(item => lineKey(item) !== lineKey(line));
+        } else if (newQuantity > stock) {
+          alert(`Only ${stock} items available in stock`);
           return prevCart;
         } else {
           newCart = prevCart.map(item =>
-            item.productId === productId ? { ...item, quantity: newQuantity } : item
+            lineKey(item) === lineKey(line) ? { ...item, quantity: newQuantity } : item
           );
           // push to backend
           if (cartToken) {
-            axios.put(`http://localhost:5000/api/cart-pending/${cartToken}/item/${productId}`, { quantity: newQuantity }).catch(() => {});
+            axios.put(pendingItemUrl(line), { quantity: newQuantity }).catch(handleHoldError);
           }
         }
       } else if (change > 0) {
-        if (product.stock_quantity <= 0) {
+        if (stock <= 0) {
           alert('This product is out of stock');
           return prevCart;
         }
-        newCart = [...prevCart, { productId, quantity: 1 }];
+        newCart = [...prevCart, { productId: line.productId, variantId: line.variantId || null, quantity: 1 }];
         if (cartToken) {
           axios.post('http://localhost:5000/api/cart-pending', {
             cartToken: cartToken,
-            productId: productId,
-            title: product.name,
-            price: product.price,
+            productId: line.productId,
+            variantId: line.variantId || null,
             quantity: 1
-          }).catch(() => {});
+          }).catch(handleHoldError);
         }
       } else {
         return prevCart;
@@ -201,13 +221,13 @@ const Cart = () => {
   };
 
   // Handle checkbox selection for individual items
-  const handleItemSelection = (productId) => {
+  const handleItemSelection = (key) => {
     setSelectedItems(prevSelected => {
       const newSelected = new Set(prevSelected);
-      if (newSelected.has(productId)) {
-        newSelected.delete(productId);
+      if (newSelected.has(key)) {
+        newSelected.delete(key);
       } else {
-        newSelected.add(productId);
+        newSelected.add(key);
       }
       return newSelected;
     });
@@ -216,10 +236,10 @@ const Cart = () => {
   // Calculate total for selected items
   const calculateSelectedTotal = () => {
     const total = cart
-      .filter(item => selectedItems.has(item.productId))
+      .filter(item => selectedItems.has(lineKey(item)))
       .reduce((sum, item) => {
         const product = getProductDetails(item.productId);
-        return sum + (product.price || 0) * item.quantity;
+        return sum + linePrice(product, item.variantId) * item.quantity;
       }, 0);
     setSelectedTotal(total);
   };
@@ -229,28 +249,45 @@ const Cart = () => {
     calculateSelectedTotal();
   }, [selectedItems, cart, products]);
 
+  // Prices, promotions, delivery and tax are worked out by the server; only IDs, quantities and codes are sent
+  const quoteItems = async (items) => {
+    const res = await axios.post('http://localhost:5000/api/orders/calculate-total', {
+      items: items.map(item => ({ productId: item.productId, variantId: item.variantId || null, quantity: item.quantity })),
+      promoCodes,
+      customerId: userId
+    });
+    return {
+      subtotal: res.data.subtotal,
+      discount: res.data.discount,
+      deliveryFee: res.data.shipping,
+      tax: res.data.tax,
+      total: res.data.total,
+      promotions: res.data.promotions || [],
+      promoErrors: res.data.promoErrors || [],
+      // Only codes that applied go on to checkout, so a rejected code cannot block payment
+      promoCodes: (res.data.promotions || []).map(promotion => promotion.code).filter(Boolean)
+    };
+  };
+
+  useEffect(() => {
+    localStorage.setItem('promoCodes', JSON.stringify(promoCodes));
+    if (cart.length > 0) calculateTotal();
+  }, [promoCodes]);
+
+  const handleApplyPromoCode = (e) => {
+    e.preventDefault();
+    const code = promoCode.trim().toUpperCase();
+    if (code && !promoCodes.includes(code)) setPromoCodes(prev => [...prev, code]);
+    setPromoCode('');
+  };
+
+  const handleRemovePromoCode = (code) => {
+    setPromoCodes(prev => prev.filter(c => c !== code));
+  };
+
   const calculateTotal = async () => {
     try {
-      const orderItems = cart.map(item => {
-        const product = getProductDetails(item.productId);
-        if (!product) {
-          console.error('Product not found for item:', item.productId);
-          return null;
-        }
-        return {
-          productId: item.productId,
-          quantity: item.quantity,
-          priceAtOrder: product.price
-        };
-      }).filter(item => item !== null);
-      const res = await axios.post('http://localhost:5000/api/orders/calculate-total', {
-        items: orderItems
-      });
-      setTotalData({
-        subtotal: res.data.subtotal,
-        deliveryFee: res.data.deliveryCharge,
-        total: res.data.total
-      });
+      setTotalData(await quoteItems(cart));
     } catch (err) {
       console.error('Error calculating total:', err);
       alert('Error calculating total.');
@@ -267,7 +304,7 @@ const Cart = () => {
   }, [cartToken]);
 
   // Handle checkout - use selected items if any are selected, otherwise use all cart items
-  const handleProceedToCheckout = () => {
+  const handleProceedToCheckout = async () => {
     if (cart.length === 0) {
       alert('Your cart is empty. Please add items to proceed to checkout.');
       return;
@@ -277,18 +314,14 @@ const Cart = () => {
 
     if (selectedItems.size > 0) {
       // Use selected items only
-      checkoutCart = cart.filter(item => selectedItems.has(item.productId));
-      
-      const selectedSubtotal = checkoutCart.reduce((sum, item) => {
-        const product = getProductDetails(item.productId);
-        return sum + (product.price || 0) * item.quantity;
-      }, 0);
-      
-      checkoutTotalData = {
-        subtotal: selectedSubtotal,
-        deliveryFee: 450,
-        total: selectedSubtotal + 450
-      };
+      checkoutCart = cart.filter(item => selectedItems.has(lineKey(item)));
+      try {
+        checkoutTotalData = await quoteItems(checkoutCart);
+      } catch (err) {
+        console.error('Error calculating selected total:', err);
+        alert(err.response?.data?.message || 'Error calculating total.');
+        return;
+      }
     } else {
       // Use all cart items
       checkoutCart = cart;
@@ -340,13 +373,15 @@ const Cart = () => {
             ) : (
               cart.map((item) => {
                 const product = getProductDetails(item.productId);
+                const variant = getVariant(product, item.variantId);
+                const price = linePrice(product, item.variantId);
                 return (
-                  <div key={item.productId} className="grid grid-cols-7 gap-4 items-center py-4 border-b">
+                  <div key={lineKey(item)} className="grid grid-cols-7 gap-4 items-center py-4 border-b">
                     <div className="flex items-center justify-center">
                       <input
                         type="checkbox"
-                        checked={selectedItems.has(item.productId)}
-                        onChange={() => handleItemSelection(item.productId)}
+                        checked={selectedItems.has(lineKey(item))}
+                        onChange={() => handleItemSelection(lineKey(item))}
                         className="w-4 h-4 text-[#42ADF5] bg-gray-100 border-gray-300 rounded focus:ring-[#42ADF5] focus:ring-2"
                       />
                     </div>
@@ -355,11 +390,19 @@ const Cart = () => {
                       alt={product.name} 
                       className="w-10 h-10 object-cover rounded" 
                     />
-                    <div className="font-medium">{product.name || 'Unknown Product'}</div>
-                    <div>LKR {product.price || 0}</div>
+                    <div className="font-medium">
+                      {product.name || 'Unknown Product'}
+                      {variant && <div className="text-xs text-gray-500">{variantLabel(variant)}</div>}
+                      {stockIssues[lineKey(item)] !== undefined && (
+                        <div className="text-xs text-red-600">
+                          {stockIssues[lineKey(item)] > 0 ? `Only ${stockIssues[lineKey(item)]} left` : 'Out of stock'}
+                        </div>
+                      )}
+                    </div>
+                    <div>LKR {price}</div>
                     <div className="flex items-center space-x-2">
                       <button 
-                        onClick={() => handleQuantityChange(item.productId, -1)}
+                        onClick={() => handleQuantityChange(item, -1)}
                         className="w-6 h-6 rounded-full border flex items-center justify-center hover:bg-gray-100"
                         disabled={item.quantity <= 1}
                       >
@@ -367,15 +410,15 @@ const Cart = () => {
                       </button>
                       <span className="w-8 text-center">{item.quantity}</span>
                       <button 
-                        onClick={() => handleQuantityChange(item.productId, 1)}
+                        onClick={() => handleQuantityChange(item, 1)}
                         className="w-6 h-6 rounded-full border flex items-center justify-center hover:bg-gray-100"
                       >
                         <Plus className="w-3 h-3" />
                       </button>
                     </div>
-                    <div>LKR {(product.price || 0) * item.quantity}</div>
+                    <div>LKR {price * item.quantity}</div>
                     <button 
-                      onClick={() => handleRemoveItem(item.productId)}
+                      onClick={() => handleRemoveItem(item)}
                       className="text-gray-400 hover:text-red-500"
                     >
                       <X className="w-4 h-4" />
@@ -397,10 +440,23 @@ const Cart = () => {
                 <span>Subtotal</span>
                 <span>LKR {totalData.subtotal}</span>
               </div>
+              {(totalData.promotions || []).map(promotion => (
+                <div key={promotion.promotionId} className="flex justify-between text-green-700">
+                  <span>{promotion.code || promotion.name}</span>
+                  <span>- LKR {promotion.amount}</span>
+                </div>
+              ))}
               <div className="flex justify-between">
-                <span>Delivery Fee</span>
+                <span>Delivery Fee (estimate)</span>
                 <span>LKR {totalData.deliveryFee}</span>
               </div>
+              <p className="text-xs text-gray-500">Worked out for your address at checkout, or free with store pickup</p>
+              {totalData.tax > 0 && (
+                <div className="flex justify-between">
+                  <span>Tax</span>
+                  <span>LKR {totalData.tax}</span>
+                </div>
+              )}
               <div className="flex justify-between font-bold text-lg border-t pt-2">
                 <span>Total</span>
                 <span>LKR {totalData.total}</span>
@@ -408,6 +464,38 @@ const Cart = () => {
             </div>
           </div>
 
+          {/* Promo Codes */}
+          <div className="bg-white rounded-lg p-6 shadow-sm">
+            <h3 className="font-bold text-lg mb-4">Promo Code</h3>
+            <form onSubmit={handleApplyPromoCode} className="flex gap-2">
+              <input
+                type="text"
+                value={promoCode}
+                onChange={(e) => setPromoCode(e.target.value)}
+                placeholder="Enter code"
+                className="flex-1 border rounded-lg px-3 py-2 text-sm uppercase"
+              />
+              <button type="submit" className="bg-[#072679] text-white px-4 py-2 rounded-lg hover:bg-[#051A5C] text-sm">
+                Apply
+              </button>
+            </form>
+            {promoCodes.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-3">
+                {promoCodes.map(code => (
+                  <span key={code} className={`flex items-center gap-1 text-xs px-2 py-1 rounded-full ${(totalData.promoCodes || []).includes(code) ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+                    {code}
+                    <button onClick={() => handleRemovePromoCode(code)} aria-label={`Remove ${code}`}>
+                      <X className="w-3 h-3" />
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+            {(totalData.promoErrors || []).map(message => (
+              <p key={message} className="text-xs text-red-600 mt-2">{message}</p>
+            ))}
+          </div>
+
           {/* Selected Items Total */}
           {selectedItems.size > 0 && (
             <div className="bg-white rounded-lg p-6 shadow-sm">
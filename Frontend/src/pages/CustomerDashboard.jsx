@@ -6,6 +6,8 @@ import Brand from '../brand';
 import axios from 'axios';
 import Header from '../components/Header';
 import Footer from '../components/Footer';
+import WishlistPanel from '../components/WishlistPanel';
+import AddressBook from '../components/AddressBook';
 
 // Using shared Brand from ../brand
 
@@ -291,6 +293,10 @@ const CustomerDashboard = ({ customerId }) => {
           </div>
         </div>
 
+        <WishlistPanel />
+
+        <AddressBook />
+
         {/* Stats */}
         <div className="grid grid-cols-1 md:grid-cols-6 gap-4 mb-6">
           {[
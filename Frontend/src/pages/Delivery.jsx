@@ -5,6 +5,9 @@ import { getCurrentUserId, isLoggedIn } from '../utils/getCurrentUser';
 import { Pencil, Check, X } from 'lucide-react';
 import Header from '../components/Header';
 import Footer from '../components/Footer';
+import AddressBook from '../components/AddressBook';
+import { formatAddress } from '../utils/addresses';
+import { SHIPPING_METHOD_LABELS, shippingLabel } from '../utils/shipping';
 
 const Delivery = () => {
   const location = useLocation();
@@ -15,6 +18,12 @@ const Delivery = () => {
   const [error, setError] = useState(null);
   const [editingField, setEditingField] = useState(null);
   const [editedUser, setEditedUser] = useState({});
+  const [deliveryAddress, setDeliveryAddress] = useState(null);
+  const [deliveryMethod, setDeliveryMethod] = useState('delivery');
+  // Totals re-quoted for the chosen address or pickup; the cart's totals are only an estimate
+  const [quote, setQuote] = useState(totalData);
+  const [quoteError, setQuoteError] = useState('');
+  const [quoting, setQuoting] = useState(false);
 
   // Get current logged-in user ID
   const userId = getCurrentUserId();
@@ -43,8 +52,7 @@ const Delivery = () => {
           firstName: response.data.firstName || '',
           lastName: response.data.lastName || '',
           email: response.data.email || '',
-          contactNumber: response.data.contactNumber || '',
-          address: response.data.address || ''
+          contactNumber: response.data.contactNumber || ''
         });
         setLoading(false);
       } catch (err) {
@@ -61,13 +69,60 @@ const Delivery = () => {
     }
   }, [location.state, userId, navigate]);
 
+  // Shipping depends on where the order goes, so price it again whenever that changes
+  useEffect(() => {
+    if (cart.length === 0) return;
+    if (deliveryMethod === 'delivery' && !deliveryAddress) {
+      setQuote(totalData);
+      setQuoteError('');
+      return;
+    }
+    setQuoting(true);
+    setQuoteError('');
+    axios.post('http://localhost:5000/api/orders/calculate-total', {
+      items: cart.map(item => ({ productId: item.productId, variantId: item.variantId || null, quantity: item.quantity })),
+      promoCodes: totalData.promoCodes || [],
+      customerId: userId,
+      deliveryMethod,
+      district: deliveryAddress?.district,
+      postalCode: deliveryAddress?.postalCode
+    })
+      .then(res => setQuote({
+        subtotal: res.data.subtotal,
+        discount: res.data.discount,
+        deliveryFee: res.data.shipping,
+        tax: res.data.tax,
+        total: res.data.total,
+        promotions: res.data.promotions || [],
+        promoCodes: (res.data.promotions || []).map(promotion => promotion.code).filter(Boolean),
+        shippingQuote: res.data.shippingQuote
+      }))
+      .catch(err => {
+        console.error('Error calculating total:', err);
+        setQuoteError(err.response?.data?.message || 'Could not work out the shipping charge. Please try again.');
+      })
+      .finally(() => setQuoting(false));
+  }, [deliveryMethod, deliveryAddress]);
+
   const handleProceedToPayment = () => {
     if (!user || cart.length === 0) {
       alert('User details are not loaded or cart is empty.');
       return;
     }
-    const fullAddress = user.address || 'No address provided';
-    navigate('/payment', { state: { cart, totalData, address: fullAddress, cartToken } });
+    if (deliveryMethod === 'delivery' && !deliveryAddress) {
+      alert('Choose or add a delivery address.');
+      return;
+    }
+    navigate('/payment', {
+      state: {
+        cart,
+        totalData: quote,
+        deliveryMethod,
+        address: deliveryMethod === 'pickup' ? '' : formatAddress(deliveryAddress),
+        addressId: deliveryMethod === 'pickup' ? null : deliveryAddress._id,
+        cartToken
+      }
+    });
   };
 
   const handleEdit = (field) => {
@@ -98,8 +153,7 @@ const Delivery = () => {
         firstName: data.firstName || '',
         lastName: data.lastName || '',
         email: data.email || '',
-        contactNumber: data.contactNumber || '',
-        address: data.address || ''
+        contactNumber: data.contactNumber || ''
       });
       setEditingField(null);
     } catch (e) {
@@ -325,57 +379,50 @@ const Delivery = () => {
                       )}
                     </td>
                   </tr>
-                  <tr>
-                    <td className="py-3 pr-4 font-semibold">Address</td>
-                    <td className="py-3 pr-4">
-                      {editingField === 'address' ? (
-                        <input
-                          type="text"
-                          className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-900 focus:border-blue-900"
-                          value={editedUser.address}
-                          onChange={(e) => setEditedUser({ ...editedUser, address: e.target.value })}
-                        />
-                      ) : (
-                        <span>{user?.address || 'No address provided'}</span>
-                      )}
-                    </td>
-                    <td className="py-3">
-                      {editingField === 'address' ? (
-                        <div className="flex gap-2">
-                          <button
-                            onClick={() => handleSave('address')}
-                            className="p-2 rounded border border-blue-900 bg-blue-900 text-white hover:bg-blue-800"
-                            aria-label="Save address"
-                            title="Save"
-                          >
-                            <Check className="w-4 h-4" />
-                          </button>
-                          <button
-                            onClick={handleCancel}
-                            className="p-2 rounded border text-gray-700 hover:bg-gray-100"
-                            aria-label="Cancel editing"
-                            title="Cancel"
-                          >
-                            <X className="w-4 h-4" />
-                          </button>
-                        </div>
-                      ) : (
-                        <button
-                          onClick={() => handleEdit('address')}
-                          className="p-2 rounded border border-blue-900 text-blue-900 hover:bg-blue-900 hover:text-white transition-colors"
-                          aria-label="Edit address"
-                          title="Edit"
-                        >
-                          <Pencil className="w-4 h-4" />
-                        </button>
-                      )}
-                    </td>
-                  </tr>
                 </tbody>
               </table>
             </div>
           </div>
 
+          <div className="bg-white rounded-lg p-6 shadow-sm mt-6">
+            <h2 className="text-xl font-bold mb-4">How would you like to get your order?</h2>
+            <div className="flex flex-col sm:flex-row gap-3">
+              {Object.entries(SHIPPING_METHOD_LABELS).map(([method, label]) => (
+                <label
+                  key={method}
+                  className={`flex-1 flex items-start gap-3 border rounded-lg p-4 cursor-pointer ${deliveryMethod === method ? 'border-blue-900 bg-blue-50' : 'border-gray-200'}`}
+                >
+                  <input
+                    type="radio"
+                    name="deliveryMethod"
+                    value={method}
+                    checked={deliveryMethod === method}
+                    onChange={() => setDeliveryMethod(method)}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="block font-semibold">{label}</span>
+                    <span className="block text-sm text-gray-600">
+                      {method === 'pickup'
+                        ? 'Collect it from the CricketXpert Academy, free of charge'
+                        : 'Delivered to your address; the charge depends on your area and parcel'}
+                    </span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {deliveryMethod === 'delivery' && (
+            <div className="mt-6">
+              <AddressBook
+                selectedId={deliveryAddress?._id}
+                onSelect={setDeliveryAddress}
+                suggestedLine1={user?.address || ''}
+              />
+            </div>
+          )}
+
           {/* Single Product Details (when coming from BuyPage) */}
           {singleProduct && (
             <div className="bg-white rounded-lg p-6 shadow-sm mt-6">
@@ -405,21 +452,40 @@ const Delivery = () => {
           <div className="space-y-2 text-sm">
             <div className="flex justify-between">
               <span>Subtotal</span>
-                              <span>LKR {totalData.subtotal}</span>
+              <span>LKR {quote.subtotal}</span>
             </div>
+            {quote.discount > 0 && (
+              <div className="flex justify-between text-green-700">
+                <span>Discount</span>
+                <span>- LKR {quote.discount}</span>
+              </div>
+            )}
             <div className="flex justify-between">
-              <span>Delivery Fee</span>
-                              <span>LKR {totalData.deliveryFee}</span>
+              <span>{quote.shippingQuote ? shippingLabel(quote.shippingQuote) : 'Delivery Fee'}</span>
+              <span>{quote.shippingQuote?.freeShipping || quote.shippingQuote?.method === 'pickup' ? 'Free' : `LKR ${quote.deliveryFee}`}</span>
             </div>
+            {deliveryMethod === 'delivery' && !deliveryAddress && (
+              <p className="text-xs text-gray-500">Estimated until you choose an address</p>
+            )}
+            {quote.shippingQuote?.freeOver != null && !quote.shippingQuote.freeShipping && (
+              <p className="text-xs text-gray-500">Free delivery in this area on orders over LKR {quote.shippingQuote.freeOver}</p>
+            )}
+            {quote.tax > 0 && (
+              <div className="flex justify-between">
+                <span>Tax</span>
+                <span>LKR {quote.tax}</span>
+              </div>
+            )}
             <div className="flex justify-between font-bold text-lg border-t pt-2">
               <span>Total</span>
-                              <span>LKR {totalData.total}</span>
+              <span>LKR {quote.total}</span>
             </div>
           </div>
+          {quoteError && <p className="text-sm text-red-600 mt-3">{quoteError}</p>}
           <button 
             onClick={handleProceedToPayment}
-            className="w-full bg-blue-900 text-white py-3 rounded-lg mt-4 hover:bg-blue-800 transition-colors"
-            disabled={!user || !cart.length}
+            className="w-full bg-blue-900 text-white py-3 rounded-lg mt-4 hover:bg-blue-800 transition-colors disabled:opacity-50"
+            disabled={!user || !cart.length || (deliveryMethod === 'delivery' && !deliveryAddress) || quoting || !!quoteError}
           >
             Proceed to Payment
           </button>
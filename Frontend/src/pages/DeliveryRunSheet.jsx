@@ -0,0 +1,287 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Truck, Phone, MapPin, CheckCircle, XCircle, Camera } from 'lucide-react';
+import {
+  DELIVERY_RUN_STATUS_COLORS,
+  DELIVERY_RUN_STATUS_LABELS,
+  FAILED_DELIVERY_REASON_LABELS,
+  STOP_STATUS_COLORS,
+  STOP_STATUS_LABELS,
+} from '../utils/orderStatus';
+import { formatAddress } from '../utils/addresses';
+
+const API = 'http://localhost:5000/api/delivery-runs';
+
+const personName = (user) => (user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.username : '');
+
+const addressOf = (order) => (order.deliveryAddress ? formatAddress(order.deliveryAddress) : order.address);
+
+const phoneOf = (order) => order.deliveryAddress?.phone || order.customerId?.contactNumber;
+
+const EMPTY_OUTCOME = { status: '', recipientName: '', photo: '', failedReason: '', note: '' };
+
+// The delivery staff member's run sheet, laid out for a phone
+const DeliveryRunSheet = () => {
+  const [deliveryRuns, setDeliveryRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [recording, setRecording] = useState(null);
+  const [outcome, setOutcome] = useState(EMPTY_OUTCOME);
+  const [uploading, setUploading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState({});
+
+  const fetchRunSheet = async () => {
+    try {
+      const { data } = await axios.get(`${API}/mine`);
+      setDeliveryRuns(data);
+    } catch (err) {
+      console.error('Error fetching run sheet:', err);
+      setMessage({ type: 'error', text: 'Failed to load your runs.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRunSheet();
+  }, []);
+
+  const replaceRun = (updated) => {
+    setDeliveryRuns(prev => prev.map(deliveryRun => (deliveryRun._id === updated._id ? updated : deliveryRun)));
+  };
+
+  const startRun = async (deliveryRun) => {
+    try {
+      setBusy(true);
+      const { data } = await axios.put(`${API}/${deliveryRun._id}/start`);
+      replaceRun(data.deliveryRun);
+      setMessage(data.problems.length > 0
+        ? { type: 'error', text: `Some stops could not go out: ${data.problems.map(problem => problem.message).join('; ')}. Mark them failed.` }
+        : { type: 'success', text: `${deliveryRun.runNumber} is on its way. Drive safely!` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error starting run.' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openOutcome = (stop, status) => {
+    setRecording(stop._id);
+    setOutcome({ ...EMPTY_OUTCOME, status, recipientName: stop.orderId?.deliveryAddress?.recipientName || personName(stop.orderId?.customerId) });
+  };
+
+  const handlePhoto = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const formData = new FormData();
+    formData.append('photo', file);
+    try {
+      setUploading(true);
+      const { data } = await axios.post('http://localhost:5000/api/upload/delivery-photo', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      setOutcome(prev => ({ ...prev, photo: data.filePath }));
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Photo upload failed.' });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const saveStop = async (deliveryRun, stop, update) => {
+    try {
+      setBusy(true);
+      const { data } = await axios.put(`${API}/${deliveryRun._id}/stops/${stop._id}`, update);
+      replaceRun(data);
+      setRecording(null);
+      setMessage({ type: 'success', text: `Order ...${stop.orderId._id.slice(-8)}: ${STOP_STATUS_LABELS[update.status].toLowerCase()}.` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Error updating stop.' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submitOutcome = (e, deliveryRun, stop) => {
+    e.preventDefault();
+    saveStop(deliveryRun, stop, outcome);
+  };
+
+  const inputClass = 'w-full border rounded-lg px-3 py-3 text-base focus:outline-none focus:ring-2 focus:ring-blue-900';
+
+  return (
+    <div className="min-h-screen bg-gray-50 px-3 py-6">
+      <div className="max-w-xl mx-auto">
+        <h1 className="text-2xl font-bold text-[#072679] mb-4 flex items-center gap-2">
+          <Truck className="w-6 h-6" /> My Deliveries
+        </h1>
+
+        {message.text && (
+          <div className={`p-3 mb-4 rounded-lg ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>{message.text}</div>
+        )}
+
+        {loading ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : deliveryRuns.length === 0 ? (
+          <p className="bg-white rounded-xl shadow p-6 text-center text-gray-500">No runs assigned to you right now.</p>
+        ) : deliveryRuns.map(deliveryRun => (
+          <div key={deliveryRun._id} className="bg-white rounded-xl shadow-md p-4 mb-6">
+            <div className="flex justify-between items-start gap-2 mb-2">
+              <div>
+                <p className="font-semibold text-gray-900">{deliveryRun.runNumber}</p>
+                <p className="text-sm text-gray-500">
+                  {new Date(deliveryRun.date).toLocaleDateString()} · {deliveryRun.stops.filter(stop => stop.status === 'delivered').length} of {deliveryRun.stops.length} delivered
+                </p>
+              </div>
+              <span className={`px-2 py-1 rounded-full text-xs font-semibold ${DELIVERY_RUN_STATUS_COLORS[deliveryRun.status]}`}>
+                {DELIVERY_RUN_STATUS_LABELS[deliveryRun.status]}
+              </span>
+            </div>
+            {deliveryRun.note && <p className="text-sm bg-yellow-50 text-yellow-800 rounded p-2 mb-2">{deliveryRun.note}</p>}
+
+            {deliveryRun.status === 'planned' && (
+              <button
+                onClick={() => startRun(deliveryRun)}
+                disabled={busy}
+                className="w-full bg-[#072679] text-white py-3 rounded-lg text-base font-semibold mb-3 disabled:opacity-50"
+              >
+                Loaded up, start the run
+              </button>
+            )}
+
+            <ol className="space-y-3">
+              {deliveryRun.stops.map((stop, index) => {
+                const order = stop.orderId;
+                if (!order) return null;
+                const phone = phoneOf(order);
+                const open = ['planned', 'out'].includes(deliveryRun.status);
+                return (
+                  <li key={stop._id} className="border border-gray-200 rounded-lg p-3">
+                    <div className="flex justify-between items-start gap-2">
+                      <p className="font-semibold text-gray-900">
+                        {index + 1}. {order.deliveryAddress?.recipientName || personName(order.customerId)}
+                      </p>
+                      <span className={`px-2 py-1 rounded-full text-xs font-semibold whitespace-nowrap ${STOP_STATUS_COLORS[stop.status]}`}>
+                        {STOP_STATUS_LABELS[stop.status]}
+                      </span>
+                    </div>
+                    <a
+                      href={`https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(addressOf(order) || '')}`}
+                      target="_blank"
+                      rel="noreferrer"
+                      className="flex items-start gap-1 text-sm text-blue-700 mt-1"
+                    >
+                      <MapPin className="w-4 h-4 mt-0.5 shrink-0" /> {addressOf(order)}
+                    </a>
+                    {order.deliveryAddress?.instructions && (
+                      <p className="text-sm text-gray-600 mt-1">{order.deliveryAddress.instructions}</p>
+                    )}
+                    {phone && (
+                      <a href={`tel:${phone}`} className="flex items-center gap-1 text-sm text-blue-700 mt-1">
+                        <Phone className="w-4 h-4" /> {phone}
+                      </a>
+                    )}
+                    <p className="text-sm text-gray-700 mt-2">
+                      {order.items.map(item => `${item.quantity} × ${item.name}${item.variantLabel ? ` (${item.variantLabel})` : ''}`).join(', ')}
+                    </p>
+                    <p className="text-xs text-gray-500">Order ...{order._id.slice(-8)} · LKR {(order.amount || 0).toFixed(2)}</p>
+
+                    {stop.status === 'delivered' && (
+                      <p className="text-sm text-green-700 mt-2">Received by {stop.recipientName} at {new Date(stop.attemptedAt).toLocaleTimeString()}</p>
+                    )}
+                    {stop.status === 'failed' && (
+                      <p className="text-sm text-red-700 mt-2">{FAILED_DELIVERY_REASON_LABELS[stop.failedReason]} at {new Date(stop.attemptedAt).toLocaleTimeString()}</p>
+                    )}
+
+                    {open && recording === stop._id ? (
+                      <form onSubmit={(e) => submitOutcome(e, deliveryRun, stop)} className="mt-3 space-y-3">
+                        {outcome.status === 'delivered' ? (
+                          <>
+                            <input
+                              value={outcome.recipientName}
+                              onChange={(e) => setOutcome(prev => ({ ...prev, recipientName: e.target.value }))}
+                              placeholder="Who took the parcel?"
+                              required
+                              maxLength={100}
+                              className={inputClass}
+                            />
+                            <label className="flex items-center justify-center gap-2 w-full border border-dashed border-gray-400 rounded-lg py-3 text-gray-700 cursor-pointer">
+                              <Camera className="w-5 h-5" />
+                              {uploading ? 'Uploading...' : outcome.photo ? 'Photo added, tap to retake' : 'Take a photo (optional)'}
+                              <input type="file" accept="image/*" capture="environment" onChange={handlePhoto} className="hidden" />
+                            </label>
+                            {outcome.photo && (
+                              <img src={`http://localhost:5000${outcome.photo}`} alt="Proof of delivery" className="w-24 h-24 object-cover rounded" />
+                            )}
+                          </>
+                        ) : (
+                          <select
+                            value={outcome.failedReason}
+                            onChange={(e) => setOutcome(prev => ({ ...prev, failedReason: e.target.value }))}
+                            required
+                            className={inputClass}
+                          >
+                            <option value="">Why could it not be delivered?</option>
+                            {Object.entries(FAILED_DELIVERY_REASON_LABELS).map(([value, label]) => (
+                              <option key={value} value={value}>{label}</option>
+                            ))}
+                          </select>
+                        )}
+                        <textarea
+                          value={outcome.note}
+                          onChange={(e) => setOutcome(prev => ({ ...prev, note: e.target.value }))}
+                          placeholder="Note (optional), e.g. left with the security guard"
+                          maxLength={500}
+                          rows="2"
+                          className={inputClass}
+                        />
+                        <div className="flex gap-2">
+                          <button type="submit" disabled={busy || uploading} className="flex-1 bg-[#072679] text-white py-3 rounded-lg font-semibold disabled:opacity-50">
+                            {outcome.status === 'delivered' ? 'Confirm delivery' : 'Record failed attempt'}
+                          </button>
+                          <button type="button" onClick={() => setRecording(null)} className="flex-1 bg-gray-200 text-gray-700 py-3 rounded-lg">
+                            Back
+                          </button>
+                        </div>
+                      </form>
+                    ) : open && (
+                      <div className="flex gap-2 mt-3">
+                        {stop.status === 'pending' && (
+                          <button
+                            onClick={() => saveStop(deliveryRun, stop, { status: 'out_for_delivery' })}
+                            disabled={busy}
+                            className="flex-1 flex items-center justify-center gap-1 bg-purple-600 text-white py-3 rounded-lg disabled:opacity-50"
+                          >
+                            <Truck className="w-4 h-4" /> Out for delivery
+                          </button>
+                        )}
+                        {stop.status === 'out_for_delivery' && (
+                          <button
+                            onClick={() => openOutcome(stop, 'delivered')}
+                            className="flex-1 flex items-center justify-center gap-1 bg-green-600 text-white py-3 rounded-lg"
+                          >
+                            <CheckCircle className="w-4 h-4" /> Delivered
+                          </button>
+                        )}
+                        {['pending', 'out_for_delivery'].includes(stop.status) && (
+                          <button
+                            onClick={() => openOutcome(stop, 'failed')}
+                            className="flex-1 flex items-center justify-center gap-1 bg-red-100 text-red-700 py-3 rounded-lg"
+                          >
+                            <XCircle className="w-4 h-4" /> Failed
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DeliveryRunSheet;
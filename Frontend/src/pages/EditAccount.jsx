@@ -1,6 +1,10 @@
 import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
+import ActiveSessions from '../components/ActiveSessions';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import PersonalData from '../components/PersonalData';
+import MyInvoices from '../components/MyInvoices';
 
 // --- Data for Sri Lankan Provinces and Districts/Cities ---
 const srilankaData = {
@@ -242,6 +246,7 @@ export default function EditAccount() {
     if (loading) return <div className="text-center p-10">Loading account details...</div>;
 
     return (
+        <>
         <div className="bg-surface rounded-2xl shadow-lg p-8">
             <h1 className="text-4xl font-bold text-primary mb-8">Edit Your Account</h1>
             
@@ -333,5 +338,12 @@ export default function EditAccount() {
                 </div>
             </form>
         </div>
+
+        {/* --- LOGGED-IN DEVICES --- */}
+        <TwoFactorSettings />
+        <ActiveSessions />
+        <MyInvoices />
+        <PersonalData />
+        </>
     );
 }
@@ -50,6 +50,11 @@ export default function ForgotPassword() {
             }, 3000);
         } catch (err) {
             setError(err.response?.data?.message || 'An error occurred.');
+            // The code was burned after too many wrong guesses; a new one is needed
+            if (err.response?.data?.codeInvalidated) {
+                setCode('');
+                setStep(1);
+            }
         } finally {
             setLoading(false);
         }
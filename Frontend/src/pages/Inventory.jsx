@@ -1,6 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
-import { Package, AlertTriangle, CheckCircle, Plus, PlusCircle, Search, Filter } from 'lucide-react';
+import { Package, AlertTriangle, CheckCircle, Plus, PlusCircle, Search, Filter, History, ShoppingCart } from 'lucide-react';
+import { hasVariants, getVariant, variantLabel } from '../utils/cartLines';
+import StockMovementHistory from '../components/StockMovementHistory';
+
+// Why a custom stock change is made; damaged stock is taken out, everything else is added
+const STOCK_CHANGE_REASONS = [
+  { value: 'supplier_receipt', label: 'Received' },
+  { value: 'manual_adjustment', label: 'Adjust' },
+  { value: 'damaged', label: 'Damaged' },
+];
 
 const Inventory = () => {
   const [products, setProducts] = useState([]);
@@ -13,10 +22,17 @@ const Inventory = () => {
   const [selectedCategory, setSelectedCategory] = useState('');
   const [categories, setCategories] = useState([]);
   const [manualStockInputs, setManualStockInputs] = useState({});
+  // Products with variants are restocked one variant at a time
+  const [selectedVariants, setSelectedVariants] = useState({});
+  // On-hand, reserved (held in shoppers' carts) and available quantities by product
+  const [stockLevels, setStockLevels] = useState({});
+  const [stockChangeReasons, setStockChangeReasons] = useState({});
+  const [historyProduct, setHistoryProduct] = useState(null);
 
   useEffect(() => {
     fetchProducts();
     fetchCategories();
+    fetchStockLevels();
   }, []);
 
   useEffect(() => {
@@ -37,6 +53,15 @@ const Inventory = () => {
     }
   };
 
+  const fetchStockLevels = async () => {
+    try {
+      const response = await axios.get('http://localhost:5000/api/products/stock-levels');
+      setStockLevels(Object.fromEntries(response.data.map(level => [level.productId, level])));
+    } catch (err) {
+      console.error('Error fetching stock levels:', err);
+    }
+  };
+
   const fetchCategories = async () => {
     try {
       const response = await axios.get('http://localhost:5000/api/products/categories');
@@ -78,20 +103,23 @@ const Inventory = () => {
       setUpdatingStock(prev => ({ ...prev, [productId]: true }));
       
       const response = await axios.put(`http://localhost:5000/api/products/${productId}/stock`, {
-        stockChange: stockChange
+        stockChange: stockChange,
+        variantId: selectedVariants[productId],
+        reason: 'supplier_receipt'
       });
 
       // Update the product in the local state
       setProducts(prevProducts => 
         prevProducts.map(product => 
           product._id === productId 
-            ? { ...product, stock_quantity: response.data.stock_quantity }
+            ? { ...product, stock_quantity: response.data.stock_quantity, variants: response.data.variants }
             : product
         )
       );
+      fetchStockLevels();
     } catch (err) {
       console.error('Error updating stock:', err);
-      alert('Failed to update stock. Please try again.');
+      alert(err.response?.data?.message || 'Failed to update stock. Please try again.');
     } finally {
       setUpdatingStock(prev => ({ ...prev, [productId]: false }));
     }
@@ -99,6 +127,7 @@ const Inventory = () => {
 
   const handleManualStockAdd = async (productId) => {
     const stockToAdd = manualStockInputs[productId];
+    const reason = stockChangeReasons[productId] || 'supplier_receipt';
     if (!stockToAdd || stockToAdd <= 0) {
       alert('Please enter a valid stock amount');
       return;
@@ -108,28 +137,45 @@ const Inventory = () => {
       setUpdatingStock(prev => ({ ...prev, [productId]: true }));
       
       const response = await axios.put(`http://localhost:5000/api/products/${productId}/stock`, {
-        stockChange: parseInt(stockToAdd)
+        stockChange: reason === 'damaged' ? -parseInt(stockToAdd) : parseInt(stockToAdd),
+        variantId: selectedVariants[productId],
+        reason
       });
 
       // Update the product in the local state
       setProducts(prevProducts => 
         prevProducts.map(product => 
           product._id === productId 
-            ? { ...product, stock_quantity: response.data.stock_quantity }
+            ? { ...product, stock_quantity: response.data.stock_quantity, variants: response.data.variants }
             : product
         )
       );
+      fetchStockLevels();
 
       // Clear the input
       setManualStockInputs(prev => ({ ...prev, [productId]: '' }));
     } catch (err) {
       console.error('Error updating stock:', err);
-      alert('Failed to update stock. Please try again.');
+      alert(err.response?.data?.message || 'Failed to update stock. Please try again.');
     } finally {
       setUpdatingStock(prev => ({ ...prev, [productId]: false }));
     }
   };
 
+  // Add a low stock item to its supplier's draft purchase order
+  const handleDraftReorder = async (product) => {
+    try {
+      const response = await axios.post('http://localhost:5000/api/purchase-orders/reorder', {
+        productId: product._id,
+        variantId: selectedVariants[product._id] || undefined
+      });
+      alert(response.data.message);
+    } catch (err) {
+      console.error('Error drafting purchase order:', err);
+      alert(err.response?.data?.message || 'Failed to draft a purchase order.');
+    }
+  };
+
   const getStockStatus = (stock) => {
     if (stock === 0) return 'out';
     if (stock < 10) return 'critical';
@@ -341,7 +387,15 @@ const Inventory = () => {
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
           {sortedProducts.map((product) => {
             const stockStatus = getStockStatus(product.stock_quantity);
-            const isUpdating = updatingStock[product._id];
+            const withVariants = hasVariants(product);
+            const selectedVariant = getVariant(product, selectedVariants[product._id]);
+            const isUpdating = updatingStock[product._id] || (withVariants && !selectedVariant);
+            const levels = stockLevels[product._id];
+            const variantLevels = Object.fromEntries((levels?.variants || []).map(level => [level.variantId, level]));
+            const reorderPoint = product.reorderPoint ?? 10;
+            const needsReorder = withVariants
+              ? product.variants.some(variant => variant.stock_quantity <= reorderPoint)
+              : product.stock_quantity <= reorderPoint;
             
             return (
               <div
@@ -380,10 +434,41 @@ const Inventory = () => {
                       Stock: {product.stock_quantity}
                     </span>
                   </div>
+                  {levels && (
+                    <div className="grid grid-cols-3 gap-1 text-center text-xs mb-3">
+                      <div className="bg-white bg-opacity-60 rounded p-1">
+                        <div className="text-gray-500">On hand</div>
+                        <div className="font-bold">{levels.onHand}</div>
+                      </div>
+                      <div className="bg-white bg-opacity-60 rounded p-1">
+                        <div className="text-gray-500">Reserved</div>
+                        <div className="font-bold">{levels.reserved}</div>
+                      </div>
+                      <div className="bg-white bg-opacity-60 rounded p-1">
+                        <div className="text-gray-500">Available</div>
+                        <div className="font-bold">{levels.available}</div>
+                      </div>
+                    </div>
+                  )}
                 </div>
 
                 {/* Stock Update Buttons */}
                 <div className="space-y-2">
+                  {withVariants && (
+                    <select
+                      value={selectedVariants[product._id] || ''}
+                      onChange={(e) => setSelectedVariants(prev => ({ ...prev, [product._id]: e.target.value }))}
+                      className="w-full px-2 py-1.5 border border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      <option value="">Choose a variant to restock</option>
+                      {product.variants.map(variant => (
+                        <option key={variant._id} value={variant._id}>
+                          {variantLabel(variant)} ({variant.sku}): {variant.stock_quantity} on hand
+                          {variantLevels[variant._id] ? `, ${variantLevels[variant._id].reserved} reserved` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  )}
                   {/* Quick Add Buttons */}
                   <div className="grid grid-cols-3 gap-1">
                     <button
@@ -416,6 +501,16 @@ const Inventory = () => {
 
                   {/* Manual Stock Input */}
                   <div className="flex gap-1 justify-center">
+                    <select
+                      value={stockChangeReasons[product._id] || 'supplier_receipt'}
+                      onChange={(e) => setStockChangeReasons(prev => ({ ...prev, [product._id]: e.target.value }))}
+                      className="px-1 py-1.5 border border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      disabled={isUpdating}
+                    >
+                      {STOCK_CHANGE_REASONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
                     <input
                       type="number"
                       placeholder="Custom"
@@ -436,6 +531,26 @@ const Inventory = () => {
                       <Plus className="w-3 h-3" />
                     </button>
                   </div>
+
+                  {needsReorder && (
+                    <button
+                      onClick={() => handleDraftReorder(product)}
+                      disabled={withVariants && !selectedVariant}
+                      title={withVariants && !selectedVariant ? 'Choose the variant to reorder' : undefined}
+                      className="w-full px-2 py-1.5 bg-[#072679] text-white rounded-lg hover:bg-[#051a5a] disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-1 transition-colors text-xs"
+                    >
+                      <ShoppingCart className="w-3 h-3" />
+                      Draft purchase order
+                    </button>
+                  )}
+
+                  <button
+                    onClick={() => setHistoryProduct(product)}
+                    className="w-full px-2 py-1.5 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 flex items-center justify-center gap-1 transition-colors text-xs"
+                  >
+                    <History className="w-3 h-3" />
+                    Stock history
+                  </button>
                 </div>
               </div>
             );
@@ -467,6 +582,10 @@ const Inventory = () => {
             <p className="text-gray-500">Add some products to start managing your inventory.</p>
           </div>
         )}
+
+        {historyProduct && (
+          <StockMovementHistory product={historyProduct} onClose={() => setHistoryProduct(null)} />
+        )}
       </div>
     </div>
   );
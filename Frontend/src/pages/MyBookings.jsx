@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { Brand } from "../brand.js";
 import { getCurrentUserId, isLoggedIn } from "../utils/getCurrentUser";
+import { authFetch } from "../utils/authSession";
 
 const MyBookings = () => {
     const [bookings, setBookings] = useState([]);
@@ -41,7 +42,12 @@ const MyBookings = () => {
                 ...(sortOrder && { sortOrder }),
             });
 
-            const response = await fetch(`/api/bookings/user/${userId}?${params}`);
+            const userInfo = JSON.parse(localStorage.getItem("userInfo"));
+            const response = await authFetch(`/api/bookings/user/${userId}?${params}`, {
+                headers: {
+                    Authorization: `Bearer ${userInfo?.token}`,
+                },
+            });
             const data = await response.json();
 
             if (data.success) {
@@ -71,7 +77,7 @@ const MyBookings = () => {
 
         try {
             const userInfo = JSON.parse(localStorage.getItem("userInfo"));
-            const response = await fetch(`/api/bookings/${bookingId}/cancel`, {
+            const response = await authFetch(`/api/bookings/${bookingId}/cancel`, {
                 method: "PUT",
                 headers: {
                     "Content-Type": "application/json",
@@ -1,11 +1,15 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
-import { Package, Clock, CheckCircle, XCircle } from 'lucide-react';
+import { Package, Clock, CheckCircle, XCircle, Truck } from 'lucide-react';
 import { getCurrentUserId } from '../utils/getCurrentUser';
+import { CUSTOMER_CANCELLABLE_STATUSES, RETURN_STATUS_COLORS, RETURN_STATUS_LABELS, orderStatusLabel, orderStatusColor } from '../utils/orderStatus';
+import ReturnRequestModal from '../components/ReturnRequestModal';
 
 const MyOrders = () => {
   const [orders, setOrders] = useState([]);
+  const [returnRequests, setReturnRequests] = useState([]);
+  const [returningOrder, setReturningOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const navigate = useNavigate();
 
@@ -14,6 +18,7 @@ const MyOrders = () => {
 
   useEffect(() => {
     fetchOrders();
+    fetchReturnRequests();
   }, []);
 
   const fetchOrders = async () => {
@@ -31,30 +36,44 @@ const MyOrders = () => {
     }
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'created':
-        return 'bg-blue-100 text-blue-800';
-      case 'processing':
-        return 'bg-yellow-100 text-yellow-800';
-      case 'completed':
-        return 'bg-green-100 text-green-800';
-      case 'cancelled':
-        return 'bg-red-100 text-red-800';
-      case 'cart_pending':
-        return 'bg-gray-100 text-gray-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
+  const fetchReturnRequests = async () => {
+    try {
+      const res = await axios.get('http://localhost:5000/api/returns/mine');
+      setReturnRequests(res.data);
+    } catch (err) {
+      console.error('Error fetching return requests:', err);
     }
   };
 
+  const handleWithdrawReturn = async (returnRequest) => {
+    if (!window.confirm(`Withdraw return ${returnRequest.rmaNumber}?`)) {
+      return;
+    }
+
+    try {
+      await axios.put(`http://localhost:5000/api/returns/${returnRequest._id}/cancel`);
+      fetchReturnRequests();
+    } catch (error) {
+      console.error('Error withdrawing return:', error);
+      alert(error.response?.data?.message || 'Failed to withdraw the return. Please try again.');
+    }
+  };
+
+  const handleReturnSubmitted = (returnRequest) => {
+    setReturningOrder(null);
+    alert(`Return ${returnRequest.rmaNumber} sent. We will email you once it has been reviewed.`);
+    fetchReturnRequests();
+  };
+
   const getStatusIcon = (status) => {
     switch (status) {
       case 'created':
         return <Package className="w-4 h-4" />;
       case 'processing':
         return <Clock className="w-4 h-4" />;
-      case 'completed':
+      case 'out_for_delivery':
+        return <Truck className="w-4 h-4" />;
+      case 'delivered':
         return <CheckCircle className="w-4 h-4" />;
       case 'cancelled':
         return <XCircle className="w-4 h-4" />;
@@ -105,7 +124,7 @@ const MyOrders = () => {
   };
 
   const handleCancelOrder = async (orderId) => {
-    if (!window.confirm('Are you sure you want to cancel this order? This action will notify the order manager for refund processing.')) {
+    if (!window.confirm('Are you sure you want to cancel this order? Anything you paid that has not been refunded yet will be refunded.')) {
       return;
     }
 
@@ -120,7 +139,7 @@ const MyOrders = () => {
       const response = await axios.put(`http://localhost:5000/api/orders/${orderId}/cancel`, {}, config);
       
       if (response.data.success) {
-        alert('Order cancelled successfully! The order manager has been notified for refund processing.');
+        alert(response.data.message);
         // Refresh the orders list
         fetchOrders();
       }
@@ -191,9 +210,9 @@ const MyOrders = () => {
                           </p>
                         </div>
                         <div className="text-right">
-                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(order.status)}`}>
+                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${orderStatusColor(order.status)}`}>
                             {getStatusIcon(order.status)}
-                            <span className="ml-1">{order.status}</span>
+                            <span className="ml-1">{orderStatusLabel(order.status)}</span>
                           </span>
                           <div className="mt-3 space-y-2">
                             <button 
@@ -217,7 +236,7 @@ const MyOrders = () => {
                             >
                               Download
                             </button>
-                            {order.status !== 'cancelled' && order.status !== 'completed' && (
+                            {CUSTOMER_CANCELLABLE_STATUSES.includes(order.status) && (
                               <button 
                                 onClick={() => handleCancelOrder(order._id)}
                                 className="block w-full mt-2 border border-[#dc3545] text-[#dc3545] px-4 py-2 rounded text-sm hover:bg-[#dc3545] hover:text-white transition-colors"
@@ -225,9 +244,45 @@ const MyOrders = () => {
                                 Cancel Order
                               </button>
                             )}
+                            {order.status === 'delivered' && (
+                              <button 
+                                onClick={() => setReturningOrder(order)}
+                                className="block w-full mt-2 border border-[#D88717] text-[#D88717] px-4 py-2 rounded text-sm hover:bg-[#D88717] hover:text-white transition-colors"
+                              >
+                                Return / Exchange
+                              </button>
+                            )}
                           </div>
                         </div>
                       </div>
+                      {returnRequests.filter(returnRequest => returnRequest.orderId === order._id).map(returnRequest => (
+                        <div key={returnRequest._id} className="mt-4 p-3 bg-gray-50 rounded-lg text-sm">
+                          <div className="flex items-center justify-between gap-3">
+                            <p className="font-medium" style={{ color: '#072679' }}>
+                              {returnRequest.rmaNumber} · {returnRequest.type === 'exchange' ? 'Exchange' : 'Return'} of {returnRequest.lines.map(line => `${line.quantity} × ${line.name}`).join(', ')}
+                            </p>
+                            <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${RETURN_STATUS_COLORS[returnRequest.status]}`}>
+                              {RETURN_STATUS_LABELS[returnRequest.status]}
+                            </span>
+                          </div>
+                          {returnRequest.staffNote && (
+                            <p className="mt-1" style={{ color: '#36516C' }}>Note from the shop: {returnRequest.staffNote}</p>
+                          )}
+                          {returnRequest.status === 'received' && (
+                            <p className="mt-1" style={{ color: '#36516C' }}>
+                              {returnRequest.replacementOrderId ? 'A replacement is on its way.' : `Refund of LKR ${(returnRequest.refundAmount || 0).toFixed(2)}`}
+                            </p>
+                          )}
+                          {['requested', 'approved'].includes(returnRequest.status) && (
+                            <button 
+                              onClick={() => handleWithdrawReturn(returnRequest)}
+                              className="mt-2 text-xs text-[#dc3545] hover:underline"
+                            >
+                              Withdraw
+                            </button>
+                          )}
+                        </div>
+                      ))}
                       <div className="mt-4 pt-4 border-t border-gray-200">
                         <h4 className="font-medium mb-2" style={{ color: '#36516C' }}>
                           Delivery Information
@@ -247,6 +302,13 @@ const MyOrders = () => {
           )}
         </div>
       </div>
+      {returningOrder && (
+        <ReturnRequestModal
+          order={returningOrder}
+          onClose={() => setReturningOrder(null)}
+          onSubmitted={handleReturnSubmitted}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/guardian/children';
+
+const emptyChild = { firstName: '', lastName: '', dob: '', email: '' };
+
+const attendanceStyles = {
+    present: 'bg-green-100 text-green-800',
+    late: 'bg-yellow-100 text-yellow-800',
+    excused: 'bg-blue-100 text-blue-800',
+    absent: 'bg-red-100 text-red-800',
+};
+
+// Lets a parent or guardian add junior players and follow their coaching
+export default function MyPlayers() {
+    const [children, setChildren] = useState([]);
+    const [newChild, setNewChild] = useState(emptyChild);
+    const [showForm, setShowForm] = useState(false);
+    const [selected, setSelected] = useState(null);
+    const [activity, setActivity] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+
+    const getConfig = () => {
+        const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+        return { headers: { Authorization: `Bearer ${userInfo?.token}` } };
+    };
+
+    const fetchChildren = async () => {
+        try {
+            setLoading(true);
+            const { data } = await axios.get(API_URL, getConfig());
+            setChildren(data.data);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load your junior players.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => { fetchChildren(); }, []);
+
+    const fetchActivity = async (childId) => {
+        setSelected(childId);
+        setActivity(null);
+        try {
+            const { data } = await axios.get(`${API_URL}/${childId}/activity`, getConfig());
+            setActivity(data.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load player activity.');
+        }
+    };
+
+    const handleAddChild = async (e) => {
+        e.preventDefault();
+        setError('');
+        setMessage('');
+        try {
+            const { data } = await axios.post(API_URL, newChild, getConfig());
+            setMessage(`${data.data.firstName} has been added to your account.`);
+            setNewChild(emptyChild);
+            setShowForm(false);
+            fetchChildren();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to add junior player.');
+        }
+    };
+
+    if (loading) return <div className="p-8 text-center">Loading your players...</div>;
+
+    return (
+        <div className="space-y-8">
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-primary">My Players</h1>
+                    <p className="text-text-body">Add your children, then enroll them in programs from the Programs page.</p>
+                </div>
+                <button onClick={() => setShowForm(!showForm)} className="px-4 py-2 bg-secondary text-white rounded-lg hover:bg-secondary-hover">
+                    {showForm ? 'Cancel' : 'Add Junior Player'}
+                </button>
+            </div>
+
+            {error && <div className="p-3 bg-red-100 text-red-700 rounded-lg">{error}</div>}
+            {message && <div className="p-3 bg-green-100 text-green-700 rounded-lg">{message}</div>}
+
+            {showForm && (
+                <form onSubmit={handleAddChild} className="bg-surface rounded-2xl shadow-lg p-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <input value={newChild.firstName} onChange={(e) => setNewChild({ ...newChild, firstName: e.target.value })} placeholder="First name" required className="px-3 py-2 border rounded-lg" />
+                    <input value={newChild.lastName} onChange={(e) => setNewChild({ ...newChild, lastName: e.target.value })} placeholder="Last name" required className="px-3 py-2 border rounded-lg" />
+                    <div>
+                        <label className="block text-sm text-text-body mb-1">Date of birth</label>
+                        <input type="date" value={newChild.dob} onChange={(e) => setNewChild({ ...newChild, dob: e.target.value })} required className="w-full px-3 py-2 border rounded-lg" />
+                    </div>
+                    <div>
+                        <label className="block text-sm text-text-body mb-1">Player's own email (optional)</label>
+                        <input type="email" value={newChild.email} onChange={(e) => setNewChild({ ...newChild, email: e.target.value })} placeholder="Leave blank to use yours" className="w-full px-3 py-2 border rounded-lg" />
+                    </div>
+                    <div className="md:col-span-2 text-right">
+                        <button type="submit" className="px-4 py-2 bg-primary text-white rounded-lg">Save Player</button>
+                    </div>
+                </form>
+            )}
+
+            {children.length === 0 ? (
+                <p className="text-gray-500">You have not added any junior players yet.</p>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    {children.map(child => (
+                        <button
+                            key={child._id}
+                            onClick={() => fetchActivity(child._id)}
+                            className={`text-left bg-surface rounded-2xl shadow-lg p-4 border-2 ${selected === child._id ? 'border-secondary' : 'border-transparent'}`}
+                        >
+                            <p className="text-lg font-semibold text-primary">{child.firstName} {child.lastName}</p>
+                            <p className="text-sm text-text-body">Born {new Date(child.dob).toLocaleDateString()}</p>
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {selected && !activity && <div className="p-4 text-center">Loading activity...</div>}
+
+            {activity && (
+                <div className="space-y-6">
+                    <div className="bg-surface rounded-2xl shadow-lg p-6">
+                        <h2 className="text-2xl font-bold text-primary mb-4">Enrollments</h2>
+                        {activity.enrollments.length === 0 ? (
+                            <p className="text-gray-500">{activity.child.firstName} is not enrolled in any program yet.</p>
+                        ) : (
+                            <ul className="divide-y">
+                                {activity.enrollments.map(e => (
+                                    <li key={e._id} className="py-3 flex justify-between items-center">
+                                        <div>
+                                            <p className="font-medium text-gray-800">{e.program?.title}</p>
+                                            <p className="text-xs text-gray-500 capitalize">{e.status} · payment {e.paymentStatus} · {e.progress?.completedSessions || 0}/{e.progress?.totalSessions} sessions</p>
+                                        </div>
+                                        <Link to={`/enrollment/${e._id}`} className="text-secondary hover:underline text-sm">Book sessions</Link>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+
+                    <div className="bg-surface rounded-2xl shadow-lg p-6">
+                        <h2 className="text-2xl font-bold text-primary mb-4">Attendance</h2>
+                        {activity.attendance.length === 0 ? (
+                            <p className="text-gray-500">No attendance recorded yet.</p>
+                        ) : (
+                            <table className="min-w-full text-sm">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-4 py-2 text-left">Session</th>
+                                        <th className="px-4 py-2 text-left">Date</th>
+                                        <th className="px-4 py-2 text-left">Status</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {activity.attendance.map(a => (
+                                        <tr key={a._id} className="border-t">
+                                            <td className="px-4 py-2">{a.session?.title}</td>
+                                            <td className="px-4 py-2">{a.session?.scheduledDate && new Date(a.session.scheduledDate).toLocaleDateString()}</td>
+                                            <td className="px-4 py-2">
+                                                <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${attendanceStyles[a.status]}`}>{a.status}</span>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+
+                    <div className="bg-surface rounded-2xl shadow-lg p-6">
+                        <h2 className="text-2xl font-bold text-primary mb-4">Coach Feedback</h2>
+                        {activity.feedback.length === 0 ? (
+                            <p className="text-gray-500">No feedback shared yet.</p>
+                        ) : (
+                            <ul className="space-y-4">
+                                {activity.feedback.map(f => (
+                                    <li key={f._id} className="border-l-4 border-secondary pl-4">
+                                        <p className="text-sm text-gray-500">
+                                            {f.program?.title} · {f.session?.title} · {'★'.repeat(f.rating)}
+                                        </p>
+                                        <p className="text-gray-800">{f.comment}</p>
+                                        <p className="text-xs text-gray-500">
+                                            Coach {f.coach?.userId?.firstName} {f.coach?.userId?.lastName} · {new Date(f.createdAt).toLocaleDateString()}
+                                        </p>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Brand } from '../brand.js';
 import { getCurrentUserId, isLoggedIn } from '../utils/getCurrentUser';
+import { authFetch } from '../utils/authSession';
 
 const Notifications = () => {
     const [notifications, setNotifications] = useState([]);
@@ -35,7 +36,7 @@ const Notifications = () => {
             });
 
             const userInfo = JSON.parse(localStorage.getItem('userInfo'));
-            const response = await fetch(`/api/notifications?${params}`, {
+            const response = await authFetch(`/api/notifications?${params}`, {
                 headers: {
                     'Authorization': `Bearer ${userInfo?.token}`,
                     'user-id': userId
@@ -62,7 +63,7 @@ const Notifications = () => {
     const fetchStats = async () => {
         try {
             const userInfo = JSON.parse(localStorage.getItem('userInfo'));
-            const response = await fetch('/api/notifications/stats', {
+            const response = await authFetch('/api/notifications/stats', {
                 headers: {
                     'Authorization': `Bearer ${userInfo?.token}`,
                     'user-id': userId
@@ -81,7 +82,7 @@ const Notifications = () => {
     const markAsRead = async (notificationId) => {
         try {
             const userInfo = JSON.parse(localStorage.getItem('userInfo'));
-            await fetch(`/api/notifications/${notificationId}/read`, {
+            await authFetch(`/api/notifications/${notificationId}/read`, {
                 method: 'PUT',
                 headers: {
                     'Authorization': `Bearer ${userInfo?.token}`,
@@ -107,7 +108,7 @@ const Notifications = () => {
     const markAllAsRead = async () => {
         try {
             const userInfo = JSON.parse(localStorage.getItem('userInfo'));
-            await fetch('/api/notifications/read-all', {
+            await authFetch('/api/notifications/read-all', {
                 method: 'PUT',
                 headers: {
                     'Authorization': `Bearer ${userInfo?.token}`,
@@ -132,7 +133,7 @@ const Notifications = () => {
 
         try {
             const userInfo = JSON.parse(localStorage.getItem('userInfo'));
-            await fetch(`/api/notifications/${notificationId}`, {
+            await authFetch(`/api/notifications/${notificationId}`, {
                 method: 'DELETE',
                 headers: {
                     'Authorization': `Bearer ${userInfo?.token}`,
@@ -160,6 +161,8 @@ const Notifications = () => {
             case 'booking_confirmed': return '✅';
             case 'booking_completed': return '🏁';
             case 'status_changed': return '📋';
+            case 'back_in_stock': return '🔔';
+            case 'delivery_update': return '🚚';
             default: return '📢';
         }
     };
@@ -299,6 +302,11 @@ const Notifications = () => {
                                                 <span className="text-sm" style={{ color: Brand.body }}>
                                                     {formatTime(notification.createdAt)}
                                                 </span>
+                                                {notification.userId?.guardian && (
+                                                    <span className="text-xs px-2 py-0.5 rounded-full bg-purple-100 text-purple-800">
+                                                        For {notification.userId.firstName}
+                                                    </span>
+                                                )}
                                             </div>
                                         </div>
                                     </div>
@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react';
 import { useLocation, useNavigate, useParams } from 'react-router-dom';
 import axios from 'axios';
 import { getCurrentUserId } from '../utils/getCurrentUser';
+import { CUSTOMER_CANCELLABLE_STATUSES, ITEM_EDITABLE_STATUSES, orderStatusLabel } from '../utils/orderStatus';
+import { shippingLabel } from '../utils/shipping';
 import Header from '../components/Header';
 import Footer from '../components/Footer';
 
@@ -14,6 +16,9 @@ const OrderDetails = () => {
   const [payment, setPayment] = useState(initialPayment || {});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [editingItems, setEditingItems] = useState(false);
+  const [quantities, setQuantities] = useState({});
+  const [savingItems, setSavingItems] = useState(false);
 
   // Get current logged-in user ID
   const userId = getCurrentUserId();
@@ -86,7 +91,7 @@ const OrderDetails = () => {
   };
 
   const handleCancelOrder = async (orderId) => {
-    if (!window.confirm('Are you sure you want to cancel this order? This action will notify the order manager for refund processing.')) {
+    if (!window.confirm('Are you sure you want to cancel this order? Anything you paid that has not been refunded yet will be refunded.')) {
       return;
     }
 
@@ -101,7 +106,7 @@ const OrderDetails = () => {
       const response = await axios.put(`http://localhost:5000/api/orders/${orderId}/cancel`, {}, config);
       
       if (response.data.success) {
-        alert('Order cancelled successfully! The order manager has been notified for refund processing.');
+        alert(response.data.message);
         // Navigate back to orders list
         navigate('/orders');
       }
@@ -111,6 +116,41 @@ const OrderDetails = () => {
     }
   };
 
+  const startEditingItems = () => {
+    setQuantities(Object.fromEntries(order.items.map(item => [item._id, item.quantity])));
+    setEditingItems(true);
+  };
+
+  const handleSaveItems = async () => {
+    const items = order.items
+      .filter(item => Number(quantities[item._id]) !== item.quantity)
+      .map(item => ({ itemId: item._id, quantity: Number(quantities[item._id]) }));
+    if (items.length === 0) {
+      setEditingItems(false);
+      return;
+    }
+    if (!window.confirm('Update this order? Removed items cannot be added back.')) {
+      return;
+    }
+
+    try {
+      setSavingItems(true);
+      const response = await axios.put(`http://localhost:5000/api/orders/${order._id}/items`, { items });
+      alert(`${response.data.message} We have emailed you the updated order.`);
+      setOrder(response.data.order);
+      setEditingItems(false);
+      if (payment._id) {
+        const paymentResponse = await axios.get(`http://localhost:5000/api/payment/order/${order._id}`);
+        setPayment(paymentResponse.data?.[0] || {});
+      }
+    } catch (error) {
+      console.error('Error updating order items:', error);
+      alert(error.response?.data?.message || 'Failed to update the order. Please try again.');
+    } finally {
+      setSavingItems(false);
+    }
+  };
+
   if (loading) return <div className="text-center p-8">Loading order details...</div>;
   if (error) return <div className="text-center p-8 text-red-500">{error}</div>;
 
@@ -126,36 +166,92 @@ const OrderDetails = () => {
           <h3 className="font-semibold text-lg mb-2">Order Information</h3>
           <p><strong>Order ID:</strong> {order._id || 'N/A'}</p>
           <p><strong>Date:</strong> {new Date(order.date || order.createdAt || Date.now()).toLocaleDateString()}</p>
-          <p><strong>Status:</strong> {order.status || 'N/A'}</p>
+          <p><strong>Status:</strong> {order.status ? orderStatusLabel(order.status) : 'N/A'}</p>
           <p><strong>Address:</strong> {order.address || 'N/A'}</p>
-                          <p><strong>Total Amount:</strong> LKR {order.amount || 0}.00</p>
+          {order.shippingQuote && (
+            <p>
+              <strong>{shippingLabel(order.shippingQuote)}:</strong>{' '}
+              {order.shippingQuote.charge > 0 ? `LKR ${order.shippingQuote.charge.toFixed(2)}` : 'Free'}
+            </p>
+          )}
+          <p><strong>Total Amount:</strong> LKR {(order.amount || 0).toFixed(2)}</p>
         </div>
 
         {/* Order Items */}
         <div className="mb-6">
-          <h3 className="font-semibold text-lg mb-2">Items</h3>
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="font-semibold text-lg">Items</h3>
+            {ITEM_EDITABLE_STATUSES.includes(order.status) && order.items?.length > 0 && !editingItems && (
+              <button onClick={startEditingItems} className="text-sm text-[#42ADF5] hover:underline">
+                Remove or reduce items
+              </button>
+            )}
+          </div>
           {order.items && order.items.length > 0 ? (
             <ul className="space-y-2">
               {order.items.map((item, index) => (
-                <li key={index} className="flex justify-between text-sm">
+                <li key={item._id || index} className="flex justify-between items-center text-sm">
                   <span>
-                    {item.productId?.name || item.productId || 'Unknown Product'} 
-                    (Qty: {item.quantity})
+                    {item.name || item.productId?.name || 'Unknown Product'}{item.variantLabel ? ` (${item.variantLabel})` : ''}
+                    {' '}(Qty: {item.quantity})
                   </span>
-                  <span>LKR {(item.priceAtOrder * item.quantity).toFixed(2)}</span>
+                  {editingItems ? (
+                    <select
+                      value={quantities[item._id]}
+                      onChange={(e) => setQuantities(prev => ({ ...prev, [item._id]: e.target.value }))}
+                      className="border border-gray-300 rounded px-2 py-1"
+                      aria-label={`New quantity for ${item.name || 'item'}`}
+                    >
+                      {Array.from({ length: item.quantity + 1 }, (_, n) => (
+                        <option key={n} value={n}>{n === 0 ? 'Remove' : n}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span>LKR {(item.priceAtOrder * item.quantity).toFixed(2)}</span>
+                  )}
                 </li>
               ))}
             </ul>
           ) : (
             <p>No items in this order.</p>
           )}
+          {editingItems && (
+            <div className="flex gap-3 mt-3">
+              <button
+                onClick={handleSaveItems}
+                disabled={savingItems}
+                className="bg-[#42ADF5] text-white py-1 px-4 rounded-lg hover:bg-[#2C8ED1] text-sm disabled:opacity-50"
+              >
+                {savingItems ? 'Saving...' : 'Save changes'}
+              </button>
+              <button onClick={() => setEditingItems(false)} className="bg-gray-200 text-gray-700 py-1 px-4 rounded-lg hover:bg-gray-300 text-sm">
+                Keep as is
+              </button>
+            </div>
+          )}
+          {order.lineChanges?.length > 0 && (
+            <div className="mt-4 text-sm">
+              <h4 className="font-medium mb-1">Changes</h4>
+              <ul className="space-y-1">
+                {order.lineChanges.map((change, index) => (
+                  <li key={index}>
+                    {new Date(change.at).toLocaleDateString()}: {change.name}{change.variantLabel ? ` (${change.variantLabel})` : ''}
+                    {change.to === 0 ? ' removed' : ` reduced from ${change.from} to ${change.to}`} (LKR {(change.amount || 0).toFixed(2)} off)
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
 
         {/* Payment Information */}
         <div className="mb-6">
           <h3 className="font-semibold text-lg mb-2">Payment Information</h3>
           <p><strong>Payment ID:</strong> {payment._id || 'N/A'}</p>
-                          <p><strong>Amount Paid:</strong> LKR {payment.amount || 0}.00</p>
+          <p><strong>Amount Paid:</strong> LKR {(payment.amount || 0).toFixed(2)}</p>
+          {payment.refundAmount > 0 && (
+            <p><strong>Refunded:</strong> LKR {payment.refundAmount.toFixed(2)}</p>
+          )}
           <p><strong>Payment Status:</strong> {payment.status || 'N/A'}</p>
           <p><strong>Payment Date:</strong> {new Date(payment.paymentDate || Date.now()).toLocaleDateString()}</p>
         </div>
@@ -174,7 +270,7 @@ const OrderDetails = () => {
           >
             Download PDF
           </button>
-          {order.status !== 'cancelled' && order.status !== 'completed' && (
+          {CUSTOMER_CANCELLABLE_STATUSES.includes(order.status) && (
             <button
               onClick={() => handleCancelOrder(order._id)}
               className="bg-[#dc3545] text-white py-2 px-4 rounded-lg hover:bg-[#c82333] transition-colors"
@@ -1,15 +1,20 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import axios from 'axios';
 import { useDropzone } from 'react-dropzone';
+import VariantEditor from './VariantEditor';
 
 export default function AddProduct() {
     const [formData, setFormData] = useState({
         productId: '', name: '', description: '', category: '', brand: '',
-        price: '', stock_quantity: '',
+        price: '', stock_quantity: '', supplierId: '', reorderPoint: '', reorderQuantity: '', shippingWeight: '',
     });
+    const [suppliers, setSuppliers] = useState([]);
     const [imageFile, setImageFile] = useState(null);
     const [imagePreview, setImagePreview] = useState('');
     const [message, setMessage] = useState('');
+    const [variantData, setVariantData] = useState({ variantOptions: [], variants: [] });
+    const [variantEditorKey, setVariantEditorKey] = useState(0);
+    const withVariants = variantData.variants.length > 0;
 
     // Cricket categories and their corresponding brands
     const categories = {
@@ -22,6 +27,12 @@ export default function AddProduct() {
         'Wearables': ['Nike', 'Adidas', 'Puma', 'Under Armour', 'Reebok', 'New Balance', 'Asics', 'Mizuno', 'Kookaburra', 'SG', 'MRF', 'Gray-Nicolls', 'Spartan', 'CA Plus']
     };
 
+    useEffect(() => {
+        axios.get('http://localhost:5000/api/suppliers')
+            .then(({ data }) => setSuppliers(data.filter(supplier => supplier.is_active)))
+            .catch(err => console.error('Error fetching suppliers:', err));
+    }, []);
+
     const handleChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => {
@@ -71,6 +82,16 @@ export default function AddProduct() {
             productData.append(key, formData[key]);
             console.log(`Form field ${key}:`, formData[key]);
         }
+        if (withVariants) {
+            // Stock is the sum of the variants', worked out by the server
+            productData.set('stock_quantity', 0);
+            productData.append('variantOptions', JSON.stringify(variantData.variantOptions));
+            productData.append('variants', JSON.stringify(variantData.variants.map(variant => ({
+                ...variant,
+                price: variant.price === '' ? null : Number(variant.price),
+                stock_quantity: Number(variant.stock_quantity) || 0,
+            }))));
+        }
         
         console.log('FormData contents:');
         for (let [key, value] of productData.entries()) {
@@ -90,9 +111,11 @@ export default function AddProduct() {
 
             console.log('Product created successfully:', response.data);
             setMessage({ type: 'success', text: 'Product added successfully!' });
-            setFormData({ productId: '', name: '', description: '', category: '', brand: '', price: '', stock_quantity: '' });
+            setFormData({ productId: '', name: '', description: '', category: '', brand: '', price: '', stock_quantity: '', supplierId: '', reorderPoint: '', reorderQuantity: '', shippingWeight: '' });
             setImageFile(null);
             setImagePreview('');
+            setVariantData({ variantOptions: [], variants: [] });
+            setVariantEditorKey(key => key + 1);
         } catch (err) {
             console.error('Error adding product:', err);
             console.error('Error response:', err.response?.data);
@@ -132,10 +155,20 @@ export default function AddProduct() {
                         )}
                     </div>
                 </div>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
                     <input type="number" name="price" value={formData.price} onChange={handleChange} placeholder="Price (LKR)*" className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#072679]" required min="0" step="0.01" />
-                    <input type="number" name="stock_quantity" value={formData.stock_quantity} onChange={handleChange} placeholder="Stock Quantity*" className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#072679]" required min="0" />
+                    <input type="number" name="stock_quantity" value={formData.stock_quantity} onChange={handleChange} placeholder={withVariants ? 'Stock is set per variant' : 'Stock Quantity*'} className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#072679] disabled:bg-gray-100" required={!withVariants} disabled={withVariants} min="0" />
+                    <input type="number" name="shippingWeight" value={formData.shippingWeight} onChange={handleChange} placeholder="Shipping weight per unit (kg)" className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#072679]" min="0" step="0.01" />
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    <select name="supplierId" value={formData.supplierId} onChange={handleChange} className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#072679]">
+                        <option value="">Supplier (optional)</option>
+                        {suppliers.map(supplier => <option key={supplier._id} value={supplier._id}>{supplier.name}</option>)}
+                    </select>
+                    <input type="number" name="reorderPoint" value={formData.reorderPoint} onChange={handleChange} placeholder="Reorder point (default 10)" className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#072679]" min="0" />
+                    <input type="number" name="reorderQuantity" value={formData.reorderQuantity} onChange={handleChange} placeholder="Reorder quantity" className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#072679]" min="1" />
                 </div>
+                <VariantEditor key={variantEditorKey} productId={formData.productId} onChange={setVariantData} />
                 <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">Product Image*</label>
                     <div {...getRootProps()} className={`border-2 border-dashed rounded-lg p-8 text-center cursor-pointer transition-colors ${isDragActive ? 'border-[#072679] bg-blue-50' : 'border-gray-300 hover:border-gray-400'}`}>
@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Truck, XCircle, Trash2 } from 'lucide-react';
+import {
+    DELIVERY_RUN_STATUS_COLORS,
+    DELIVERY_RUN_STATUS_LABELS,
+    FAILED_DELIVERY_REASON_LABELS,
+    STOP_STATUS_COLORS,
+    STOP_STATUS_LABELS,
+} from '../../utils/orderStatus';
+import { formatAddress } from '../../utils/addresses';
+
+const API = 'http://localhost:5000/api/delivery-runs';
+
+// Orders placed with a free-text address have no district to group by
+const NO_AREA = 'Not given';
+
+const districtOf = (order) => order.deliveryAddress?.district || NO_AREA;
+
+const addressOf = (order) => (order.deliveryAddress ? formatAddress(order.deliveryAddress) : order.address);
+
+const personName = (user) => (user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.username : 'Deleted account');
+
+// YYYY-MM-DD in the manager's own time zone
+const today = () => new Date().toLocaleDateString('en-CA');
+
+export default function DeliveryRuns() {
+    const [candidates, setCandidates] = useState([]);
+    const [staff, setStaff] = useState([]);
+    const [deliveryRuns, setDeliveryRuns] = useState([]);
+    const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+    const [status, setStatus] = useState('open');
+    const [selected, setSelected] = useState([]);
+    const [form, setForm] = useState({ date: today(), assignedTo: '', note: '' });
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState({});
+
+    const fetchCandidates = async () => {
+        try {
+            const [{ data: orders }, { data: drivers }] = await Promise.all([
+                axios.get(`${API}/candidates`),
+                axios.get(`${API}/staff`),
+            ]);
+            setCandidates(orders);
+            setStaff(drivers);
+            setSelected(prev => prev.filter(id => orders.some(order => order._id === id)));
+        } catch (err) {
+            console.error('Error fetching orders to dispatch:', err);
+            setMessage({ type: 'error', text: 'Failed to load orders to dispatch.' });
+        }
+    };
+
+    const fetchDeliveryRuns = async (page = 1) => {
+        try {
+            const { data } = await axios.get(API, { params: { status, page } });
+            setDeliveryRuns(data.deliveryRuns);
+            setPagination(data.pagination);
+        } catch (err) {
+            console.error('Error fetching delivery runs:', err);
+            setMessage({ type: 'error', text: 'Failed to load delivery runs.' });
+        }
+    };
+
+    useEffect(() => {
+        fetchCandidates();
+    }, []);
+
+    useEffect(() => {
+        fetchDeliveryRuns();
+    }, [status]);
+
+    const refresh = () => {
+        fetchCandidates();
+        fetchDeliveryRuns(pagination.page);
+    };
+
+    // Grouped by district, in the order the server sorted them
+    const groups = candidates.reduce((acc, order) => {
+        const district = districtOf(order);
+        (acc[district] = acc[district] || []).push(order);
+        return acc;
+    }, {});
+
+    const toggleOrder = (orderId) => {
+        setSelected(prev => (prev.includes(orderId) ? prev.filter(id => id !== orderId) : [...prev, orderId]));
+    };
+
+    const toggleDistrict = (orders) => {
+        const ids = orders.map(order => order._id);
+        const allPicked = ids.every(id => selected.includes(id));
+        setSelected(prev => (allPicked ? prev.filter(id => !ids.includes(id)) : [...new Set([...prev, ...ids])]));
+    };
+
+    const createRun = async (e) => {
+        e.preventDefault();
+        try {
+            setSaving(true);
+            const { data } = await axios.post(API, { ...form, orderIds: selected });
+            setMessage({ type: 'success', text: `${data.runNumber} created with ${data.stops.length} stop(s) for ${personName(data.assignedTo)}.` });
+            setSelected([]);
+            setForm(prev => ({ ...prev, note: '' }));
+            refresh();
+        } catch (err) {
+            setMessage({ type: 'error', text: err.response?.data?.message || 'Error creating delivery run.' });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const updateRun = async (deliveryRun, changes, done) => {
+        try {
+            await axios.put(`${API}/${deliveryRun._id}`, changes);
+            setMessage({ type: 'success', text: `${deliveryRun.runNumber} ${done}.` });
+            refresh();
+        } catch (err) {
+            setMessage({ type: 'error', text: err.response?.data?.message || 'Error updating delivery run.' });
+        }
+    };
+
+    const cancelRun = async (deliveryRun) => {
+        const reason = window.prompt(`Cancel ${deliveryRun.runNumber}? Its orders go back to the list. Reason (optional):`);
+        if (reason === null) return;
+        try {
+            await axios.put(`${API}/${deliveryRun._id}/cancel`, { reason });
+            setMessage({ type: 'success', text: `${deliveryRun.runNumber} cancelled.` });
+            refresh();
+        } catch (err) {
+            setMessage({ type: 'error', text: err.response?.data?.message || 'Error cancelling delivery run.' });
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white p-6 rounded-2xl shadow-lg">
+                <h1 className="text-3xl font-bold text-[#072679] mb-6">Delivery Runs</h1>
+
+                {message.text && (
+                    <div className={`p-3 mb-4 rounded-lg ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>{message.text}</div>
+                )}
+
+                <h2 className="text-xl font-semibold text-gray-800 mb-3">Ready to go out</h2>
+                {candidates.length === 0 ? (
+                    <p className="p-6 text-center text-gray-500">No processing orders are waiting for a run.</p>
+                ) : (
+                    <div className="space-y-4 mb-6">
+                        {Object.entries(groups).map(([district, orders]) => (
+                            <div key={district} className="border border-gray-200 rounded-lg">
+                                <label className="flex items-center gap-2 px-4 py-2 bg-gray-50 font-semibold text-gray-700 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={orders.every(order => selected.includes(order._id))}
+                                        onChange={() => toggleDistrict(orders)}
+                                    />
+                                    {district} ({orders.length})
+                                </label>
+                                <ul className="divide-y divide-gray-100">
+                                    {orders.map(order => (
+                                        <li key={order._id}>
+                                            <label className="flex items-start gap-3 px-4 py-2 text-sm cursor-pointer hover:bg-gray-50">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={selected.includes(order._id)}
+                                                    onChange={() => toggleOrder(order._id)}
+                                                    className="mt-1"
+                                                />
+                                                <span className="flex-1">
+                                                    <span className="font-medium text-gray-900">...{order._id.slice(-8)}</span>
+                                                    {' · '}{personName(order.customerId)}
+                                                    {' · '}{order.items.reduce((sum, item) => sum + item.quantity, 0)} item(s)
+                                                    {' · '}LKR {(order.amount || 0).toFixed(2)}
+                                                    <span className="block text-gray-500">{addressOf(order)}</span>
+                                                </span>
+                                            </label>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <form onSubmit={createRun} className="flex flex-wrap items-end gap-3 text-sm">
+                    <label className="flex flex-col">
+                        <span className="text-gray-600 mb-1">Day</span>
+                        <input
+                            type="date"
+                            value={form.date}
+                            min={today()}
+                            onChange={(e) => setForm(prev => ({ ...prev, date: e.target.value }))}
+                            required
+                            className="p-2 border border-gray-300 rounded-lg"
+                        />
+                    </label>
+                    <label className="flex flex-col">
+                        <span className="text-gray-600 mb-1">Driver</span>
+                        <select
+                            value={form.assignedTo}
+                            onChange={(e) => setForm(prev => ({ ...prev, assignedTo: e.target.value }))}
+                            required
+                            className="p-2 border border-gray-300 rounded-lg"
+                        >
+                            <option value="">Choose delivery staff</option>
+                            {staff.map(user => (
+                                <option key={user._id} value={user._id}>
+                                    {personName(user)}{user.openRuns > 0 ? ` (${user.openRuns} open run${user.openRuns > 1 ? 's' : ''})` : ''}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="flex flex-col flex-1 min-w-[200px]">
+                        <span className="text-gray-600 mb-1">Note for the driver (optional)</span>
+                        <input
+                            value={form.note}
+                            onChange={(e) => setForm(prev => ({ ...prev, note: e.target.value }))}
+                            maxLength={500}
+                            className="p-2 border border-gray-300 rounded-lg"
+                        />
+                    </label>
+                    <button
+                        type="submit"
+                        disabled={saving || selected.length === 0}
+                        className="flex items-center gap-2 bg-[#072679] text-white px-5 py-2 rounded-lg disabled:opacity-50"
+                    >
+                        <Truck size={16} /> {saving ? 'Creating...' : `Create run with ${selected.length} stop(s)`}
+                    </button>
+                </form>
+                {staff.length === 0 && (
+                    <p className="mt-2 text-xs text-gray-500">No active delivery staff yet. An admin can add them under User Management.</p>
+                )}
+            </div>
+
+            <div className="bg-white p-6 rounded-2xl shadow-lg">
+                <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-2xl font-bold text-[#072679]">Runs</h2>
+                    <select value={status} onChange={(e) => setStatus(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                        <option value="open">Planned or out</option>
+                        {Object.entries(DELIVERY_RUN_STATUS_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                        <option value="all">All</option>
+                    </select>
+                </div>
+
+                {deliveryRuns.length === 0 ? (
+                    <p className="p-6 text-center text-gray-500">No runs here.</p>
+                ) : (
+                    <div className="space-y-4">
+                        {deliveryRuns.map(deliveryRun => (
+                            <div key={deliveryRun._id} className="border border-gray-200 rounded-lg p-4">
+                                <div className="flex flex-wrap justify-between gap-2">
+                                    <div>
+                                        <p className="font-semibold text-gray-900">
+                                            {deliveryRun.runNumber} · {new Date(deliveryRun.date).toLocaleDateString()} · {personName(deliveryRun.assignedTo)}
+                                        </p>
+                                        <p className="text-xs text-gray-500">
+                                            {deliveryRun.stops.filter(stop => stop.status === 'delivered').length} of {deliveryRun.stops.length} delivered
+                                            {deliveryRun.startedAt && ` · left ${new Date(deliveryRun.startedAt).toLocaleTimeString()}`}
+                                            {deliveryRun.completedAt && ` · finished ${new Date(deliveryRun.completedAt).toLocaleTimeString()}`}
+                                        </p>
+                                        {deliveryRun.note && <p className="text-sm text-gray-600 mt-1">Note: {deliveryRun.note}</p>}
+                                    </div>
+                                    <span className={`h-fit px-2 py-1 rounded-full text-xs font-semibold ${DELIVERY_RUN_STATUS_COLORS[deliveryRun.status]}`}>
+                                        {DELIVERY_RUN_STATUS_LABELS[deliveryRun.status]}
+                                    </span>
+                                </div>
+
+                                <ol className="mt-3 text-sm space-y-2">
+                                    {deliveryRun.stops.map((stop, index) => (
+                                        <li key={stop._id} className="flex flex-wrap justify-between gap-2 border-t border-gray-100 pt-2">
+                                            <span className="flex-1">
+                                                {index + 1}.{' '}
+                                                {stop.orderId ? (
+                                                    <>
+                                                        <span className="font-medium">...{stop.orderId._id.slice(-8)}</span> · {personName(stop.orderId.customerId)}
+                                                        <span className="block text-gray-500">{addressOf(stop.orderId)}</span>
+                                                    </>
+                                                ) : 'Deleted order'}
+                                                {stop.status === 'delivered' && (
+                                                    <span className="block text-green-700">
+                                                        Received by {stop.recipientName} at {new Date(stop.attemptedAt).toLocaleTimeString()}
+                                                        {stop.photo && (
+                                                            <a href={`http://localhost:5000${stop.photo}`} target="_blank" rel="noreferrer" className="ml-2 underline">photo</a>
+                                                        )}
+                                                    </span>
+                                                )}
+                                                {stop.status === 'failed' && (
+                                                    <span className="block text-red-700">
+                                                        {FAILED_DELIVERY_REASON_LABELS[stop.failedReason]} at {new Date(stop.attemptedAt).toLocaleTimeString()}
+                                                    </span>
+                                                )}
+                                                {stop.note && <span className="block text-gray-600">Driver: {stop.note}</span>}
+                                            </span>
+                                            <span className="flex items-start gap-2">
+                                                <span className={`px-2 py-1 rounded-full text-xs font-semibold ${STOP_STATUS_COLORS[stop.status]}`}>
+                                                    {STOP_STATUS_LABELS[stop.status]}
+                                                </span>
+                                                {deliveryRun.status === 'planned' && deliveryRun.stops.length > 1 && (
+                                                    <button
+                                                        onClick={() => updateRun(deliveryRun, { removeStopIds: [stop._id] }, 'updated')}
+                                                        className="p-1 text-gray-500 hover:text-red-600"
+                                                        title="Take off this run"
+                                                        aria-label="Take off this run"
+                                                    >
+                                                        <Trash2 size={16} />
+                                                    </button>
+                                                )}
+                                            </span>
+                                        </li>
+                                    ))}
+                                </ol>
+
+                                {deliveryRun.status === 'planned' && (
+                                    <div className="flex flex-wrap items-center gap-4 mt-3 text-sm">
+                                        <select
+                                            value={deliveryRun.assignedTo?._id || ''}
+                                            onChange={(e) => updateRun(deliveryRun, { assignedTo: e.target.value }, 'reassigned')}
+                                            className="p-1 border border-gray-300 rounded"
+                                            aria-label="Driver"
+                                        >
+                                            {!staff.some(user => user._id === deliveryRun.assignedTo?._id) && (
+                                                <option value={deliveryRun.assignedTo?._id || ''}>{personName(deliveryRun.assignedTo)}</option>
+                                            )}
+                                            {staff.map(user => <option key={user._id} value={user._id}>{personName(user)}</option>)}
+                                        </select>
+                                        <button onClick={() => cancelRun(deliveryRun)} className="flex items-center gap-1 text-red-600 hover:text-red-800">
+                                            <XCircle size={16} /> Cancel run
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {pagination.pages > 1 && (
+                    <div className="flex justify-between items-center pt-4 text-sm">
+                        <button onClick={() => fetchDeliveryRuns(pagination.page - 1)} disabled={pagination.page <= 1} className="px-3 py-1 bg-gray-200 rounded disabled:opacity-50">Previous</button>
+                        <span>Page {pagination.page} of {pagination.pages}</span>
+                        <button onClick={() => fetchDeliveryRuns(pagination.page + 1)} disabled={pagination.page >= pagination.pages} className="px-3 py-1 bg-gray-200 rounded disabled:opacity-50">Next</button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
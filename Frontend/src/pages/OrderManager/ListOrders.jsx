@@ -1,6 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
-import { Search, Filter, Eye, Edit, Trash2, XCircle, Package, Clock, CheckCircle } from 'lucide-react';
+import { Search, Filter, Eye, Edit, Trash2, XCircle, Package, Clock, CheckCircle, Truck } from 'lucide-react';
+import { ORDER_STATUS_LABELS, orderStatusLabel, orderStatusColor } from '../../utils/orderStatus';
+import ReturnRequestsPanel from './ReturnRequestsPanel';
+import { DISTRICTS } from '../../utils/addresses';
+import { shippingLabel } from '../../utils/shipping';
+
+// Orders placed with a free-text address have no district or city to sort by
+const NO_AREA = 'Not given';
+
+const areaOf = (order, field) => order.deliveryAddress?.[field] || NO_AREA;
 
 // Reusable Modal Component
 const Modal = ({ isOpen, onClose, children }) => {
@@ -57,6 +66,9 @@ export default function ListOrders() {
     const [orders, setOrders] = useState([]);
     const [searchQuery, setSearchQuery] = useState('');
     const [selectedStatus, setSelectedStatus] = useState('');
+    const [selectedDistrict, setSelectedDistrict] = useState('');
+    const [selectedCity, setSelectedCity] = useState('');
+    const [groupBy, setGroupBy] = useState('');
     const [loading, setLoading] = useState(true);
     const [selectedOrder, setSelectedOrder] = useState(null);
     const [editingOrder, setEditingOrder] = useState(null);
@@ -124,7 +136,7 @@ export default function ListOrders() {
     };
 
     const handleEditOrder = (order) => {
-        setEditingOrder(order);
+        setEditingOrder({ ...order, newStatus: order.nextStatuses?.[0] || '', note: '' });
     };
 
     const handleSaveEdit = async () => {
@@ -132,7 +144,7 @@ export default function ListOrders() {
         
         try {
             const userInfo = JSON.parse(localStorage.getItem('userInfo'));
-            await axios.put(`http://localhost:5000/api/orders/${editingOrder._id}`, { status: editingOrder.status }, {
+            await axios.put(`http://localhost:5000/api/orders/${editingOrder._id}`, { status: editingOrder.newStatus, note: editingOrder.note }, {
                 headers: { Authorization: `Bearer ${userInfo.token}` }
             });
             fetchOrders();
@@ -156,21 +168,26 @@ export default function ListOrders() {
     };
 
     const getStatusPill = (status) => {
-        const statuses = {
-            created: { icon: <Package size={14} />, color: 'bg-blue-100 text-blue-800' },
-            processing: { icon: <Clock size={14} />, color: 'bg-yellow-100 text-yellow-800' },
-            completed: { icon: <CheckCircle size={14} />, color: 'bg-green-100 text-green-800' },
-            cancelled: { icon: <XCircle size={14} />, color: 'bg-red-100 text-red-800' },
-            cart_pending: { icon: <Clock size={14} />, color: 'bg-gray-100 text-gray-800' },
-            default: { icon: <Package size={14} />, color: 'bg-gray-100 text-gray-800' }
+        const icons = {
+            created: <Package size={14} />,
+            processing: <Clock size={14} />,
+            out_for_delivery: <Truck size={14} />,
+            delivered: <CheckCircle size={14} />,
+            cancelled: <XCircle size={14} />,
+            cart_pending: <Clock size={14} />
         };
-        const { icon, color } = statuses[status] || statuses.default;
-        return <span className={`inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium ${color}`}>{icon} {status}</span>;
+        return (
+            <span className={`inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium ${orderStatusColor(status)}`}>
+                {icons[status] || <Package size={14} />} {orderStatusLabel(status)}
+            </span>
+        );
     };
 
-    // Filter orders based on search query
+    // Filter orders based on search query and delivery area
     const filteredOrders = orders.filter(order => {
         const searchLower = searchQuery.toLowerCase();
+        if (selectedDistrict && areaOf(order, 'district') !== selectedDistrict) return false;
+        if (selectedCity && areaOf(order, 'city') !== selectedCity) return false;
         return (
             order._id.toLowerCase().includes(searchLower) ||
             order.customerId?.toLowerCase().includes(searchLower) ||
@@ -179,13 +196,28 @@ export default function ListOrders() {
         );
     });
 
+    // Cities seen on orders, within the chosen district
+    const cities = [...new Set(orders
+        .filter(order => order.deliveryAddress?.city && (!selectedDistrict || order.deliveryAddress.district === selectedDistrict))
+        .map(order => order.deliveryAddress.city))].sort();
+
+    // Grouped by area, orders of one district or city come together; otherwise the list order is kept
+    const displayedOrders = groupBy
+        ? [...filteredOrders].sort((a, b) => areaOf(a, groupBy).localeCompare(areaOf(b, groupBy)))
+        : filteredOrders;
+    const groupCounts = displayedOrders.reduce((counts, order) => {
+        const area = groupBy ? areaOf(order, groupBy) : '';
+        return { ...counts, [area]: (counts[area] || 0) + 1 };
+    }, {});
+
     // Calculate order statistics
     const orderStats = {
         total: orders.length,
         cart_pending: orders.filter(order => order.status === 'cart_pending').length,
         created: orders.filter(order => order.status === 'created').length,
         processing: orders.filter(order => order.status === 'processing').length,
-        completed: orders.filter(order => order.status === 'completed').length,
+        out_for_delivery: orders.filter(order => order.status === 'out_for_delivery').length,
+        delivered: orders.filter(order => order.status === 'delivered').length,
         cancelled: orders.filter(order => order.status === 'cancelled').length
     };
 
@@ -218,18 +250,47 @@ export default function ListOrders() {
                             className="border rounded-lg px-4 py-2"
                         >
                             <option value="">All Statuses</option>
-                            <option value="cart_pending">Cart Pending</option>
-                            <option value="created">Created</option>
-                            <option value="processing">Processing</option>
-                            <option value="completed">Completed</option>
-                            <option value="cancelled">Cancelled</option>
+                            {Object.entries(ORDER_STATUS_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <select 
+                            value={selectedDistrict} 
+                            onChange={(e) => { setSelectedDistrict(e.target.value); setSelectedCity(''); }} 
+                            className="border rounded-lg px-4 py-2"
+                            aria-label="District"
+                        >
+                            <option value="">All Districts</option>
+                            {DISTRICTS.map(district => <option key={district} value={district}>{district}</option>)}
+                            <option value={NO_AREA}>{NO_AREA}</option>
+                        </select>
+                        <select 
+                            value={selectedCity} 
+                            onChange={(e) => setSelectedCity(e.target.value)} 
+                            className="border rounded-lg px-4 py-2"
+                            aria-label="City"
+                        >
+                            <option value="">All Cities</option>
+                            {cities.map(city => <option key={city} value={city}>{city}</option>)}
+                        </select>
+                        <select 
+                            value={groupBy} 
+                            onChange={(e) => setGroupBy(e.target.value)} 
+                            className="border rounded-lg px-4 py-2"
+                            aria-label="Group by"
+                        >
+                            <option value="">No Grouping</option>
+                            <option value="district">Group by District</option>
+                            <option value="city">Group by City</option>
                         </select>
                     </div>
                 </div>
             </div>
 
             {/* Dashboard Statistics */}
-            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4">
                 <div className="bg-white p-4 rounded-xl shadow-lg border-l-4 border-blue-500">
                     <div className="flex items-center justify-between">
                         <div>
@@ -270,11 +331,21 @@ export default function ListOrders() {
                     </div>
                 </div>
                 
+                <div className="bg-white p-4 rounded-xl shadow-lg border-l-4 border-purple-500">
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <p className="text-sm font-medium text-gray-600">Out for Delivery</p>
+                            <p className="text-2xl font-bold text-purple-700">{orderStats.out_for_delivery}</p>
+                        </div>
+                        <Truck className="text-purple-500" size={24} />
+                    </div>
+                </div>
+                
                 <div className="bg-white p-4 rounded-xl shadow-lg border-l-4 border-green-500">
                     <div className="flex items-center justify-between">
                         <div>
-                            <p className="text-sm font-medium text-gray-600">Completed</p>
-                            <p className="text-2xl font-bold text-green-700">{orderStats.completed}</p>
+                            <p className="text-sm font-medium text-gray-600">Delivered</p>
+                            <p className="text-2xl font-bold text-green-700">{orderStats.delivered}</p>
                         </div>
                         <CheckCircle className="text-green-500" size={24} />
                     </div>
@@ -325,19 +396,29 @@ export default function ListOrders() {
                                 </tr>
                             </thead>
                            <tbody>
-                                {filteredOrders.length === 0 ? (
+                                {displayedOrders.length === 0 ? (
                                     <tr>
                                         <td colSpan="6" className="p-8 text-center text-gray-500">
                                             No orders found.
                                         </td>
                                     </tr>
                                 ) : (
-                                    filteredOrders.map(order => {
+                                    displayedOrders.map((order, index) => {
                                         const isCartPendingRow = order.type === 'cart_pending' || order.status === 'cart_pending';
                                         const baseRowClass = 'border-b hover:bg-gray-50';
                                         const pendingBg = isCartPendingRow ? 'bg-gray-50' : '';
+                                        const area = groupBy ? areaOf(order, groupBy) : '';
+                                        const startsGroup = groupBy && (index === 0 || areaOf(displayedOrders[index - 1], groupBy) !== area);
                                         return (
-                                        <tr key={order._id} className={`${baseRowClass} ${pendingBg}`}>
+                                        <React.Fragment key={order._id}>
+                                        {startsGroup && (
+                                            <tr className="bg-[#F1F2F7] border-b">
+                                                <td colSpan="6" className="p-3 font-semibold text-[#072679]">
+                                                    {area} · {groupCounts[area]} order{groupCounts[area] === 1 ? '' : 's'}
+                                                </td>
+                                            </tr>
+                                        )}
+                                        <tr className={`${baseRowClass} ${pendingBg}`}>
                                            <td className="p-4 font-mono text-xs text-gray-600">
                                                {isCartPendingRow ? (
                                                    <span className="inline-flex items-center gap-2">
@@ -350,6 +431,14 @@ export default function ListOrders() {
                                            </td>
                                            <td className="p-4 text-sm font-medium text-gray-800">
                                                {isCartPendingRow ? (order.productTitle || 'Unknown Product') : (<>{order.customerId?.slice(-8) || 'N/A'}...</>)}
+                                               {order.deliveryAddress && (
+                                                   <span className="block text-xs font-normal text-gray-500">
+                                                       {order.deliveryAddress.city}, {order.deliveryAddress.district}
+                                                   </span>
+                                               )}
+                                               {order.shippingQuote?.method === 'pickup' && (
+                                                   <span className="block text-xs font-normal text-amber-700">Store pickup</span>
+                                               )}
                                            </td>
                                            <td className="p-4 font-semibold text-[#072679]">LKR {(order.amount ?? order.total ?? 0).toFixed(2)}</td>
                                            <td className="p-4">{getStatusPill(order.status)}</td>
@@ -389,6 +478,7 @@ export default function ListOrders() {
                                                 )}
                                            </td>
                                        </tr>
+                                        </React.Fragment>
                                         );
                                     })
                                 )}
@@ -397,6 +487,8 @@ export default function ListOrders() {
                     </div>
                 )}
             </div>
+
+            <ReturnRequestsPanel />
             
             {/* View Order Modal */}
             <Modal isOpen={!!selectedOrder} onClose={() => {
@@ -427,6 +519,21 @@ export default function ListOrders() {
                                 <div className="md:col-span-2">
                                     <p className="text-sm text-gray-600">Address</p>
                                     <p className="text-sm">{selectedOrder.address || 'No address provided'}</p>
+                                    {selectedOrder.deliveryAddress && (
+                                        <p className="text-sm text-gray-600">
+                                            {selectedOrder.deliveryAddress.recipientName && `For ${selectedOrder.deliveryAddress.recipientName} · `}
+                                            {selectedOrder.deliveryAddress.phone}
+                                            {selectedOrder.deliveryAddress.instructions && ` · ${selectedOrder.deliveryAddress.instructions}`}
+                                        </p>
+                                    )}
+                                    {selectedOrder.shippingQuote && (
+                                        <p className="text-sm text-gray-600">
+                                            {shippingLabel(selectedOrder.shippingQuote)}
+                                            {selectedOrder.shippingQuote.weight > 0 && ` · ${selectedOrder.shippingQuote.weight} kg`}
+                                            {' · '}
+                                            {selectedOrder.shippingQuote.charge > 0 ? `LKR ${selectedOrder.shippingQuote.charge.toFixed(2)}` : 'Free'}
+                                        </p>
+                                    )}
                                 </div>
                                 <div className="md:col-span-2">
                                     <p className="text-sm text-gray-600">Date</p>
@@ -434,6 +541,24 @@ export default function ListOrders() {
                                 </div>
                             </div>
                             
+                            {selectedOrder.statusHistory?.length > 0 && (
+                                <div className="border-t pt-4">
+                                    <h3 className="font-bold text-lg mb-3">Status History</h3>
+                                    <ul className="space-y-2 text-sm">
+                                        {selectedOrder.statusHistory.map((change) => (
+                                            <li key={`${change.status}-${change.at}`} className="flex justify-between gap-4">
+                                                <span>
+                                                    {change.from && <>{orderStatusLabel(change.from)} → </>}
+                                                    <strong>{orderStatusLabel(change.status)}</strong>
+                                                    {change.note && <span className="text-gray-500"> · {change.note}</span>}
+                                                </span>
+                                                <span className="text-gray-500 whitespace-nowrap">{new Date(change.at).toLocaleString()}</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+
                             <div className="border-t pt-4">
                                 <h3 className="font-bold text-lg mb-3">Order Items</h3>
                                 {selectedOrder.items && selectedOrder.items.length > 0 ? (
@@ -457,6 +582,24 @@ export default function ListOrders() {
                                     <p className="text-gray-500 italic">No items found in this order</p>
                                 )}
                             </div>
+
+                            {selectedOrder.lineChanges?.length > 0 && (
+                                <div className="border-t pt-4">
+                                    <h3 className="font-bold text-lg mb-3">Removed or Reduced Items</h3>
+                                    <ul className="space-y-2 text-sm">
+                                        {selectedOrder.lineChanges.map((change) => (
+                                            <li key={`${change.itemId}-${change.at}`} className="flex justify-between gap-4">
+                                                <span>
+                                                    {change.name}{change.variantLabel ? ` (${change.variantLabel})` : ''}:{' '}
+                                                    {change.to === 0 ? `removed (was ${change.from})` : `${change.from} → ${change.to}`}
+                                                    <span className="text-gray-500"> · LKR {(change.amount || 0).toFixed(2)} off</span>
+                                                </span>
+                                                <span className="text-gray-500 whitespace-nowrap">{new Date(change.at).toLocaleString()}</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
                         </div>
                     </div>
                 )}
@@ -477,18 +620,30 @@ export default function ListOrders() {
                                 <label className="block text-sm font-medium text-gray-700 mb-2">Current Status</label>
                                 <div className="mb-4">{getStatusPill(editingOrder.status)}</div>
                                 
-                                <label className="block text-sm font-medium text-gray-700 mb-2">New Status</label>
-                                <select 
-                                    value={editingOrder.status} 
-                                    onChange={(e) => handleEditChange('status', e.target.value)}
-                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#072679]"
-                                >
-                                    <option value="cart_pending">Cart Pending</option>
-                                    <option value="created">Created</option>
-                                    <option value="processing">Processing</option>
-                                    <option value="completed">Completed</option>
-                                    <option value="cancelled">Cancelled</option>
-                                </select>
+                                {editingOrder.nextStatuses?.length > 0 ? (
+                                    <>
+                                        <label className="block text-sm font-medium text-gray-700 mb-2">New Status</label>
+                                        <select 
+                                            value={editingOrder.newStatus} 
+                                            onChange={(e) => handleEditChange('newStatus', e.target.value)}
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#072679]"
+                                        >
+                                            {editingOrder.nextStatuses.map(status => (
+                                                <option key={status} value={status}>{orderStatusLabel(status)}</option>
+                                            ))}
+                                        </select>
+                                        <label className="block text-sm font-medium text-gray-700 mt-4 mb-2">Note (shown to the customer)</label>
+                                        <input
+                                            type="text"
+                                            value={editingOrder.note}
+                                            onChange={(e) => handleEditChange('note', e.target.value)}
+                                            placeholder="e.g. Sent with courier, tracking number..."
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#072679]"
+                                        />
+                                    </>
+                                ) : (
+                                    <p className="text-sm text-gray-600">A {orderStatusLabel(editingOrder.status).toLowerCase()} order cannot change status any more.</p>
+                                )}
                             </div>
                             <div className="flex justify-end space-x-4 pt-4">
                                 <button 
@@ -499,7 +654,8 @@ export default function ListOrders() {
                                 </button>
                                 <button 
                                     onClick={handleSaveEdit}
-                                    className="px-6 py-2 bg-[#072679] text-white rounded-lg hover:bg-[#051a5a] transition-colors"
+                                    disabled={!editingOrder.newStatus}
+                                    className="px-6 py-2 bg-[#072679] text-white rounded-lg hover:bg-[#051a5a] transition-colors disabled:opacity-50"
                                 >
                                     Update Status
                                 </button>
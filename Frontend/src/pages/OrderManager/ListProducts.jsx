@@ -296,16 +296,33 @@ export default function ListProducts() {
                                     </td>
                                     <td className="p-4 font-semibold text-[#072679]">
                                         {editingProduct && editingProduct._id === product._id ? (
-                                            <input 
-                                                type="number" 
-                                                value={editingProduct.price} 
-                                                onChange={(e) => handleEditChange('price', parseFloat(e.target.value))}
-                                                className="w-24 px-2 py-1 border rounded"
-                                                min="0"
-                                                step="0.01"
-                                            />
+                                            <>
+                                                <input 
+                                                    type="number" 
+                                                    value={editingProduct.price} 
+                                                    onChange={(e) => handleEditChange('price', parseFloat(e.target.value))}
+                                                    className="w-24 px-2 py-1 border rounded"
+                                                    min="0"
+                                                    step="0.01"
+                                                />
+                                                <label className="flex items-center gap-1 mt-1 text-xs font-normal text-gray-600">
+                                                    <input
+                                                        type="number"
+                                                        value={editingProduct.shippingWeight ?? 0}
+                                                        onChange={(e) => handleEditChange('shippingWeight', e.target.value === '' ? '' : parseFloat(e.target.value))}
+                                                        className="w-16 px-2 py-1 border rounded"
+                                                        min="0"
+                                                        step="0.01"
+                                                        aria-label="Shipping weight per unit"
+                                                    />
+                                                    kg to ship
+                                                </label>
+                                            </>
                                         ) : (
-                                            `LKR ${product.price}`
+                                            <>
+                                                LKR {product.price}
+                                                {product.shippingWeight > 0 && <span className="block text-xs font-normal text-gray-500">{product.shippingWeight} kg to ship</span>}
+                                            </>
                                         )}
                                     </td>
                                     <td className="p-4">
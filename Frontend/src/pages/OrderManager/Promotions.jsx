@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Edit, Trash2, Plus } from 'lucide-react';
+
+const API = 'http://localhost:5000/api/promotions';
+
+const EMPTY_FORM = {
+    name: '', description: '', code: '', type: 'percentage', value: '', buyQuantity: '', getQuantity: '',
+    categories: '', brands: '', minSpend: '', startsAt: '', endsAt: '',
+    usageLimitPerCustomer: '', usageLimit: '', stackable: false, priority: 0, is_active: true,
+};
+
+const TYPE_LABELS = { percentage: '% off', fixed: 'LKR off', buy_x_get_y: 'Buy X get Y' };
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+const toList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+const describe = (promotion) => {
+    if (promotion.type === 'percentage') return `${promotion.value}% off`;
+    if (promotion.type === 'fixed') return `LKR ${promotion.value} off`;
+    const reward = promotion.value >= 100 ? 'free' : `${promotion.value}% off`;
+    return `Buy ${promotion.buyQuantity}, get ${promotion.getQuantity} ${reward}`;
+};
+
+export default function Promotions() {
+    const [promotions, setPromotions] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [showForm, setShowForm] = useState(false);
+    const [message, setMessage] = useState({});
+
+    const fetchPromotions = async () => {
+        try {
+            const { data } = await axios.get(API);
+            setPromotions(data);
+        } catch (err) {
+            console.error('Error fetching promotions:', err);
+            setMessage({ type: 'error', text: 'Failed to load promotions.' });
+        }
+    };
+
+    useEffect(() => {
+        fetchPromotions();
+    }, []);
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const openForm = (promotion) => {
+        setEditingId(promotion?._id || null);
+        setForm(promotion ? {
+            ...EMPTY_FORM,
+            ...promotion,
+            code: promotion.code || '',
+            categories: (promotion.categories || []).join(', '),
+            brands: (promotion.brands || []).join(', '),
+            startsAt: toDateInput(promotion.startsAt),
+            endsAt: toDateInput(promotion.endsAt),
+            buyQuantity: promotion.buyQuantity ?? '',
+            getQuantity: promotion.getQuantity ?? '',
+            usageLimitPerCustomer: promotion.usageLimitPerCustomer ?? '',
+            usageLimit: promotion.usageLimit ?? '',
+        } : EMPTY_FORM);
+        setShowForm(true);
+        setMessage({});
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const payload = {
+            ...form,
+            categories: toList(form.categories),
+            brands: toList(form.brands),
+            // Free items unless a percentage is given
+            value: form.type === 'buy_x_get_y' && form.value === '' ? 100 : form.value,
+        };
+        try {
+            if (editingId) {
+                await axios.put(`${API}/${editingId}`, payload);
+            } else {
+                await axios.post(API, payload);
+            }
+            setMessage({ type: 'success', text: editingId ? 'Promotion updated.' : 'Promotion created.' });
+            setShowForm(false);
+            fetchPromotions();
+        } catch (err) {
+            setMessage({ type: 'error', text: err.response?.data?.message || 'Error saving promotion.' });
+        }
+    };
+
+    const toggleActive = async (promotion) => {
+        try {
+            await axios.put(`${API}/${promotion._id}`, { is_active: !promotion.is_active });
+            fetchPromotions();
+        } catch (err) {
+            alert(err.response?.data?.message || 'Error updating promotion.');
+        }
+    };
+
+    const handleDelete = async (promotion) => {
+        if (!window.confirm(`Delete "${promotion.name}"? Orders that used it keep their discount.`)) return;
+        try {
+            await axios.delete(`${API}/${promotion._id}`);
+            fetchPromotions();
+        } catch (err) {
+            alert(err.response?.data?.message || 'Error deleting promotion.');
+        }
+    };
+
+    const inputClass = 'w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#072679]';
+
+    return (
+        <div className="bg-white p-6 rounded-2xl shadow-lg">
+            <div className="flex justify-between items-center mb-6">
+                <h1 className="text-3xl font-bold text-[#072679]">Promotions</h1>
+                <button onClick={() => openForm(null)} className="flex items-center gap-2 bg-[#072679] text-white px-4 py-2 rounded-lg hover:bg-[#051a5a] font-medium">
+                    <Plus size={18} /> New Promotion
+                </button>
+            </div>
+
+            {message.text && (
+                <div className={`p-3 mb-4 rounded-lg ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>{message.text}</div>
+            )}
+
+            {showForm && (
+                <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 mb-6 space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <input name="name" value={form.name} onChange={handleChange} placeholder="Name*" className={inputClass} required />
+                        <input name="code" value={form.code} onChange={handleChange} placeholder="Coupon code (blank = automatic)" className={inputClass} />
+                        <select name="type" value={form.type} onChange={handleChange} className={inputClass}>
+                            {Object.entries(TYPE_LABELS).map(([type, text]) => <option key={type} value={type}>{text}</option>)}
+                        </select>
+                    </div>
+                    <textarea name="description" value={form.description} onChange={handleChange} placeholder="Description" className={inputClass} rows="2" />
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <input type="number" name="value" value={form.value} onChange={handleChange} min="0" step="0.01" className={inputClass}
+                            placeholder={form.type === 'fixed' ? 'LKR off*' : form.type === 'buy_x_get_y' ? '% off the free items (100)' : '% off*'}
+                            required={form.type !== 'buy_x_get_y'} />
+                        {form.type === 'buy_x_get_y' && (
+                            <>
+                                <input type="number" name="buyQuantity" value={form.buyQuantity} onChange={handleChange} min="1" placeholder="Buy quantity*" className={inputClass} required />
+                                <input type="number" name="getQuantity" value={form.getQuantity} onChange={handleChange} min="1" placeholder="Get quantity*" className={inputClass} required />
+                            </>
+                        )}
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <input name="categories" value={form.categories} onChange={handleChange} placeholder="Categories, comma-separated (blank = all)" className={inputClass} />
+                        <input name="brands" value={form.brands} onChange={handleChange} placeholder="Brands, comma-separated" className={inputClass} />
+                        <input type="number" name="minSpend" value={form.minSpend} onChange={handleChange} min="0" placeholder="Minimum spend (LKR)" className={inputClass} />
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                        <label className="text-sm text-gray-600">Starts
+                            <input type="date" name="startsAt" value={form.startsAt} onChange={handleChange} className={inputClass} />
+                        </label>
+                        <label className="text-sm text-gray-600">Ends
+                            <input type="date" name="endsAt" value={form.endsAt} onChange={handleChange} className={inputClass} />
+                        </label>
+                        <label className="text-sm text-gray-600">Uses per customer
+                            <input type="number" name="usageLimitPerCustomer" value={form.usageLimitPerCustomer} onChange={handleChange} min="1" placeholder="Unlimited" className={inputClass} />
+                        </label>
+                        <label className="text-sm text-gray-600">Total uses
+                            <input type="number" name="usageLimit" value={form.usageLimit} onChange={handleChange} min="1" placeholder="Unlimited" className={inputClass} />
+                        </label>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-6 text-sm">
+                        <label className="flex items-center gap-2">
+                            <input type="checkbox" name="stackable" checked={form.stackable} onChange={handleChange} /> Can be combined with other stackable promotions
+                        </label>
+                        <label className="flex items-center gap-2">Priority
+                            <input type="number" name="priority" value={form.priority} onChange={handleChange} className="w-20 p-1 border border-gray-300 rounded" />
+                        </label>
+                        <label className="flex items-center gap-2">
+                            <input type="checkbox" name="is_active" checked={form.is_active} onChange={handleChange} /> Active
+                        </label>
+                    </div>
+                    <div className="flex gap-3">
+                        <button type="submit" className="bg-[#072679] text-white px-6 py-2 rounded-lg hover:bg-[#051a5a] font-bold">{editingId ? 'Save Changes' : 'Create Promotion'}</button>
+                        <button type="button" onClick={() => setShowForm(false)} className="bg-gray-200 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-300">Cancel</button>
+                    </div>
+                </form>
+            )}
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead className="bg-gray-50 text-left text-gray-600">
+                        <tr>
+                            <th className="p-3">Promotion</th>
+                            <th className="p-3">Code</th>
+                            <th className="p-3">Offer</th>
+                            <th className="p-3">Applies to</th>
+                            <th className="p-3">Dates</th>
+                            <th className="p-3">Used</th>
+                            <th className="p-3">Status</th>
+                            <th className="p-3">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {promotions.length === 0 ? (
+                            <tr><td colSpan="8" className="p-6 text-center text-gray-500">No promotions yet.</td></tr>
+                        ) : promotions.map(promotion => (
+                            <tr key={promotion._id} className="border-t">
+                                <td className="p-3 font-medium">
+                                    {promotion.name}
+                                    {promotion.stackable && <span className="ml-2 text-xs bg-blue-100 text-blue-800 px-2 py-0.5 rounded-full">Stackable</span>}
+                                </td>
+                                <td className="p-3 font-mono">{promotion.code || <span className="text-gray-400">Automatic</span>}</td>
+                                <td className="p-3">
+                                    {describe(promotion)}
+                                    {promotion.minSpend > 0 && <div className="text-xs text-gray-500">Min spend LKR {promotion.minSpend}</div>}
+                                </td>
+                                <td className="p-3">{[...promotion.categories, ...promotion.brands].join(', ') || 'Whole shop'}</td>
+                                <td className="p-3 text-xs">{toDateInput(promotion.startsAt) || '—'} → {toDateInput(promotion.endsAt) || '—'}</td>
+                                <td className="p-3">
+                                    {promotion.orderCount}{promotion.usageLimit ? ` / ${promotion.usageLimit}` : ''} orders
+                                    <div className="text-xs text-gray-500">LKR {promotion.totalDiscount} given</div>
+                                </td>
+                                <td className="p-3">
+                                    <button onClick={() => toggleActive(promotion)} className={`px-2 py-1 rounded-full text-xs font-semibold ${promotion.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-600'}`}>
+                                        {promotion.is_active ? 'Active' : 'Paused'}
+                                    </button>
+                                </td>
+                                <td className="p-3">
+                                    <div className="flex gap-2">
+                                        <button onClick={() => openForm(promotion)} className="text-blue-600 hover:text-blue-800" aria-label="Edit"><Edit size={18} /></button>
+                                        <button onClick={() => handleDelete(promotion)} className="text-red-600 hover:text-red-800" aria-label="Delete"><Trash2 size={18} /></button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
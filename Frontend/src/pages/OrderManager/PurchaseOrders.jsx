@@ -0,0 +1,482 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { useSearchParams } from 'react-router-dom';
+import { Plus, Trash2, Truck, Send, XCircle } from 'lucide-react';
+import { hasVariants, variantLabel } from '../../utils/cartLines';
+
+const API = 'http://localhost:5000/api/purchase-orders';
+
+const STATUS_STYLES = {
+    draft: 'bg-gray-200 text-gray-700',
+    ordered: 'bg-blue-100 text-blue-800',
+    partially_received: 'bg-yellow-100 text-yellow-800',
+    received: 'bg-green-100 text-green-800',
+    cancelled: 'bg-red-100 text-red-800',
+    closed: 'bg-purple-100 text-purple-800',
+};
+
+const EMPTY_LINE = { productId: '', variantId: '', quantityOrdered: 1, unitCost: '' };
+const EMPTY_FORM = { supplierId: '', expectedDeliveryDate: '', note: '', lines: [EMPTY_LINE] };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+const statusLabel = (status) => status.replace('_', ' ');
+
+export default function PurchaseOrders() {
+    const [tab, setTab] = useState('orders');
+    const [purchaseOrders, setPurchaseOrders] = useState([]);
+    const [suppliers, setSuppliers] = useState([]);
+    const [products, setProducts] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [showForm, setShowForm] = useState(false);
+    const [expandedId, setExpandedId] = useState(null);
+    // Quantities being received, by PO line ID
+    const [receiving, setReceiving] = useState({});
+    const [reorderSettings, setReorderSettings] = useState({});
+    const [reports, setReports] = useState({ open: null, leadTimes: [] });
+    const [message, setMessage] = useState({});
+    const [searchParams, setSearchParams] = useSearchParams();
+    const reorderHandled = useRef(false);
+
+    const fetchPurchaseOrders = async () => {
+        try {
+            const { data } = await axios.get(API, { params: { status: statusFilter || undefined } });
+            setPurchaseOrders(data);
+        } catch (err) {
+            console.error('Error fetching purchase orders:', err);
+            setMessage({ type: 'error', text: 'Failed to load purchase orders.' });
+        }
+    };
+
+    const fetchSuppliersAndProducts = async () => {
+        try {
+            const [supplierResponse, productResponse] = await Promise.all([
+                axios.get('http://localhost:5000/api/suppliers'),
+                axios.get('http://localhost:5000/api/products'),
+            ]);
+            setSuppliers(supplierResponse.data);
+            setProducts(productResponse.data);
+            setReorderSettings(Object.fromEntries(productResponse.data.map(product => [product._id, {
+                supplierId: product.supplierId || '',
+                reorderPoint: product.reorderPoint ?? '',
+                reorderQuantity: product.reorderQuantity ?? '',
+            }])));
+        } catch (err) {
+            console.error('Error fetching suppliers and products:', err);
+        }
+    };
+
+    const fetchReports = async () => {
+        try {
+            const [open, leadTimes] = await Promise.all([
+                axios.get('http://localhost:5000/api/reports/open-purchase-orders'),
+                axios.get('http://localhost:5000/api/reports/supplier-lead-times'),
+            ]);
+            setReports({ open: open.data, leadTimes: leadTimes.data });
+        } catch (err) {
+            console.error('Error fetching purchasing reports:', err);
+            setMessage({ type: 'error', text: 'Failed to load purchasing reports.' });
+        }
+    };
+
+    useEffect(() => {
+        fetchSuppliersAndProducts();
+    }, []);
+
+    useEffect(() => {
+        fetchPurchaseOrders();
+    }, [statusFilter]);
+
+    useEffect(() => {
+        if (tab === 'reports') fetchReports();
+    }, [tab]);
+
+    const reorder = async (productId, variantId) => {
+        try {
+            const { data } = await axios.post(`${API}/reorder`, { productId, variantId: variantId || undefined });
+            setMessage({ type: 'success', text: data.message });
+            setExpandedId(data.purchaseOrder._id);
+            fetchPurchaseOrders();
+        } catch (err) {
+            setMessage({ type: 'error', text: err.response?.data?.message || 'Error drafting the purchase order.' });
+        }
+    };
+
+    // Arrived from a low stock alert's "Create draft purchase order" link
+    useEffect(() => {
+        const productId = searchParams.get('reorder');
+        if (!productId || reorderHandled.current) return;
+        reorderHandled.current = true;
+        const variantId = searchParams.get('variantId');
+        setSearchParams({});
+        if (!window.confirm('Add this low stock item to its supplier\'s draft purchase order?')) return;
+        reorder(productId, variantId);
+    }, [searchParams]);
+
+    const productById = (id) => products.find(product => product._id === id);
+
+    const updateLine = (index, field, value) => {
+        setForm(prev => ({
+            ...prev,
+            lines: prev.lines.map((line, position) => (position === index
+                ? { ...line, [field]: value, ...(field === 'productId' && { variantId: '' }) }
+                : line)),
+        }));
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        try {
+            await axios.post(API, {
+                ...form,
+                expectedDeliveryDate: form.expectedDeliveryDate || undefined,
+                lines: form.lines.map(line => ({ ...line, quantityOrdered: Number(line.quantityOrdered) })),
+            });
+            setMessage({ type: 'success', text: 'Draft purchase order created.' });
+            setForm(EMPTY_FORM);
+            setShowForm(false);
+            fetchPurchaseOrders();
+        } catch (err) {
+            setMessage({ type: 'error', text: err.response?.data?.message || 'Error creating purchase order.' });
+        }
+    };
+
+    const runAction = async (purchaseOrder, action, body = {}) => {
+        try {
+            const { data } = await axios.post(`${API}/${purchaseOrder._id}/${action}`, body);
+            if (data.skipped?.length) {
+                alert(`No stock was added for items no longer in the catalogue: ${data.skipped.join(', ')}`);
+            }
+            setReceiving({});
+            fetchPurchaseOrders();
+        } catch (err) {
+            alert(err.response?.data?.message || 'Error updating purchase order.');
+        }
+    };
+
+    const handleReceive = (purchaseOrder) => {
+        const lines = purchaseOrder.lines
+            .map(line => ({ lineId: line._id, quantity: Number(receiving[line._id]) || 0 }))
+            .filter(line => line.quantity > 0);
+        if (lines.length === 0) {
+            alert('Enter how many of at least one line arrived.');
+            return;
+        }
+        runAction(purchaseOrder, 'receive', { lines });
+    };
+
+    const handleCancel = (purchaseOrder) => {
+        const closing = purchaseOrder.status === 'partially_received';
+        if (!window.confirm(closing ? `Close ${purchaseOrder.poNumber} without the rest of the goods?` : `Cancel ${purchaseOrder.poNumber}?`)) return;
+        runAction(purchaseOrder, 'cancel');
+    };
+
+    const saveReorderSettings = async (productId) => {
+        try {
+            await axios.put(`http://localhost:5000/api/products/${productId}`, reorderSettings[productId]);
+            setMessage({ type: 'success', text: 'Reorder settings saved.' });
+        } catch (err) {
+            setMessage({ type: 'error', text: err.response?.data?.message || 'Error saving reorder settings.' });
+        }
+    };
+
+    const inputClass = 'w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#072679]';
+    const tabClass = (name) => `px-4 py-2 rounded-lg font-medium ${tab === name ? 'bg-[#072679] text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`;
+
+    return (
+        <div className="bg-white p-6 rounded-2xl shadow-lg">
+            <div className="flex justify-between items-center mb-6">
+                <h1 className="text-3xl font-bold text-[#072679]">Purchase Orders</h1>
+                {tab === 'orders' && (
+                    <button onClick={() => setShowForm(true)} className="flex items-center gap-2 bg-[#072679] text-white px-4 py-2 rounded-lg hover:bg-[#051a5a] font-medium">
+                        <Plus size={18} /> New Purchase Order
+                    </button>
+                )}
+            </div>
+
+            <div className="flex gap-2 mb-6">
+                <button onClick={() => setTab('orders')} className={tabClass('orders')}>Purchase orders</button>
+                <button onClick={() => setTab('reorder')} className={tabClass('reorder')}>Reorder settings</button>
+                <button onClick={() => setTab('reports')} className={tabClass('reports')}>Reports</button>
+            </div>
+
+            {message.text && (
+                <div className={`p-3 mb-4 rounded-lg ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>{message.text}</div>
+            )}
+
+            {tab === 'orders' && (
+                <>
+                    {showForm && (
+                        <form onSubmit={handleCreate} className="border border-gray-200 rounded-lg p-4 mb-6 space-y-4">
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                                <select value={form.supplierId} onChange={(e) => setForm(prev => ({ ...prev, supplierId: e.target.value }))} className={inputClass} required>
+                                    <option value="">Choose a supplier*</option>
+                                    {suppliers.filter(supplier => supplier.is_active).map(supplier => (
+                                        <option key={supplier._id} value={supplier._id}>{supplier.name}</option>
+                                    ))}
+                                </select>
+                                <label className="text-sm text-gray-600">Expected delivery (blank = supplier lead time)
+                                    <input type="date" value={form.expectedDeliveryDate} onChange={(e) => setForm(prev => ({ ...prev, expectedDeliveryDate: e.target.value }))} className={inputClass} />
+                                </label>
+                                <input value={form.note} onChange={(e) => setForm(prev => ({ ...prev, note: e.target.value }))} placeholder="Note" className={inputClass} />
+                            </div>
+                            {form.lines.map((line, index) => {
+                                const product = productById(line.productId);
+                                return (
+                                    <div key={index} className="grid grid-cols-1 md:grid-cols-5 gap-2 items-center">
+                                        <select value={line.productId} onChange={(e) => updateLine(index, 'productId', e.target.value)} className={`${inputClass} md:col-span-2`} required>
+                                            <option value="">Choose a product*</option>
+                                            {products.map(option => <option key={option._id} value={option._id}>{option.name} ({option.productId})</option>)}
+                                        </select>
+                                        {product && hasVariants(product) ? (
+                                            <select value={line.variantId} onChange={(e) => updateLine(index, 'variantId', e.target.value)} className={inputClass} required>
+                                                <option value="">Choose a variant*</option>
+                                                {product.variants.map(variant => <option key={variant._id} value={variant._id}>{variantLabel(variant)} ({variant.sku})</option>)}
+                                            </select>
+                                        ) : <div />}
+                                        <input type="number" value={line.quantityOrdered} onChange={(e) => updateLine(index, 'quantityOrdered', e.target.value)} min="1" placeholder="Quantity*" className={inputClass} required />
+                                        <div className="flex gap-2">
+                                            <input type="number" value={line.unitCost} onChange={(e) => updateLine(index, 'unitCost', e.target.value)} min="0" step="0.01" placeholder="Unit cost (LKR)" className={inputClass} />
+                                            {form.lines.length > 1 && (
+                                                <button type="button" onClick={() => setForm(prev => ({ ...prev, lines: prev.lines.filter((_, position) => position !== index) }))} className="text-red-600 hover:text-red-800" aria-label="Remove line">
+                                                    <Trash2 size={18} />
+                                                </button>
+                                            )}
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                            <button type="button" onClick={() => setForm(prev => ({ ...prev, lines: [...prev.lines, EMPTY_LINE] }))} className="text-sm text-[#072679] hover:underline">+ Add line</button>
+                            <div className="flex gap-3">
+                                <button type="submit" className="bg-[#072679] text-white px-6 py-2 rounded-lg hover:bg-[#051a5a] font-bold">Create Draft</button>
+                                <button type="button" onClick={() => setShowForm(false)} className="bg-gray-200 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-300">Cancel</button>
+                            </div>
+                        </form>
+                    )}
+
+                    <div className="mb-4">
+                        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="p-2 border border-gray-300 rounded-lg text-sm">
+                            <option value="">All statuses</option>
+                            {Object.keys(STATUS_STYLES).map(status => <option key={status} value={status}>{statusLabel(status)}</option>)}
+                        </select>
+                    </div>
+
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                            <thead className="bg-gray-50 text-left text-gray-600">
+                                <tr>
+                                    <th className="p-3">PO</th>
+                                    <th className="p-3">Supplier</th>
+                                    <th className="p-3">Status</th>
+                                    <th className="p-3">Ordered</th>
+                                    <th className="p-3">Expected</th>
+                                    <th className="p-3 text-right">Total (LKR)</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {purchaseOrders.length === 0 ? (
+                                    <tr><td colSpan="6" className="p-6 text-center text-gray-500">No purchase orders yet.</td></tr>
+                                ) : purchaseOrders.map(purchaseOrder => {
+                                    const isOpen = ['ordered', 'partially_received'].includes(purchaseOrder.status);
+                                    return (
+                                        <React.Fragment key={purchaseOrder._id}>
+                                            <tr className="border-t cursor-pointer hover:bg-gray-50" onClick={() => setExpandedId(expandedId === purchaseOrder._id ? null : purchaseOrder._id)}>
+                                                <td className="p-3 font-mono font-medium">
+                                                    {purchaseOrder.poNumber}
+                                                    {purchaseOrder.source === 'low_stock' && <span className="ml-2 text-xs bg-orange-100 text-orange-800 px-2 py-0.5 rounded-full font-sans">Reorder</span>}
+                                                </td>
+                                                <td className="p-3">{purchaseOrder.supplierId?.name}</td>
+                                                <td className="p-3">
+                                                    <span className={`px-2 py-1 rounded-full text-xs font-semibold capitalize ${STATUS_STYLES[purchaseOrder.status]}`}>{statusLabel(purchaseOrder.status)}</span>
+                                                </td>
+                                                <td className="p-3">{formatDate(purchaseOrder.orderedAt)}</td>
+                                                <td className="p-3">{formatDate(purchaseOrder.expectedDeliveryDate)}</td>
+                                                <td className="p-3 text-right">{purchaseOrder.total?.toFixed(2)}</td>
+                                            </tr>
+                                            {expandedId === purchaseOrder._id && (
+                                                <tr className="bg-gray-50">
+                                                    <td colSpan="6" className="p-4">
+                                                        <table className="w-full text-sm mb-4">
+                                                            <thead className="text-left text-gray-500">
+                                                                <tr>
+                                                                    <th className="p-2">Item</th>
+                                                                    <th className="p-2 text-right">Ordered</th>
+                                                                    <th className="p-2 text-right">Received</th>
+                                                                    <th className="p-2 text-right">Unit cost</th>
+                                                                    {isOpen && <th className="p-2 text-right">Receiving now</th>}
+                                                                </tr>
+                                                            </thead>
+                                                            <tbody>
+                                                                {purchaseOrder.lines.map(line => (
+                                                                    <tr key={line._id} className="border-t">
+                                                                        <td className="p-2">{line.name} <span className="text-gray-400">{line.sku}</span></td>
+                                                                        <td className="p-2 text-right">{line.quantityOrdered}</td>
+                                                                        <td className="p-2 text-right">{line.quantityReceived}</td>
+                                                                        <td className="p-2 text-right">{line.unitCost.toFixed(2)}</td>
+                                                                        {isOpen && (
+                                                                            <td className="p-2 text-right">
+                                                                                <input
+                                                                                    type="number"
+                                                                                    min="0"
+                                                                                    max={line.quantityOrdered - line.quantityReceived}
+                                                                                    value={receiving[line._id] ?? ''}
+                                                                                    onChange={(e) => setReceiving(prev => ({ ...prev, [line._id]: e.target.value }))}
+                                                                                    disabled={line.quantityReceived >= line.quantityOrdered}
+                                                                                    className="w-20 px-2 py-1 border rounded text-right"
+                                                                                />
+                                                                            </td>
+                                                                        )}
+                                                                    </tr>
+                                                                ))}
+                                                            </tbody>
+                                                        </table>
+                                                        {purchaseOrder.note && <p className="text-gray-600 mb-3">Note: {purchaseOrder.note}</p>}
+                                                        {purchaseOrder.receipts.length > 0 && (
+                                                            <p className="text-gray-600 mb-3">
+                                                                Deliveries: {purchaseOrder.receipts.map(receipt => formatDate(receipt.receivedAt)).join(', ')}
+                                                            </p>
+                                                        )}
+                                                        <div className="flex gap-2">
+                                                            {purchaseOrder.status === 'draft' && (
+                                                                <button onClick={() => runAction(purchaseOrder, 'order')} className="flex items-center gap-1 bg-[#072679] text-white px-3 py-1.5 rounded-lg hover:bg-[#051a5a]">
+                                                                    <Send size={16} /> Mark as sent to supplier
+                                                                </button>
+                                                            )}
+                                                            {isOpen && (
+                                                                <button onClick={() => handleReceive(purchaseOrder)} className="flex items-center gap-1 bg-green-600 text-white px-3 py-1.5 rounded-lg hover:bg-green-700">
+                                                                    <Truck size={16} /> Receive goods
+                                                                </button>
+                                                            )}
+                                                            {['draft', 'ordered', 'partially_received'].includes(purchaseOrder.status) && (
+                                                                <button onClick={() => handleCancel(purchaseOrder)} className="flex items-center gap-1 bg-gray-200 text-gray-700 px-3 py-1.5 rounded-lg hover:bg-gray-300">
+                                                                    <XCircle size={16} /> {purchaseOrder.status === 'partially_received' ? 'Close short' : 'Cancel'}
+                                                                </button>
+                                                            )}
+                                                        </div>
+                                                    </td>
+                                                </tr>
+                                            )}
+                                        </React.Fragment>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+
+            {tab === 'reorder' && (
+                <div className="overflow-x-auto">
+                    <p className="text-sm text-gray-600 mb-4">
+                        A low stock alert is sent when stock falls to the reorder point (10 if blank). The reorder quantity is what a one-click draft PO orders.
+                    </p>
+                    <table className="w-full text-sm">
+                        <thead className="bg-gray-50 text-left text-gray-600">
+                            <tr>
+                                <th className="p-3">Product</th>
+                                <th className="p-3">Stock</th>
+                                <th className="p-3">Supplier</th>
+                                <th className="p-3">Reorder point</th>
+                                <th className="p-3">Reorder quantity</th>
+                                <th className="p-3"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {products.map(product => {
+                                const settings = reorderSettings[product._id] || {};
+                                const change = (field, value) => setReorderSettings(prev => ({ ...prev, [product._id]: { ...settings, [field]: value } }));
+                                return (
+                                    <tr key={product._id} className="border-t">
+                                        <td className="p-3 font-medium">{product.name}</td>
+                                        <td className="p-3">{product.stock_quantity}</td>
+                                        <td className="p-3">
+                                            <select value={settings.supplierId} onChange={(e) => change('supplierId', e.target.value)} className="p-1 border border-gray-300 rounded">
+                                                <option value="">None</option>
+                                                {suppliers.map(supplier => <option key={supplier._id} value={supplier._id}>{supplier.name}</option>)}
+                                            </select>
+                                        </td>
+                                        <td className="p-3">
+                                            <input type="number" min="0" value={settings.reorderPoint} onChange={(e) => change('reorderPoint', e.target.value)} placeholder="10" className="w-24 p-1 border border-gray-300 rounded" />
+                                        </td>
+                                        <td className="p-3">
+                                            <input type="number" min="1" value={settings.reorderQuantity} onChange={(e) => change('reorderQuantity', e.target.value)} placeholder="Auto" className="w-24 p-1 border border-gray-300 rounded" />
+                                        </td>
+                                        <td className="p-3">
+                                            <button onClick={() => saveReorderSettings(product._id)} className="text-[#072679] font-medium hover:underline">Save</button>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {tab === 'reports' && reports.open && (
+                <div className="space-y-8">
+                    <div>
+                        <h2 className="text-xl font-bold text-gray-800 mb-3">Open purchase orders</h2>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                            <div className="bg-gray-50 rounded-lg p-3"><div className="text-xs text-gray-500">Open</div><div className="text-xl font-bold">{reports.open.summary.openOrders}</div></div>
+                            <div className="bg-red-50 rounded-lg p-3"><div className="text-xs text-gray-500">Overdue</div><div className="text-xl font-bold text-red-700">{reports.open.summary.overdueOrders}</div></div>
+                            <div className="bg-gray-50 rounded-lg p-3"><div className="text-xs text-gray-500">Units to come</div><div className="text-xl font-bold">{reports.open.summary.outstandingUnits}</div></div>
+                            <div className="bg-gray-50 rounded-lg p-3"><div className="text-xs text-gray-500">Value to come</div><div className="text-xl font-bold">LKR {reports.open.summary.outstandingValue.toFixed(2)}</div></div>
+                        </div>
+                        <table className="w-full text-sm">
+                            <thead className="bg-gray-50 text-left text-gray-600">
+                                <tr>
+                                    <th className="p-3">PO</th>
+                                    <th className="p-3">Supplier</th>
+                                    <th className="p-3">Expected</th>
+                                    <th className="p-3 text-right">Days overdue</th>
+                                    <th className="p-3 text-right">Units to come</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {reports.open.purchaseOrders.map(row => (
+                                    <tr key={row._id} className="border-t">
+                                        <td className="p-3 font-mono">{row.poNumber}</td>
+                                        <td className="p-3">{row.supplier}</td>
+                                        <td className="p-3">{formatDate(row.expectedDeliveryDate)}</td>
+                                        <td className={`p-3 text-right ${row.daysOverdue > 0 ? 'text-red-600 font-semibold' : ''}`}>{row.daysOverdue}</td>
+                                        <td className="p-3 text-right">{row.outstandingUnits}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div>
+                        <h2 className="text-xl font-bold text-gray-800 mb-3">Supplier lead times</h2>
+                        <table className="w-full text-sm">
+                            <thead className="bg-gray-50 text-left text-gray-600">
+                                <tr>
+                                    <th className="p-3">Supplier</th>
+                                    <th className="p-3 text-right">Quoted (days)</th>
+                                    <th className="p-3 text-right">To first delivery</th>
+                                    <th className="p-3 text-right">To full delivery</th>
+                                    <th className="p-3 text-right">Slowest</th>
+                                    <th className="p-3 text-right">On time</th>
+                                    <th className="p-3 text-right">POs</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {reports.leadTimes.map(row => (
+                                    <tr key={row.supplierId} className="border-t">
+                                        <td className="p-3 font-medium">{row.supplier}</td>
+                                        <td className="p-3 text-right">{row.quotedLeadTimeDays}</td>
+                                        <td className="p-3 text-right">{row.averageDaysToFirstDelivery ?? '—'}</td>
+                                        <td className="p-3 text-right">{row.averageDaysToFullDelivery ?? '—'}</td>
+                                        <td className="p-3 text-right">{row.slowestDays ?? '—'}</td>
+                                        <td className="p-3 text-right">{row.onTimeRate === null ? '—' : `${row.onTimeRate}%`}</td>
+                                        <td className="p-3 text-right">{row.ordersDelivered}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
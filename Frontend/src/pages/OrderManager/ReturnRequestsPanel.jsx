@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { CheckCircle, XCircle, PackageCheck } from 'lucide-react';
+import { RETURN_REASON_LABELS, RETURN_STATUS_COLORS, RETURN_STATUS_LABELS } from '../../utils/orderStatus';
+
+const API = 'http://localhost:5000/api/returns';
+
+export default function ReturnRequestsPanel() {
+    const [returnRequests, setReturnRequests] = useState([]);
+    const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+    const [status, setStatus] = useState('requested');
+    const [receiving, setReceiving] = useState(null);
+    const [dispositions, setDispositions] = useState({});
+    const [settlement, setSettlement] = useState('refund');
+    const [message, setMessage] = useState({});
+
+    const fetchReturnRequests = async (page = 1) => {
+        try {
+            const { data } = await axios.get(API, { params: { status, page } });
+            setReturnRequests(data.returnRequests);
+            setPagination(data.pagination);
+        } catch (err) {
+            console.error('Error fetching return requests:', err);
+            setMessage({ type: 'error', text: 'Failed to load returns.' });
+        }
+    };
+
+    useEffect(() => {
+        fetchReturnRequests();
+    }, [status]);
+
+    const decide = async (returnRequest, decision) => {
+        const note = window.prompt(decision === 'approve'
+            ? 'Anything to tell the customer, e.g. how to send it back? (optional)'
+            : 'Why is this return rejected? The customer will see this.');
+        if (note === null) return;
+        try {
+            await axios.put(`${API}/${returnRequest._id}/${decision}`, { note });
+            setMessage({ type: 'success', text: `${returnRequest.rmaNumber} ${decision === 'approve' ? 'approved' : 'rejected'}.` });
+            fetchReturnRequests(pagination.page);
+        } catch (err) {
+            setMessage({ type: 'error', text: err.response?.data?.message || 'Error updating return.' });
+        }
+    };
+
+    const openReceive = (returnRequest) => {
+        setReceiving(returnRequest._id);
+        setDispositions(Object.fromEntries(returnRequest.lines.map(line => [line._id, 'restock'])));
+        setSettlement(returnRequest.type === 'exchange' ? 'replacement' : 'refund');
+    };
+
+    const receive = async (returnRequest) => {
+        try {
+            const { data } = await axios.put(`${API}/${returnRequest._id}/receive`, { dispositions, settlement });
+            setMessage({ type: 'success', text: `${returnRequest.rmaNumber} received. ${data.message}.` });
+            setReceiving(null);
+            fetchReturnRequests(pagination.page);
+        } catch (err) {
+            setMessage({ type: 'error', text: err.response?.data?.message || 'Error receiving return.' });
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-2xl shadow-lg">
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-2xl font-bold text-[#072679]">Returns &amp; Exchanges</h2>
+                <select value={status} onChange={(e) => setStatus(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                    {Object.entries(RETURN_STATUS_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                    <option value="all">All</option>
+                </select>
+            </div>
+
+            {message.text && (
+                <div className={`p-3 mb-4 rounded-lg ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>{message.text}</div>
+            )}
+
+            {returnRequests.length === 0 ? (
+                <p className="p-6 text-center text-gray-500">No returns here.</p>
+            ) : (
+                <div className="space-y-4">
+                    {returnRequests.map(returnRequest => (
+                        <div key={returnRequest._id} className="border border-gray-200 rounded-lg p-4">
+                            <div className="flex flex-wrap justify-between gap-2">
+                                <div>
+                                    <p className="font-semibold text-gray-900">
+                                        {returnRequest.rmaNumber} · {returnRequest.type === 'exchange' ? 'Exchange' : 'Return'} for order ...{String(returnRequest.orderId).slice(-8)}
+                                    </p>
+                                    <p className="text-xs text-gray-500">
+                                        {returnRequest.customerId?.username || 'Deleted account'} · {new Date(returnRequest.createdAt).toLocaleString()} · {RETURN_REASON_LABELS[returnRequest.reason]}
+                                    </p>
+                                </div>
+                                <span className={`h-fit px-2 py-1 rounded-full text-xs font-semibold ${RETURN_STATUS_COLORS[returnRequest.status]}`}>
+                                    {RETURN_STATUS_LABELS[returnRequest.status]}
+                                </span>
+                            </div>
+
+                            <ul className="mt-2 text-sm space-y-1">
+                                {returnRequest.lines.map(line => (
+                                    <li key={line._id} className="flex flex-wrap items-center justify-between gap-2">
+                                        <span>
+                                            {line.quantity} × {line.name}{line.variantLabel ? ` (${line.variantLabel})` : ''} · LKR {(line.quantity * line.unitRefund).toFixed(2)}
+                                            {line.exchangeVariantId && <span className="text-blue-700"> · wants another option</span>}
+                                            {line.disposition && <span className="text-gray-500"> · {line.disposition === 'restock' ? 'restocked' : 'written off'}</span>}
+                                        </span>
+                                        {receiving === returnRequest._id && (
+                                            <select
+                                                value={dispositions[line._id]}
+                                                onChange={(e) => setDispositions(prev => ({ ...prev, [line._id]: e.target.value }))}
+                                                className="p-1 border border-gray-300 rounded text-xs"
+                                            >
+                                                <option value="restock">Back into stock</option>
+                                                <option value="write_off">Write off (damaged)</option>
+                                            </select>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+
+                            {returnRequest.comment && <p className="mt-2 text-sm whitespace-pre-line">{returnRequest.comment}</p>}
+                            {returnRequest.photos.length > 0 && (
+                                <div className="flex gap-2 mt-2">
+                                    {returnRequest.photos.map(photo => (
+                                        <a key={photo} href={`http://localhost:5000${photo}`} target="_blank" rel="noreferrer">
+                                            <img src={`http://localhost:5000${photo}`} alt="Returned item" className="w-16 h-16 object-cover rounded" />
+                                        </a>
+                                    ))}
+                                </div>
+                            )}
+                            {returnRequest.staffNote && <p className="mt-2 text-sm text-gray-600">Note: {returnRequest.staffNote}</p>}
+                            {returnRequest.reviewedBy && (
+                                <p className="text-xs text-gray-500 mt-2">
+                                    Reviewed by {returnRequest.reviewedBy.username} on {new Date(returnRequest.reviewedAt).toLocaleString()}
+                                </p>
+                            )}
+                            {returnRequest.status === 'received' && (
+                                <p className="text-xs text-gray-500 mt-1">
+                                    Received by {returnRequest.receivedBy?.username || 'staff'} on {new Date(returnRequest.receivedAt).toLocaleString()} ·{' '}
+                                    {returnRequest.replacementOrderId
+                                        ? `replacement order ...${String(returnRequest.replacementOrderId).slice(-8)}`
+                                        : `refunded LKR ${(returnRequest.refundAmount || 0).toFixed(2)}`}
+                                </p>
+                            )}
+
+                            {receiving === returnRequest._id ? (
+                                <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+                                    <select value={settlement} onChange={(e) => setSettlement(e.target.value)} className="p-1 border border-gray-300 rounded">
+                                        <option value="refund">Refund LKR {returnRequest.total.toFixed(2)}</option>
+                                        <option value="replacement">Send a replacement</option>
+                                    </select>
+                                    <button onClick={() => receive(returnRequest)} className="bg-[#072679] text-white px-4 py-1 rounded-lg">Confirm receipt</button>
+                                    <button onClick={() => setReceiving(null)} className="bg-gray-200 text-gray-700 px-4 py-1 rounded-lg">Cancel</button>
+                                </div>
+                            ) : (
+                                <div className="flex gap-4 mt-3 text-sm">
+                                    {returnRequest.status === 'requested' && (
+                                        <>
+                                            <button onClick={() => decide(returnRequest, 'approve')} className="flex items-center gap-1 text-green-700 hover:text-green-900">
+                                                <CheckCircle size={16} /> Approve
+                                            </button>
+                                            <button onClick={() => decide(returnRequest, 'reject')} className="flex items-center gap-1 text-red-600 hover:text-red-800">
+                                                <XCircle size={16} /> Reject
+                                            </button>
+                                        </>
+                                    )}
+                                    {returnRequest.status === 'approved' && (
+                                        <button onClick={() => openReceive(returnRequest)} className="flex items-center gap-1 text-blue-600 hover:text-blue-800">
+                                            <PackageCheck size={16} /> Goods received
+                                        </button>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {pagination.pages > 1 && (
+                <div className="flex justify-between items-center pt-4 text-sm">
+                    <button onClick={() => fetchReturnRequests(pagination.page - 1)} disabled={pagination.page <= 1} className="px-3 py-1 bg-gray-200 rounded disabled:opacity-50">Previous</button>
+                    <span>Page {pagination.page} of {pagination.pages}</span>
+                    <button onClick={() => fetchReturnRequests(pagination.page + 1)} disabled={pagination.page >= pagination.pages} className="px-3 py-1 bg-gray-200 rounded disabled:opacity-50">Next</button>
+                </div>
+            )}
+        </div>
+    );
+}
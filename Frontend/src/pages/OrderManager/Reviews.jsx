@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { CheckCircle, EyeOff, MessageSquare } from 'lucide-react';
+import StarRating from '../../components/StarRating';
+
+const API = 'http://localhost:5000/api/reviews';
+
+const STATUS_STYLES = {
+    pending: 'bg-yellow-100 text-yellow-800',
+    approved: 'bg-green-100 text-green-800',
+    hidden: 'bg-gray-200 text-gray-600',
+};
+
+export default function Reviews() {
+    const [reviews, setReviews] = useState([]);
+    const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+    const [status, setStatus] = useState('pending');
+    const [responding, setResponding] = useState(null);
+    const [responseText, setResponseText] = useState('');
+    const [message, setMessage] = useState({});
+
+    const fetchReviews = async (page = 1) => {
+        try {
+            const { data } = await axios.get(API, { params: { status, page } });
+            setReviews(data.reviews);
+            setPagination(data.pagination);
+        } catch (err) {
+            console.error('Error fetching reviews:', err);
+            setMessage({ type: 'error', text: 'Failed to load reviews.' });
+        }
+    };
+
+    useEffect(() => {
+        fetchReviews();
+    }, [status]);
+
+    const moderate = async (review, nextStatus) => {
+        let reason;
+        if (nextStatus === 'hidden') {
+            reason = window.prompt('Why is this review being hidden?');
+            if (reason === null) return;
+        }
+        try {
+            await axios.put(`${API}/${review._id}/moderate`, { status: nextStatus, reason });
+            setMessage({ type: 'success', text: nextStatus === 'approved' ? 'Review approved.' : 'Review hidden.' });
+            fetchReviews(pagination.page);
+        } catch (err) {
+            setMessage({ type: 'error', text: err.response?.data?.message || 'Error moderating review.' });
+        }
+    };
+
+    const openResponse = (review) => {
+        setResponding(review._id);
+        setResponseText(review.response?.body || '');
+    };
+
+    const saveResponse = async (review) => {
+        try {
+            await axios.put(`${API}/${review._id}/response`, { body: responseText });
+            setMessage({ type: 'success', text: responseText.trim() ? 'Response saved.' : 'Response removed.' });
+            setResponding(null);
+            fetchReviews(pagination.page);
+        } catch (err) {
+            setMessage({ type: 'error', text: err.response?.data?.message || 'Error saving response.' });
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-2xl shadow-lg">
+            <div className="flex justify-between items-center mb-6">
+                <h1 className="text-3xl font-bold text-[#072679]">Product Reviews</h1>
+                <select value={status} onChange={(e) => setStatus(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                    <option value="pending">Waiting for approval</option>
+                    <option value="approved">Approved</option>
+                    <option value="hidden">Hidden</option>
+                    <option value="all">All</option>
+                </select>
+            </div>
+
+            {message.text && (
+                <div className={`p-3 mb-4 rounded-lg ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>{message.text}</div>
+            )}
+
+            {reviews.length === 0 ? (
+                <p className="p-6 text-center text-gray-500">No reviews here.</p>
+            ) : (
+                <div className="space-y-4">
+                    {reviews.map(review => (
+                        <div key={review._id} className="border border-gray-200 rounded-lg p-4">
+                            <div className="flex flex-wrap justify-between gap-2">
+                                <div>
+                                    <p className="font-semibold text-gray-900">{review.productId?.name || 'Deleted product'}</p>
+                                    <p className="text-xs text-gray-500">
+                                        {review.customerId?.username || 'Deleted account'} · {new Date(review.createdAt).toLocaleString()}
+                                    </p>
+                                </div>
+                                <span className={`h-fit px-2 py-1 rounded-full text-xs font-semibold ${STATUS_STYLES[review.status]}`}>{review.status}</span>
+                            </div>
+                            <div className="flex items-center gap-3 mt-2">
+                                <StarRating rating={review.rating} />
+                                {review.title && <span className="font-semibold">{review.title}</span>}
+                            </div>
+                            {review.comment && <p className="mt-2 text-sm whitespace-pre-line">{review.comment}</p>}
+                            {review.photos.length > 0 && (
+                                <div className="flex gap-2 mt-2">
+                                    {review.photos.map(photo => (
+                                        <a key={photo} href={`http://localhost:5000${photo}`} target="_blank" rel="noreferrer">
+                                            <img src={`http://localhost:5000${photo}`} alt="Review" className="w-16 h-16 object-cover rounded" />
+                                        </a>
+                                    ))}
+                                </div>
+                            )}
+                            {review.moderatedBy && (
+                                <p className="text-xs text-gray-500 mt-2">
+                                    Last moderated by {review.moderatedBy.username} on {new Date(review.moderatedAt).toLocaleString()}
+                                </p>
+                            )}
+
+                            {responding === review._id ? (
+                                <div className="mt-3 space-y-2">
+                                    <textarea
+                                        value={responseText}
+                                        onChange={(e) => setResponseText(e.target.value)}
+                                        rows="3"
+                                        maxLength={2000}
+                                        placeholder="Public response (leave empty to remove)"
+                                        className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+                                    />
+                                    <div className="flex gap-2">
+                                        <button onClick={() => saveResponse(review)} className="bg-[#072679] text-white px-4 py-1 rounded-lg text-sm">Save</button>
+                                        <button onClick={() => setResponding(null)} className="bg-gray-200 text-gray-700 px-4 py-1 rounded-lg text-sm">Cancel</button>
+                                    </div>
+                                </div>
+                            ) : review.response?.body && (
+                                <div className="mt-3 pl-3 border-l-4 border-[#42ADF5] text-sm">
+                                    <p className="font-semibold text-[#072679]">Shop response</p>
+                                    <p className="whitespace-pre-line">{review.response.body}</p>
+                                </div>
+                            )}
+
+                            <div className="flex gap-4 mt-3 text-sm">
+                                {review.status !== 'approved' && (
+                                    <button onClick={() => moderate(review, 'approved')} className="flex items-center gap-1 text-green-700 hover:text-green-900">
+                                        <CheckCircle size={16} /> Approve
+                                    </button>
+                                )}
+                                {review.status !== 'hidden' && (
+                                    <button onClick={() => moderate(review, 'hidden')} className="flex items-center gap-1 text-red-600 hover:text-red-800">
+                                        <EyeOff size={16} /> Hide
+                                    </button>
+                                )}
+                                <button onClick={() => openResponse(review)} className="flex items-center gap-1 text-blue-600 hover:text-blue-800">
+                                    <MessageSquare size={16} /> {review.response?.body ? 'Edit response' : 'Respond'}
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {pagination.pages > 1 && (
+                <div className="flex justify-between items-center pt-4 text-sm">
+                    <button onClick={() => fetchReviews(pagination.page - 1)} disabled={pagination.page <= 1} className="px-3 py-1 bg-gray-200 rounded disabled:opacity-50">Previous</button>
+                    <span>Page {pagination.page} of {pagination.pages}</span>
+                    <button onClick={() => fetchReviews(pagination.page + 1)} disabled={pagination.page >= pagination.pages} className="px-3 py-1 bg-gray-200 rounded disabled:opacity-50">Next</button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Edit, Trash2, Plus, X } from 'lucide-react';
+import { DISTRICTS } from '../../utils/addresses';
+import { RATE_BASIS_LABELS } from '../../utils/shipping';
+
+const API = 'http://localhost:5000/api/shipping-zones';
+
+const EMPTY_FORM = {
+    name: '', districts: [], postalPrefixes: '', isDefault: false, basis: 'weight',
+    rates: [{ upTo: 1, price: 0 }], extraPerUnit: 0, freeOver: '', is_active: true,
+};
+
+// "up to 2 kg: LKR 400" or "up to 3 items: LKR 400"
+const unitOf = (basis) => (basis === 'items' ? 'items' : 'kg');
+
+export default function ShippingZones() {
+    const [zones, setZones] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [showForm, setShowForm] = useState(false);
+    const [message, setMessage] = useState({});
+
+    const fetchZones = async () => {
+        try {
+            const { data } = await axios.get(API);
+            setZones(data);
+        } catch (err) {
+            console.error('Error fetching shipping zones:', err);
+            setMessage({ type: 'error', text: 'Failed to load shipping zones.' });
+        }
+    };
+
+    useEffect(() => {
+        fetchZones();
+    }, []);
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const toggleDistrict = (district) => {
+        setForm(prev => ({
+            ...prev,
+            districts: prev.districts.includes(district)
+                ? prev.districts.filter(d => d !== district)
+                : [...prev.districts, district],
+        }));
+    };
+
+    const handleRateChange = (index, field, value) => {
+        setForm(prev => ({ ...prev, rates: prev.rates.map((rate, i) => (i === index ? { ...rate, [field]: value } : rate)) }));
+    };
+
+    const addRate = () => {
+        setForm(prev => ({ ...prev, rates: [...prev.rates, { upTo: '', price: '' }] }));
+    };
+
+    const removeRate = (index) => {
+        setForm(prev => ({ ...prev, rates: prev.rates.filter((_, i) => i !== index) }));
+    };
+
+    const openForm = (zone) => {
+        setEditingId(zone?._id || null);
+        setForm(zone
+            ? { ...EMPTY_FORM, ...zone, postalPrefixes: zone.postalPrefixes.join(', '), freeOver: zone.freeOver ?? '' }
+            : EMPTY_FORM);
+        setShowForm(true);
+        setMessage({});
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const payload = {
+            ...form,
+            postalPrefixes: form.postalPrefixes.split(',').map(prefix => prefix.trim()).filter(Boolean),
+            rates: form.rates.map(rate => ({ upTo: Number(rate.upTo), price: Number(rate.price) })),
+        };
+        try {
+            if (editingId) {
+                await axios.put(`${API}/${editingId}`, payload);
+            } else {
+                await axios.post(API, payload);
+            }
+            setMessage({ type: 'success', text: editingId ? 'Shipping zone updated.' : 'Shipping zone added.' });
+            setShowForm(false);
+            fetchZones();
+        } catch (err) {
+            setMessage({ type: 'error', text: err.response?.data?.message || 'Error saving shipping zone.' });
+        }
+    };
+
+    const handleDelete = async (zone) => {
+        if (!window.confirm(`Delete "${zone.name}"? Orders already placed keep their shipping charge.`)) return;
+        try {
+            await axios.delete(`${API}/${zone._id}`);
+            fetchZones();
+        } catch (err) {
+            alert(err.response?.data?.message || 'Error deleting shipping zone.');
+        }
+    };
+
+    const inputClass = 'w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#072679]';
+
+    return (
+        <div className="bg-white p-6 rounded-2xl shadow-lg">
+            <div className="flex justify-between items-center mb-2">
+                <h1 className="text-3xl font-bold text-[#072679]">Shipping Zones</h1>
+                <button onClick={() => openForm(null)} className="flex items-center gap-2 bg-[#072679] text-white px-4 py-2 rounded-lg hover:bg-[#051a5a] font-medium">
+                    <Plus size={18} /> New Zone
+                </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-6">
+                An address is charged by the zone with the longest matching postal prefix, then the zone listing its district,
+                then the default zone. Store pickup at the academy is always free.
+                {zones.length === 0 && ' Until a zone is added, every delivery is charged the flat delivery fee.'}
+            </p>
+
+            {message.text && (
+                <div className={`p-3 mb-4 rounded-lg ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>{message.text}</div>
+            )}
+
+            {showForm && (
+                <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 mb-6 space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <input name="name" value={form.name} onChange={handleChange} placeholder="Zone name*" className={inputClass} required />
+                        <label className="text-sm text-gray-600">Charge
+                            <select name="basis" value={form.basis} onChange={handleChange} className={inputClass}>
+                                {Object.entries(RATE_BASIS_LABELS).map(([basis, label]) => (
+                                    <option key={basis} value={basis}>{label}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className="text-sm text-gray-600">Postal prefixes (comma separated)
+                            <input name="postalPrefixes" value={form.postalPrefixes} onChange={handleChange} placeholder="e.g. 10, 113" className={inputClass} />
+                        </label>
+                    </div>
+
+                    <div>
+                        <p className="text-sm text-gray-600 mb-2">Districts</p>
+                        <div className="grid grid-cols-2 md:grid-cols-5 gap-1">
+                            {DISTRICTS.map(district => (
+                                <label key={district} className="flex items-center gap-2 text-sm">
+                                    <input type="checkbox" checked={form.districts.includes(district)} onChange={() => toggleDistrict(district)} /> {district}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div>
+                        <p className="text-sm text-gray-600 mb-2">Rates</p>
+                        <div className="space-y-2">
+                            {form.rates.map((rate, index) => (
+                                <div key={index} className="flex items-center gap-2 text-sm">
+                                    <span>Up to</span>
+                                    <input type="number" min="0" step="any" value={rate.upTo} onChange={(e) => handleRateChange(index, 'upTo', e.target.value)} className="w-24 p-2 border border-gray-300 rounded-lg" required />
+                                    <span>{unitOf(form.basis)}: LKR</span>
+                                    <input type="number" min="0" step="0.01" value={rate.price} onChange={(e) => handleRateChange(index, 'price', e.target.value)} className="w-28 p-2 border border-gray-300 rounded-lg" required />
+                                    {form.rates.length > 1 && (
+                                        <button type="button" onClick={() => removeRate(index)} className="text-red-600 hover:text-red-800" aria-label="Remove rate"><X size={16} /></button>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                        <button type="button" onClick={addRate} className="mt-2 text-sm text-[#072679] hover:underline">+ Add a step</button>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <label className="text-sm text-gray-600">Each {form.basis === 'items' ? 'item' : 'kg'} over the last step (LKR)
+                            <input type="number" name="extraPerUnit" value={form.extraPerUnit} onChange={handleChange} min="0" step="0.01" className={inputClass} />
+                        </label>
+                        <label className="text-sm text-gray-600">Free shipping on orders over (LKR)
+                            <input type="number" name="freeOver" value={form.freeOver} onChange={handleChange} min="0" step="0.01" placeholder="Never" className={inputClass} />
+                        </label>
+                    </div>
+                    <div className="flex gap-6">
+                        <label className="flex items-center gap-2 text-sm">
+                            <input type="checkbox" name="isDefault" checked={form.isDefault} onChange={handleChange} /> Default zone for addresses no other zone covers
+                        </label>
+                        <label className="flex items-center gap-2 text-sm">
+                            <input type="checkbox" name="is_active" checked={form.is_active} onChange={handleChange} /> Active
+                        </label>
+                    </div>
+                    <div className="flex gap-3">
+                        <button type="submit" className="bg-[#072679] text-white px-6 py-2 rounded-lg hover:bg-[#051a5a] font-bold">{editingId ? 'Save Changes' : 'Add Zone'}</button>
+                        <button type="button" onClick={() => setShowForm(false)} className="bg-gray-200 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-300">Cancel</button>
+                    </div>
+                </form>
+            )}
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead className="bg-gray-50 text-left text-gray-600">
+                        <tr>
+                            <th className="p-3">Zone</th>
+                            <th className="p-3">Covers</th>
+                            <th className="p-3">Rates</th>
+                            <th className="p-3">Free over</th>
+                            <th className="p-3">Status</th>
+                            <th className="p-3">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {zones.length === 0 ? (
+                            <tr><td colSpan="6" className="p-6 text-center text-gray-500">No shipping zones yet.</td></tr>
+                        ) : zones.map(zone => (
+                            <tr key={zone._id} className="border-t align-top">
+                                <td className="p-3 font-medium">
+                                    {zone.name}
+                                    {zone.isDefault && <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-blue-100 text-blue-800">Default</span>}
+                                </td>
+                                <td className="p-3">
+                                    {zone.districts.join(', ')}
+                                    {zone.postalPrefixes.length > 0 && (
+                                        <div className="text-xs text-gray-500">Postal codes {zone.postalPrefixes.map(prefix => `${prefix}…`).join(', ')}</div>
+                                    )}
+                                    {zone.districts.length === 0 && zone.postalPrefixes.length === 0 && <span className="text-gray-400">Everywhere else</span>}
+                                </td>
+                                <td className="p-3">
+                                    {zone.rates.map(rate => (
+                                        <div key={rate.upTo}>Up to {rate.upTo} {unitOf(zone.basis)}: LKR {rate.price}</div>
+                                    ))}
+                                    {zone.extraPerUnit > 0 && (
+                                        <div className="text-xs text-gray-500">+ LKR {zone.extraPerUnit} per extra {zone.basis === 'items' ? 'item' : 'kg'}</div>
+                                    )}
+                                </td>
+                                <td className="p-3">{zone.freeOver != null ? `LKR ${zone.freeOver}` : '—'}</td>
+                                <td className="p-3">
+                                    <span className={`px-2 py-1 rounded-full text-xs font-semibold ${zone.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-600'}`}>
+                                        {zone.is_active ? 'Active' : 'Inactive'}
+                                    </span>
+                                </td>
+                                <td className="p-3">
+                                    <div className="flex gap-2">
+                                        <button onClick={() => openForm(zone)} className="text-blue-600 hover:text-blue-800" aria-label="Edit"><Edit size={18} /></button>
+                                        <button onClick={() => handleDelete(zone)} className="text-red-600 hover:text-red-800" aria-label="Delete"><Trash2 size={18} /></button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
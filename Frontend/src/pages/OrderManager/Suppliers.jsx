@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Edit, Trash2, Plus } from 'lucide-react';
+
+const API = 'http://localhost:5000/api/suppliers';
+
+const EMPTY_FORM = {
+    name: '', contactName: '', email: '', phone: '', address: '', leadTimeDays: 7, notes: '', is_active: true,
+};
+
+export default function Suppliers() {
+    const [suppliers, setSuppliers] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [showForm, setShowForm] = useState(false);
+    const [message, setMessage] = useState({});
+
+    const fetchSuppliers = async () => {
+        try {
+            const { data } = await axios.get(API);
+            setSuppliers(data);
+        } catch (err) {
+            console.error('Error fetching suppliers:', err);
+            setMessage({ type: 'error', text: 'Failed to load suppliers.' });
+        }
+    };
+
+    useEffect(() => {
+        fetchSuppliers();
+    }, []);
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const openForm = (supplier) => {
+        setEditingId(supplier?._id || null);
+        setForm(supplier ? { ...EMPTY_FORM, ...supplier } : EMPTY_FORM);
+        setShowForm(true);
+        setMessage({});
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            if (editingId) {
+                await axios.put(`${API}/${editingId}`, form);
+            } else {
+                await axios.post(API, form);
+            }
+            setMessage({ type: 'success', text: editingId ? 'Supplier updated.' : 'Supplier added.' });
+            setShowForm(false);
+            fetchSuppliers();
+        } catch (err) {
+            setMessage({ type: 'error', text: err.response?.data?.message || 'Error saving supplier.' });
+        }
+    };
+
+    const handleDelete = async (supplier) => {
+        if (!window.confirm(`Delete "${supplier.name}"?`)) return;
+        try {
+            await axios.delete(`${API}/${supplier._id}`);
+            fetchSuppliers();
+        } catch (err) {
+            alert(err.response?.data?.message || 'Error deleting supplier.');
+        }
+    };
+
+    const inputClass = 'w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#072679]';
+
+    return (
+        <div className="bg-white p-6 rounded-2xl shadow-lg">
+            <div className="flex justify-between items-center mb-6">
+                <h1 className="text-3xl font-bold text-[#072679]">Suppliers</h1>
+                <button onClick={() => openForm(null)} className="flex items-center gap-2 bg-[#072679] text-white px-4 py-2 rounded-lg hover:bg-[#051a5a] font-medium">
+                    <Plus size={18} /> New Supplier
+                </button>
+            </div>
+
+            {message.text && (
+                <div className={`p-3 mb-4 rounded-lg ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>{message.text}</div>
+            )}
+
+            {showForm && (
+                <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 mb-6 space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <input name="name" value={form.name} onChange={handleChange} placeholder="Supplier name*" className={inputClass} required />
+                        <input name="contactName" value={form.contactName} onChange={handleChange} placeholder="Contact person" className={inputClass} />
+                        <label className="text-sm text-gray-600">Quoted lead time (days)
+                            <input type="number" name="leadTimeDays" value={form.leadTimeDays} onChange={handleChange} min="0" className={inputClass} />
+                        </label>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <input type="email" name="email" value={form.email} onChange={handleChange} placeholder="Email" className={inputClass} />
+                        <input name="phone" value={form.phone} onChange={handleChange} placeholder="Phone" className={inputClass} />
+                        <input name="address" value={form.address} onChange={handleChange} placeholder="Address" className={inputClass} />
+                    </div>
+                    <textarea name="notes" value={form.notes} onChange={handleChange} placeholder="Notes" className={inputClass} rows="2" />
+                    <label className="flex items-center gap-2 text-sm">
+                        <input type="checkbox" name="is_active" checked={form.is_active} onChange={handleChange} /> Active
+                    </label>
+                    <div className="flex gap-3">
+                        <button type="submit" className="bg-[#072679] text-white px-6 py-2 rounded-lg hover:bg-[#051a5a] font-bold">{editingId ? 'Save Changes' : 'Add Supplier'}</button>
+                        <button type="button" onClick={() => setShowForm(false)} className="bg-gray-200 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-300">Cancel</button>
+                    </div>
+                </form>
+            )}
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead className="bg-gray-50 text-left text-gray-600">
+                        <tr>
+                            <th className="p-3">Supplier</th>
+                            <th className="p-3">Contact</th>
+                            <th className="p-3">Lead time</th>
+                            <th className="p-3">Products</th>
+                            <th className="p-3">Open POs</th>
+                            <th className="p-3">Status</th>
+                            <th className="p-3">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {suppliers.length === 0 ? (
+                            <tr><td colSpan="7" className="p-6 text-center text-gray-500">No suppliers yet.</td></tr>
+                        ) : suppliers.map(supplier => (
+                            <tr key={supplier._id} className="border-t">
+                                <td className="p-3 font-medium">{supplier.name}</td>
+                                <td className="p-3">
+                                    {supplier.contactName}
+                                    <div className="text-xs text-gray-500">{[supplier.email, supplier.phone].filter(Boolean).join(' · ')}</div>
+                                </td>
+                                <td className="p-3">{supplier.leadTimeDays} days</td>
+                                <td className="p-3">{supplier.productCount}</td>
+                                <td className="p-3">{supplier.openOrderCount}</td>
+                                <td className="p-3">
+                                    <span className={`px-2 py-1 rounded-full text-xs font-semibold ${supplier.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-600'}`}>
+                                        {supplier.is_active ? 'Active' : 'Inactive'}
+                                    </span>
+                                </td>
+                                <td className="p-3">
+                                    <div className="flex gap-2">
+                                        <button onClick={() => openForm(supplier)} className="text-blue-600 hover:text-blue-800" aria-label="Edit"><Edit size={18} /></button>
+                                        <button onClick={() => handleDelete(supplier)} className="text-red-600 hover:text-red-800" aria-label="Delete"><Trash2 size={18} /></button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
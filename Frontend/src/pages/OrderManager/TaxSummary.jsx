@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { INVOICE_SOURCE_LABELS, downloadInvoice } from '../../utils/invoices';
+
+const money = (amount) => `LKR ${(amount || 0).toFixed(2)}`;
+
+// The first and last day of the current month, as yyyy-mm-dd
+const thisMonth = () => {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const last = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+    const month = `${now.getFullYear()}-${pad(now.getMonth() + 1)}`;
+    return { startDate: `${month}-01`, endDate: `${month}-${pad(last)}` };
+};
+
+// Tax invoiced over a period, for the tax return, with the invoices behind it
+export default function TaxSummary() {
+    const [period, setPeriod] = useState(thisMonth);
+    const [report, setReport] = useState(null);
+    const [invoices, setInvoices] = useState({ invoices: [], pagination: {} });
+    const [error, setError] = useState('');
+
+    const fetchReport = useCallback(async () => {
+        // The end date counts in full
+        const startDate = `${period.startDate}T00:00:00`;
+        const endDate = `${period.endDate}T23:59:59.999`;
+        try {
+            const [summary, list] = await Promise.all([
+                axios.get('http://localhost:5000/api/reports/tax-summary', { params: { startDate, endDate } }),
+                axios.get('http://localhost:5000/api/invoices', { params: { from: startDate, to: endDate, limit: 100 } }),
+            ]);
+            setReport(summary.data);
+            setInvoices(list.data);
+            setError('');
+        } catch (err) {
+            console.error('Error fetching tax summary:', err);
+            setError(err.response?.data?.message || 'Failed to load the tax summary.');
+        }
+    }, [period]);
+
+    useEffect(() => {
+        fetchReport();
+    }, [fetchReport]);
+
+    const handleDownload = async (invoice) => {
+        try {
+            await downloadInvoice(invoice._id, invoice.invoiceNumber);
+        } catch (err) {
+            console.error('Invoice download failed:', err);
+            alert('Failed to download the invoice.');
+        }
+    };
+
+    const summary = report?.summary;
+
+    return (
+        <div className="bg-white p-6 rounded-2xl shadow-lg">
+            <h1 className="text-3xl font-bold text-[#072679] mb-2">Tax Summary</h1>
+            <p className="text-sm text-gray-600 mb-6">Tax on the invoices issued in the period, less the tax given back by refunds paid in it. Refunds are paid against the original invoice.</p>
+
+            <div className="flex flex-wrap items-end gap-4 mb-6">
+                <label className="text-sm text-gray-600">From
+                    <input type="date" value={period.startDate} onChange={(e) => setPeriod(prev => ({ ...prev, startDate: e.target.value }))} className="block p-2 border border-gray-300 rounded-lg" />
+                </label>
+                <label className="text-sm text-gray-600">To
+                    <input type="date" value={period.endDate} onChange={(e) => setPeriod(prev => ({ ...prev, endDate: e.target.value }))} className="block p-2 border border-gray-300 rounded-lg" />
+                </label>
+            </div>
+
+            {error && <div className="p-3 mb-4 rounded-lg bg-red-50 text-red-800">{error}</div>}
+
+            {summary && (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+                        <div className="p-4 rounded-lg bg-gray-50">
+                            <p className="text-xs text-gray-500">Invoices</p>
+                            <p className="text-xl font-bold">{summary.invoiceCount}</p>
+                            {summary.firstInvoice && <p className="text-xs text-gray-500 font-mono">{summary.firstInvoice} – {summary.lastInvoice}</p>}
+                        </div>
+                        <div className="p-4 rounded-lg bg-gray-50">
+                            <p className="text-xs text-gray-500">Net sales</p>
+                            <p className="text-xl font-bold">{money(summary.net)}</p>
+                        </div>
+                        <div className="p-4 rounded-lg bg-gray-50">
+                            <p className="text-xs text-gray-500">Tax, net of refunds</p>
+                            <p className="text-xl font-bold text-[#072679]">{money(summary.netTax)}</p>
+                            <p className="text-xs text-gray-500">{money(summary.tax)} invoiced</p>
+                        </div>
+                        <div className="p-4 rounded-lg bg-gray-50">
+                            <p className="text-xs text-gray-500">Shipping (untaxed)</p>
+                            <p className="text-xl font-bold">{money(summary.shipping)}</p>
+                        </div>
+                        <div className="p-4 rounded-lg bg-gray-50">
+                            <p className="text-xs text-gray-500">Refunded on invoiced payments</p>
+                            <p className="text-xl font-bold">{money(summary.refunded)}</p>
+                            <p className="text-xs text-gray-500">{summary.refundCount} payment(s), {money(summary.refundedTax)} of it tax</p>
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+                        <div>
+                            <h2 className="text-lg font-semibold mb-2">By rate</h2>
+                            <table className="w-full text-sm">
+                                <thead className="bg-gray-50 text-left text-gray-600">
+                                    <tr>
+                                        <th className="p-2">Tax</th>
+                                        <th className="p-2 text-right">Taxable</th>
+                                        <th className="p-2 text-right">Tax</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {report.byRate.map(row => (
+                                        <tr key={`${row.name}-${row.rate}`} className="border-t">
+                                            <td className="p-2">{row.rate > 0 ? `${row.name} ${row.rate}%` : 'Untaxed'}</td>
+                                            <td className="p-2 text-right">{money(row.taxable)}</td>
+                                            <td className="p-2 text-right">{money(row.tax)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        <div>
+                            <h2 className="text-lg font-semibold mb-2">By sale</h2>
+                            <table className="w-full text-sm">
+                                <thead className="bg-gray-50 text-left text-gray-600">
+                                    <tr>
+                                        <th className="p-2">Sale</th>
+                                        <th className="p-2 text-right">Invoices</th>
+                                        <th className="p-2 text-right">Net</th>
+                                        <th className="p-2 text-right">Tax</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {report.bySource.map(row => (
+                                        <tr key={row.source} className="border-t">
+                                            <td className="p-2">{INVOICE_SOURCE_LABELS[row.source] || row.source}</td>
+                                            <td className="p-2 text-right">{row.invoiceCount}</td>
+                                            <td className="p-2 text-right">{money(row.net)}</td>
+                                            <td className="p-2 text-right">{money(row.tax)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </>
+            )}
+
+            <h2 className="text-lg font-semibold mb-2">Invoices</h2>
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead className="bg-gray-50 text-left text-gray-600">
+                        <tr>
+                            <th className="p-3">Invoice</th>
+                            <th className="p-3">Date</th>
+                            <th className="p-3">Customer</th>
+                            <th className="p-3">Sale</th>
+                            <th className="p-3 text-right">Net</th>
+                            <th className="p-3 text-right">Tax</th>
+                            <th className="p-3 text-right">Total</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {invoices.invoices.length === 0 ? (
+                            <tr><td colSpan="7" className="p-6 text-center text-gray-500">No invoices in this period.</td></tr>
+                        ) : invoices.invoices.map(invoice => (
+                            <tr key={invoice._id} className="border-t">
+                                <td className="p-3">
+                                    <button onClick={() => handleDownload(invoice)} className="font-mono text-blue-600 hover:underline">{invoice.invoiceNumber}</button>
+                                </td>
+                                <td className="p-3">{new Date(invoice.issuedAt).toLocaleDateString()}</td>
+                                <td className="p-3">{invoice.billTo?.name || '—'}</td>
+                                <td className="p-3">{INVOICE_SOURCE_LABELS[invoice.source] || invoice.source}</td>
+                                <td className="p-3 text-right">{money(invoice.subtotal)}</td>
+                                <td className="p-3 text-right">{money(invoice.tax)}</td>
+                                <td className="p-3 text-right">{money(invoice.total)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {invoices.pagination.totalItems > invoices.invoices.length && (
+                    <p className="text-xs text-gray-500 mt-2">Showing the latest {invoices.invoices.length} of {invoices.pagination.totalItems} invoices; the totals above cover them all.</p>
+                )}
+            </div>
+        </div>
+    );
+}
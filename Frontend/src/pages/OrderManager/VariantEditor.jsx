@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+
+// Must match VARIANT_DIMENSIONS in models/Product.js
+const DIMENSIONS = ['weight', 'size', 'grip', 'handedness'];
+
+// Every combination of the chosen option values, e.g. 2.8lb/Short, 2.8lb/Long, ...
+const combinations = (variantOptions) => variantOptions.reduce(
+    (combos, option) => combos.flatMap(combo => option.values.map(value => ({ ...combo, [option.name]: value }))),
+    [{}]
+);
+
+const optionsKey = (options) => DIMENSIONS.map(name => options[name] || '').join('|');
+
+/**
+ * Lets the order manager list option values (weight, size, grip, handedness)
+ * and set the SKU, price override and stock of each resulting variant.
+ * Calls onChange({ variantOptions, variants }) whenever anything changes.
+ */
+export default function VariantEditor({ productId, onChange }) {
+    const [valuesText, setValuesText] = useState({});
+    const [variants, setVariants] = useState([]);
+
+    const variantOptions = DIMENSIONS
+        .map(name => ({
+            name,
+            values: [...new Set((valuesText[name] || '').split(',').map(v => v.trim()).filter(Boolean))],
+        }))
+        .filter(option => option.values.length > 0);
+
+    const update = (nextVariants) => {
+        setVariants(nextVariants);
+        onChange({ variantOptions: nextVariants.length > 0 ? variantOptions : [], variants: nextVariants });
+    };
+
+    // Keeps rows that still exist so typed SKUs, prices and stock survive edits to the values
+    const generateVariants = () => {
+        const existing = new Map(variants.map(variant => [optionsKey(variant.options), variant]));
+        const prefix = productId || 'SKU';
+        update(variantOptions.length === 0 ? [] : combinations(variantOptions).map(options => existing.get(optionsKey(options)) || {
+            options,
+            sku: [prefix, ...Object.values(options)].join('-').replace(/\s+/g, '').toUpperCase(),
+            price: '',
+            stock_quantity: 0,
+        }));
+    };
+
+    const handleVariantChange = (index, field, value) => {
+        update(variants.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant)));
+    };
+
+    return (
+        <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <div>
+                <h2 className="text-lg font-semibold text-[#072679]">Variants (optional)</h2>
+                <p className="text-sm text-gray-500">Enter comma-separated values, e.g. weight: 2.8lb, 2.9lb. Stock is then kept per variant.</p>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {DIMENSIONS.map(name => (
+                    <div key={name}>
+                        <label className="block text-sm font-medium text-gray-700 mb-1 capitalize">{name}</label>
+                        <input
+                            type="text"
+                            value={valuesText[name] || ''}
+                            onChange={(e) => setValuesText(prev => ({ ...prev, [name]: e.target.value }))}
+                            className="w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#072679]"
+                        />
+                    </div>
+                ))}
+            </div>
+            <button type="button" onClick={generateVariants} className="bg-gray-100 text-[#072679] px-4 py-2 rounded-lg hover:bg-gray-200 font-medium">
+                {variants.length > 0 ? 'Update variants' : 'Create variants'}
+            </button>
+
+            {variants.length > 0 && (
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-gray-500">
+                            <th className="py-2">Option</th>
+                            <th className="py-2">SKU</th>
+                            <th className="py-2">Price (blank = product price)</th>
+                            <th className="py-2">Stock</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {variants.map((variant, index) => (
+                            <tr key={optionsKey(variant.options)} className="border-t">
+                                <td className="py-2">{Object.values(variant.options).join(' / ')}</td>
+                                <td className="py-2 pr-2">
+                                    <input type="text" value={variant.sku} onChange={(e) => handleVariantChange(index, 'sku', e.target.value)} className="w-full p-1 border border-gray-300 rounded" required />
+                                </td>
+                                <td className="py-2 pr-2">
+                                    <input type="number" value={variant.price} onChange={(e) => handleVariantChange(index, 'price', e.target.value)} className="w-full p-1 border border-gray-300 rounded" min="0" step="0.01" />
+                                </td>
+                                <td className="py-2">
+                                    <input type="number" value={variant.stock_quantity} onChange={(e) => handleVariantChange(index, 'stock_quantity', e.target.value)} className="w-full p-1 border border-gray-300 rounded" min="0" required />
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
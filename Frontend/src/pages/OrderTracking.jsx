@@ -4,6 +4,7 @@ import axios from 'axios';
 import { Search, Package, Clock, CheckCircle, XCircle, Truck, MapPin } from 'lucide-react';
 import Header from '../components/Header';
 import Footer from '../components/Footer';
+import { ORDER_STEPS, orderStatusLabel, orderStatusColor } from '../utils/orderStatus';
 
 const OrderTracking = () => {
   const location = useLocation();
@@ -24,37 +25,19 @@ const OrderTracking = () => {
     }
   }, [location.state]);
 
-  const getStatusColor = (status) => {
+  const getStatusIcon = (status, size = 'w-5 h-5') => {
     switch (status) {
-      case 'created':
-        return 'bg-blue-100 text-blue-800';
       case 'processing':
-        return 'bg-yellow-100 text-yellow-800';
-      case 'completed':
-        return 'bg-green-100 text-green-800';
-      case 'cancelled':
-        return 'bg-red-100 text-red-800';
       case 'cart_pending':
-        return 'bg-gray-100 text-gray-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
-    }
-  };
-
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case 'created':
-        return <Package className="w-5 h-5" />;
-      case 'processing':
-        return <Clock className="w-5 h-5" />;
-      case 'completed':
-        return <CheckCircle className="w-5 h-5" />;
+        return <Clock className={size} />;
+      case 'out_for_delivery':
+        return <Truck className={size} />;
+      case 'delivered':
+        return <CheckCircle className={size} />;
       case 'cancelled':
-        return <XCircle className="w-5 h-5" />;
-      case 'cart_pending':
-        return <Clock className="w-5 h-5" />;
+        return <XCircle className={size} />;
       default:
-        return <Package className="w-5 h-5" />;
+        return <Package className={size} />;
     }
   };
 
@@ -63,10 +46,12 @@ const OrderTracking = () => {
       case 'cart_pending':
         return 'Your order is in the cart and pending payment.';
       case 'created':
-        return 'Your order has been created and is being prepared.';
+        return 'Your order has been placed and is waiting for payment.';
       case 'processing':
-        return 'Your order is being processed and will be shipped soon.';
-      case 'completed':
+        return 'Your order is being prepared and will be shipped soon.';
+      case 'out_for_delivery':
+        return 'Your order is on its way to you.';
+      case 'delivered':
         return 'Your order has been delivered successfully!';
       case 'cancelled':
         return 'Your order has been cancelled.';
@@ -75,22 +60,22 @@ const OrderTracking = () => {
     }
   };
 
-  const getStatusSteps = (currentStatus) => {
-    const steps = [
-      { status: 'cart_pending', label: 'Cart Pending', completed: false },
-      { status: 'created', label: 'Order Created', completed: false },
-      { status: 'processing', label: 'Processing', completed: false },
-      { status: 'completed', label: 'Delivered', completed: false }
-    ];
-
-    const statusOrder = ['cart_pending', 'created', 'processing', 'completed'];
-    const currentIndex = statusOrder.indexOf(currentStatus);
+  // When the order first reached each step, from its status history
+  const getStatusSteps = (currentOrder) => {
+    const history = currentOrder.statusHistory || [];
+    const reachedAt = (status) => history.find(change => change.status === status)?.at;
+    const currentIndex = ORDER_STEPS.indexOf(currentOrder.status);
 
-    return steps.map((step, index) => ({
-      ...step,
-      completed: index <= currentIndex,
-      current: index === currentIndex
-    }));
+    return ORDER_STEPS.map((status, index) => {
+      const at = reachedAt(status);
+      return {
+        status,
+        label: orderStatusLabel(status),
+        at,
+        completed: index < currentIndex || (index === currentIndex && status === 'delivered') || (currentIndex === -1 && !!at),
+        current: index === currentIndex && status !== 'delivered'
+      };
+    });
   };
 
   const trackOrder = async (id = null) => {
@@ -236,9 +221,9 @@ const OrderTracking = () => {
                 <p className="text-[#36516C]">Placed on {new Date(order.date || order.createdAt).toLocaleDateString()}</p>
               </div>
               <div className="text-right">
-                <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(order.status)}`}>
+                <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${orderStatusColor(order.status)}`}>
                   {getStatusIcon(order.status)}
-                  <span className="ml-2">{order.status}</span>
+                  <span className="ml-2">{orderStatusLabel(order.status)}</span>
                 </span>
                 <p className="text-sm text-[#36516C] mt-1">{getStatusDescription(order.status)}</p>
               </div>
@@ -247,8 +232,13 @@ const OrderTracking = () => {
             {/* Order Progress */}
             <div className="mb-8">
               <h3 className="text-lg font-semibold text-[#072679] mb-4">Order Progress</h3>
+              {order.status === 'cancelled' && (
+                <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-lg text-sm">
+                  This order was cancelled{order.cancelledAt ? ` on ${new Date(order.cancelledAt).toLocaleString()}` : ''}.
+                </div>
+              )}
               <div className="flex items-center justify-between">
-                {getStatusSteps(order.status).map((step, index) => (
+                {getStatusSteps(order).map((step, index, steps) => (
                   <div key={step.status} className="flex flex-col items-center flex-1">
                     <div className={`w-12 h-12 rounded-full flex items-center justify-center mb-2 ${
                       step.completed 
@@ -257,13 +247,7 @@ const OrderTracking = () => {
                         ? 'bg-yellow-100 text-yellow-600 border-2 border-yellow-300'
                         : 'bg-gray-100 text-gray-400'
                     }`}>
-                      {step.completed ? (
-                        <CheckCircle className="w-6 h-6" />
-                      ) : step.current ? (
-                        <Clock className="w-6 h-6" />
-                      ) : (
-                        <Package className="w-6 h-6" />
-                      )}
+                      {getStatusIcon(step.status, 'w-6 h-6')}
                     </div>
                     <div className="text-center">
                       <p className={`text-sm font-medium ${
@@ -271,8 +255,9 @@ const OrderTracking = () => {
                       }`}>
                         {step.label}
                       </p>
+                      {step.at && <p className="text-xs text-gray-500">{new Date(step.at).toLocaleDateString()}</p>}
                     </div>
-                    {index < getStatusSteps(order.status).length - 1 && (
+                    {index < steps.length - 1 && (
                       <div className={`w-full h-1 mt-4 ${
                         step.completed ? 'bg-[#42ADF5]' : 'bg-gray-200'
                       }`}></div>
@@ -282,6 +267,27 @@ const OrderTracking = () => {
               </div>
             </div>
 
+            {/* Status History */}
+            {order.statusHistory?.length > 0 && (
+              <div className="mb-8">
+                <h3 className="text-lg font-semibold text-[#072679] mb-4">Order Timeline</h3>
+                <ol className="relative border-l-2 border-gray-200 ml-3">
+                  {[...order.statusHistory].reverse().map((change, index) => (
+                    <li key={`${change.status}-${change.at}`} className="mb-4 ml-6">
+                      <span className={`absolute -left-[13px] flex items-center justify-center w-6 h-6 rounded-full ${
+                        index === 0 ? orderStatusColor(change.status) : 'bg-gray-100 text-gray-500'
+                      }`}>
+                        {getStatusIcon(change.status, 'w-3 h-3')}
+                      </span>
+                      <p className="font-medium text-[#072679]">{orderStatusLabel(change.status)}</p>
+                      <p className="text-xs text-gray-500">{new Date(change.at).toLocaleString()}</p>
+                      {change.note && <p className="text-sm text-[#36516C]">{change.note}</p>}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+
             {/* Order Information */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <div>
@@ -301,8 +307,8 @@ const OrderTracking = () => {
                     <MapPin className="w-4 h-4 text-gray-400 mt-0.5 mr-2" />
                     <span>{order.address || 'No address provided'}</span>
                   </div>
-                  <p><strong>Status:</strong> {order.status}</p>
-                  {order.status === 'completed' && (
+                  <p><strong>Status:</strong> {orderStatusLabel(order.status)}</p>
+                  {order.status === 'delivered' && (
                     <p className="text-green-600 font-medium">✅ Order delivered successfully!</p>
                   )}
                   {order.status === 'cancelled' && (
@@ -2,6 +2,8 @@ import { useState, useEffect } from "react";
 import { useLocation, useNavigate } from "react-router-dom";
 import axios from "axios";
 import { getCurrentUserId, isLoggedIn } from "../utils/getCurrentUser";
+import { lineKey, getVariant, variantLabel, linePrice } from "../utils/cartLines";
+import { shippingLabel } from "../utils/shipping";
 import Header from "../components/Header";
 import Footer from "../components/Footer";
 
@@ -11,7 +13,9 @@ const Payment = () => {
   const {
     cart,
     totalData,
+    deliveryMethod,
     address,
+    addressId,
     enrollment,
     program,
     amount,
@@ -24,7 +28,9 @@ const Payment = () => {
   } = location.state || {
     cart: [],
     totalData: { subtotal: 0, deliveryFee: 450, total: 0 },
+    deliveryMethod: "delivery",
     address: "",
+    addressId: null,
     enrollment: null,
     program: null,
     amount: 0,
@@ -286,8 +292,11 @@ const Payment = () => {
         }
       } else {
         // Handle order payment for selected items from Cart_Pending (existing code)
-        // Determine productIds being purchased (cart array contains only items being paid for on this flow)
-        const productIds = cart.map((i) => i.productId);
+        // Determine the lines being purchased (cart array contains only items being paid for on this flow)
+        const lines = cart.map((i) => ({
+          productId: i.productId,
+          variantId: i.variantId || null,
+        }));
         const deliveryAddress =
           address || user?.address || "No address provided";
 
@@ -295,10 +304,17 @@ const Payment = () => {
           "http://localhost:5000/api/payment/pay-selected",
           {
             cartToken,
-            productIds,
+            lines,
             customerId: userId,
             address: deliveryAddress,
+            // A saved address is copied onto the order in parts, for delivery by area
+            addressId,
+            // Store pickup needs no address and is not charged for shipping
+            deliveryMethod: deliveryMethod || "delivery",
             paymentMethod: "card",
+            // The server re-prices the items and refuses the payment if this no longer matches
+            expectedTotal: totalData.total,
+            promoCodes: totalData.promoCodes || [],
           },
           config
         );
@@ -307,9 +323,9 @@ const Payment = () => {
         const currentLocal = JSON.parse(
           localStorage.getItem("cricketCart") || "[]"
         );
-        const purchasedSet = new Set(productIds.map(String));
+        const purchasedSet = new Set(lines.map(lineKey));
         const remainingLocal = currentLocal.filter(
-          (line) => !purchasedSet.has(String(line.productId))
+          (line) => !purchasedSet.has(lineKey(line))
         );
         localStorage.setItem("cricketCart", JSON.stringify(remainingLocal));
 
@@ -439,30 +455,63 @@ const Payment = () => {
             <>
               <div className="mb-4 text-2xl font-bold">Pay Order</div>
               <div className="mb-6 text-3xl font-bold text-green-600">
-                LKR {totalData.total}.00
+                LKR {Number(totalData.total || 0).toFixed(2)}
               </div>
 
               <div className="space-y-3">
                 {cart.map((item) => {
                   const product = getProductDetails(item.productId);
+                  const variant = getVariant(product, item.variantId);
                   return (
                     <div
-                      key={item.productId}
+                      key={lineKey(item)}
                       className="flex justify-between text-sm"
                     >
                       <span>
-                        {product.name || item.productId} (Qty {item.quantity})
+                        {product.name || item.productId}
+                        {variant && ` (${variantLabel(variant)})`} (Qty{" "}
+                        {item.quantity})
                       </span>
                       <span>
-                        LKR {((product.price || 0) * item.quantity).toFixed(2)}
+                        LKR{" "}
+                        {(
+                          linePrice(product, item.variantId) * item.quantity
+                        ).toFixed(2)}
                       </span>
                     </div>
                   );
                 })}
+                {totalData.discount > 0 && (
+                  <div className="flex justify-between pt-2 text-sm border-t text-green-700">
+                    <span>
+                      Discount
+                      {(totalData.promotions || []).length > 0 &&
+                        ` (${totalData.promotions
+                          .map((promotion) => promotion.code || promotion.name)
+                          .join(", ")})`}
+                    </span>
+                    <span>- LKR {totalData.discount}</span>
+                  </div>
+                )}
                 <div className="flex justify-between pt-2 text-sm border-t">
-                  <span>Delivery Charge</span>
-                  <span>LKR {totalData.deliveryFee}.00</span>
+                  <span>
+                    {totalData.shippingQuote
+                      ? shippingLabel(totalData.shippingQuote)
+                      : "Delivery Charge"}
+                  </span>
+                  <span>
+                    {totalData.shippingQuote?.freeShipping ||
+                    totalData.shippingQuote?.method === "pickup"
+                      ? "Free"
+                      : `LKR ${Number(totalData.deliveryFee || 0).toFixed(2)}`}
+                  </span>
                 </div>
+                {totalData.tax > 0 && (
+                  <div className="flex justify-between text-sm">
+                    <span>Tax</span>
+                    <span>LKR {totalData.tax}</span>
+                  </div>
+                )}
               </div>
             </>
           )}
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { toast } from 'react-toastify';
+import { authFetch } from '../utils/authSession';
 
 const PayrollManagement = () => {
   const [payrolls, setPayrolls] = useState([]);
@@ -57,7 +58,7 @@ const PayrollManagement = () => {
         return;
       }
       
-      const response = await fetch('http://localhost:5000/api/payroll/employees', {
+      const response = await authFetch('http://localhost:5000/api/payroll/employees', {
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
@@ -86,7 +87,7 @@ const PayrollManagement = () => {
         return;
       }
       
-      const response = await fetch('http://localhost:5000/api/payroll/salary-config', {
+      const response = await authFetch('http://localhost:5000/api/payroll/salary-config', {
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
@@ -114,7 +115,7 @@ const PayrollManagement = () => {
         return;
       }
       
-      const response = await fetch('http://localhost:5000/api/payroll/salary-config', {
+      const response = await authFetch('http://localhost:5000/api/payroll/salary-config', {
         method: 'PUT',
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -195,7 +196,7 @@ const PayrollManagement = () => {
         throw new Error('No token found');
       }
       
-      const response = await fetch('http://localhost:5000/api/payroll/salary-config', {
+      const response = await authFetch('http://localhost:5000/api/payroll/salary-config', {
         method: 'PUT',
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -239,7 +240,7 @@ const PayrollManagement = () => {
         ...Object.fromEntries(Object.entries(filters).filter(([_, value]) => value !== ''))
       });
 
-      const response = await fetch(`http://localhost:5000/api/payroll?${queryParams}`, {
+      const response = await authFetch(`http://localhost:5000/api/payroll?${queryParams}`, {
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
@@ -269,7 +270,7 @@ const PayrollManagement = () => {
     try {
       const userInfo = JSON.parse(localStorage.getItem('userInfo'));
       const token = userInfo?.token;
-      const response = await fetch('http://localhost:5000/api/payroll', {
+      const response = await authFetch('http://localhost:5000/api/payroll', {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -302,7 +303,7 @@ const PayrollManagement = () => {
     try {
       const userInfo = JSON.parse(localStorage.getItem('userInfo'));
       const token = userInfo?.token;
-      const response = await fetch(`http://localhost:5000/api/payroll/${selectedPayroll._id}`, {
+      const response = await authFetch(`http://localhost:5000/api/payroll/${selectedPayroll._id}`, {
         method: 'PUT',
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -335,7 +336,7 @@ const PayrollManagement = () => {
     try {
       const userInfo = JSON.parse(localStorage.getItem('userInfo'));
       const token = userInfo?.token;
-      const response = await fetch('http://localhost:5000/api/payroll/generate-all', {
+      const response = await authFetch('http://localhost:5000/api/payroll/generate-all', {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -367,7 +368,7 @@ const PayrollManagement = () => {
     try {
       const userInfo = JSON.parse(localStorage.getItem('userInfo'));
       const token = userInfo?.token;
-      const response = await fetch(`http://localhost:5000/api/payroll/${payrollId}/paid`, {
+      const response = await authFetch(`http://localhost:5000/api/payroll/${payrollId}/paid`, {
         method: 'PATCH',
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -406,7 +407,7 @@ const PayrollManagement = () => {
     try {
       const userInfo = JSON.parse(localStorage.getItem('userInfo'));
       const token = userInfo?.token;
-      const response = await fetch(`http://localhost:5000/api/payroll/${payrollId}`, {
+      const response = await authFetch(`http://localhost:5000/api/payroll/${payrollId}`, {
         method: 'DELETE',
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -517,7 +518,7 @@ const PayrollManagement = () => {
         ...Object.fromEntries(Object.entries(filterParams).filter(([_, value]) => value !== ''))
       });
 
-      const response = await fetch(`http://localhost:5000/api/payroll?${queryParams}`, {
+      const response = await authFetch(`http://localhost:5000/api/payroll?${queryParams}`, {
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
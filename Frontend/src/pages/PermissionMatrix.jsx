@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/permissions';
+
+const statusStyles = {
+    protected: 'bg-green-100 text-green-800',
+    public: 'bg-blue-100 text-blue-800',
+    unprotected: 'bg-red-100 text-red-800',
+};
+
+// Admin page for the role-to-permission matrix and the API route report
+export default function PermissionMatrix() {
+    const [permissions, setPermissions] = useState([]);
+    const [roles, setRoles] = useState([]);
+    const [matrix, setMatrix] = useState({});
+    const [locked, setLocked] = useState({});
+    const [twoFactorRequired, setTwoFactorRequired] = useState({});
+    const [twoFactorRoles, setTwoFactorRoles] = useState([]);
+    const [dirtyRoles, setDirtyRoles] = useState([]);
+    const [report, setReport] = useState(null);
+    const [routeFilter, setRouteFilter] = useState('unprotected');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+
+    const getConfig = () => {
+        const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+        return { headers: { Authorization: `Bearer ${userInfo?.token}` } };
+    };
+
+    const fetchData = async () => {
+        try {
+            setLoading(true);
+            const [{ data: matrixData }, { data: reportData }] = await Promise.all([
+                axios.get(API_URL, getConfig()),
+                axios.get(`${API_URL}/routes`, getConfig()),
+            ]);
+            setPermissions(matrixData.permissions);
+            setRoles(matrixData.roles);
+            setMatrix(matrixData.matrix);
+            setLocked(matrixData.locked);
+            setTwoFactorRequired(matrixData.twoFactorRequired);
+            setTwoFactorRoles(matrixData.twoFactorRoles);
+            setReport(reportData);
+            setDirtyRoles([]);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load permissions.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => { fetchData(); }, []);
+
+    // Group permissions by their prefix ("orders:refund" -> "orders")
+    const groupedPermissions = useMemo(() => {
+        return permissions.reduce((acc, p) => {
+            const group = p.name.split(':')[0];
+            (acc[group] = acc[group] || []).push(p);
+            return acc;
+        }, {});
+    }, [permissions]);
+
+    const isLocked = (role, permission) => (locked[role] || []).includes(permission);
+
+    const togglePermission = (role, permission) => {
+        if (isLocked(role, permission)) return;
+        const current = matrix[role] || [];
+        const next = current.includes(permission) ? current.filter(p => p !== permission) : [...current, permission];
+        setMatrix({ ...matrix, [role]: next });
+        if (!dirtyRoles.includes(role)) setDirtyRoles([...dirtyRoles, role]);
+    };
+
+    const handleSave = async () => {
+        try {
+            for (const role of dirtyRoles) {
+                await axios.put(`${API_URL}/${role}`, { permissions: matrix[role] }, getConfig());
+            }
+            setMessage(`Saved permissions for ${dirtyRoles.join(', ')}.`);
+            fetchData();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save permissions.');
+        }
+    };
+
+    // Saved straight away (and audited) rather than with the permission changes
+    const toggleTwoFactor = async (role) => {
+        const required = !twoFactorRequired[role];
+        try {
+            await axios.put(`${API_URL}/${role}/two-factor`, { required }, getConfig());
+            setTwoFactorRequired({ ...twoFactorRequired, [role]: required });
+            setMessage(`Two-factor authentication is now ${required ? 'mandatory' : 'optional'} for ${role.replace('_', ' ')}.`);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to update two-factor requirement.');
+        }
+    };
+
+    const visibleRoutes = report ? report.routes.filter(r => routeFilter === 'all' || r.status === routeFilter) : [];
+
+    if (loading) return <div className="p-8 text-center">Loading permissions...</div>;
+
+    return (
+        <div className="p-4 md:p-8 space-y-8">
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-3xl font-bold text-primary">Roles & Permissions</h1>
+                    <p className="text-text-body">Choose what each role is allowed to do. Changes apply within a minute.</p>
+                </div>
+                <button
+                    onClick={handleSave}
+                    disabled={dirtyRoles.length === 0}
+                    className="px-4 py-2 bg-primary text-white rounded-lg font-medium disabled:opacity-50"
+                >
+                    Save Changes
+                </button>
+            </div>
+
+            {error && <div className="p-3 bg-red-100 text-red-700 rounded-lg">{error}</div>}
+            {message && <div className="p-3 bg-green-100 text-green-700 rounded-lg">{message}</div>}
+
+            <div className="bg-surface rounded-2xl shadow-lg overflow-x-auto">
+                <table className="min-w-full text-sm">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-3 text-left font-semibold text-gray-700">Permission</th>
+                            {roles.map(role => (
+                                <th key={role} className="px-2 py-3 text-center font-semibold text-gray-700 capitalize">
+                                    {role.replace('_', ' ')}
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr className="bg-blue-50">
+                            <td className="px-4 py-2">
+                                <p className="font-semibold text-gray-800">Require two-factor login</p>
+                                <p className="text-xs text-gray-500">Users with this role must use an authenticator app. Saved immediately.</p>
+                            </td>
+                            {roles.map(role => (
+                                <td key={role} className="px-2 py-2 text-center">
+                                    {twoFactorRoles.includes(role) && (
+                                        <input
+                                            type="checkbox"
+                                            checked={!!twoFactorRequired[role]}
+                                            onChange={() => toggleTwoFactor(role)}
+                                            className="h-4 w-4"
+                                        />
+                                    )}
+                                </td>
+                            ))}
+                        </tr>
+                        {Object.entries(groupedPermissions).map(([group, groupPermissions]) => (
+                            <React.Fragment key={group}>
+                                <tr className="bg-gray-100">
+                                    <td colSpan={roles.length + 1} className="px-4 py-2 text-xs font-semibold text-gray-500 uppercase">{group}</td>
+                                </tr>
+                                {groupPermissions.map(p => (
+                                    <tr key={p.name} className="border-t">
+                                        <td className="px-4 py-2">
+                                            <p className="font-mono text-gray-800">{p.name}</p>
+                                            <p className="text-xs text-gray-500">{p.description}</p>
+                                        </td>
+                                        {roles.map(role => (
+                                            <td key={role} className="px-2 py-2 text-center">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={(matrix[role] || []).includes(p.name)}
+                                                    disabled={isLocked(role, p.name)}
+                                                    onChange={() => togglePermission(role, p.name)}
+                                                    className="h-4 w-4"
+                                                />
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </React.Fragment>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {report && (
+                <div className="bg-surface rounded-2xl shadow-lg p-6">
+                    <div className="flex justify-between items-center mb-4">
+                        <div>
+                            <h2 className="text-2xl font-bold text-primary">API Route Report</h2>
+                            <p className="text-sm text-text-body">
+                                {report.summary.total} routes · {report.summary.protected} protected · {report.summary.public} public · {report.summary.unprotected} unprotected
+                            </p>
+                        </div>
+                        <select value={routeFilter} onChange={(e) => setRouteFilter(e.target.value)} className="px-3 py-2 border rounded-lg">
+                            <option value="unprotected">Unprotected</option>
+                            <option value="public">Public</option>
+                            <option value="protected">Protected</option>
+                            <option value="all">All</option>
+                        </select>
+                    </div>
+
+                    {visibleRoutes.length === 0 ? (
+                        <p className="text-gray-500">No routes in this category.</p>
+                    ) : (
+                        <table className="min-w-full text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-2 text-left">Method</th>
+                                    <th className="px-4 py-2 text-left">Path</th>
+                                    <th className="px-4 py-2 text-left">Status</th>
+                                    <th className="px-4 py-2 text-left">Permissions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {visibleRoutes.map(r => (
+                                    <tr key={`${r.method} ${r.path}`} className="border-t">
+                                        <td className="px-4 py-2 font-mono">{r.method}</td>
+                                        <td className="px-4 py-2 font-mono">{r.path}</td>
+                                        <td className="px-4 py-2">
+                                            <span className={`px-2 py-0.5 rounded-full text-xs ${statusStyles[r.status]}`}>{r.status}</span>
+                                        </td>
+                                        <td className="px-4 py-2 font-mono text-xs">{r.permissions.join(', ') || '—'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
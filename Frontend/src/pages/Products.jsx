@@ -3,8 +3,10 @@ import axios from 'axios';
 import { debounce } from 'lodash';
 import { useNavigate } from 'react-router-dom';
 import Header from '../components/Header';
+import StarRating from '../components/StarRating';
 import Footer from '../components/Footer';
 import { getCurrentUserId } from '../utils/getCurrentUser';
+import { hasVariants, startingPrice } from '../utils/cartLines';
 import bat1 from '../assets/Bat.webp';
 import Accessories1 from '../assets/Accessories1.jpg';
 import Electronics1 from '../assets/electronic.jpg';
@@ -19,6 +21,15 @@ const Products = () => {
   const [products, setProducts] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
+  const [searchInput, setSearchInput] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [correctedQuery, setCorrectedQuery] = useState(null);
+  const [facets, setFacets] = useState(null);
+  const [selectedBrand, setSelectedBrand] = useState('');
+  const [priceBand, setPriceBand] = useState(null);
+  const [sort, setSort] = useState(''); // empty: best match when searching, otherwise newest
+  const [minRating, setMinRating] = useState('');
   const [error, setError] = useState(null);
   const [cart, setCart] = useState([]); // Local cart state
   const [cartToken, setCartToken] = useState('');
@@ -53,12 +64,13 @@ const Products = () => {
     fetchCategories();
     fetchProducts();
     fetchUserDetails();
-  }, [selectedCategory, searchQuery]);
+  }, [selectedCategory, selectedBrand, priceBand, searchQuery, sort, minRating]);
 
   // Listen for search events from Header component
   useEffect(() => {
     const handleSearch = (event) => {
       setSearchQuery(event.detail);
+      setSearchInput(event.detail);
     };
 
     window.addEventListener('searchProducts', handleSearch);
@@ -135,10 +147,16 @@ const Products = () => {
         page: 1,
         limit: 10,
         ...(selectedCategory && { category: selectedCategory }),
+        ...(selectedBrand && { brand: selectedBrand }),
+        ...(priceBand && { minPrice: priceBand.min, ...(priceBand.max && { maxPrice: priceBand.max }) }),
         ...(searchQuery && { query: searchQuery }),
+        ...(minRating && { minRating }),
+        ...(sort && { sort }),
       };
       const res = await axios.get('http://localhost:5000/api/products/search', { params });
       setProducts(res.data.products || []);
+      setCorrectedQuery(res.data.correctedQuery || null);
+      setFacets(res.data.facets || null);
       setError(null);
     } catch (err) {
       console.error('Error fetching products:', err.response ? err.response.data : err.message);
@@ -151,13 +169,10 @@ const Products = () => {
   const syncCartPending = async () => {
     try {
       for (const item of cart) {
-        const product = products.find(p => p._id === item.productId);
-        if (!product) continue;
         await axios.post('http://localhost:5000/api/cart-pending', {
           cartToken: cartToken,
           productId: item.productId,
-          title: product.name,
-          price: product.price,
+          variantId: item.variantId || null,
           quantity: item.quantity
         });
       }
@@ -177,7 +192,7 @@ const Products = () => {
 
   const handleQuantityChange = (productId, change) => {
     setCart((prevCart) => {
-      const existingItem = prevCart.find(item => item.productId === productId);
+      const existingItem = prevCart.find(item => item.productId === productId && !item.variantId);
       const product = products.find(p => p._id === productId);
       
       if (!product) return prevCart;
@@ -187,13 +202,13 @@ const Products = () => {
         const newQuantity = existingItem.quantity + change;
         if (newQuantity <= 0) {
           // Remove item if quantity becomes 0
-          newCart = prevCart.filter(item => item.productId !== productId);
+          newCart = prevCart.filter(item => item.productId !== productId || item.variantId);
         } else if (newQuantity > product.stock_quantity) {
           alert(`Only ${product.stock_quantity} items available in stock`);
           return prevCart;
         } else {
           newCart = prevCart.map(item =>
-            item.productId === productId ? { ...item, quantity: newQuantity } : item
+            item.productId === productId && !item.variantId ? { ...item, quantity: newQuantity } : item
           );
         }
       } else if (change > 0) {
@@ -214,9 +229,46 @@ const Products = () => {
     });
   };
 
-  const handleSearchChange = debounce((value) => {
+  const applySearch = useMemo(() => debounce((value) => {
     setSearchQuery(value);
-  }, 300);
+  }, 300), []);
+
+  const fetchSuggestions = useMemo(() => debounce(async (value) => {
+    if (!value.trim()) {
+      setSuggestions([]);
+      return;
+    }
+    try {
+      const res = await axios.get('http://localhost:5000/api/products/suggest', { params: { q: value } });
+      setSuggestions(res.data);
+    } catch (err) {
+      console.error('Error fetching search suggestions:', err);
+      setSuggestions([]);
+    }
+  }, 200), []);
+
+  const handleSearchChange = (value) => {
+    setSearchInput(value);
+    setShowSuggestions(true);
+    applySearch(value);
+    fetchSuggestions(value);
+  };
+
+  // A category or brand suggestion becomes a filter; a product name becomes the search
+  const chooseSuggestion = (suggestion) => {
+    setShowSuggestions(false);
+    applySearch.cancel();
+    if (suggestion.type === 'category') {
+      setSelectedCategory(suggestion.text);
+    } else if (suggestion.type === 'brand') {
+      setSelectedBrand(suggestion.text);
+    }
+    const query = suggestion.type === 'product' ? suggestion.text : '';
+    setSearchInput(query);
+    setSearchQuery(query);
+  };
+
+  const formatBand = (band) => (band.max ? `LKR ${band.min.toLocaleString()} – ${band.max.toLocaleString()}` : `Over LKR ${band.min.toLocaleString()}`);
 
   const goToCart = () => {
     navigate('/cart', { state: { cart } }); // Pass cart state to Cart page
@@ -310,8 +362,10 @@ const Products = () => {
             <input
               type="text"
               placeholder="Search all products..."
-              value={searchQuery}
+              value={searchInput}
               onChange={(e) => handleSearchChange(e.target.value)}
+              onFocus={() => setShowSuggestions(true)}
+              onBlur={() => setTimeout(() => setShowSuggestions(false), 150)}
               className="w-full px-4 py-3 pl-12 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#42ADF5] focus:border-transparent text-gray-900"
             />
             <svg 
@@ -322,6 +376,47 @@ const Products = () => {
             >
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
             </svg>
+            {showSuggestions && suggestions.length > 0 && (
+              <ul className="absolute z-20 w-full mt-1 bg-white border border-gray-200 rounded-lg shadow-lg text-left">
+                {suggestions.map(suggestion => (
+                  <li key={`${suggestion.type}-${suggestion.productId || suggestion.text}`}>
+                    <button
+                      type="button"
+                      onMouseDown={(e) => e.preventDefault()}
+                      onClick={() => chooseSuggestion(suggestion)}
+                      className="w-full flex justify-between px-4 py-2 hover:bg-gray-100 text-gray-900"
+                    >
+                      <span>{suggestion.text}</span>
+                      {suggestion.type !== 'product' && <span className="text-xs text-gray-500 capitalize">{suggestion.type}</span>}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          <div className="flex gap-3 mt-3">
+            <select
+              value={sort}
+              onChange={(e) => setSort(e.target.value)}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-[#42ADF5]"
+            >
+              <option value="">{searchQuery ? 'Best match' : 'Newest'}</option>
+              {searchQuery && <option value="newest">Newest</option>}
+              <option value="rating">Top rated</option>
+              <option value="reviews">Most reviewed</option>
+              <option value="price_asc">Price: low to high</option>
+              <option value="price_desc">Price: high to low</option>
+            </select>
+            <select
+              value={minRating}
+              onChange={(e) => setMinRating(e.target.value)}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-gray-900 focus:outline-none focus:ring-2 focus:ring-[#42ADF5]"
+            >
+              <option value="">Any rating</option>
+              <option value="4">4 stars & up</option>
+              <option value="3">3 stars & up</option>
+              <option value="2">2 stars & up</option>
+            </select>
           </div>
         </div>
       </section>
@@ -329,12 +424,44 @@ const Products = () => {
       {/* Products Display */}
       <section className="p-8">
         <h2 className="text-3xl font-bold text-[#072679] mb-4 text-center">Top products near you</h2>
+        {correctedQuery && (
+          <p className="text-center mb-4">
+            Showing results for <span className="font-semibold">{correctedQuery}</span>
+          </p>
+        )}
+        {facets && (facets.brands.length > 0 || facets.priceBands.length > 0) && (
+          <div className="flex flex-wrap justify-center gap-2 mb-6 text-sm">
+            {facets.brands.map(facet => (
+              <button
+                key={facet.value}
+                onClick={() => setSelectedBrand(selectedBrand === facet.value ? '' : facet.value)}
+                className={`px-3 py-1 rounded-full border ${selectedBrand === facet.value ? 'bg-[#42ADF5] text-white border-[#42ADF5]' : 'bg-white border-gray-300'}`}
+              >
+                {facet.value} ({facet.count})
+              </button>
+            ))}
+            {facets.priceBands.map(band => {
+              const active = priceBand?.min === band.min;
+              return (
+                <button
+                  key={band.min}
+                  onClick={() => setPriceBand(active ? null : band)}
+                  className={`px-3 py-1 rounded-full border ${active ? 'bg-[#072679] text-white border-[#072679]' : 'bg-white border-gray-300'}`}
+                >
+                  {formatBand(band)} ({band.count})
+                </button>
+              );
+            })}
+          </div>
+        )}
         <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
           {products.length === 0 ? (
             <p className="text-center col-span-4">No products available matching your search or category.</p>
           ) : (
             products.map((product) => {
-              const cartItem = cart.find(item => item.productId === product._id);
+              // Products with variants are added from the buy page once an option is chosen
+              const withVariants = hasVariants(product);
+              const cartItem = cart.find(item => item.productId === product._id && !item.variantId);
               const quantity = cartItem ? cartItem.quantity : 0;
               const stockQuantity = product.stock_quantity || product.stock || 0;
               const isOutOfStock = stockQuantity <= 0;
@@ -372,6 +499,9 @@ const Products = () => {
                   
                   <div className="p-4">
                     <h3 className="text-xl font-bold text-[#000000] mb-2">{product.name}</h3>
+                    <div className="mb-2">
+                      <StarRating rating={product.ratingAverage} count={product.ratingCount || 0} />
+                    </div>
                     <p className="text-[#36516C] mb-2">{product.description?.slice(0, 100) || 'No description'}...</p>
                     
                     {/* Stock Information */}
@@ -387,9 +517,14 @@ const Products = () => {
                       )}
                     </div>
                     
-                    <p className="text-[#072679] font-bold mb-4">LKR {product.price || 0}</p>
+                    <p className="text-[#072679] font-bold mb-4">
+                      {withVariants ? `From LKR ${startingPrice(product)}` : `LKR ${product.price || 0}`}
+                    </p>
                     
                     <div className="flex items-center justify-between">
+                      {withVariants ? (
+                        <span className="text-sm text-gray-500">{product.variants.length} options</span>
+                      ) : (
                       <div className="flex items-center gap-2">
                         <button
                           onClick={() => handleQuantityChange(product._id, -1)}
@@ -407,12 +542,13 @@ const Products = () => {
                           +
                         </button>
                       </div>
+                      )}
                       <button
                         onClick={() => navigate('/buy', { state: { product } })}
                         className="bg-[#072679] text-white px-4 py-2 rounded-lg hover:bg-[#051A5C] transition-colors font-medium disabled:bg-gray-400 disabled:cursor-not-allowed"
                         disabled={isOutOfStock}
                       >
-                        {isOutOfStock ? 'Out of Stock' : 'Buy'}
+                        {isOutOfStock ? 'Out of Stock' : withVariants ? 'Choose options' : 'Buy'}
                       </button>
                     </div>
                   </div>
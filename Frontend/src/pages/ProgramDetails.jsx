@@ -24,6 +24,9 @@ export default function ProgramDetails() {
     goals: ''
   });
   const [showEnrollmentErrorModal, setShowEnrollmentErrorModal] = useState(false);
+  // Junior players on this account, so a guardian can enroll them instead of themselves
+  const [children, setChildren] = useState([]);
+  const [enrollFor, setEnrollFor] = useState('');
   const [enrollmentErrorMessage, setEnrollmentErrorMessage] = useState('');
 
   useEffect(() => {
@@ -69,7 +72,7 @@ export default function ProgramDetails() {
     }
   };
 
-  const handleEnroll = () => {
+  const handleEnroll = async () => {
     if (!isLoggedIn()) {
       navigate('/login');
       return;
@@ -86,7 +89,28 @@ export default function ProgramDetails() {
       experience: '',
       goals: ''
     });
+    setEnrollFor(userInfo._id);
     setShowEnrollmentModal(true);
+
+    try {
+      const { data } = await axios.get('http://localhost:5000/api/guardian/children', {
+        headers: { Authorization: `Bearer ${userInfo.token}` }
+      });
+      setChildren(data.data || []);
+    } catch (err) {
+      console.error('Error fetching junior players:', err);
+    }
+  };
+
+  const handleEnrollForChange = (playerId) => {
+    const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+    const player = children.find(c => c._id === playerId) || userInfo;
+    setEnrollFor(playerId);
+    setEnrollmentData(prev => ({
+      ...prev,
+      firstName: player.firstName || '',
+      lastName: player.lastName || ''
+    }));
   };
 
   const handleEnrollmentSubmit = async () => {
@@ -105,7 +129,7 @@ export default function ProgramDetails() {
 
       const enrollmentPayload = {
         programId: id,
-        userId: userInfo._id
+        userId: enrollFor || userInfo._id
       };
       
       console.log('Enrollment payload:', enrollmentPayload);
@@ -404,6 +428,23 @@ export default function ProgramDetails() {
               </div>
 
               <div className="space-y-4">
+                {children.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Who is this enrollment for?
+                    </label>
+                    <select
+                      value={enrollFor}
+                      onChange={(e) => handleEnrollForChange(e.target.value)}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value={JSON.parse(localStorage.getItem('userInfo'))?._id}>Myself</option>
+                      {children.map(child => (
+                        <option key={child._id} value={child._id}>{child.firstName} {child.lastName}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">
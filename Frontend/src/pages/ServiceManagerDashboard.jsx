@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { getAllRepairRequests, updateRepairStatus, assignTechnician, sendEstimate } from '../api/repairRequestApi';
+import { getAllRepairRequests, updateRepairStatus, assignTechnician, sendEstimate, recordRepairPayment } from '../api/repairRequestApi';
 import { getAllTechnicians } from '../api/repairRequestApi';
 import { updateTechnician } from '../api/technicianApi';
 import { generateTechnicianFriendlyId } from '../utils/friendlyId';
+import { authFetch } from '../utils/authSession';
 import Brand from '../brand';
 
 // Using shared Brand from ../brand
@@ -188,6 +189,18 @@ const ServiceManagerDashboard = () => {
 
 
 
+  const handleRecordPayment = async (request) => {
+    if (!window.confirm(`Record a payment of LKR ${request.costEstimate} for this repair and issue the tax invoice?`)) return;
+    try {
+      const { data } = await recordRepairPayment(request._id);
+      await loadData();
+      alert(data.invoice ? `Payment recorded. Invoice ${data.invoice.invoiceNumber} issued.` : 'Payment recorded.');
+    } catch (error) {
+      console.error('Error recording repair payment:', error);
+      alert(`Failed to record payment: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
   const validateApprovalData = () => {
     const errors = {};
     
@@ -300,8 +313,10 @@ const ServiceManagerDashboard = () => {
     
     setDeletingTechnician(technicianId);
     try {
-      const response = await fetch(`http://localhost:5000/api/technicians/${technicianId}`, {
+      const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+      const response = await authFetch(`http://localhost:5000/api/technicians/${technicianId}`, {
         method: 'DELETE',
+        headers: { Authorization: `Bearer ${userInfo?.token}` },
       });
       
       if (response.ok) {
@@ -921,6 +936,16 @@ const ServiceManagerDashboard = () => {
                              Ready for Pickup
                            </span>
                          )}
+
+                         {/* Ready or done - take the customer's payment */}
+                         {['Ready for Pickup', 'Completed'].includes(request.status) && request.costEstimate > 0 && (
+                           <button
+                             onClick={() => handleRecordPayment(request)}
+                             className="mt-1 px-3 py-1 rounded text-sm bg-blue-600 text-white hover:bg-blue-700"
+                           >
+                             Record Payment
+                           </button>
+                         )}
                       </div>
                     </td>
                   </tr>
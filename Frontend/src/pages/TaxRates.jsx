@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Edit, Trash2, Plus } from 'lucide-react';
+import { TAX_SCOPE_LABELS } from '../utils/invoices';
+
+const API = 'http://localhost:5000/api/tax-rates';
+
+const EMPTY_FORM = { scope: 'shop', category: '', name: 'VAT', rate: '', is_active: true };
+
+// Admin page for the tax charged on shop categories and each paid service
+export default function TaxRates() {
+    const [rates, setRates] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [defaultShopRate, setDefaultShopRate] = useState(0);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [showForm, setShowForm] = useState(false);
+    const [message, setMessage] = useState({});
+
+    const fetchRates = async () => {
+        try {
+            const { data } = await axios.get(API);
+            setRates(data.rates);
+            setCategories(data.categories);
+            setDefaultShopRate(data.defaultShopRate);
+        } catch (err) {
+            console.error('Error fetching tax rates:', err);
+            setMessage({ type: 'error', text: 'Failed to load tax rates.' });
+        }
+    };
+
+    useEffect(() => {
+        fetchRates();
+    }, []);
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const openForm = (rate) => {
+        setEditingId(rate?._id || null);
+        setForm(rate ? { ...EMPTY_FORM, ...rate, category: rate.category || '' } : EMPTY_FORM);
+        setShowForm(true);
+        setMessage({});
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const payload = { ...form, rate: Number(form.rate) };
+        try {
+            if (editingId) {
+                await axios.put(`${API}/${editingId}`, payload);
+            } else {
+                await axios.post(API, payload);
+            }
+            setMessage({ type: 'success', text: editingId ? 'Tax rate updated.' : 'Tax rate added.' });
+            setShowForm(false);
+            fetchRates();
+        } catch (err) {
+            setMessage({ type: 'error', text: err.response?.data?.message || 'Error saving tax rate.' });
+        }
+    };
+
+    const handleDelete = async (rate) => {
+        if (!window.confirm(`Delete the ${rate.rate}% rate on ${rate.category || TAX_SCOPE_LABELS[rate.scope]}? Invoices already issued keep it.`)) return;
+        try {
+            await axios.delete(`${API}/${rate._id}`);
+            fetchRates();
+        } catch (err) {
+            alert(err.response?.data?.message || 'Error deleting tax rate.');
+        }
+    };
+
+    const inputClass = 'w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#072679]';
+
+    return (
+        <div className="bg-white p-6 rounded-2xl shadow-lg">
+            <div className="flex justify-between items-center mb-2">
+                <h1 className="text-3xl font-bold text-[#072679]">Tax Rates</h1>
+                <button onClick={() => openForm(null)} className="flex items-center gap-2 bg-[#072679] text-white px-4 py-2 rounded-lg hover:bg-[#051a5a] font-medium">
+                    <Plus size={18} /> New Rate
+                </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-6">
+                Shop prices are before tax: a product is taxed at the rate for its category, else the general shop rate
+                {` (${defaultShopRate}% until one is set)`}. Ground, coaching and repair fees already include tax at their
+                service rate, and are untaxed without one. Shipping is not taxed. Changes apply to new sales only.
+            </p>
+
+            {message.text && (
+                <div className={`p-3 mb-4 rounded-lg ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>{message.text}</div>
+            )}
+
+            {showForm && (
+                <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 mb-6 space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                        <label className="text-sm text-gray-600">Applies to
+                            <select name="scope" value={form.scope} onChange={handleChange} className={inputClass}>
+                                {Object.entries(TAX_SCOPE_LABELS).map(([scope, label]) => (
+                                    <option key={scope} value={scope}>{label}</option>
+                                ))}
+                            </select>
+                        </label>
+                        {form.scope === 'shop' && (
+                            <label className="text-sm text-gray-600">Product category
+                                <select name="category" value={form.category} onChange={handleChange} className={inputClass}>
+                                    <option value="">All other categories</option>
+                                    {categories.map(category => (
+                                        <option key={category} value={category}>{category}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        )}
+                        <label className="text-sm text-gray-600">Name on invoices
+                            <input name="name" value={form.name} onChange={handleChange} className={inputClass} required />
+                        </label>
+                        <label className="text-sm text-gray-600">Rate (%)
+                            <input type="number" name="rate" value={form.rate} onChange={handleChange} min="0" max="100" step="0.01" className={inputClass} required />
+                        </label>
+                    </div>
+                    <label className="flex items-center gap-2 text-sm">
+                        <input type="checkbox" name="is_active" checked={form.is_active} onChange={handleChange} /> Active
+                    </label>
+                    <div className="flex gap-3">
+                        <button type="submit" className="bg-[#072679] text-white px-6 py-2 rounded-lg hover:bg-[#051a5a] font-bold">{editingId ? 'Save Changes' : 'Add Rate'}</button>
+                        <button type="button" onClick={() => setShowForm(false)} className="bg-gray-200 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-300">Cancel</button>
+                    </div>
+                </form>
+            )}
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead className="bg-gray-50 text-left text-gray-600">
+                        <tr>
+                            <th className="p-3">Applies to</th>
+                            <th className="p-3">Category</th>
+                            <th className="p-3">Name</th>
+                            <th className="p-3">Rate</th>
+                            <th className="p-3">Status</th>
+                            <th className="p-3">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rates.length === 0 ? (
+                            <tr><td colSpan="6" className="p-6 text-center text-gray-500">No tax rates yet.</td></tr>
+                        ) : rates.map(rate => (
+                            <tr key={rate._id} className="border-t">
+                                <td className="p-3 font-medium">{TAX_SCOPE_LABELS[rate.scope] || rate.scope}</td>
+                                <td className="p-3">{rate.scope === 'shop' ? (rate.category || <span className="text-gray-400">All other categories</span>) : '—'}</td>
+                                <td className="p-3">{rate.name}</td>
+                                <td className="p-3">{rate.rate}%</td>
+                                <td className="p-3">
+                                    <span className={`px-2 py-1 rounded-full text-xs font-semibold ${rate.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-600'}`}>
+                                        {rate.is_active ? 'Active' : 'Inactive'}
+                                    </span>
+                                </td>
+                                <td className="p-3">
+                                    <div className="flex gap-2">
+                                        <button onClick={() => openForm(rate)} className="text-blue-600 hover:text-blue-800" aria-label="Edit"><Edit size={18} /></button>
+                                        <button onClick={() => handleDelete(rate)} className="text-red-600 hover:text-red-800" aria-label="Delete"><Trash2 size={18} /></button>
+                                    </div>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import axios from 'axios';
+import { startViewingAs } from '../utils/authSession';
 
 // --- Icon Components ---
 const UserIcon = () => <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-gray-500" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" /></svg>;
@@ -59,7 +60,7 @@ const UserModal = ({ isOpen, onClose, onSave, user, roles }) => {
                     </div>
                     <input name="username" value={formData.username} onChange={handleChange} placeholder="Username" className="w-full px-3 py-2 border rounded" required />
                     <input type="email" name="email" value={formData.email} onChange={handleChange} placeholder="Email" className="w-full px-3 py-2 border rounded" required />
-                    <input type="password" name="password" value={formData.password} onChange={handleChange} placeholder={isEditMode ? "New Password (optional)" : "Password"} className="w-full px-3 py-2 border rounded" required={!isEditMode} />
+                    <input type="password" name="password" value={formData.password} onChange={handleChange} placeholder={isEditMode ? "New Password (optional)" : "Password (leave blank to email an invitation)"} className="w-full px-3 py-2 border rounded" />
                     <select name="role" value={formData.role} onChange={handleChange} className="w-full px-3 py-2 border rounded" required>
                         {roles.map(role => <option key={role} value={role}>{role.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())}</option>)}
                     </select>
@@ -73,6 +74,118 @@ const UserModal = ({ isOpen, onClose, onSave, user, roles }) => {
     );
 };
 
+// --- Bulk CSV Import Modal Component ---
+// Validate runs a dry run on the server; Import is only offered once every row passes
+const ImportUsersModal = ({ isOpen, onClose, onImported }) => {
+    const [csv, setCsv] = useState('');
+    const [fileName, setFileName] = useState('');
+    const [report, setReport] = useState(null);
+    const [message, setMessage] = useState('');
+    const [working, setWorking] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen) {
+            setCsv(''); setFileName(''); setReport(null); setMessage('');
+        }
+    }, [isOpen]);
+
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => { setCsv(reader.result); setReport(null); setMessage(''); };
+        reader.readAsText(file);
+        setFileName(file.name);
+    };
+
+    const submit = async (dryRun) => {
+        const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+        const config = { headers: { Authorization: `Bearer ${userInfo.token}` } };
+        setWorking(true);
+        try {
+            const { data } = await axios.post('http://localhost:5000/api/users/import', { csv, dryRun }, config);
+            setReport(data);
+            setMessage(data.message);
+            if (!dryRun) onImported();
+        } catch (err) {
+            setReport(err.response?.data?.rows ? err.response.data : null);
+            setMessage(err.response?.data?.message || 'Import failed.');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    if (!isOpen) return null;
+
+    const canImport = report?.dryRun && report.summary?.invalid === 0;
+    const statusStyles = { valid: 'bg-green-100 text-green-800', created: 'bg-green-100 text-green-800', invalid: 'bg-red-100 text-red-800', failed: 'bg-red-100 text-red-800' };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+                <h3 className="text-xl font-bold text-gray-800 mb-2">Import Users from CSV</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                    Columns: <code>firstName, lastName, email, role</code> and optionally <code>username, contactNumber, address, dob, specializations, skills</code>.
+                    Separate several specializations or skills with semicolons. Each new user is emailed a link to choose their password.
+                </p>
+                <input type="file" accept=".csv,text/csv" onChange={handleFile} className="mb-4" />
+                {fileName && <p className="text-xs text-gray-500 mb-2">{fileName}</p>}
+                {message && <p className={`text-sm mb-3 ${report?.success ? 'text-green-700' : 'text-red-600'}`}>{message}</p>}
+
+                {report?.rows && (
+                    <div className="overflow-x-auto border rounded mb-4">
+                        <table className="min-w-full text-sm">
+                            <thead className="bg-gray-50 text-left text-gray-600">
+                                <tr>
+                                    <th className="px-3 py-2">Line</th>
+                                    <th className="px-3 py-2">Name</th>
+                                    <th className="px-3 py-2">Email</th>
+                                    <th className="px-3 py-2">Username</th>
+                                    <th className="px-3 py-2">Role</th>
+                                    <th className="px-3 py-2">Result</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                                {report.rows.map(row => (
+                                    <tr key={row.line}>
+                                        <td className="px-3 py-2 text-gray-500">{row.line}</td>
+                                        <td className="px-3 py-2">{row.firstName} {row.lastName}</td>
+                                        <td className="px-3 py-2">{row.email}</td>
+                                        <td className="px-3 py-2">{row.username}</td>
+                                        <td className="px-3 py-2 capitalize">{row.role?.replace('_', ' ')}</td>
+                                        <td className="px-3 py-2">
+                                            <span className={`text-xs px-2 py-0.5 rounded-full capitalize ${statusStyles[row.status]}`}>{row.status}</span>
+                                            {row.errors.length > 0 && <ul className="mt-1 text-xs text-red-600 list-disc list-inside">{row.errors.map(e => <li key={e}>{e}</li>)}</ul>}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                <div className="flex justify-end space-x-2">
+                    <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">Close</button>
+                    <button type="button" onClick={() => submit(true)} disabled={!csv || working} className="px-4 py-2 bg-blue-100 text-blue-800 rounded-md hover:bg-blue-200 disabled:opacity-50">Validate</button>
+                    <button type="button" onClick={() => submit(false)} disabled={!canImport || working} className="px-4 py-2 bg-[#42ADF5] text-white rounded-md hover:bg-[#2C8ED1] disabled:opacity-50">
+                        Import {canImport ? `${report.summary.valid} users` : ''}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Where each role lands after login, used when viewing the app as that user
+const roleHomePages = {
+    order_manager: '/order_manager/orders',
+    technician: '/technician',
+    service_manager: '/service-dashboard',
+    coach: '/coach-dashboard',
+    coaching_manager: '/manager-dashboard',
+    customer: '/customer/profile',
+};
+
 // --- Main User Management Page ---
 export default function UserManagement() {
     // --- State Management ---
@@ -81,10 +194,12 @@ export default function UserManagement() {
     const [error, setError] = useState('');
     const [searchTerm, setSearchTerm] = useState('');
     const [roleFilter, setRoleFilter] = useState('all');
+    const [lockedUsers, setLockedUsers] = useState([]);
 
     const [isUserModalOpen, setIsUserModalOpen] = useState(false);
     const [editingUser, setEditingUser] = useState(null);
 
+    const [isImportModalOpen, setIsImportModalOpen] = useState(false);
     const [isConfirmModalOpen, setIsConfirmModalOpen] = useState(false);
     const [actionToConfirm, setActionToConfirm] = useState(null);
 
@@ -97,14 +212,26 @@ export default function UserManagement() {
             const userInfo = JSON.parse(localStorage.getItem('userInfo'));
             const config = { headers: { Authorization: `Bearer ${userInfo.token}` } };
             const { data } = await axios.get('http://localhost:5000/api/users', config);
-            setUsers(data);
+            setUsers(data.data || data);
         } catch (err) {
             setError('Failed to fetch users.');
         } finally {
             setLoading(false);
         }
     };
-    useEffect(() => { fetchUsers(); }, []);
+
+    // Accounts locked after too many failed logins
+    const fetchLockedUsers = async () => {
+        try {
+            const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+            const config = { headers: { Authorization: `Bearer ${userInfo.token}` } };
+            const { data } = await axios.get('http://localhost:5000/api/users/locked', config);
+            setLockedUsers(data);
+        } catch (err) {
+            console.error('Failed to fetch locked accounts:', err);
+        }
+    };
+    useEffect(() => { fetchUsers(); fetchLockedUsers(); }, []);
 
     // --- Filtering and Searching (Live) ---
     const filteredUsers = useMemo(() => {
@@ -148,6 +275,61 @@ export default function UserManagement() {
         setIsConfirmModalOpen(true);
     };
 
+    const handleUnlock = async (user) => {
+        const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+        const config = { headers: { Authorization: `Bearer ${userInfo.token}` } };
+        try {
+            await axios.put(`http://localhost:5000/api/users/${user._id}/unlock`, {}, config);
+            fetchLockedUsers();
+            fetchUsers();
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to unlock account.');
+        }
+    };
+
+    // Lost-device recovery; the reason is stored in the audit log
+    const handleResetTwoFactor = async (user) => {
+        const reason = window.prompt(`Reset two-factor authentication for "${user.username}"? Enter the reason (e.g. how their identity was verified):`);
+        if (!reason || !reason.trim()) return;
+        const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+        const config = { headers: { Authorization: `Bearer ${userInfo.token}` } };
+        try {
+            await axios.put(`http://localhost:5000/api/users/${user._id}/2fa/reset`, { reason }, config);
+            alert('Two-factor authentication reset. The user has been signed out of all devices.');
+            fetchUsers();
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to reset two-factor authentication.');
+        }
+    };
+
+    // New set-password link for someone who has not yet accepted their invitation
+    const handleResendInvite = async (user) => {
+        const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+        const config = { headers: { Authorization: `Bearer ${userInfo.token}` } };
+        try {
+            const { data } = await axios.post(`http://localhost:5000/api/users/${user._id}/invite`, {}, config);
+            alert(data.message);
+            fetchUsers();
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to resend the invitation.');
+        }
+    };
+
+    // Support tool: see the app exactly as this user does (read-only, time-limited, audited)
+    const handleViewAs = async (user) => {
+        const reason = window.prompt(`View the app as "${user.username}"? Enter the reason (e.g. the support ticket number):`);
+        if (!reason || !reason.trim()) return;
+        const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+        const config = { headers: { Authorization: `Bearer ${userInfo.token}` } };
+        try {
+            const { data } = await axios.post('http://localhost:5000/api/impersonation', { userId: user._id, reason }, config);
+            startViewingAs(data);
+            window.location.href = roleHomePages[data.role] || '/';
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to start viewing as this user.');
+        }
+    };
+
     const handleBlock = (user) => {
         setActionToConfirm({ type: 'block', user });
         setIsConfirmModalOpen(true);
@@ -168,7 +350,7 @@ export default function UserManagement() {
             }
             fetchUsers();
         } catch (err) {
-            alert('Action failed.');
+            alert(err.response?.data?.message || 'Action failed.');
         } finally {
             setIsConfirmModalOpen(false);
             setActionToConfirm(null);
@@ -185,9 +367,14 @@ export default function UserManagement() {
             <div className="bg-white p-4 rounded-lg shadow-md mb-6">
                 <div className="flex flex-col sm:flex-row justify-between items-center gap-4">
                     <h1 className="text-2xl font-bold text-[#072679]">User Management</h1>
-                    <button onClick={() => { setEditingUser(null); setIsUserModalOpen(true); }} className="flex items-center px-4 py-2 bg-[#42ADF5] text-white rounded-md hover:bg-[#2C8ED1]">
-                        <PlusIcon /> Add Staff
-                    </button>
+                    <div className="flex gap-2">
+                        <button onClick={() => setIsImportModalOpen(true)} className="px-4 py-2 bg-blue-100 text-blue-800 rounded-md hover:bg-blue-200">
+                            Import CSV
+                        </button>
+                        <button onClick={() => { setEditingUser(null); setIsUserModalOpen(true); }} className="flex items-center px-4 py-2 bg-[#42ADF5] text-white rounded-md hover:bg-[#2C8ED1]">
+                            <PlusIcon /> Add Staff
+                        </button>
+                    </div>
                 </div>
                 <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-4">
                     <input
@@ -209,6 +396,28 @@ export default function UserManagement() {
                 </div>
             </div>
 
+            {/* --- Locked Accounts --- */}
+            {lockedUsers.length > 0 && (
+                <div className="bg-white p-4 rounded-lg shadow-md mb-6 border-l-4 border-red-500">
+                    <h2 className="text-lg font-bold text-red-700 mb-2">Locked Accounts ({lockedUsers.length})</h2>
+                    <p className="text-sm text-gray-500 mb-3">These accounts were locked after too many failed login attempts. They unlock automatically at the time shown.</p>
+                    <ul className="divide-y divide-gray-200">
+                        {lockedUsers.map(user => (
+                            <li key={user._id} className="py-2 flex items-center justify-between">
+                                <div>
+                                    <p className="font-medium text-gray-800">{user.firstName} {user.lastName} <span className="text-gray-500">@{user.username}</span></p>
+                                    <p className="text-xs text-gray-500">
+                                        {user.email} · Locked until {new Date(user.lockUntil).toLocaleString()}
+                                        {user.lastFailedLoginAt && ` · Last failed attempt ${new Date(user.lastFailedLoginAt).toLocaleString()}`}
+                                    </p>
+                                </div>
+                                <button onClick={() => handleUnlock(user)} className="px-3 py-1 text-sm bg-green-100 text-green-800 rounded hover:bg-green-200">Unlock</button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
             {/* --- User Cards Grid --- */}
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                 {filteredUsers.map(user => (
@@ -224,7 +433,10 @@ export default function UserManagement() {
                             <p className="flex items-center"><UserIcon /> <span className="ml-2 capitalize">{user.role.replace('_', ' ')}</span></p>
                             <p className="flex items-center"><MailIcon /> <span className="ml-2">{user.email}</span></p>
                             {user.contactNumber && <p className="flex items-center"><PhoneIcon /> <span className="ml-2">{user.contactNumber}</span></p>}
-                            <p className="flex items-center"><span className={`w-3 h-3 rounded-full mr-2 ${user.status === 'active' ? 'bg-green-500' : 'bg-red-500'}`}></span> <span className="capitalize">{user.status}</span></p>
+                            <p className="flex items-center"><span className={`w-3 h-3 rounded-full mr-2 ${user.status === 'active' ? 'bg-green-500' : 'bg-red-500'}`}></span> <span className="capitalize">{user.status}</span>
+                                {user.lockUntil && new Date(user.lockUntil) > new Date() && <span className="ml-2 text-xs px-2 py-0.5 bg-red-100 text-red-800 rounded-full">Locked</span>}
+                                {user.twoFactorEnabled && <span className="ml-2 text-xs px-2 py-0.5 bg-blue-100 text-blue-800 rounded-full">2FA</span>}
+                                {user.invitedAt && !user.inviteAcceptedAt && <span className="ml-2 text-xs px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded-full">Invited</span>}</p>
                             {user.address && <p className="flex items-start"><LocationIcon /> <span className="ml-2">{user.address}</span></p>}
                         </div>
                         <div className="border-t mt-4 pt-4 flex justify-end space-x-2">
@@ -232,6 +444,15 @@ export default function UserManagement() {
                             <button onClick={() => handleBlock(user)} className="px-3 py-1 text-sm bg-yellow-100 text-yellow-800 rounded hover:bg-yellow-200">
                                 {user.status === 'active' ? 'Suspend' : 'Activate'}
                             </button>
+                            {user.twoFactorEnabled && (
+                                <button onClick={() => handleResetTwoFactor(user)} className="px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded hover:bg-gray-200">Reset 2FA</button>
+                            )}
+                            {user.status === 'active' && (
+                                <button onClick={() => handleViewAs(user)} className="px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded hover:bg-gray-200">View as</button>
+                            )}
+                            {user.invitedAt && !user.inviteAcceptedAt && (
+                                <button onClick={() => handleResendInvite(user)} className="px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded hover:bg-gray-200">Resend invite</button>
+                            )}
                             <button onClick={() => handleDelete(user)} className="px-3 py-1 text-sm bg-red-100 text-red-800 rounded hover:bg-red-200">Delete</button>
                         </div>
                     </div>
@@ -246,12 +467,19 @@ export default function UserManagement() {
                 user={editingUser}
                 roles={allRoles}
             />
+            <ImportUsersModal
+                isOpen={isImportModalOpen}
+                onClose={() => setIsImportModalOpen(false)}
+                onImported={fetchUsers}
+            />
             <ConfirmationModal
                 isOpen={isConfirmModalOpen}
                 onClose={() => setIsConfirmModalOpen(false)}
                 onConfirm={confirmAction}
-                title={`Confirm ${actionToConfirm?.type === 'delete' ? 'Deletion' : 'Status Change'}`}
-                message={`Are you sure you want to ${actionToConfirm?.type} the user "${actionToConfirm?.user.username}"? This action cannot be undone.`}
+                title={`Confirm ${actionToConfirm?.type === 'delete' ? 'Erasure' : 'Status Change'}`}
+                message={actionToConfirm?.type === 'delete'
+                    ? `Erase "${actionToConfirm?.user.username}"? Their personal details and any junior players are wiped; orders and payments are kept anonymously. This action cannot be undone.`
+                    : `Are you sure you want to ${actionToConfirm?.type} the user "${actionToConfirm?.user.username}"? This action cannot be undone.`}
             />
         </div>
     );
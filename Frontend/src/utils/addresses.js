@@ -0,0 +1,35 @@
+/**
+ * Helpers for saved delivery addresses (see models/Address.js on the server).
+ */
+
+// Sri Lanka's 25 districts, in the order the server accepts them
+export const DISTRICTS = [
+  'Ampara', 'Anuradhapura', 'Badulla', 'Batticaloa', 'Colombo', 'Galle', 'Gampaha', 'Hambantota',
+  'Jaffna', 'Kalutara', 'Kandy', 'Kegalle', 'Kilinochchi', 'Kurunegala', 'Mannar', 'Matale',
+  'Matara', 'Monaragala', 'Mullaitivu', 'Nuwara Eliya', 'Polonnaruwa', 'Puttalam', 'Ratnapura',
+  'Trincomalee', 'Vavuniya',
+];
+
+export const EMPTY_ADDRESS = {
+  label: '',
+  recipientName: '',
+  line1: '',
+  line2: '',
+  city: '',
+  district: '',
+  postalCode: '',
+  phone: '',
+  instructions: '',
+};
+
+/**
+ * One line of text, the same way the server writes Order.address
+ * @param {Object} address
+ * @returns {string} e.g. "12 Lake Rd, Nugegoda 10250, Colombo"
+ */
+export const formatAddress = (address) => [
+  address.line1,
+  address.line2,
+  [address.city, address.postalCode].filter(Boolean).join(' '),
+  address.district,
+].filter(Boolean).join(', ');
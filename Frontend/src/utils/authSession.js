@@ -0,0 +1,158 @@
+import axios from 'axios';
+
+const AUTH_API = 'http://localhost:5000/api/auth';
+const IMPERSONATION_API = 'http://localhost:5000/api/impersonation';
+
+let refreshPromise = null;
+
+// Exchange the stored refresh token for a fresh access token and save both
+const refreshAccessToken = async () => {
+  const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+  if (!userInfo?.refreshToken) {
+    throw new Error('No refresh token stored');
+  }
+
+  const { data } = await axios.post(`${AUTH_API}/refresh`, { refreshToken: userInfo.refreshToken }, { skipAuthRefresh: true });
+  localStorage.setItem('userInfo', JSON.stringify({ ...userInfo, token: data.token, refreshToken: data.refreshToken }));
+  return data.token;
+};
+
+// Concurrent failures share one refresh call so the refresh token is rotated once
+const refreshOnce = () => {
+  refreshPromise = refreshPromise || refreshAccessToken().finally(() => {
+    refreshPromise = null;
+  });
+  return refreshPromise;
+};
+
+const endSession = () => {
+  localStorage.removeItem('userInfo');
+  window.location.href = '/login';
+};
+
+// Work out what a 401 with this error code means: a fresh access token to
+// retry the request with, or null when it cannot be retried
+const recoverFromUnauthorized = async (code) => {
+  // A "view as user" session cannot be refreshed; hand the admin their own login back
+  if (getImpersonation()) {
+    restoreImpersonator();
+    return null;
+  }
+  if (code === 'SESSION_REVOKED') {
+    endSession();
+    return null;
+  }
+  if (code !== 'TOKEN_EXPIRED') return null;
+
+  try {
+    return await refreshOnce();
+  } catch (error) {
+    console.error('Refreshing the access token failed:', error);
+    endSession();
+    return null;
+  }
+};
+
+// Attach the stored access token to API calls that did not set one themselves,
+// then retry requests that failed only because the short-lived token expired.
+export const setupAuthInterceptors = (instance = axios) => {
+  instance.interceptors.request.use((config) => {
+    const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+    if (userInfo?.token && !config.headers.Authorization) {
+      config.headers.Authorization = `Bearer ${userInfo.token}`;
+    }
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config, response } = error;
+      if (!config || config.skipAuthRefresh || config._retried || response?.status !== 401) {
+        return Promise.reject(error);
+      }
+
+      const token = await recoverFromUnauthorized(response.data?.code);
+      if (!token) return Promise.reject(error);
+
+      config._retried = true;
+      config.headers.Authorization = `Bearer ${token}`;
+      return instance(config);
+    }
+  );
+};
+
+/**
+ * fetch() for pages that call the API without axios: when the access token
+ * has expired it refreshes it, the same way the axios interceptors do, and
+ * retries the request once with the new token.
+ * @param {string} url
+ * @param {RequestInit} [options] - As for fetch; the body must be reusable (a string or FormData).
+ * @returns {Promise<Response>}
+ */
+export const authFetch = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  if (response.status !== 401) return response;
+
+  let code;
+  try {
+    ({ code } = await response.clone().json());
+  } catch {
+    return response;
+  }
+  const token = await recoverFromUnauthorized(code);
+  if (!token) return response;
+
+  const headers = new Headers(options.headers);
+  headers.set('Authorization', `Bearer ${token}`);
+  return fetch(url, { ...options, headers });
+};
+
+// --- "View as user" ---
+// While an admin views the app as someone else, their own login is parked in
+// 'impersonatorInfo' and 'userInfo' holds the impersonation token.
+export const getImpersonation = () => {
+  const impersonatorInfo = localStorage.getItem('impersonatorInfo');
+  if (!impersonatorInfo) return null;
+  const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+  return userInfo?.impersonation ? { ...userInfo.impersonation, username: userInfo.username, role: userInfo.role } : null;
+};
+
+const restoreImpersonator = () => {
+  localStorage.setItem('userInfo', localStorage.getItem('impersonatorInfo'));
+  localStorage.removeItem('impersonatorInfo');
+  window.location.href = '/admin/users';
+};
+
+export const startViewingAs = (data) => {
+  localStorage.setItem('impersonatorInfo', localStorage.getItem('userInfo'));
+  localStorage.setItem('userInfo', JSON.stringify(data));
+};
+
+export const stopViewingAs = async () => {
+  const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+  try {
+    await axios.post(`${IMPERSONATION_API}/stop`, {}, { headers: { Authorization: `Bearer ${userInfo?.token}` }, skipAuthRefresh: true });
+  } catch (error) {
+    console.error('Ending the view-as-user session failed:', error);
+  } finally {
+    restoreImpersonator();
+  }
+};
+
+// Log out this device on the server, then clear local state either way
+export const logoutUser = async () => {
+  if (getImpersonation()) {
+    return stopViewingAs();
+  }
+  const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+  try {
+    if (userInfo?.token) {
+      await axios.post(`${AUTH_API}/logout`, {}, { headers: { Authorization: `Bearer ${userInfo.token}` } });
+    }
+  } catch (error) {
+    console.error('Server logout failed:', error);
+  } finally {
+    localStorage.removeItem('userInfo');
+  }
+};
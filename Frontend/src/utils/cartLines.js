@@ -0,0 +1,42 @@
+/**
+ * Helpers for cart lines of the form { productId, variantId, quantity }.
+ * Products with variants (weight, size, grip...) get one line per variant.
+ */
+
+/**
+ * Key that identifies a cart line, e.g. for React keys and selections
+ * @param {{ productId: string, variantId?: string }} line
+ * @returns {string}
+ */
+export const lineKey = (line) => `${line.productId}:${line.variantId || ''}`;
+
+export const hasVariants = (product) => (product?.variants || []).length > 0;
+
+export const getVariant = (product, variantId) =>
+  (product?.variants || []).find(variant => variant._id === variantId) || null;
+
+/**
+ * Option values of a variant joined for display, e.g. "2.8lb / Short Handle"
+ * @param {Object} variant
+ * @returns {string}
+ */
+export const variantLabel = (variant) => Object.values(variant?.options || {}).join(' / ');
+
+// A variant's own price wins over the product price
+export const linePrice = (product, variantId) => {
+  const variant = getVariant(product, variantId);
+  return variant?.price ?? product?.price ?? 0;
+};
+
+export const lineStock = (product, variantId) => {
+  const variant = getVariant(product, variantId);
+  return variant ? variant.stock_quantity : (product?.stock_quantity || 0);
+};
+
+// Lowest active price, for "From LKR ..." on products with variants
+export const startingPrice = (product) => {
+  const prices = (product?.variants || [])
+    .filter(variant => variant.is_active)
+    .map(variant => variant.price ?? product.price);
+  return prices.length > 0 ? Math.min(...prices) : product?.price || 0;
+};
@@ -0,0 +1,39 @@
+import axios from 'axios';
+
+/**
+ * Display helpers for tax rates and tax invoices (see utils/tax.js and
+ * utils/invoices.js on the server).
+ */
+
+export const TAX_SCOPE_LABELS = {
+  shop: 'Shop sales',
+  ground_booking: 'Ground bookings',
+  coaching_fee: 'Coaching fees',
+  repair: 'Repairs',
+};
+
+export const INVOICE_SOURCE_LABELS = {
+  order: 'Shop order',
+  booking: 'Ground booking',
+  enrollment: 'Coaching programme',
+  repair: 'Equipment repair',
+};
+
+/**
+ * Download a tax invoice PDF
+ * @param {string} invoiceId
+ * @param {string} [invoiceNumber] - Used as the file name, e.g. "INV-000042"
+ */
+export const downloadInvoice = async (invoiceId, invoiceNumber) => {
+  const userInfo = JSON.parse(localStorage.getItem('userInfo'));
+  const { data } = await axios.get(`http://localhost:5000/api/invoices/${invoiceId}/pdf`, {
+    headers: { Authorization: `Bearer ${userInfo?.token}` },
+    responseType: 'blob',
+  });
+  const url = window.URL.createObjectURL(data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${invoiceNumber || 'invoice'}.pdf`;
+  link.click();
+  window.URL.revokeObjectURL(url);
+};
@@ -0,0 +1,100 @@
+/**
+ * Display helpers for the order lifecycle (see models/Order.js on the server):
+ * cart_pending -> created -> processing -> out_for_delivery -> delivered,
+ * or cancelled along the way.
+ */
+
+export const ORDER_STATUS_LABELS = {
+  cart_pending: 'Cart Pending',
+  created: 'Order Placed',
+  processing: 'Processing',
+  out_for_delivery: 'Out for Delivery',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+};
+
+export const ORDER_STATUS_COLORS = {
+  cart_pending: 'bg-gray-100 text-gray-800',
+  created: 'bg-blue-100 text-blue-800',
+  processing: 'bg-yellow-100 text-yellow-800',
+  out_for_delivery: 'bg-purple-100 text-purple-800',
+  delivered: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800',
+};
+
+// The steps an order normally goes through, for progress bars
+export const ORDER_STEPS = ['created', 'processing', 'out_for_delivery', 'delivered'];
+
+// Customers can cancel until the order leaves the store
+export const CUSTOMER_CANCELLABLE_STATUSES = ['cart_pending', 'created', 'processing'];
+
+// Items can be removed or reduced on a placed order until it ships
+export const ITEM_EDITABLE_STATUSES = ['created', 'processing'];
+
+export const orderStatusLabel = (status) => ORDER_STATUS_LABELS[status] || status;
+
+export const orderStatusColor = (status) => ORDER_STATUS_COLORS[status] || 'bg-gray-100 text-gray-800';
+
+// Returns and exchanges (see models/ReturnRequest.js on the server)
+export const RETURN_REASON_LABELS = {
+  damaged: 'Arrived damaged',
+  wrong_item: 'Wrong item sent',
+  wrong_size: 'Wrong size or fit',
+  not_as_described: 'Not as described',
+  changed_mind: 'Changed my mind',
+  other: 'Other',
+};
+
+export const RETURN_STATUS_LABELS = {
+  requested: 'Waiting for approval',
+  approved: 'Approved – send it back',
+  rejected: 'Rejected',
+  received: 'Received',
+  cancelled: 'Withdrawn',
+};
+
+export const RETURN_STATUS_COLORS = {
+  requested: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-blue-100 text-blue-800',
+  rejected: 'bg-red-100 text-red-800',
+  received: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-600',
+};
+
+// Delivery runs (see models/DeliveryRun.js on the server)
+export const DELIVERY_RUN_STATUS_LABELS = {
+  planned: 'Planned',
+  out: 'Out on the road',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+};
+
+export const DELIVERY_RUN_STATUS_COLORS = {
+  planned: 'bg-blue-100 text-blue-800',
+  out: 'bg-purple-100 text-purple-800',
+  completed: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-600',
+};
+
+export const STOP_STATUS_LABELS = {
+  pending: 'Waiting to load',
+  out_for_delivery: 'Out for Delivery',
+  delivered: 'Delivered',
+  failed: 'Failed attempt',
+};
+
+export const STOP_STATUS_COLORS = {
+  pending: 'bg-gray-100 text-gray-800',
+  out_for_delivery: 'bg-purple-100 text-purple-800',
+  delivered: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+export const FAILED_DELIVERY_REASON_LABELS = {
+  not_home: 'Nobody home',
+  wrong_address: 'Address not found',
+  refused: 'Refused by customer',
+  unreachable: 'Customer not answering phone',
+  no_access: 'Could not get access',
+  other: 'Other',
+};
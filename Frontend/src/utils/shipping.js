@@ -0,0 +1,23 @@
+/**
+ * Display helpers for shipping quotes (see utils/shipping.js on the server).
+ */
+
+export const SHIPPING_METHOD_LABELS = {
+  delivery: 'Home delivery',
+  pickup: 'Store pickup',
+};
+
+export const RATE_BASIS_LABELS = {
+  weight: 'By weight (kg)',
+  items: 'By number of items',
+};
+
+/**
+ * The shipping line of an order or quote, the same way the order PDF writes it
+ * @param {Object} [quote] - Order.shippingQuote, or shippingQuote from calculate-total
+ * @returns {string} e.g. "Shipping (Colombo)" or "Store pickup at CricketXpert Academy front desk"
+ */
+export const shippingLabel = (quote) => {
+  if (quote?.method === 'pickup') return `Store pickup${quote.pickupLocation ? ` at ${quote.pickupLocation}` : ''}`;
+  return quote?.zoneName ? `Shipping (${quote.zoneName})` : 'Shipping';
+};
@@ -0,0 +1,101 @@
+// Central catalogue of named permissions used by the `authorize` middleware.
+// Routes ask for a permission, never for a role; which roles hold which
+// permission lives in the RolePermission collection and is editable by admins.
+// The defaults below seed that collection and act as a fallback.
+
+const PERMISSIONS = {
+    // Users and access control
+    'users:read': 'View user accounts',
+    'users:manage': 'Create, edit and delete user accounts',
+    'users:suspend': 'Suspend or re-activate user accounts',
+    'users:resetTwoFactor': 'Reset two-factor authentication for a user who lost their device',
+    'users:impersonate': 'View the app as another user through a time-limited, audited session',
+    'permissions:manage': 'View and edit the role-to-permission matrix and route report',
+
+    // Shop
+    'products:manage': 'Create, edit and delete products',
+    'inventory:manage': 'Adjust product stock levels',
+    'orders:read': 'View all customer orders and carts',
+    'orders:manage': 'Update, edit and delete customer orders',
+    'orders:refund': 'Issue refunds against order payments',
+    'payments:read': 'View all payments and payment statistics',
+    'payments:manage': 'Record, edit and delete payments',
+    'reports:read': 'View sales and revenue reports',
+    'promotions:manage': 'Create and edit shop promotions and coupon codes',
+    'purchasing:manage': 'Manage suppliers and purchase orders and receive goods into stock',
+    'reviews:moderate': 'Approve, hide and respond to product reviews',
+    'deliveries:manage': 'Build delivery runs from processing orders and assign them to delivery staff',
+    'deliveries:work': 'Work through assigned delivery runs and record proof of delivery',
+    'shipping:manage': 'Set up shipping zones, rates and free-shipping thresholds',
+    'tax:manage': 'Set the tax rates charged on shop categories and paid services',
+
+    // Payroll
+    'payroll:read': 'View payroll entries and salary configuration',
+    'payroll:manage': 'Create, generate and edit payroll entries and salary configuration',
+    'payroll:markPaid': 'Mark payroll entries as paid',
+
+    // Coaching
+    'coaches:manage': 'Create, deactivate and assign programs to coaches',
+    'coaches:profile': 'Edit coach profiles and availability',
+    'programs:manage': 'Create and edit coaching programs',
+    'enrollments:read': 'View all program enrollments',
+    'enrollments:manage': 'Update enrollment progress',
+    'sessions:manage': 'Create, reschedule and approve coaching sessions',
+    'attendance:read': 'View session attendance',
+    'attendance:mark': 'Mark and edit session attendance',
+    'playerFeedback:write': 'Write player feedback and change its visibility',
+
+    // Grounds
+    'grounds:manage': 'Create, edit and delete grounds',
+    'bookings:read': 'View all ground bookings',
+    'bookings:manage': 'Confirm, edit and delete ground bookings',
+
+    // Repairs
+    'repairs:read': 'View all repair requests and repair revenue',
+    'repairs:manage': 'Approve repairs and assign technicians',
+    'repairs:progress': 'Update progress on assigned repairs',
+    'technicians:manage': 'Create, edit and delete technicians',
+    'feedback:read': 'View all customer service feedback',
+    'feedback:manage': 'Respond to customer service feedback',
+
+    // Audit
+    'audit:read': 'Browse the audit log of sensitive actions',
+
+    // Maintenance
+    'system:debug': 'Use debug and test endpoints',
+    'system:maintenance': 'Run data sync and cleanup jobs',
+};
+
+const ROLES = ['admin', 'coach', 'technician', 'customer', 'coaching_manager', 'order_manager', 'ground_manager', 'service_manager', 'delivery_staff'];
+
+// Roles that may enrol in two-factor authentication and can have it made mandatory
+const TWO_FACTOR_ROLES = ROLES.filter(role => role !== 'customer');
+
+const DEFAULT_ROLE_PERMISSIONS = {
+    admin: Object.keys(PERMISSIONS),
+    order_manager: [
+        'products:manage', 'inventory:manage', 'orders:read', 'orders:manage', 'orders:refund',
+        'payments:read', 'payments:manage', 'reports:read', 'promotions:manage', 'purchasing:manage',
+        'reviews:moderate', 'deliveries:manage', 'shipping:manage',
+    ],
+    service_manager: [
+        'users:read', 'repairs:read', 'repairs:manage', 'technicians:manage', 'feedback:read', 'feedback:manage',
+    ],
+    coaching_manager: [
+        'coaches:manage', 'coaches:profile', 'programs:manage', 'enrollments:read', 'enrollments:manage',
+        'sessions:manage', 'attendance:read', 'attendance:mark',
+    ],
+    ground_manager: ['grounds:manage', 'bookings:read', 'bookings:manage'],
+    coach: [
+        'coaches:profile', 'programs:manage', 'enrollments:manage', 'sessions:manage',
+        'attendance:read', 'attendance:mark', 'playerFeedback:write',
+    ],
+    technician: ['repairs:progress'],
+    delivery_staff: ['deliveries:work'],
+    customer: [],
+};
+
+// Permissions the admin role can never lose, so the matrix cannot lock everyone out
+const LOCKED_ADMIN_PERMISSIONS = ['permissions:manage', 'users:manage'];
+
+export { PERMISSIONS, ROLES, TWO_FACTOR_ROLES, DEFAULT_ROLE_PERMISSIONS, LOCKED_ADMIN_PERMISSIONS };
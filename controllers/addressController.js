@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import Address from '../models/Address.js';
+import { addressInput } from '../utils/addresses.js';
+
+// Enough for home, work, family and a few more
+const MAX_ADDRESSES = 20;
+
+// The customer's own address, or null
+const findOwnAddress = (id, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Address.findOne({ _id: id, userId });
+};
+
+// Make one address the default and clear the flag on the others
+const makeDefault = async (address) => {
+  await Address.updateMany({ userId: address.userId, _id: { $ne: address._id } }, { isDefault: false });
+  if (!address.isDefault) {
+    address.isDefault = true;
+    await address.save();
+  }
+};
+
+const rejectInvalid = (res, error) => {
+  if (error.name !== 'ValidationError') return false;
+  res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join('; ') });
+  return true;
+};
+
+// @desc    The customer's saved delivery addresses, default first
+// @route   GET /api/addresses
+// @access  Private
+const getAddresses = async (req, res) => {
+  try {
+    const addresses = await Address.find({ userId: req.user._id }).sort({ isDefault: -1, updatedAt: -1 });
+    res.json(addresses);
+  } catch (error) {
+    console.error('❌ Error fetching addresses:', error);
+    res.status(500).json({ message: 'Error fetching addresses' });
+  }
+};
+
+// @desc    Save a new delivery address; the first one becomes the default
+// @route   POST /api/addresses
+// @access  Private
+const createAddress = async (req, res) => {
+  try {
+    const count = await Address.countDocuments({ userId: req.user._id });
+    if (count >= MAX_ADDRESSES) {
+      return res.status(400).json({ message: `You can save up to ${MAX_ADDRESSES} addresses. Remove one you no longer use first.` });
+    }
+
+    const address = await Address.create({ ...addressInput(req.body), userId: req.user._id });
+    if (count === 0 || req.body.isDefault) await makeDefault(address);
+    res.status(201).json(address);
+  } catch (error) {
+    if (rejectInvalid(res, error)) return;
+    console.error('❌ Error saving address:', error);
+    res.status(500).json({ message: 'Error saving address' });
+  }
+};
+
+// @desc    Change a saved address; orders already placed keep the old one
+// @route   PUT /api/addresses/:id
+// @access  Private
+const updateAddress = async (req, res) => {
+  try {
+    const address = await findOwnAddress(req.params.id, req.user._id);
+    if (!address) return res.status(404).json({ message: 'Address not found' });
+
+    address.set(addressInput(req.body));
+    await address.save();
+    if (req.body.isDefault) await makeDefault(address);
+    res.json(address);
+  } catch (error) {
+    if (rejectInvalid(res, error)) return;
+    console.error('❌ Error updating address:', error);
+    res.status(500).json({ message: 'Error updating address' });
+  }
+};
+
+// @desc    Use this address first at checkout
+// @route   PUT /api/addresses/:id/default
+// @access  Private
+const setDefaultAddress = async (req, res) => {
+  try {
+    const address = await findOwnAddress(req.params.id, req.user._id);
+    if (!address) return res.status(404).json({ message: 'Address not found' });
+
+    await makeDefault(address);
+    res.json(address);
+  } catch (error) {
+    console.error('❌ Error setting default address:', error);
+    res.status(500).json({ message: 'Error setting default address' });
+  }
+};
+
+// @desc    Remove a saved address; if it was the default, the most recently used one takes over
+// @route   DELETE /api/addresses/:id
+// @access  Private
+const deleteAddress = async (req, res) => {
+  try {
+    const address = await findOwnAddress(req.params.id, req.user._id);
+    if (!address) return res.status(404).json({ message: 'Address not found' });
+
+    await address.deleteOne();
+    if (address.isDefault) {
+      const next = await Address.findOne({ userId: req.user._id }).sort({ updatedAt: -1 });
+      if (next) await makeDefault(next);
+    }
+    res.json({ message: 'Address removed' });
+  } catch (error) {
+    console.error('❌ Error removing address:', error);
+    res.status(500).json({ message: 'Error removing address' });
+  }
+};
+
+export {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress
+};
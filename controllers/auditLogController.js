@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+// @desc    Browse audit log entries, newest first
+// @route   GET /api/audit-logs
+// @access  Private/Admin (audit:read)
+const getAuditLogs = async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 50,
+            action,
+            actor,
+            actorRole,
+            targetType,
+            targetId,
+            impersonatedUser,
+            startDate,
+            endDate,
+            search,
+        } = req.query;
+
+        const filter = {};
+        if (action) filter.action = action;
+        if (actorRole) filter.actorRole = actorRole;
+        if (targetType) filter.targetType = targetType;
+
+        for (const [key, value] of [['actor', actor], ['targetId', targetId], ['impersonatedUser', impersonatedUser]]) {
+            if (!value) continue;
+            if (!mongoose.Types.ObjectId.isValid(value)) {
+                return res.status(400).json({ success: false, message: `Invalid ${key}` });
+            }
+            filter[key] = value;
+        }
+
+        if (startDate || endDate) {
+            filter.createdAt = {};
+            if (startDate) filter.createdAt.$gte = new Date(startDate);
+            if (endDate) {
+                const end = new Date(endDate);
+                end.setHours(23, 59, 59, 999);
+                filter.createdAt.$lte = end;
+            }
+        }
+
+        if (search) {
+            filter.$or = [
+                { actorName: { $regex: search, $options: 'i' } },
+                { reason: { $regex: search, $options: 'i' } },
+                { ipAddress: { $regex: search, $options: 'i' } },
+            ];
+        }
+
+        const pageSize = Math.min(parseInt(limit), 200);
+        const skip = (parseInt(page) - 1) * pageSize;
+
+        const [logs, total] = await Promise.all([
+            AuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(pageSize),
+            AuditLog.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: logs,
+            pagination: {
+                page: parseInt(page),
+                limit: pageSize,
+                total,
+                pages: Math.ceil(total / pageSize),
+            },
+        });
+    } catch (error) {
+        console.error('❌ Error fetching audit logs:', error);
+        res.status(500).json({ success: false, message: 'Error fetching audit logs', error: error.message });
+    }
+};
+
+// @desc    Distinct values for the filter dropdowns
+// @route   GET /api/audit-logs/filters
+// @access  Private/Admin (audit:read)
+const getAuditLogFilters = async (req, res) => {
+    try {
+        const [actions, targetTypes, actorRoles] = await Promise.all([
+            AuditLog.distinct('action'),
+            AuditLog.distinct('targetType'),
+            AuditLog.distinct('actorRole'),
+        ]);
+        res.json({
+            success: true,
+            data: {
+                actions: actions.sort(),
+                targetTypes: targetTypes.filter(Boolean).sort(),
+                actorRoles: actorRoles.filter(Boolean).sort(),
+            },
+        });
+    } catch (error) {
+        console.error('❌ Error fetching audit log filters:', error);
+        res.status(500).json({ success: false, message: 'Error fetching audit log filters', error: error.message });
+    }
+};
+
+export { getAuditLogs, getAuditLogFilters };
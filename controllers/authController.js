@@ -1,14 +1,19 @@
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { sendWelcomeEmail, sendNewUserNotification, sendPasswordResetCodeEmail, sendEmailVerificationCode } from '../utils/wemailService.js';
+import EmailVerification from '../models/EmailVerification.js';
+import { startSession, createLoginResponse, rotateSession, revokeSession, revokeAllSessions, listActiveSessions, getClientIp } from '../utils/authSession.js';
+import { hashToken, generateChallengeToken } from '../utils/generateToken.js';
+import { isTwoFactorRequired } from '../utils/permissions.js';
+import { isMinor, getMinorAge } from '../utils/guardian.js';
+import { PASSWORD_RULE } from '../utils/invitation.js';
+import {
+    getLimits, progressiveDelay, rejectThrottledIp, recordIpFailure, clearIpFailures,
+    isAccountLocked, recordAccountFailure, clearAccountFailures,
+} from '../utils/bruteForce.js';
 
-// cookie and token 
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: '30d',
-    });
-};
+const generateCode = () => Math.floor(100000 + Math.random() * 900000).toString();
 
 
 // --- REGISTER USER ---
@@ -18,10 +23,18 @@ const registerUser = async (req, res) => {
         profileImageURL, email, username, password
     } = req.body;
 
-    if (!firstName || !lastName || !email || !username || !password) {
+    if (!firstName || !lastName || !email || !username || !password || !dob) {
         return res.status(400).json({ message: 'Please fill out all required fields.' });
     }
 
+    // Junior players are added by a parent or guardian from their own account
+    if (isMinor(dob)) {
+        return res.status(403).json({
+            message: `Players under ${getMinorAge()} cannot register themselves. Ask a parent or guardian to add you from their account.`,
+            guardianRequired: true,
+        });
+    }
+
     try {
         const userExists = await User.findOne({ $or: [{ email }, { username }] });
         if (userExists) {
@@ -47,14 +60,16 @@ const registerUser = async (req, res) => {
                 console.error("Failed to send registration emails:", err);
             });
 
-            // Send back the full user object AND a token, just like the login function
+            // Send back the full user object AND tokens, just like the login function
+            const { token, refreshToken } = await startSession(newUser, req);
             res.status(201).json({
                 _id: newUser._id,
                 username: newUser.username,
                 email: newUser.email,
                 role: newUser.role,
                 profileImageURL: newUser.profileImageURL,
-                token: generateToken(newUser._id), // <-- GENERATE AND SEND TOKEN
+                token,
+                refreshToken,
             });
         } else {
             res.status(400).json({ message: 'Invalid user data' });
@@ -69,27 +84,63 @@ const registerUser = async (req, res) => {
 // --- LOGIN USER ---
 const loginUser = async (req, res) => {
     const { loginIdentifier, password } = req.body;
+    const ipAddress = getClientIp(req);
     try {
+        if (await rejectThrottledIp(req, res, 'login')) return;
+
         const user = await User.findOne({ 
             $or: [{ email: loginIdentifier }, { username: loginIdentifier }] 
         });
 
-        if (user && (await bcrypt.compare(password, user.passwordHash))) {
-            if (user.status === 'suspended') {
-                return res.status(403).json({ message: 'Your account has been suspended.' });
-            }
-            res.json({
-                _id: user._id,
-                username: user.username,
-                email: user.email,
-                role: user.role,
-                profileImageURL: user.profileImageURL,
-                token: generateToken(user._id),
+        if (user && isAccountLocked(user)) {
+            return res.status(423).json({
+                message: 'This account is temporarily locked after too many failed attempts. Please try again later or reset your password.',
+                lockedUntil: user.lockUntil,
             });
+        }
+
+        if (user && user.passwordHash && (await bcrypt.compare(password, user.passwordHash))) {
+            if (user.status !== 'active') {
+                return res.status(403).json({ message: `Your account has been ${user.status}.` });
+            }
+
+            // Second step: failure counters stay until the code is checked too,
+            // so a known password cannot be used to reset them between guesses
+            if (user.twoFactorEnabled) {
+                return res.json({
+                    twoFactorRequired: true,
+                    challengeToken: generateChallengeToken(user._id, 'two_factor'),
+                });
+            }
+            if (await isTwoFactorRequired(user.role)) {
+                return res.json({
+                    twoFactorSetupRequired: true,
+                    challengeToken: generateChallengeToken(user._id, 'two_factor_enroll'),
+                });
+            }
+
+            await clearAccountFailures(user);
+            await clearIpFailures(ipAddress, 'login');
+
+            // Short-lived access token plus a refresh token bound to this device
+            res.json(await createLoginResponse(user, req));
         } else {
+            const ipFailures = await recordIpFailure(ipAddress, 'login');
+            const accountResult = user ? await recordAccountFailure(user) : { locked: false, failures: 0 };
+
+            if (accountResult.locked) {
+                return res.status(423).json({
+                    message: 'Too many failed attempts. This account has been locked and the owner has been emailed.',
+                    lockedUntil: user.lockUntil,
+                });
+            }
+
+            // Slow down repeated guesses from the same account or network
+            await progressiveDelay(Math.max(ipFailures, accountResult.failures));
             res.status(401).json({ message: 'Invalid credentials' });
         }
     } catch (error) {
+        console.error("Login Error:", error);
         res.status(500).json({ message: 'Server Error' });
     }
 };
@@ -97,17 +148,25 @@ const loginUser = async (req, res) => {
 // --- FORGOT PASSWORD ---
 const forgotPassword = async (req, res) => {
     const { email } = req.body;
+    const ipAddress = getClientIp(req);
     try {
+        if (await rejectThrottledIp(req, res, 'password_reset')) return;
+
+        // Every request counts, so the endpoint cannot be used to flood inboxes
+        await recordIpFailure(ipAddress, 'password_reset');
+
         const user = await User.findOne({ email });
         if (!user) {
             return res.status(404).json({ message: 'User not found' });
         }
 
-        const resetCode = Math.floor(100000 + Math.random() * 900000).toString();
+        const resetCode = generateCode();
         const resetCodeExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
 
-        user.passwordResetCode = resetCode;
+        // Only the hash is stored; a new code also resets the wrong-guess counter
+        user.passwordResetCode = hashToken(resetCode);
         user.passwordResetExpires = resetCodeExpires;
+        user.passwordResetAttempts = 0;
         await user.save();
 
         await sendPasswordResetCodeEmail(user.email, resetCode);
@@ -123,14 +182,34 @@ const forgotPassword = async (req, res) => {
 // --- RESET PASSWORD ---
 const resetPassword = async (req, res) => {
     const { email, code, password } = req.body;
+    const ipAddress = getClientIp(req);
     try {
+        if (await rejectThrottledIp(req, res, 'password_reset')) return;
+
         const user = await User.findOne({
             email,
-            passwordResetCode: code,
             passwordResetExpires: { $gt: Date.now() },
         });
 
-        if (!user) {
+        if (!user || !user.passwordResetCode) {
+            await recordIpFailure(ipAddress, 'password_reset');
+            return res.status(400).json({ message: 'Invalid or expired reset code.' });
+        }
+
+        if (user.passwordResetCode !== hashToken(String(code))) {
+            await recordIpFailure(ipAddress, 'password_reset');
+            user.passwordResetAttempts = (user.passwordResetAttempts || 0) + 1;
+
+            // Too many wrong guesses burn the code; the user has to request a new one
+            if (user.passwordResetAttempts >= getLimits().maxCodeAttempts) {
+                user.passwordResetCode = undefined;
+                user.passwordResetExpires = undefined;
+                user.passwordResetAttempts = 0;
+                await user.save();
+                return res.status(400).json({ message: 'Too many incorrect codes. Please request a new reset code.', codeInvalidated: true });
+            }
+            await user.save();
+            await progressiveDelay(user.passwordResetAttempts);
             return res.status(400).json({ message: 'Invalid or expired reset code.' });
         }
 
@@ -138,8 +217,15 @@ const resetPassword = async (req, res) => {
         user.passwordHash = await bcrypt.hash(password, salt);
         user.passwordResetCode = undefined;
         user.passwordResetExpires = undefined;
+        user.passwordResetAttempts = 0;
+        // Proving ownership of the email also lifts any brute-force lock
+        user.failedLoginAttempts = 0;
+        user.lockUntil = undefined;
         await user.save();
 
+        // Whoever knew the old password should not stay logged in
+        await revokeAllSessions(user._id, 'password_changed');
+
         res.json({ message: 'Password reset successful.' });
 
     } catch (error) {
@@ -147,6 +233,45 @@ const resetPassword = async (req, res) => {
     }
 };
 
+// --- ACCEPT AN INVITATION (imported / admin-created users choose their first password) ---
+const acceptInvitation = async (req, res) => {
+    const { token, password } = req.body;
+    const ipAddress = getClientIp(req);
+    try {
+        if (await rejectThrottledIp(req, res, 'password_reset')) return;
+
+        if (!token || !password) {
+            return res.status(400).json({ message: 'Invitation link and password are required.' });
+        }
+        if (!PASSWORD_RULE.test(password)) {
+            return res.status(400).json({ message: 'Password must be at least 8 characters and include an uppercase letter, a number and a symbol.' });
+        }
+
+        const user = await User.findOne({
+            inviteTokenHash: hashToken(String(token)),
+            inviteExpiresAt: { $gt: Date.now() },
+            erasedAt: null,
+        });
+        if (!user) {
+            await recordIpFailure(ipAddress, 'password_reset');
+            return res.status(400).json({ message: 'This invitation link is invalid or has expired. Ask an administrator to send a new one.' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.passwordHash = await bcrypt.hash(password, salt);
+        user.inviteTokenHash = undefined;
+        user.inviteExpiresAt = undefined;
+        user.inviteAcceptedAt = new Date();
+        await user.save();
+
+        console.log(`✅ ${user.username} accepted their invitation`);
+        res.json({ message: 'Your password has been set. You can now log in.', username: user.username });
+    } catch (error) {
+        console.error('❌ Error accepting invitation:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
 // --- SEND EMAIL VERIFICATION CODE ---
 const sendEmailVerification = async (req, res) => {
     const { email } = req.body;
@@ -156,6 +281,9 @@ const sendEmailVerification = async (req, res) => {
     }
 
     try {
+        if (await rejectThrottledIp(req, res, 'email_verification')) return;
+        await recordIpFailure(getClientIp(req), 'email_verification');
+
         // Check if user already exists
         const existingUser = await User.findOne({ email });
         if (existingUser) {
@@ -163,24 +291,20 @@ const sendEmailVerification = async (req, res) => {
         }
 
         // Generate 6-digit verification code
-        const verificationCode = Math.floor(100000 + Math.random() * 900000).toString();
-        const codeExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+        const verificationCode = generateCode();
+        const codeExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
 
-        // Store verification code temporarily (we'll create a temporary user or use a separate collection)
-        // For now, we'll store it in a temporary way
-        const tempVerification = {
-            email,
-            code: verificationCode,
-            expires: codeExpires
-        };
+        // Keep the code on the server so it never reaches the browser and wrong guesses can be counted
+        await EmailVerification.findOneAndUpdate(
+            { email },
+            { email, codeHash: hashToken(verificationCode), attempts: 0, expiresAt: codeExpires },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
 
         // Send verification email
         await sendEmailVerificationCode(email, verificationCode);
         
-        res.json({ 
-            message: 'Verification code sent to your email.',
-            tempData: tempVerification // In production, store this in database or cache
-        });
+        res.json({ message: 'Verification code sent to your email.' });
 
     } catch (error) {
         console.error("Send Email Verification Error:", error);
@@ -190,22 +314,36 @@ const sendEmailVerification = async (req, res) => {
 
 // --- VERIFY EMAIL CODE ---
 const verifyEmailCode = async (req, res) => {
-    const { email, code, tempData } = req.body;
+    const { email, code } = req.body;
     
     if (!email || !code) {
         return res.status(400).json({ message: 'Email and verification code are required' });
     }
 
+    const ipAddress = getClientIp(req);
     try {
-        // Check if code matches and hasn't expired
-        if (tempData.email !== email || tempData.code !== code) {
-            return res.status(400).json({ message: 'Invalid verification code' });
-        }
+        if (await rejectThrottledIp(req, res, 'email_verification')) return;
 
-        if (Date.now() > tempData.expires) {
+        const verification = await EmailVerification.findOne({ email });
+        if (!verification || Date.now() > verification.expiresAt.getTime()) {
             return res.status(400).json({ message: 'Verification code has expired' });
         }
 
+        // Check if code matches
+        if (verification.codeHash !== hashToken(String(code))) {
+            await recordIpFailure(ipAddress, 'email_verification');
+            verification.attempts += 1;
+
+            if (verification.attempts >= getLimits().maxCodeAttempts) {
+                await EmailVerification.deleteOne({ _id: verification._id });
+                return res.status(400).json({ message: 'Too many incorrect codes. Please request a new verification code.', codeInvalidated: true });
+            }
+            await verification.save();
+            await progressiveDelay(verification.attempts);
+            return res.status(400).json({ message: 'Invalid verification code' });
+        }
+
+        await EmailVerification.deleteOne({ _id: verification._id });
         res.json({ message: 'Email verified successfully' });
 
     } catch (error) {
@@ -214,11 +352,95 @@ const verifyEmailCode = async (req, res) => {
     }
 };
 
+// --- REFRESH ACCESS TOKEN ---
+// Rotates the refresh token: the one sent in is spent and a new pair is returned.
+const refreshAccessToken = async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    try {
+        const rotated = await rotateSession(refreshToken, req);
+        if (!rotated) {
+            return res.status(401).json({ message: 'Session expired, please log in again', code: 'SESSION_REVOKED' });
+        }
+
+        res.json({
+            token: rotated.token,
+            refreshToken: rotated.refreshToken,
+        });
+    } catch (error) {
+        console.error("Refresh Token Error:", error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// --- LOGOUT (THIS DEVICE) ---
+const logoutUser = async (req, res) => {
+    try {
+        await revokeSession(req.authSession._id, 'logout', req.user._id);
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error("Logout Error:", error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// --- LOGOUT (ALL DEVICES) ---
+const logoutAllDevices = async (req, res) => {
+    try {
+        const revokedCount = await revokeAllSessions(req.user._id, 'logout_all');
+        res.json({ message: `Logged out from ${revokedCount} device(s)`, revokedCount });
+    } catch (error) {
+        console.error("Logout All Error:", error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// --- LIST ACTIVE SESSIONS / DEVICES ---
+const getActiveSessions = async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.user._id);
+        const currentId = req.authSession._id.toString();
+        res.json(sessions.map((session) => ({
+            ...session.toObject(),
+            isCurrent: session._id.toString() === currentId,
+        })));
+    } catch (error) {
+        console.error("List Sessions Error:", error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// --- LOG OUT A SPECIFIC DEVICE ---
+const revokeSessionById = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+        return res.status(400).json({ message: 'Invalid session ID' });
+    }
+    try {
+        const revoked = await revokeSession(req.params.sessionId, 'revoked_by_user', req.user._id);
+        if (!revoked) {
+            return res.status(404).json({ message: 'Session not found or already logged out' });
+        }
+        res.json({ message: 'Device logged out' });
+    } catch (error) {
+        console.error("Revoke Session Error:", error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
 export {
     registerUser,
     loginUser,
     forgotPassword,
     resetPassword,
+    acceptInvitation,
     sendEmailVerification,
     verifyEmailCode,
+    refreshAccessToken,
+    logoutUser,
+    logoutAllDevices,
+    getActiveSessions,
+    revokeSessionById,
 };
@@ -3,6 +3,7 @@ import Ground from "../models/Ground.js";
 import Payment from "../models/Payments.js";
 import User from "../models/User.js";
 import { createBookingNotification } from "./notificationController.js";
+import { recordAudit, snapshot } from "../utils/audit.js";
 
 // @desc    Create new ground booking
 // @route   POST /api/bookings
@@ -492,6 +493,7 @@ export const cancelBooking = async (req, res) => {
       });
     }
 
+    const previousStatus = booking.status;
     booking.status = "cancelled";
     booking.notes = booking.notes
       ? `${booking.notes}\nCancellation reason: ${reason}`
@@ -499,6 +501,15 @@ export const cancelBooking = async (req, res) => {
 
     await booking.save();
 
+    await recordAudit(req, {
+      action: "booking.cancel",
+      targetType: "Booking",
+      targetId: booking._id,
+      before: { status: previousStatus },
+      after: { status: booking.status },
+      reason,
+    });
+
     // Create cancellation notification
     try {
       await createBookingNotification("booking_cancelled", booking, "customer");
@@ -546,6 +557,8 @@ export const confirmBooking = async (req, res) => {
       });
     }
 
+    const before = snapshot(booking, ["status", "paymentId"]);
+
     // Verify payment exists and is successful (if paymentId provided)
     if (paymentId) {
       const Payment = (await import('../models/Payments.js')).default;
@@ -572,6 +585,14 @@ export const confirmBooking = async (req, res) => {
     booking.status = "confirmed";
     await booking.save();
 
+    await recordAudit(req, {
+      action: "booking.confirm",
+      targetType: "Booking",
+      targetId: booking._id,
+      before,
+      after: snapshot(booking, ["status", "paymentId"]),
+    });
+
     // Create confirmation notification
     try {
       const { createBookingNotification } = await import('./notificationController.js');
@@ -1,6 +1,11 @@
 import CartPending from '../models/cart_Pending.js';
 import Product from '../models/Product.js';
 import Order from '../models/Order.js';
+import { priceOrder, rejectInvalidQuote } from '../utils/pricing.js';
+import { placeHold, releaseHolds, reduceProductStock, rejectShortage } from '../utils/inventory.js';
+import { transitionOrder } from '../utils/orderLifecycle.js';
+import { resolveDestination } from '../utils/shipping.js';
+import { customerForRequest } from '../utils/permissions.js';
 
 // Helper to compute total line price
 const computeLineTotal = (price, quantity) => {
@@ -9,28 +14,48 @@ const computeLineTotal = (price, quantity) => {
   return Math.max(0, numericPrice * numericQty);
 };
 
-// Create or update a cart line (upsert by cartToken + productId)
+// Answer a cart change that asks for more than can be held
+const rejectUnavailable = (res, product, variant, hold) => res.status(409).json({
+  message: hold.available > 0
+    ? `Only ${hold.available} of ${variant ? `${product.name} (${Product.variantLabel(variant)})` : product.name} available`
+    : `${product.name} is out of stock`,
+  code: 'INSUFFICIENT_STOCK',
+  available: hold.available
+});
+
+// Create or update a cart line (upsert by cartToken + productId).
+// Price and title always come from the product, never from the client.
+// The line's quantity is held in stock until the hold expires or the cart checks out.
 const addItem = async (req, res) => {
   try {
-    const { cartToken, productId, title, price, quantity } = req.body;
+    const { cartToken, productId, variantId = null, quantity } = req.body;
     if (!cartToken || !productId) {
       return res.status(400).json({ message: 'cartToken and productId are required' });
     }
 
     // Ensure product exists and is active
     const product = await Product.findById(productId);
-    if (!product) return res.status(404).json({ message: 'Product not found' });
+    if (!product || !product.is_active) return res.status(404).json({ message: 'Product not found' });
+
+    const variant = product.getVariant(variantId);
+    if (product.hasVariants() && (!variant || !variant.is_active)) {
+      return res.status(400).json({ message: `Choose an available option for ${product.name}` });
+    }
 
     const qty = Math.max(1, Number(quantity) || 1);
-    const unitPrice = Number(price ?? product.price) || 0;
+    const hold = await placeHold({ cartToken, product, variant, quantity: qty });
+    if (!hold.ok) return rejectUnavailable(res, product, variant, hold);
+
+    const unitPrice = product.priceFor(variant);
     const total = computeLineTotal(unitPrice, qty);
 
     const updated = await CartPending.findOneAndUpdate(
-      { cartToken, productId },
+      { cartToken, productId, variantId: variant ? variant._id : null },
       {
         cartToken,
         productId,
-        title: title ?? product.name,
+        variantId: variant ? variant._id : null,
+        title: variant ? `${product.name} (${Product.variantLabel(variant)})` : product.name,
         price: unitPrice,
         quantity: qty,
         total,
@@ -39,48 +64,89 @@ const addItem = async (req, res) => {
       { upsert: true, new: true, setDefaultsOnInsert: true }
     ).populate('productId');
 
-    return res.status(201).json(updated);
+    return res.status(201).json({ ...updated.toObject(), holdExpiresAt: hold.expiresAt });
   } catch (err) {
     console.error('addItem error:', err);
     return res.status(500).json({ message: err.message });
   }
 };
 
-// Get all items for a cartToken
+const cartLines = (cartToken) => CartPending.find({ cartToken, status: { $ne: 'removed' } })
+  .populate('productId')
+  .sort({ createdAt: 1 });
+
+// Get all items for a cartToken. Reading the cart leaves its holds as they are.
 const listByToken = async (req, res) => {
   try {
-    const { cartToken } = req.params;
-    const items = await CartPending.find({ cartToken, status: { $ne: 'removed' } })
-      .populate('productId')
-      .sort({ createdAt: 1 });
-    return res.json(items);
+    return res.json(await cartLines(req.params.cartToken));
   } catch (err) {
     console.error('listByToken error:', err);
     return res.status(500).json({ message: err.message });
   }
 };
 
+// Renew the holds of a cart the customer has come back to. Lines that can no
+// longer be held are returned with the quantity still available.
+const renewHolds = async (req, res) => {
+  try {
+    const { cartToken } = req.params;
+    const items = await cartLines(cartToken);
+
+    const lines = [];
+    for (const item of items) {
+      const product = item.productId;
+      const line = item.toObject();
+      if (product) {
+        const hold = await placeHold({ cartToken, product, variant: product.getVariant(item.variantId), quantity: item.quantity });
+        if (hold.ok) line.holdExpiresAt = hold.expiresAt;
+        else line.available = hold.available;
+      }
+      lines.push(line);
+    }
+    return res.json(lines);
+  } catch (err) {
+    console.error('renewHolds error:', err);
+    return res.status(500).json({ message: err.message });
+  }
+};
+
+// Lines of products with variants are picked out by ?variantId=
+const lineFilter = (req) => ({
+  cartToken: req.params.cartToken,
+  productId: req.params.productId,
+  variantId: req.query.variantId || null
+});
+
 // Update quantity for a specific item
 const updateItemQuantity = async (req, res) => {
   try {
-    const { cartToken, productId } = req.params;
     const { quantity } = req.body;
     const qty = Number(quantity);
     if (Number.isNaN(qty)) return res.status(400).json({ message: 'Invalid quantity' });
 
     if (qty <= 0) {
-      await CartPending.deleteOne({ cartToken, productId });
+      await CartPending.deleteOne(lineFilter(req));
+      await releaseHolds(req.params.cartToken, [lineFilter(req)]);
       return res.json({ message: 'Item removed' });
     }
 
-    const item = await CartPending.findOne({ cartToken, productId }).populate('productId');
+    const item = await CartPending.findOne(lineFilter(req)).populate('productId');
     if (!item) return res.status(404).json({ message: 'Item not found' });
 
-    const unitPrice = Number(item.price) || 0;
+    // Pick up any price change since the item was added
+    const product = item.productId;
+    const variant = product ? product.getVariant(item.variantId) : null;
+    let hold = null;
+    if (product) {
+      hold = await placeHold({ cartToken: item.cartToken, product, variant, quantity: qty });
+      if (!hold.ok) return rejectUnavailable(res, product, variant, hold);
+    }
+    const unitPrice = product ? product.priceFor(variant) : Number(item.price) || 0;
+    item.price = unitPrice;
     item.quantity = qty;
     item.total = computeLineTotal(unitPrice, qty);
     await item.save();
-    return res.json(item);
+    return res.json({ ...item.toObject(), holdExpiresAt: hold?.expiresAt });
   } catch (err) {
     console.error('updateItemQuantity error:', err);
     return res.status(500).json({ message: err.message });
@@ -90,8 +156,8 @@ const updateItemQuantity = async (req, res) => {
 // Remove a specific item
 const removeItem = async (req, res) => {
   try {
-    const { cartToken, productId } = req.params;
-    const result = await CartPending.deleteOne({ cartToken, productId });
+    const result = await CartPending.deleteOne(lineFilter(req));
+    await releaseHolds(req.params.cartToken, [lineFilter(req)]);
     if (result.deletedCount === 0) return res.status(404).json({ message: 'Item not found' });
     return res.json({ message: 'Item removed' });
   } catch (err) {
@@ -105,6 +171,7 @@ const clearCart = async (req, res) => {
   try {
     const { cartToken } = req.params;
     await CartPending.deleteMany({ cartToken });
+    await releaseHolds(cartToken);
     return res.json({ message: 'Cart cleared' });
   } catch (err) {
     console.error('clearCart error:', err);
@@ -115,31 +182,25 @@ const clearCart = async (req, res) => {
 // Checkout: convert Cart_Pending items to an Order with status cart_pending
 const checkout = async (req, res) => {
   try {
-    const { cartToken, customerId, address } = req.body;
-    if (!cartToken || !customerId) {
-      return res.status(400).json({ message: 'cartToken and customerId are required' });
+    const { cartToken, addressId, deliveryMethod, expectedTotal, promoCodes } = req.body;
+    if (!cartToken) {
+      return res.status(400).json({ message: 'cartToken is required' });
     }
+    // Customers check out for themselves; staff may check out for someone else
+    const customerId = await customerForRequest(req, req.body.customerId);
+    const destination = await resolveDestination(customerId, { deliveryMethod, addressId });
+    if (!destination.ok) return res.status(destination.status).json({ message: destination.message });
 
     const items = await CartPending.find({ cartToken, status: 'cart_pending' }).populate('productId');
     if (!items || items.length === 0) {
       return res.status(404).json({ message: 'No items to checkout' });
     }
 
-    // Build order items and compute totals
-    let subtotal = 0;
-    const orderItems = items.map((i) => {
-      const unitPrice = Number(i.price ?? i.productId?.price) || 0;
-      const qty = Number(i.quantity) || 1;
-      subtotal += unitPrice * qty;
-      return {
-        productId: i.productId?._id || i.productId,
-        quantity: qty,
-        priceAtOrder: unitPrice
-      };
-    });
-
-    const deliveryCharge = 450;
-    const amount = subtotal + deliveryCharge;
+    // Price from the catalogue and make sure the customer saw the same total
+    const quote = await priceOrder(items, { promoCodes, customerId, shipTo: destination.shipTo });
+    if (rejectInvalidQuote(res, expectedTotal, quote)) return;
+    const orderItems = quote.items;
+    const amount = quote.pricing.total;
 
     // Create or update a cart order
     let order = await Order.findOne({ customerId, status: 'cart_pending' });
@@ -148,20 +209,51 @@ const checkout = async (req, res) => {
         customerId,
         items: orderItems,
         amount,
-        address: address || '',
+        pricing: quote.pricing,
+        shippingQuote: quote.shippingQuote,
+        appliedPromotions: quote.promotions,
+        address: destination.address,
+        deliveryAddress: destination.deliveryAddress,
         // On checkout, move to processing
         status: 'processing',
-        date: new Date()
+        statusHistory: [{ status: 'processing', by: req.user._id, note: 'Checked out' }],
+        date: new Date(),
+        cartToken
       });
     } else {
       order.items = orderItems;
       order.amount = amount;
-      order.address = address || order.address;
+      order.pricing = quote.pricing;
+      order.shippingQuote = quote.shippingQuote;
+      order.appliedPromotions = quote.promotions;
+      order.address = destination.address || order.address;
+      // A pickup has no delivery address, so drop any left from an earlier checkout
+      if (destination.deliveryAddress || destination.shipTo.method === 'pickup') {
+        order.deliveryAddress = destination.deliveryAddress;
+      }
       order.date = new Date();
-      // Ensure status is processing after checkout
-      order.status = 'processing';
+      order.cartToken = cartToken;
+    }
+
+    if (order.isNew) {
+      // Turn the cart's holds into stock deductions; nothing is taken if any line is short
+      const stock = await reduceProductStock(orderItems, { cartToken, orderId: order._id, actor: req.user?._id });
+      if (rejectShortage(res, stock)) return;
+      order.stockDeductedAt = new Date();
+      await order.save();
+    } else {
+      // The existing cart order moves to processing, which takes its stock from
+      // the cart's holds; if that fails the order is left as it was, without stock taken
+      await order.save();
+      const result = await transitionOrder(order, 'processing', { actor: req.user._id, note: 'Checked out' });
+      if (!result.ok) {
+        return res.status(result.status).json({
+          message: result.message,
+          ...(result.shortages && { code: 'INSUFFICIENT_STOCK', shortages: result.shortages })
+        });
+      }
+      order = result.order;
     }
-    await order.save();
 
     // Remove cart pending items now that they've been converted to an order
     await CartPending.deleteMany({ cartToken });
@@ -176,6 +268,7 @@ const checkout = async (req, res) => {
 export {
   addItem,
   listByToken,
+  renewHolds,
   updateItemQuantity,
   removeItem,
   clearCart,
@@ -0,0 +1,328 @@
+import mongoose from 'mongoose';
+import DeliveryRun from '../models/DeliveryRun.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
+import { ordersOnOpenRuns, startRun, updateStop } from '../utils/dispatch.js';
+import { hasPermission } from '../utils/permissions.js';
+
+// A van can only carry so much
+const MAX_STOPS = 40;
+
+const AUDIT_FIELDS = ['status', 'assignedTo', 'date', 'note', 'stops'];
+
+// What the run sheet needs to know about each order
+const STOP_ORDER_FIELDS = 'items.name items.variantLabel items.quantity amount status deliveryAddress address customerId';
+
+const populateRun = (query) => query
+  .populate('assignedTo createdBy', 'username firstName lastName contactNumber')
+  .populate({
+    path: 'stops.orderId',
+    select: STOP_ORDER_FIELDS,
+    populate: { path: 'customerId', select: 'username firstName lastName contactNumber' }
+  });
+
+// The start of the given day (YYYY-MM-DD), or null if it is not a date
+const dayOf = (value) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) return null;
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+// An active delivery staff member, or null
+const findDriver = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return User.findOne({ _id: id, role: 'delivery_staff', status: 'active' });
+};
+
+// The run, if the user is its driver or manages deliveries
+const findWorkableRun = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  const run = await DeliveryRun.findById(req.params.id);
+  if (!run) return null;
+  if (String(run.assignedTo) === String(req.user._id) && await hasPermission(req.user.role, 'deliveries:work')) return run;
+  if (await hasPermission(req.user.role, 'deliveries:manage')) return run;
+  return null;
+};
+
+// @desc    Orders that are processing and not yet on a run, by district and city
+// @route   GET /api/delivery-runs/candidates
+// @access  Private (deliveries:manage)
+const getDispatchCandidates = async (req, res) => {
+  try {
+    // Orders the customer collects from the academy never go on a run
+    const orders = await Order.find({ status: 'processing', 'shippingQuote.method': { $ne: 'pickup' } })
+      .select('items.name items.quantity amount date deliveryAddress address customerId')
+      .populate('customerId', 'username firstName lastName')
+      .sort({ 'deliveryAddress.district': 1, 'deliveryAddress.city': 1, date: 1 });
+    const taken = await ordersOnOpenRuns(orders.map(order => order._id));
+    res.json(orders.filter(order => !taken.has(String(order._id))));
+  } catch (error) {
+    console.error('❌ Error fetching orders to dispatch:', error);
+    res.status(500).json({ message: 'Error fetching orders to dispatch' });
+  }
+};
+
+// @desc    Delivery staff who can be given a run, with how many open runs each has
+// @route   GET /api/delivery-runs/staff
+// @access  Private (deliveries:manage)
+const getDeliveryStaff = async (req, res) => {
+  try {
+    const staff = await User.find({ role: 'delivery_staff', status: 'active' })
+      .select('username firstName lastName contactNumber')
+      .sort({ firstName: 1, username: 1 })
+      .lean();
+    const openRuns = await DeliveryRun.aggregate([
+      { $match: { status: { $in: ['planned', 'out'] } } },
+      { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+    ]);
+    const counts = new Map(openRuns.map(row => [String(row._id), row.count]));
+    res.json(staff.map(user => ({ ...user, openRuns: counts.get(String(user._id)) || 0 })));
+  } catch (error) {
+    console.error('❌ Error fetching delivery staff:', error);
+    res.status(500).json({ message: 'Error fetching delivery staff' });
+  }
+};
+
+// @desc    Delivery runs, newest day first
+// @route   GET /api/delivery-runs
+// @access  Private (deliveries:manage)
+const getDeliveryRuns = async (req, res) => {
+  try {
+    const { status = 'open', date, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (status === 'open') filter.status = { $in: ['planned', 'out'] };
+    else if (status !== 'all') filter.status = status;
+    const day = dayOf(date);
+    if (day) filter.date = day;
+
+    const [deliveryRuns, total] = await Promise.all([
+      populateRun(DeliveryRun.find(filter))
+        .sort({ date: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit)),
+      DeliveryRun.countDocuments(filter)
+    ]);
+
+    res.json({
+      deliveryRuns,
+      pagination: { page: Number(page), limit: Number(limit), total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching delivery runs:', error);
+    res.status(500).json({ message: 'Error fetching delivery runs' });
+  }
+};
+
+// @desc    Build a run from processing orders and give it to a driver
+// @route   POST /api/delivery-runs
+// @access  Private (deliveries:manage)
+const createDeliveryRun = async (req, res) => {
+  try {
+    const { assignedTo, orderIds, note } = req.body;
+    const date = dayOf(req.body.date);
+    if (!date) return res.status(400).json({ message: 'Choose the day the run goes out' });
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+      return res.status(400).json({ message: 'Choose the orders to deliver' });
+    }
+    const ids = [...new Set(orderIds.map(String))];
+    if (ids.length > MAX_STOPS) {
+      return res.status(400).json({ message: `A run can have up to ${MAX_STOPS} stops` });
+    }
+    if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid order' });
+    }
+
+    const driver = await findDriver(assignedTo);
+    if (!driver) return res.status(400).json({ message: 'Choose an active delivery staff member' });
+
+    const orders = await Order.find({ _id: { $in: ids } }).select('status shippingQuote.method');
+    const pickup = orders.find(order => order.shippingQuote?.method === 'pickup');
+    if (pickup) {
+      return res.status(409).json({ message: `Order ...${String(pickup._id).slice(-8)} is collected from the academy, not delivered` });
+    }
+    const notReady = ids.filter(id => !orders.some(order => String(order._id) === id && order.status === 'processing'));
+    if (notReady.length > 0) {
+      return res.status(409).json({ message: `Order ...${notReady[0].slice(-8)} is not ready to go out. Only processing orders can be dispatched.` });
+    }
+    const taken = await ordersOnOpenRuns(ids);
+    if (taken.size > 0) {
+      return res.status(409).json({ message: `Order ...${[...taken][0].slice(-8)} is already on another run` });
+    }
+
+    // Stops follow the order the manager picked them in
+    const deliveryRun = await DeliveryRun.create({
+      runNumber: await DeliveryRun.nextNumber(),
+      date,
+      assignedTo: driver._id,
+      stops: ids.map(orderId => ({ orderId })),
+      note,
+      createdBy: req.user._id
+    });
+    console.log(`🚚 ${deliveryRun.runNumber} built with ${ids.length} stop(s) for ${driver.username}`);
+
+    await recordAudit(req, {
+      action: 'deliveryRun.create',
+      targetType: 'DeliveryRun',
+      targetId: deliveryRun._id,
+      after: snapshot(deliveryRun, AUDIT_FIELDS)
+    });
+    res.status(201).json(await populateRun(DeliveryRun.findById(deliveryRun._id)));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join('; ') });
+    }
+    console.error('❌ Error creating delivery run:', error);
+    res.status(500).json({ message: 'Error creating delivery run' });
+  }
+};
+
+// @desc    Give a planned run to another driver, move its day, drop stops or change its note
+// @route   PUT /api/delivery-runs/:id
+// @access  Private (deliveries:manage)
+const updateDeliveryRun = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'Delivery run not found' });
+    const deliveryRun = await DeliveryRun.findById(req.params.id);
+    if (!deliveryRun) return res.status(404).json({ message: 'Delivery run not found' });
+    if (deliveryRun.status !== 'planned') {
+      return res.status(409).json({ message: 'Only planned runs can be changed' });
+    }
+
+    const before = snapshot(deliveryRun, AUDIT_FIELDS);
+    const { assignedTo, date, removeStopIds, note } = req.body;
+    if (assignedTo !== undefined) {
+      const driver = await findDriver(assignedTo);
+      if (!driver) return res.status(400).json({ message: 'Choose an active delivery staff member' });
+      deliveryRun.assignedTo = driver._id;
+    }
+    if (date !== undefined) {
+      const day = dayOf(date);
+      if (!day) return res.status(400).json({ message: 'Choose the day the run goes out' });
+      deliveryRun.date = day;
+    }
+    if (Array.isArray(removeStopIds)) {
+      deliveryRun.stops = deliveryRun.stops.filter(stop => !removeStopIds.map(String).includes(String(stop._id)));
+    }
+    if (note !== undefined) deliveryRun.note = note;
+    await deliveryRun.save();
+
+    await recordAudit(req, {
+      action: 'deliveryRun.update',
+      targetType: 'DeliveryRun',
+      targetId: deliveryRun._id,
+      before,
+      after: snapshot(deliveryRun, AUDIT_FIELDS)
+    });
+    res.json(await populateRun(DeliveryRun.findById(deliveryRun._id)));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join('; ') });
+    }
+    console.error('❌ Error updating delivery run:', error);
+    res.status(500).json({ message: 'Error updating delivery run' });
+  }
+};
+
+// @desc    Call off a run that has not left; its orders can go on another run
+// @route   PUT /api/delivery-runs/:id/cancel
+// @access  Private (deliveries:manage)
+const cancelDeliveryRun = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ message: 'Delivery run not found' });
+    const deliveryRun = await DeliveryRun.findOneAndUpdate(
+      { _id: req.params.id, status: 'planned' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+    if (!deliveryRun) return res.status(409).json({ message: 'Only planned runs can be cancelled' });
+
+    await recordAudit(req, {
+      action: 'deliveryRun.cancel',
+      targetType: 'DeliveryRun',
+      targetId: deliveryRun._id,
+      before: { status: 'planned' },
+      after: { status: 'cancelled' },
+      reason: req.body.reason
+    });
+    res.json({ message: `${deliveryRun.runNumber} cancelled` });
+  } catch (error) {
+    console.error('❌ Error cancelling delivery run:', error);
+    res.status(500).json({ message: 'Error cancelling delivery run' });
+  }
+};
+
+// @desc    The driver's run sheet: their open runs and anything finished today
+// @route   GET /api/delivery-runs/mine
+// @access  Private (deliveries:work)
+const getMyDeliveryRuns = async (req, res) => {
+  try {
+    const today = dayOf(new Date());
+    const deliveryRuns = await populateRun(DeliveryRun.find({
+      assignedTo: req.user._id,
+      $or: [{ status: { $in: ['planned', 'out'] } }, { status: 'completed', completedAt: { $gte: today } }]
+    })).sort({ date: 1, createdAt: 1 });
+    res.json(deliveryRuns);
+  } catch (error) {
+    console.error('❌ Error fetching run sheet:', error);
+    res.status(500).json({ message: 'Error fetching run sheet' });
+  }
+};
+
+// @desc    Load up and leave: every stop on the run goes out for delivery
+// @route   PUT /api/delivery-runs/:id/start
+// @access  Private (the run's driver, or deliveries:manage)
+const startDeliveryRun = async (req, res) => {
+  try {
+    const deliveryRun = await findWorkableRun(req);
+    if (!deliveryRun) return res.status(404).json({ message: 'Delivery run not found' });
+
+    const result = await startRun(deliveryRun, { actor: req.user._id });
+    if (!result.ok) return res.status(result.status).json({ message: result.message });
+
+    res.json({
+      deliveryRun: await populateRun(DeliveryRun.findById(deliveryRun._id)),
+      problems: result.problems
+    });
+  } catch (error) {
+    console.error('❌ Error starting delivery run:', error);
+    res.status(500).json({ message: 'Error starting delivery run' });
+  }
+};
+
+// @desc    Mark one stop out for delivery, delivered (with proof) or failed (with a reason)
+// @route   PUT /api/delivery-runs/:id/stops/:stopId
+// @access  Private (the run's driver, or deliveries:manage)
+const updateDeliveryStop = async (req, res) => {
+  try {
+    const deliveryRun = await findWorkableRun(req);
+    if (!deliveryRun) return res.status(404).json({ message: 'Delivery run not found' });
+
+    const { status, recipientName, photo, failedReason, note } = req.body;
+    const result = await updateStop(
+      deliveryRun,
+      req.params.stopId,
+      { status, recipientName, photo, failedReason, note },
+      { actor: req.user._id }
+    );
+    if (!result.ok) return res.status(result.status).json({ message: result.message });
+
+    res.json(await populateRun(DeliveryRun.findById(deliveryRun._id)));
+  } catch (error) {
+    console.error('❌ Error updating delivery stop:', error);
+    res.status(500).json({ message: 'Error updating delivery stop' });
+  }
+};
+
+export {
+  getDispatchCandidates,
+  getDeliveryStaff,
+  getDeliveryRuns,
+  createDeliveryRun,
+  updateDeliveryRun,
+  cancelDeliveryRun,
+  getMyDeliveryRuns,
+  startDeliveryRun,
+  updateDeliveryStop
+};
@@ -0,0 +1,214 @@
+import User from '../models/User.js';
+import ProgramEnrollment from '../models/ProgramEnrollment.js';
+import Attendance from '../models/Attendance.js';
+import PlayerFeedback from '../models/PlayerFeedback.js';
+import { isMinor, getMinorAge } from '../utils/guardian.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
+import { eraseUser } from '../utils/personalData.js';
+
+const CHILD_FIELDS = 'firstName lastName username email dob contactNumber profileImageURL status guardian createdAt';
+
+// Build a unique username from the guardian's, e.g. "nimal" + "Kasun" -> "nimal.kasun", "nimal.kasun2"
+const buildChildUsername = async (guardian, firstName) => {
+    const base = `${guardian.username}.${firstName}`.toLowerCase().replace(/[^a-z0-9._-]/g, '');
+    let username = base;
+    for (let n = 2; await User.exists({ username }); n++) {
+        username = `${base}${n}`;
+    }
+    return username;
+};
+
+// Load one of the guardian's children or answer 404
+const findChild = async (req, res) => {
+    const child = await User.findOne({ _id: req.params.childId, guardian: req.user._id, erasedAt: null }).select(CHILD_FIELDS);
+    if (!child) {
+        res.status(404).json({ success: false, message: 'Junior player not found on your account' });
+        return null;
+    }
+    return child;
+};
+
+// @desc    List the junior players managed by the logged-in guardian
+// @route   GET /api/guardian/children
+// @access  Private
+const getMyChildren = async (req, res) => {
+    try {
+        const children = await User.find({ guardian: req.user._id, erasedAt: null }).select(CHILD_FIELDS).sort({ firstName: 1 });
+        res.json({ success: true, data: children });
+    } catch (error) {
+        console.error('❌ Error fetching junior players:', error);
+        res.status(500).json({ success: false, message: 'Error fetching junior players' });
+    }
+};
+
+// @desc    Add a junior player profile to the logged-in guardian's account
+// @route   POST /api/guardian/children
+// @access  Private
+const addChild = async (req, res) => {
+    const { firstName, lastName, dob, email, contactNumber, profileImageURL } = req.body;
+
+    if (!firstName || !lastName || !dob) {
+        return res.status(400).json({ success: false, message: 'First name, last name and date of birth are required' });
+    }
+    if (!isMinor(dob)) {
+        return res.status(400).json({ success: false, message: `Junior players must be under ${getMinorAge()}. Older players can register their own account.` });
+    }
+    if (req.user.guardian) {
+        return res.status(403).json({ success: false, message: 'A junior player cannot add players of their own' });
+    }
+
+    try {
+        if (email && await User.exists({ email })) {
+            return res.status(400).json({ success: false, message: 'A user with this email already exists' });
+        }
+
+        const child = await User.create({
+            firstName,
+            lastName,
+            dob,
+            email: email || undefined,
+            contactNumber: contactNumber || req.user.contactNumber,
+            address: req.user.address,
+            profileImageURL: profileImageURL || '',
+            username: await buildChildUsername(req.user, firstName),
+            guardian: req.user._id,
+        });
+
+        await recordAudit(req, {
+            action: 'guardian.child.create',
+            targetType: 'User',
+            targetId: child._id,
+            after: snapshot(child, ['firstName', 'lastName', 'dob', 'guardian']),
+        });
+
+        console.log(`👪 ${req.user.username} added junior player ${child.username}`);
+        res.status(201).json({ success: true, data: await User.findById(child._id).select(CHILD_FIELDS) });
+    } catch (error) {
+        console.error('❌ Error adding junior player:', error);
+        res.status(500).json({ success: false, message: 'Error adding junior player' });
+    }
+};
+
+// @desc    Update a junior player's profile
+// @route   PUT /api/guardian/children/:childId
+// @access  Private (the player's guardian)
+const updateChild = async (req, res) => {
+    try {
+        const child = await findChild(req, res);
+        if (!child) return;
+
+        const { firstName, lastName, dob, contactNumber, profileImageURL } = req.body;
+        if (dob && !isMinor(dob)) {
+            return res.status(400).json({ success: false, message: `Junior players must be under ${getMinorAge()}` });
+        }
+
+        child.firstName = firstName || child.firstName;
+        child.lastName = lastName || child.lastName;
+        child.dob = dob || child.dob;
+        child.contactNumber = contactNumber || child.contactNumber;
+        child.profileImageURL = profileImageURL || child.profileImageURL;
+        await child.save();
+
+        res.json({ success: true, data: child });
+    } catch (error) {
+        console.error('❌ Error updating junior player:', error);
+        res.status(500).json({ success: false, message: 'Error updating junior player' });
+    }
+};
+
+// @desc    Enrollments, attendance and coach feedback for one junior player
+// @route   GET /api/guardian/children/:childId/activity
+// @access  Private (the player's guardian)
+const getChildActivity = async (req, res) => {
+    try {
+        const child = await findChild(req, res);
+        if (!child) return;
+
+        const [enrollments, attendance, feedback] = await Promise.all([
+            ProgramEnrollment.find({ user: child._id })
+                .populate('program', 'title category duration totalSessions fee')
+                .sort({ enrollmentDate: -1 }),
+            Attendance.find({ participant: child._id })
+                .populate('session', 'title scheduledDate startTime endTime')
+                .sort({ attendanceMarkedAt: -1 }),
+            PlayerFeedback.find({ player: child._id, isVisibleToPlayer: true })
+                .populate({ path: 'coach', populate: { path: 'userId', select: 'firstName lastName' } })
+                .populate('session', 'title scheduledDate')
+                .populate('program', 'title')
+                .sort({ createdAt: -1 }),
+        ]);
+
+        res.json({ success: true, data: { child, enrollments, attendance, feedback } });
+    } catch (error) {
+        console.error('❌ Error fetching junior player activity:', error);
+        res.status(500).json({ success: false, message: 'Error fetching junior player activity' });
+    }
+};
+
+// @desc    Erase a junior player's profile and personal data
+// @route   DELETE /api/guardian/children/:childId
+// @access  Private (the player's guardian)
+const removeChild = async (req, res) => {
+    try {
+        const child = await User.findOne({ _id: req.params.childId, guardian: req.user._id, erasedAt: null });
+        if (!child) {
+            return res.status(404).json({ success: false, message: 'Junior player not found on your account' });
+        }
+
+        const before = snapshot(child, ['firstName', 'lastName', 'dob', 'guardian']);
+        const { blockers } = await eraseUser(child);
+        if (blockers.length > 0) {
+            return res.status(409).json({ success: false, message: `This player cannot be removed yet: ${blockers.join('; ')}.`, blockers });
+        }
+
+        await recordAudit(req, { action: 'guardian.child.erase', targetType: 'User', targetId: child._id, before });
+        res.json({ success: true, message: 'Junior player removed' });
+    } catch (error) {
+        console.error('❌ Error removing junior player:', error);
+        res.status(500).json({ success: false, message: 'Error removing junior player' });
+    }
+};
+
+// @desc    Link an existing account to a guardian, or unlink it (guardianId: null)
+// @route   PUT /api/users/:id/guardian
+// @access  Private/Admin (users:manage)
+const setGuardianByAdmin = async (req, res) => {
+    const { guardianId } = req.body;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (guardianId) {
+        const guardian = await User.findById(guardianId);
+        if (!guardian || guardian._id.equals(user._id)) {
+            return res.status(400).json({ message: 'Choose a different, existing account as the guardian' });
+        }
+        if (guardian.guardian) {
+            return res.status(400).json({ message: 'A junior player cannot be a guardian' });
+        }
+        if (await User.exists({ guardian: user._id })) {
+            return res.status(400).json({ message: 'This account is itself a guardian and cannot be linked to another' });
+        }
+    } else if (!user.email || !user.passwordHash) {
+        return res.status(400).json({ message: 'This profile has no login of its own, so it must keep a guardian' });
+    }
+
+    const before = snapshot(user, ['guardian']);
+    user.guardian = guardianId || null;
+    await user.save();
+
+    await recordAudit(req, {
+        action: 'user.guardian.update',
+        targetType: 'User',
+        targetId: user._id,
+        before,
+        after: snapshot(user, ['guardian']),
+        reason: req.body.reason,
+    });
+
+    res.json({ message: guardianId ? 'Guardian linked' : 'Guardian removed', _id: user._id, guardian: user.guardian });
+};
+
+export { getMyChildren, addChild, updateChild, removeChild, getChildActivity, setGuardianByAdmin };
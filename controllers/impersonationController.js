@@ -0,0 +1,120 @@
+import User from '../models/User.js';
+import AuthSession from '../models/AuthSession.js';
+import generateToken, { generateRefreshToken, hashToken } from '../utils/generateToken.js';
+import { getClientIp, revokeSession } from '../utils/authSession.js';
+import { hasPermission } from '../utils/permissions.js';
+import { getImpersonationMinutes } from '../utils/impersonation.js';
+import { recordAudit } from '../utils/audit.js';
+
+// @desc    Start a time-limited "view as user" session for support
+// @route   POST /api/impersonation
+// @access  Private/Admin (users:impersonate)
+const startImpersonation = async (req, res) => {
+    const { userId, reason, allowWrites = false } = req.body;
+
+    if (req.impersonator) {
+        return res.status(403).json({ message: 'Stop viewing as the current user before starting another session' });
+    }
+    if (!reason || !reason.trim()) {
+        return res.status(400).json({ message: 'Please give a reason, e.g. the support ticket you are investigating' });
+    }
+
+    try {
+        const target = await User.findById(userId).select('-passwordHash');
+        if (!target || target.erasedAt) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        if (target._id.equals(req.user._id)) {
+            return res.status(400).json({ message: 'You cannot view the app as yourself' });
+        }
+        if (target.status !== 'active') {
+            return res.status(400).json({ message: `This account is ${target.status}` });
+        }
+        // Otherwise one admin could act with another admin's identity
+        if (await hasPermission(target.role, 'users:impersonate')) {
+            return res.status(403).json({ message: 'Accounts that can view as other users cannot be impersonated' });
+        }
+
+        const minutes = getImpersonationMinutes();
+        const userAgent = req.headers['user-agent'] || '';
+        // The refresh token is never handed out, so the session simply ends when it expires
+        const session = await AuthSession.create({
+            userId: target._id,
+            impersonator: req.user._id,
+            impersonationReason: reason.trim(),
+            allowWrites: !!allowWrites,
+            refreshTokenHash: hashToken(generateRefreshToken()),
+            userAgent,
+            ipAddress: getClientIp(req),
+            deviceName: `Viewed by ${req.user.username}`,
+            expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+        });
+
+        await recordAudit(req, {
+            action: 'impersonation.start',
+            targetType: 'User',
+            targetId: target._id,
+            after: { sessionId: session._id.toString(), allowWrites: session.allowWrites, expiresAt: session.expiresAt.toISOString() },
+            reason: session.impersonationReason,
+        });
+
+        console.log(`🕵️ ${req.user.username} started viewing as ${target.username} for ${minutes} minutes`);
+        res.status(201).json({
+            _id: target._id,
+            username: target.username,
+            email: target.email,
+            role: target.role,
+            profileImageURL: target.profileImageURL,
+            token: generateToken(target._id, session._id, minutes * 60),
+            impersonation: {
+                sessionId: session._id,
+                impersonatorName: req.user.username,
+                allowWrites: session.allowWrites,
+                expiresAt: session.expiresAt,
+            },
+        });
+    } catch (error) {
+        console.error('❌ Error starting impersonation:', error);
+        res.status(500).json({ message: 'Error starting impersonation' });
+    }
+};
+
+// @desc    End the current "view as user" session
+// @route   POST /api/impersonation/stop
+// @access  Private (impersonation session)
+const stopImpersonation = async (req, res) => {
+    if (!req.impersonator) {
+        return res.status(400).json({ message: 'You are not viewing as another user' });
+    }
+
+    req.skipImpersonationAudit = true;
+    await revokeSession(req.authSession._id, 'impersonation_ended');
+    await recordAudit(req, {
+        action: 'impersonation.stop',
+        targetType: 'User',
+        targetId: req.user._id,
+        after: { sessionId: req.authSession._id.toString() },
+    });
+
+    console.log(`🕵️ ${req.impersonator.username} stopped viewing as ${req.user.username}`);
+    res.json({ message: 'Returned to your own account' });
+};
+
+// @desc    List the "view as user" sessions that are still running
+// @route   GET /api/impersonation/active
+// @access  Private/Admin (users:impersonate)
+const getActiveImpersonations = async (req, res) => {
+    try {
+        const sessions = await AuthSession.find({ impersonator: { $ne: null }, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .select('userId impersonator impersonationReason allowWrites createdAt expiresAt')
+            .populate('userId', 'username firstName lastName role')
+            .populate('impersonator', 'username firstName lastName')
+            .sort({ createdAt: -1 });
+        res.json(sessions);
+    } catch (error) {
+        console.error('❌ Error fetching impersonation sessions:', error);
+        res.status(500).json({ message: 'Error fetching impersonation sessions' });
+    }
+};
+
+export { startImpersonation, stopImpersonation, getActiveImpersonations };
@@ -0,0 +1,261 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import StockMovement, { MOVEMENT_REASONS } from '../models/StockMovement.js';
+import Stocktake from '../models/Stocktake.js';
+import { recordAudit } from '../utils/audit.js';
+import { adjustStock, describeStock, getStockOnDate } from '../utils/inventory.js';
+
+// End of the given day, so "stock on 2024-05-31" includes that day's movements
+const endOfDay = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  date.setHours(23, 59, 59, 999);
+  return date;
+};
+
+const currentStock = (product, variantId) => (product.getVariant(variantId) || product).stock_quantity;
+
+// @desc    Stock movement history, newest first
+// @route   GET /api/inventory/movements
+// @access  Private (inventory:manage)
+const getMovements = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, productId, variantId, reason, from, to } = req.query;
+
+    const filter = {};
+    for (const [key, value] of [['productId', productId], ['variantId', variantId]]) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ message: `Invalid ${key}` });
+      }
+      filter[key] = value;
+    }
+    if (reason) {
+      if (!MOVEMENT_REASONS.includes(reason)) return res.status(400).json({ message: 'Invalid reason' });
+      filter.reason = reason;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = endOfDay(to);
+    }
+
+    const pageSize = Math.min(parseInt(limit), 200);
+    const skip = (parseInt(page) - 1) * pageSize;
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter).sort({ createdAt: -1 }).skip(skip).limit(pageSize).populate('actor', 'username email'),
+      StockMovement.countDocuments(filter)
+    ]);
+
+    res.json({
+      movements,
+      pagination: { page: parseInt(page), limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching stock movements:', error);
+    res.status(500).json({ message: 'Error fetching stock movements' });
+  }
+};
+
+// @desc    Stock of every product as it stood at the end of a date
+// @route   GET /api/inventory/stock-on-date?date=YYYY-MM-DD&category=
+// @access  Private (inventory:manage)
+const getStockOnDateReport = async (req, res) => {
+  try {
+    const date = req.query.date ? endOfDay(req.query.date) : null;
+    if (!date) return res.status(400).json({ message: 'A valid date is required' });
+
+    const products = await getStockOnDate(date, req.query.category ? { category: req.query.category } : {});
+    res.json({ date, products });
+  } catch (error) {
+    console.error('❌ Error working out stock on date:', error);
+    res.status(500).json({ message: 'Error working out stock on date' });
+  }
+};
+
+// @desc    List stocktakes, newest first
+// @route   GET /api/inventory/stocktakes
+// @access  Private (inventory:manage)
+const getStocktakes = async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const stocktakes = await Stocktake.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name')
+      .populate('postedBy', 'name');
+    res.json(stocktakes);
+  } catch (error) {
+    console.error('❌ Error fetching stocktakes:', error);
+    res.status(500).json({ message: 'Error fetching stocktakes' });
+  }
+};
+
+// @desc    One stocktake with its count sheet
+// @route   GET /api/inventory/stocktakes/:id
+// @access  Private (inventory:manage)
+const getStocktake = async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findById(req.params.id)
+      .populate('createdBy', 'name')
+      .populate('postedBy', 'name');
+    if (!stocktake) return res.status(404).json({ message: 'Stocktake not found' });
+    res.json(stocktake);
+  } catch (error) {
+    console.error('❌ Error fetching stocktake:', error);
+    res.status(500).json({ message: 'Error fetching stocktake' });
+  }
+};
+
+// @desc    Start a stocktake: a count sheet of every product (or one category) with the stock on record
+// @route   POST /api/inventory/stocktakes
+// @access  Private (inventory:manage)
+const createStocktake = async (req, res) => {
+  try {
+    const { category, note } = req.body;
+    const products = await Product.find(category ? { category } : {}).sort({ name: 1 });
+    if (products.length === 0) return res.status(400).json({ message: 'No products to count' });
+
+    const lines = products.flatMap(product => (product.hasVariants()
+      ? product.variants.map(variant => ({
+        productId: product._id,
+        variantId: variant._id,
+        sku: variant.sku,
+        name: describeStock(product, variant).name,
+        expected: variant.stock_quantity
+      }))
+      : [{ productId: product._id, name: product.name, expected: product.stock_quantity }]));
+
+    const stocktake = await Stocktake.create({ category, note, lines, createdBy: req.user._id });
+    console.log(`📦 Stocktake started: ${lines.length} lines${category ? ` in ${category}` : ''}`);
+    res.status(201).json(stocktake);
+  } catch (error) {
+    console.error('❌ Error starting stocktake:', error);
+    res.status(500).json({ message: 'Error starting stocktake' });
+  }
+};
+
+// @desc    Enter counted quantities; a blank count leaves the line uncounted
+// @route   PUT /api/inventory/stocktakes/:id/counts
+// @access  Private (inventory:manage)
+const updateStocktakeCounts = async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findById(req.params.id);
+    if (!stocktake) return res.status(404).json({ message: 'Stocktake not found' });
+    if (stocktake.status !== 'open') return res.status(400).json({ message: `This stocktake is ${stocktake.status}` });
+
+    for (const { productId, variantId, counted } of req.body.counts || []) {
+      const line = stocktake.lines.find(entry =>
+        String(entry.productId) === String(productId) && String(entry.variantId || '') === String(variantId || ''));
+      if (!line) continue;
+      if (counted === '' || counted === null || counted === undefined) {
+        line.counted = null;
+      } else if (!Number.isInteger(Number(counted)) || Number(counted) < 0) {
+        return res.status(400).json({ message: `Count for ${line.name} must be a whole number of zero or more` });
+      } else {
+        line.counted = Number(counted);
+      }
+    }
+    if (req.body.note !== undefined) stocktake.note = req.body.note;
+    await stocktake.save();
+    res.json(stocktake);
+  } catch (error) {
+    console.error('❌ Error saving stocktake counts:', error);
+    res.status(500).json({ message: 'Error saving stocktake counts' });
+  }
+};
+
+// @desc    Post a stocktake: each counted line's difference from the stock on record
+//          becomes a 'stocktake' movement, so stock matches the count
+// @route   POST /api/inventory/stocktakes/:id/post
+// @access  Private (inventory:manage)
+const postStocktake = async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findById(req.params.id);
+    if (!stocktake) return res.status(404).json({ message: 'Stocktake not found' });
+    if (stocktake.status !== 'open') return res.status(400).json({ message: `This stocktake is ${stocktake.status}` });
+
+    const counted = stocktake.lines.filter(line => line.counted !== null);
+    if (counted.length === 0) return res.status(400).json({ message: 'Enter at least one count before posting' });
+
+    // Claim the stocktake first so it cannot be posted twice at once
+    const claimed = await Stocktake.updateOne({ _id: stocktake._id, status: 'open' }, { status: 'posted', postedBy: req.user._id, postedAt: new Date() });
+    if (claimed.modifiedCount === 0) return res.status(409).json({ message: 'This stocktake has already been posted' });
+
+    const skipped = [];
+    for (const line of counted) {
+      // Variance is against stock now, so sales made since the sheet was printed are not counted twice
+      const product = await Product.findById(line.productId);
+      if (!product || (line.variantId && !product.getVariant(line.variantId))) {
+        skipped.push(line.name);
+        continue;
+      }
+      line.expectedAtPosting = currentStock(product, line.variantId);
+      line.variance = line.counted - line.expectedAtPosting;
+      if (line.variance === 0) continue;
+
+      const result = await adjustStock({
+        productId: line.productId,
+        variantId: line.variantId,
+        quantity: line.variance,
+        reason: 'stocktake',
+        stocktakeId: stocktake._id,
+        actor: req.user._id
+      });
+      // Stock was sold between reading and adjusting, so the count no longer fits
+      if (!result) skipped.push(line.name);
+    }
+
+    stocktake.status = 'posted';
+    stocktake.postedBy = req.user._id;
+    stocktake.postedAt = new Date();
+    await stocktake.save();
+
+    const changed = counted.filter(line => line.variance);
+    await recordAudit(req, {
+      action: 'stocktake.post',
+      targetType: 'Stocktake',
+      targetId: stocktake._id,
+      after: {
+        linesCounted: counted.length,
+        linesChanged: changed.length,
+        netVariance: changed.reduce((sum, line) => sum + line.variance, 0)
+      }
+    });
+
+    console.log(`📦 Stocktake posted: ${changed.length} of ${counted.length} counted lines adjusted`);
+    res.json({ stocktake, skipped });
+  } catch (error) {
+    console.error('❌ Error posting stocktake:', error);
+    res.status(500).json({ message: 'Error posting stocktake' });
+  }
+};
+
+// @desc    Abandon an open stocktake without changing stock
+// @route   POST /api/inventory/stocktakes/:id/cancel
+// @access  Private (inventory:manage)
+const cancelStocktake = async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findOneAndUpdate(
+      { _id: req.params.id, status: 'open' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+    if (!stocktake) return res.status(400).json({ message: 'Only an open stocktake can be cancelled' });
+    res.json(stocktake);
+  } catch (error) {
+    console.error('❌ Error cancelling stocktake:', error);
+    res.status(500).json({ message: 'Error cancelling stocktake' });
+  }
+};
+
+export {
+  getMovements,
+  getStockOnDateReport,
+  getStocktakes,
+  getStocktake,
+  createStocktake,
+  updateStocktakeCounts,
+  postStocktake,
+  cancelStocktake
+};
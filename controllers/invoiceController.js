@@ -0,0 +1,153 @@
+import PDFDocument from 'pdfkit';
+import Invoice, { INVOICE_SOURCES } from '../models/Invoice.js';
+import { hasPermission } from '../utils/permissions.js';
+
+const SOURCE_LABELS = {
+  order: 'Shop order',
+  booking: 'Ground booking',
+  enrollment: 'Coaching programme',
+  repair: 'Equipment repair'
+};
+
+const money = (amount) => `LKR ${(amount || 0).toFixed(2)}`;
+
+// Render a tax invoice as a PDF
+const renderInvoicePDF = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ margin: 50 });
+  const buffers = [];
+
+  doc.on('data', buffers.push.bind(buffers));
+  doc.on('end', () => resolve(Buffer.concat(buffers)));
+  doc.on('error', reject);
+
+  const margin = 50;
+  const contentWidth = 512;
+
+  doc.fontSize(20).text('CricketExpert - Tax Invoice', margin, 50, { width: contentWidth, align: 'center' });
+  doc.moveDown(1);
+
+  doc.fontSize(12);
+  doc.text(`Invoice Number: ${invoice.invoiceNumber}`, margin, doc.y, { width: contentWidth });
+  doc.text(`Date: ${new Date(invoice.issuedAt).toLocaleDateString()}`, margin, doc.y, { width: contentWidth });
+  doc.text(`For: ${SOURCE_LABELS[invoice.source] || invoice.source}`, margin, doc.y, { width: contentWidth });
+  doc.moveDown(1);
+
+  doc.fontSize(16).text('Bill To', margin, doc.y, { width: contentWidth, underline: true });
+  doc.moveDown(0.5);
+  doc.fontSize(12);
+  doc.text(invoice.billTo?.name || 'Customer', margin, doc.y, { width: contentWidth });
+  if (invoice.billTo?.email) doc.text(invoice.billTo.email, margin, doc.y, { width: contentWidth });
+  if (invoice.billTo?.address) doc.text(invoice.billTo.address, margin, doc.y, { width: contentWidth });
+  doc.moveDown(1);
+
+  // Lines
+  doc.fontSize(10);
+  const tableY = doc.y;
+  doc.text('Description', margin, tableY);
+  doc.text('Qty', margin + 210, tableY);
+  doc.text('Net', margin + 250, tableY);
+  doc.text('Tax', margin + 340, tableY);
+  doc.text('Total', margin + 430, tableY);
+  doc.moveTo(margin, tableY + 15).lineTo(margin + contentWidth, tableY + 15).stroke();
+  doc.y = tableY + 20;
+
+  invoice.lines.forEach((line) => {
+    const rowY = doc.y;
+    doc.text(line.description, margin, rowY, { width: 200 });
+    const nextY = doc.y;
+    doc.text(String(line.quantity), margin + 210, rowY);
+    doc.text(money(line.net), margin + 250, rowY);
+    doc.text(line.taxRate > 0 ? `${money(line.tax)} (${line.taxRate}%)` : '-', margin + 340, rowY);
+    doc.text(money(line.total), margin + 430, rowY);
+    doc.y = Math.max(nextY, doc.y);
+    doc.moveDown(0.5);
+  });
+
+  doc.moveTo(margin, doc.y).lineTo(margin + contentWidth, doc.y).stroke();
+  doc.moveDown(0.5);
+
+  doc.fontSize(12);
+  const summaryLine = (text) => doc.text(text, margin + 200, doc.y, { width: 312, align: 'right' });
+  if (invoice.discount > 0) summaryLine(`Discounts given: ${money(invoice.discount)}`);
+  summaryLine(`Net: ${money(invoice.subtotal)}`);
+  if (invoice.shipping > 0) summaryLine(`Shipping: ${money(invoice.shipping)}`);
+  invoice.taxes.forEach(({ name, rate, taxable, tax }) => summaryLine(`${name} ${rate}% on ${money(taxable)}: ${money(tax)}`));
+  summaryLine(`Total Tax: ${money(invoice.tax)}`);
+  summaryLine(`Total Paid: ${money(invoice.total)}`);
+
+  doc.moveDown(2);
+  doc.fontSize(10).text('Thank you for choosing CricketExpert!', margin, doc.y, { width: contentWidth, align: 'center' });
+  doc.text('For any queries, contact us at info@cricketxpert.com', margin, doc.y, { width: contentWidth, align: 'center' });
+
+  doc.end();
+});
+
+// @desc    List tax invoices, newest first. Filters: source, from, to (issue date), number
+// @route   GET /api/invoices
+// @access  Private (payments:read)
+const getInvoices = async (req, res) => {
+  try {
+    const { source, from, to, number } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const filter = {};
+    if (INVOICE_SOURCES.includes(source)) filter.source = source;
+    if (number) filter.invoiceNumber = number.trim().toUpperCase();
+    if (from || to) {
+      filter.issuedAt = {};
+      if (from) filter.issuedAt.$gte = new Date(from);
+      if (to) filter.issuedAt.$lte = new Date(to);
+    }
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter).sort({ sequence: -1 }).skip((page - 1) * limit).limit(limit),
+      Invoice.countDocuments(filter)
+    ]);
+
+    res.json({
+      invoices,
+      pagination: { currentPage: page, totalPages: Math.ceil(total / limit), totalItems: total }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching invoices:', error);
+    res.status(500).json({ message: 'Error fetching invoices' });
+  }
+};
+
+// @desc    The signed-in customer's tax invoices, newest first
+// @route   GET /api/invoices/mine
+// @access  Private
+const getMyInvoices = async (req, res) => {
+  try {
+    const invoices = await Invoice.find({ customerId: req.user._id }).sort({ sequence: -1 });
+    res.json(invoices);
+  } catch (error) {
+    console.error('❌ Error fetching your invoices:', error);
+    res.status(500).json({ message: 'Error fetching invoices' });
+  }
+};
+
+// @desc    Download a tax invoice as a PDF. Customers can only download their own.
+// @route   GET /api/invoices/:id/pdf
+// @access  Private
+const downloadInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+    const isOwner = invoice && String(invoice.customerId) === String(req.user._id);
+    if (!invoice || (!isOwner && !(await hasPermission(req.user.role, 'payments:read')))) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const pdfData = await renderInvoicePDF(invoice);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+    res.setHeader('Content-Length', pdfData.length);
+    res.send(pdfData);
+  } catch (error) {
+    console.error('❌ Error generating invoice PDF:', error);
+    res.status(500).json({ message: 'Failed to generate invoice PDF' });
+  }
+};
+
+export { getInvoices, getMyInvoices, downloadInvoice };
@@ -1,5 +1,7 @@
+import mongoose from 'mongoose';
 import Notification from '../models/Notification.js';
 import User from '../models/User.js';
+import { getManagedUserIds } from '../utils/guardian.js';
 
 // @desc    Create a notification
 // @route   Internal function
@@ -29,8 +31,11 @@ export const getUserNotifications = async (req, res) => {
             });
         }
 
+        // Guardians also receive their junior players' notifications
+        const recipients = await getManagedUserIds(userId);
+
         // Build filter
-        const filter = { userId };
+        const filter = { userId: { $in: recipients } };
         if (unreadOnly === 'true') filter.isRead = false;
         if (type) filter.type = type;
 
@@ -39,12 +44,13 @@ export const getUserNotifications = async (req, res) => {
         const notifications = await Notification.find(filter)
             .populate('relatedBooking', 'bookingDate startTime endTime status amount')
             .populate('relatedGround', 'name location')
+            .populate('userId', 'firstName lastName guardian')
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(parseInt(limit));
 
         const totalNotifications = await Notification.countDocuments(filter);
-        const unreadCount = await Notification.countDocuments({ userId, isRead: false });
+        const unreadCount = await Notification.countDocuments({ userId: { $in: recipients }, isRead: false });
 
         res.status(200).json({
             success: true,
@@ -77,7 +83,7 @@ export const markNotificationAsRead = async (req, res) => {
         const userId = req.user?.id || req.headers['user-id'];
 
         const notification = await Notification.findOneAndUpdate(
-            { _id: id, userId },
+            { _id: id, userId: { $in: await getManagedUserIds(userId) } },
             { isRead: true },
             { new: true }
         );
@@ -111,7 +117,7 @@ export const markAllNotificationsAsRead = async (req, res) => {
         const userId = req.user?.id || req.headers['user-id'];
 
         await Notification.updateMany(
-            { userId, isRead: false },
+            { userId: { $in: await getManagedUserIds(userId) }, isRead: false },
             { isRead: true }
         );
 
@@ -136,7 +142,7 @@ export const deleteNotification = async (req, res) => {
         const { id } = req.params;
         const userId = req.user?.id || req.headers['user-id'];
 
-        const notification = await Notification.findOneAndDelete({ _id: id, userId });
+        const notification = await Notification.findOneAndDelete({ _id: id, userId: { $in: await getManagedUserIds(userId) } });
 
         if (!notification) {
             return res.status(404).json({
@@ -164,9 +170,10 @@ export const deleteNotification = async (req, res) => {
 export const getNotificationStats = async (req, res) => {
     try {
         const userId = req.user?.id || req.headers['user-id'];
+        const recipients = (await getManagedUserIds(userId)).map(id => new mongoose.Types.ObjectId(id));
 
         const stats = await Notification.aggregate([
-            { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+            { $match: { userId: { $in: recipients } } },
             {
                 $group: {
                     _id: null,
@@ -184,7 +191,7 @@ export const getNotificationStats = async (req, res) => {
 
         // Group by notification type
         const typeStats = await Notification.aggregate([
-            { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+            { $match: { userId: { $in: recipients } } },
             {
                 $group: {
                     _id: '$type',
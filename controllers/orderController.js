@@ -1,20 +1,68 @@
 import Order from '../models/Order.js';
-import Product from '../models/Product.js';
 import User from '../models/User.js'; // Added for customer email
-import { sendLowStockAlert } from '../utils/wemailService.js';
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payments.js';
+import { reduceProductStock, rejectShortage } from '../utils/inventory.js';
+import { priceOrder, rejectInvalidQuote } from '../utils/pricing.js';
+import { nextStatuses, transitionOrder } from '../utils/orderLifecycle.js';
+import { reduceOrderLines } from '../utils/orderChanges.js';
+import { describeShipping, resolveDestination, shipToOfOrder } from '../utils/shipping.js';
+import { customerForRequest, hasPermission } from '../utils/permissions.js';
 import PDFDocument from 'pdfkit';
 import nodemailer from 'nodemailer';
 
-// Create order
+// Statuses an order can be created in; later ones are only reached through transitionOrder
+const INITIAL_ORDER_STATUSES = ['cart_pending', 'created', 'processing'];
+
+// A customer's own order starts unpaid; paying for it moves it on
+const CUSTOMER_INITIAL_ORDER_STATUSES = ['cart_pending', 'created'];
+
+// Answer a status change the lifecycle refused
+const rejectTransition = (res, result) => res.status(result.status).json({
+  message: result.message,
+  ...(result.shortages && { code: 'INSUFFICIENT_STOCK', shortages: result.shortages })
+});
+
+// Create order (items are priced on the server; expectedTotal must match)
 const createOrder = async (req, res) => {
   try {
-    const order = new Order(req.body);
-    await order.save();
-    
-    // If order is created with completed status, reduce stock
-    if (order.status === 'completed') {
-      await reduceProductStock(order.items);
+    const { items, expectedTotal, promoCodes, statusHistory, addressId, deliveryMethod, shippingQuote, cartToken, ...fields } = req.body;
+
+    // Staff can place an order for any customer; customers only for themselves,
+    // and without the fields that record payment, stock or delivery
+    const isStaff = await hasPermission(req.user.role, 'orders:manage');
+    const initialStatuses = isStaff ? INITIAL_ORDER_STATUSES : CUSTOMER_INITIAL_ORDER_STATUSES;
+    const details = isStaff ? fields : { customerId: req.user._id };
+    if (fields.status) {
+      if (!initialStatuses.includes(fields.status)) {
+        return res.status(400).json({ message: `New orders start as ${initialStatuses.join(', ')}` });
+      }
+      details.status = fields.status;
     }
+    const destination = await resolveDestination(details.customerId, { deliveryMethod, addressId });
+    if (!destination.ok) return res.status(destination.status).json({ message: destination.message });
+    const quote = await priceOrder(items, { promoCodes, customerId: details.customerId, shipTo: destination.shipTo });
+    if (rejectInvalidQuote(res, expectedTotal, quote)) return;
+
+    const order = new Order({
+      ...details,
+      address: destination.address,
+      deliveryAddress: destination.deliveryAddress,
+      items: quote.items,
+      amount: quote.pricing.total,
+      pricing: quote.pricing,
+      shippingQuote: quote.shippingQuote,
+      appliedPromotions: quote.promotions,
+      cartToken
+    });
+
+    // An order created as processing has its items taken out of stock first
+    if (order.status === 'processing') {
+      const stock = await reduceProductStock(order.items, { cartToken, orderId: order._id, actor: req.user?._id });
+      if (rejectShortage(res, stock)) return;
+      order.stockDeductedAt = new Date();
+    }
+    await order.save();
     
     res.status(201).json(order);
   } catch (error) {
@@ -25,8 +73,15 @@ const createOrder = async (req, res) => {
 // Create cart order (pending order when items are added to cart)
 const createCartOrder = async (req, res) => {
   try {
-    const { customerId, items, amount, address } = req.body;
-    
+    const { items, address, promoCodes, cartToken } = req.body;
+    const customerId = await customerForRequest(req, req.body.customerId);
+
+    // A cart is only a snapshot, so no expected total is needed; checkout checks it
+    const quote = await priceOrder(items, { promoCodes, customerId });
+    if (quote.errors.length > 0) {
+      return res.status(400).json({ message: quote.errors.join('; '), errors: quote.errors });
+    }
+
     // Check if user already has a pending cart order
     let existingCartOrder = await Order.findOne({ 
       customerId, 
@@ -35,9 +90,13 @@ const createCartOrder = async (req, res) => {
 
     if (existingCartOrder) {
       // Update existing cart order
-      existingCartOrder.items = items;
-      existingCartOrder.amount = amount;
+      existingCartOrder.items = quote.items;
+      existingCartOrder.amount = quote.pricing.total;
+      existingCartOrder.pricing = quote.pricing;
+      existingCartOrder.shippingQuote = quote.shippingQuote;
+      existingCartOrder.appliedPromotions = quote.promotions;
       existingCartOrder.address = address;
+      existingCartOrder.cartToken = cartToken || existingCartOrder.cartToken;
       existingCartOrder.date = new Date();
       await existingCartOrder.save();
       res.json(existingCartOrder);
@@ -45,9 +104,13 @@ const createCartOrder = async (req, res) => {
       // Create new cart order
       const cartOrder = new Order({
         customerId,
-        items,
-        amount,
+        items: quote.items,
+        amount: quote.pricing.total,
+        pricing: quote.pricing,
+        shippingQuote: quote.shippingQuote,
+        appliedPromotions: quote.promotions,
         address,
+        cartToken,
         status: 'cart_pending',
         date: new Date()
       });
@@ -62,7 +125,7 @@ const createCartOrder = async (req, res) => {
 // Get cart order for a user
 const getCartOrder = async (req, res) => {
   try {
-    const { customerId } = req.params;
+    const customerId = await customerForRequest(req, req.params.customerId, 'orders:read');
     const cartOrder = await Order.findOne({ 
       customerId, 
       status: 'cart_pending' 
@@ -78,31 +141,39 @@ const getCartOrder = async (req, res) => {
   }
 };
 
-// Update cart order to completed order (when payment is successful)
+// Turn a cart order into a paid order being processed (when payment is successful)
 const completeCartOrder = async (req, res) => {
   try {
     const { orderId, paymentId } = req.body;
     
     const order = await Order.findById(orderId);
-    if (!order) {
+    const isStaff = await hasPermission(req.user.role, 'payments:manage');
+    if (!order || (!isStaff && String(order.customerId) !== String(req.user._id))) {
       return res.status(404).json({ message: 'Order not found' });
     }
     
     if (order.status !== 'cart_pending') {
       return res.status(400).json({ message: 'Order is not in cart pending status' });
     }
+
+    // Only a successful payment of this order's full amount marks it paid
+    const payment = paymentId && await Payment.findById(paymentId);
+    if (!payment || payment.status !== 'success' || String(payment.orderId) !== String(order._id)) {
+      return res.status(400).json({ message: 'No successful payment was found for this order' });
+    }
+    if (Math.abs(payment.amount - order.amount) >= 0.005) {
+      return res.status(400).json({ message: `The payment of LKR ${payment.amount} does not match the order total of LKR ${order.amount}` });
+    }
     
-    // Update order status and add payment ID
-    // After payment, mark as completed per requirement
-    order.status = 'completed';
-    order.paymentId = paymentId;
-    order.date = new Date();
-    await order.save();
-    
-    // Reduce stock quantities for all products in the order
-    await reduceProductStock(order.items);
+    // Processing takes the items out of stock
+    const result = await transitionOrder(order, 'processing', { actor: req.user?._id, note: 'Paid' });
+    if (!result.ok) return rejectTransition(res, result);
+
+    result.order.paymentId = payment._id;
+    result.order.date = new Date();
+    await result.order.save();
     
-    res.json(order);
+    res.json(result.order);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -111,7 +182,7 @@ const completeCartOrder = async (req, res) => {
 // Delete cart order (when user clears cart)
 const deleteCartOrder = async (req, res) => {
   try {
-    const { customerId } = req.params;
+    const customerId = await customerForRequest(req, req.params.customerId);
     const result = await Order.deleteOne({ 
       customerId, 
       status: 'cart_pending' 
@@ -136,7 +207,7 @@ const getOrders = async (req, res) => {
     const orders = await Order.find().populate("items.productId");
 
     // Map orders with a type field for unified frontend rendering
-    const typedOrders = orders.map((o) => ({ ...o.toObject(), type: 'order' }));
+    const typedOrders = orders.map((o) => ({ ...o.toObject(), type: 'order', nextStatuses: nextStatuses(o) }));
 
     if (!shouldIncludeCartPending) {
       return res.json(typedOrders);
@@ -189,7 +260,9 @@ const getOrders = async (req, res) => {
 const getOrder = async (req, res) => {
   try {
     console.log('Getting order with ID:', req.params.id);
-    const order = await Order.findById(req.params.id).populate("items.productId");
+    const order = await Order.findById(req.params.id)
+      .populate("items.productId")
+      .populate('statusHistory.by', 'username');
     console.log('Found order:', order ? 'Yes' : 'No');
     
     if (!order) {
@@ -213,10 +286,12 @@ const getOrder = async (req, res) => {
     // If items don't have populated product data, try to populate them
     if (order.items && order.items.some(item => !item.productId || typeof item.productId === 'string')) {
       console.log('Re-populating order items...');
-      const populatedOrder = await Order.findById(req.params.id).populate("items.productId");
-      res.json(populatedOrder);
+      const populatedOrder = await Order.findById(req.params.id)
+        .populate("items.productId")
+        .populate('statusHistory.by', 'username');
+      res.json({ ...populatedOrder.toObject(), nextStatuses: nextStatuses(populatedOrder) });
     } else {
-      res.json(order);
+      res.json({ ...order.toObject(), nextStatuses: nextStatuses(order) });
     }
   } catch (error) {
     console.error('Error getting order:', error);
@@ -237,75 +312,65 @@ const updateOrder = async (req, res) => {
 
 
 
-// Manual order status update by manager
+// Manual order status update by manager; only the next steps of the lifecycle are allowed
 const updateOrderStatus = async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['created', 'processing', 'completed', 'cancelled', 'cart_pending'];
-
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ message: 'Invalid order status' });
-    }
+    const { status, note } = req.body;
 
     const order = await Order.findById(req.params.id);
     if (!order) return res.status(404).json({ message: 'Order not found' });
 
-    const previousStatus = order.status;
-
-    // Handle stock changes based on status transitions
-    if (status === 'cancelled' && previousStatus !== 'cancelled') {
-      // Order is being cancelled - restore stock if it was previously paid/created
-      if (previousStatus === 'created' || previousStatus === 'processing' || previousStatus === 'completed') {
-        await restoreProductStock(order.items);
-      }
-    }
-
-    // Update order status
-    order.status = status;
-    await order.save();
+    const result = await transitionOrder(order, status, { actor: req.user._id, note });
+    if (!result.ok) return rejectTransition(res, result);
 
-    res.json(order);
+    res.json(result.order);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
-// Update order details (address, amount, status, items)
+// Update order details (address, items), then move it to a new status if one is given.
+// The amount always comes from pricing the items, so it cannot be set directly.
 const updateOrder = async (req, res) => {
   try {
-    const { address, amount, status, items } = req.body;
-    const validStatuses = ['created', 'processing', 'completed', 'cancelled', 'cart_pending'];
+    const { address, status, items, note } = req.body;
 
     const order = await Order.findById(req.params.id);
     if (!order) return res.status(404).json({ message: 'Order not found' });
 
-    // Validate status if provided
-    if (status && !validStatuses.includes(status)) {
-      return res.status(400).json({ message: 'Invalid order status' });
+    // Items that have left the shop cannot be changed
+    if (items !== undefined && order.stockDeductedAt) {
+      return res.status(409).json({ message: 'The items of an order that is being processed cannot be changed' });
     }
 
-    const previousStatus = order.status;
-
     // Update fields if provided
     if (address !== undefined) order.address = address;
-    if (amount !== undefined) order.amount = amount;
-    if (status !== undefined) order.status = status;
-    if (items !== undefined) order.items = items;
-
-    // Handle stock changes based on status transitions
-    if (status !== undefined) {
-      if (status === 'completed' && previousStatus !== 'completed') {
-        // Order is being completed - reduce stock
-        await reduceProductStock(order.items);
-      } else if (status === 'cancelled' && previousStatus !== 'cancelled') {
-        // Order is being cancelled - restore stock if it was previously paid/created
-        if (previousStatus === 'created' || previousStatus === 'processing' || previousStatus === 'completed') {
-          await restoreProductStock(order.items);
-        }
+    // Changed items are re-priced from the catalogue, which also resets the amount.
+    // Promotions are re-checked with the codes the order already used.
+    if (items !== undefined) {
+      const quote = await priceOrder(items, {
+        promoCodes: order.appliedPromotions.map(promotion => promotion.code).filter(Boolean),
+        customerId: order.customerId,
+        excludeOrderId: order._id,
+        shipTo: shipToOfOrder(order)
+      });
+      if (quote.errors.length > 0) {
+        return res.status(400).json({ message: quote.errors.join('; '), errors: quote.errors });
       }
+      order.items = quote.items;
+      order.pricing = quote.pricing;
+      order.shippingQuote = quote.shippingQuote;
+      order.appliedPromotions = quote.promotions;
+      order.amount = quote.pricing.total;
     }
 
     await order.save();
+
+    if (status !== undefined && status !== order.status) {
+      const result = await transitionOrder(order, status, { actor: req.user._id, note });
+      if (!result.ok) return rejectTransition(res, result);
+      return res.json(result.order);
+    }
     res.json(order);
   } catch (error) {
     console.error('Error updating order:', error);
@@ -326,6 +391,164 @@ const deleteOrder = async (req, res) => {
 
 //.......................................................................................................................
 
+// The order's tax added up by rate, from the lines as they stand now
+const taxesByRate = (items) => {
+  const byRate = new Map();
+  items.filter(item => item.taxRate > 0).forEach((item) => {
+    const key = `${item.taxName}|${item.taxRate}`;
+    const total = byRate.get(key) || { name: item.taxName || 'Tax', rate: item.taxRate, taxable: 0, tax: 0 };
+    total.taxable += (item.lineTotal ?? item.priceAtOrder * item.quantity) - (item.discount || 0);
+    total.tax += item.tax || 0;
+    byRate.set(key, total);
+  });
+  return [...byRate.values()];
+};
+
+// Render an order (with items.productId and customerId populated) as a PDF,
+// with the number and tax breakdown of its tax invoice once it is paid
+const renderOrderPDF = (order, invoice = null) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument();
+  const buffers = [];
+
+  doc.on('data', buffers.push.bind(buffers));
+  doc.on('end', () => resolve(Buffer.concat(buffers)));
+  doc.on('error', reject);
+
+  // PDF Content Generation with Proper Text Wrapping
+  
+  // Set page margins and width
+  const pageWidth = 612;
+  const margin = 50;
+  const contentWidth = pageWidth - (margin * 2);
+  
+  // Header
+  doc.fontSize(20).text('CricketExpert - Order Details', margin, 50, { width: contentWidth, align: 'center' });
+  doc.moveDown(1);
+
+  // Order Information
+  doc.fontSize(16).text('Order Information', margin, doc.y, { width: contentWidth, underline: true });
+  doc.moveDown(0.5);
+  doc.fontSize(12);
+  
+  // Order details with proper positioning
+  const orderY = doc.y;
+  doc.text(`Order ID: ${order._id}`, margin, orderY, { width: contentWidth });
+  if (invoice) doc.text(`Tax Invoice: ${invoice.invoiceNumber}`, margin, doc.y, { width: contentWidth });
+  doc.text(`Date: ${new Date(order.date || order.createdAt).toLocaleDateString()}`, margin, doc.y, { width: contentWidth });
+  doc.text(`Status: ${order.status}`, margin, doc.y, { width: contentWidth });
+  
+  // Total Amount with proper formatting
+  const totalAmountText = `Total Amount: LKR ${(order.amount || 0).toFixed(2)}`;
+  doc.text(totalAmountText, margin, doc.y, { width: contentWidth });
+  doc.moveDown(1);
+
+  // Customer Information
+  if (order.customerId) {
+    doc.fontSize(16).text('Customer Information', margin, doc.y, { width: contentWidth, underline: true });
+    doc.moveDown(0.5);
+    doc.fontSize(12);
+    
+    const customerName = `Name: ${order.customerId.firstName || ''} ${order.customerId.lastName || ''}`;
+    doc.text(customerName, margin, doc.y, { width: contentWidth });
+    
+    const customerEmail = `Email: ${order.customerId.email || 'N/A'}`;
+    doc.text(customerEmail, margin, doc.y, { width: contentWidth });
+    
+    const customerAddress = `Address: ${order.address || 'N/A'}`;
+    doc.text(customerAddress, margin, doc.y, { width: contentWidth });
+
+    if (order.deliveryAddress) {
+      const { recipientName, phone, instructions } = order.deliveryAddress;
+      if (recipientName) doc.text(`Deliver to: ${recipientName}`, margin, doc.y, { width: contentWidth });
+      if (phone) doc.text(`Delivery phone: ${phone}`, margin, doc.y, { width: contentWidth });
+      if (instructions) doc.text(`Delivery instructions: ${instructions}`, margin, doc.y, { width: contentWidth });
+    }
+    doc.moveDown(1);
+  }
+
+  // Order Items
+  doc.fontSize(16).text('Order Items', margin, doc.y, { width: contentWidth, underline: true });
+  doc.moveDown(0.5);
+
+  if (order.items && order.items.length > 0) {
+    // Table header
+    doc.fontSize(10);
+    const tableY = doc.y;
+    doc.text('Product Name', margin, tableY);
+    doc.text('Quantity', margin + 200, tableY);
+    doc.text('Price', margin + 300, tableY);
+    doc.text('Total', margin + 400, tableY);
+    
+    // Draw line under header
+    doc.moveTo(margin, tableY + 15).lineTo(margin + contentWidth, tableY + 15).stroke();
+    doc.y = tableY + 20;
+
+    let totalAmount = 0;
+    order.items.forEach((item) => {
+      const productName = `${item.productId?.name || item.name || 'Unknown Product'}${item.variantLabel ? ` (${item.variantLabel})` : ''}`;
+      const quantity = item.quantity;
+      const price = item.priceAtOrder || 0;
+      const itemTotal = price * quantity;
+      totalAmount += itemTotal;
+
+      const currentY = doc.y;
+      doc.text(productName, margin, currentY, { width: 180 });
+      doc.text(quantity.toString(), margin + 200, currentY);
+      doc.text(`LKR ${price.toFixed(2)}`, margin + 300, currentY);
+      doc.text(`LKR ${itemTotal.toFixed(2)}`, margin + 400, currentY);
+      doc.moveDown(0.5);
+    });
+
+    // Total line
+    doc.moveTo(margin, doc.y).lineTo(margin + contentWidth, doc.y).stroke();
+    doc.moveDown(0.5);
+    
+    // The priced breakdown, with shipping on its own line; older orders only have the items
+    doc.fontSize(12);
+    if (order.pricing) {
+      const { subtotal, discount, shipping, tax, total } = order.pricing;
+      const summaryLine = (text) => doc.text(text, margin + 200, doc.y, { width: 300, align: 'right' });
+      summaryLine(`Subtotal: LKR ${subtotal.toFixed(2)}`);
+      if (discount > 0) summaryLine(`Discount: -LKR ${discount.toFixed(2)}`);
+      summaryLine(`${describeShipping(order.shippingQuote)}: ${order.shippingQuote?.freeShipping ? 'Free' : `LKR ${(shipping || 0).toFixed(2)}`}`);
+      const taxes = taxesByRate(order.items);
+      if (taxes.length > 0) {
+        taxes.forEach(({ name, rate, taxable, tax: charged }) => summaryLine(`${name} ${rate}% on LKR ${taxable.toFixed(2)}: LKR ${charged.toFixed(2)}`));
+      } else if (tax > 0) {
+        summaryLine(`Tax: LKR ${tax.toFixed(2)}`);
+      }
+      summaryLine(`Grand Total: LKR ${total.toFixed(2)}`);
+    } else {
+      const grandTotalText = `Grand Total: LKR ${totalAmount.toFixed(2)}`;
+      doc.text(grandTotalText, margin + 300, doc.y, { width: 200, align: 'right' });
+    }
+  } else {
+    doc.text('No items in this order.', margin, doc.y, { width: contentWidth });
+  }
+
+  // Lines taken off or reduced after the order was placed
+  if (order.lineChanges?.length > 0) {
+    doc.moveDown(1);
+    doc.fontSize(16).text('Changes to This Order', margin, doc.y, { width: contentWidth, underline: true });
+    doc.moveDown(0.5);
+    doc.fontSize(10);
+    order.lineChanges.forEach((change) => {
+      const productName = `${change.name || 'Unknown Product'}${change.variantLabel ? ` (${change.variantLabel})` : ''}`;
+      const what = change.to === 0 ? `removed (was ${change.from})` : `reduced from ${change.from} to ${change.to}`;
+      doc.text(`${new Date(change.at).toLocaleDateString()}: ${productName} ${what}, LKR ${(change.amount || 0).toFixed(2)} taken off`, margin, doc.y, { width: contentWidth });
+    });
+  }
+
+  doc.moveDown(2);
+  
+  // Footer with proper text wrapping
+  const footerY = doc.y;
+  doc.fontSize(10).text('Thank you for choosing CricketExpert!', margin, footerY, { width: contentWidth, align: 'center' });
+  doc.text('For any queries, contact us at info@cricketxpert.com', margin, doc.y, { width: contentWidth, align: 'center' });
+
+  doc.end();
+});
+
 // Download order as PDF and send email
 const downloadOrder = async (req, res) => {
   try {
@@ -347,126 +570,23 @@ const downloadOrder = async (req, res) => {
       amount: order.amount
     });
 
-    // Create PDF document
-    const doc = new PDFDocument();
-    const buffers = [];
-
-    doc.on('data', buffers.push.bind(buffers));
-    doc.on('end', async () => {
-      const pdfData = Buffer.concat(buffers);
-
-      // Send email with PDF attachment FIRST
-      try {
-        await sendOrderPDFEmail(order, pdfData);
-        console.log(`📧 Order PDF sent to customer email for order ${orderId}`);
-      } catch (emailError) {
-        console.error(`❌ Failed to send order PDF email for order ${orderId}:`, emailError);
-        // Continue with download even if email fails
-      }
-
-      // Then send PDF to browser
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename="order-${orderId}.pdf"`);
-      res.setHeader('Content-Length', pdfData.length);
-      res.send(pdfData);
-    });
-
-    // PDF Content Generation with Proper Text Wrapping
-    
-    // Set page margins and width
-    const pageWidth = 612;
-    const margin = 50;
-    const contentWidth = pageWidth - (margin * 2);
-    
-    // Header
-    doc.fontSize(20).text('CricketExpert - Order Details', margin, 50, { width: contentWidth, align: 'center' });
-    doc.moveDown(1);
-
-    // Order Information
-    doc.fontSize(16).text('Order Information', margin, doc.y, { width: contentWidth, underline: true });
-    doc.moveDown(0.5);
-    doc.fontSize(12);
-    
-    // Order details with proper positioning
-    const orderY = doc.y;
-    doc.text(`Order ID: ${order._id}`, margin, orderY, { width: contentWidth });
-    doc.text(`Date: ${new Date(order.date || order.createdAt).toLocaleDateString()}`, margin, doc.y, { width: contentWidth });
-    doc.text(`Status: ${order.status}`, margin, doc.y, { width: contentWidth });
-    
-    // Total Amount with proper formatting
-    const totalAmountText = `Total Amount: LKR ${(order.amount || 0).toFixed(2)}`;
-    doc.text(totalAmountText, margin, doc.y, { width: contentWidth });
-    doc.moveDown(1);
+    const invoice = await Invoice.findOne({ orderId: order._id });
+    const pdfData = await renderOrderPDF(order, invoice);
 
-    // Customer Information
-    if (order.customerId) {
-      doc.fontSize(16).text('Customer Information', margin, doc.y, { width: contentWidth, underline: true });
-      doc.moveDown(0.5);
-      doc.fontSize(12);
-      
-      const customerName = `Name: ${order.customerId.firstName || ''} ${order.customerId.lastName || ''}`;
-      doc.text(customerName, margin, doc.y, { width: contentWidth });
-      
-      const customerEmail = `Email: ${order.customerId.email || 'N/A'}`;
-      doc.text(customerEmail, margin, doc.y, { width: contentWidth });
-      
-      const customerAddress = `Address: ${order.address || 'N/A'}`;
-      doc.text(customerAddress, margin, doc.y, { width: contentWidth });
-      doc.moveDown(1);
-    }
-
-    // Order Items
-    doc.fontSize(16).text('Order Items', margin, doc.y, { width: contentWidth, underline: true });
-    doc.moveDown(0.5);
-
-    if (order.items && order.items.length > 0) {
-      // Table header
-      doc.fontSize(10);
-      const tableY = doc.y;
-      doc.text('Product Name', margin, tableY);
-      doc.text('Quantity', margin + 200, tableY);
-      doc.text('Price', margin + 300, tableY);
-      doc.text('Total', margin + 400, tableY);
-      
-      // Draw line under header
-      doc.moveTo(margin, tableY + 15).lineTo(margin + contentWidth, tableY + 15).stroke();
-      doc.y = tableY + 20;
-
-      let totalAmount = 0;
-      order.items.forEach((item) => {
-        const productName = item.productId?.name || 'Unknown Product';
-        const quantity = item.quantity;
-        const price = item.priceAtOrder || 0;
-        const itemTotal = price * quantity;
-        totalAmount += itemTotal;
-
-        const currentY = doc.y;
-        doc.text(productName, margin, currentY, { width: 180 });
-        doc.text(quantity.toString(), margin + 200, currentY);
-        doc.text(`LKR ${price.toFixed(2)}`, margin + 300, currentY);
-        doc.text(`LKR ${itemTotal.toFixed(2)}`, margin + 400, currentY);
-        doc.moveDown(0.5);
-      });
-
-      // Total line
-      doc.moveTo(margin, doc.y).lineTo(margin + contentWidth, doc.y).stroke();
-      doc.moveDown(0.5);
-      
-      // Grand Total with proper formatting
-      const grandTotalText = `Grand Total: LKR ${totalAmount.toFixed(2)}`;
-      doc.fontSize(12).text(grandTotalText, margin + 300, doc.y, { width: 200, align: 'right' });
-    } else {
-      doc.text('No items in this order.', margin, doc.y, { width: contentWidth });
+    // Send email with PDF attachment FIRST
+    try {
+      await sendOrderPDFEmail(order, pdfData);
+      console.log(`📧 Order PDF sent to customer email for order ${orderId}`);
+    } catch (emailError) {
+      console.error(`❌ Failed to send order PDF email for order ${orderId}:`, emailError);
+      // Continue with download even if email fails
     }
 
-    doc.moveDown(2);
-    
-    // Footer with proper text wrapping
-    const footerY = doc.y;
-    doc.fontSize(10).text('Thank you for choosing CricketExpert!', margin, footerY, { width: contentWidth, align: 'center' });
-    doc.text('For any queries, contact us at info@cricketxpert.com', margin, doc.y, { width: contentWidth, align: 'center' });
-
-    doc.end();
+    // Then send PDF to browser
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="order-${orderId}.pdf"`);
+    res.setHeader('Content-Length', pdfData.length);
+    res.send(pdfData);
 
   } catch (error) {
     console.error('Error generating order PDF:', error);
@@ -474,8 +594,8 @@ const downloadOrder = async (req, res) => {
   }
 };
 
-// Helper function to send order PDF via email
-const sendOrderPDFEmail = async (order, pdfBuffer) => {
+// Helper function to send order PDF via email; pass lineChanges to send it as an update instead
+const sendOrderPDFEmail = async (order, pdfBuffer, { lineChanges } = {}) => {
   try {
     console.log('📧 Starting to send order PDF email...');
     console.log('📧 Email config check:', {
@@ -509,19 +629,27 @@ const sendOrderPDFEmail = async (order, pdfBuffer) => {
     const mailOptions = {
       from: process.env.EMAIL_USER,
       to: customerEmail,
-      subject: `Your Order Details - ${order._id}`,
+      subject: lineChanges ? `Your Order Has Been Updated - ${order._id}` : `Your Order Details - ${order._id}`,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <h2 style="color: #42ADF5;">CricketExpert - Order Details</h2>
           <p>Dear ${order.customerId?.firstName || 'Customer'},</p>
+          ${lineChanges ? `
+          <p>Your order has been changed:</p>
+          <ul>
+            ${lineChanges.map(change => `<li>${change.name}${change.variantLabel ? ` (${change.variantLabel})` : ''}: ${change.to === 0 ? 'removed' : `reduced from ${change.from} to ${change.to}`}</li>`).join('')}
+          </ul>
+          <p>Please find your updated order details attached as a PDF.</p>
+          ` : `
           <p>Thank you for your order! Please find your order details attached as a PDF.</p>
+          `}
           
           <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
             <h3 style="margin-top: 0;">Order Summary</h3>
             <p><strong>Order ID:</strong> ${order._id}</p>
             <p><strong>Date:</strong> ${new Date(order.date || order.createdAt).toLocaleDateString()}</p>
             <p><strong>Status:</strong> ${order.status}</p>
-            <p><strong>Total Amount:</strong> LKR ${order.amount || 0}.00</p>
+            <p><strong>Total Amount:</strong> LKR ${(order.amount || 0).toFixed(2)}</p>
           </div>
           
           <p>If you have any questions about your order, please don't hesitate to contact us.</p>
@@ -547,53 +675,40 @@ const sendOrderPDFEmail = async (order, pdfBuffer) => {
   }
 };
 
-// Cancel order and notify order manager for refund
+// Statuses a customer can still cancel from; once the order is on its way, staff have to do it
+const CUSTOMER_CANCELLABLE_STATUSES = ['cart_pending', 'created', 'processing'];
+
+// Cancel order; stock is put back and, for a paid order, the order manager is asked to refund it
 const cancelOrder = async (req, res) => {
   try {
     const orderId = req.params.id;
-    const order = await Order.findById(orderId)
-      .populate('customerId')
-      .populate('items.productId');
+    const order = await Order.findById(orderId);
 
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    // Check if order can be cancelled
-    if (order.status === 'cancelled') {
-      return res.status(400).json({ message: 'Order is already cancelled' });
+    const isStaff = await hasPermission(req.user.role, 'orders:manage');
+    if (!isStaff && String(order.customerId) !== String(req.user._id)) {
+      return res.status(404).json({ message: 'Order not found' });
     }
 
-    if (order.status === 'completed') {
-      return res.status(400).json({ message: 'Cannot cancel completed order' });
+    if (!isStaff && order.status !== 'cancelled' && !CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({ message: 'This order is already on its way and can no longer be cancelled' });
     }
 
-    console.log('🚫 Order cancellation request:', {
-      orderId: order._id,
-      currentStatus: order.status,
-      customerId: order.customerId,
-      customerEmail: order.customerId?.email,
-      amount: order.amount
-    });
+    const result = await transitionOrder(order, 'cancelled', { actor: req.user._id, note: req.body?.reason });
+    if (!result.ok) return rejectTransition(res, result);
 
-    // Update order status to cancelled
-    order.status = 'cancelled';
-    order.cancelledAt = new Date();
-    await order.save();
-
-    // Send notification email to order manager for refund processing
-    try {
-      await sendRefundNotificationEmail(order);
-      console.log(`📧 Refund notification sent to order manager for order ${orderId}`);
-    } catch (emailError) {
-      console.error(`❌ Failed to send refund notification email for order ${orderId}:`, emailError);
-      // Continue even if email fails
-    }
+    console.log(`🚫 Order ${order._id} cancelled by ${req.user.username}`);
 
     res.json({ 
       success: true, 
-      message: 'Order cancelled successfully. Order manager has been notified for refund processing.',
-      order: order
+      message: result.refunded > 0
+        ? `Order cancelled successfully. LKR ${result.refunded.toFixed(2)} has been refunded.`
+        : 'Order cancelled successfully.',
+      refunded: result.refunded,
+      order: result.order
     });
 
   } catch (error) {
@@ -602,124 +717,82 @@ const cancelOrder = async (req, res) => {
   }
 };
 
-// Helper function to send refund notification to order manager
-const sendRefundNotificationEmail = async (order) => {
+// Email the customer the order PDF again after its lines changed; the change is already saved, so failures are only logged
+const emailUpdatedOrder = async (orderId, lineChanges) => {
   try {
-    console.log('📧 Starting to send refund notification email...');
-    console.log('📧 Email config check:', {
-      hasEmailUser: !!process.env.EMAIL_USER,
-      hasEmailPass: !!process.env.EMAIL_PASS,
-      serviceManagerEmail: process.env.SERVICE_MANAGER_EMAIL
-    });
-
-    const transporter = nodemailer.createTransport({
-      host: 'smtp.gmail.com',
-      port: 465,
-      secure: true,
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
-    });
-
-    await transporter.verify();
-    console.log('📧 Email transporter verified successfully');
+    const order = await Order.findById(orderId)
+      .populate('items.productId')
+      .populate('customerId');
+    const invoice = await Invoice.findOne({ orderId });
+    const pdfData = await renderOrderPDF(order, invoice);
+    await sendOrderPDFEmail(order, pdfData, { lineChanges });
+    console.log(`📧 Updated order PDF sent for order ${orderId}`);
+  } catch (error) {
+    console.error(`❌ Failed to send updated order PDF for order ${orderId}:`, error);
+  }
+};
 
-    const serviceManagerEmail = process.env.SERVICE_MANAGER_EMAIL;
-    if (!serviceManagerEmail) {
-      console.error('❌ Service manager email not configured');
-      throw new Error('Service manager email not configured');
+// Remove items from an order, or lower their quantities, before it ships.
+// Body: { items: [{ itemId, quantity }] } with the new quantity of each line (0 removes it).
+const updateOrderItems = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
     }
 
-    console.log('📧 Sending refund notification to service manager:', serviceManagerEmail);
-
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: serviceManagerEmail,
-      subject: `🚨 REFUND REQUIRED - Order Cancelled: ${order._id}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #dc3545;">🚨 Order Cancellation - Refund Required</h2>
-          
-          <div style="background-color: #f8d7da; border: 1px solid #f5c6cb; padding: 15px; border-radius: 5px; margin: 20px 0;">
-            <h3 style="margin-top: 0; color: #721c24;">Action Required: Process Refund</h3>
-            <p style="color: #721c24; margin: 0;">A customer has cancelled their order and requires a refund.</p>
-          </div>
-          
-          <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
-            <h3 style="margin-top: 0;">Order Details</h3>
-            <p><strong>Order ID:</strong> ${order._id}</p>
-            <p><strong>Customer Name:</strong> ${order.customerId?.firstName || ''} ${order.customerId?.lastName || ''}</p>
-            <p><strong>Customer Email:</strong> ${order.customerId?.email || 'N/A'}</p>
-            <p><strong>Order Date:</strong> ${new Date(order.date || order.createdAt).toLocaleDateString()}</p>
-            <p><strong>Cancelled Date:</strong> ${new Date(order.cancelledAt).toLocaleDateString()}</p>
-            <p><strong>Refund Amount:</strong> LKR ${order.amount || 0}.00</p>
-            <p><strong>Order Status:</strong> ${order.status}</p>
-          </div>
+    const isStaff = await hasPermission(req.user.role, 'orders:manage');
+    if (!isStaff && String(order.customerId) !== String(req.user._id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
 
-          <div style="background-color: #e2e3e5; padding: 15px; border-radius: 5px; margin: 20px 0;">
-            <h3 style="margin-top: 0;">Order Items</h3>
-            ${order.items && order.items.length > 0 ? 
-              order.items.map(item => `
-                <p style="margin: 5px 0;">
-                  • ${item.productId?.name || 'Unknown Product'} 
-                  (Qty: ${item.quantity}, Price: LKR ${item.priceAtOrder || 0})
-                </p>
-              `).join('') : 
-              '<p>No items found</p>'
-            }
-          </div>
-          
-          <div style="background-color: #d1ecf1; border: 1px solid #bee5eb; padding: 15px; border-radius: 5px; margin: 20px 0;">
-            <h3 style="margin-top: 0; color: #0c5460;">Next Steps</h3>
-            <ol style="color: #0c5460;">
-              <li>Verify the order cancellation details</li>
-              <li>Process the refund of LKR ${order.amount || 0}.00</li>
-              <li>Update the payment system</li>
-              <li>Notify the customer about the refund processing</li>
-            </ol>
-          </div>
-          
-          <p style="color: #6c757d; font-size: 12px;">
-            This is an automated notification from CricketExpert Order Management System.
-          </p>
-        </div>
-      `
-    };
+    const result = await reduceOrderLines(order, req.body.items, { actor: req.user._id });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
 
-    const info = await transporter.sendMail(mailOptions);
-    console.log('📧 Refund notification sent successfully:', info.messageId);
-    console.log('📧 Email sent to service manager:', serviceManagerEmail);
+    console.log(`📦 Order ${order._id}: ${result.lineChanges.length} line(s) reduced by ${req.user.username}, total ${order.amount} → ${result.order.amount}`);
+    emailUpdatedOrder(order._id, result.lineChanges);
 
+    res.json({
+      success: true,
+      message: result.refund
+        ? `Order updated. LKR ${result.refundAmount.toFixed(2)} will be refunded to you.`
+        : 'Order updated.',
+      order: result.order,
+      refundAmount: result.refund ? result.refundAmount : 0
+    });
   } catch (error) {
-    console.error('❌ Error in sendRefundNotificationEmail:', error);
-    throw error;
+    console.error('❌ Error updating order items:', error);
+    res.status(500).json({ message: 'Failed to update order items' });
   }
 };
-// Calculate order total with delivery
+
+// Calculate order total with delivery. Without a district or postal code
+// the shipping charge is an estimate for the default zone.
 const calculateOrderTotal = async (req, res) => {
   try {
-    const { items } = req.body;
-    const deliveryCharge = 450; // Fixed delivery charge as mentioned
-    
-    let subtotal = 0;
-    
-    for (let item of items) {
-      const product = await Product.findById(item.productId);
-      if (!product) {
-        return res.status(404).json({ 
-          message: `Product not found: ${item.productId}` 
-        });
-      }
-      subtotal += product.price * item.quantity;
+    const { items, promoCodes, customerId, deliveryMethod, district, postalCode } = req.body;
+    const quote = await priceOrder(items, {
+      promoCodes,
+      customerId,
+      shipTo: { method: deliveryMethod, district, postalCode }
+    });
+    if (quote.errors.length > 0) {
+      return res.status(400).json({ message: quote.errors.join('; '), errors: quote.errors });
     }
-    
-    const total = subtotal + deliveryCharge;
-    
+
+    // deliveryCharge is kept for older clients; pricing is the full breakdown and
+    // shippingQuote explains its shipping line.
+    // promoErrors explain entered codes that were not applied, without failing the quote.
     res.json({
-      subtotal,
-      deliveryCharge,
-      total
+      ...quote.pricing,
+      deliveryCharge: quote.pricing.shipping,
+      pricing: quote.pricing,
+      shippingQuote: quote.shippingQuote,
+      items: quote.items,
+      promotions: quote.promotions,
+      promoErrors: quote.promoErrors
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -734,69 +807,12 @@ const getOrdersByStatus = async (req, res) => {
       .populate('items.productId')
       .populate('paymentId')
       .sort({ date: -1 });
-    res.json(orders);
+    res.json(orders.map((o) => ({ ...o.toObject(), nextStatuses: nextStatuses(o) })));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
-// Function to reduce product stock when order is completed
-const reduceProductStock = async (orderItems) => {
-  try {
-    for (const item of orderItems) {
-      const product = await Product.findById(item.productId);
-      if (product) {
-        // Reduce stock quantity
-        const newStock = Math.max(0, product.stock_quantity - item.quantity);
-        product.stock_quantity = newStock;
-        
-        // Log stock reduction
-        console.log(`📦 Stock reduced for ${product.name}: ${product.stock_quantity + item.quantity} → ${newStock} (reduced by ${item.quantity})`);
-        
-        // Log low stock warning if stock is low
-        if (newStock <= 10) {
-          console.log(`⚠️ LOW STOCK WARNING: ${product.name} (ID: ${product.productId}) - Current stock: ${newStock}`);
-          
-          // Send email alert to admin
-          try {
-            await sendLowStockAlert(product);
-            console.log(`📧 Low stock email alert sent for ${product.name}`);
-          } catch (emailError) {
-            console.error(`❌ Failed to send low stock email for ${product.name}:`, emailError);
-          }
-        }
-        
-        await product.save();
-      }
-    }
-  } catch (error) {
-    console.error('Error reducing product stock:', error);
-    throw error;
-  }
-};
-
-// Function to restore product stock when order is cancelled
-const restoreProductStock = async (orderItems) => {
-  try {
-    for (const item of orderItems) {
-      const product = await Product.findById(item.productId);
-      if (product) {
-        // Restore stock quantity
-        const newStock = product.stock_quantity + item.quantity;
-        product.stock_quantity = newStock;
-        
-        // Log stock restoration
-        console.log(`📦 Stock restored for ${product.name}: ${product.stock_quantity - item.quantity} → ${newStock} (restored by ${item.quantity})`);
-        
-        await product.save();
-      }
-    }
-  } catch (error) {
-    console.error('Error restoring product stock:', error);
-    throw error;
-  }
-};
-
 export {
   createOrder,
   createCartOrder,
@@ -810,6 +826,7 @@ export {
   deleteOrder,
   downloadOrder,
   cancelOrder,
+  updateOrderItems,
   calculateOrderTotal,
   getOrdersByStatus
 };
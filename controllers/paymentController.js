@@ -1,20 +1,55 @@
 import Payment from '../models/Payments.js';
 import Order from '../models/Order.js';
 import CartPending from '../models/cart_Pending.js';
-import Product from '../models/Product.js';
 import ProgramEnrollment from '../models/ProgramEnrollment.js';
-import { sendLowStockAlert } from '../utils/wemailService.js';
+import Booking from '../models/Booking.js';
+import { reduceProductStock, rejectShortage } from '../utils/inventory.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
+import { priceOrder, rejectInvalidQuote, roundMoney } from '../utils/pricing.js';
+import { transitionOrder } from '../utils/orderLifecycle.js';
+import { refundPaymentById, refundableAmount } from '../utils/payments.js';
+import { resolveDestination } from '../utils/shipping.js';
+import { invoicePayment } from '../utils/invoices.js';
+import { customerForRequest, hasPermission } from '../utils/permissions.js';
+
+// Fields of a payment that its tax invoice was worked out from
+const INVOICED_FIELDS = ['amount', 'userId', 'paymentType', 'orderId', 'bookingId', 'enrollmentId', 'repairRequestId', 'invoiceId'];
+
+// What a customer may record a payment for themselves: their own unpaid ground
+// booking, at the booking's amount. Anything else is entered by staff.
+const customerBookingPayment = async (req, fields) => {
+  const booking = fields.bookingId && await Booking.findById(fields.bookingId);
+  if (!booking || String(booking.customerId) !== String(req.user._id)) {
+    return { ok: false, status: 403, message: 'You can only pay for your own bookings' };
+  }
+  if (await Payment.exists({ bookingId: booking._id, status: 'success' })) {
+    return { ok: false, status: 409, message: 'This booking has already been paid for' };
+  }
+  return {
+    ok: true,
+    fields: { userId: req.user._id, bookingId: booking._id, paymentType: 'booking_payment', amount: booking.amount, status: 'success' }
+  };
+};
 
 // Create payment
 const createPayment = async (req, res) => {
   try {
+    // The invoice is issued below, never taken from the request
+    const { invoiceId, ...requested } = req.body;
+    let fields = requested;
+    if (!(await hasPermission(req.user.role, 'payments:manage'))) {
+      const allowed = await customerBookingPayment(req, requested);
+      if (!allowed.ok) return res.status(allowed.status).json({ message: allowed.message });
+      fields = allowed.fields;
+    }
     const paymentData = {
-      ...req.body,
-      paymentDate: req.body.paymentDate || new Date()
+      ...fields,
+      paymentDate: fields.paymentDate || new Date()
     };
     
     const payment = new Payment(paymentData);
     await payment.save();
+    await invoicePayment(payment);
     
     const populatedPayment = await Payment.findById(payment._id)
       .populate('userId')
@@ -71,6 +106,7 @@ const getPayments = async (req, res) => {
     const payments = await Payment.find(query)
       .populate('userId')
       .populate('orderId')
+      .populate('invoiceId', 'invoiceNumber')
       .sort({ paymentDate: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -136,6 +172,7 @@ const updatePaymentStatus = async (req, res) => {
     ).populate('userId').populate('orderId');
     
     if (!payment) return res.status(404).json({ message: 'Payment not found' });
+    await invoicePayment(payment);
     
     res.json(payment);
   } catch (error) {
@@ -146,6 +183,12 @@ const updatePaymentStatus = async (req, res) => {
 // Update payment details
 const updatePayment = async (req, res) => {
   try {
+    // What an invoice was issued for cannot change afterwards
+    const invoiced = await Payment.exists({ _id: req.params.id, invoiceId: { $ne: null } });
+    if (invoiced && INVOICED_FIELDS.some(field => req.body[field] !== undefined)) {
+      return res.status(409).json({ message: 'This payment has a tax invoice, so its amount and what it paid for cannot be changed. Refund it instead.' });
+    }
+
     const payment = await Payment.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -153,6 +196,7 @@ const updatePayment = async (req, res) => {
     ).populate('userId').populate('orderId');
     
     if (!payment) return res.status(404).json({ message: 'Payment not found' });
+    await invoicePayment(payment);
     
     res.json(payment);
   } catch (error) {
@@ -163,8 +207,12 @@ const updatePayment = async (req, res) => {
 // Delete payment
 const deletePayment = async (req, res) => {
   try {
-    const payment = await Payment.findByIdAndDelete(req.params.id);
+    const payment = await Payment.findById(req.params.id);
     if (!payment) return res.status(404).json({ message: 'Payment not found' });
+    if (payment.invoiceId) {
+      return res.status(409).json({ message: 'This payment has a tax invoice and must be kept. Refund it instead.' });
+    }
+    await payment.deleteOne();
     
     res.json({ message: 'Payment deleted successfully' });
   } catch (error) {
@@ -232,11 +280,14 @@ const processOrderPayment = async (req, res) => {
 
     await payment.save();
 
-    // Update order with paymentId + manual status
-    await Order.findByIdAndUpdate(orderId, { 
-      paymentId: payment._id,
-      ...(orderStatus && { status: orderStatus }) // <-- manual order status update
-    });
+    await Order.findByIdAndUpdate(orderId, { paymentId: payment._id });
+    await invoicePayment(payment);
+
+    // Optionally move the order on as well, if the lifecycle allows it
+    if (orderStatus && orderStatus !== order.status) {
+      const result = await transitionOrder(order, orderStatus, { actor: req.user._id, note: 'Payment recorded' });
+      if (!result.ok) return res.status(result.status).json({ message: `Payment recorded, but ${result.message}` });
+    }
 
     const populatedPayment = await Payment.findById(payment._id)
       .populate('userId')
@@ -252,7 +303,8 @@ const processOrderPayment = async (req, res) => {
 const processRefund = async (req, res) => {
   try {
     const { paymentId } = req.params;
-    const { refundAmount, reason } = req.body;
+    const { reason } = req.body;
+    const refundAmount = roundMoney(Number(req.body.refundAmount));
     
     const payment = await Payment.findById(paymentId);
     if (!payment) return res.status(404).json({ message: 'Payment not found' });
@@ -261,24 +313,39 @@ const processRefund = async (req, res) => {
       return res.status(400).json({ message: 'Can only refund successful payments' });
     }
     
-    if (refundAmount > payment.amount) {
-      return res.status(400).json({ message: 'Refund amount cannot exceed payment amount' });
+    if (!(refundAmount > 0)) {
+      return res.status(400).json({ message: 'Refund amount must be greater than zero' });
+    }
+    // Earlier partial refunds (returns, removed order lines) count towards the limit
+    const refundable = refundableAmount(payment);
+    if (refundAmount > refundable) {
+      return res.status(400).json({ message: `Refund amount cannot exceed the LKR ${refundable.toFixed(2)} not yet refunded` });
     }
     
-    const updatedPayment = await Payment.findByIdAndUpdate(
-      paymentId,
-      { 
-        status: 'refunded',
-        refundAmount,
-        refundReason: reason,
-        refundDate: new Date()
-      },
-      { new: true }
-    ).populate('userId').populate('orderId');
+    const auditFields = ['status', 'amount', 'refundAmount', 'refundReason', 'refundDate'];
+    const before = snapshot(payment, auditFields);
+
+    const refunded = await refundPaymentById(paymentId, refundAmount, reason);
+    if (!refunded) {
+      return res.status(409).json({ message: 'The payment was refunded by someone else in the meantime. Reload it and try again.' });
+    }
+    const updatedPayment = await Payment.findById(paymentId).populate('userId').populate('orderId');
     
-    if (payment.orderId) {
-      await Order.findByIdAndUpdate(payment.orderId, { status: 'cancelled' });
+    // Once all of it is paid back the order is cancelled, which also puts its items back in stock
+    const order = refunded.status === 'refunded' && payment.orderId && await Order.findById(payment.orderId);
+    if (order && order.status !== 'cancelled') {
+      const result = await transitionOrder(order, 'cancelled', { actor: req.user._id, note: reason || 'Refunded' });
+      if (!result.ok) console.error(`⚠️ Payment ${payment._id} refunded, but order ${order._id} was not cancelled: ${result.message}`);
     }
+
+    await recordAudit(req, {
+      action: 'payment.refund',
+      targetType: 'Payment',
+      targetId: payment._id,
+      before,
+      after: snapshot(updatedPayment, auditFields),
+      reason,
+    });
     
     res.json(updatedPayment);
   } catch (error) {
@@ -357,27 +424,33 @@ export {
   getPaymentStats
 };
 
-// New: Pay for selected Cart_Pending items by cartToken and productIds
+// New: Pay for selected Cart_Pending items by cartToken and lines ({ productId, variantId })
 // - Creates a completed Order with only the selected items
 // - Creates a Payment record
 // - Deletes those items from Cart_Pending
 // - Returns order, payment, and remaining cart items for the cartToken
 export const paySelectedCartItems = async (req, res) => {
   try {
-    const { cartToken, productIds, customerId, address, paymentMethod } = req.body;
+    const { cartToken, lines, productIds, addressId, deliveryMethod, paymentMethod, expectedTotal, promoCodes } = req.body;
+    // Customers pay for themselves; staff may take a payment for someone else
+    const customerId = await customerForRequest(req, req.body.customerId, 'payments:manage');
 
-    if (!cartToken || !Array.isArray(productIds) || productIds.length === 0) {
-      return res.status(400).json({ message: 'cartToken and productIds are required' });
-    }
+    // Older clients send bare productIds, which select every variant of those products
+    const selection = Array.isArray(lines) && lines.length > 0
+      ? lines.map((l) => ({ productId: l.productId, variantId: l.variantId || null }))
+      : (Array.isArray(productIds) ? productIds : []).map((productId) => ({ productId }));
 
-    if (!customerId) {
-      return res.status(400).json({ message: 'customerId is required' });
+    if (!cartToken || selection.length === 0) {
+      return res.status(400).json({ message: 'cartToken and the items to pay for are required' });
     }
 
+    const destination = await resolveDestination(customerId, { deliveryMethod, addressId });
+    if (!destination.ok) return res.status(destination.status).json({ message: destination.message });
+
     // Fetch selected cart pending items
     const items = await CartPending.find({
       cartToken,
-      productId: { $in: productIds },
+      $or: selection,
       status: 'cart_pending'
     }).populate('productId');
 
@@ -385,31 +458,31 @@ export const paySelectedCartItems = async (req, res) => {
       return res.status(404).json({ message: 'No matching cart items found to pay' });
     }
 
-    // Build order items and compute totals using current stored line price/quantity
-    let subtotal = 0;
-    const orderItems = items.map((i) => {
-      const unitPrice = Number(i.price ?? i.productId?.price) || 0;
-      const qty = Number(i.quantity) || 1;
-      subtotal += unitPrice * qty;
-      return {
-        productId: i.productId?._id || i.productId,
-        quantity: qty,
-        priceAtOrder: unitPrice
-      };
-    });
+    // Price from the catalogue and refuse to charge a total the customer did not see
+    const quote = await priceOrder(items, { promoCodes, customerId, shipTo: destination.shipTo });
+    if (rejectInvalidQuote(res, expectedTotal, quote)) return;
+    const orderItems = quote.items;
+    const amount = quote.pricing.total;
 
-    const deliveryCharge = 450; // align with frontend
-    const amount = subtotal + deliveryCharge;
-
-    // Create completed order
+    // Create a paid order, ready to be processed
     const order = new Order({
       customerId,
       items: orderItems,
       amount,
-      address: address || '',
-      status: 'completed',
-      date: new Date()
+      pricing: quote.pricing,
+      shippingQuote: quote.shippingQuote,
+      appliedPromotions: quote.promotions,
+      address: destination.address,
+      deliveryAddress: destination.deliveryAddress,
+      status: 'processing',
+      statusHistory: [{ status: 'processing', by: req.user._id, note: 'Paid online' }],
+      date: new Date(),
+      stockDeductedAt: new Date()
     });
+
+    // Turn this cart's holds into stock deductions before charging
+    const stock = await reduceProductStock(orderItems, { cartToken, orderId: order._id, actor: req.user?._id });
+    if (rejectShortage(res, stock)) return;
     await order.save();
 
     // Create payment linked to the order
@@ -427,12 +500,10 @@ export const paySelectedCartItems = async (req, res) => {
     // Attach paymentId to order
     order.paymentId = payment._id;
     await order.save();
-
-    // Reduce stock quantities for all products in the order
-    await reduceProductStock(orderItems);
+    await invoicePayment(payment);
 
     // Delete the purchased items from Cart_Pending
-    await CartPending.deleteMany({ cartToken, productId: { $in: productIds } });
+    await CartPending.deleteMany({ cartToken, $or: selection });
 
     // Return remaining cart items for the token
     const remainingCart = await CartPending.find({ cartToken, status: { $ne: 'removed' } })
@@ -455,37 +526,3 @@ export const paySelectedCartItems = async (req, res) => {
   }
 };
 
-// Function to reduce product stock when order is completed
-const reduceProductStock = async (orderItems) => {
-  try {
-    for (const item of orderItems) {
-      const product = await Product.findById(item.productId);
-      if (product) {
-        // Reduce stock quantity
-        const newStock = Math.max(0, product.stock_quantity - item.quantity);
-        product.stock_quantity = newStock;
-        
-        // Log stock reduction
-        console.log(`📦 Stock reduced for ${product.name}: ${product.stock_quantity + item.quantity} → ${newStock} (reduced by ${item.quantity})`);
-        
-        // Log low stock warning if stock is low
-        if (newStock <= 10) {
-          console.log(`⚠️ LOW STOCK WARNING: ${product.name} (ID: ${product.productId}) - Current stock: ${newStock}`);
-          
-          // Send email alert to admin
-          try {
-            await sendLowStockAlert(product);
-            console.log(`📧 Low stock email alert sent for ${product.name}`);
-          } catch (emailError) {
-            console.error(`❌ Failed to send low stock email for ${product.name}:`, emailError);
-          }
-        }
-        
-        await product.save();
-      }
-    }
-  } catch (error) {
-    console.error('Error reducing product stock:', error);
-    throw error;
-  }
-};
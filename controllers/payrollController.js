@@ -1,4 +1,5 @@
 import Payroll from '../models/Payroll.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
 import User from '../models/User.js';
 import SalaryConfig from '../models/SalaryConfig.js';
 import PDFDocument from 'pdfkit';
@@ -291,6 +292,9 @@ const markAsPaid = async (req, res) => {
     const { id } = req.params;
     const { paymentDate } = req.body;
 
+    const auditFields = ['status', 'paymentDate', 'netSalary'];
+    const before = snapshot(await Payroll.findById(id), auditFields);
+
     const payroll = await Payroll.findByIdAndUpdate(
       id,
       {
@@ -308,6 +312,14 @@ const markAsPaid = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: 'payroll.markPaid',
+      targetType: 'Payroll',
+      targetId: payroll._id,
+      before,
+      after: snapshot(payroll, auditFields),
+    });
+
     // Generate and send paysheet PDF via email
     try {
       console.log('📄 Generating paysheet PDF for payroll:', payroll._id);
@@ -0,0 +1,112 @@
+import { PERMISSIONS, ROLES, TWO_FACTOR_ROLES, DEFAULT_ROLE_PERMISSIONS, LOCKED_ADMIN_PERMISSIONS } from '../config/permissions.js';
+import { loadPermissionMatrix, setRolePermissions, loadTwoFactorRequirements, setTwoFactorRequirement } from '../utils/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+import { buildRouteReport } from '../utils/routeAudit.js';
+
+// @desc    Get the permission catalogue and the current role-to-permission matrix
+// @route   GET /api/permissions
+// @access  Private/Admin (permissions:manage)
+const getPermissionMatrix = async (req, res) => {
+    try {
+        const matrix = await loadPermissionMatrix();
+        res.json({
+            permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+            roles: ROLES,
+            matrix,
+            defaults: DEFAULT_ROLE_PERMISSIONS,
+            locked: { admin: LOCKED_ADMIN_PERMISSIONS },
+            twoFactorRequired: await loadTwoFactorRequirements(),
+            twoFactorRoles: TWO_FACTOR_ROLES,
+        });
+    } catch (error) {
+        console.error('❌ Error loading permission matrix:', error);
+        res.status(500).json({ message: 'Server error while loading permissions' });
+    }
+};
+
+// @desc    Replace the permissions held by one role
+// @route   PUT /api/permissions/:role
+// @access  Private/Admin (permissions:manage)
+const updateRolePermissions = async (req, res) => {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ message: `Unknown role '${role}'` });
+    }
+    if (!Array.isArray(permissions)) {
+        return res.status(400).json({ message: 'permissions must be an array of permission names' });
+    }
+
+    const unknown = permissions.filter(p => !PERMISSIONS[p]);
+    if (unknown.length > 0) {
+        return res.status(400).json({ message: `Unknown permissions: ${unknown.join(', ')}` });
+    }
+
+    try {
+        const before = (await loadPermissionMatrix())[role];
+        const row = await setRolePermissions(role, permissions, req.user._id);
+        await recordAudit(req, {
+            action: 'role.permissions.update',
+            targetType: 'RolePermission',
+            targetId: row._id,
+            before: { role, permissions: before },
+            after: { role, permissions: row.permissions },
+        });
+        console.log(`🔐 Permissions for role '${role}' updated by ${req.user.email}`);
+        res.json({ role: row.role, permissions: row.permissions, updatedAt: row.updatedAt });
+    } catch (error) {
+        console.error('❌ Error updating role permissions:', error);
+        res.status(500).json({ message: 'Server error while updating permissions' });
+    }
+};
+
+// @desc    Make two-factor authentication mandatory or optional for one role
+// @route   PUT /api/permissions/:role/two-factor
+// @access  Private/Admin (permissions:manage)
+const updateTwoFactorRequirement = async (req, res) => {
+    const { role } = req.params;
+    const { required } = req.body;
+
+    if (!TWO_FACTOR_ROLES.includes(role)) {
+        return res.status(400).json({ message: `Two-factor authentication cannot be required for role '${role}'` });
+    }
+    if (typeof required !== 'boolean') {
+        return res.status(400).json({ message: 'required must be true or false' });
+    }
+
+    try {
+        const before = (await loadTwoFactorRequirements())[role];
+        const row = await setTwoFactorRequirement(role, required, req.user._id);
+        await recordAudit(req, {
+            action: 'role.twoFactor.update',
+            targetType: 'RolePermission',
+            targetId: row._id,
+            before: { role, requireTwoFactor: before },
+            after: { role, requireTwoFactor: row.requireTwoFactor },
+        });
+        console.log(`🔐 Two-factor for role '${role}' set to ${required ? 'mandatory' : 'optional'} by ${req.user.email}`);
+        res.json({ role: row.role, requireTwoFactor: row.requireTwoFactor });
+    } catch (error) {
+        console.error('❌ Error updating two-factor requirement:', error);
+        res.status(500).json({ message: 'Server error while updating two-factor requirement' });
+    }
+};
+
+// @desc    List every API route with the guard and permissions it requires
+// @route   GET /api/permissions/routes
+// @access  Private/Admin (permissions:manage)
+const getRouteReport = async (req, res) => {
+    try {
+        const report = buildRouteReport(req.app.get('apiRoutes') || []);
+        if (req.query.status) {
+            report.routes = report.routes.filter(r => r.status === req.query.status);
+        }
+        res.json(report);
+    } catch (error) {
+        console.error('❌ Error building route report:', error);
+        res.status(500).json({ message: 'Server error while building route report' });
+    }
+};
+
+export { getPermissionMatrix, updateRolePermissions, updateTwoFactorRequirement, getRouteReport };
@@ -3,6 +3,7 @@ import PlayerFeedback from '../models/PlayerFeedback.js';
 import Session from '../models/Session.js';
 import CoachingProgram from '../models/CoachingProgram.js';
 import Coach from '../models/Coach.js';
+import { canActForOrHas } from '../utils/guardian.js';
 
 // @desc    Submit feedback for a player
 // @route   POST /api/player-feedback
@@ -165,6 +166,14 @@ const getPlayerFeedbacks = async (req, res) => {
     const { playerId } = req.params;
     const { page = 1, limit = 10, program } = req.query;
 
+    // The player, their guardian, or coaching staff
+    if (!(await canActForOrHas(req.user, playerId, 'attendance:read'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this player\'s feedback'
+      });
+    }
+
     // Build filter
     const filter = { 
       player: playerId,
@@ -1,7 +1,48 @@
 import mongoose from 'mongoose';
 import Product from '../models/Product.js';
 import { sendLowStockAlert } from '../utils/wemailService.js';
+import { recordAudit } from '../utils/audit.js';
+import { adjustStock, describeStock, getStockLevels, recordStockEdits, reorderPointOf, stockSnapshot } from '../utils/inventory.js';
+import { invalidateSearchVocabulary, priceFilterFor, resolveSearch, searchFacets, suggestSearchTerms } from '../utils/productSearch.js';
 
+// Reasons staff can give for changing stock by hand; the sign must match
+const STOCK_CHANGE_REASONS = {
+  manual_adjustment: () => true,
+  damaged: (change) => change < 0,
+  supplier_receipt: (change) => change > 0
+};
+
+// Multipart forms send variant data as JSON text, and unset purchasing fields as empty text.
+// Ratings come from reviews only, so they are never taken from the form.
+const parseProductFields = (productData) => {
+  for (const field of ['variantOptions', 'variants']) {
+    if (typeof productData[field] === 'string') {
+      productData[field] = productData[field] ? JSON.parse(productData[field]) : [];
+    }
+  }
+  for (const field of ['supplierId', 'reorderPoint', 'reorderQuantity']) {
+    if (productData[field] === '') productData[field] = null;
+  }
+  if (productData.shippingWeight === '') productData.shippingWeight = 0;
+  delete productData.ratingAverage;
+  delete productData.ratingCount;
+  return productData;
+};
+
+// ?sort= values shared by the product list and search
+const PRODUCT_SORTS = {
+  newest: { created_at: -1 },
+  rating: { ratingAverage: -1, ratingCount: -1 },
+  reviews: { ratingCount: -1, ratingAverage: -1 },
+  price_asc: { price: 1 },
+  price_desc: { price: -1 }
+};
+
+// ?minRating=4 keeps products rated 4 stars or more
+const addRatingFilter = (filter, minRating) => {
+  if (minRating) filter.ratingAverage = { $gte: Number(minRating) };
+  return filter;
+};
 
 const createProduct = async (req, res) => {
   try {
@@ -11,7 +52,7 @@ const createProduct = async (req, res) => {
     console.log('Request headers:', req.headers);
     
     // The text fields are in req.body
-    const productData = req.body;
+    const productData = parseProductFields(req.body);
 
     // The uploaded file info is in req.file
     if (req.file) {
@@ -37,9 +78,11 @@ const createProduct = async (req, res) => {
     const product = new Product(productData);
     await product.save();
     console.log('Product saved successfully:', product);
+    invalidateSearchVocabulary();
+    await recordStockEdits(null, product, { actor: req.user?._id });
     
     // Check for low stock alert on new product
-    if (product.stock_quantity <= 10) {
+    if (product.stock_quantity <= reorderPointOf(product)) {
       console.log(`⚠️ NEW PRODUCT WITH LOW STOCK: ${product.name} - Stock: ${product.stock_quantity}`);
       try {
         await sendLowStockAlert(product);
@@ -62,7 +105,8 @@ const createProduct = async (req, res) => {
 // Get all products
 const getProducts = async (req, res) => {
   try {
-    const products = await Product.find();
+    const { minRating, sort } = req.query;
+    const products = await Product.find(addRatingFilter({}, minRating)).sort(PRODUCT_SORTS[sort] || {});
     res.json(products);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -88,7 +132,7 @@ const getProduct = async (req, res) => {
 // Update product
 const updateProduct = async (req, res) => {
   try {
-    const productData = req.body;
+    const productData = parseProductFields(req.body);
 
     // Handle file upload if image is provided
     if (req.file) {
@@ -98,11 +142,17 @@ const updateProduct = async (req, res) => {
       productData.image_url = imageUrl;
     }
 
-    const product = await Product.findByIdAndUpdate(req.params.id, productData, { new: true });
+    // Load and save (rather than findByIdAndUpdate) so variant checks and stock totals run
+    const product = await Product.findById(req.params.id);
     if (!product) return res.status(404).json({ message: "Product not found" });
+    const stockBefore = stockSnapshot(product);
+    product.set(productData);
+    await product.save();
+    invalidateSearchVocabulary();
+    await recordStockEdits(stockBefore, product, { actor: req.user?._id });
     
     // Check for low stock alert on updated product
-    if (product.stock_quantity <= 10) {
+    if (product.stock_quantity <= reorderPointOf(product)) {
       console.log(`⚠️ UPDATED PRODUCT WITH LOW STOCK: ${product.name} - Stock: ${product.stock_quantity}`);
       try {
         await sendLowStockAlert(product);
@@ -123,46 +173,65 @@ const deleteProduct = async (req, res) => {
   try {
     const product = await Product.findByIdAndDelete(req.params.id);
     if (!product) return res.status(404).json({ message: "Product not found" });
+    invalidateSearchVocabulary();
     res.json({ message: "Product deleted successfully" });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
-// Search products
+// Search products: relevance-ranked when there is a query, with typo correction and facet counts
 const searchProducts = async (req, res) => {
   try {
-    const { query, category, brand, minPrice, maxPrice, page = 1, limit = 10 } = req.query;
-    let searchQuery = { is_active: true };
-    if (query) {
-      searchQuery.$or = [
-        { name: { $regex: query, $options: 'i' } },
-        { description: { $regex: query, $options: 'i' } }
-      ];
-    }
-    if (category) searchQuery.category = category;
-    if (brand) searchQuery.brand = brand;
-    if (minPrice || maxPrice) {
-      searchQuery.price = {};
-      if (minPrice) searchQuery.price.$gte = Number(minPrice);
-      if (maxPrice) searchQuery.price.$lte = Number(maxPrice);
-    }
-    const products = await Product.find(searchQuery)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ created_at: -1 });
-    const total = await Product.countDocuments(searchQuery);
+    const { query, category, brand, minPrice, maxPrice, minRating, page = 1, limit = 10 } = req.query;
+    const baseFilter = addRatingFilter({ is_active: true }, minRating);
+    const search = query?.trim()
+      ? await resolveSearch(query, baseFilter)
+      : { filter: baseFilter, ranked: false, correctedQuery: null };
+
+    // Facets are counted before the category, brand and price filters narrow the results
+    const selected = { category, brand, price: priceFilterFor(minPrice, maxPrice) };
+    const filter = { ...search.filter };
+    for (const [field, value] of Object.entries(selected)) {
+      if (value) filter[field] = value;
+    }
+
+    const sort = req.query.sort || (search.ranked ? 'relevance' : 'newest');
+    const order = sort === 'relevance' && search.ranked
+      ? { score: { $meta: 'textScore' }, ratingCount: -1 }
+      : PRODUCT_SORTS[sort] || PRODUCT_SORTS.newest;
+
+    const [products, total, facets] = await Promise.all([
+      Product.find(filter, search.ranked ? { score: { $meta: 'textScore' } } : {})
+        .sort(order)
+        .skip((page - 1) * limit)
+        .limit(limit * 1),
+      Product.countDocuments(filter),
+      searchFacets(search.filter, selected)
+    ]);
     res.json({
       products,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
-      total
+      total,
+      correctedQuery: search.correctedQuery,
+      facets
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
+// Autocomplete suggestions for the shop search box
+const suggestProducts = async (req, res) => {
+  try {
+    const suggestions = await suggestSearchTerms(req.query.q || '', Math.min(Number(req.query.limit) || 8, 20));
+    res.json(suggestions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // Get products by category
 const getProductsByCategory = async (req, res) => {
   try {
@@ -197,11 +266,22 @@ const getBrands = async (req, res) => {
   }
 };
 
+// On-hand, reserved (held in carts) and available stock per product and variant
+const getProductStockLevels = async (req, res) => {
+  try {
+    const products = await Product.find();
+    res.json(await getStockLevels(products));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // Update stock quantity
 const updateStock = async (req, res) => {
   try {
     const { id } = req.params;
-    const { stockChange } = req.body;
+    const { stockChange, variantId, note } = req.body;
+    const reason = req.body.reason || 'manual_adjustment';
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ message: "Invalid Product ID" });
@@ -212,26 +292,58 @@ const updateStock = async (req, res) => {
       return res.status(404).json({ message: "Product not found" });
     }
 
-    const newStock = product.stock_quantity + stockChange;
-    if (newStock < 0) {
+    // Products with variants keep their stock per variant
+    const variant = product.getVariant(variantId);
+    if (product.hasVariants() && !variant) {
+      return res.status(400).json({ message: "Choose which variant's stock to change" });
+    }
+
+    const change = Number(stockChange);
+    if (!Number.isInteger(change) || change === 0) {
+      return res.status(400).json({ message: "Stock change must be a whole number other than zero" });
+    }
+    if (!STOCK_CHANGE_REASONS[reason]) {
+      return res.status(400).json({ message: `Reason must be one of: ${Object.keys(STOCK_CHANGE_REASONS).join(', ')}` });
+    }
+    if (!STOCK_CHANGE_REASONS[reason](change)) {
+      return res.status(400).json({ message: reason === 'damaged' ? "Damaged stock can only be taken out" : "A supplier receipt can only add stock" });
+    }
+
+    const result = await adjustStock({
+      productId: product._id,
+      variantId: variant ? variant._id : null,
+      quantity: change,
+      reason,
+      note,
+      actor: req.user?._id,
+    });
+    if (!result) {
       return res.status(400).json({ message: "Stock cannot be negative" });
     }
+    const { product: updated, movement } = result;
 
-    product.stock_quantity = newStock;
-    await product.save();
+    await recordAudit(req, {
+      action: 'product.stock.update',
+      targetType: 'Product',
+      targetId: product._id,
+      before: { stock_quantity: movement.balanceAfter - change },
+      after: { stock_quantity: movement.balanceAfter, stockChange: change, reason, ...(variant && { sku: variant.sku }) },
+      reason: note,
+    });
 
     // Check for low stock alert
-    if (product.stock_quantity <= 10) {
-      console.log(`⚠️ LOW STOCK ALERT: ${product.name} - Stock: ${product.stock_quantity}`);
+    const stock = describeStock(updated, updated.getVariant(variantId));
+    if (stock.stock_quantity <= reorderPointOf(updated)) {
+      console.log(`⚠️ LOW STOCK ALERT: ${stock.name} - Stock: ${stock.stock_quantity}`);
       try {
-        await sendLowStockAlert(product);
-        console.log(`📧 Low stock email alert sent for: ${product.name}`);
+        await sendLowStockAlert(stock);
+        console.log(`📧 Low stock email alert sent for: ${stock.name}`);
       } catch (emailError) {
-        console.error(`❌ Failed to send low stock email for ${product.name}:`, emailError);
+        console.error(`❌ Failed to send low stock email for ${stock.name}:`, emailError);
       }
     }
 
-    res.json(product);
+    res.json(updated);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -244,8 +356,10 @@ export {
   updateProduct,
   deleteProduct,
   searchProducts,
+  suggestProducts,
   getProductsByCategory,
   getCategories,
   getBrands,
+  getProductStockLevels,
   updateStock
 };
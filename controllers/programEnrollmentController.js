@@ -3,6 +3,8 @@ import CoachingProgram from '../models/CoachingProgram.js';
 import User from '../models/User.js';
 import mongoose from 'mongoose';
 import nodemailer from 'nodemailer';
+import { canActFor, canActForOrHas, getContactUser } from '../utils/guardian.js';
+import { invoicePayment } from '../utils/invoices.js';
 
 // Helper function for manual pagination
 const paginateHelper = async (Model, filter, options) => {
@@ -117,10 +119,12 @@ const sendEnrollmentConfirmationEmail = async (user, program, enrollment) => {
   try {
     const transporter = createEmailTransporter();
     const emailTemplate = createEnrollmentEmailTemplate(user, program, enrollment);
+    // Junior players' emails go to their guardian
+    const recipient = await getContactUser(user);
     
     const mailOptions = {
       from: process.env.EMAIL_USER || 'your-email@gmail.com',
-      to: user.email,
+      to: recipient.email,
       subject: emailTemplate.subject,
       html: emailTemplate.html,
       text: emailTemplate.text
@@ -217,7 +221,7 @@ const getEnrollment = async (req, res) => {
     }
 
     // Check if user has access to this enrollment
-    if (enrollment.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin' && req.user.role !== 'coach') {
+    if (!(await canActFor(req.user, enrollment.user)) && req.user.role !== 'admin' && req.user.role !== 'coach') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this enrollment'
@@ -261,6 +265,14 @@ const createEnrollment = async (req, res) => {
     
     const enrollmentUserId = userId;
 
+    // Players enroll themselves; guardians enroll their junior players
+    if (!(await canActForOrHas(req.user, enrollmentUserId, 'enrollments:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to enroll this player'
+      });
+    }
+
     // Check if program exists and is active
     const program = await CoachingProgram.findById(programId);
     if (!program || !program.isActive) {
@@ -307,7 +319,7 @@ const createEnrollment = async (req, res) => {
     await program.save();
 
     const populatedEnrollment = await ProgramEnrollment.findById(enrollment._id)
-      .populate('user', 'name email firstName lastName')
+      .populate('user', 'name email firstName lastName guardian')
       .populate('program', 'title price category duration totalSessions');
 
     // Send enrollment confirmation email
@@ -365,7 +377,7 @@ const updateEnrollment = async (req, res) => {
     }
 
     // Check authorization
-    if (enrollment.user.toString() !== req.user.id && req.user.role !== 'admin' && req.user.role !== 'coach') {
+    if (!(await canActFor(req.user, enrollment.user)) && req.user.role !== 'admin' && req.user.role !== 'coach') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this enrollment'
@@ -417,7 +429,7 @@ const cancelEnrollment = async (req, res) => {
     }
 
     // Check authorization
-    if (enrollment.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!(await canActFor(req.user, enrollment.user)) && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to cancel this enrollment'
@@ -459,7 +471,7 @@ const getUserEnrollments = async (req, res) => {
     console.log('getUserEnrollments - req.params:', req.params);
     
     // Check authorization (skip if no auth middleware)
-    if (req.user && userId !== req.user.id && req.user.role !== 'admin') {
+    if (req.user && !(await canActFor(req.user, userId)) && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access these enrollments'
@@ -608,7 +620,7 @@ const addFeedback = async (req, res) => {
     }
 
     // Check authorization
-    if (enrollment.user.toString() !== req.user.id && req.user.role !== 'coach' && req.user.role !== 'admin') {
+    if (!(await canActFor(req.user, enrollment.user)) && req.user.role !== 'coach' && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to add feedback'
@@ -696,7 +708,7 @@ const activateEnrollment = async (req, res) => {
     }
 
     // Check authorization (skip if no auth middleware)
-    if (req.user && enrollment.user.toString() !== req.user.id && req.user.role !== 'admin' && req.user.role !== 'coach') {
+    if (req.user && !(await canActFor(req.user, enrollment.user)) && req.user.role !== 'admin' && req.user.role !== 'coach') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to activate this enrollment'
@@ -769,9 +781,25 @@ const processEnrollmentPayment = async (req, res) => {
     // Import Payment model
     const Payment = (await import('../models/Payments.js')).default;
     
-    // Create payment record
+    const enrollment = await ProgramEnrollment.findById(enrollmentId);
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enrollment not found'
+      });
+    }
+
+    if (!(await canActFor(req.user, enrollment.user)) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pay for this enrollment'
+      });
+    }
+    
+    // Create payment record against the paying account (the guardian for a junior player)
     const paymentData = {
-      userId: req.body.userId,
+      userId: req.user._id,
+      enrollmentId: enrollment._id,
       paymentType: 'enrollment_payment',
       amount: amount,
       status: status || 'success',
@@ -782,21 +810,14 @@ const processEnrollmentPayment = async (req, res) => {
     await payment.save();
     
     // Update enrollment with payment ID and status
-    const enrollment = await ProgramEnrollment.findById(enrollmentId);
-    if (!enrollment) {
-      return res.status(404).json({
-        success: false,
-        message: 'Enrollment not found'
-      });
-    }
-    
     enrollment.paymentId = payment._id;
     enrollment.paymentStatus = 'completed';
     enrollment.status = 'active';
     await enrollment.save();
+    await invoicePayment(payment);
     
     const updatedEnrollment = await ProgramEnrollment.findById(enrollment._id)
-      .populate('user', 'firstName lastName email')
+      .populate('user', 'firstName lastName email guardian')
       .populate('program', 'title description coach category duration totalSessions');
     
     // Send enrollment confirmation email after successful payment
@@ -0,0 +1,121 @@
+import Promotion from '../models/Promotion.js';
+import Order from '../models/Order.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
+
+const EDITABLE_FIELDS = [
+  'name', 'description', 'code', 'type', 'value', 'buyQuantity', 'getQuantity',
+  'categories', 'brands', 'products', 'minSpend', 'startsAt', 'endsAt',
+  'usageLimitPerCustomer', 'usageLimit', 'stackable', 'priority', 'is_active'
+];
+
+const pickEditable = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined)
+    // Empty form fields clear optional numbers and dates
+    .map(field => [field, body[field] === '' ? null : body[field]])
+);
+
+const answerSaveError = (res, error, action) => {
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'Another promotion already uses this code' });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join('; ') });
+  }
+  console.error(`❌ Error ${action} promotion:`, error);
+  return res.status(500).json({ message: `Error ${action} promotion` });
+};
+
+// @desc    List promotions with how many orders used each
+// @route   GET /api/promotions
+// @access  Private (promotions:manage)
+const getPromotions = async (req, res) => {
+  try {
+    const promotions = await Promotion.find().sort({ createdAt: -1 }).lean();
+    const usage = await Order.aggregate([
+      { $match: { status: { $nin: ['cart_pending', 'cancelled'] } } },
+      { $unwind: '$appliedPromotions' },
+      { $group: { _id: '$appliedPromotions.promotionId', orderCount: { $sum: 1 }, discount: { $sum: '$appliedPromotions.amount' } } }
+    ]);
+    const usageById = new Map(usage.map(row => [row._id.toString(), row]));
+
+    res.json(promotions.map(promotion => ({
+      ...promotion,
+      orderCount: usageById.get(promotion._id.toString())?.orderCount || 0,
+      totalDiscount: usageById.get(promotion._id.toString())?.discount || 0
+    })));
+  } catch (error) {
+    console.error('❌ Error fetching promotions:', error);
+    res.status(500).json({ message: 'Error fetching promotions' });
+  }
+};
+
+// @desc    Create a promotion or coupon code
+// @route   POST /api/promotions
+// @access  Private (promotions:manage)
+const createPromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.create({ ...pickEditable(req.body), createdBy: req.user._id });
+
+    await recordAudit(req, {
+      action: 'promotion.create',
+      targetType: 'Promotion',
+      targetId: promotion._id,
+      after: snapshot(promotion, EDITABLE_FIELDS),
+    });
+
+    console.log(`✅ Promotion created: ${promotion.name}${promotion.code ? ` (${promotion.code})` : ''}`);
+    res.status(201).json(promotion);
+  } catch (error) {
+    answerSaveError(res, error, 'creating');
+  }
+};
+
+// @desc    Edit, pause or re-activate a promotion
+// @route   PUT /api/promotions/:id
+// @access  Private (promotions:manage)
+const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) return res.status(404).json({ message: 'Promotion not found' });
+
+    const before = snapshot(promotion, EDITABLE_FIELDS);
+    promotion.set(pickEditable(req.body));
+    await promotion.save();
+
+    await recordAudit(req, {
+      action: 'promotion.update',
+      targetType: 'Promotion',
+      targetId: promotion._id,
+      before,
+      after: snapshot(promotion, EDITABLE_FIELDS),
+    });
+
+    res.json(promotion);
+  } catch (error) {
+    answerSaveError(res, error, 'updating');
+  }
+};
+
+// @desc    Delete a promotion; orders keep the code and name they were given
+// @route   DELETE /api/promotions/:id
+// @access  Private (promotions:manage)
+const deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+    if (!promotion) return res.status(404).json({ message: 'Promotion not found' });
+
+    await recordAudit(req, {
+      action: 'promotion.delete',
+      targetType: 'Promotion',
+      targetId: promotion._id,
+      before: snapshot(promotion, EDITABLE_FIELDS),
+    });
+
+    res.json({ message: 'Promotion deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting promotion:', error);
+    res.status(500).json({ message: 'Error deleting promotion' });
+  }
+};
+
+export { getPromotions, createPromotion, updatePromotion, deletePromotion };
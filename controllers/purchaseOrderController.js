@@ -0,0 +1,267 @@
+import mongoose from 'mongoose';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import { recordAudit } from '../utils/audit.js';
+import { buildLine, draftReorder, expectedDeliveryFor, receiveGoods } from '../utils/purchasing.js';
+
+const populateSupplier = (query) => query.populate('supplierId', 'name email leadTimeDays');
+
+// Turn the submitted lines into PO lines, or explain the first one that is wrong
+const buildLines = async (lines = []) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { ok: false, status: 400, message: 'A purchase order needs at least one line' };
+  }
+  const built = [];
+  for (const line of lines) {
+    const result = await buildLine({
+      productId: line.productId,
+      variantId: line.variantId || null,
+      quantityOrdered: line.quantityOrdered,
+      unitCost: line.unitCost === '' || line.unitCost === undefined ? undefined : Number(line.unitCost)
+    });
+    if (!result.ok) return result;
+    built.push(result.line);
+  }
+  return { ok: true, lines: built };
+};
+
+// @desc    List purchase orders, newest first
+// @route   GET /api/purchase-orders
+// @access  Private (purchasing:manage)
+const getPurchaseOrders = async (req, res) => {
+  try {
+    const { status, supplierId } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (supplierId) {
+      if (!mongoose.Types.ObjectId.isValid(supplierId)) return res.status(400).json({ message: 'Invalid supplierId' });
+      filter.supplierId = supplierId;
+    }
+
+    const purchaseOrders = await populateSupplier(PurchaseOrder.find(filter).sort({ createdAt: -1 }));
+    res.json(purchaseOrders);
+  } catch (error) {
+    console.error('❌ Error fetching purchase orders:', error);
+    res.status(500).json({ message: 'Error fetching purchase orders' });
+  }
+};
+
+// @desc    One purchase order with its deliveries
+// @route   GET /api/purchase-orders/:id
+// @access  Private (purchasing:manage)
+const getPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await populateSupplier(PurchaseOrder.findById(req.params.id))
+      .populate('receipts.receivedBy', 'username');
+    if (!purchaseOrder) return res.status(404).json({ message: 'Purchase order not found' });
+    res.json(purchaseOrder);
+  } catch (error) {
+    console.error('❌ Error fetching purchase order:', error);
+    res.status(500).json({ message: 'Error fetching purchase order' });
+  }
+};
+
+// @desc    Start a draft purchase order
+// @route   POST /api/purchase-orders
+// @access  Private (purchasing:manage)
+const createPurchaseOrder = async (req, res) => {
+  try {
+    const { supplierId, expectedDeliveryDate, note } = req.body;
+    const supplier = mongoose.Types.ObjectId.isValid(supplierId) ? await Supplier.findById(supplierId) : null;
+    if (!supplier) return res.status(400).json({ message: 'Choose a supplier' });
+
+    const built = await buildLines(req.body.lines);
+    if (!built.ok) return res.status(built.status).json({ message: built.message });
+
+    const purchaseOrder = await PurchaseOrder.create({
+      poNumber: await PurchaseOrder.nextNumber(),
+      supplierId: supplier._id,
+      lines: built.lines,
+      expectedDeliveryDate: expectedDeliveryDate || expectedDeliveryFor(supplier),
+      note,
+      createdBy: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'purchaseOrder.create',
+      targetType: 'PurchaseOrder',
+      targetId: purchaseOrder._id,
+      after: { poNumber: purchaseOrder.poNumber, supplier: supplier.name, lines: purchaseOrder.lines.length, total: purchaseOrder.total },
+    });
+
+    console.log(`✅ Purchase order ${purchaseOrder.poNumber} drafted for ${supplier.name}`);
+    res.status(201).json(purchaseOrder);
+  } catch (error) {
+    console.error('❌ Error creating purchase order:', error);
+    res.status(500).json({ message: 'Error creating purchase order' });
+  }
+};
+
+// @desc    Edit a draft purchase order's lines, supplier, dates or note
+// @route   PUT /api/purchase-orders/:id
+// @access  Private (purchasing:manage)
+const updatePurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) return res.status(404).json({ message: 'Purchase order not found' });
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({ message: 'Only a draft purchase order can be edited' });
+    }
+
+    const { supplierId, expectedDeliveryDate, note, lines } = req.body;
+    if (supplierId !== undefined) {
+      const supplier = mongoose.Types.ObjectId.isValid(supplierId) ? await Supplier.findById(supplierId) : null;
+      if (!supplier) return res.status(400).json({ message: 'Choose a supplier' });
+      purchaseOrder.supplierId = supplier._id;
+    }
+    if (lines !== undefined) {
+      const built = await buildLines(lines);
+      if (!built.ok) return res.status(built.status).json({ message: built.message });
+      purchaseOrder.lines = built.lines;
+    }
+    if (expectedDeliveryDate !== undefined) purchaseOrder.expectedDeliveryDate = expectedDeliveryDate || null;
+    if (note !== undefined) purchaseOrder.note = note;
+    await purchaseOrder.save();
+
+    res.json(purchaseOrder);
+  } catch (error) {
+    console.error('❌ Error updating purchase order:', error);
+    res.status(500).json({ message: 'Error updating purchase order' });
+  }
+};
+
+// @desc    One-click reorder from a low stock alert: add the item to its supplier's draft PO
+// @route   POST /api/purchase-orders/reorder
+// @access  Private (purchasing:manage)
+const reorderLowStock = async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(productId) || (variantId && !mongoose.Types.ObjectId.isValid(variantId))) {
+      return res.status(400).json({ message: 'Invalid product' });
+    }
+
+    const result = await draftReorder({ productId, variantId: variantId || null, actor: req.user._id });
+    if (!result.ok) return res.status(result.status).json({ message: result.message });
+
+    res.status(result.existing ? 200 : 201).json({
+      purchaseOrder: result.purchaseOrder,
+      existing: result.existing,
+      message: result.existing
+        ? `Already on ${result.purchaseOrder.poNumber}`
+        : `Added to draft ${result.purchaseOrder.poNumber}`
+    });
+  } catch (error) {
+    console.error('❌ Error drafting reorder:', error);
+    res.status(500).json({ message: 'Error drafting reorder' });
+  }
+};
+
+// @desc    Mark a draft as sent to the supplier; the lead time clock starts now
+// @route   POST /api/purchase-orders/:id/order
+// @access  Private (purchasing:manage)
+const markOrdered = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id).populate('supplierId', 'name leadTimeDays');
+    if (!purchaseOrder) return res.status(404).json({ message: 'Purchase order not found' });
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({ message: 'Only a draft purchase order can be sent' });
+    }
+
+    purchaseOrder.status = 'ordered';
+    purchaseOrder.orderedAt = new Date();
+    if (req.body.expectedDeliveryDate) {
+      purchaseOrder.expectedDeliveryDate = req.body.expectedDeliveryDate;
+    } else if (!purchaseOrder.expectedDeliveryDate || purchaseOrder.expectedDeliveryDate < purchaseOrder.orderedAt) {
+      purchaseOrder.expectedDeliveryDate = expectedDeliveryFor(purchaseOrder.supplierId, purchaseOrder.orderedAt);
+    }
+    await purchaseOrder.save();
+
+    await recordAudit(req, {
+      action: 'purchaseOrder.order',
+      targetType: 'PurchaseOrder',
+      targetId: purchaseOrder._id,
+      before: { status: 'draft' },
+      after: { status: 'ordered', expectedDeliveryDate: purchaseOrder.expectedDeliveryDate, total: purchaseOrder.total },
+    });
+
+    res.json(purchaseOrder);
+  } catch (error) {
+    console.error('❌ Error sending purchase order:', error);
+    res.status(500).json({ message: 'Error sending purchase order' });
+  }
+};
+
+// @desc    Book a full or partial delivery; received goods go into stock
+// @route   POST /api/purchase-orders/:id/receive
+// @access  Private (purchasing:manage)
+const receivePurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) return res.status(404).json({ message: 'Purchase order not found' });
+
+    const result = await receiveGoods(purchaseOrder, { lines: req.body.lines, note: req.body.note, actor: req.user._id });
+    if (!result.ok) return res.status(result.status).json({ message: result.message });
+
+    const receipt = result.purchaseOrder.receipts[result.purchaseOrder.receipts.length - 1];
+    await recordAudit(req, {
+      action: 'purchaseOrder.receive',
+      targetType: 'PurchaseOrder',
+      targetId: purchaseOrder._id,
+      before: { status: purchaseOrder.status },
+      after: { status: result.purchaseOrder.status, received: receipt.lines, skipped: result.skipped },
+      reason: req.body.note,
+    });
+
+    res.json({ purchaseOrder: result.purchaseOrder, skipped: result.skipped });
+  } catch (error) {
+    console.error('❌ Error receiving goods:', error);
+    res.status(500).json({ message: 'Error receiving goods' });
+  }
+};
+
+// @desc    Cancel a PO nothing has arrived on, or close a part-delivered one short
+// @route   POST /api/purchase-orders/:id/cancel
+// @access  Private (purchasing:manage)
+const cancelPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) return res.status(404).json({ message: 'Purchase order not found' });
+
+    const previousStatus = purchaseOrder.status;
+    const nextStatus = { draft: 'cancelled', ordered: 'cancelled', partially_received: 'closed' }[previousStatus];
+    if (!nextStatus) return res.status(400).json({ message: `A ${previousStatus} purchase order cannot be cancelled` });
+
+    // Only if no delivery was booked meanwhile
+    const updated = await PurchaseOrder.findOneAndUpdate(
+      { _id: purchaseOrder._id, status: previousStatus, receipts: { $size: purchaseOrder.receipts.length } },
+      { status: nextStatus },
+      { new: true }
+    );
+    if (!updated) return res.status(409).json({ message: 'This purchase order changed meanwhile. Reload it and try again.' });
+
+    await recordAudit(req, {
+      action: 'purchaseOrder.cancel',
+      targetType: 'PurchaseOrder',
+      targetId: purchaseOrder._id,
+      before: { status: previousStatus },
+      after: { status: nextStatus },
+      reason: req.body.reason,
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('❌ Error cancelling purchase order:', error);
+    res.status(500).json({ message: 'Error cancelling purchase order' });
+  }
+};
+
+export {
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  reorderLowStock,
+  markOrdered,
+  receivePurchaseOrder,
+  cancelPurchaseOrder
+};
@@ -1,7 +1,11 @@
 import RepairRequest from '../models/RepairRequest.js';
 import Technician from '../models/Technician.js';
 import User from '../models/User.js';
+import Payment from '../models/Payments.js';
 import { sendEmail } from '../utils/notification.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
+import { taxIncludedIn } from '../utils/tax.js';
+import { invoicePayment } from '../utils/invoices.js';
 import reportGenerator from '../utils/reportGenerator.js';
 const { pipeRepairReportToResponse, sendRepairReportEmail } = reportGenerator;
 
@@ -283,6 +287,9 @@ const updateRequestStatus = async (req, res) => {
     const request = await RepairRequest.findById(id).populate('customerId', 'email username');
     if (!request) return res.status(404).json({ error: 'Repair request not found' });
 
+    const auditFields = ['status', 'currentStage', 'costEstimate', 'timeEstimate', 'rejectionReason'];
+    const before = snapshot(request, auditFields);
+
     request.status = status;
 
     if (status.toLowerCase() === 'approved') {
@@ -297,10 +304,25 @@ const updateRequestStatus = async (req, res) => {
 
     await request.save();
 
+    await recordAudit(req, {
+      action: 'repair.status.update',
+      targetType: 'RepairRequest',
+      targetId: request._id,
+      before,
+      after: snapshot(request, auditFields),
+      reason: rejectionReason,
+    });
+
     // Send email to customer
     let emailBody = `Hello ${request.customerId.username},\n\nYour repair request status is: ${status}\n`;
     if (status.toLowerCase() === 'approved') {
-      emailBody += `Cost Estimate: ${request.costEstimate || 'Not provided'}\nTime Estimate: ${request.timeEstimate || 'Not provided'}\n`;
+      // Repair charges include tax; show how much of the estimate it is
+      let costLine = request.costEstimate || 'Not provided';
+      if (request.costEstimate > 0) {
+        const tax = await taxIncludedIn('repair', request.costEstimate);
+        if (tax.tax > 0) costLine = `${request.costEstimate} (including ${tax.name} ${tax.rate}%: ${tax.tax.toFixed(2)})`;
+      }
+      emailBody += `Cost Estimate: ${costLine}\nTime Estimate: ${request.timeEstimate || 'Not provided'}\n`;
     } else if (status.toLowerCase() === 'rejected') {
       emailBody += `Reason: ${request.rejectionReason || 'Not provided'}\n`;
     }
@@ -900,6 +922,48 @@ const submitFeedback = async (req, res) => {
   }
 };
 
+/**
+ * 15 Record Repair Payment
+ * - The customer pays the estimate when the repair is ready or done.
+ * - A tax invoice is issued for the payment.
+ */
+const recordRepairPayment = async (req, res) => {
+  try {
+    const request = await RepairRequest.findById(req.params.id);
+    if (!request) return res.status(404).json({ error: 'Repair request not found' });
+    if (!['Ready for Pickup', 'Completed'].includes(request.status)) {
+      return res.status(400).json({ error: 'A repair is paid for once it is ready for pickup' });
+    }
+    if (!(request.costEstimate > 0)) {
+      return res.status(400).json({ error: 'This repair has no charge to pay' });
+    }
+    if (await Payment.exists({ repairRequestId: request._id, status: 'success' })) {
+      return res.status(409).json({ error: 'This repair has already been paid for' });
+    }
+
+    const payment = await Payment.create({
+      userId: request.customerId,
+      repairRequestId: request._id,
+      paymentType: 'repair_payment',
+      amount: request.costEstimate,
+      status: 'success',
+      paymentDate: new Date()
+    });
+    const invoice = await invoicePayment(payment);
+
+    await recordAudit(req, {
+      action: 'repair.payment',
+      targetType: 'RepairRequest',
+      targetId: request._id,
+      after: { paymentId: payment._id, amount: payment.amount, invoiceNumber: invoice?.invoiceNumber },
+    });
+
+    res.status(201).json({ message: 'Repair payment recorded', payment, invoice });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
 export default {
   createRepairRequest,
   testRepairRequest,
@@ -920,6 +984,7 @@ export default {
   updateProgress,
   downloadAndEmailReport,
   getRepairRevenue,
-  submitFeedback
+  submitFeedback,
+  recordRepairPayment
 };
  
\ No newline at end of file
@@ -2,6 +2,14 @@ import Order from '../models/Order.js';
 import Product from '../models/Product.js';
 // --- THIS LINE IS NOW CORRECTED ---
 import Payment from '../models/Payments.js'; 
+import PurchaseOrder, { OPEN_PO_STATUSES } from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import Invoice from '../models/Invoice.js';
+import { roundMoney } from '../utils/pricing.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysBetween = (from, to) => Math.round((to - from) / DAY_MS * 10) / 10;
+const average = (values) => (values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10 : null);
 
 // Get order reports
 const getOrderReport = async (req, res) => {
@@ -50,10 +58,11 @@ const getOrderReport = async (req, res) => {
   }
 };
 
-// Get product sales report
+// Get product sales report, one row per variant (?level=product rolls variants up)
 const getProductSalesReport = async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, level = 'variant' } = req.query;
+    const byProduct = level === 'product';
     
     let matchQuery = {};
     if (startDate && endDate) {
@@ -68,7 +77,13 @@ const getProductSalesReport = async (req, res) => {
       { $unwind: '$items' },
       {
         $group: {
-          _id: '$items.productId',
+          // Orders placed before variants existed have no variantId and group as the product itself
+          _id: {
+            productId: '$items.productId',
+            variantId: byProduct ? null : { $ifNull: ['$items.variantId', null] }
+          },
+          sku: { $first: '$items.sku' },
+          variantLabel: { $first: '$items.variantLabel' },
           totalQuantity: { $sum: '$items.quantity' },
           totalRevenue: { $sum: { $multiply: ['$items.quantity', '$items.priceAtOrder'] } },
           orderCount: { $sum: 1 }
@@ -77,7 +92,7 @@ const getProductSalesReport = async (req, res) => {
       {
         $lookup: {
           from: 'products',
-          localField: '_id',
+          localField: '_id.productId',
           foreignField: '_id',
           as: 'product'
         }
@@ -85,6 +100,10 @@ const getProductSalesReport = async (req, res) => {
       { $unwind: '$product' },
       {
         $project: {
+          _id: '$_id.productId',
+          variantId: '$_id.variantId',
+          sku: byProduct ? { $literal: null } : '$sku',
+          variantLabel: byProduct ? { $literal: null } : '$variantLabel',
           productName: '$product.name',
           category: '$product.category',
           brand: '$product.brand',
@@ -143,13 +162,219 @@ const getRevenueReport = async (req, res) => {
         $group: {
           _id: groupQuery,
           totalRevenue: { $sum: '$amount' },
+          totalDiscount: { $sum: { $ifNull: ['$pricing.discount', 0] } },
           orderCount: { $sum: 1 }
         }
       },
       { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
     ]);
-    
-    res.json(revenueData);
+
+    // Discount given by each promotion in each period
+    const promotionData = await Order.aggregate([
+      { $match: matchQuery },
+      { $unwind: '$appliedPromotions' },
+      {
+        $group: {
+          _id: { period: groupQuery, promotionId: '$appliedPromotions.promotionId' },
+          code: { $last: '$appliedPromotions.code' },
+          name: { $last: '$appliedPromotions.name' },
+          discount: { $sum: '$appliedPromotions.amount' },
+          orderCount: { $sum: 1 }
+        }
+      },
+      { $sort: { discount: -1 } }
+    ]);
+
+    const promotionsByPeriod = new Map();
+    for (const { _id, ...promotion } of promotionData) {
+      const key = JSON.stringify(_id.period);
+      if (!promotionsByPeriod.has(key)) promotionsByPeriod.set(key, []);
+      promotionsByPeriod.get(key).push({ promotionId: _id.promotionId, ...promotion });
+    }
+
+    res.json(revenueData.map(period => ({
+      ...period,
+      promotions: promotionsByPeriod.get(JSON.stringify(period._id)) || []
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Purchase orders still waiting for goods, most overdue first
+const getOpenPurchaseOrderReport = async (req, res) => {
+  try {
+    const filter = { status: { $in: OPEN_PO_STATUSES } };
+    if (req.query.supplierId) filter.supplierId = req.query.supplierId;
+
+    const purchaseOrders = await PurchaseOrder.find(filter)
+      .populate('supplierId', 'name')
+      .sort({ expectedDeliveryDate: 1 });
+    const now = new Date();
+
+    const rows = purchaseOrders.map(purchaseOrder => {
+      const outstandingUnits = purchaseOrder.lines.reduce((sum, line) => sum + purchaseOrder.outstandingFor(line), 0);
+      const outstandingValue = purchaseOrder.lines.reduce((sum, line) => sum + purchaseOrder.outstandingFor(line) * line.unitCost, 0);
+      const expected = purchaseOrder.expectedDeliveryDate;
+      return {
+        _id: purchaseOrder._id,
+        poNumber: purchaseOrder.poNumber,
+        supplier: purchaseOrder.supplierId?.name,
+        status: purchaseOrder.status,
+        orderedAt: purchaseOrder.orderedAt,
+        expectedDeliveryDate: expected,
+        daysOverdue: expected && expected < now ? Math.floor((now - expected) / DAY_MS) : 0,
+        outstandingUnits,
+        outstandingValue
+      };
+    });
+
+    res.json({
+      summary: {
+        openOrders: rows.length,
+        overdueOrders: rows.filter(row => row.daysOverdue > 0).length,
+        outstandingUnits: rows.reduce((sum, row) => sum + row.outstandingUnits, 0),
+        outstandingValue: rows.reduce((sum, row) => sum + row.outstandingValue, 0)
+      },
+      purchaseOrders: rows.sort((a, b) => b.daysOverdue - a.daysOverdue)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Actual supplier lead times (order sent → first delivery, and → fully received)
+// next to the lead time each supplier quotes, over POs sent in the date range
+const getSupplierLeadTimeReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const filter = { orderedAt: { $ne: null }, 'receipts.0': { $exists: true } };
+    if (startDate && endDate) {
+      filter.orderedAt = { $gte: new Date(startDate), $lte: new Date(endDate) };
+    }
+
+    const [suppliers, purchaseOrders] = await Promise.all([
+      Supplier.find().sort({ name: 1 }),
+      PurchaseOrder.find(filter)
+    ]);
+
+    const rows = suppliers.map(supplier => {
+      const orders = purchaseOrders.filter(order => String(order.supplierId) === String(supplier._id));
+      const firstDelivery = orders.map(order => daysBetween(order.orderedAt, order.receipts[0].receivedAt));
+      const fullDelivery = orders.filter(order => order.receivedAt).map(order => daysBetween(order.orderedAt, order.receivedAt));
+      const onTime = orders.filter(order => order.expectedDeliveryDate && order.receipts[0].receivedAt <= order.expectedDeliveryDate);
+      return {
+        supplierId: supplier._id,
+        supplier: supplier.name,
+        quotedLeadTimeDays: supplier.leadTimeDays,
+        ordersDelivered: orders.length,
+        averageDaysToFirstDelivery: average(firstDelivery),
+        averageDaysToFullDelivery: average(fullDelivery),
+        slowestDays: firstDelivery.length ? Math.max(...firstDelivery) : null,
+        onTimeRate: orders.length ? Math.round(onTime.length / orders.length * 100) : null
+      };
+    });
+
+    res.json(rows);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Tax invoiced over a period, for the tax return: by what was sold and by rate
+// (zero-rated lines such as shipping included), with the invoice numbers covered
+// and the refunds paid out on invoiced payments in the same period. Refunds give
+// back the tax they carried, so netTax is what is owed for the period.
+const getTaxSummaryReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const match = {};
+    if (startDate && endDate) {
+      match.issuedAt = { $gte: new Date(startDate), $lte: new Date(endDate) };
+    }
+    // Each refund counts in the period it was paid, with the tax it gave back
+    const refundMatch = match.issuedAt ? { 'refunds.date': match.issuedAt } : {};
+
+    const [totals, bySource, byRate, refunds] = await Promise.all([
+      Invoice.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            invoiceCount: { $sum: 1 },
+            firstInvoice: { $min: '$sequence' },
+            lastInvoice: { $max: '$sequence' },
+            net: { $sum: '$subtotal' },
+            shipping: { $sum: '$shipping' },
+            tax: { $sum: '$tax' },
+            total: { $sum: '$total' }
+          }
+        }
+      ]),
+      Invoice.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$source',
+            invoiceCount: { $sum: 1 },
+            net: { $sum: '$subtotal' },
+            tax: { $sum: '$tax' },
+            total: { $sum: '$total' }
+          }
+        },
+        { $sort: { total: -1 } }
+      ]),
+      Invoice.aggregate([
+        { $match: match },
+        { $unwind: '$lines' },
+        {
+          $group: {
+            _id: { name: '$lines.taxName', rate: '$lines.taxRate' },
+            taxable: { $sum: '$lines.net' },
+            tax: { $sum: '$lines.tax' },
+            lineCount: { $sum: 1 }
+          }
+        },
+        { $sort: { '_id.rate': -1 } }
+      ]),
+      Payment.aggregate([
+        { $match: { invoiceId: { $ne: null }, 'refunds.0': { $exists: true } } },
+        { $unwind: '$refunds' },
+        { $match: refundMatch },
+        { $group: { _id: null, payments: { $addToSet: '$_id' }, amount: { $sum: '$refunds.amount' }, tax: { $sum: '$refunds.tax' } } }
+      ])
+    ]);
+
+    const summary = totals[0] || { invoiceCount: 0, firstInvoice: null, lastInvoice: null, net: 0, shipping: 0, tax: 0, total: 0 };
+    res.json({
+      summary: {
+        invoiceCount: summary.invoiceCount,
+        firstInvoice: summary.firstInvoice && Invoice.formatNumber(summary.firstInvoice),
+        lastInvoice: summary.lastInvoice && Invoice.formatNumber(summary.lastInvoice),
+        net: roundMoney(summary.net),
+        shipping: roundMoney(summary.shipping),
+        tax: roundMoney(summary.tax),
+        total: roundMoney(summary.total),
+        refundCount: refunds[0]?.payments.length || 0,
+        refunded: roundMoney(refunds[0]?.amount || 0),
+        refundedTax: roundMoney(refunds[0]?.tax || 0),
+        netTax: roundMoney(summary.tax - (refunds[0]?.tax || 0))
+      },
+      bySource: bySource.map(row => ({
+        source: row._id,
+        invoiceCount: row.invoiceCount,
+        net: roundMoney(row.net),
+        tax: roundMoney(row.tax),
+        total: roundMoney(row.total)
+      })),
+      byRate: byRate.map(row => ({
+        name: row._id.name || 'Tax',
+        rate: row._id.rate || 0,
+        taxable: roundMoney(row.taxable),
+        tax: roundMoney(row.tax),
+        lineCount: row.lineCount
+      }))
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -158,5 +383,8 @@ const getRevenueReport = async (req, res) => {
 export {
   getOrderReport,
   getProductSalesReport,
-  getRevenueReport
+  getRevenueReport,
+  getOpenPurchaseOrderReport,
+  getSupplierLeadTimeReport,
+  getTaxSummaryReport
 };
\ No newline at end of file
@@ -0,0 +1,269 @@
+import mongoose from 'mongoose';
+import ReturnRequest, { RETURN_REASONS } from '../models/ReturnRequest.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
+import { buildReturnLines, receiveReturn, returnableLines, returnDeadline } from '../utils/returns.js';
+import { sendReturnUpdateEmail } from '../utils/wemailService.js';
+
+// Only pictures uploaded through /api/upload/return-photo
+const PHOTO_PATH = /^\/uploads\/[\w.-]+$/;
+
+const AUDIT_FIELDS = ['status', 'staffNote', 'refundAmount', 'replacementOrderId'];
+
+// The customer's own order, or null
+const findOwnOrder = (orderId, customerId) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) return null;
+  return Order.findOne({ _id: orderId, customerId });
+};
+
+// Tell the customer their return moved on; a failed email does not undo anything
+const emailCustomer = async (returnRequest) => {
+  try {
+    const customer = await User.findById(returnRequest.customerId).select('email username firstName');
+    if (customer?.email) {
+      await sendReturnUpdateEmail(customer.email, customer.firstName || customer.username, returnRequest);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to send ${returnRequest.status} email for ${returnRequest.rmaNumber}:`, error);
+  }
+};
+
+// @desc    What can still be sent back from one of the customer's orders, and until when
+// @route   GET /api/returns/order/:orderId
+// @access  Private
+const getReturnOptions = async (req, res) => {
+  try {
+    const order = await findOwnOrder(req.params.orderId, req.user._id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    const deadline = returnDeadline(order);
+    const open = !!deadline && Date.now() <= deadline.getTime();
+    res.json({
+      open,
+      deadline,
+      reasons: RETURN_REASONS,
+      lines: open ? await returnableLines(order) : []
+    });
+  } catch (error) {
+    console.error('❌ Error fetching return options:', error);
+    res.status(500).json({ message: 'Error fetching return options' });
+  }
+};
+
+// @desc    Ask to return or exchange items from a delivered order
+// @route   POST /api/returns
+// @access  Private
+const createReturnRequest = async (req, res) => {
+  try {
+    const { orderId, type, items, reason, comment, photos = [] } = req.body;
+    if (!['return', 'exchange'].includes(type)) {
+      return res.status(400).json({ message: 'Choose a return or an exchange' });
+    }
+    if (!RETURN_REASONS.includes(reason)) {
+      return res.status(400).json({ message: 'Choose a reason for sending the items back' });
+    }
+    if (!Array.isArray(photos) || photos.length > 4 || !photos.every(photo => typeof photo === 'string' && PHOTO_PATH.test(photo))) {
+      return res.status(400).json({ message: 'Attach up to 4 uploaded photos' });
+    }
+
+    const order = await findOwnOrder(orderId, req.user._id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    const built = await buildReturnLines(order, { type, items: Array.isArray(items) ? items : [] });
+    if (!built.ok) return res.status(built.status).json({ message: built.message });
+
+    const returnRequest = await ReturnRequest.create({
+      rmaNumber: await ReturnRequest.nextNumber(),
+      orderId: order._id,
+      customerId: req.user._id,
+      type,
+      lines: built.lines,
+      reason,
+      comment,
+      photos
+    });
+
+    console.log(`📦 ${returnRequest.rmaNumber}: ${type} requested for order ${order._id}`);
+    res.status(201).json(returnRequest);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Another return was being created at the same time. Please try again.' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join('; ') });
+    }
+    console.error('❌ Error creating return request:', error);
+    res.status(500).json({ message: 'Error creating return request' });
+  }
+};
+
+// @desc    The customer's returns and exchanges, newest first
+// @route   GET /api/returns/mine
+// @access  Private
+const getMyReturnRequests = async (req, res) => {
+  try {
+    const returnRequests = await ReturnRequest.find({ customerId: req.user._id }).sort({ createdAt: -1 });
+    res.json(returnRequests);
+  } catch (error) {
+    console.error('❌ Error fetching return requests:', error);
+    res.status(500).json({ message: 'Error fetching return requests' });
+  }
+};
+
+// @desc    Withdraw a return before the goods have been received
+// @route   PUT /api/returns/:id/cancel
+// @access  Private
+const cancelReturnRequest = async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findOneAndUpdate(
+      { _id: req.params.id, customerId: req.user._id, status: { $in: ['requested', 'approved'] } },
+      { status: 'cancelled' },
+      { new: true }
+    );
+    if (!returnRequest) return res.status(404).json({ message: 'No open return found to withdraw' });
+    res.json(returnRequest);
+  } catch (error) {
+    console.error('❌ Error cancelling return request:', error);
+    res.status(500).json({ message: 'Error cancelling return request' });
+  }
+};
+
+// @desc    Return requests for order managers, oldest open ones first
+// @route   GET /api/returns?status=requested&orderId=&page=1
+// @access  Private (orders:read)
+const getReturnRequests = async (req, res) => {
+  try {
+    const { status = 'requested', orderId, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (orderId && mongoose.Types.ObjectId.isValid(orderId)) filter.orderId = orderId;
+
+    const [returnRequests, total] = await Promise.all([
+      ReturnRequest.find(filter)
+        .populate('customerId', 'username email')
+        .populate('reviewedBy receivedBy', 'username')
+        .sort({ createdAt: ['requested', 'approved'].includes(status) ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit)),
+      ReturnRequest.countDocuments(filter)
+    ]);
+
+    res.json({
+      returnRequests,
+      pagination: { page: Number(page), limit: Number(limit), total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching return requests:', error);
+    res.status(500).json({ message: 'Error fetching return requests' });
+  }
+};
+
+// Approve or reject a request that is still waiting for a decision
+const decide = async (req, res, status) => {
+  const note = (req.body.note || '').trim();
+  if (status === 'rejected' && !note) {
+    return res.status(400).json({ message: 'Tell the customer why the return is rejected' });
+  }
+
+  const returnRequest = await ReturnRequest.findById(req.params.id);
+  if (!returnRequest) return res.status(404).json({ message: 'Return request not found' });
+
+  const before = snapshot(returnRequest, AUDIT_FIELDS);
+  const updated = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: 'requested' },
+    { status, staffNote: note || undefined, reviewedBy: req.user._id, reviewedAt: new Date() },
+    { new: true }
+  );
+  if (!updated) {
+    return res.status(409).json({ message: `This return is already ${returnRequest.status}` });
+  }
+
+  await recordAudit(req, {
+    action: status === 'approved' ? 'return.approve' : 'return.reject',
+    targetType: 'ReturnRequest',
+    targetId: updated._id,
+    before,
+    after: snapshot(updated, AUDIT_FIELDS),
+    reason: note || undefined,
+  });
+  emailCustomer(updated);
+  res.json(updated);
+};
+
+// @desc    Approve a return; the customer can then send the goods back
+// @route   PUT /api/returns/:id/approve
+// @access  Private (orders:manage)
+const approveReturnRequest = async (req, res) => {
+  try {
+    await decide(req, res, 'approved');
+  } catch (error) {
+    console.error('❌ Error approving return request:', error);
+    res.status(500).json({ message: 'Error approving return request' });
+  }
+};
+
+// @desc    Reject a return, with the reason for the customer
+// @route   PUT /api/returns/:id/reject
+// @access  Private (orders:manage)
+const rejectReturnRequest = async (req, res) => {
+  try {
+    await decide(req, res, 'rejected');
+  } catch (error) {
+    console.error('❌ Error rejecting return request:', error);
+    res.status(500).json({ message: 'Error rejecting return request' });
+  }
+};
+
+// @desc    Book the returned goods in (restock or write off each line) and refund or send a replacement
+// @route   PUT /api/returns/:id/receive
+// @access  Private (orders:manage, orders:refund)
+const receiveReturnRequest = async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) return res.status(404).json({ message: 'Return request not found' });
+
+    const { dispositions, settlement = returnRequest.type === 'exchange' ? 'replacement' : 'refund' } = req.body;
+    const before = snapshot(returnRequest, AUDIT_FIELDS);
+    const result = await receiveReturn(returnRequest, { dispositions: dispositions || {}, settlement, actor: req.user._id });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message, ...(result.shortages && { shortages: result.shortages }) });
+    }
+
+    await recordAudit(req, {
+      action: 'return.receive',
+      targetType: 'ReturnRequest',
+      targetId: result.returnRequest._id,
+      before,
+      after: {
+        ...snapshot(result.returnRequest, AUDIT_FIELDS),
+        dispositions: result.returnRequest.lines.map(line => `${line.name}: ${line.disposition}`)
+      },
+    });
+    emailCustomer(result.returnRequest);
+
+    res.json({
+      returnRequest: result.returnRequest,
+      replacementOrder: result.replacementOrder,
+      message: result.replacementOrder
+        ? `Replacement order ${result.replacementOrder._id} created`
+        : result.refund
+          ? `LKR ${result.returnRequest.refundAmount.toFixed(2)} refunded`
+          : `No payment was found for this order; refund LKR ${result.returnRequest.refundAmount.toFixed(2)} by hand`
+    });
+  } catch (error) {
+    console.error('❌ Error receiving return:', error);
+    res.status(500).json({ message: 'Error receiving return' });
+  }
+};
+
+export {
+  getReturnOptions,
+  createReturnRequest,
+  getMyReturnRequests,
+  cancelReturnRequest,
+  getReturnRequests,
+  approveReturnRequest,
+  rejectReturnRequest,
+  receiveReturnRequest
+};
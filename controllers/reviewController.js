@@ -0,0 +1,295 @@
+import mongoose from 'mongoose';
+import Review from '../models/Review.js';
+import Product from '../models/Product.js';
+import Order, { DELIVERED_ORDER_STATUSES } from '../models/Order.js';
+import { recordAudit } from '../utils/audit.js';
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Only pictures uploaded through /api/upload/review-photo
+const PHOTO_PATH = /^\/uploads\/[\w.-]+$/;
+
+// Reviewers are shown as "First L."; erased accounts keep their review but not their name
+const reviewerName = (customer) => {
+  if (!customer || customer.erasedAt) return 'Former customer';
+  const first = customer.firstName || customer.username;
+  return customer.lastName ? `${first} ${customer.lastName[0]}.` : first;
+};
+
+const publicReview = (review) => ({
+  _id: review._id,
+  rating: review.rating,
+  title: review.title,
+  comment: review.comment,
+  photos: review.photos,
+  response: review.response?.body ? { body: review.response.body, respondedAt: review.response.respondedAt } : null,
+  reviewer: reviewerName(review.customerId),
+  verifiedPurchase: true,
+  createdAt: review.createdAt,
+  updatedAt: review.updatedAt
+});
+
+// The customer's most recent delivered order containing the product, if any
+const findDeliveredOrder = (customerId, productId) => Order.findOne({
+  customerId,
+  status: { $in: DELIVERED_ORDER_STATUSES },
+  'items.productId': productId
+}).sort({ date: -1 }).select('_id');
+
+// Check the submitted rating, text and photos; returns an error message or null
+const validateReviewInput = ({ rating, photos }) => {
+  if (!Number.isInteger(Number(rating)) || Number(rating) < 1 || Number(rating) > 5) {
+    return 'Choose a rating from 1 to 5 stars';
+  }
+  if (photos !== undefined) {
+    if (!Array.isArray(photos) || photos.length > 4) return 'A review can have up to 4 photos';
+    if (!photos.every(photo => typeof photo === 'string' && PHOTO_PATH.test(photo))) {
+      return 'Upload review photos before attaching them';
+    }
+  }
+  return null;
+};
+
+const answerSaveError = (res, error, action) => {
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'You have already reviewed this product. Edit your review instead.' });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join('; ') });
+  }
+  console.error(`❌ Error ${action} review:`, error);
+  return res.status(500).json({ message: `Error ${action} review` });
+};
+
+// @desc    Approved reviews of a product, with the rating breakdown
+// @route   GET /api/reviews/product/:productId
+// @access  Public
+const getProductReviews = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(productId)) return res.status(400).json({ message: 'Invalid product' });
+    const { sort = 'newest', page = 1, limit = 10 } = req.query;
+    const filter = { productId, status: 'approved' };
+
+    const [reviews, total, distribution, product] = await Promise.all([
+      Review.find(filter)
+        .populate('customerId', 'username firstName lastName erasedAt')
+        .sort(REVIEW_SORTS[sort] || REVIEW_SORTS.newest)
+        .skip((page - 1) * limit)
+        .limit(Number(limit)),
+      Review.countDocuments(filter),
+      Review.aggregate([
+        { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ]),
+      Product.findById(productId).select('ratingAverage ratingCount')
+    ]);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    distribution.forEach(row => { breakdown[row._id] = row.count; });
+
+    res.json({
+      reviews: reviews.map(publicReview),
+      summary: { ratingAverage: product.ratingAverage, ratingCount: product.ratingCount, distribution: breakdown },
+      pagination: { page: Number(page), limit: Number(limit), total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching product reviews:', error);
+    res.status(500).json({ message: 'Error fetching reviews' });
+  }
+};
+
+// @desc    Whether the signed-in customer can review a product, and their review if they wrote one
+// @route   GET /api/reviews/eligibility/:productId
+// @access  Private
+const getReviewEligibility = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(productId)) return res.status(400).json({ message: 'Invalid product' });
+
+    const [order, review] = await Promise.all([
+      findDeliveredOrder(req.user._id, productId),
+      Review.findOne({ productId, customerId: req.user._id })
+    ]);
+    res.json({ canReview: Boolean(order), orderId: order?._id || null, review });
+  } catch (error) {
+    console.error('❌ Error checking review eligibility:', error);
+    res.status(500).json({ message: 'Error checking review eligibility' });
+  }
+};
+
+// @desc    Review a product from a delivered order; it is shown once approved
+// @route   POST /api/reviews
+// @access  Private
+const createReview = async (req, res) => {
+  try {
+    const { productId, rating, title, comment, photos = [] } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(productId)) return res.status(400).json({ message: 'Invalid product' });
+    const invalid = validateReviewInput({ rating, photos });
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const order = await findDeliveredOrder(req.user._id, productId);
+    if (!order) {
+      return res.status(403).json({ message: 'You can review a product once an order containing it has been delivered' });
+    }
+
+    const review = await Review.create({
+      productId,
+      customerId: req.user._id,
+      orderId: order._id,
+      rating: Number(rating),
+      title,
+      comment,
+      photos
+    });
+
+    console.log(`✅ Review ${review._id} submitted for product ${productId}, awaiting moderation`);
+    res.status(201).json({ review, message: 'Thanks! Your review will appear once it has been checked.' });
+  } catch (error) {
+    answerSaveError(res, error, 'creating');
+  }
+};
+
+// @desc    Edit your own review; the edit goes back for moderation
+// @route   PUT /api/reviews/:id
+// @access  Private
+const updateMyReview = async (req, res) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.id, customerId: req.user._id });
+    if (!review) return res.status(404).json({ message: 'Review not found' });
+
+    const { rating = review.rating, title, comment, photos } = req.body;
+    const invalid = validateReviewInput({ rating, photos });
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const wasApproved = review.status === 'approved';
+    review.rating = Number(rating);
+    if (title !== undefined) review.title = title;
+    if (comment !== undefined) review.comment = comment;
+    if (photos !== undefined) review.photos = photos;
+    review.status = 'pending';
+    await review.save();
+
+    if (wasApproved) await Review.refreshProductRating(review.productId);
+
+    res.json({ review, message: 'Your review will appear again once the changes have been checked.' });
+  } catch (error) {
+    answerSaveError(res, error, 'updating');
+  }
+};
+
+// @desc    Reviews for moderation, oldest pending first
+// @route   GET /api/reviews
+// @access  Private (reviews:moderate)
+const getReviewsForModeration = async (req, res) => {
+  try {
+    const { status = 'pending', productId, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (productId) {
+      if (!mongoose.Types.ObjectId.isValid(productId)) return res.status(400).json({ message: 'Invalid product' });
+      filter.productId = productId;
+    }
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('productId', 'name productId image_url')
+        .populate('customerId', 'username email')
+        .populate('moderatedBy', 'username')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit)),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({
+      reviews,
+      pagination: { page: Number(page), limit: Number(limit), total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching reviews for moderation:', error);
+    res.status(500).json({ message: 'Error fetching reviews' });
+  }
+};
+
+// @desc    Approve or hide a review; the product's rating is recounted
+// @route   PUT /api/reviews/:id/moderate
+// @access  Private (reviews:moderate)
+const moderateReview = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    if (!['approved', 'hidden'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be approved or hidden' });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) return res.status(404).json({ message: 'Review not found' });
+
+    const previousStatus = review.status;
+    review.status = status;
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    await review.save();
+
+    const rating = await Review.refreshProductRating(review.productId);
+
+    await recordAudit(req, {
+      action: 'review.moderate',
+      targetType: 'Review',
+      targetId: review._id,
+      before: { status: previousStatus },
+      after: { status, productRating: rating },
+      reason,
+    });
+
+    res.json(review);
+  } catch (error) {
+    console.error('❌ Error moderating review:', error);
+    res.status(500).json({ message: 'Error moderating review' });
+  }
+};
+
+// @desc    Reply publicly to a review; an empty body removes the reply
+// @route   PUT /api/reviews/:id/response
+// @access  Private (reviews:moderate)
+const respondToReview = async (req, res) => {
+  try {
+    const body = (req.body.body || '').trim();
+    if (body.length > 2000) return res.status(400).json({ message: 'A response can be up to 2000 characters' });
+
+    const review = await Review.findById(req.params.id);
+    if (!review) return res.status(404).json({ message: 'Review not found' });
+
+    const before = review.response?.body || null;
+    review.response = body ? { body, respondedBy: req.user._id, respondedAt: new Date() } : undefined;
+    await review.save();
+
+    await recordAudit(req, {
+      action: 'review.respond',
+      targetType: 'Review',
+      targetId: review._id,
+      before: { response: before },
+      after: { response: body || null },
+    });
+
+    res.json(review);
+  } catch (error) {
+    console.error('❌ Error responding to review:', error);
+    res.status(500).json({ message: 'Error responding to review' });
+  }
+};
+
+export {
+  getProductReviews,
+  getReviewEligibility,
+  createReview,
+  updateMyReview,
+  getReviewsForModeration,
+  moderateReview,
+  respondToReview
+};
@@ -2,6 +2,7 @@ import Session from '../models/Session.js';
 import CoachingProgram from '../models/CoachingProgram.js';
 import ProgramEnrollment from '../models/ProgramEnrollment.js';
 import Ground from '../models/Ground.js';
+import { canActFor, canActForOrHas } from '../utils/guardian.js';
 
 // Helper function for manual pagination
 const paginateHelper = async (Model, filter, options) => {
@@ -432,6 +433,14 @@ const addParticipant = async (req, res) => {
       });
     }
 
+    // Players book for themselves and guardians for their junior players
+    if (!(await canActForOrHas(req.user, userId, 'sessions:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to book this player into the session'
+      });
+    }
+
     // Check if user is already a participant
     const existingParticipant = session.participants.find(
       p => p.user.toString() === userId
@@ -1187,8 +1196,8 @@ const createDirectSession = async (req, res) => {
       coach: enrollment.program?.coach?._id
     });
     
-    // Check if user owns this enrollment
-    if (enrollment.user._id.toString() !== req.user._id.toString()) {
+    // Check if user owns this enrollment or is the player's guardian
+    if (!(await canActFor(req.user, enrollment.user))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to create session for this enrollment'
@@ -1333,7 +1342,7 @@ const createDirectSession = async (req, res) => {
       groundSlot: groundSlot,
       status: 'scheduled',
       participants: [{
-        user: req.user._id,
+        user: enrollment.user._id,
         enrollment: enrollmentId,
         attended: false
       }],
@@ -1728,6 +1737,14 @@ const customerRescheduleSession = async (req, res) => {
       });
     }
     
+    // Players move their own sessions; guardians move their junior players' sessions
+    if (!(await canActForOrHas(req.user, enrollment.user, 'sessions:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reschedule this session'
+      });
+    }
+    
     console.log('Enrollment details:', {
       id: enrollment._id,
       createdAt: enrollment.createdAt
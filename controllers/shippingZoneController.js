@@ -0,0 +1,139 @@
+import ShippingZone from '../models/ShippingZone.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
+
+const EDITABLE_FIELDS = ['name', 'districts', 'postalPrefixes', 'isDefault', 'basis', 'rates', 'extraPerUnit', 'freeOver', 'is_active'];
+
+const pickEditable = (body) => {
+  const fields = Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+  // An empty threshold means the zone never ships free
+  if (fields.freeOver === '') fields.freeOver = null;
+  return fields;
+};
+
+const answerSaveError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join('; ') });
+  }
+  console.error(`❌ Error ${action} shipping zone:`, error);
+  return res.status(500).json({ message: `Error ${action} shipping zone` });
+};
+
+// A district or postal prefix may only belong to one active zone, or an address could match both
+const findOverlap = async (zone) => {
+  if (!zone.is_active) return null;
+  const others = await ShippingZone.find({
+    _id: { $ne: zone._id },
+    is_active: true,
+    $or: [
+      { districts: { $in: zone.districts } },
+      { postalPrefixes: { $in: zone.postalPrefixes } }
+    ]
+  });
+  for (const other of others) {
+    const district = zone.districts.find(d => other.districts.includes(d));
+    if (district) return `${district} is already in ${other.name}`;
+    const prefix = zone.postalPrefixes.find(p => other.postalPrefixes.includes(p));
+    if (prefix) return `Postal prefix ${prefix} is already in ${other.name}`;
+  }
+  return null;
+};
+
+// Save a zone, making it the only default when it is one
+const saveZone = async (zone) => {
+  await zone.save();
+  if (zone.isDefault) {
+    await ShippingZone.updateMany({ _id: { $ne: zone._id }, isDefault: true }, { isDefault: false });
+  }
+};
+
+// @desc    List shipping zones, default first
+// @route   GET /api/shipping-zones
+// @access  Private (shipping:manage)
+const getShippingZones = async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort({ isDefault: -1, is_active: -1, name: 1 });
+    res.json(zones);
+  } catch (error) {
+    console.error('❌ Error fetching shipping zones:', error);
+    res.status(500).json({ message: 'Error fetching shipping zones' });
+  }
+};
+
+// @desc    Add a shipping zone with its rate table
+// @route   POST /api/shipping-zones
+// @access  Private (shipping:manage)
+const createShippingZone = async (req, res) => {
+  try {
+    const zone = new ShippingZone(pickEditable(req.body));
+    const overlap = await findOverlap(zone);
+    if (overlap) return res.status(400).json({ message: overlap });
+    await saveZone(zone);
+
+    await recordAudit(req, {
+      action: 'shipping_zone.create',
+      targetType: 'ShippingZone',
+      targetId: zone._id,
+      after: snapshot(zone, EDITABLE_FIELDS),
+    });
+
+    console.log(`✅ Shipping zone created: ${zone.name}`);
+    res.status(201).json(zone);
+  } catch (error) {
+    answerSaveError(res, error, 'creating');
+  }
+};
+
+// @desc    Edit, deactivate or make default a shipping zone. Orders keep the rates they were quoted.
+// @route   PUT /api/shipping-zones/:id
+// @access  Private (shipping:manage)
+const updateShippingZone = async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) return res.status(404).json({ message: 'Shipping zone not found' });
+
+    const before = snapshot(zone, EDITABLE_FIELDS);
+    zone.set(pickEditable(req.body));
+    const overlap = await findOverlap(zone);
+    if (overlap) return res.status(400).json({ message: overlap });
+    await saveZone(zone);
+
+    await recordAudit(req, {
+      action: 'shipping_zone.update',
+      targetType: 'ShippingZone',
+      targetId: zone._id,
+      before,
+      after: snapshot(zone, EDITABLE_FIELDS),
+    });
+
+    res.json(zone);
+  } catch (error) {
+    answerSaveError(res, error, 'updating');
+  }
+};
+
+// @desc    Delete a shipping zone. Orders keep a copy of the zone they were quoted in.
+// @route   DELETE /api/shipping-zones/:id
+// @access  Private (shipping:manage)
+const deleteShippingZone = async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) return res.status(404).json({ message: 'Shipping zone not found' });
+
+    await zone.deleteOne();
+    await recordAudit(req, {
+      action: 'shipping_zone.delete',
+      targetType: 'ShippingZone',
+      targetId: zone._id,
+      before: snapshot(zone, EDITABLE_FIELDS),
+    });
+
+    res.json({ message: 'Shipping zone deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting shipping zone:', error);
+    res.status(500).json({ message: 'Error deleting shipping zone' });
+  }
+};
+
+export { getShippingZones, createShippingZone, updateShippingZone, deleteShippingZone };
@@ -0,0 +1,134 @@
+import Supplier from '../models/Supplier.js';
+import Product from '../models/Product.js';
+import PurchaseOrder, { OPEN_PO_STATUSES } from '../models/PurchaseOrder.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
+
+const EDITABLE_FIELDS = ['name', 'contactName', 'email', 'phone', 'address', 'leadTimeDays', 'notes', 'is_active'];
+
+const pickEditable = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const answerSaveError = (res, error, action) => {
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'Another supplier already has this name' });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join('; ') });
+  }
+  console.error(`❌ Error ${action} supplier:`, error);
+  return res.status(500).json({ message: `Error ${action} supplier` });
+};
+
+// @desc    List suppliers with how many products and open purchase orders each has
+// @route   GET /api/suppliers
+// @access  Private (purchasing:manage)
+const getSuppliers = async (req, res) => {
+  try {
+    const suppliers = await Supplier.find().sort({ name: 1 }).lean();
+    const [productCounts, openOrderCounts] = await Promise.all([
+      Product.aggregate([
+        { $match: { supplierId: { $ne: null } } },
+        { $group: { _id: '$supplierId', count: { $sum: 1 } } }
+      ]),
+      PurchaseOrder.aggregate([
+        { $match: { status: { $in: OPEN_PO_STATUSES } } },
+        { $group: { _id: '$supplierId', count: { $sum: 1 } } }
+      ])
+    ]);
+    const countsBy = (rows) => new Map(rows.map(row => [row._id.toString(), row.count]));
+    const products = countsBy(productCounts);
+    const openOrders = countsBy(openOrderCounts);
+
+    res.json(suppliers.map(supplier => ({
+      ...supplier,
+      productCount: products.get(supplier._id.toString()) || 0,
+      openOrderCount: openOrders.get(supplier._id.toString()) || 0
+    })));
+  } catch (error) {
+    console.error('❌ Error fetching suppliers:', error);
+    res.status(500).json({ message: 'Error fetching suppliers' });
+  }
+};
+
+// @desc    Add a supplier
+// @route   POST /api/suppliers
+// @access  Private (purchasing:manage)
+const createSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.create(pickEditable(req.body));
+
+    await recordAudit(req, {
+      action: 'supplier.create',
+      targetType: 'Supplier',
+      targetId: supplier._id,
+      after: snapshot(supplier, EDITABLE_FIELDS),
+    });
+
+    console.log(`✅ Supplier created: ${supplier.name}`);
+    res.status(201).json(supplier);
+  } catch (error) {
+    answerSaveError(res, error, 'creating');
+  }
+};
+
+// @desc    Edit or deactivate a supplier
+// @route   PUT /api/suppliers/:id
+// @access  Private (purchasing:manage)
+const updateSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) return res.status(404).json({ message: 'Supplier not found' });
+
+    const before = snapshot(supplier, EDITABLE_FIELDS);
+    supplier.set(pickEditable(req.body));
+    await supplier.save();
+
+    await recordAudit(req, {
+      action: 'supplier.update',
+      targetType: 'Supplier',
+      targetId: supplier._id,
+      before,
+      after: snapshot(supplier, EDITABLE_FIELDS),
+    });
+
+    res.json(supplier);
+  } catch (error) {
+    answerSaveError(res, error, 'updating');
+  }
+};
+
+// @desc    Delete a supplier nothing refers to; otherwise deactivate it instead
+// @route   DELETE /api/suppliers/:id
+// @access  Private (purchasing:manage)
+const deleteSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) return res.status(404).json({ message: 'Supplier not found' });
+
+    const [products, orders] = await Promise.all([
+      Product.countDocuments({ supplierId: supplier._id }),
+      PurchaseOrder.countDocuments({ supplierId: supplier._id })
+    ]);
+    if (products > 0 || orders > 0) {
+      return res.status(400).json({
+        message: `${supplier.name} has ${products} product(s) and ${orders} purchase order(s). Deactivate it instead.`
+      });
+    }
+
+    await supplier.deleteOne();
+    await recordAudit(req, {
+      action: 'supplier.delete',
+      targetType: 'Supplier',
+      targetId: supplier._id,
+      before: snapshot(supplier, EDITABLE_FIELDS),
+    });
+
+    res.json({ message: 'Supplier deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting supplier:', error);
+    res.status(500).json({ message: 'Error deleting supplier' });
+  }
+};
+
+export { getSuppliers, createSupplier, updateSupplier, deleteSupplier };
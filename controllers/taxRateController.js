@@ -0,0 +1,114 @@
+import TaxRate, { TAX_SCOPES } from '../models/TaxRate.js';
+import Product from '../models/Product.js';
+import { getDefaultShopRate } from '../utils/tax.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
+
+const EDITABLE_FIELDS = ['scope', 'category', 'name', 'rate', 'is_active'];
+
+const pickEditable = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const answerSaveError = (res, error, action) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: Object.values(error.errors).map(e => e.message).join('; ') });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'There is already a rate for that service or category' });
+  }
+  console.error(`❌ Error ${action} tax rate:`, error);
+  return res.status(500).json({ message: `Error ${action} tax rate` });
+};
+
+// @desc    List tax rates, with the product categories a shop rate can be set for
+// @route   GET /api/tax-rates
+// @access  Private (tax:manage)
+const getTaxRates = async (req, res) => {
+  try {
+    const [rates, categories] = await Promise.all([
+      TaxRate.find().sort({ scope: 1, category: 1 }),
+      Product.distinct('category')
+    ]);
+    res.json({
+      rates,
+      scopes: TAX_SCOPES,
+      categories: categories.filter(Boolean).sort(),
+      defaultShopRate: getDefaultShopRate()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching tax rates:', error);
+    res.status(500).json({ message: 'Error fetching tax rates' });
+  }
+};
+
+// @desc    Add a tax rate for a service, the shop, or one shop category
+// @route   POST /api/tax-rates
+// @access  Private (tax:manage)
+const createTaxRate = async (req, res) => {
+  try {
+    const taxRate = await TaxRate.create(pickEditable(req.body));
+
+    await recordAudit(req, {
+      action: 'tax_rate.create',
+      targetType: 'TaxRate',
+      targetId: taxRate._id,
+      after: snapshot(taxRate, EDITABLE_FIELDS),
+    });
+
+    console.log(`✅ Tax rate created: ${taxRate.name} ${taxRate.rate}% on ${taxRate.category || taxRate.scope}`);
+    res.status(201).json(taxRate);
+  } catch (error) {
+    answerSaveError(res, error, 'creating');
+  }
+};
+
+// @desc    Change or deactivate a tax rate. Issued invoices keep the rate they were charged.
+// @route   PUT /api/tax-rates/:id
+// @access  Private (tax:manage)
+const updateTaxRate = async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findById(req.params.id);
+    if (!taxRate) return res.status(404).json({ message: 'Tax rate not found' });
+
+    const before = snapshot(taxRate, EDITABLE_FIELDS);
+    taxRate.set(pickEditable(req.body));
+    await taxRate.save();
+
+    await recordAudit(req, {
+      action: 'tax_rate.update',
+      targetType: 'TaxRate',
+      targetId: taxRate._id,
+      before,
+      after: snapshot(taxRate, EDITABLE_FIELDS),
+    });
+
+    res.json(taxRate);
+  } catch (error) {
+    answerSaveError(res, error, 'updating');
+  }
+};
+
+// @desc    Delete a tax rate; sales fall back to the general rate of its scope
+// @route   DELETE /api/tax-rates/:id
+// @access  Private (tax:manage)
+const deleteTaxRate = async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findById(req.params.id);
+    if (!taxRate) return res.status(404).json({ message: 'Tax rate not found' });
+
+    await taxRate.deleteOne();
+    await recordAudit(req, {
+      action: 'tax_rate.delete',
+      targetType: 'TaxRate',
+      targetId: taxRate._id,
+      before: snapshot(taxRate, EDITABLE_FIELDS),
+    });
+
+    res.json({ message: 'Tax rate deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting tax rate:', error);
+    res.status(500).json({ message: 'Error deleting tax rate' });
+  }
+};
+
+export { getTaxRates, createTaxRate, updateTaxRate, deleteTaxRate };
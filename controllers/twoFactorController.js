@@ -0,0 +1,292 @@
+import User from '../models/User.js';
+import { TWO_FACTOR_ROLES } from '../config/permissions.js';
+import { createLoginResponse, getClientIp } from '../utils/authSession.js';
+import { hashToken, verifyChallengeToken } from '../utils/generateToken.js';
+import { isTwoFactorRequired } from '../utils/permissions.js';
+import { generateSecret, verifyTotp, buildOtpAuthUrl, buildQrCodeDataUrl, generateBackupCodes } from '../utils/totp.js';
+import {
+    progressiveDelay, rejectThrottledIp, recordIpFailure, clearIpFailures,
+    isAccountLocked, recordAccountFailure, clearAccountFailures,
+} from '../utils/bruteForce.js';
+
+const SECRET_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorBackupCodes +twoFactorLastUsedStep';
+
+const normaliseBackupCode = (code) => String(code || '').trim().toLowerCase().replace(/\s/g, '');
+
+/**
+ * Check a TOTP code or, failing that, a one-off backup code.
+ * Marks the code as used on the user document; the caller saves it.
+ * @returns {Boolean|String} false, 'totp' or 'backup_code'.
+ */
+const checkSecondFactor = (user, { code, backupCode }) => {
+    if (code) {
+        const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastUsedStep ?? null);
+        if (step !== null) {
+            user.twoFactorLastUsedStep = step;
+            return 'totp';
+        }
+    }
+    if (backupCode) {
+        const hash = hashToken(normaliseBackupCode(backupCode));
+        const index = (user.twoFactorBackupCodes || []).indexOf(hash);
+        if (index !== -1) {
+            user.twoFactorBackupCodes.splice(index, 1);
+            return 'backup_code';
+        }
+    }
+    return false;
+};
+
+// Fresh backup codes: the plain codes go back to the user once, only hashes are kept
+const issueBackupCodes = (user) => {
+    const codes = generateBackupCodes();
+    user.twoFactorBackupCodes = codes.map(c => hashToken(normaliseBackupCode(c)));
+    return codes;
+};
+
+// Create a pending secret and the QR code the authenticator app scans
+const buildEnrollment = async (user) => {
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    const otpauthUrl = buildOtpAuthUrl(secret, user.email);
+    return { secret, otpauthUrl, qrCode: await buildQrCodeDataUrl(otpauthUrl) };
+};
+
+// Turn the pending secret into the active one if the first code from the app matches
+const confirmEnrollment = async (user, code) => {
+    if (!user.twoFactorPendingSecret) return null;
+    const step = verifyTotp(user.twoFactorPendingSecret, code);
+    if (step === null) return null;
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    const backupCodes = issueBackupCodes(user);
+    await user.save();
+    return backupCodes;
+};
+
+// Resolve the user behind a login challenge token
+const findChallengeUser = async (challengeToken, purpose) => {
+    const userId = challengeToken ? verifyChallengeToken(challengeToken, purpose) : null;
+    if (!userId) return null;
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user || user.status !== 'active') return null;
+    return user;
+};
+
+// @desc    Two-factor status for the logged-in user
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactorBackupCodes');
+        res.json({
+            enabled: user.twoFactorEnabled,
+            enabledAt: user.twoFactorEnabledAt,
+            required: await isTwoFactorRequired(user.role),
+            available: TWO_FACTOR_ROLES.includes(user.role),
+            backupCodesRemaining: (user.twoFactorBackupCodes || []).length,
+        });
+    } catch (error) {
+        console.error('❌ Two-factor status error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Start enrolment: returns a new secret and its QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private (staff roles)
+const setupTwoFactor = async (req, res) => {
+    if (!TWO_FACTOR_ROLES.includes(req.user.role)) {
+        return res.status(403).json({ message: 'Two-factor authentication is only available for staff accounts' });
+    }
+    try {
+        const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+        }
+        res.json(await buildEnrollment(user));
+    } catch (error) {
+        console.error('❌ Two-factor setup error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Finish enrolment with the first code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private (staff roles)
+const enableTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+        const backupCodes = await confirmEnrollment(user, req.body.code);
+        if (!backupCodes) {
+            return res.status(400).json({ message: 'Invalid code. Check the time on your device and try again.' });
+        }
+        console.log(`🔐 Two-factor authentication enabled for ${user.email}`);
+        res.json({ message: 'Two-factor authentication enabled', backupCodes });
+    } catch (error) {
+        console.error('❌ Two-factor enable error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Turn two-factor off (not allowed where the role requires it)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+    try {
+        if (await isTwoFactorRequired(req.user.role)) {
+            return res.status(403).json({ message: 'Two-factor authentication is mandatory for your role' });
+        }
+        const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+        }
+        if (!checkSecondFactor(user, req.body)) {
+            return res.status(400).json({ message: 'Invalid code' });
+        }
+
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = undefined;
+        user.twoFactorBackupCodes = undefined;
+        user.twoFactorLastUsedStep = undefined;
+        user.twoFactorEnabledAt = undefined;
+        await user.save();
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('❌ Two-factor disable error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Replace all backup codes (needs a current code)
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+        }
+        if (checkSecondFactor(user, { code: req.body.code }) !== 'totp') {
+            return res.status(400).json({ message: 'Invalid code' });
+        }
+        const backupCodes = issueBackupCodes(user);
+        await user.save();
+        res.json({ backupCodes });
+    } catch (error) {
+        console.error('❌ Backup code error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Second login step: exchange the challenge and a code for a session
+// @route   POST /api/auth/2fa/verify
+// @access  Public (needs the challenge token from /login)
+const verifyTwoFactorLogin = async (req, res) => {
+    const { challengeToken, code, backupCode } = req.body;
+    const ipAddress = getClientIp(req);
+    try {
+        if (await rejectThrottledIp(req, res, 'login')) return;
+
+        const user = await findChallengeUser(challengeToken, 'two_factor');
+        if (!user || !user.twoFactorEnabled) {
+            return res.status(401).json({ message: 'Login step expired, please log in again', code: 'CHALLENGE_EXPIRED' });
+        }
+        if (isAccountLocked(user)) {
+            return res.status(423).json({
+                message: 'This account is temporarily locked after too many failed attempts. Please try again later.',
+                lockedUntil: user.lockUntil,
+            });
+        }
+
+        const method = checkSecondFactor(user, { code, backupCode });
+        if (!method) {
+            const ipFailures = await recordIpFailure(ipAddress, 'login');
+            const accountResult = await recordAccountFailure(user);
+            if (accountResult.locked) {
+                return res.status(423).json({
+                    message: 'Too many failed attempts. This account has been locked and the owner has been emailed.',
+                    lockedUntil: user.lockUntil,
+                });
+            }
+            await progressiveDelay(Math.max(ipFailures, accountResult.failures));
+            return res.status(401).json({ message: 'Invalid authentication code' });
+        }
+
+        await user.save();
+        await clearAccountFailures(user);
+        await clearIpFailures(ipAddress, 'login');
+
+        const response = await createLoginResponse(user, req);
+        if (method === 'backup_code') {
+            response.backupCodesRemaining = user.twoFactorBackupCodes.length;
+        }
+        res.json(response);
+    } catch (error) {
+        console.error('❌ Two-factor login error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Forced enrolment during login, for roles where two-factor is mandatory
+// @route   POST /api/auth/2fa/enroll/setup
+// @access  Public (needs the enrolment challenge token from /login)
+const setupTwoFactorAtLogin = async (req, res) => {
+    try {
+        const user = await findChallengeUser(req.body.challengeToken, 'two_factor_enroll');
+        if (!user || user.twoFactorEnabled) {
+            return res.status(401).json({ message: 'Login step expired, please log in again', code: 'CHALLENGE_EXPIRED' });
+        }
+        res.json(await buildEnrollment(user));
+    } catch (error) {
+        console.error('❌ Two-factor enrolment error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Finish forced enrolment and log in
+// @route   POST /api/auth/2fa/enroll/enable
+// @access  Public (needs the enrolment challenge token from /login)
+const enableTwoFactorAtLogin = async (req, res) => {
+    const ipAddress = getClientIp(req);
+    try {
+        if (await rejectThrottledIp(req, res, 'login')) return;
+
+        const user = await findChallengeUser(req.body.challengeToken, 'two_factor_enroll');
+        if (!user || user.twoFactorEnabled) {
+            return res.status(401).json({ message: 'Login step expired, please log in again', code: 'CHALLENGE_EXPIRED' });
+        }
+
+        const backupCodes = await confirmEnrollment(user, req.body.code);
+        if (!backupCodes) {
+            await recordIpFailure(ipAddress, 'login');
+            return res.status(400).json({ message: 'Invalid code. Check the time on your device and try again.' });
+        }
+
+        await clearAccountFailures(user);
+        await clearIpFailures(ipAddress, 'login');
+        console.log(`🔐 Two-factor authentication enabled for ${user.email} during login`);
+
+        res.json({ ...(await createLoginResponse(user, req)), backupCodes });
+    } catch (error) {
+        console.error('❌ Two-factor enrolment error:', error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+export {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes,
+    verifyTwoFactorLogin,
+    setupTwoFactorAtLogin,
+    enableTwoFactorAtLogin,
+};
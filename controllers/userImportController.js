@@ -0,0 +1,188 @@
+import User from '../models/User.js';
+import { ROLES } from '../config/permissions.js';
+import { parseCsv } from '../utils/csv.js';
+import { isMinor } from '../utils/guardian.js';
+import { ensureStaffProfile } from '../utils/staffProfiles.js';
+import { unusablePasswordHash, issueInvitation } from '../utils/invitation.js';
+import { recordAudit } from '../utils/audit.js';
+
+const MAX_IMPORT_ROWS = 500;
+const IMPORTABLE_ROLES = ROLES.filter(role => role !== 'admin');
+const REQUIRED_COLUMNS = ['firstName', 'lastName', 'email', 'role'];
+const KNOWN_COLUMNS = [...REQUIRED_COLUMNS, 'username', 'contactNumber', 'address', 'dob', 'specializations', 'skills'];
+
+const EMAIL_RULE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_RULE = /^0\d{9}$/;
+
+// "First Name", "first_name" and "firstname" all map to firstName
+const normaliseHeader = (header) => {
+    const key = header.toLowerCase().replace(/[\s_-]/g, '');
+    return KNOWN_COLUMNS.find(column => column.toLowerCase() === key) || header;
+};
+
+const splitList = (value) => (value || '').split(';').map(item => item.trim()).filter(Boolean);
+
+// Check every row against the database and the rest of the file; nothing is written
+const validateRows = async (rows) => {
+    const emails = rows.map(row => row.email.toLowerCase()).filter(Boolean);
+    const requestedUsernames = rows.map(row => row.username).filter(Boolean);
+    const existing = await User.find({ $or: [{ email: { $in: emails } }, { username: { $in: requestedUsernames } }] }).select('email username');
+    const takenEmails = new Set(existing.map(u => u.email?.toLowerCase()));
+    const takenUsernames = new Set(existing.map(u => u.username));
+    const seenEmails = new Set();
+
+    const report = [];
+    for (const row of rows) {
+        const errors = [];
+        const email = row.email.toLowerCase();
+
+        for (const column of REQUIRED_COLUMNS) {
+            if (!row[column]) errors.push(`${column} is required`);
+        }
+        if (email && !EMAIL_RULE.test(email)) errors.push('email is not a valid address');
+        if (email && takenEmails.has(email)) errors.push('a user with this email already exists');
+        if (email && seenEmails.has(email)) errors.push('email appears more than once in the file');
+        if (row.role && !IMPORTABLE_ROLES.includes(row.role)) errors.push(`role must be one of ${IMPORTABLE_ROLES.join(', ')}`);
+        if (row.contactNumber && !PHONE_RULE.test(row.contactNumber)) errors.push('contactNumber must be 10 digits starting with 0');
+        if (row.dob && Number.isNaN(new Date(row.dob).getTime())) errors.push('dob is not a valid date');
+        if (row.role === 'customer' && row.dob && isMinor(row.dob)) errors.push('junior players must be added by their guardian');
+        if (row.specializations && row.role !== 'coach') errors.push('specializations only apply to coaches');
+        if (row.skills && row.role !== 'technician') errors.push('skills only apply to technicians');
+
+        // Use the requested username, or derive one from the email and number it until it is free
+        let username = row.username;
+        if (username) {
+            if (takenUsernames.has(username)) errors.push('username is already taken');
+        } else if (email) {
+            const base = email.split('@')[0].replace(/[^a-z0-9._-]/g, '');
+            username = base;
+            for (let n = 2; takenUsernames.has(username) || await User.exists({ username }); n++) {
+                username = `${base}${n}`;
+            }
+        }
+
+        if (email) seenEmails.add(email);
+        if (username) takenUsernames.add(username);
+        report.push({
+            line: row._line,
+            firstName: row.firstName,
+            lastName: row.lastName,
+            email,
+            username,
+            role: row.role,
+            status: errors.length ? 'invalid' : 'valid',
+            errors,
+        });
+    }
+    return report;
+};
+
+// @desc    Validate (dryRun) or import users from CSV, creating coach/technician profiles and sending invitations
+// @route   POST /api/users/import
+// @access  Private/Admin (users:manage)
+const importUsers = async (req, res) => {
+    const { csv, dryRun = true } = req.body;
+    if (!csv || typeof csv !== 'string') {
+        return res.status(400).json({ success: false, message: 'Paste or upload the CSV contents' });
+    }
+
+    const { headers, rows: rawRows } = parseCsv(csv);
+    const columns = headers.map(normaliseHeader);
+    const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        return res.status(400).json({ success: false, message: `Missing column(s): ${missing.join(', ')}` });
+    }
+    if (rawRows.length === 0) {
+        return res.status(400).json({ success: false, message: 'The file has no user rows' });
+    }
+    if (rawRows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ success: false, message: `Import at most ${MAX_IMPORT_ROWS} users at a time` });
+    }
+
+    const rows = rawRows.map(raw => {
+        const row = { _line: raw._line };
+        headers.forEach((header, index) => { row[columns[index]] = raw[header]; });
+        for (const column of KNOWN_COLUMNS) row[column] = row[column] || '';
+        return row;
+    });
+
+    try {
+        const report = await validateRows(rows);
+        const invalid = report.filter(r => r.status === 'invalid').length;
+        const summary = { total: report.length, valid: report.length - invalid, invalid, created: 0 };
+
+        // Nothing is imported unless every row is valid, so a file can simply be fixed and re-sent
+        if (dryRun || invalid > 0) {
+            return res.status(dryRun ? 200 : 400).json({
+                success: invalid === 0,
+                dryRun: true,
+                message: invalid ? `${invalid} row(s) need fixing before anything is imported` : 'All rows are valid',
+                summary,
+                rows: report,
+            });
+        }
+
+        const passwordHash = await unusablePasswordHash();
+        for (const [index, entry] of report.entries()) {
+            const row = rows[index];
+            try {
+                const user = await User.create({
+                    firstName: row.firstName,
+                    lastName: row.lastName,
+                    email: entry.email,
+                    username: entry.username,
+                    role: row.role,
+                    contactNumber: row.contactNumber || undefined,
+                    address: row.address || undefined,
+                    dob: row.dob || undefined,
+                    passwordHash,
+                });
+                await ensureStaffProfile(user, { specializations: splitList(row.specializations), skills: splitList(row.skills) });
+                await issueInvitation(user);
+                entry.status = 'created';
+                entry.userId = user._id;
+                summary.created++;
+            } catch (error) {
+                entry.status = 'failed';
+                entry.errors.push(error.message);
+            }
+        }
+
+        await recordAudit(req, {
+            action: 'user.import',
+            targetType: 'User',
+            after: { created: summary.created, failed: summary.total - summary.created },
+        });
+
+        console.log(`📥 ${req.user.username} imported ${summary.created} of ${summary.total} users`);
+        res.status(201).json({
+            success: summary.created === summary.total,
+            dryRun: false,
+            message: `Imported ${summary.created} of ${summary.total} users and sent their invitations`,
+            summary,
+            rows: report,
+        });
+    } catch (error) {
+        console.error('❌ Error importing users:', error);
+        res.status(500).json({ success: false, message: 'Error importing users' });
+    }
+};
+
+// @desc    Send a new set-password invitation to a user who has not accepted theirs
+// @route   POST /api/users/:id/invite
+// @access  Private/Admin (users:manage)
+const resendInvitation = async (req, res) => {
+    const user = await User.findById(req.params.id);
+    if (!user || !user.email || user.erasedAt) {
+        return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.inviteAcceptedAt || !user.invitedAt) {
+        return res.status(400).json({ message: 'This user already has a password of their own' });
+    }
+
+    await issueInvitation(user);
+    await recordAudit(req, { action: 'user.invite.resend', targetType: 'User', targetId: user._id });
+    res.json({ message: `Invitation sent to ${user.email}`, inviteExpiresAt: user.inviteExpiresAt });
+};
+
+export { importUsers, resendInvitation };
@@ -1,5 +1,11 @@
 import User from '../models/User.js';
 import bcrypt from 'bcryptjs';
+import { revokeAllSessions } from '../utils/authSession.js';
+import { recordAudit, snapshot } from '../utils/audit.js';
+import { sendEmail } from '../utils/notification.js';
+import { buildDataExport, eraseUser } from '../utils/personalData.js';
+import { ensureStaffProfile } from '../utils/staffProfiles.js';
+import { unusablePasswordHash, issueInvitation } from '../utils/invitation.js';
 
 // --- Functions for a user managing their OWN profile ---
 
@@ -35,12 +41,70 @@ const updateUserProfile = async (req, res) => {
         }
 
         const updatedUser = await user.save();
+
+        // A new password logs out every other device, keeping this one signed in
+        if (req.body.password) {
+            await revokeAllSessions(user._id, 'password_changed', req.authSession?._id);
+        }
+
         res.json(updatedUser);
     } else {
         res.status(404).json({ message: 'User not found' });
     }
 };
 
+// @desc    Download a copy of everything we hold about the logged-in user
+// @route   GET /api/users/profile/export
+// @access  Private
+const exportMyData = async (req, res) => {
+    const data = await buildDataExport(req.user._id);
+    if (!data) {
+        return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.attachment(`my-data-${new Date().toISOString().slice(0, 10)}.json`);
+    res.json(data);
+};
+
+// @desc    Permanently erase the logged-in customer's personal data
+// @route   DELETE /api/users/profile
+// @access  Private (customers; staff accounts are erased by an admin)
+const eraseMyAccount = async (req, res) => {
+    if (req.user.role !== 'customer') {
+        return res.status(403).json({ message: 'Staff accounts are closed by an administrator' });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user || !user.passwordHash || !(await bcrypt.compare(req.body?.password || '', user.passwordHash))) {
+        return res.status(401).json({ message: 'Please confirm with your current password' });
+    }
+
+    const before = snapshot(user, ['username', 'email', 'role', 'status']);
+    const email = user.email;
+    const name = user.firstName || user.username;
+    const { erased, blockers } = await eraseUser(user);
+    if (blockers.length > 0) {
+        return res.status(409).json({ message: `Your account cannot be erased yet: ${blockers.join('; ')}.`, blockers });
+    }
+
+    await recordAudit(req, {
+        action: 'user.erase.self',
+        targetType: 'User',
+        targetId: user._id,
+        before,
+        after: { erased: erased.length },
+    });
+
+    sendEmail(
+        email,
+        'Your account has been erased',
+        `Hello ${name},\n\nAs you asked, we have erased the personal data on your account and signed you out everywhere.\n`
+        + `Records we must keep for accounting (orders and payments) remain, but are no longer linked to your name or contact details.`
+    ).catch(err => console.error('❌ Failed to send erasure confirmation email:', err));
+
+    res.json({ message: 'Your account has been erased', erased });
+};
+
 // @desc    Get all users
 // @route   GET /api/users
 // @access  Private (Admin)
@@ -128,14 +192,22 @@ const createUserByAdmin = async (req, res) => {
         return res.status(400).json({ message: 'User with this email or username already exists' });
     }
 
-    const salt = await bcrypt.genSalt(10);
-    const passwordHash = await bcrypt.hash(password, salt);
+    // Without a password the new user is invited to choose their own
+    let passwordHash;
+    if (password) {
+        const salt = await bcrypt.genSalt(10);
+        passwordHash = await bcrypt.hash(password, salt);
+    } else {
+        passwordHash = await unusablePasswordHash();
+    }
 
     const user = new User({
         email, username, passwordHash, role, firstName, lastName
     });
 
     const createdUser = await user.save();
+    await ensureStaffProfile(createdUser, req.body);
+    if (!password) await issueInvitation(createdUser);
     res.status(201).json(createdUser);
 };
 
@@ -145,6 +217,8 @@ const createUserByAdmin = async (req, res) => {
 const updateUserByAdmin = async (req, res) => {
     const user = await User.findById(req.params.id);
     if (user) {
+        const auditFields = ['firstName', 'lastName', 'email', 'role', 'status'];
+        const before = snapshot(user, auditFields);
         user.firstName = req.body.firstName || user.firstName;
         user.lastName = req.body.lastName || user.lastName;
         user.role = req.body.role || user.role;
@@ -160,23 +234,69 @@ const updateUserByAdmin = async (req, res) => {
         }
 
         const updatedUser = await user.save();
+        await ensureStaffProfile(updatedUser);
+
+        await recordAudit(req, {
+            action: 'user.update',
+            targetType: 'User',
+            targetId: updatedUser._id,
+            before,
+            after: snapshot(updatedUser, auditFields),
+        });
+
+        if (updatedUser.status !== 'active') {
+            await revokeAllSessions(updatedUser._id, 'account_suspended');
+        }
+
         res.json(updatedUser);
     } else {
         res.status(404).json({ message: 'User not found' });
     }
 };
 
-// @desc    Delete a user (by admin)
+// @desc    Erase a user and their junior players (by admin)
 // @route   DELETE /api/users/:id
 // @access  Private/Admin
 const deleteUserByAdmin = async (req, res) => {
+    if (req.params.id === req.user._id.toString()) {
+        return res.status(400).json({ message: 'You cannot erase your own account' });
+    }
+
     const user = await User.findById(req.params.id);
-    if (user) {
-        await User.deleteOne({ _id: user._id });
-        res.json({ message: 'User removed' });
-    } else {
-        res.status(404).json({ message: 'User not found' });
+    if (!user || user.erasedAt) {
+        return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Anonymised in place rather than deleted, so orders and payments keep a valid owner
+    const before = snapshot(user, ['username', 'email', 'role', 'status']);
+    const { erased, blockers } = await eraseUser(user);
+    if (blockers.length > 0) {
+        return res.status(409).json({ message: `This account cannot be erased yet: ${blockers.join('; ')}.`, blockers });
     }
+
+    await recordAudit(req, {
+        action: 'user.erase',
+        targetType: 'User',
+        targetId: user._id,
+        before,
+        after: { erased: erased.length },
+        reason: req.body?.reason,
+    });
+    res.json({ message: 'User erased', erased });
+};
+
+// @desc    Download everything held about a user (subject access request)
+// @route   GET /api/users/:id/export
+// @access  Private/Admin
+const exportUserDataByAdmin = async (req, res) => {
+    const data = await buildDataExport(req.params.id);
+    if (!data) {
+        return res.status(404).json({ message: 'User not found' });
+    }
+
+    await recordAudit(req, { action: 'user.export', targetType: 'User', targetId: data.profile._id });
+    res.attachment(`user-data-${data.profile._id}.json`);
+    res.json(data);
 };
 
 
@@ -186,23 +306,138 @@ const deleteUserByAdmin = async (req, res) => {
 const updateUserStatusByAdmin = async (req, res) => {
     const user = await User.findById(req.params.id);
     if (user) {
+        const previousStatus = user.status;
         user.status = req.body.status;
         const updatedUser = await user.save();
+
+        await recordAudit(req, {
+            action: 'user.status.update',
+            targetType: 'User',
+            targetId: updatedUser._id,
+            before: { status: previousStatus },
+            after: { status: updatedUser.status },
+            reason: req.body.reason,
+        });
+
+        // Suspending or deactivating an account ends all of its sessions immediately
+        if (updatedUser.status !== 'active') {
+            await revokeAllSessions(updatedUser._id, 'account_suspended');
+        }
+
         res.json(updatedUser);
     } else {
         res.status(404).json({ message: 'User not found' });
     }
 };
 
+// @desc    List accounts currently locked after failed login attempts
+// @route   GET /api/users/locked
+// @access  Private/Admin
+const getLockedUsers = async (req, res) => {
+    try {
+        const users = await User.find({ lockUntil: { $gt: new Date() } })
+            .select('username email firstName lastName role lockUntil lastFailedLoginAt')
+            .sort({ lockUntil: -1 });
+        res.json(users);
+    } catch (error) {
+        console.error('Error fetching locked users:', error);
+        res.status(500).json({ message: 'Error fetching locked users' });
+    }
+};
+
+// @desc    Lift a brute-force lock before it expires
+// @route   PUT /api/users/:id/unlock
+// @access  Private/Admin
+const unlockUserByAdmin = async (req, res) => {
+    const user = await User.findById(req.params.id);
+    if (user) {
+        user.failedLoginAttempts = 0;
+        user.lastFailedLoginAt = undefined;
+        const before = { lockUntil: user.lockUntil || null };
+        user.lockUntil = undefined;
+        await user.save();
+        await recordAudit(req, {
+            action: 'user.unlock',
+            targetType: 'User',
+            targetId: user._id,
+            before,
+            after: { lockUntil: null },
+        });
+        console.log(`🔓 Account ${user.email} unlocked by ${req.user.email}`);
+        res.json({ message: 'Account unlocked', _id: user._id });
+    } else {
+        res.status(404).json({ message: 'User not found' });
+    }
+};
+
+// @desc    Reset two-factor authentication for a user who lost their device
+// @route   PUT /api/users/:id/2fa/reset
+// @access  Private/Admin
+const resetTwoFactorByAdmin = async (req, res) => {
+    const { reason } = req.body;
+    if (!reason || !reason.trim()) {
+        return res.status(400).json({ message: 'A reason is required to reset two-factor authentication' });
+    }
+    if (req.params.id === req.user._id.toString()) {
+        return res.status(400).json({ message: 'Ask another administrator to reset your own two-factor authentication' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.twoFactorEnabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is not enabled for this user' });
+    }
+
+    const before = { twoFactorEnabled: true, twoFactorEnabledAt: user.twoFactorEnabledAt };
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorBackupCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    user.twoFactorEnabledAt = undefined;
+    await user.save();
+
+    // Whoever holds the lost device must not keep an open session
+    await revokeAllSessions(user._id, 'two_factor_reset');
+
+    await recordAudit(req, {
+        action: 'user.twoFactor.reset',
+        targetType: 'User',
+        targetId: user._id,
+        before,
+        after: { twoFactorEnabled: false },
+        reason: reason.trim(),
+    });
+
+    sendEmail(
+        user.email,
+        'Your two-factor authentication was reset',
+        `Hello ${user.firstName || user.username},\n\nAn administrator has reset two-factor authentication on your account and signed you out of all devices.\n`
+        + `You will be asked to set it up again the next time you log in if your role requires it.\n\n`
+        + `If you did not ask for this, contact us straight away.`
+    ).catch(err => console.error('❌ Failed to send 2FA reset email:', err));
+
+    console.log(`🔐 Two-factor authentication for ${user.email} reset by ${req.user.email}`);
+    res.json({ message: 'Two-factor authentication reset', _id: user._id });
+};
+
 export {
     // Functions for regular users
     getUserProfile,
     updateUserProfile,
+    exportMyData,
+    eraseMyAccount,
     // Functions for Admins
     getAllUsers,
     getUserById,
     createUserByAdmin,
     updateUserByAdmin,
     deleteUserByAdmin,
+    exportUserDataByAdmin,
     updateUserStatusByAdmin,
+    getLockedUsers,
+    unlockUserByAdmin,
+    resetTwoFactorByAdmin,
 };
@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import Wishlist from '../models/Wishlist.js';
+import RestockAlert from '../models/RestockAlert.js';
+import Product from '../models/Product.js';
+import { alertTarget } from '../utils/restockAlerts.js';
+
+const PRODUCT_FIELDS = 'name price image_url stock_quantity is_active variants variantOptions ratingAverage ratingCount';
+
+// Find the product and, if given, its variant; returns an error message when either is missing
+const findProductAndVariant = async (productId, variantId) => {
+  if (!mongoose.Types.ObjectId.isValid(productId) || (variantId && !mongoose.Types.ObjectId.isValid(variantId))) {
+    return { message: 'Invalid product' };
+  }
+  const product = await Product.findById(productId);
+  if (!product || !product.is_active) return { message: 'Product not found' };
+  if (variantId && !product.getVariant(variantId)) return { message: 'Variant not found' };
+  return { product };
+};
+
+// @desc    The customer's wishlist, with current price and stock, and the restock alert waiting on each item
+// @route   GET /api/wishlist
+// @access  Private
+const getWishlist = async (req, res) => {
+  try {
+    const [wishlist, alerts] = await Promise.all([
+      Wishlist.findOne({ userId: req.user._id }).populate('items.productId', PRODUCT_FIELDS),
+      RestockAlert.find({ userId: req.user._id, status: 'waiting' }).select('productId variantId')
+    ]);
+    const alertIds = new Map(alerts.map(alert => [`${alert.productId}:${alert.variantId || ''}`, alert._id]));
+
+    const items = (wishlist?.items || [])
+      .filter(item => item.productId) // the product has since been deleted
+      .map(item => {
+        const product = item.productId;
+        const { name, inStock } = alertTarget(product, item.variantId);
+        return {
+          _id: item._id,
+          product,
+          variantId: item.variantId,
+          name,
+          inStock,
+          addedAt: item.addedAt,
+          restockAlertId: alertIds.get(`${product._id}:${item.variantId || ''}`) || null
+        };
+      })
+      .sort((a, b) => b.addedAt - a.addedAt);
+
+    res.json(items);
+  } catch (error) {
+    console.error('❌ Error fetching wishlist:', error);
+    res.status(500).json({ message: 'Error fetching wishlist' });
+  }
+};
+
+// @desc    Add a product or variant to the wishlist; adding it twice is harmless
+// @route   POST /api/wishlist
+// @access  Private
+const addToWishlist = async (req, res) => {
+  try {
+    const { productId, variantId = null } = req.body;
+    const found = await findProductAndVariant(productId, variantId);
+    if (!found.product) return res.status(400).json({ message: found.message });
+
+    const wishlist = await Wishlist.findOneAndUpdate(
+      { userId: req.user._id },
+      { $setOnInsert: { userId: req.user._id } },
+      { upsert: true, new: true }
+    );
+    if (!wishlist.findItem(productId, variantId)) {
+      wishlist.items.push({ productId, variantId: variantId || null });
+      await wishlist.save();
+    }
+    res.status(201).json({ message: 'Added to your wishlist', count: wishlist.items.length });
+  } catch (error) {
+    console.error('❌ Error adding to wishlist:', error);
+    res.status(500).json({ message: 'Error adding to wishlist' });
+  }
+};
+
+// @desc    Remove an item from the wishlist
+// @route   DELETE /api/wishlist/:itemId
+// @access  Private
+const removeFromWishlist = async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOneAndUpdate(
+      { userId: req.user._id, 'items._id': req.params.itemId },
+      { $pull: { items: { _id: req.params.itemId } } },
+      { new: true }
+    );
+    if (!wishlist) return res.status(404).json({ message: 'That item is not on your wishlist' });
+    res.json({ message: 'Removed from your wishlist', count: wishlist.items.length });
+  } catch (error) {
+    console.error('❌ Error removing from wishlist:', error);
+    res.status(500).json({ message: 'Error removing from wishlist' });
+  }
+};
+
+// @desc    Restock alerts the customer is still waiting on
+// @route   GET /api/wishlist/restock-alerts
+// @access  Private
+const getRestockAlerts = async (req, res) => {
+  try {
+    const alerts = await RestockAlert.find({ userId: req.user._id, status: 'waiting' })
+      .populate('productId', 'name image_url')
+      .sort({ createdAt: -1 });
+    res.json(alerts);
+  } catch (error) {
+    console.error('❌ Error fetching restock alerts:', error);
+    res.status(500).json({ message: 'Error fetching restock alerts' });
+  }
+};
+
+// @desc    Ask to be told when an out-of-stock product or variant is back
+// @route   POST /api/wishlist/restock-alerts
+// @access  Private
+const subscribeRestockAlert = async (req, res) => {
+  try {
+    const { productId, variantId = null } = req.body;
+    const found = await findProductAndVariant(productId, variantId);
+    if (!found.product) return res.status(400).json({ message: found.message });
+    const target = alertTarget(found.product, variantId);
+    if (target.inStock) return res.status(400).json({ message: `${target.name} is in stock now` });
+
+    const alert = await RestockAlert.findOneAndUpdate(
+      { userId: req.user._id, productId, variantId: variantId || null, status: 'waiting' },
+      { $setOnInsert: { userId: req.user._id, productId, variantId: variantId || null } },
+      { upsert: true, new: true }
+    );
+    console.log(`🔔 Restock alert set for ${target.name}`);
+    res.status(201).json({ alert, message: `We will email you when ${target.name} is back in stock` });
+  } catch (error) {
+    console.error('❌ Error setting restock alert:', error);
+    res.status(500).json({ message: 'Error setting restock alert' });
+  }
+};
+
+// @desc    Stop waiting for a restock alert
+// @route   DELETE /api/wishlist/restock-alerts/:id
+// @access  Private
+const cancelRestockAlert = async (req, res) => {
+  try {
+    const alert = await RestockAlert.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, status: 'waiting' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+    if (!alert) return res.status(404).json({ message: 'Restock alert not found' });
+    res.json({ message: 'Restock alert cancelled' });
+  } catch (error) {
+    console.error('❌ Error cancelling restock alert:', error);
+    res.status(500).json({ message: 'Error cancelling restock alert' });
+  }
+};
+
+export {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  getRestockAlerts,
+  subscribeRestockAlert,
+  cancelRestockAlert
+};
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Sri Lanka's 25 districts; delivery staff sort and group orders by these
+const DISTRICTS = [
+  'Ampara', 'Anuradhapura', 'Badulla', 'Batticaloa', 'Colombo', 'Galle', 'Gampaha', 'Hambantota',
+  'Jaffna', 'Kalutara', 'Kandy', 'Kegalle', 'Kilinochchi', 'Kurunegala', 'Mannar', 'Matale',
+  'Matara', 'Monaragala', 'Mullaitivu', 'Nuwara Eliya', 'Polonnaruwa', 'Puttalam', 'Ratnapura',
+  'Trincomalee', 'Vavuniya'
+];
+
+// The structured parts of a delivery address, shared with the copy kept on each order
+const addressFields = {
+  // "Home", "Office", ...
+  label: { type: String, trim: true, maxlength: 40 },
+  recipientName: { type: String, trim: true, maxlength: 100 },
+  line1: { type: String, trim: true, required: [true, 'Enter the street address'], maxlength: 200 },
+  line2: { type: String, trim: true, maxlength: 200 },
+  city: { type: String, trim: true, required: [true, 'Enter the city'], maxlength: 100 },
+  district: { type: String, enum: { values: DISTRICTS, message: 'Choose a district' }, required: [true, 'Choose a district'] },
+  postalCode: { type: String, trim: true, match: [/^\d{5}$/, 'Postal codes have 5 digits'] },
+  phone: { type: String, trim: true, required: [true, 'Enter a phone number for the courier'], match: [/^\+?[\d\s-]{9,15}$/, 'Enter a valid phone number'] },
+  // Gate codes, landmarks, best time to deliver...
+  instructions: { type: String, trim: true, maxlength: 300 }
+};
+
+// One saved delivery address in a customer's address book
+const addressSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  ...addressFields,
+  // Picked first at checkout; a customer has at most one
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+export { DISTRICTS, addressFields };
+export default mongoose.model('Address', addressSchema);
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Append-only record of a sensitive action: who did what, to which record,
+// from where, and which fields changed. Entries can be created and read but
+// never edited or removed; the hooks below reject every update and delete.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  // Copied at write time so the entry still reads correctly if the user is later renamed or erased
+  actorName: String,
+  actorRole: String,
+  // The user being impersonated when the actor acted through "view as user"
+  impersonatedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: undefined,
+    index: true
+  },
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  targetType: {
+    type: String,
+    index: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  reason: String,
+  ipAddress: String,
+  userAgent: String
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ createdAt: -1 });
+
+const rejectChange = function (next) {
+  next(new Error('Audit log entries are append-only and cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'findOneAndDelete', 'deleteOne', 'deleteMany']) {
+  auditLogSchema.pre(operation, { document: false, query: true }, rejectChange);
+}
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+export default mongoose.model('AuditLog', auditLogSchema);
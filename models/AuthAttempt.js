@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// Failed attempts from one IP address against one auth action, counted over a
+// fixed window. Documents remove themselves once the window has passed.
+const authAttemptSchema = new mongoose.Schema({
+  ipAddress: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['login', 'password_reset', 'email_verification'],
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+authAttemptSchema.index({ ipAddress: 1, action: 1 }, { unique: true });
+authAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('AuthAttempt', authAttemptSchema);
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// One document per logged-in device. The refresh token itself is never stored,
+// only its SHA-256 hash, so a database leak does not hand out live sessions.
+const authSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Hash of the token that was rotated out last; presenting it again means the
+  // old token was stolen and replayed, so the whole session gets revoked.
+  previousTokenHash: {
+    type: String,
+    index: true
+  },
+  userAgent: String,
+  ipAddress: String,
+  deviceName: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when an admin is viewing the app as this user ("view as user").
+  // Such sessions are short-lived, have no usable refresh token and are read-only
+  // unless allowWrites was chosen when the impersonation started.
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  impersonationReason: String,
+  allowWrites: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked_by_user', 'account_suspended', 'account_deleted', 'token_reuse', 'password_changed', 'two_factor_reset', 'impersonation_ended'],
+    default: undefined
+  }
+}, { timestamps: true });
+
+// Let MongoDB clean up sessions once their refresh token can no longer be used
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+authSessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model('AuthSession', authSessionSchema);
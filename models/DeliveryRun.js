@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+// Why a delivery could not be made; the order goes back to processing for another run
+const FAILED_DELIVERY_REASONS = ['not_home', 'wrong_address', 'refused', 'unreachable', 'no_access', 'other'];
+
+// Stops in these statuses still hold on to their order
+const OPEN_STOP_STATUSES = ['pending', 'out_for_delivery'];
+
+// One order to drop off on a run, with what happened at the door
+const stopSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // pending → out_for_delivery → delivered or failed
+  status: {
+    type: String,
+    enum: ['pending', 'out_for_delivery', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  // Proof of delivery
+  recipientName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // Path from POST /api/upload/delivery-photo
+  photo: String,
+  failedReason: {
+    type: String,
+    enum: FAILED_DELIVERY_REASONS
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // When the driver marked the stop delivered or failed
+  attemptedAt: Date
+});
+
+// A set of processing orders handed to one delivery staff member for a day.
+// planned → out (once the first stop leaves) → completed (every stop delivered or failed),
+// or cancelled while still planned. Each stop moves its order along the order lifecycle.
+const deliveryRunSchema = new mongoose.Schema({
+  runNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The day the run goes out
+  date: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // In driving order
+  stops: {
+    type: [stopSchema],
+    validate: [stops => stops.length > 0, 'Add at least one order to the run']
+  },
+  status: {
+    type: String,
+    enum: ['planned', 'out', 'completed', 'cancelled'],
+    default: 'planned',
+    index: true
+  },
+  // Anything the driver should know, e.g. where to load
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+deliveryRunSchema.index({ 'stops.orderId': 1 });
+
+// RUN-00001, RUN-00002, ... The unique index catches two runs numbered at once.
+deliveryRunSchema.statics.nextNumber = async function () {
+  const [latest] = await this.find().sort({ createdAt: -1, _id: -1 }).limit(1).select('runNumber');
+  const last = latest ? parseInt(latest.runNumber.replace('RUN-', ''), 10) || 0 : 0;
+  return `RUN-${String(last + 1).padStart(5, '0')}`;
+};
+
+export { FAILED_DELIVERY_REASONS, OPEN_STOP_STATUSES };
+export default mongoose.model('DeliveryRun', deliveryRunSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Sign-up email verification codes. Kept on the server (hashed) because the
+// account does not exist yet, and so wrong guesses can be counted.
+const emailVerificationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+emailVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('EmailVerification', emailVerificationSchema);
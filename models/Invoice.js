@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+
+// What was paid for
+const INVOICE_SOURCES = ['order', 'booking', 'enrollment', 'repair'];
+
+// One line of a tax invoice. Amounts are after discounts; total = net + tax.
+const invoiceLineSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  quantity: { type: Number, default: 1, min: 0 },
+  unitPrice: { type: Number, default: 0, min: 0 },
+  discount: { type: Number, default: 0, min: 0 },
+  taxName: String,
+  taxRate: { type: Number, default: 0, min: 0 },
+  net: { type: Number, required: true, min: 0 },
+  tax: { type: Number, default: 0, min: 0 },
+  total: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// The tax on the invoice added up by rate, as the accountant reports it
+const taxTotalSchema = new mongoose.Schema({
+  name: String,
+  rate: { type: Number, default: 0 },
+  taxable: { type: Number, default: 0 },
+  tax: { type: Number, default: 0 }
+}, { _id: false });
+
+// A tax invoice for one successful payment (see utils/invoices.js). Invoice
+// numbers run without gaps, so an invoice is never changed or deleted once
+// issued; a refund is recorded against the payment instead.
+const invoiceSchema = new mongoose.Schema({
+  // 1, 2, 3, ... with no gaps; invoiceNumber is the same number as printed
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    unique: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  source: {
+    type: String,
+    enum: INVOICE_SOURCES,
+    required: true
+  },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+  enrollmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'ProgramEnrollment' },
+  repairRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'RepairRequest' },
+  // Who was billed, as they were at the time
+  billTo: {
+    name: String,
+    email: String,
+    address: String
+  },
+  lines: {
+    type: [invoiceLineSchema],
+    validate: [lines => lines.length > 0, 'An invoice needs at least one line']
+  },
+  // Before tax and after discounts, not counting shipping
+  subtotal: { type: Number, required: true, min: 0 },
+  discount: { type: Number, default: 0, min: 0 },
+  shipping: { type: Number, default: 0, min: 0 },
+  tax: { type: Number, default: 0, min: 0 },
+  total: { type: Number, required: true, min: 0 },
+  taxes: [taxTotalSchema],
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+const rejectChange = function (next) {
+  next(new Error('Invoices cannot be changed or deleted once issued'));
+};
+
+invoiceSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'findOneAndDelete', 'deleteOne', 'deleteMany']) {
+  invoiceSchema.pre(operation, { document: false, query: true }, rejectChange);
+}
+invoiceSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+// The number after the last one issued
+invoiceSchema.statics.nextSequence = async function () {
+  const [latest] = await this.find().sort({ sequence: -1 }).limit(1).select('sequence');
+  return (latest?.sequence || 0) + 1;
+};
+
+invoiceSchema.statics.formatNumber = (sequence) => `INV-${String(sequence).padStart(6, '0')}`;
+
+export { INVOICE_SOURCES };
+export default mongoose.model('Invoice', invoiceSchema);
@@ -8,7 +8,7 @@ const notificationSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['booking_created', 'booking_updated', 'booking_cancelled', 'booking_confirmed', 'booking_completed', 'status_changed'],
+        enum: ['booking_created', 'booking_updated', 'booking_cancelled', 'booking_confirmed', 'booking_completed', 'status_changed', 'back_in_stock', 'delivery_update'],
         required: true
     },
     title: {
@@ -29,6 +29,16 @@ const notificationSchema = new mongoose.Schema({
         ref: 'Ground',
         default: null
     },
+    relatedProduct: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        default: null
+    },
+    relatedOrder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null
+    },
     isRead: {
         type: Boolean,
         default: false
@@ -1,4 +1,18 @@
 import mongoose from 'mongoose';
+import { addressFields } from './Address.js';
+import { SHIPPING_METHODS } from './ShippingZone.js';
+
+// A promotion's share of the discount (on a line, or in total on the order)
+const appliedPromotionSchema = new mongoose.Schema({
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  code: String,
+  name: String,
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
 
 // Schema for items in the order
 const orderItemSchema = new mongoose.Schema({
@@ -7,10 +21,125 @@ const orderItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Which variant (bat weight, size, ...) was bought, when the product has variants
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: String,
+  variantLabel: String,
+  // Product name at the time of ordering, so the order still reads right if the product is renamed
+  name: String,
   quantity: { type: Number, required: true, min: 1 },
-  priceAtOrder: { type: Number, required: true, min: 0 }
+  priceAtOrder: { type: Number, required: true, min: 0 },
+  lineTotal: { type: Number, min: 0 },
+  // Promotion discount taken off lineTotal, and which promotions gave it
+  discount: { type: Number, default: 0, min: 0 },
+  promotions: [appliedPromotionSchema],
+  // Tax on the line after its discount, at the rate for its category when it was ordered
+  taxName: String,
+  taxRate: { type: Number, min: 0 },
+  tax: { type: Number, min: 0 }
 });
 
+// How the amount was worked out, computed on the server (see utils/pricing.js)
+const pricingSchema = new mongoose.Schema({
+  subtotal: { type: Number, required: true, min: 0 },
+  discount: { type: Number, default: 0, min: 0 },
+  shipping: { type: Number, default: 0, min: 0 },
+  // The rate all lines were taxed at, or the effective rate when their categories differ
+  taxRate: { type: Number, default: 0, min: 0 },
+  tax: { type: Number, default: 0, min: 0 },
+  total: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// How pricing.shipping was worked out (see utils/shipping.js). The zone's
+// name and thresholds are copied so later changes to the zone do not alter the order.
+const shippingQuoteSchema = new mongoose.Schema({
+  method: { type: String, enum: SHIPPING_METHODS, default: 'delivery' },
+  zoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShippingZone'
+  },
+  zoneName: String,
+  basis: String,
+  // Parcel weight in kg and number of items, whichever the zone charges on
+  weight: Number,
+  itemCount: Number,
+  freeOver: Number,
+  freeShipping: { type: Boolean, default: false },
+  // Priced without a district or postal code, so the default zone was assumed
+  estimate: { type: Boolean, default: false },
+  pickupLocation: String,
+  charge: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+// The order lifecycle. A cart becomes an order when it is placed ('created')
+// or paid for ('processing'); stock is out of the shop from 'processing' on.
+export const ORDER_STATUSES = ['cart_pending', 'created', 'processing', 'out_for_delivery', 'delivered', 'cancelled'];
+
+// Which status each status may move to next. A failed delivery goes back to processing.
+export const ORDER_TRANSITIONS = {
+  cart_pending: ['created', 'processing', 'cancelled'],
+  created: ['processing', 'cancelled'],
+  processing: ['out_for_delivery', 'cancelled'],
+  out_for_delivery: ['delivered', 'processing', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+// Statuses used before the lifecycle, and what they are now (see scripts/migrate-order-statuses.js)
+// 'completed' meant paid, not sent, so those orders still have to be dispatched
+export const LEGACY_ORDER_STATUSES = {
+  completed: 'processing',
+  Processing: 'processing',
+  'Out for Delivery': 'out_for_delivery',
+  Delivered: 'delivered',
+  Cancelled: 'cancelled'
+};
+
+// One step in an order's status history
+const statusChangeSchema = new mongoose.Schema({
+  status: { type: String, enum: ORDER_STATUSES, required: true },
+  from: { type: String, default: null },
+  at: { type: Date, default: Date.now },
+  // Who made the change; empty when the shop did it automatically
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: String
+}, { _id: false });
+
+// A line taken off, or cut down, after the order was placed (see utils/orderChanges.js)
+const lineChangeSchema = new mongoose.Schema({
+  // The _id of the line on the order; the line itself is gone once its quantity reaches 0
+  itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  name: String,
+  variantLabel: String,
+  from: { type: Number, required: true, min: 1 },
+  to: { type: Number, required: true, min: 0 },
+  // What the order total went down by for this line
+  amount: { type: Number, default: 0, min: 0 },
+  at: { type: Date, default: Date.now },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
+// The delivery address as it was when the order was placed (see utils/addresses.js)
+const deliveryAddressSchema = new mongoose.Schema({
+  ...addressFields,
+  // The address book entry it was copied from; editing that entry later does not change the order
+  addressId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Address'
+  }
+}, { _id: false });
+
 // Main Order schema
 const orderSchema = new mongoose.Schema({
   customerId: {
@@ -26,15 +155,34 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  pricing: pricingSchema,
+  shippingQuote: {
+    type: shippingQuoteSchema,
+    default: undefined
+  },
+  appliedPromotions: [appliedPromotionSchema],
+  // The delivery address as one line of text, for labels, emails and the PDF
   address: {
     type: String,
     required: true
   },
+  // The same address in parts, on orders delivered to an address book entry
+  deliveryAddress: {
+    type: deliveryAddressSchema,
+    default: undefined
+  },
   status: {
     type: String,
-    enum: ['cart_pending', 'created', 'processing', 'completed', 'cancelled', 'Processing', 'Out for Delivery', 'Delivered', 'Cancelled'],
+    enum: ORDER_STATUSES,
     default: 'cart_pending'
   },
+  // Every status the order has been in, oldest first. Change the status with
+  // transitionOrder (utils/orderLifecycle.js) so this stays complete.
+  statusHistory: [statusChangeSchema],
+  // Lines removed or reduced before dispatch, oldest first
+  lineChanges: [lineChangeSchema],
+  deliveredAt: Date,
+  cancelledAt: Date,
   date: {
     type: Date,
     default: Date.now
@@ -43,7 +191,39 @@ const orderSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Payment',
     required: false
+  },
+  // On a replacement sent for an exchange: the return it replaces
+  returnRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest',
+    default: undefined
+  },
+  // When the items were taken out of stock; cleared when a cancellation puts them back.
+  // Orders from before this field need scripts/backfill-order-stock-deducted.js
+  stockDeductedAt: {
+    type: Date,
+    default: null
+  },
+  // The shopping cart the order was filled from. Taking the order's stock
+  // turns that cart's holds into the deduction instead of counting them as someone else's.
+  cartToken: {
+    type: String,
+    default: null
   }
 });
 
+// A new order starts its history with the status it was created in
+orderSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, at: this.date });
+  }
+  next();
+});
+
+// Delivery staff filter and group orders by area
+orderSchema.index({ 'deliveryAddress.district': 1, 'deliveryAddress.city': 1 });
+
+// Orders the customer has received
+export const DELIVERED_ORDER_STATUSES = ['delivered'];
+
 export default mongoose.model('Order', orderSchema);
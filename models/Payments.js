@@ -1,12 +1,22 @@
 import mongoose from 'mongoose';
 
+// One refund paid out, with the part of the invoice's tax it gave back
+const refundSchema = new mongoose.Schema({
+  amount: { type: Number, required: true, min: 0 },
+  tax: { type: Number, default: 0 },
+  reason: String,
+  date: { type: Date, required: true }
+}, { _id: false });
+
 const paymentSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // customer or staff
   orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null }, // optional
   bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null }, // optional
+  enrollmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'ProgramEnrollment', default: null }, // optional
+  repairRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'RepairRequest', default: null }, // optional
   paymentType: {
     type: String,
-    enum: ['order_payment', 'booking_payment', 'enrollment_payment'],
+    enum: ['order_payment', 'booking_payment', 'enrollment_payment', 'repair_payment'],
     required: true
   },
   amount: { type: Number, required: true },
@@ -15,7 +25,16 @@ const paymentSchema = new mongoose.Schema({
     enum: ['success', 'failed', 'pending', 'refunded'],
     default: 'pending'
   },
-  paymentDate: { type: Date, required: true }
+  paymentDate: { type: Date, required: true },
+  // Total refunded so far; returns and removed order lines refund part of a payment, which is only 'refunded' once all of it is
+  refundAmount: { type: Number, min: 0 },
+  refundReason: String,
+  refundDate: Date,
+  // Each refund on its own, for reporting them by the day they were paid.
+  // Payments refunded before this was kept need scripts/backfill-payment-refunds.js
+  refunds: { type: [refundSchema], default: undefined },
+  // The tax invoice issued for this payment once it succeeded (see utils/invoices.js)
+  invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', default: null }
 }, { timestamps: true }); // adds createdAt & updatedAt automatically
 
 export default mongoose.model('Payment', paymentSchema);
\ No newline at end of file
@@ -1,5 +1,38 @@
 import mongoose from 'mongoose';
 
+// Suggested option dimensions; products may define others
+const VARIANT_DIMENSIONS = ['weight', 'size', 'grip', 'handedness'];
+
+// One buyable option of a product, e.g. an SS bat in 2.8lb, right-handed
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Dimension name -> chosen value, e.g. { weight: '2.8lb', handedness: 'Right' }
+  options: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Leave empty to sell at the product's price
+  price: {
+    type: Number,
+    min: 0
+  },
+  stock_quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  }
+});
+
 const productSchema = new mongoose.Schema({
   productId: {
     type: String,
@@ -42,8 +75,100 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Dimensions the variants differ by, e.g. [{ name: 'weight', values: ['2.8lb', '2.9lb'] }]
+  variantOptions: [{
+    _id: false,
+    name: { type: String, required: true, trim: true },
+    values: [{ type: String, trim: true }]
+  }],
+  variants: [variantSchema],
+  // Purchasing: who restocks the product, the stock level that triggers a
+  // low stock alert, and how many to order when it does (per variant if it has any)
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    default: null
+  },
+  reorderPoint: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  reorderQuantity: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Packed weight of one unit in kg, for weight-based shipping rates
+  shippingWeight: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Kept up to date from approved reviews by Review.refreshProductRating
+  ratingAverage: {
+    type: Number,
+    default: 0
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
 }, {
   timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
 });
 
+productSchema.index({ ratingAverage: -1, ratingCount: -1 });
+
+// Shop search (utils/productSearch.js): a match in the name counts most, then brand, category and description
+productSchema.index(
+  { name: 'text', brand: 'text', category: 'text', description: 'text' },
+  { name: 'product_search', weights: { name: 10, brand: 5, category: 3, description: 1 } }
+);
+
+// SKUs are unique across the whole catalogue
+productSchema.index({ 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } });
+
+productSchema.methods.hasVariants = function () {
+  return this.variants.length > 0;
+};
+
+productSchema.methods.getVariant = function (variantId) {
+  return variantId ? this.variants.id(variantId) : null;
+};
+
+// What a variant sells for: its own price, or the product's
+productSchema.methods.priceFor = function (variant) {
+  return variant && variant.price != null ? variant.price : this.price;
+};
+
+// "2.8lb / Right" for display on carts, orders and reports
+const variantLabel = (variant) => (variant ? [...variant.options.values()].join(' / ') : '');
+productSchema.statics.variantLabel = variantLabel;
+
+// Every variant must use the declared dimensions, be distinct and have its own SKU.
+// The product's stock is kept as the total of its variants so listings stay right.
+productSchema.pre('validate', function (next) {
+  if (!this.hasVariants()) return next();
+
+  const dimensions = new Map(this.variantOptions.map(o => [o.name, o.values]));
+  const skus = new Set();
+  const combinations = new Set();
+  for (const variant of this.variants) {
+    for (const [name, value] of variant.options) {
+      if (!dimensions.has(name)) return next(new Error(`Variant ${variant.sku} uses unknown option "${name}"`));
+      if (!dimensions.get(name).includes(value)) return next(new Error(`Variant ${variant.sku} has unknown ${name} "${value}"`));
+    }
+    const combination = [...dimensions.keys()].map(name => variant.options.get(name) || '').join('|');
+    if (combinations.has(combination)) return next(new Error(`More than one variant is ${variantLabel(variant)}`));
+    if (skus.has(variant.sku)) return next(new Error(`SKU ${variant.sku} is used twice`));
+    combinations.add(combination);
+    skus.add(variant.sku);
+  }
+
+  this.stock_quantity = this.variants.reduce((sum, v) => sum + (v.is_active ? v.stock_quantity : 0), 0);
+  next();
+});
+
+export { VARIANT_DIMENSIONS };
 export default mongoose.model('Product', productSchema);
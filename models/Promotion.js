@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+
+const PROMOTION_TYPES = ['percentage', 'fixed', 'buy_x_get_y'];
+
+// A shop discount. Promotions without a code apply automatically; those with
+// a code only apply when the customer enters it. See utils/promotions.js.
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: PROMOTION_TYPES,
+    required: true
+  },
+  // Percentage off (percentage, buy_x_get_y) or LKR off (fixed)
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // buy_x_get_y: buy this many of a product...
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  // ...and this many more of it get `value` percent off (100 = free)
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  // Limit to some categories, brands or products; all empty means the whole shop
+  categories: [{ type: String, trim: true }],
+  brands: [{ type: String, trim: true }],
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  // Spend needed on the items the promotion covers
+  minSpend: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: Date,
+  endsAt: Date,
+  // Orders per customer / in total that may use it; empty means unlimited
+  usageLimitPerCustomer: {
+    type: Number,
+    min: 1
+  },
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  // Stackable promotions combine with each other; any other promotion is only
+  // used on its own, when it beats all the stackable ones together
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  // Stackable promotions are applied in this order, highest first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+
+promotionSchema.pre('validate', function (next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'A percentage discount cannot be more than 100');
+  }
+  if (this.type === 'buy_x_get_y') {
+    if (!this.buyQuantity || !this.getQuantity) {
+      this.invalidate('buyQuantity', 'Buy X get Y promotions need both quantities');
+    }
+    if (this.value > 100) this.invalidate('value', 'A percentage discount cannot be more than 100');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'The promotion must end after it starts');
+  }
+  if (this.code === '') this.code = null;
+  next();
+});
+
+// Whether the promotion covers a product
+promotionSchema.methods.covers = function (product) {
+  const scoped = this.categories.length > 0 || this.brands.length > 0 || this.products.length > 0;
+  return !scoped
+    || this.categories.includes(product.category)
+    || (!!product.brand && this.brands.includes(product.brand))
+    || this.products.some(id => id.equals(product._id));
+};
+
+export { PROMOTION_TYPES };
+export default mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+
+// Statuses in which a PO still expects goods
+const OPEN_PO_STATUSES = ['ordered', 'partially_received'];
+
+// One product (or variant) on a purchase order
+const purchaseOrderLineSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Copied when the line is added so the PO still reads right after renames
+  sku: String,
+  name: String,
+  quantityOrdered: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  quantityReceived: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  unitCost: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+});
+
+// One delivery against the PO
+const goodsReceiptSchema = new mongoose.Schema({
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lines: [{
+    _id: false,
+    lineId: mongoose.Schema.Types.ObjectId,
+    quantity: Number
+  }],
+  note: String
+}, { _id: false });
+
+// draft → ordered → partially_received → received.
+// A PO can be cancelled before anything arrives, or closed short after a partial delivery.
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'ordered', 'partially_received', 'received', 'cancelled', 'closed'],
+    default: 'draft',
+    index: true
+  },
+  lines: {
+    type: [purchaseOrderLineSchema],
+    validate: [lines => lines.length > 0, 'A purchase order needs at least one line']
+  },
+  expectedDeliveryDate: Date,
+  orderedAt: Date,
+  // When the last outstanding unit arrived
+  receivedAt: Date,
+  receipts: [goodsReceiptSchema],
+  // 'low_stock' when drafted from a low stock alert
+  source: {
+    type: String,
+    enum: ['manual', 'low_stock'],
+    default: 'manual'
+  },
+  note: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+purchaseOrderSchema.virtual('total').get(function () {
+  return this.lines.reduce((sum, line) => sum + line.quantityOrdered * line.unitCost, 0);
+});
+
+purchaseOrderSchema.methods.outstandingFor = function (line) {
+  return Math.max(0, line.quantityOrdered - line.quantityReceived);
+};
+
+purchaseOrderSchema.methods.isFullyReceived = function () {
+  return this.lines.every(line => line.quantityReceived >= line.quantityOrdered);
+};
+
+purchaseOrderSchema.set('toJSON', { virtuals: true });
+
+// PO-00001, PO-00002, ... The unique index catches two POs numbered at once.
+purchaseOrderSchema.statics.nextNumber = async function () {
+  const [latest] = await this.find().sort({ createdAt: -1, _id: -1 }).limit(1).select('poNumber');
+  const last = latest ? parseInt(latest.poNumber.replace('PO-', ''), 10) || 0 : 0;
+  return `PO-${String(last + 1).padStart(5, '0')}`;
+};
+
+export { OPEN_PO_STATUSES };
+export default mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// A customer's request to hear when an out-of-stock product or variant is back.
+// Each request is answered once; asking again after that creates a new one.
+const restockAlertSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // null means any of the product's variants
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'sent', 'cancelled'],
+    default: 'waiting'
+  },
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+restockAlertSchema.index({ productId: 1, status: 1 });
+restockAlertSchema.index(
+  { userId: 1, productId: 1, variantId: 1 },
+  { unique: true, partialFilterExpression: { status: 'waiting' } }
+);
+
+export default mongoose.model('RestockAlert', restockAlertSchema);
@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+
+const RETURN_REASONS = ['damaged', 'wrong_item', 'wrong_size', 'not_as_described', 'changed_mind', 'other'];
+
+// Return requests in these statuses hold on to the quantities they ask for
+const ACTIVE_RETURN_STATUSES = ['requested', 'approved', 'received'];
+
+// One order line (or part of it) being sent back
+const returnLineSchema = new mongoose.Schema({
+  // The _id of the line on the order
+  orderItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Copied from the order so the request still reads right after renames
+  name: String,
+  variantLabel: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // What the customer paid per unit after promotions; the refund for this line
+  unitRefund: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // For exchanges: the variant wanted instead (a different size, say); empty means the same item again
+  exchangeVariantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Set when the goods arrive: back on the shelf, or not fit to sell
+  disposition: {
+    type: String,
+    enum: ['restock', 'write_off']
+  }
+});
+
+// A customer's request to return or exchange items from a delivered order.
+// requested → approved → received, or rejected; the customer can withdraw it until it is received.
+// Receiving the goods restocks or writes them off, then refunds or sends a replacement order.
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['return', 'exchange'],
+    required: true
+  },
+  lines: {
+    type: [returnLineSchema],
+    validate: [lines => lines.length > 0, 'Choose at least one item to send back']
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: true
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  // Paths from POST /api/upload/return-photo
+  photos: {
+    type: [String],
+    validate: [photos => photos.length <= 4, 'A return can have up to 4 photos']
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'cancelled'],
+    default: 'requested',
+    index: true
+  },
+  // Why it was rejected, or anything the manager told the customer on approval
+  staffNote: String,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: Date,
+  // How it was settled
+  refundAmount: {
+    type: Number,
+    min: 0
+  },
+  replacementOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }
+}, {
+  timestamps: true
+});
+
+returnRequestSchema.virtual('total').get(function () {
+  return this.lines.reduce((sum, line) => sum + line.quantity * line.unitRefund, 0);
+});
+
+returnRequestSchema.set('toJSON', { virtuals: true });
+
+// RMA-00001, RMA-00002, ... The unique index catches two requests numbered at once.
+returnRequestSchema.statics.nextNumber = async function () {
+  const [latest] = await this.find().sort({ createdAt: -1, _id: -1 }).limit(1).select('rmaNumber');
+  const last = latest ? parseInt(latest.rmaNumber.replace('RMA-', ''), 10) || 0 : 0;
+  return `RMA-${String(last + 1).padStart(5, '0')}`;
+};
+
+export { RETURN_REASONS, ACTIVE_RETURN_STATUSES };
+export default mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import Product from './Product.js';
+
+// A customer's rating and review of a product they bought and received.
+// New and edited reviews wait for an order manager to approve them; only
+// approved reviews are shown and counted in the product's rating.
+const reviewSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The delivered order that makes this a verified purchase
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: [Number.isInteger, 'Rating must be a whole number of stars']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 4000
+  },
+  // Paths from POST /api/upload/review-photo
+  photos: {
+    type: [String],
+    validate: [photos => photos.length <= 4, 'A review can have up to 4 photos']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'hidden'],
+    default: 'pending',
+    index: true
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  // Shown under the review
+  response: {
+    body: { type: String, trim: true },
+    respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    respondedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One review per customer per product; buying again means editing it
+reviewSchema.index({ productId: 1, customerId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+
+/**
+ * Recount a product's rating from its approved reviews and store it on the product.
+ * @returns {Promise<{ ratingAverage: number, ratingCount: number }>}
+ */
+reviewSchema.statics.refreshProductRating = async function (productId) {
+  const [totals] = await this.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+  const rating = {
+    ratingAverage: totals ? Math.round(totals.average * 10) / 10 : 0,
+    ratingCount: totals ? totals.count : 0
+  };
+  await Product.updateOne({ _id: productId }, rating);
+  return rating;
+};
+
+export default mongoose.model('Review', reviewSchema);
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import { ROLES } from '../config/permissions.js';
+
+// One row of the role-to-permission matrix
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true,
+    unique: true
+  },
+  permissions: {
+    type: [String],
+    default: []
+  },
+  // The permission catalogue when the row was saved. Default permissions added
+  // after that are granted on top of `permissions` (see utils/permissions.js).
+  knownPermissions: {
+    type: [String],
+    default: undefined
+  },
+  // Users with this role must pass a TOTP second step to log in
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: true });
+
+export default mongoose.model('RolePermission', rolePermissionSchema);
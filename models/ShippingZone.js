@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import { DISTRICTS } from './Address.js';
+
+// How an order reaches the customer: delivered to an address, or collected at the academy
+const SHIPPING_METHODS = ['delivery', 'pickup'];
+
+// What the rate table is measured in
+const RATE_BASES = ['weight', 'items'];
+
+// One step of a rate table: parcels up to this weight (kg) or item count cost this much
+const rateSchema = new mongoose.Schema({
+  upTo: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Where we deliver and what it costs. An address belongs to the zone whose
+// postal prefix matches it best, then to the zone listing its district, and
+// otherwise to the default zone (see utils/shipping.js).
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Give the zone a name'],
+    trim: true,
+    maxlength: 60
+  },
+  districts: [{
+    type: String,
+    enum: { values: DISTRICTS, message: 'Choose districts from the list' }
+  }],
+  // The first digits of a postal code, e.g. '10' for Colombo's suburbs
+  postalPrefixes: [{
+    type: String,
+    trim: true,
+    match: [/^\d{1,5}$/, 'Postal prefixes are 1 to 5 digits']
+  }],
+  // Catches every address that no other zone matches; only one zone can be the default
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  basis: {
+    type: String,
+    enum: RATE_BASES,
+    default: 'weight'
+  },
+  rates: {
+    type: [rateSchema],
+    validate: [rates => rates.length > 0, 'Add at least one rate']
+  },
+  // Charged for each kg or item over the last step of the table
+  extraPerUnit: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Orders worth at least this much after discounts ship free; empty means never
+  freeOver: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Steps are kept in order so the first one that fits is the cheapest
+shippingZoneSchema.pre('save', function (next) {
+  this.rates.sort((a, b) => a.upTo - b.upTo);
+  next();
+});
+
+export { SHIPPING_METHODS, RATE_BASES };
+export default mongoose.model('ShippingZone', shippingZoneSchema);
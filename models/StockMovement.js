@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+const MOVEMENT_REASONS = [
+  'opening_balance',
+  'sale',
+  'cancellation_restore',
+  'manual_adjustment',
+  'stocktake',
+  'damaged',
+  'supplier_receipt',
+  'customer_return'
+];
+
+// Append-only ledger of every change to a product's (or variant's) stock.
+// quantity is signed: negative takes stock out, positive puts it in.
+// Entries are never edited or removed; a mistake is corrected by a new movement.
+const stockMovementSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    index: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Copied at write time so history still reads right after renames
+  sku: String,
+  productName: String,
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Stock of the product or variant right after this movement
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: MOVEMENT_REASONS,
+    required: true,
+    index: true
+  },
+  note: String,
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: undefined
+  },
+  stocktakeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stocktake',
+    default: undefined
+  },
+  purchaseOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    default: undefined
+  },
+  returnRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest',
+    default: undefined
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+stockMovementSchema.index({ productId: 1, variantId: 1, createdAt: -1 });
+
+const rejectChange = function (next) {
+  next(new Error('Stock movements are append-only and cannot be modified or deleted'));
+};
+
+stockMovementSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'findOneAndDelete', 'deleteOne', 'deleteMany']) {
+  stockMovementSchema.pre(operation, { document: false, query: true }, rejectChange);
+}
+stockMovementSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+export { MOVEMENT_REASONS };
+export default mongoose.model('StockMovement', stockMovementSchema);
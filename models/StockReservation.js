@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// A timed hold on stock for one cart line. On-hand stock is left alone;
+// what other shoppers can buy is on-hand minus the holds that have not expired.
+// Checkout turns the cart's holds into real deductions (see utils/inventory.js).
+const stockReservationSchema = new mongoose.Schema({
+  cartToken: {
+    type: String,
+    required: true,
+    index: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    index: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+stockReservationSchema.index({ cartToken: 1, productId: 1, variantId: 1 }, { unique: true });
+// MongoDB deletes lapsed holds by itself; queries also ignore them until it does
+stockReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Quantities held by carts, keyed by "productId:variantId".
+ * @param {Array} productIds
+ * @param {string} [excludeCartToken] - Leave out this cart's own holds.
+ * @returns {Promise<Map<string, number>>}
+ */
+stockReservationSchema.statics.heldQuantities = async function (productIds, excludeCartToken) {
+  const match = {
+    productId: { $in: productIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+    expiresAt: { $gt: new Date() }
+  };
+  if (excludeCartToken) match.cartToken = { $ne: excludeCartToken };
+
+  const rows = await this.aggregate([
+    { $match: match },
+    { $group: { _id: { productId: '$productId', variantId: '$variantId' }, quantity: { $sum: '$quantity' } } }
+  ]);
+  return new Map(rows.map(row => [`${row._id.productId}:${row._id.variantId || ''}`, row.quantity]));
+};
+
+export default mongoose.model('StockReservation', stockReservationSchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// One product (or variant) on a stocktake count sheet
+const stocktakeLineSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: String,
+  name: String,
+  // Stock on record when the count sheet was made, and again when it was posted
+  expected: { type: Number, required: true },
+  expectedAtPosting: Number,
+  counted: { type: Number, min: 0, default: null },
+  variance: Number
+}, { _id: false });
+
+// A physical count. Staff fill in `counted`; posting writes the differences
+// to the stock ledger as 'stocktake' movements and makes stock match the count.
+const stocktakeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['open', 'posted', 'cancelled'],
+    default: 'open',
+    index: true
+  },
+  // Limits the count sheet to one category; empty means every product
+  category: String,
+  note: String,
+  lines: [stocktakeLineSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  postedAt: Date
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Stocktake', stocktakeSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// A company the shop buys stock from
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  contactName: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  // Days the supplier quotes from order to delivery; sets a PO's expected delivery date
+  leadTimeDays: {
+    type: Number,
+    min: 0,
+    default: 7
+  },
+  notes: String,
+  is_active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Supplier', supplierSchema);
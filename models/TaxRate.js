@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// What a rate applies to: shop sales (optionally one product category) and each paid service
+const TAX_SCOPES = ['shop', 'ground_booking', 'coaching_fee', 'repair'];
+
+// A tax rate. Shop prices are before tax and the tax is added at checkout;
+// ground, coaching and repair fees are quoted with tax included and the tax
+// is taken out of them (see utils/tax.js).
+const taxRateSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: TAX_SCOPES,
+    required: true
+  },
+  // Shop only: the product category this rate is for; empty for the rest of the shop
+  category: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Printed on invoices, e.g. 'VAT'
+  name: {
+    type: String,
+    required: [true, 'Give the tax a name'],
+    trim: true,
+    maxlength: 40
+  },
+  // Percent
+  rate: {
+    type: Number,
+    required: true,
+    min: [0, 'The rate cannot be negative'],
+    max: [100, 'The rate is a percentage of at most 100']
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// One rate per service, and per shop category
+taxRateSchema.index({ scope: 1, category: 1 }, { unique: true });
+
+taxRateSchema.pre('validate', function (next) {
+  if (this.scope !== 'shop' || this.category === '') this.category = null;
+  next();
+});
+
+export { TAX_SCOPES };
+export default mongoose.model('TaxRate', taxRateSchema);
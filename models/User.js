@@ -2,8 +2,9 @@ import mongoose from 'mongoose';
 
 const userSchema = new mongoose.Schema({
   username: { type: String, unique: true, required: true },
-  email: { type: String, unique: true, required: true },
-  passwordHash: { type: String, required: true },
+  // Junior players managed by a guardian, and erased accounts, have no email or password
+  email: { type: String, unique: true, sparse: true, required: function () { return !this.guardian && !this.erasedAt; } },
+  passwordHash: { type: String, required: function () { return !this.guardian && !this.erasedAt; } },
   role: {
     type: String,
     enum: ['admin', 'coach', 'technician', 'customer','coaching_manager' ,'order_manager', 'ground_manager', 'service_manager', 'delivery_staff'],
@@ -20,12 +21,37 @@ const userSchema = new mongoose.Schema({
     default: 'active',
   },
   dob: Date,
+  // --- GUARDIAN ACCOUNTS ---
+  // Set on a junior player's profile; the guardian enrolls, books, pays and is notified for them
+  guardian: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
   // --- ADD THESE TWO FIELDS FOR PASSWORD RESET ---
   passwordResetCode: String,
   passwordResetExpires: Date,
   // --- ADD THESE TWO FIELDS FOR EMAIL VERIFICATION ---
   emailVerificationCode: String,
   emailVerificationExpires: Date,
+  // --- BRUTE-FORCE PROTECTION ---
+  failedLoginAttempts: { type: Number, default: 0 },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
+  passwordResetAttempts: { type: Number, default: 0 },
+  // --- TWO-FACTOR AUTHENTICATION (TOTP) ---
+  // Secrets and backup code hashes are never returned unless explicitly selected
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorSecret: { type: String, select: false },
+  twoFactorPendingSecret: { type: String, select: false },
+  twoFactorBackupCodes: { type: [String], select: false, default: undefined },
+  twoFactorLastUsedStep: { type: Number, select: false },
+  twoFactorEnabledAt: Date,
+  // --- ONBOARDING INVITATION ---
+  // Imported users set their own password through a one-time link; only its hash is stored
+  inviteTokenHash: { type: String, select: false },
+  inviteExpiresAt: Date,
+  invitedAt: Date,
+  inviteAcceptedAt: Date,
+  // --- ERASURE ---
+  // Set when personal data has been wiped; the document stays so orders and payments keep their owner
+  erasedAt: Date,
 
 }, { timestamps: true });
 
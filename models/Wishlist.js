@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const wishlistItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // The option the customer had picked, when the product has variants
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One wishlist per customer
+const wishlistSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [wishlistItemSchema]
+}, {
+  timestamps: true
+});
+
+wishlistSchema.methods.findItem = function (productId, variantId = null) {
+  return this.items.find(item =>
+    String(item.productId) === String(productId) && String(item.variantId || '') === String(variantId || ''));
+};
+
+export default mongoose.model('Wishlist', wishlistSchema);
@@ -12,6 +12,11 @@ const cartPendingSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Set for products with variants (bat weight, size, ...)
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   title: {
     type: String,
     required: true
@@ -41,7 +46,8 @@ const cartPendingSchema = new mongoose.Schema({
   timestamps: true
 });
 
-cartPendingSchema.index({ cartToken: 1, productId: 1 }, { unique: true });
+// One line per product variant; existing databases need scripts/add-variant-to-cart-index.js
+cartPendingSchema.index({ cartToken: 1, productId: 1, variantId: 1 }, { unique: true });
 
 export default mongoose.model('Cart_Pending', cartPendingSchema);
 
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress
+} from '../controllers/addressController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// --- The signed-in customer's address book ---
+router.get('/', protect, getAddresses);
+router.post('/', protect, createAddress);
+router.put('/:id', protect, updateAddress);
+router.put('/:id/default', protect, setDefaultAddress);
+router.delete('/:id', protect, deleteAddress);
+
+export default router;
@@ -7,16 +7,20 @@ import {
   deleteAttendance,
   markSessionAttendance
 } from '../controllers/attendanceController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
+// All attendance routes require authentication
+router.use(protect);
+
 // Attendance routes
-router.post('/mark', markAttendance); // Mark attendance for session participants
-router.put('/session/:sessionId/mark', markSessionAttendance); // Simple session attendance marking
-router.get('/session/:sessionId', getSessionAttendance); // Get session attendance
-router.get('/coach/:coachId', getCoachAttendanceSummary); // Get coach attendance summary
-router.put('/:id', updateAttendance); // Update attendance record
-router.delete('/:id', deleteAttendance); // Delete attendance record
+router.post('/mark', authorize('attendance:mark'), markAttendance); // Mark attendance for session participants
+router.put('/session/:sessionId/mark', authorize('attendance:mark'), markSessionAttendance); // Simple session attendance marking
+router.get('/session/:sessionId', authorize('attendance:read'), getSessionAttendance); // Get session attendance
+router.get('/coach/:coachId', authorize('attendance:read'), getCoachAttendanceSummary); // Get coach attendance summary
+router.put('/:id', authorize('attendance:mark'), updateAttendance); // Update attendance record
+router.delete('/:id', authorize('attendance:mark'), deleteAttendance); // Delete attendance record
 
 export default router;
 
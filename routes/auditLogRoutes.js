@@ -0,0 +1,13 @@
+import express from 'express';
+import { getAuditLogs, getAuditLogFilters } from '../controllers/auditLogController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Read-only: entries are only ever written by the controllers being audited
+router.use(protect, authorize('audit:read'));
+
+router.get('/', getAuditLogs);
+router.get('/filters', getAuditLogFilters);
+
+export default router;
@@ -2,17 +2,61 @@ import express from 'express';
 const router = express.Router();
 
 // --- Add 'resetPassword' to this import list ---
-import { registerUser, loginUser, forgotPassword, resetPassword, sendEmailVerification, verifyEmailCode } from '../controllers/authController.js';
+import {
+    registerUser,
+    loginUser,
+    forgotPassword,
+    resetPassword,
+    acceptInvitation,
+    sendEmailVerification,
+    verifyEmailCode,
+    refreshAccessToken,
+    logoutUser,
+    logoutAllDevices,
+    getActiveSessions,
+    revokeSessionById,
+} from '../controllers/authController.js';
+import {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes,
+    verifyTwoFactorLogin,
+    setupTwoFactorAtLogin,
+    enableTwoFactorAtLogin,
+} from '../controllers/twoFactorController.js';
+import { protect, publicRoute } from '../middleware/authMiddleware.js';
 
-router.post('/register', registerUser);
-router.post('/login', loginUser);
-router.post('/forgot-password', forgotPassword);
+router.post('/register', publicRoute, registerUser);
+router.post('/login', publicRoute, loginUser);
+router.post('/forgot-password', publicRoute, forgotPassword);
 
 // This route work after resetPassword is imported
-router.post('/reset-password', resetPassword);
+router.post('/reset-password', publicRoute, resetPassword);
+router.post('/invite/accept', publicRoute, acceptInvitation);
 
 // Email verification routes
-router.post('/send-email-verification', sendEmailVerification);
-router.post('/verify-email-code', verifyEmailCode);
+router.post('/send-email-verification', publicRoute, sendEmailVerification);
+router.post('/verify-email-code', publicRoute, verifyEmailCode);
+
+// Token refresh and session (device) management
+router.post('/refresh', publicRoute, refreshAccessToken);
+router.post('/logout', protect, logoutUser);
+router.post('/logout-all', protect, logoutAllDevices);
+router.get('/sessions', protect, getActiveSessions);
+router.delete('/sessions/:sessionId', protect, revokeSessionById);
+
+// Two-factor authentication: second login step (uses the challenge token from /login)
+router.post('/2fa/verify', publicRoute, verifyTwoFactorLogin);
+router.post('/2fa/enroll/setup', publicRoute, setupTwoFactorAtLogin);
+router.post('/2fa/enroll/enable', publicRoute, enableTwoFactorAtLogin);
+
+// Two-factor authentication: managing it from the account page
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/backup-codes', protect, regenerateBackupCodes);
 
 export default router;
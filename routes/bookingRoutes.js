@@ -12,25 +12,25 @@ import {
     checkGroundAvailability,
     exportBookingsCSV
 } from '../controllers/bookingController.js';
+import { protect, authorize, publicRoute } from '../middleware/authMiddleware.js';
 
-// Middleware (uncomment when auth middleware is available)
-// const { protect, authorize } = require('../middleware/auth');
+// Availability is needed before logging in to pick a slot
+router.get('/check-availability', publicRoute, checkGroundAvailability); // Check availability
 
-// All routes require authentication (uncomment when auth middleware is available)
-// router.use(protect);
+// All other routes require authentication
+router.use(protect);
 
 // Admin booking management routes
-router.get('/', getBookings); // Get all bookings (Admin)
+router.get('/', authorize('bookings:read'), getBookings); // Get all bookings (Admin)
 router.post('/', createBooking); // Create booking
-router.get('/export/csv', /* protect, authorize('admin'), */ exportBookingsCSV); // Export routes
-router.get('/check-availability', checkGroundAvailability); // Check availability
+router.get('/export/csv', authorize('bookings:read'), exportBookingsCSV); // Export routes
 router.get('/user/:userId', getUserBookings); // Get user bookings
 router.get('/:id', getBooking); // Get single booking
-router.put('/:id', updateBooking); // Update booking (Admin)
-router.delete('/:id', deleteBooking); // Delete booking (Admin)
+router.put('/:id', authorize('bookings:manage'), updateBooking); // Update booking (Admin)
+router.delete('/:id', authorize('bookings:manage'), deleteBooking); // Delete booking (Admin)
 
 // Booking management routes
-router.put('/:id/confirm', confirmBooking);
+router.put('/:id/confirm', authorize('bookings:manage'), confirmBooking);
 router.put('/:id/cancel', cancelBooking);
 
 export default router;
@@ -2,35 +2,42 @@ import express from 'express';
 import {
   addItem,
   listByToken,
+  renewHolds,
   updateItemQuantity,
   removeItem,
   clearCart,
   checkout,
   listAllCartPending
 } from '../controllers/cartPendingController.js';
+import { protect, authorize, publicRoute } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // List all cart pending items (manager)
-router.get('/all', listAllCartPending);
+router.get('/all', protect, authorize('orders:read'), listAllCartPending);
+
+// Guest carts are keyed by an unguessable cartToken, so these stay public
 
 // Add or upsert item
-router.post('/', addItem);
+router.post('/', publicRoute, addItem);
 
 // List items for a cartToken
-router.get('/:cartToken', listByToken);
+router.get('/:cartToken', publicRoute, listByToken);
+
+// Renew the stock holds of a cart opened again
+router.post('/:cartToken/holds', publicRoute, renewHolds);
 
 // Update quantity for an item
-router.put('/:cartToken/item/:productId', updateItemQuantity);
+router.put('/:cartToken/item/:productId', publicRoute, updateItemQuantity);
 
 // Remove one item
-router.delete('/:cartToken/item/:productId', removeItem);
+router.delete('/:cartToken/item/:productId', publicRoute, removeItem);
 
 // Clear cart for token
-router.delete('/:cartToken', clearCart);
+router.delete('/:cartToken', publicRoute, clearCart);
 
 // Checkout pending cart to an Order (status remains cart_pending)
-router.post('/checkout', checkout);
+router.post('/checkout', protect, checkout);
 
 export default router;
 
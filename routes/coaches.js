@@ -37,65 +37,64 @@ import {
   attendanceOnly
 } from '../controllers/coachController.js';
 
-// Middleware (Note: You'll need to implement these middleware functions)
-// const { protect, authorize } = require('../middleware/auth');
+import { protect, authorize, publicRoute } from '../middleware/authMiddleware.js';
 
 // Working routes for customers (bypass the problematic /:id route)
-router.get('/customers/:coachId', getEnrolledCustomers); // Get enrolled customers for coach's programs
+router.get('/customers/:coachId', protect, getEnrolledCustomers); // Get enrolled customers for coach's programs
 
 // Specific routes (must come before general /:id route)
-router.get('/test', testCoachEndpoint); // Test endpoint to verify API is working
-router.get('/', getAllCoaches); // Get all coaches with filtering
-router.get('/specialization/:specialization', getCoachesBySpecialization); // Get coaches by specialization
-router.get('/user/:userId', getCoachByUserId); // Get coach by user ID
-router.get('/sync-coaches', syncCoaches); // Sync coaches - create missing profiles and return all coaches
+router.get('/test', protect, authorize('system:debug'), testCoachEndpoint); // Test endpoint to verify API is working
+router.get('/', publicRoute, getAllCoaches); // Get all coaches with filtering
+router.get('/specialization/:specialization', publicRoute, getCoachesBySpecialization); // Get coaches by specialization
+router.get('/user/:userId', protect, getCoachByUserId); // Get coach by user ID
+router.get('/sync-coaches', protect, authorize('coaches:manage'), syncCoaches); // Sync coaches - create missing profiles and return all coaches
 
 // Specific routes (must come before general /:id route)
-router.get('/:id/availability', getCoachAvailability); // Get coach availability for booking
-router.get('/:id/booking-range', getBookingDateRange); // Get valid booking date range
-router.get('/:id/weekly-sessions', getWeeklySessionStructure); // Get weekly session structure
-router.get('/:id/enrolled-programs', getCoachEnrolledPrograms); // Get enrolled programs for a coach
-router.get('/:id/sessions', getCoachSessions); // Get coach's sessions with attendance data
-router.get('/:id/sessions/:sessionId/attendance', getSessionAttendance); // Get session attendance details
-router.get('/:id/enrolled-customers', getEnrolledCustomers); // Get enrolled customers for coach's programs
-router.get('/:id/customers/:customerId/sessions', getCustomerSessions); // Get individual customer sessions
+router.get('/:id/availability', publicRoute, getCoachAvailability); // Get coach availability for booking
+router.get('/:id/booking-range', publicRoute, getBookingDateRange); // Get valid booking date range
+router.get('/:id/weekly-sessions', publicRoute, getWeeklySessionStructure); // Get weekly session structure
+router.get('/:id/enrolled-programs', protect, getCoachEnrolledPrograms); // Get enrolled programs for a coach
+router.get('/:id/sessions', protect, authorize('attendance:read'), getCoachSessions); // Get coach's sessions with attendance data
+router.get('/:id/sessions/:sessionId/attendance', protect, authorize('attendance:read'), getSessionAttendance); // Get session attendance details
+router.get('/:id/enrolled-customers', protect, getEnrolledCustomers); // Get enrolled customers for coach's programs
+router.get('/:id/customers/:customerId/sessions', protect, getCustomerSessions); // Get individual customer sessions
 
 // General routes (must come after specific routes)
-router.get('/:id', getCoach); // Get single coach profile
+router.get('/:id', publicRoute, getCoach); // Get single coach profile
 
-// Protected routes (uncomment when auth middleware is available)
-// router.use(protect); // Require authentication for all routes below
+// Require authentication for all routes below
+router.use(protect);
 
 // Coach and Admin routes
-router.post('/', /* authorize('admin', 'coaching_manager'), */ createCoach); // Create coach profile
+router.post('/', authorize('coaches:manage'), createCoach); // Create coach profile
 
 // Specific routes must come before parameterized routes
-router.put('/simple-attendance', /* authorize('coach'), */ simpleAttendanceMarking); // Simple attendance marking fallback
-router.put('/ultra-simple-attendance', /* authorize('coach'), */ ultraSimpleAttendanceMarking); // Ultra simple attendance marking
-router.put('/test-attendance', /* authorize('coach'), */ testAttendanceEndpointNew); // Test attendance endpoint
-router.put('/session-attendance-only', /* authorize('coach'), */ sessionAttendanceOnly); // Session attendance only (no coach updates)
-router.put('/ultra-simple-success', /* authorize('coach'), */ ultraSimpleSuccess); // Ultra simple success (no database operations)
-router.put('/attendance-only', /* authorize('coach'), */ attendanceOnly); // Attendance only (no coach data touched)
+router.put('/simple-attendance', authorize('attendance:mark'), simpleAttendanceMarking); // Simple attendance marking fallback
+router.put('/ultra-simple-attendance', authorize('attendance:mark'), ultraSimpleAttendanceMarking); // Ultra simple attendance marking
+router.put('/test-attendance', authorize('system:debug'), testAttendanceEndpointNew); // Test attendance endpoint
+router.put('/session-attendance-only', authorize('attendance:mark'), sessionAttendanceOnly); // Session attendance only (no coach updates)
+router.put('/ultra-simple-success', authorize('system:debug'), ultraSimpleSuccess); // Ultra simple success (no database operations)
+router.put('/attendance-only', authorize('attendance:mark'), attendanceOnly); // Attendance only (no coach data touched)
 
 // Parameterized routes must come after specific routes
-router.put('/:id', /* authorize('admin', 'coach'), */ updateCoach); // Update coach profile
-router.put('/:id/availability', /* authorize('admin', 'coach'), */ updateCoachAvailability); // Update availability
-router.put('/:id/sessions/:sessionId/attendance', /* authorize('coach'), */ markSessionAttendance); // Mark session attendance
-router.post('/:id/create-sessions', /* authorize('coach'), */ createSessionsForEnrollments); // Create sessions for enrolled programs
+router.put('/:id', authorize('coaches:profile'), updateCoach); // Update coach profile
+router.put('/:id/availability', authorize('coaches:profile'), updateCoachAvailability); // Update availability
+router.put('/:id/sessions/:sessionId/attendance', authorize('attendance:mark'), markSessionAttendance); // Mark session attendance
+router.post('/:id/create-sessions', authorize('sessions:manage'), createSessionsForEnrollments); // Create sessions for enrolled programs
 
 // Admin and Coaching Manager routes
-router.delete('/:id', /* authorize('admin'), */ deleteCoach); // Delete/deactivate coach
-router.put('/:id/status', /* authorize('admin'), */ toggleCoachStatus); // Change coach status
-router.get('/stats/overview', /* authorize('admin', 'coaching_manager'), */ getCoachStats); // Get coach statistics
-router.put('/:id/assign-program', /* authorize('admin', 'coaching_manager'), */ assignProgramToCoach); // Assign program
-router.put('/:id/remove-program', /* authorize('admin', 'coaching_manager'), */ removeProgramFromCoach); // Remove program
+router.delete('/:id', authorize('coaches:manage'), deleteCoach); // Delete/deactivate coach
+router.put('/:id/status', authorize('coaches:manage'), toggleCoachStatus); // Change coach status
+router.get('/stats/overview', authorize('coaches:manage'), getCoachStats); // Get coach statistics
+router.put('/:id/assign-program', authorize('coaches:manage'), assignProgramToCoach); // Assign program
+router.put('/:id/remove-program', authorize('coaches:manage'), removeProgramFromCoach); // Remove program
 
 // System routes (for internal use)
-router.put('/:id/rating', /* authorize('admin', 'system'), */ updateCoachRating); // Update rating (called by feedback system)
+router.put('/:id/rating', authorize('coaches:manage'), updateCoachRating); // Update rating (called by feedback system)
 
 // Coach profile management routes
-router.post('/create-for-user/:userId', /* authorize('admin'), */ createCoachProfileForUser); // Create coach profile for specific user
-router.post('/create-missing-profiles', /* authorize('admin'), */ createMissingCoachProfiles); // Create missing coach profiles for all users with coach role
+router.post('/create-for-user/:userId', authorize('coaches:manage'), createCoachProfileForUser); // Create coach profile for specific user
+router.post('/create-missing-profiles', authorize('coaches:manage'), createMissingCoachProfiles); // Create missing coach profiles for all users with coach role
 
 export default router;
 
@@ -10,26 +10,24 @@ import {
   addMaterial,
   getProgramStats
 } from '../controllers/coachingProgramController.js';
-
-// Middleware (Note: You'll need to implement these middleware functions)
-// const { protect, authorize } = require('../middleware/auth');
+import { protect, authorize, publicRoute } from '../middleware/authMiddleware.js';
 
 // Public routes
-router.get('/', getCoachingPrograms);
-router.get('/:id', getCoachingProgram);
-router.get('/coach/:coachId', getProgramsByCoach);
+router.get('/', publicRoute, getCoachingPrograms);
+router.get('/:id', publicRoute, getCoachingProgram);
+router.get('/coach/:coachId', publicRoute, getProgramsByCoach);
 
-// Protected routes (uncomment when auth middleware is available)
-// router.use(protect); // Require authentication for all routes below
+// Require authentication for all routes below
+router.use(protect);
 
-// Coach/Admin only routes
-router.post('/', /* authorize('coach', 'admin'), */ createCoachingProgram);
-router.put('/:id', /* authorize('coach', 'admin'), */ updateCoachingProgram);
-router.delete('/:id', /* authorize('coach', 'admin'), */ deleteCoachingProgram);
-router.post('/:id/materials', /* authorize('coach', 'admin'), */ addMaterial);
+// Program management routes
+router.post('/', authorize('programs:manage'), createCoachingProgram);
+router.put('/:id', authorize('programs:manage'), updateCoachingProgram);
+router.delete('/:id', authorize('programs:manage'), deleteCoachingProgram);
+router.post('/:id/materials', authorize('programs:manage'), addMaterial);
 
-// Admin/Coach only routes
-router.get('/:id/stats', /* authorize('coach', 'admin'), */ getProgramStats);
+// Program statistics
+router.get('/:id/stats', authorize('programs:manage'), getProgramStats);
 
 export default router;
 
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  getDispatchCandidates,
+  getDeliveryStaff,
+  getDeliveryRuns,
+  createDeliveryRun,
+  updateDeliveryRun,
+  cancelDeliveryRun,
+  getMyDeliveryRuns,
+  startDeliveryRun,
+  updateDeliveryStop
+} from '../controllers/deliveryRunController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// --- Delivery staff (managers may also record stops on a driver's behalf) ---
+router.get('/mine', protect, authorize('deliveries:work'), getMyDeliveryRuns);
+router.put('/:id/start', protect, startDeliveryRun);
+router.put('/:id/stops/:stopId', protect, updateDeliveryStop);
+
+// --- Order managers ---
+router.get('/candidates', protect, authorize('deliveries:manage'), getDispatchCandidates);
+router.get('/staff', protect, authorize('deliveries:manage'), getDeliveryStaff);
+router.get('/', protect, authorize('deliveries:manage'), getDeliveryRuns);
+router.post('/', protect, authorize('deliveries:manage'), createDeliveryRun);
+router.put('/:id', protect, authorize('deliveries:manage'), updateDeliveryRun);
+router.put('/:id/cancel', protect, authorize('deliveries:manage'), cancelDeliveryRun);
+
+export default router;
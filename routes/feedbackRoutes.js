@@ -1,19 +1,23 @@
 import express from 'express';
 import feedbackController from '../controllers/feedbackController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
 const router = express.Router();
 
+// All feedback routes require authentication
+router.use(protect);
+
 // Customer submits feedback
 router.post('/', feedbackController.createFeedback);
 
 // Service Manager - view all feedbacks
-router.get('/', feedbackController.getAllFeedback);
+router.get('/', authorize('feedback:read'), feedbackController.getAllFeedback);
 
 // Get single feedback by ID
 router.get('/:id', feedbackController.getFeedbackById);
 
 
 // Service Manager updates feedback (status or response)
-router.put('/:id', feedbackController.updateFeedback);
+router.put('/:id', authorize('feedback:manage'), feedbackController.updateFeedback);
 
 // Customer deletes feedback (optional)
 router.delete('/:id', feedbackController.deleteFeedback);
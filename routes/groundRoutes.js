@@ -9,24 +9,19 @@ import {
   getAvailableGroundSlots,
   exportGroundsCSV
 } from '../controllers/groundController.js';
-
-// Middleware (Note: You'll need to implement these middleware functions)
-// const { protect, authorize } = require('../middleware/auth');
-
-// All routes require authentication (uncomment when auth middleware is available)
-// router.use(protect);
+import { protect, authorize, publicRoute } from '../middleware/authMiddleware.js';
 
 // Export routes
-router.get('/export/csv', /* authorize('admin'), */ exportGroundsCSV);
+router.get('/export/csv', protect, authorize('grounds:manage'), exportGroundsCSV);
 
 // Public routes
-router.get('/', getAllGrounds);
-router.get('/availability', getAvailableGroundSlots);
-router.get('/:id', getGround);
+router.get('/', publicRoute, getAllGrounds);
+router.get('/availability', publicRoute, getAvailableGroundSlots);
+router.get('/:id', publicRoute, getGround);
 
-// Admin only routes
-router.post('/', /* authorize('admin'), */ createGround);
-router.put('/:id', /* authorize('admin'), */ updateGround);
-router.delete('/:id', /* authorize('admin'), */ deleteGround);
+// Ground management routes
+router.post('/', protect, authorize('grounds:manage'), createGround);
+router.put('/:id', protect, authorize('grounds:manage'), updateGround);
+router.delete('/:id', protect, authorize('grounds:manage'), deleteGround);
 
 export default router;
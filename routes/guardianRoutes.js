@@ -0,0 +1,19 @@
+import express from 'express';
+import { getMyChildren, addChild, updateChild, removeChild, getChildActivity } from '../controllers/guardianController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Any logged-in account can manage junior players; each guardian only sees their own
+router.use(protect);
+
+router.route('/children')
+    .get(getMyChildren)
+    .post(addChild);
+
+router.route('/children/:childId')
+    .put(updateChild)
+    .delete(removeChild);
+router.get('/children/:childId/activity', getChildActivity);
+
+export default router;
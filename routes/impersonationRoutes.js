@@ -0,0 +1,15 @@
+import express from 'express';
+import { startImpersonation, stopImpersonation, getActiveImpersonations } from '../controllers/impersonationController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { allowWhileImpersonating } from '../utils/impersonation.js';
+
+const router = express.Router();
+
+// --- "View as user" for support (every start, stop and request is audited) ---
+router.post('/', protect, authorize('users:impersonate'), startImpersonation);
+router.get('/active', protect, authorize('users:impersonate'), getActiveImpersonations);
+
+// Called with the impersonation token itself, so it must get past the read-only guard
+router.post('/stop', protect, allowWhileImpersonating, stopImpersonation);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getMovements,
+  getStockOnDateReport,
+  getStocktakes,
+  getStocktake,
+  createStocktake,
+  updateStocktakeCounts,
+  postStocktake,
+  cancelStocktake
+} from '../controllers/inventoryController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// --- Stock ledger and stocktakes (stock itself is changed through /api/products/:id/stock) ---
+router.get('/movements', protect, authorize('inventory:manage'), getMovements);
+router.get('/stock-on-date', protect, authorize('inventory:manage'), getStockOnDateReport);
+router.get('/stocktakes', protect, authorize('inventory:manage'), getStocktakes);
+router.post('/stocktakes', protect, authorize('inventory:manage'), createStocktake);
+router.get('/stocktakes/:id', protect, authorize('inventory:manage'), getStocktake);
+router.put('/stocktakes/:id/counts', protect, authorize('inventory:manage'), updateStocktakeCounts);
+router.post('/stocktakes/:id/post', protect, authorize('inventory:manage'), postStocktake);
+router.post('/stocktakes/:id/cancel', protect, authorize('inventory:manage'), cancelStocktake);
+
+export default router;
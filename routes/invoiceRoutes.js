@@ -0,0 +1,14 @@
+import express from 'express';
+import { getInvoices, getMyInvoices, downloadInvoice } from '../controllers/invoiceController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// --- Customers: their own invoices ---
+router.get('/mine', protect, getMyInvoices);
+router.get('/:id/pdf', protect, downloadInvoice);
+
+// --- Staff: every invoice issued ---
+router.get('/', protect, authorize('payments:read'), getInvoices);
+
+export default router;
@@ -7,8 +7,11 @@ import {
     deleteNotification,
     getNotificationStats
 } from '../controllers/notificationController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+// All routes for notifications (each user only sees their own)
+router.use(protect);
 
-// All routes for notifications
 router.get('/', getUserNotifications);
 router.get('/stats', getNotificationStats);
 router.put('/:id/read', markNotificationAsRead);
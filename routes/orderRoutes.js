@@ -14,27 +14,30 @@ import {
   completeCartOrder,
   deleteCartOrder,
   downloadOrder,
-  cancelOrder
+  cancelOrder,
+  updateOrderItems
 } from '../controllers/orderController.js';
+import { protect, authorize, publicRoute } from '../middleware/authMiddleware.js';
 
 // Regular order routes
-router.post('/', createOrder);
-router.get('/', getOrders);
-router.get('/:id', getOrder);
-router.get('/:id/download', downloadOrder);
-router.put('/:id', updateOrderStatus);
-router.put('/:id/details', updateOrder);
-router.put('/:id/cancel', cancelOrder);
-router.delete('/:id', deleteOrder);
+router.post('/', protect, createOrder);
+router.get('/', protect, authorize('orders:read'), getOrders);
+router.get('/:id', protect, getOrder);
+router.get('/:id/download', protect, downloadOrder);
+router.put('/:id', protect, authorize('orders:manage'), updateOrderStatus);
+router.put('/:id/details', protect, authorize('orders:manage'), updateOrder);
+router.put('/:id/cancel', protect, cancelOrder);
+router.put('/:id/items', protect, updateOrderItems);
+router.delete('/:id', protect, authorize('orders:manage'), deleteOrder);
 
 // Cart order routes
-router.post('/cart', createCartOrder);
-router.get('/cart/:customerId', getCartOrder);
-router.put('/cart/complete', completeCartOrder);
-router.delete('/cart/:customerId', deleteCartOrder);
+router.post('/cart', protect, createCartOrder);
+router.get('/cart/:customerId', protect, getCartOrder);
+router.put('/cart/complete', protect, completeCartOrder);
+router.delete('/cart/:customerId', protect, deleteCartOrder);
 
 // Utility routes
-router.post("/calculate-total", calculateOrderTotal);
-router.get("/status/:status", getOrdersByStatus);
+router.post("/calculate-total", publicRoute, calculateOrderTotal);
+router.get("/status/:status", protect, authorize('orders:read'), getOrdersByStatus);
 
 export default router;
@@ -14,25 +14,25 @@ import {
     getPaymentStats,
     paySelectedCartItems
 } from '../controllers/paymentController.js';
-import { protect, authorizeRoles } from '../utils/protect.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
 
-// --- Admin & Manager Only Routes ---
-router.get('/', protect, authorizeRoles('admin', 'order_manager'), getPayments);
-router.get('/stats', protect, authorizeRoles('admin', 'order_manager'), getPaymentStats);
-router.post('/process-order', protect, authorizeRoles('admin', 'order_manager'), processOrderPayment);
-router.post('/:paymentId/refund', protect, authorizeRoles('admin', 'order_manager'), processRefund);
+// --- Staff Routes (payments:* / orders:refund permissions) ---
+router.get('/', protect, authorize('payments:read'), getPayments);
+router.get('/stats', protect, authorize('payments:read'), getPaymentStats);
+router.post('/process-order', protect, authorize('payments:manage'), processOrderPayment);
+router.post('/:paymentId/refund', protect, authorize('orders:refund'), processRefund);
 
-router.get('/:id', protect, authorizeRoles('admin', 'order_manager'), getPayment);
-router.put('/:id/status', protect, authorizeRoles('admin', 'order_manager'), updatePaymentStatus);
-router.put('/:id', protect, authorizeRoles('admin', 'order_manager'), updatePayment);
-router.delete('/:id', protect, authorizeRoles('admin', 'order_manager'), deletePayment);
+router.get('/:id', protect, authorize('payments:read'), getPayment);
+router.put('/:id/status', protect, authorize('payments:manage'), updatePaymentStatus);
+router.put('/:id', protect, authorize('payments:manage'), updatePayment);
+router.delete('/:id', protect, authorize('payments:manage'), deletePayment);
 
 // --- Routes for specific users or orders (could be used by customers too) ---
 router.get('/user/:userId', protect, getPaymentsByUser);
 router.get('/order/:orderId', protect, getPaymentsByOrder);
 
 // --- Public or Customer Route to create a payment ---
-router.post('/', protect, createPayment); // Assuming any logged-in user can create a payment
+router.post('/', protect, createPayment); // Customers only for their own bookings; other payments need payments:manage
 
 // Customer route: pay for selected cart items and remove from cart
 router.post('/pay-selected', protect, paySelectedCartItems);
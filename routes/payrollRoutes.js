@@ -13,42 +13,42 @@ import {
   updateSalaryConfig,
   generateAllPayrolls
 } from '../controllers/payrollController.js';
-import { protect, authorizeRoles } from '../middleware/authMiddleware.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
 
 // All routes require authentication
 router.use(protect);
 
 // Get employees for payroll dropdown
-router.get('/employees', authorizeRoles('admin'), getEmployeesForPayroll);
+router.get('/employees', authorize('payroll:read'), getEmployeesForPayroll);
 
 // Get salary configuration
-router.get('/salary-config', authorizeRoles('admin'), getSalaryConfig);
+router.get('/salary-config', authorize('payroll:read'), getSalaryConfig);
 
 // Update salary configuration
-router.put('/salary-config', authorizeRoles('admin'), updateSalaryConfig);
+router.put('/salary-config', authorize('payroll:manage'), updateSalaryConfig);
 
 // Get payroll summary
-router.get('/summary', authorizeRoles('admin'), getPayrollSummary);
+router.get('/summary', authorize('payroll:read'), getPayrollSummary);
 
 // Get all payroll entries
-router.get('/', authorizeRoles('admin'), getAllPayrolls);
+router.get('/', authorize('payroll:read'), getAllPayrolls);
 
 // Get payroll by ID
-router.get('/:id', authorizeRoles('admin'), getPayrollById);
+router.get('/:id', authorize('payroll:read'), getPayrollById);
 
 // Create new payroll entry
-router.post('/', authorizeRoles('admin'), createPayroll);
+router.post('/', authorize('payroll:manage'), createPayroll);
 
 // Generate all payrolls for a month
-router.post('/generate-all', authorizeRoles('admin'), generateAllPayrolls);
+router.post('/generate-all', authorize('payroll:manage'), generateAllPayrolls);
 
 // Update payroll
-router.put('/:id', authorizeRoles('admin'), updatePayroll);
+router.put('/:id', authorize('payroll:manage'), updatePayroll);
 
 // Mark payroll as paid
-router.patch('/:id/paid', authorizeRoles('admin'), markAsPaid);
+router.patch('/:id/paid', authorize('payroll:markPaid'), markAsPaid);
 
 // Delete payroll
-router.delete('/:id', authorizeRoles('admin'), deletePayroll);
+router.delete('/:id', authorize('payroll:manage'), deletePayroll);
 
 export default router;
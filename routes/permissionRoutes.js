@@ -0,0 +1,14 @@
+import express from 'express';
+import { getPermissionMatrix, updateRolePermissions, updateTwoFactorRequirement, getRouteReport } from '../controllers/permissionController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.use(protect, authorize('permissions:manage'));
+
+router.get('/', getPermissionMatrix);
+router.get('/routes', getRouteReport);
+router.put('/:role', updateRolePermissions);
+router.put('/:role/two-factor', updateTwoFactorRequirement);
+
+export default router;
@@ -7,20 +7,18 @@ import {
   updateFeedbackVisibility,
   getCoachFeedbackStats
 } from '../controllers/playerFeedbackController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
 
-// Middleware (Note: You'll need to implement these middleware functions)
-// const { protect, authorize } = require('../middleware/auth');
-
-// All routes require authentication (uncomment when auth middleware is available)
-// router.use(protect);
+// All routes require authentication
+router.use(protect);
 
 // Coach routes
-router.post('/', /* authorize('coach'), */ submitPlayerFeedback);
-router.get('/coach/:coachId', /* authorize('coach'), */ getCoachFeedbacks);
-router.get('/coach/:coachId/stats', /* authorize('coach'), */ getCoachFeedbackStats);
-router.put('/:id/visibility', /* authorize('coach'), */ updateFeedbackVisibility);
+router.post('/', authorize('playerFeedback:write'), submitPlayerFeedback);
+router.get('/coach/:coachId', getCoachFeedbacks);
+router.get('/coach/:coachId/stats', getCoachFeedbackStats);
+router.put('/:id/visibility', authorize('playerFeedback:write'), updateFeedbackVisibility);
 
 // Player routes
-router.get('/player/:playerId', /* authorize('customer'), */ getPlayerFeedbacks);
+router.get('/player/:playerId', getPlayerFeedbacks);
 
 export default router;
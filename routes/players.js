@@ -1,9 +1,10 @@
 import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // Placeholder routes for players
-router.get('/', (req, res) => {
+router.get('/', protect, (req, res) => {
   res.json({ message: 'Players route working' });
 });
 
@@ -42,22 +42,27 @@ import {
   updateProduct, 
   deleteProduct,
   searchProducts,
+  suggestProducts,
   getProductsByCategory,
   getCategories,
   getBrands,
+  getProductStockLevels,
   updateStock
 } from '../controllers/productController.js';
+import { protect, authorize, publicRoute } from '../middleware/authMiddleware.js';
 
 // Search and filter routes
-router.get('/search', searchProducts);
-router.get('/categories', getCategories);
-router.get('/brands', getBrands);
-router.get('/category/:category', getProductsByCategory);
+router.get('/search', publicRoute, searchProducts);
+router.get('/suggest', publicRoute, suggestProducts);
+router.get('/categories', publicRoute, getCategories);
+router.get('/brands', publicRoute, getBrands);
+router.get('/category/:category', publicRoute, getProductsByCategory);
+router.get('/stock-levels', protect, authorize('inventory:manage'), getProductStockLevels);
 
 // --- MODIFIED: Basic CRUD routes ---
 // The 'upload.single('image')' middleware will handle the file upload.
 // 'image' MUST match the name used in the FormData on the frontend.
-router.post('/', (req, res, next) => {
+router.post('/', protect, authorize('products:manage'), (req, res, next) => {
   console.log('=== PRODUCT ROUTE DEBUG ===');
   console.log('Request received for product creation');
   console.log('Content-Type:', req.headers['content-type']);
@@ -72,10 +77,10 @@ router.post('/', (req, res, next) => {
   }
   next();
 }, createProduct); 
-router.get('/', getProducts);
-router.get('/:id', getProduct);
-router.put('/:id', upload.single('image'), updateProduct);
-router.put('/:id/stock', updateStock);
-router.delete('/:id', deleteProduct);
+router.get('/', publicRoute, getProducts);
+router.get('/:id', publicRoute, getProduct);
+router.put('/:id', protect, authorize('products:manage'), upload.single('image'), updateProduct);
+router.put('/:id/stock', protect, authorize('inventory:manage'), updateStock);
+router.delete('/:id', protect, authorize('products:manage'), deleteProduct);
 
 export default router;
@@ -13,16 +13,16 @@ import {
   debugAllEnrollments,
   processEnrollmentPayment
 } from '../controllers/programEnrollmentController.js';
-import { protect, authorizeRoles } from '../middleware/authMiddleware.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(protect);
 
-// Admin only routes
-router.get('/', /* authorize('admin'), */ getAllEnrollments);
-router.get('/program/:programId/stats', /* authorize('coach', 'admin'), */ getProgramEnrollmentStats);
+// Staff routes
+router.get('/', authorize('enrollments:read'), getAllEnrollments);
+router.get('/program/:programId/stats', authorize('enrollments:read'), getProgramEnrollmentStats);
 
 // User accessible routes
 router.get('/:id', getEnrollment);
@@ -35,7 +35,7 @@ router.get('/user/:userId', getUserEnrollments); // Get enrollments for specific
 router.get('/user', getUserEnrollments); // Get enrollments for authenticated user
 
 // Coach/Admin routes
-router.put('/:id/progress', /* authorize('coach', 'admin'), */ updateProgress);
+router.put('/:id/progress', authorize('enrollments:manage'), updateProgress);
 
 // User/Coach routes  
 router.post('/:id/feedback', addFeedback);
@@ -44,7 +44,7 @@ router.post('/:id/feedback', addFeedback);
 router.put('/:id/activate', activateEnrollment);
 
 // Debug route
-router.get('/debug/all', debugAllEnrollments);
+router.get('/debug/all', authorize('system:debug'), debugAllEnrollments);
 
 // Payment route
 router.post('/:id/payment', processEnrollmentPayment);
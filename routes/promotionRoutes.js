@@ -0,0 +1,13 @@
+import express from 'express';
+import { getPromotions, createPromotion, updatePromotion, deletePromotion } from '../controllers/promotionController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// --- Shop promotions and coupon codes (applied at checkout by utils/promotions.js) ---
+router.get('/', protect, authorize('promotions:manage'), getPromotions);
+router.post('/', protect, authorize('promotions:manage'), createPromotion);
+router.put('/:id', protect, authorize('promotions:manage'), updatePromotion);
+router.delete('/:id', protect, authorize('promotions:manage'), deletePromotion);
+
+export default router;
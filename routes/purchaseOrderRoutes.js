@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  reorderLowStock,
+  markOrdered,
+  receivePurchaseOrder,
+  cancelPurchaseOrder
+} from '../controllers/purchaseOrderController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// --- Purchase orders and goods receipt (reports live under /api/reports) ---
+router.get('/', protect, authorize('purchasing:manage'), getPurchaseOrders);
+router.post('/', protect, authorize('purchasing:manage'), createPurchaseOrder);
+// Declared before '/:id' so "reorder" is not taken for an ID
+router.post('/reorder', protect, authorize('purchasing:manage'), reorderLowStock);
+router.get('/:id', protect, authorize('purchasing:manage'), getPurchaseOrder);
+router.put('/:id', protect, authorize('purchasing:manage'), updatePurchaseOrder);
+router.post('/:id/order', protect, authorize('purchasing:manage'), markOrdered);
+router.post('/:id/receive', protect, authorize('purchasing:manage'), receivePurchaseOrder);
+router.post('/:id/cancel', protect, authorize('purchasing:manage'), cancelPurchaseOrder);
+
+export default router;
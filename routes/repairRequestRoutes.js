@@ -1,55 +1,59 @@
 import express from 'express';
 import repairController from '../controllers/repairRequestController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
 const router = express.Router();
 
+// All repair routes require authentication
+router.use(protect);
+
 // Customer Dashboard - Get all repair requests for a customer
 router.get('/dashboard/customer/:customerId', repairController.getCustomerRepairRequests);
 
 // Technician Dashboard - Get all repair requests for a technician (optional status filter)
-router.get('/dashboard/technician/:technicianId', repairController.getTechnicianRepairRequests);
+router.get('/dashboard/technician/:technicianId', authorize('repairs:progress'), repairController.getTechnicianRepairRequests);
 
 // Service Manager Dashboard - Get all repair requests
-router.get('/dashboard/manager', repairController.getAllRepairRequests);
+router.get('/dashboard/manager', authorize('repairs:read'), repairController.getAllRepairRequests);
 
 // Download repair report (PDF) and also email it
 router.get('/report/download/:id', repairController.downloadAndEmailReport);
 
 
 // Update repair status (Approve/Reject by Service Manager)
-router.put('/status/:id', repairController.updateRequestStatus);
+router.put('/status/:id', authorize('repairs:manage'), repairController.updateRequestStatus);
 
 // Customer approves/rejects estimate
 router.put('/customer-decision/:id', repairController.customerApproveReject);
 
 // Assign technician to repair (Service Manager)
-router.put('/assign/:id', repairController.assignTechnician);
+router.put('/assign/:id', authorize('repairs:manage'), repairController.assignTechnician);
 
 // Update repair progress (Technician)
-router.put('/progress/:id', repairController.updateProgress);
+router.put('/progress/:id', authorize('repairs:progress'), repairController.updateProgress);
 
 // Get a single repair request by ID
 router.get('/:id', repairController.getRepairRequestById);
 
 // Get all repair requests (Service Manager)
-router.get('/', repairController.getAllRepairRequests);
+router.get('/', authorize('repairs:read'), repairController.getAllRepairRequests);
 
 // Create a new repair request (Customer)
 router.post('/', repairController.createRepairRequest);
 
 // Test endpoint to verify data saving
-router.post('/test', repairController.testRepairRequest);
+router.post('/test', authorize('system:debug'), repairController.testRepairRequest);
 
 // Debug endpoint to check database contents
-router.get('/debug', repairController.debugRepairRequests);
+router.get('/debug', authorize('system:debug'), repairController.debugRepairRequests);
 
 // Test endpoint to verify description flow
-router.post('/test-description', repairController.testDescriptionFlow);
+router.post('/test-description', authorize('system:debug'), repairController.testDescriptionFlow);
 
 // Simple test endpoint for description
-router.post('/test-simple', repairController.testDescriptionSimple);
+router.post('/test-simple', authorize('system:debug'), repairController.testDescriptionSimple);
 
 // Check database descriptions
-router.get('/check-db', repairController.checkDatabaseDescription);
+router.get('/check-db', authorize('system:debug'), repairController.checkDatabaseDescription);
 
 // Update a repair request (Customer)
 router.put('/:id', repairController.updateRepairGeneral);
@@ -60,7 +64,10 @@ router.delete('/:id', repairController.deleteRepairRequest);
 // Submit feedback for a repair request
 router.post('/:id/feedback', repairController.submitFeedback);
 
+// Record the customer's payment for a finished repair (issues a tax invoice)
+router.post('/:id/payment', authorize('repairs:manage'), repairController.recordRepairPayment);
+
 // Get repair revenue data with filtering
-router.get('/revenue/data', repairController.getRepairRevenue);
+router.get('/revenue/data', authorize('repairs:read'), repairController.getRepairRevenue);
 
 export default router;
@@ -3,11 +3,20 @@ const router = express.Router();
 import { 
   getOrderReport, 
   getProductSalesReport, 
-  getRevenueReport 
+  getRevenueReport,
+  getOpenPurchaseOrderReport,
+  getSupplierLeadTimeReport,
+  getTaxSummaryReport
 } from '../controllers/reportController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+router.use(protect, authorize('reports:read'));
 
 router.get('/orders', getOrderReport);
 router.get('/product-sales', getProductSalesReport);
 router.get('/revenue', getRevenueReport);
+router.get('/open-purchase-orders', getOpenPurchaseOrderReport);
+router.get('/supplier-lead-times', getSupplierLeadTimeReport);
+router.get('/tax-summary', getTaxSummaryReport);
 
 export default router;
\ No newline at end of file
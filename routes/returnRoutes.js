@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  getReturnOptions,
+  createReturnRequest,
+  getMyReturnRequests,
+  cancelReturnRequest,
+  getReturnRequests,
+  approveReturnRequest,
+  rejectReturnRequest,
+  receiveReturnRequest
+} from '../controllers/returnController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// --- Customers ---
+router.get('/mine', protect, getMyReturnRequests);
+router.get('/order/:orderId', protect, getReturnOptions);
+router.post('/', protect, createReturnRequest);
+router.put('/:id/cancel', protect, cancelReturnRequest);
+
+// --- Order managers ---
+router.get('/', protect, authorize('orders:read'), getReturnRequests);
+router.put('/:id/approve', protect, authorize('orders:manage'), approveReturnRequest);
+router.put('/:id/reject', protect, authorize('orders:manage'), rejectReturnRequest);
+router.put('/:id/receive', protect, authorize('orders:manage', 'orders:refund'), receiveReturnRequest);
+
+export default router;
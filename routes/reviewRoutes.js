@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getProductReviews,
+  getReviewEligibility,
+  createReview,
+  updateMyReview,
+  getReviewsForModeration,
+  moderateReview,
+  respondToReview
+} from '../controllers/reviewController.js';
+import { protect, authorize, publicRoute } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// --- Shoppers ---
+router.get('/product/:productId', publicRoute, getProductReviews);
+router.get('/eligibility/:productId', protect, getReviewEligibility);
+router.post('/', protect, createReview);
+router.put('/:id', protect, updateMyReview);
+
+// --- Moderation ---
+router.get('/', protect, authorize('reviews:moderate'), getReviewsForModeration);
+router.put('/:id/moderate', protect, authorize('reviews:moderate'), moderateReview);
+router.put('/:id/response', protect, authorize('reviews:moderate'), respondToReview);
+
+export default router;
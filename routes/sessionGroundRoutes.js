@@ -14,17 +14,15 @@ import {
   getUpcomingBookings,
   getBookingStats
 } from '../controllers/sessionGroundController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
 
-// Middleware (Note: You'll need to implement these middleware functions)
-// const { protect, authorize } = require('../middleware/auth');
-
-// All routes require authentication (uncomment when auth middleware is available)
-// router.use(protect);
+// All routes require authentication
+router.use(protect);
 
 // General session ground routes
 router.get('/', getAllSessionGrounds);
 router.get('/upcoming', getUpcomingBookings);
-router.get('/stats', /* authorize('admin', 'manager'), */ getBookingStats);
+router.get('/stats', authorize('bookings:read'), getBookingStats);
 router.get('/:id', getSessionGround);
 
 // Create and update routes
@@ -33,8 +31,8 @@ router.put('/:id', updateSessionGround);
 
 // Booking management routes
 router.put('/:id/cancel', cancelSessionGround);
-router.put('/:id/confirm', /* authorize('admin', 'manager'), */ confirmSessionGround);
-router.put('/:id/complete', /* authorize('admin', 'manager'), */ completeSessionGround);
+router.put('/:id/confirm', authorize('bookings:manage'), confirmSessionGround);
+router.put('/:id/complete', authorize('bookings:manage'), completeSessionGround);
 
 // Ground availability
 router.get('/ground/:groundId/availability', getGroundAvailability);
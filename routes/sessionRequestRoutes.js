@@ -7,7 +7,7 @@ import {
   rejectSessionRequest,
   cancelSessionRequest
 } from '../controllers/sessionRequestController.js';
-import { protect, authorizeRoles } from '../middleware/authMiddleware.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -20,8 +20,8 @@ router.get('/user', getUserSessionRequests);
 router.put('/:id/cancel', cancelSessionRequest);
 
 // Coach routes
-router.get('/coach', authorizeRoles('coach', 'admin'), getCoachSessionRequests);
-router.put('/:id/approve', authorizeRoles('coach', 'admin'), approveSessionRequest);
-router.put('/:id/reject', authorizeRoles('coach', 'admin'), rejectSessionRequest);
+router.get('/coach', authorize('sessions:manage'), getCoachSessionRequests);
+router.put('/:id/approve', authorize('sessions:manage'), approveSessionRequest);
+router.put('/:id/reject', authorize('sessions:manage'), rejectSessionRequest);
 
 export default router;
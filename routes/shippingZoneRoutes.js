@@ -0,0 +1,13 @@
+import express from 'express';
+import { getShippingZones, createShippingZone, updateShippingZone, deleteShippingZone } from '../controllers/shippingZoneController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// --- Where the shop delivers and what it charges ---
+router.get('/', protect, authorize('shipping:manage'), getShippingZones);
+router.post('/', protect, authorize('shipping:manage'), createShippingZone);
+router.put('/:id', protect, authorize('shipping:manage'), updateShippingZone);
+router.delete('/:id', protect, authorize('shipping:manage'), deleteShippingZone);
+
+export default router;
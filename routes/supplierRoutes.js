@@ -0,0 +1,13 @@
+import express from 'express';
+import { getSuppliers, createSupplier, updateSupplier, deleteSupplier } from '../controllers/supplierController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// --- Suppliers the shop restocks from ---
+router.get('/', protect, authorize('purchasing:manage'), getSuppliers);
+router.post('/', protect, authorize('purchasing:manage'), createSupplier);
+router.put('/:id', protect, authorize('purchasing:manage'), updateSupplier);
+router.delete('/:id', protect, authorize('purchasing:manage'), deleteSupplier);
+
+export default router;
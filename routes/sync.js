@@ -2,10 +2,11 @@ import express from 'express';
 const router = express.Router();
 import Coach from '../models/Coach.js';
 import CoachingProgram from '../models/CoachingProgram.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
 
 // @desc    Sync coach programs - fix the relationship between coaches and programs
 // @route   POST /api/sync/coach-programs
-// @access  Public (for development)
+// @access  Private (system:maintenance)
 const syncCoachPrograms = async (req, res) => {
   try {
     console.log('🔄 Starting sync of coach programs...');
@@ -97,7 +98,7 @@ const syncCoachPrograms = async (req, res) => {
   }
 };
 
-router.post('/coach-programs', syncCoachPrograms);
+router.post('/coach-programs', protect, authorize('system:maintenance'), syncCoachPrograms);
 
 export default router;
 
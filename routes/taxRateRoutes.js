@@ -0,0 +1,13 @@
+import express from 'express';
+import { getTaxRates, createTaxRate, updateTaxRate, deleteTaxRate } from '../controllers/taxRateController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// --- What tax is charged on shop categories and each paid service ---
+router.get('/', protect, authorize('tax:manage'), getTaxRates);
+router.post('/', protect, authorize('tax:manage'), createTaxRate);
+router.put('/:id', protect, authorize('tax:manage'), updateTaxRate);
+router.delete('/:id', protect, authorize('tax:manage'), deleteTaxRate);
+
+export default router;
@@ -1,15 +1,19 @@
 import express from 'express';
 import technicianController from '../controllers/technicianController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
 const router = express.Router();
 
+// All technician routes require authentication
+router.use(protect);
+
 // Create a new technician
-router.post('/', technicianController.createTechnician);
+router.post('/', authorize('technicians:manage'), technicianController.createTechnician);
 
 // Get all technicians
 router.get('/', technicianController.getAllTechnicians);
 
 // Test route to see all technicians
-router.get('/test/all', async (req, res) => {
+router.get('/test/all', authorize('system:debug'), async (req, res) => {
   try {
     const Technician = (await import('../models/Technician.js')).default;
     const User = (await import('../models/User.js')).default;
@@ -28,7 +32,7 @@ router.get('/test/all', async (req, res) => {
 });
 
 // Route to delete first 4 technicians (for cleanup)
-router.delete('/cleanup/first-four', async (req, res) => {
+router.delete('/cleanup/first-four', authorize('system:maintenance'), async (req, res) => {
   try {
     const Technician = (await import('../models/Technician.js')).default;
     
@@ -58,10 +62,10 @@ router.delete('/cleanup/first-four', async (req, res) => {
 // Get technician by ID
 router.get('/:id', technicianController.getTechnicianById);
 
-// Update technician info
+// Update technician info (technicians edit their own availability)
 router.put('/:id', technicianController.updateTechnician);
 
 // Delete technician
-router.delete('/:id', technicianController.deleteTechnician);
+router.delete('/:id', authorize('technicians:manage'), technicianController.deleteTechnician);
 
 export default router;
@@ -1,6 +1,7 @@
 import path from 'path';
 import express from 'express';
 import multer from 'multer';
+import { protect, publicRoute } from '../middleware/authMiddleware.js';
 const router = express.Router();
 
 // --- Multer Configuration ---
@@ -41,24 +42,41 @@ const upload = multer({
 
 // --- API Endpoint Definition ---
 
-// @route   POST /api/upload
-// @desc    Upload a single file
-// @access  Public
-// The 'upload.single("profileImage")' middleware processes the file upload.
-// "profileImage" must match the name of the form field on the frontend.
-router.post('/', upload.single('profileImage'), (req, res) => {
+// If upload is successful, multer adds a 'file' object to the request.
+// We send back the public URL of the uploaded file.
+// Note: Replace backslashes with forward slashes for URL compatibility.
+const sendFilePath = (req, res) => {
   if (!req.file) {
     return res.status(400).json({ message: 'No file uploaded.' });
   }
-  
-  // If upload is successful, multer adds a 'file' object to the request.
-  // We send back the public URL of the uploaded file.
-  // Note: Replace backslashes with forward slashes for URL compatibility.
+
   const filePath = `/${req.file.path.replace(/\\/g, "/")}`;
   res.status(200).json({
     message: 'Image uploaded successfully',
     filePath: filePath, // e.g., /uploads/profileImage-1678886400000.png
   });
-});
+};
+
+// @route   POST /api/upload
+// @desc    Upload a single file
+// @access  Public (the sign-up form uploads a profile picture before the account exists)
+// The 'upload.single("profileImage")' middleware processes the file upload.
+// "profileImage" must match the name of the form field on the frontend.
+router.post('/', publicRoute, upload.single('profileImage'), sendFilePath);
+
+// @route   POST /api/upload/review-photo
+// @desc    Upload a photo to attach to a product review (form field "photo")
+// @access  Private
+router.post('/review-photo', protect, upload.single('photo'), sendFilePath);
+
+// @route   POST /api/upload/return-photo
+// @desc    Upload a photo of an item being returned or exchanged (form field "photo")
+// @access  Private
+router.post('/return-photo', protect, upload.single('photo'), sendFilePath);
+
+// @route   POST /api/upload/delivery-photo
+// @desc    Upload a proof of delivery photo taken at the door (form field "photo")
+// @access  Private
+router.post('/delivery-photo', protect, upload.single('photo'), sendFilePath);
 
 export default router;
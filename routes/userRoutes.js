@@ -1,26 +1,27 @@
 import express from 'express';
 import userController from '../controllers/userController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
 const router = express.Router();
 
 // Create user
-router.post('/', userController.createUser);
+router.post('/', protect, authorize('users:manage'), userController.createUser);
 
 // Get all users
-router.get('/', userController.getAllUsers);
+router.get('/', protect, authorize('users:read'), userController.getAllUsers);
 
 // Get user by ID
-router.get('/:id', userController.getUserById);
+router.get('/:id', protect, authorize('users:read'), userController.getUserById);
 
 // Update user
-router.put('/:id', userController.updateUser);
+router.put('/:id', protect, authorize('users:manage'), userController.updateUser);
 
 // Delete user
-router.delete('/:id', userController.deleteUser);
+router.delete('/:id', protect, authorize('users:manage'), userController.deleteUser);
 
 // Get user by username
 import User from "../models/User.js";
 
-router.get("/search/:username", async (req, res) => {
+router.get("/search/:username", protect, async (req, res) => {
   try {
     const user = await User.findOne({ username: req.params.username });
     if (!user) return res.status(404).json({ error: "User not found" });
@@ -31,7 +32,7 @@ router.get("/search/:username", async (req, res) => {
 });
 
 // Check user by username (for compatibility with fetchUserByUsername)
-router.get("/check/:username", async (req, res) => {
+router.get("/check/:username", protect, async (req, res) => {
   try {
     const user = await User.findOne({ username: req.params.username });
     if (!user) return res.status(404).json({ error: "User not found" });
@@ -42,7 +43,7 @@ router.get("/check/:username", async (req, res) => {
 });
 
 // Find user by username (POST method)
-router.post("/find", async (req, res) => {
+router.post("/find", protect, async (req, res) => {
   try {
     const { username } = req.body;
     const user = await User.findOne({ username });
@@ -54,7 +55,7 @@ router.post("/find", async (req, res) => {
 });
 
 // Search users by name
-router.get("/search/name/:name", async (req, res) => {
+router.get("/search/name/:name", protect, async (req, res) => {
   try {
     const users = await User.find({
       $or: [
@@ -70,7 +71,7 @@ router.get("/search/name/:name", async (req, res) => {
 });
 
 // Search users by name (POST method)
-router.post("/search", async (req, res) => {
+router.post("/search", protect, async (req, res) => {
   try {
     const { name } = req.body;
     const users = await User.find({
@@ -87,7 +88,7 @@ router.post("/search", async (req, res) => {
 });
 
 // Test route to check if users exist
-router.get("/test/exists", async (req, res) => {
+router.get("/test/exists", protect, authorize('system:debug'), async (req, res) => {
   try {
     const count = await User.countDocuments();
     const allUsers = await User.find().select('username firstName lastName email _id');
@@ -5,36 +5,65 @@ const router = express.Router();
 import {
     getUserProfile,
     updateUserProfile,
+    exportMyData,
+    eraseMyAccount,
     getAllUsers,
     getUserById,
     createUserByAdmin,
     updateUserByAdmin,
     deleteUserByAdmin,
+    exportUserDataByAdmin,
     updateUserStatusByAdmin,
+    getLockedUsers,
+    unlockUserByAdmin,
+    resetTwoFactorByAdmin,
 } from '../controllers/usersController.js';
+import { setGuardianByAdmin } from '../controllers/guardianController.js';
+import { importUsers, resendInvitation } from '../controllers/userImportController.js';
 
 // Import the security middleware
-import { protect, authorizeRoles } from '../utils/protect.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
 
 // --- Routes for a user managing their OWN profile ---
 // Any logged-in user can access these.
 router.route('/profile')
     .get(protect, getUserProfile)
-    .put(protect, updateUserProfile);
+    .put(protect, updateUserProfile)
+    .delete(protect, eraseMyAccount);
+router.get('/profile/export', protect, exportMyData);
 
-// --- ADMIN-ONLY Routes ---
-// Only users with the 'admin' role can access these routes.
+// --- User administration Routes ---
+// Access is granted through the 'users:*' permissions (admin by default).
 router.route('/')
-    .get(getAllUsers) // Temporarily remove auth for development
-    .post(protect, authorizeRoles('admin'), createUserByAdmin);
+    .get(protect, authorize('users:read'), getAllUsers)
+    .post(protect, authorize('users:manage'), createUserByAdmin);
+
+// --- Bulk onboarding from CSV (dryRun validates without writing) ---
+router.post('/import', protect, authorize('users:manage'), importUsers);
+
+// --- Accounts locked by repeated failed logins ---
+router.get('/locked', protect, authorize('users:suspend'), getLockedUsers);
 
 router.route('/:id')
-    .get(protect, authorizeRoles('admin'), getUserById)
-    .put(protect, authorizeRoles('admin'), updateUserByAdmin)
-    .delete(protect, authorizeRoles('admin'), deleteUserByAdmin);
+    .get(protect, authorize('users:read'), getUserById)
+    .put(protect, authorize('users:manage'), updateUserByAdmin)
+    .delete(protect, authorize('users:manage'), deleteUserByAdmin);
+
+// --- Personal data export for a subject access request (audited) ---
+router.get('/:id/export', protect, authorize('users:manage'), exportUserDataByAdmin);
+
+// --- Re-send the set-password invitation to an imported or invited user ---
+router.post('/:id/invite', protect, authorize('users:manage'), resendInvitation);
+
+// --- ROUTE TO UPDATE USER STATUS (suspend / re-activate) ---
+router.put('/:id/status', protect, authorize('users:suspend'), updateUserStatusByAdmin);
+router.put('/:id/unlock', protect, authorize('users:suspend'), unlockUserByAdmin);
+
+// --- Lost-device recovery for two-factor authentication (audited) ---
+router.put('/:id/2fa/reset', protect, authorize('users:resetTwoFactor'), resetTwoFactorByAdmin);
 
-// --- ADMIN-ONLY ROUTE TO UPDATE USER STATUS ---
-router.put('/:id/status', protect, authorizeRoles('admin'), updateUserStatusByAdmin);
+// --- Link a junior player to their parent or guardian (audited) ---
+router.put('/:id/guardian', protect, authorize('users:manage'), setGuardianByAdmin);
 
 
 export default router;
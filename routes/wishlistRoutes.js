@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  getRestockAlerts,
+  subscribeRestockAlert,
+  cancelRestockAlert
+} from '../controllers/wishlistController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// --- Restock alerts ---
+router.get('/restock-alerts', protect, getRestockAlerts);
+router.post('/restock-alerts', protect, subscribeRestockAlert);
+router.delete('/restock-alerts/:id', protect, cancelRestockAlert);
+
+// --- Wishlist ---
+router.get('/', protect, getWishlist);
+router.post('/', protect, addToWishlist);
+router.delete('/:itemId', protect, removeFromWishlist);
+
+export default router;
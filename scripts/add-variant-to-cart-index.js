@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+dotenv.config();
+
+import CartPending from '../models/cart_Pending.js';
+
+// A cart can now hold several variants of the same product, so the unique
+// cart line index has to include the variant. Drop the old product-only index
+// and let Mongoose build the new one.
+async function addVariantToCartIndex() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const indexes = await CartPending.collection.indexes();
+    if (indexes.some(index => index.name === 'cartToken_1_productId_1')) {
+      await CartPending.collection.dropIndex('cartToken_1_productId_1');
+      console.log('Dropped cartToken_1_productId_1 index');
+    }
+
+    await CartPending.createIndexes();
+    console.log('✅ Cart indexes are up to date');
+  } catch (error) {
+    console.error('❌ Failed to update the cart index:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+addVariantToCartIndex();
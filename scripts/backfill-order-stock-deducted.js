@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+dotenv.config();
+
+import Order from '../models/Order.js';
+
+// Stock used to be taken when an order was completed and put back on any
+// cancellation. Orders now record when their stock was taken, so mark the
+// completed orders from before that change as already deducted.
+async function backfillOrderStockDeducted() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const result = await Order.collection.updateMany(
+      { stockDeductedAt: { $exists: false }, status: 'completed' },
+      [{ $set: { stockDeductedAt: '$date' } }]
+    );
+    await Order.collection.updateMany({ stockDeductedAt: { $exists: false } }, { $set: { stockDeductedAt: null } });
+
+    console.log(`✅ Marked ${result.modifiedCount} completed orders as stock deducted`);
+  } catch (error) {
+    console.error('❌ Failed to backfill stockDeductedAt:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+backfillOrderStockDeducted();
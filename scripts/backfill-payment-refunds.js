@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+dotenv.config();
+
+import Payment from '../models/Payments.js';
+import Invoice from '../models/Invoice.js';
+import { refundTaxShare } from '../utils/payments.js';
+
+// Payments used to keep only the total refunded and the date of the last refund.
+// Give each refunded payment one refund entry for that total, on that date, so
+// the tax summary can report refunds by the day they were paid.
+async function backfillPaymentRefunds() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const payments = await Payment.find({ refundAmount: { $gt: 0 }, refunds: { $exists: false } });
+    console.log(`Found ${payments.length} refunded payment(s) without refund entries`);
+
+    for (const payment of payments) {
+      const invoice = payment.invoiceId ? await Invoice.findById(payment.invoiceId) : null;
+      await Payment.updateOne({ _id: payment._id, refunds: { $exists: false } }, {
+        $set: {
+          refunds: [{
+            amount: payment.refundAmount,
+            tax: refundTaxShare(invoice, 0, payment.refundAmount),
+            reason: payment.refundReason,
+            date: payment.refundDate || payment.updatedAt
+          }]
+        }
+      });
+    }
+    console.log(`✅ Backfilled ${payments.length} payment(s)`);
+  } catch (error) {
+    console.error('❌ Failed to backfill payment refunds:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+backfillPaymentRefunds();
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+dotenv.config();
+
+import RolePermission from '../models/RolePermission.js';
+
+// The permission catalogue before role rows recorded the permissions they had seen
+const CATALOGUE_BEFORE_KNOWN_PERMISSIONS = [
+  'users:read', 'users:manage', 'users:suspend', 'permissions:manage', 'products:manage', 'inventory:manage',
+  'orders:read', 'orders:manage', 'orders:refund', 'payments:read', 'payments:manage', 'reports:read',
+  'payroll:read', 'payroll:manage', 'payroll:markPaid', 'coaches:manage', 'coaches:profile', 'programs:manage',
+  'enrollments:read', 'enrollments:manage', 'sessions:manage', 'attendance:read', 'attendance:mark',
+  'playerFeedback:write', 'grounds:manage', 'bookings:read', 'bookings:manage', 'repairs:read', 'repairs:manage',
+  'repairs:progress', 'technicians:manage', 'feedback:read', 'feedback:manage', 'system:debug', 'system:maintenance'
+];
+
+// Role rows saved before knownPermissions existed keep exactly what an admin
+// set and get no later default permissions until this has run. Record the
+// catalogue they were saved against, so every default added since then reaches
+// them. Safe to run more than once.
+async function backfillRoleKnownPermissions() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const result = await RolePermission.updateMany(
+      { knownPermissions: { $exists: false } },
+      { $set: { knownPermissions: CATALOGUE_BEFORE_KNOWN_PERMISSIONS } }
+    );
+    console.log(`✅ Recorded the known permissions of ${result.modifiedCount} role(s)`);
+  } catch (error) {
+    console.error('❌ Failed to backfill known permissions:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+backfillRoleKnownPermissions();
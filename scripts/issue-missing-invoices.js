@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+dotenv.config();
+
+import Payment from '../models/Payments.js';
+import { issueInvoice } from '../utils/invoices.js';
+
+// Issue tax invoices for successful payments that do not have one: payments
+// taken before invoicing existed, or whose invoice failed to issue at the time.
+// They are numbered in the order they were paid, after the last invoice issued.
+async function issueMissingInvoices() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const payments = await Payment.find({ status: 'success', invoiceId: null }).sort({ paymentDate: 1, _id: 1 });
+    console.log(`Found ${payments.length} successful payment(s) without an invoice`);
+
+    let issued = 0;
+    for (const payment of payments) {
+      if (await issueInvoice(payment)) issued++;
+    }
+    console.log(`✅ Issued ${issued} invoice(s)`);
+  } catch (error) {
+    console.error('❌ Failed to issue missing invoices:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+issueMissingInvoices();
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+dotenv.config();
+
+import User from '../models/User.js';
+
+// Junior player profiles created by a guardian may have no email, so the
+// unique email index must skip documents without one. MongoDB cannot change
+// an existing index in place: drop the old one and let Mongoose rebuild it.
+async function makeEmailIndexSparse() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const indexes = await User.collection.indexes();
+    const emailIndex = indexes.find(index => index.name === 'email_1');
+
+    if (emailIndex && !emailIndex.sparse) {
+      await User.collection.dropIndex('email_1');
+      console.log('Dropped non-sparse email_1 index');
+    }
+
+    await User.createIndexes();
+    console.log('✅ User indexes are up to date');
+  } catch (error) {
+    console.error('❌ Failed to update the user email index:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+makeEmailIndexSparse();
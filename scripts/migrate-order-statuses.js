@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+dotenv.config();
+
+import Order, { LEGACY_ORDER_STATUSES } from '../models/Order.js';
+
+// Orders used to mix 'completed'/'cancelled' with 'Delivered'/'Cancelled' and
+// friends. Move every order onto the lowercase lifecycle statuses and start
+// its status history, so the tracking page has something to show. 'completed'
+// was set on payment, before anything was sent, so it becomes 'processing'
+// (with its stock already taken) and is listed for staff to check which of
+// those orders did go out. Safe to run more than once.
+async function migrateOrderStatuses() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    for (const [legacy, status] of Object.entries(LEGACY_ORDER_STATUSES)) {
+      const result = await Order.collection.updateMany(
+        { status: legacy },
+        [{
+          $set: {
+            status,
+            statusHistory: [{ status, from: null, at: '$date', by: null, note: `Migrated from "${legacy}"` }],
+            ...(status === 'delivered' && { deliveredAt: '$date' }),
+            ...(legacy === 'completed' && { stockDeductedAt: { $ifNull: ['$stockDeductedAt', '$date'] } }),
+            ...(status === 'cancelled' && { cancelledAt: { $ifNull: ['$cancelledAt', '$date'] } })
+          }
+        }]
+      );
+      console.log(`✅ ${legacy} → ${status}: ${result.modifiedCount} orders`);
+    }
+
+    const toCheck = await Order.find({ 'statusHistory.note': 'Migrated from "completed"', status: 'processing' }).select('_id date');
+    if (toCheck.length > 0) {
+      console.log(`⚠️ ${toCheck.length} paid orders are back in processing. Dispatch them, or move those already sent on to delivered:`);
+      toCheck.forEach(order => console.log(`   ${order._id} (paid ${new Date(order.date).toLocaleDateString()})`));
+    }
+
+    // Orders already on a current status only need their history started
+    const started = await Order.collection.updateMany(
+      { statusHistory: { $exists: false } },
+      [{ $set: { statusHistory: [{ status: '$status', from: null, at: '$date', by: null }] } }]
+    );
+    console.log(`✅ Started the status history of ${started.modifiedCount} more orders`);
+  } catch (error) {
+    console.error('❌ Failed to migrate order statuses:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateOrderStatuses();
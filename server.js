@@ -34,6 +34,22 @@ import userRoutes from './routes/userRoutes.js';
 import playerRoutes from './routes/players.js';
 import attendanceRoutes from './routes/attendanceRoutes.js';
 import payrollRoutes from './routes/payrollRoutes.js';
+import permissionRoutes from './routes/permissionRoutes.js';
+import auditLogRoutes from './routes/auditLogRoutes.js';
+import guardianRoutes from './routes/guardianRoutes.js';
+import impersonationRoutes from './routes/impersonationRoutes.js';
+import promotionRoutes from './routes/promotionRoutes.js';
+import inventoryRoutes from './routes/inventoryRoutes.js';
+import supplierRoutes from './routes/supplierRoutes.js';
+import purchaseOrderRoutes from './routes/purchaseOrderRoutes.js';
+import reviewRoutes from './routes/reviewRoutes.js';
+import wishlistRoutes from './routes/wishlistRoutes.js';
+import returnRoutes from './routes/returnRoutes.js';
+import addressRoutes from './routes/addressRoutes.js';
+import deliveryRunRoutes from './routes/deliveryRunRoutes.js';
+import shippingZoneRoutes from './routes/shippingZoneRoutes.js';
+import taxRateRoutes from './routes/taxRateRoutes.js';
+import invoiceRoutes from './routes/invoiceRoutes.js';
 
 // --- Initial Configuration ---
 // Load environment variables from .env file
@@ -53,35 +69,57 @@ app.use(express.json());
 
 
 // --- API Routes Setup ---
-// This is where you link your routes to their base URLs
-app.use('/api/auth', authRoutes);
-app.use('/api/upload', uploadRoutes);
-app.use('/api/users', usersRoutes);
-app.use('/api/products', productRoutes);
-app.use('/api/orders', orderRoutes);
-app.use('/api/payment', paymentRoutes);
-app.use('/api/reports', reportRoutes);
-app.use('/api/cart-pending', cartPendingRoutes);
-app.use('/api/programs', coachingProgramRoutes);
-app.use('/api/enrollments', programEnrollmentRoutes);
-app.use('/api/sessions', sessionRoutes);
-app.use('/api/session-grounds', sessionGroundRoutes);
-app.use('/api/session-requests', sessionRequestRoutes);
-app.use('/api/coaches', coachRoutes);
-app.use('/api/grounds', groundRoutes);
-app.use('/api/bookings', bookingRoutes);
-app.use('/api/player-feedback', playerFeedbackRoutes);
-app.use('/api/sync', syncRoutes);
-app.use('/api/notifications', notificationRoutes);
-
-// --- Repair Service API Routes ---
-app.use('/api/repairs', repairRoutes);
-app.use('/api/feedbacks', feedbackRoutes);
-app.use('/api/technicians', technicianRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/players', playerRoutes);
-app.use('/api/attendance', attendanceRoutes);
-app.use('/api/payroll', payrollRoutes);
+// This is where you link your routes to their base URLs.
+// The list is also used by the route report (GET /api/permissions/routes).
+const apiRoutes = [
+    ['/api/auth', authRoutes],
+    ['/api/upload', uploadRoutes],
+    ['/api/users', usersRoutes],
+    ['/api/products', productRoutes],
+    ['/api/orders', orderRoutes],
+    ['/api/payment', paymentRoutes],
+    ['/api/reports', reportRoutes],
+    ['/api/cart-pending', cartPendingRoutes],
+    ['/api/programs', coachingProgramRoutes],
+    ['/api/enrollments', programEnrollmentRoutes],
+    ['/api/sessions', sessionRoutes],
+    ['/api/session-grounds', sessionGroundRoutes],
+    ['/api/session-requests', sessionRequestRoutes],
+    ['/api/coaches', coachRoutes],
+    ['/api/grounds', groundRoutes],
+    ['/api/bookings', bookingRoutes],
+    ['/api/player-feedback', playerFeedbackRoutes],
+    ['/api/sync', syncRoutes],
+    ['/api/notifications', notificationRoutes],
+    ['/api/permissions', permissionRoutes],
+    ['/api/audit-logs', auditLogRoutes],
+    ['/api/guardian', guardianRoutes],
+    ['/api/impersonation', impersonationRoutes],
+    ['/api/promotions', promotionRoutes],
+    ['/api/inventory', inventoryRoutes],
+    ['/api/suppliers', supplierRoutes],
+    ['/api/purchase-orders', purchaseOrderRoutes],
+    ['/api/reviews', reviewRoutes],
+    ['/api/wishlist', wishlistRoutes],
+    ['/api/returns', returnRoutes],
+    ['/api/addresses', addressRoutes],
+    ['/api/delivery-runs', deliveryRunRoutes],
+    ['/api/shipping-zones', shippingZoneRoutes],
+    ['/api/tax-rates', taxRateRoutes],
+    ['/api/invoices', invoiceRoutes],
+
+    // --- Repair Service API Routes ---
+    ['/api/repairs', repairRoutes],
+    ['/api/feedbacks', feedbackRoutes],
+    ['/api/technicians', technicianRoutes],
+    ['/api/users', userRoutes],
+    ['/api/players', playerRoutes],
+    ['/api/attendance', attendanceRoutes],
+    ['/api/payroll', payrollRoutes],
+];
+
+apiRoutes.forEach(([mountPath, router]) => app.use(mountPath, router));
+app.set('apiRoutes', apiRoutes);
 
 // A simple test route to check if the server is working
 app.get('/api/test', (req, res) => {
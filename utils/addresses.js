@@ -0,0 +1,42 @@
+import Address from '../models/Address.js';
+
+// What a customer can set on an address book entry
+const EDITABLE_FIELDS = ['label', 'recipientName', 'line1', 'line2', 'city', 'district', 'postalCode', 'phone', 'instructions'];
+
+// Only the editable fields of a request body
+const addressInput = (body = {}) => Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// One line of text for labels, emails and Order.address, e.g. "12 Lake Rd, Nugegoda 10250, Colombo"
+const formatAddress = (address) => [
+    address.line1,
+    address.line2,
+    [address.city, address.postalCode].filter(Boolean).join(' '),
+    address.district,
+].filter(Boolean).join(', ');
+
+/**
+ * Work out where an order goes. The customer's saved address is copied onto
+ * the order (deliveryAddress), so later edits to the address book do not move
+ * orders already placed. A free-text address is not accepted: without its
+ * district and postal code the delivery could not be charged for its zone.
+ * @param {ObjectId} customerId
+ * @param {{ addressId? }} choice - From the checkout request.
+ * @returns {Promise<{ ok: boolean, address?: string, deliveryAddress?: Object, status?: number, message?: string }>}
+ */
+const resolveDeliveryAddress = async (customerId, { addressId } = {}) => {
+
+    const saved = /^[a-f\d]{24}$/i.test(String(addressId))
+        ? await Address.findOne({ _id: addressId, userId: customerId })
+        : null;
+    if (!saved) return { ok: false, status: 400, message: 'Choose one of your saved delivery addresses' };
+
+    const deliveryAddress = { addressId: saved._id };
+    for (const field of EDITABLE_FIELDS) {
+        if (saved[field]) deliveryAddress[field] = saved[field];
+    }
+    return { ok: true, address: formatAddress(saved), deliveryAddress };
+};
+
+export { addressInput, formatAddress, resolveDeliveryAddress };
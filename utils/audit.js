@@ -0,0 +1,55 @@
+import AuditLog from '../models/AuditLog.js';
+import { getClientIp } from './authSession.js';
+
+// Plain, JSON-safe copy of the listed fields of a document (ObjectIds and dates become strings)
+const snapshot = (doc, fields) => {
+    if (!doc) return null;
+    const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+    const result = {};
+    for (const field of fields) {
+        const value = field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), source);
+        result[field] = value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+    return result;
+};
+
+// Field-by-field differences between two snapshots
+const diffSnapshots = (before, after) => {
+    if (!before || !after) return [];
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+    for (const field of fields) {
+        if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+            changes.push({ field, from: before[field] ?? null, to: after[field] ?? null });
+        }
+    }
+    return changes;
+};
+
+/**
+ * Write one audit entry. Failures are logged but never break the request
+ * that triggered them. During "view as user" the admin is recorded as the
+ * actor and the impersonated user alongside.
+ * @param {Object} req - The Express request; supplies the actor, IP and user agent.
+ * @param {Object} entry - { action, targetType, targetId, before, after, reason }.
+ */
+const recordAudit = async (req, entry) => {
+    try {
+        const actor = req.impersonator || req.user;
+        return await AuditLog.create({
+            actor: actor?._id || null,
+            impersonatedUser: req.impersonator ? req.user._id : undefined,
+            actorName: actor ? (`${actor.firstName || ''} ${actor.lastName || ''}`.trim() || actor.username) : 'system',
+            actorRole: actor?.role,
+            ipAddress: getClientIp(req),
+            userAgent: req.headers['user-agent'] || '',
+            changes: diffSnapshots(entry.before, entry.after),
+            ...entry,
+        });
+    } catch (error) {
+        console.error('❌ Failed to write audit log:', error);
+        return null;
+    }
+};
+
+export { recordAudit, snapshot, diffSnapshots };
@@ -0,0 +1,174 @@
+import jwt from 'jsonwebtoken';
+import AuthSession from '../models/AuthSession.js';
+import User from '../models/User.js';
+import generateToken, { generateRefreshToken, hashToken, getRefreshTokenTTLDays } from './generateToken.js';
+
+// Rough, human readable label for the sessions list ("Chrome on Android")
+const describeDevice = (userAgent = '') => {
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+        : /Chrome\//.test(userAgent) ? 'Chrome'
+        : /Firefox\//.test(userAgent) ? 'Firefox'
+        : /Safari\//.test(userAgent) ? 'Safari'
+        : 'Unknown browser';
+    const os = /Android/.test(userAgent) ? 'Android'
+        : /iPhone|iPad/.test(userAgent) ? 'iOS'
+        : /Windows/.test(userAgent) ? 'Windows'
+        : /Mac OS X/.test(userAgent) ? 'macOS'
+        : /Linux/.test(userAgent) ? 'Linux'
+        : 'Unknown OS';
+    return `${browser} on ${os}`;
+};
+
+const getClientIp = (req) => (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.ip || '';
+
+const refreshExpiryDate = () => new Date(Date.now() + getRefreshTokenTTLDays() * 24 * 60 * 60 * 1000);
+
+// Create a new session for a successful login and hand back both tokens
+const startSession = async (user, req) => {
+    const refreshToken = generateRefreshToken();
+    const userAgent = req.headers['user-agent'] || '';
+
+    const session = await AuthSession.create({
+        userId: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent,
+        ipAddress: getClientIp(req),
+        deviceName: describeDevice(userAgent),
+        expiresAt: refreshExpiryDate(),
+    });
+
+    return {
+        token: generateToken(user._id, session._id),
+        refreshToken,
+        sessionId: session._id,
+    };
+};
+
+// Start a session and build the body every successful login returns
+const createLoginResponse = async (user, req) => {
+    const { token, refreshToken } = await startSession(user, req);
+    return {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        profileImageURL: user.profileImageURL,
+        token,
+        refreshToken,
+    };
+};
+
+// Exchange a refresh token for a new access/refresh pair.
+// Returns null when the token is unknown, expired or revoked.
+const rotateSession = async (refreshToken, req) => {
+    const tokenHash = hashToken(refreshToken);
+    const session = await AuthSession.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+        // An already-rotated token being replayed: someone else has a copy of it
+        const reused = await AuthSession.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+        if (reused) {
+            reused.revokedAt = new Date();
+            reused.revokedReason = 'token_reuse';
+            await reused.save();
+            console.warn(`🚨 Refresh token reuse detected for user ${reused.userId}, session ${reused._id} revoked`);
+        }
+        return null;
+    }
+
+    if (!session.isActive()) return null;
+
+    const user = await User.findById(session.userId);
+    if (!user || user.status !== 'active') {
+        session.revokedAt = new Date();
+        session.revokedReason = 'account_suspended';
+        await session.save();
+        return null;
+    }
+
+    const nextRefreshToken = generateRefreshToken();
+    session.previousTokenHash = tokenHash;
+    session.refreshTokenHash = hashToken(nextRefreshToken);
+    session.lastUsedAt = new Date();
+    session.ipAddress = getClientIp(req);
+    session.expiresAt = refreshExpiryDate();
+    await session.save();
+
+    return {
+        user,
+        token: generateToken(user._id, session._id),
+        refreshToken: nextRefreshToken,
+        sessionId: session._id,
+    };
+};
+
+// Revoke one session; userId scopes the lookup so users can only end their own
+const revokeSession = async (sessionId, reason, userId = null) => {
+    const filter = { _id: sessionId, revokedAt: null };
+    if (userId) filter.userId = userId;
+    const result = await AuthSession.updateOne(filter, { revokedAt: new Date(), revokedReason: reason });
+    return result.modifiedCount > 0;
+};
+
+// Revoke every active session of a user, optionally keeping the current one
+const revokeAllSessions = async (userId, reason, exceptSessionId = null) => {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+    const result = await AuthSession.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+    return result.modifiedCount;
+};
+
+const listActiveSessions = async (userId) => {
+    return AuthSession.find({ userId, impersonator: null, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('-refreshTokenHash -previousTokenHash')
+        .sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Resolves the user behind a Bearer access token.
+ * Besides the signature it checks that the login session is still active and
+ * that the account has not been suspended since the token was issued.
+ * @returns {{ user, session } | { status, message, code }}
+ */
+const authenticateAccessToken = async (token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return { status: 401, message: 'Access token expired', code: 'TOKEN_EXPIRED' };
+        }
+        return { status: 401, message: 'Not authorized, token failed', code: 'TOKEN_INVALID' };
+    }
+
+    // Tokens issued before sessions existed carry no sid and cannot be revoked
+    if (!decoded.sid) {
+        return { status: 401, message: 'Session expired, please log in again', code: 'SESSION_REVOKED' };
+    }
+
+    const session = await AuthSession.findById(decoded.sid);
+    if (!session || !session.isActive() || session.userId.toString() !== decoded.id) {
+        return { status: 401, message: 'Session has been logged out', code: 'SESSION_REVOKED' };
+    }
+
+    const user = await User.findById(decoded.id).select('-passwordHash');
+    if (!user) {
+        return { status: 401, message: 'User not found', code: 'TOKEN_INVALID' };
+    }
+    if (user.status !== 'active') {
+        return { status: 403, message: `Your account has been ${user.status}.`, code: 'ACCOUNT_SUSPENDED' };
+    }
+
+    return { user, session };
+};
+
+export {
+    startSession,
+    createLoginResponse,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    listActiveSessions,
+    authenticateAccessToken,
+    getClientIp,
+};
@@ -0,0 +1,117 @@
+import AuthAttempt from '../models/AuthAttempt.js';
+import { sendEmail } from './notification.js';
+import { getClientIp } from './authSession.js';
+
+// Limits are read lazily because server.js loads .env after the imports run
+const getLimits = () => ({
+    maxAccountFailures: parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5,
+    lockoutMinutes: parseInt(process.env.LOCKOUT_MINUTES, 10) || 15,
+    maxIpFailures: parseInt(process.env.MAX_IP_AUTH_ATTEMPTS, 10) || 20,
+    ipWindowMinutes: parseInt(process.env.IP_ATTEMPT_WINDOW_MINUTES, 10) || 15,
+    maxCodeAttempts: parseInt(process.env.MAX_CODE_ATTEMPTS, 10) || 5,
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Each further failure waits twice as long before answering: 0.5s, 1s, 2s ... up to 8s
+const progressiveDelay = (failures) => {
+    if (failures < 2) return Promise.resolve();
+    return sleep(Math.min(500 * 2 ** (failures - 2), 8000));
+};
+
+// --- Per-IP counters ---
+
+// Returns the number of seconds the IP must wait, or 0 if it may try again
+const getIpRetryAfter = async (ipAddress, action) => {
+    const attempt = await AuthAttempt.findOne({ ipAddress, action, expiresAt: { $gt: new Date() } });
+    if (!attempt || attempt.failures < getLimits().maxIpFailures) return 0;
+    return Math.ceil((attempt.expiresAt.getTime() - Date.now()) / 1000);
+};
+
+// Answer with 429 and a Retry-After header when an IP has used up its attempts
+const rejectThrottledIp = async (req, res, action) => {
+    const retryAfter = await getIpRetryAfter(getClientIp(req), action);
+    if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({ message: 'Too many attempts from this network. Please try again later.', retryAfter });
+        return true;
+    }
+    return false;
+};
+
+const recordIpFailure = async (ipAddress, action) => {
+    const { ipWindowMinutes } = getLimits();
+    const now = new Date();
+    // Start a fresh window if the previous one has run out but was not yet swept by the TTL index
+    await AuthAttempt.deleteOne({ ipAddress, action, expiresAt: { $lte: now } });
+    const attempt = await AuthAttempt.findOneAndUpdate(
+        { ipAddress, action },
+        {
+            $inc: { failures: 1 },
+            $set: { lastFailureAt: now },
+            $setOnInsert: { expiresAt: new Date(now.getTime() + ipWindowMinutes * 60 * 1000) },
+        },
+        { upsert: true, new: true }
+    );
+    return attempt.failures;
+};
+
+const clearIpFailures = (ipAddress, action) => AuthAttempt.deleteOne({ ipAddress, action });
+
+// --- Per-account lockout ---
+
+const isAccountLocked = (user) => !!(user.lockUntil && user.lockUntil > new Date());
+
+const sendLockoutEmail = async (user) => {
+    const { lockoutMinutes } = getLimits();
+    const text = `Hello ${user.firstName || user.username},\n\n`
+        + `We noticed several failed sign-in attempts on your account, so it has been locked for ${lockoutMinutes} minutes.\n\n`
+        + `If this was you, wait a little and try again, or reset your password from the login page.\n`
+        + `If it was not you, we recommend resetting your password as soon as the lock ends.\n\n`
+        + `— The CricketExpert Team`;
+    try {
+        await sendEmail(user.email, 'Your account has been temporarily locked', text);
+    } catch (error) {
+        console.error('❌ Failed to send lockout email:', error);
+    }
+};
+
+// Count a wrong password; lock the account and email the owner when the limit is hit
+const recordAccountFailure = async (user) => {
+    const { maxAccountFailures, lockoutMinutes } = getLimits();
+    user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+    user.lastFailedLoginAt = new Date();
+
+    const justLocked = user.failedLoginAttempts >= maxAccountFailures;
+    if (justLocked) {
+        user.lockUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+        user.failedLoginAttempts = 0;
+        console.log(`🔒 Account ${user.email} locked until ${user.lockUntil.toISOString()}`);
+    }
+    await user.save();
+
+    if (justLocked) {
+        sendLockoutEmail(user);
+    }
+    return { locked: justLocked, failures: user.failedLoginAttempts };
+};
+
+const clearAccountFailures = async (user) => {
+    if (!user.failedLoginAttempts && !user.lockUntil) return;
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = undefined;
+    user.lockUntil = undefined;
+    await user.save();
+};
+
+export {
+    getLimits,
+    progressiveDelay,
+    getIpRetryAfter,
+    rejectThrottledIp,
+    recordIpFailure,
+    clearIpFailures,
+    isAccountLocked,
+    recordAccountFailure,
+    clearAccountFailures,
+};
@@ -0,0 +1,60 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line breaks).
+ * @param {string} text - Raw CSV; the first non-empty line is the header row.
+ * @returns {{ headers: string[], rows: Object[] }} rows keyed by header, each with its 1-based file line in `_line`
+ */
+const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => { record.push(field); field = ''; };
+    const endRecord = () => {
+        endField();
+        if (record.some(value => value.trim() !== '')) records.push({ values: record, line: recordLine });
+        record = [];
+        recordLine = line;
+    };
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            line++;
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) endRecord();
+
+    if (records.length === 0) return { headers: [], rows: [] };
+
+    const headers = records[0].values.map(h => h.trim());
+    const rows = records.slice(1).map(({ values, line: rowLine }) => {
+        const row = { _line: rowLine };
+        headers.forEach((header, index) => { row[header] = (values[index] ?? '').trim(); });
+        return row;
+    });
+    return { headers, rows };
+};
+
+export { parseCsv };
@@ -0,0 +1,214 @@
+import DeliveryRun, { FAILED_DELIVERY_REASONS, OPEN_STOP_STATUSES } from '../models/DeliveryRun.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { createNotification } from '../controllers/notificationController.js';
+import { transitionOrder } from './orderLifecycle.js';
+import { sendDeliveryFailedEmail } from './wemailService.js';
+
+// Only pictures uploaded through /api/upload/delivery-photo
+const PHOTO_PATH = /^\/uploads\/[\w.-]+$/;
+
+// How a failed attempt reads to the customer
+const FAILED_REASON_TEXT = {
+    not_home: 'nobody was home to receive it',
+    wrong_address: 'the address could not be found',
+    refused: 'the parcel was refused',
+    unreachable: 'we could not reach you by phone',
+    no_access: 'we could not get access to the building',
+    other: 'something went wrong on the way',
+};
+
+// What the stop moves its order to, and which stop statuses it can come from
+const STOP_CHANGES = {
+    out_for_delivery: { from: ['pending'], order: 'out_for_delivery' },
+    delivered: { from: ['out_for_delivery'], order: 'delivered' },
+    failed: { from: ['pending', 'out_for_delivery'], order: 'processing' },
+};
+
+const NOTIFICATION_TEXT = {
+    out_for_delivery: { title: '🚚 Out for delivery', message: (order) => `Your order ...${String(order._id).slice(-8)} is on its way to you.` },
+    delivered: { title: '✅ Delivered', message: (order, stop) => `Your order ...${String(order._id).slice(-8)} was delivered and received by ${stop.recipientName}.` },
+    failed: { title: '⚠️ Delivery attempt failed', message: (order, stop) => `We could not deliver order ...${String(order._id).slice(-8)}: ${FAILED_REASON_TEXT[stop.failedReason]}. We will try again on a later run.` },
+};
+
+// Orders already waiting on, or out on, a run that has not finished
+const ordersOnOpenRuns = async (orderIds) => {
+    const runs = await DeliveryRun.find({
+        status: { $in: ['planned', 'out'] },
+        stops: { $elemMatch: { orderId: { $in: orderIds }, status: { $in: OPEN_STOP_STATUSES } } },
+    }).select('stops');
+    const taken = new Set(orderIds.map(String));
+    return new Set(runs
+        .flatMap(run => run.stops)
+        .filter(stop => OPEN_STOP_STATUSES.includes(stop.status) && taken.has(String(stop.orderId)))
+        .map(stop => String(stop.orderId)));
+};
+
+// In-app notification, and for failed attempts an email (the lifecycle emails the rest).
+// The stop has already been recorded, so failures are only logged.
+const notifyCustomer = async (order, stop) => {
+    try {
+        const text = NOTIFICATION_TEXT[stop.status];
+        await createNotification({
+            userId: order.customerId,
+            type: 'delivery_update',
+            title: text.title,
+            message: text.message(order, stop),
+            relatedOrder: order._id,
+            priority: stop.status === 'failed' ? 'high' : 'medium',
+        });
+
+        if (stop.status === 'failed') {
+            const customer = await User.findById(order.customerId).select('email username firstName');
+            if (customer?.email) {
+                await sendDeliveryFailedEmail(customer.email, customer.firstName || customer.username, order, FAILED_REASON_TEXT[stop.failedReason]);
+            }
+        }
+    } catch (error) {
+        console.error(`❌ Failed to tell the customer about delivery of order ${order._id}:`, error);
+    }
+};
+
+// Keep the run's own status in step with its stops
+const syncRunStatus = async (run) => {
+    const now = new Date();
+    if (run.stops.every(stop => !OPEN_STOP_STATUSES.includes(stop.status))) {
+        return (await DeliveryRun.findOneAndUpdate(
+            { _id: run._id, status: { $in: ['planned', 'out'] } },
+            { status: 'completed', completedAt: now, ...(run.startedAt ? {} : { startedAt: now }) },
+            { new: true }
+        )) || run;
+    }
+    if (run.status === 'planned' && run.stops.some(stop => stop.status !== 'pending')) {
+        return (await DeliveryRun.findOneAndUpdate(
+            { _id: run._id, status: 'planned' },
+            { status: 'out', startedAt: now },
+            { new: true }
+        )) || run;
+    }
+    return run;
+};
+
+/**
+ * Record what happened at one stop and move its order along with it:
+ * out for delivery and delivered follow the order lifecycle (which emails
+ * the customer), and a failed attempt puts the order back into processing
+ * so it can go on another run. Delivered needs the name of whoever took the
+ * parcel; failed needs one of FAILED_DELIVERY_REASONS. The customer gets an
+ * in-app notification either way.
+ * The stop is claimed before the order is touched, and released again if the
+ * order cannot move, so two taps on a slow phone only count once.
+ * @param {Object} run - The run document as it was read.
+ * @param {string} stopId
+ * @param {{ status: string, recipientName?: string, photo?: string, failedReason?: string, note?: string }} update
+ * @param {{ actor?: ObjectId }} [options]
+ * @returns {Promise<{ ok: boolean, status?: number, message?: string, run?: Object, order?: Object }>}
+ */
+const updateStop = async (run, stopId, update, { actor = null } = {}) => {
+    const stop = run.stops.id(stopId);
+    if (!stop) return { ok: false, status: 404, message: 'Stop not found on this run' };
+
+    const change = STOP_CHANGES[update.status];
+    if (!change) return { ok: false, status: 400, message: 'Invalid stop status' };
+    if (['completed', 'cancelled'].includes(run.status)) {
+        return { ok: false, status: 409, message: `This run is ${run.status}` };
+    }
+    if (!change.from.includes(stop.status)) {
+        return {
+            ok: false,
+            status: 409,
+            message: stop.status === 'pending'
+                ? 'Mark the stop out for delivery first'
+                : `This stop is already ${stop.status.replace(/_/g, ' ')}`,
+        };
+    }
+
+    const set = { 'stops.$.status': update.status };
+    const recipientName = typeof update.recipientName === 'string' ? update.recipientName.trim() : '';
+    const note = typeof update.note === 'string' ? update.note.trim() : '';
+    if (update.status === 'delivered') {
+        if (!recipientName) return { ok: false, status: 400, message: 'Enter the name of the person who took the parcel' };
+        if (update.photo && !(typeof update.photo === 'string' && PHOTO_PATH.test(update.photo))) {
+            return { ok: false, status: 400, message: 'Attach an uploaded photo' };
+        }
+        set['stops.$.recipientName'] = recipientName;
+        if (update.photo) set['stops.$.photo'] = update.photo;
+    }
+    if (update.status === 'failed') {
+        if (!FAILED_DELIVERY_REASONS.includes(update.failedReason)) {
+            return { ok: false, status: 400, message: 'Choose why the delivery failed' };
+        }
+        set['stops.$.failedReason'] = update.failedReason;
+    }
+    if (update.status !== 'out_for_delivery') set['stops.$.attemptedAt'] = new Date();
+    if (note) set['stops.$.note'] = note;
+
+    const order = await Order.findById(stop.orderId);
+    if (!order) return { ok: false, status: 404, message: 'The order on this stop no longer exists' };
+
+    // Claim the stop before touching the order
+    const claimed = await DeliveryRun.findOneAndUpdate(
+        { _id: run._id, status: { $in: ['planned', 'out'] }, stops: { $elemMatch: { _id: stop._id, status: stop.status } } },
+        { $set: set },
+        { new: true, runValidators: true }
+    );
+    if (!claimed) return { ok: false, status: 409, message: 'This stop was updated by someone else. Reload the run sheet.' };
+
+    // A failed attempt before the order left the store leaves it in processing
+    const moveOrder = order.status !== change.order && !(update.status === 'failed' && order.status !== 'out_for_delivery');
+    let movedOrder = order;
+    if (moveOrder) {
+        const historyNote = update.status === 'delivered'
+            ? `${run.runNumber}: received by ${recipientName}`
+            : update.status === 'failed'
+                ? `${run.runNumber}: delivery failed, ${FAILED_REASON_TEXT[update.failedReason]}`
+                : run.runNumber;
+        const moved = await transitionOrder(order, change.order, { actor, note: note ? `${historyNote} (${note})` : historyNote });
+        if (!moved.ok) {
+            await DeliveryRun.updateOne(
+                { _id: run._id, 'stops._id': stop._id },
+                { $set: { 'stops.$.status': stop.status }, $unset: { 'stops.$.recipientName': '', 'stops.$.photo': '', 'stops.$.failedReason': '', 'stops.$.attemptedAt': '' } }
+            );
+            return { ok: false, status: moved.status, message: moved.message };
+        }
+        movedOrder = moved.order;
+    }
+    console.log(`🚚 ${run.runNumber}: order ${order._id} ${update.status.replace(/_/g, ' ')}`);
+
+    notifyCustomer(movedOrder, claimed.stops.id(stop._id));
+    return { ok: true, run: await syncRunStatus(claimed), order: movedOrder };
+};
+
+/**
+ * Send a planned run on its way: every pending stop is marked out for
+ * delivery. Stops whose order can no longer go out (cancelled by the
+ * customer, say) are left pending and reported back, for the driver to
+ * mark failed.
+ * @param {Object} run
+ * @param {{ actor?: ObjectId }} [options]
+ * @returns {Promise<{ ok: boolean, status?: number, message?: string, run?: Object, problems?: Array<{ stopId, orderId, message }> }>}
+ */
+const startRun = async (run, { actor = null } = {}) => {
+    if (run.status !== 'planned') {
+        return { ok: false, status: 409, message: `This run is already ${run.status}` };
+    }
+
+    const problems = [];
+    let current = run;
+    for (const stop of run.stops.filter(s => s.status === 'pending')) {
+        const result = await updateStop(current, stop._id, { status: 'out_for_delivery' }, { actor });
+        if (result.ok) {
+            current = result.run;
+        } else {
+            problems.push({ stopId: stop._id, orderId: stop.orderId, message: result.message });
+        }
+    }
+    return { ok: true, run: current, problems };
+};
+
+export {
+    FAILED_REASON_TEXT,
+    ordersOnOpenRuns,
+    updateStop,
+    startRun,
+};
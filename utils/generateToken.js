@@ -1,16 +1,59 @@
-const jwt = require('jsonwebtoken');
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+
+// Token lifetimes are read lazily because server.js loads .env after imports run
+const getAccessTokenTTL = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const getRefreshTokenTTLDays = () => Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
 
 /**
- * Generates a JSON Web Token (JWT) for a given user ID.
+ * Generates a short-lived access token (JWT) for a given user and login session.
  * @param {string} id - The user's MongoDB document ID.
+ * @param {string} sessionId - The AuthSession the token belongs to.
+ * @param {string|number} [expiresIn] - Lifetime override, e.g. for impersonation sessions.
  * @returns {string} The generated JWT.
  */
-const generateToken = (id) => {
-  // 'sign' creates a token. It takes the payload (data to store),
-  // a secret key (from your .env file), and an expiration time.
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '7d', // The user will stay logged in for 30 days
+const generateToken = (id, sessionId, expiresIn = getAccessTokenTTL()) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn,
   });
 };
 
-module.exports = generateToken;
\ No newline at end of file
+/**
+ * Generates an opaque refresh token. Only its hash is persisted.
+ * @returns {string} A random 96 character hex string.
+ */
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+/**
+ * Hashes a refresh token for storage and lookup.
+ * @param {string} token - The raw refresh token.
+ * @returns {string} The SHA-256 hex digest.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generates a short-lived token that proves the password step of a login
+ * succeeded. It carries no session ID, so it can never be used as an access token.
+ * @param {string} id - The user's MongoDB document ID.
+ * @param {string} purpose - 'two_factor' or 'two_factor_enroll'.
+ * @returns {string} The generated JWT, valid for five minutes.
+ */
+const generateChallengeToken = (id, purpose) => {
+  return jwt.sign({ id, purpose }, process.env.JWT_SECRET, { expiresIn: '5m' });
+};
+
+/**
+ * Checks a challenge token issued by generateChallengeToken.
+ * @returns {string|null} The user ID, or null if invalid, expired or issued for another purpose.
+ */
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export default generateToken;
+export { generateRefreshToken, hashToken, getRefreshTokenTTLDays, generateChallengeToken, verifyChallengeToken };
@@ -0,0 +1,61 @@
+import User from '../models/User.js';
+import { hasPermission } from './permissions.js';
+
+// Read lazily because server.js loads .env after the imports run
+const getMinorAge = () => parseInt(process.env.MINOR_AGE_YEARS, 10) || 18;
+
+// Whole years between the date of birth and today, or null when unknown
+const getAge = (dob) => {
+    if (!dob) return null;
+    const birth = new Date(dob);
+    if (Number.isNaN(birth.getTime())) return null;
+    const today = new Date();
+    let age = today.getFullYear() - birth.getFullYear();
+    const beforeBirthday = today.getMonth() < birth.getMonth()
+        || (today.getMonth() === birth.getMonth() && today.getDate() < birth.getDate());
+    if (beforeBirthday) age -= 1;
+    return age;
+};
+
+const isMinor = (dob) => {
+    const age = getAge(dob);
+    return age !== null && age < getMinorAge();
+};
+
+// Ids of the junior players this user manages
+const getChildIds = async (userId) => {
+    const children = await User.find({ guardian: userId }).select('_id');
+    return children.map(child => child._id);
+};
+
+// The user themselves plus everyone they manage, for "mine or my children's" queries
+const getManagedUserIds = async (userId) => [userId, ...(await getChildIds(userId))];
+
+/**
+ * Whether `user` may act on behalf of the player with `playerId`:
+ * it is their own account or one of their junior players.
+ * @param {Object} user - The authenticated user (req.user).
+ * @param {String|ObjectId|Object} playerId - A user id or a populated user document.
+ */
+const canActFor = async (user, playerId) => {
+    if (!user || !playerId) return false;
+    const id = (playerId._id || playerId).toString();
+    if (id === user._id.toString()) return true;
+    if (playerId.guardian !== undefined) return playerId.guardian?.toString() === user._id.toString();
+    return !!(await User.exists({ _id: id, guardian: user._id }));
+};
+
+// Same as canActFor, but staff holding `permission` may also act on anyone
+const canActForOrHas = async (user, playerId, permission) => {
+    if (await canActFor(user, playerId)) return true;
+    return hasPermission(user.role, permission);
+};
+
+// Who should hear about a player's bookings and payments: the guardian when there is one
+const getContactUser = async (player) => {
+    if (!player?.guardian) return player;
+    const guardian = await User.findById(player.guardian._id || player.guardian).select('firstName lastName username email');
+    return guardian || player;
+};
+
+export { getMinorAge, getAge, isMinor, getChildIds, getManagedUserIds, canActFor, canActForOrHas, getContactUser };
@@ -0,0 +1,60 @@
+import User from '../models/User.js';
+import { hasPermission } from './permissions.js';
+import { recordAudit } from './audit.js';
+
+// Read lazily because server.js loads .env after the imports run
+const getImpersonationMinutes = () => parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 30;
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Marks a write route as safe to call while an admin is viewing the app as
+ * another user (e.g. ending the impersonation). Like `publicRoute`, it does
+ * nothing at request time; `protect` looks for it on the matched route.
+ */
+const allowWhileImpersonating = (req, res, next) => next();
+allowWhileImpersonating.allowsImpersonatedWrites = true;
+
+const routeAllowsImpersonatedWrites = (req) =>
+    !!req.route?.stack?.some(layer => layer.handle?.allowsImpersonatedWrites);
+
+/**
+ * Called by `protect` for requests made with an impersonation session.
+ * Attaches the admin as `req.impersonator`, blocks writes that were not allowed
+ * and records every request against both the admin and the impersonated user.
+ * @returns {Promise<boolean>} true when a response has already been sent.
+ */
+const guardImpersonatedRequest = async (req, res) => {
+    const { authSession: session } = req;
+    const impersonator = await User.findById(session.impersonator).select('username firstName lastName role status');
+
+    // The admin must still be active and still allowed to impersonate
+    if (!impersonator || impersonator.status !== 'active' || !(await hasPermission(impersonator.role, 'users:impersonate'))) {
+        session.revokedAt = new Date();
+        session.revokedReason = 'impersonation_ended';
+        await session.save();
+        res.status(401).json({ message: 'This view-as-user session has ended', code: 'SESSION_REVOKED' });
+        return true;
+    }
+    req.impersonator = impersonator;
+
+    const request = { method: req.method, path: req.originalUrl };
+    if (!READ_METHODS.includes(req.method) && !session.allowWrites && !routeAllowsImpersonatedWrites(req)) {
+        await recordAudit(req, { action: 'impersonation.blocked', targetType: 'User', targetId: req.user._id, after: request });
+        res.status(403).json({ message: 'Changes are disabled while viewing as another user', code: 'IMPERSONATION_READ_ONLY' });
+        return true;
+    }
+
+    res.on('finish', () => {
+        if (req.skipImpersonationAudit) return;
+        recordAudit(req, {
+            action: 'impersonation.request',
+            targetType: 'User',
+            targetId: req.user._id,
+            after: { ...request, status: res.statusCode },
+        });
+    });
+    return false;
+};
+
+export { getImpersonationMinutes, allowWhileImpersonating, guardImpersonatedRequest };
@@ -0,0 +1,369 @@
+import Product from '../models/Product.js';
+import StockReservation from '../models/StockReservation.js';
+import StockMovement from '../models/StockMovement.js';
+import { sendLowStockAlert } from './wemailService.js';
+import { queueRestockAlerts } from './restockAlerts.js';
+
+const LOW_STOCK_THRESHOLD = 10;
+
+// Read lazily because server.js loads .env after the imports run
+const getHoldMinutes = () => parseInt(process.env.STOCK_HOLD_MINUTES, 10) || 15;
+
+const holdKey = (productId, variantId) => `${productId?._id || productId}:${variantId || ''}`;
+
+// Stock lives on the variant when the order line has one, otherwise on the product
+const stockHolder = (product, item) => product.getVariant(item.variantId) || product;
+
+// Name, stock and ID the low stock email should show for a product or one of its variants.
+// _id and variantId let the email link to a draft purchase order for it.
+const describeStock = (product, variant) => (variant
+    ? {
+        _id: product._id,
+        variantId: variant._id,
+        name: `${product.name} (${Product.variantLabel(variant)})`,
+        stock_quantity: variant.stock_quantity,
+        productId: variant.sku,
+        category: product.category,
+        brand: product.brand,
+        price: product.priceFor(variant),
+    }
+    : product);
+
+// Stock level at or below which a product (or each of its variants) needs restocking
+const reorderPointOf = (product) => product.reorderPoint ?? LOW_STOCK_THRESHOLD;
+
+/**
+ * Ledger entry for a stock change that has already been made on the product.
+ * @param {Object} product - The product as it is after the change.
+ * @param {*} variantId
+ * @param {number} quantity - Signed change.
+ * @param {{ reason, note?, orderId?, stocktakeId?, actor? }} details
+ */
+const movementFor = (product, variantId, quantity, details) => {
+    const variant = product.getVariant(variantId);
+    return {
+        productId: product._id,
+        variantId: variant ? variant._id : null,
+        sku: variant ? variant.sku : undefined,
+        productName: describeStock(product, variant).name,
+        quantity,
+        balanceAfter: (variant || product).stock_quantity,
+        ...details,
+    };
+};
+
+// Per product/variant stock, for comparing a product before and after an edit
+const stockSnapshot = (product) => new Map(product.hasVariants()
+    ? product.variants.map(variant => [String(variant._id), variant.stock_quantity])
+    : [['', product.stock_quantity]]);
+
+/**
+ * Record the stock a new product starts with, or the stock changed by editing
+ * a product directly, as ledger movements.
+ * @param {Map|null} before - stockSnapshot taken before the edit; null for a new product.
+ * @param {Object} product - The saved product.
+ * @param {{ actor?, note? }} details
+ */
+const recordStockEdits = async (before, product, { actor, note } = {}) => {
+    const after = stockSnapshot(product);
+    const movements = [];
+    for (const key of new Set([...(before || new Map()).keys(), ...after.keys()])) {
+        const change = (after.get(key) || 0) - (before?.get(key) || 0);
+        if (change === 0) continue;
+        if (after.has(key)) {
+            movements.push(movementFor(product, key || null, change, {
+                reason: before ? 'manual_adjustment' : 'opening_balance',
+                note: note || (before ? 'Edited on the product form' : undefined),
+                actor,
+            }));
+        } else {
+            // The variant was removed along with its stock
+            movements.push({
+                productId: product._id, variantId: key, productName: product.name, quantity: change, balanceAfter: 0,
+                reason: 'manual_adjustment', note: 'Variant removed', actor,
+            });
+        }
+    }
+    if (movements.length > 0) await StockMovement.insertMany(movements);
+    if (movements.some(movement => movement.quantity > 0)) queueRestockAlerts(product);
+};
+
+/**
+ * Change one product's or variant's stock and record why.
+ * Stock never goes below zero; such a change is refused.
+ * @param {{ productId, variantId?, quantity: number, reason: string, note?, orderId?, stocktakeId?, actor? }} change
+ * @returns {Promise<{ product: Object, movement: Object }|null>} null when refused or the product is gone.
+ */
+const adjustStock = async ({ productId, variantId = null, quantity, ...details }) => {
+    const enough = quantity < 0 ? { $gte: -quantity } : { $gte: 0 };
+    const product = variantId
+        ? await Product.findOneAndUpdate(
+            { _id: productId, variants: { $elemMatch: { _id: variantId, stock_quantity: enough } } },
+            { $inc: { 'variants.$.stock_quantity': quantity, stock_quantity: quantity } },
+            { new: true }
+        )
+        : await Product.findOneAndUpdate(
+            { _id: productId, stock_quantity: enough },
+            { $inc: { stock_quantity: quantity } },
+            { new: true }
+        );
+    if (!product) return null;
+
+    const movement = await StockMovement.create(movementFor(product, variantId, quantity, details));
+    // Customers waiting for it hear as soon as it is back, whether from a goods receipt, a correction or a cancelled order
+    if (quantity > 0) queueRestockAlerts(product);
+    return { product, movement };
+};
+
+const alertIfLow = async (product, variant) => {
+    const alert = describeStock(product, variant);
+    if (alert.stock_quantity > reorderPointOf(product)) return;
+
+    console.log(`⚠️ LOW STOCK WARNING: ${alert.name} (ID: ${alert.productId}) - Current stock: ${alert.stock_quantity}`);
+    try {
+        await sendLowStockAlert(alert);
+        console.log(`📧 Low stock email alert sent for ${alert.name}`);
+    } catch (emailError) {
+        console.error(`❌ Failed to send low stock email for ${alert.name}:`, emailError);
+    }
+};
+
+/**
+ * Hold stock for a cart line, replacing the line's previous hold.
+ * Only stock that is not held by other carts can be held. The hold is written
+ * in one upsert and then checked against every cart's holds; if that leaves
+ * more held than is in stock, the line's previous hold is put back. Two carts
+ * holding the last units at the same moment can then both be refused, but
+ * never both be given them.
+ * @returns {Promise<{ ok: boolean, available: number, expiresAt?: Date }>}
+ *   available is what this cart could hold for the line.
+ */
+const placeHold = async ({ cartToken, product, variant, quantity }) => {
+    const line = { cartToken, productId: product._id, variantId: variant ? variant._id : null };
+    const expiresAt = new Date(Date.now() + getHoldMinutes() * 60 * 1000);
+    const previous = await StockReservation.findOneAndUpdate(
+        line,
+        { quantity, expiresAt },
+        { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    const held = await StockReservation.heldQuantities([product._id]);
+    const heldByOthers = (held.get(holdKey(product._id, variant?._id)) || 0) - quantity;
+    const available = Math.max(0, (variant || product).stock_quantity - heldByOthers);
+    if (quantity <= available) return { ok: true, available, expiresAt };
+
+    if (previous) {
+        await StockReservation.updateOne(line, { quantity: previous.quantity, expiresAt: previous.expiresAt });
+    } else {
+        await StockReservation.deleteOne(line);
+    }
+    return { ok: false, available };
+};
+
+/**
+ * Drop a cart's holds, either for the given lines or for the whole cart.
+ * @param {string} cartToken
+ * @param {Array<{ productId, variantId }>} [lines]
+ */
+const releaseHolds = async (cartToken, lines) => {
+    const filter = { cartToken };
+    if (lines) {
+        if (lines.length === 0) return;
+        filter.$or = lines.map(line => ({ productId: line.productId?._id || line.productId, variantId: line.variantId || null }));
+    }
+    await StockReservation.deleteMany(filter);
+};
+
+// Take stock off a product or variant only if enough is left once other carts' holds are kept back
+const takeStock = (item, quantity, heldByOthers) => {
+    const productId = item.productId?._id || item.productId;
+    if (item.variantId) {
+        return Product.findOneAndUpdate(
+            { _id: productId, variants: { $elemMatch: { _id: item.variantId, stock_quantity: { $gte: quantity + heldByOthers } } } },
+            { $inc: { 'variants.$.stock_quantity': -quantity, stock_quantity: -quantity } },
+            { new: true }
+        );
+    }
+    return Product.findOneAndUpdate(
+        { _id: productId, stock_quantity: { $gte: quantity + heldByOthers } },
+        { $inc: { stock_quantity: -quantity } },
+        { new: true }
+    );
+};
+
+const giveBackStock = (item, quantity) => {
+    const productId = item.productId?._id || item.productId;
+    return item.variantId
+        ? Product.updateOne({ _id: productId, 'variants._id': item.variantId }, { $inc: { 'variants.$.stock_quantity': quantity, stock_quantity: quantity } })
+        : Product.updateOne({ _id: productId }, { $inc: { stock_quantity: quantity } });
+};
+
+/**
+ * Take the ordered quantities out of stock, all lines or none, and record
+ * them as 'sale' movements. Stock held by other carts is not touched; when
+ * cartToken is given, that cart's own holds are what is being bought and are
+ * released afterwards.
+ * @param {Array<{ productId, variantId, quantity }>} orderItems
+ * @param {{ cartToken?: string, orderId?, actor? }} [options]
+ * @returns {Promise<{ ok: boolean, shortages: Array<{ productId, variantId, name, requested, available }> }>}
+ */
+const reduceProductStock = async (orderItems, { cartToken, orderId, actor } = {}) => {
+    const held = await StockReservation.heldQuantities(orderItems.map(item => item.productId?._id || item.productId), cartToken);
+    const taken = [];
+
+    for (const item of orderItems) {
+        const heldByOthers = held.get(holdKey(item.productId, item.variantId)) || 0;
+        const product = await takeStock(item, item.quantity, heldByOthers);
+
+        if (!product) {
+            // Put back what this order already took so no line is left half-deducted
+            for (const done of taken) await giveBackStock(done, done.quantity);
+
+            const current = await Product.findById(item.productId?._id || item.productId);
+            const holder = current ? stockHolder(current, item) : null;
+            return {
+                ok: false,
+                shortages: [{
+                    productId: item.productId?._id || item.productId,
+                    variantId: item.variantId || null,
+                    name: current ? describeStock(current, holder === current ? null : holder).name : item.name,
+                    requested: item.quantity,
+                    available: holder ? Math.max(0, holder.stock_quantity - heldByOthers) : 0,
+                }],
+            };
+        }
+        taken.push({ productId: product._id, variantId: item.variantId || null, quantity: item.quantity, product });
+    }
+
+    if (cartToken) await releaseHolds(cartToken, orderItems);
+    await StockMovement.insertMany(taken.map(({ product, variantId, quantity }) =>
+        movementFor(product, variantId, -quantity, { reason: 'sale', orderId, actor })));
+
+    for (const { product, variantId, quantity } of taken) {
+        const variant = product.getVariant(variantId);
+        const { name, stock_quantity: stock } = describeStock(product, variant);
+        console.log(`📦 Stock reduced for ${name}: ${stock + quantity} → ${stock} (reduced by ${quantity})`);
+        await alertIfLow(product, variant);
+    }
+    return { ok: true, shortages: [] };
+};
+
+/**
+ * Answer a checkout that could not take its items out of stock.
+ * @returns {boolean} true when a response has been sent.
+ */
+const rejectShortage = (res, result) => {
+    if (result.ok) return false;
+    const [shortage] = result.shortages;
+    res.status(409).json({
+        message: `Only ${shortage.available} of ${shortage.name} left in stock`,
+        code: 'INSUFFICIENT_STOCK',
+        shortages: result.shortages,
+    });
+    return true;
+};
+
+/**
+ * Put the quantities of a cancelled order back into stock as 'cancellation_restore' movements.
+ * @param {Array<{ productId, variantId, quantity }>} orderItems
+ * @param {{ orderId?, actor? }} [options]
+ */
+const restoreProductStock = async (orderItems, { orderId, actor } = {}) => {
+    try {
+        for (const item of orderItems) {
+            const result = await adjustStock({
+                productId: item.productId?._id || item.productId,
+                variantId: item.variantId || null,
+                quantity: item.quantity,
+                reason: 'cancellation_restore',
+                orderId,
+                actor,
+            });
+            if (!result) continue;
+
+            const { productName, balanceAfter } = result.movement;
+            console.log(`📦 Stock restored for ${productName}: ${balanceAfter - item.quantity} → ${balanceAfter} (restored by ${item.quantity})`);
+        }
+    } catch (error) {
+        console.error('Error restoring product stock:', error);
+        throw error;
+    }
+};
+
+/**
+ * On-hand, reserved and available quantities for the Inventory page.
+ * @param {Array} products - Product documents.
+ * @returns {Promise<Object[]>} one entry per product, with its variants broken out.
+ */
+const getStockLevels = async (products) => {
+    const held = await StockReservation.heldQuantities(products.map(product => product._id));
+    const level = (onHand, reserved) => ({ onHand, reserved, available: Math.max(0, onHand - reserved) });
+
+    return products.map(product => {
+        if (!product.hasVariants()) {
+            return { productId: product._id, ...level(product.stock_quantity, held.get(holdKey(product._id)) || 0), variants: [] };
+        }
+        const variants = product.variants.filter(variant => variant.is_active).map(variant => ({
+            variantId: variant._id,
+            sku: variant.sku,
+            label: Product.variantLabel(variant),
+            ...level(variant.stock_quantity, held.get(holdKey(product._id, variant._id)) || 0),
+        }));
+        return {
+            productId: product._id,
+            ...level(product.stock_quantity, variants.reduce((sum, variant) => sum + variant.reserved, 0)),
+            variants,
+        };
+    });
+};
+
+/**
+ * Stock of every product and variant as it stood at the end of a moment in
+ * time: today's stock with every later movement undone.
+ * @param {Date} date
+ * @param {Object} [productFilter] - Mongo filter to narrow the products.
+ * @returns {Promise<Object[]>}
+ */
+const getStockOnDate = async (date, productFilter = {}) => {
+    const products = await Product.find({ ...productFilter, created_at: { $lte: date } }).sort({ name: 1 });
+    const later = await StockMovement.aggregate([
+        { $match: { productId: { $in: products.map(product => product._id) }, createdAt: { $gt: date } } },
+        { $group: { _id: { productId: '$productId', variantId: '$variantId' }, quantity: { $sum: '$quantity' } } },
+    ]);
+    const changedSince = new Map(later.map(row => [holdKey(row._id.productId, row._id.variantId), row.quantity]));
+    const stockThen = (productId, variantId, current) => current - (changedSince.get(holdKey(productId, variantId)) || 0);
+
+    return products.map(product => {
+        const variants = product.variants.map(variant => ({
+            variantId: variant._id,
+            sku: variant.sku,
+            label: Product.variantLabel(variant),
+            stock: stockThen(product._id, variant._id, variant.stock_quantity),
+        }));
+        return {
+            productId: product._id,
+            name: product.name,
+            category: product.category,
+            stock: product.hasVariants()
+                ? variants.reduce((sum, variant) => sum + variant.stock, 0)
+                : stockThen(product._id, null, product.stock_quantity),
+            variants,
+        };
+    });
+};
+
+export {
+    LOW_STOCK_THRESHOLD,
+    reorderPointOf,
+    adjustStock,
+    recordStockEdits,
+    stockSnapshot,
+    getStockOnDate,
+    placeHold,
+    releaseHolds,
+    reduceProductStock,
+    rejectShortage,
+    restoreProductStock,
+    getStockLevels,
+    describeStock,
+};
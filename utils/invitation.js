@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { hashToken } from './generateToken.js';
+import { sendEmail } from './notification.js';
+
+// Read lazily because server.js loads .env after the imports run
+const getInviteTTLDays = () => parseInt(process.env.INVITE_TTL_DAYS, 10) || 7;
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Same rule as the sign-up form: 8+ characters with an uppercase letter, a number and a symbol
+const PASSWORD_RULE = /^(?=.*[A-Z])(?=.*\d)(?=.*[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?]).{8,}$/;
+
+// A password hash nobody knows, for accounts waiting to accept their invitation
+const unusablePasswordHash = async () => bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+/**
+ * Give the user a fresh set-password link (replacing any earlier one) and email it.
+ * The user is saved; the email is sent in the background.
+ * @param {Object} user - A User document with an email address.
+ */
+const issueInvitation = async (user) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    user.inviteTokenHash = hashToken(token);
+    user.inviteExpiresAt = new Date(Date.now() + getInviteTTLDays() * 24 * 60 * 60 * 1000);
+    user.invitedAt = new Date();
+    await user.save();
+
+    const link = `${getFrontendUrl()}/accept-invite?token=${token}`;
+    sendEmail(
+        user.email,
+        'You have been invited to CricketExpert',
+        `Hello ${user.firstName || user.username},\n\nAn account has been created for you as ${user.role.replace('_', ' ')}.\n`
+        + `Your username is ${user.username}. Choose your password here:\n\n${link}\n\n`
+        + `This link works once and expires in ${getInviteTTLDays()} days.`
+    ).catch(err => console.error(`❌ Failed to send invitation to ${user.email}:`, err));
+};
+
+export { PASSWORD_RULE, unusablePasswordHash, issueInvitation };
@@ -0,0 +1,224 @@
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payments.js';
+import Order from '../models/Order.js';
+import Booking from '../models/Booking.js';
+import ProgramEnrollment from '../models/ProgramEnrollment.js';
+import RepairRequest from '../models/RepairRequest.js';
+import User from '../models/User.js';
+import { roundMoney } from './pricing.js';
+import { describeShipping } from './shipping.js';
+import { taxIncludedIn } from './tax.js';
+
+// Two payments can reach for the same number; the loser takes the next one
+const MAX_NUMBER_ATTEMPTS = 5;
+
+// Waits before each new try at an invoice that failed to issue, in ms
+const INVOICE_RETRY_DELAYS = [2000, 30000, 300000];
+
+// What each kind of payment is invoiced as, when the thing paid for cannot be found
+const PAYMENT_SOURCES = {
+    order_payment: { source: 'order', scope: 'shop', description: 'Shop purchase' },
+    booking_payment: { source: 'booking', scope: 'ground_booking', description: 'Ground booking' },
+    enrollment_payment: { source: 'enrollment', scope: 'coaching_fee', description: 'Coaching programme fee' },
+    repair_payment: { source: 'repair', scope: 'repair', description: 'Equipment repair' },
+};
+
+const fullName = (user) => [user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.username || '';
+
+// The invoice's tax added up by rate; untaxed lines are left out
+const totalTaxes = (lines) => {
+    const byRate = new Map();
+    for (const line of lines.filter(l => l.taxRate > 0)) {
+        const key = `${line.taxName}|${line.taxRate}`;
+        const total = byRate.get(key) || { name: line.taxName, rate: line.taxRate, taxable: 0, tax: 0 };
+        total.taxable = roundMoney(total.taxable + line.net);
+        total.tax = roundMoney(total.tax + line.tax);
+        byRate.set(key, total);
+    }
+    return [...byRate.values()];
+};
+
+// Shop lines carry the tax worked out at checkout; shipping is not taxed
+const orderContents = async (payment) => {
+    const order = await Order.findById(payment.orderId);
+    if (!order) return null;
+    const lines = order.items.map((item) => {
+        const discount = item.discount || 0;
+        const net = roundMoney((item.lineTotal ?? item.priceAtOrder * item.quantity) - discount);
+        const taxRate = item.taxRate ?? order.pricing?.taxRate ?? 0;
+        const tax = item.tax ?? roundMoney(net * taxRate / 100);
+        return {
+            description: `${item.name || 'Product'}${item.variantLabel ? ` (${item.variantLabel})` : ''}`,
+            quantity: item.quantity,
+            unitPrice: item.priceAtOrder,
+            discount,
+            taxName: item.taxName || 'Tax',
+            taxRate,
+            net,
+            tax,
+            total: roundMoney(net + tax),
+        };
+    });
+    const goods = roundMoney(lines.reduce((sum, line) => sum + line.total, 0));
+    // Orders from before the price breakdown had the delivery charge folded into the amount
+    const shipping = order.pricing ? order.pricing.shipping || 0 : Math.max(0, roundMoney(payment.amount - goods));
+    return {
+        source: 'order',
+        orderId: order._id,
+        address: order.address,
+        lines,
+        discount: order.pricing?.discount || 0,
+        shipping,
+        shippingLabel: describeShipping(order.shippingQuote),
+    };
+};
+
+// Service fees are quoted with tax included, so the tax is taken out of what was paid
+const serviceContents = async (payment, scope, description) => {
+    const { name, rate, net, tax } = await taxIncludedIn(scope, payment.amount);
+    return [{ description, quantity: 1, unitPrice: net, taxName: name, taxRate: rate, net, tax, total: payment.amount }];
+};
+
+const bookingContents = async (payment) => {
+    const booking = await Booking.findById(payment.bookingId).populate('groundId', 'name');
+    if (!booking) return null;
+    const when = `${new Date(booking.bookingDate).toLocaleDateString()} ${booking.startTime || ''}-${booking.endTime || ''}`.trim();
+    return {
+        source: 'booking',
+        bookingId: booking._id,
+        lines: await serviceContents(payment, 'ground_booking', `Ground booking: ${booking.groundId?.name || 'Ground'}, ${when}`),
+    };
+};
+
+const enrollmentContents = async (payment) => {
+    const enrollment = await ProgramEnrollment.findById(payment.enrollmentId).populate('program', 'title');
+    if (!enrollment) return null;
+    return {
+        source: 'enrollment',
+        enrollmentId: enrollment._id,
+        lines: await serviceContents(payment, 'coaching_fee', `Coaching programme: ${enrollment.program?.title || 'Programme'}`),
+    };
+};
+
+const repairContents = async (payment) => {
+    const repair = await RepairRequest.findById(payment.repairRequestId);
+    if (!repair) return null;
+    const what = [repair.equipmentType, repair.damageType].filter(Boolean).join(', ');
+    return {
+        source: 'repair',
+        repairRequestId: repair._id,
+        lines: await serviceContents(payment, 'repair', `Repair: ${what || 'equipment'}`),
+    };
+};
+
+// What the payment was for, as invoice lines
+const contentsOf = async (payment) => {
+    let found = null;
+    if (payment.orderId) found = await orderContents(payment);
+    else if (payment.bookingId) found = await bookingContents(payment);
+    else if (payment.enrollmentId) found = await enrollmentContents(payment);
+    else if (payment.repairRequestId) found = await repairContents(payment);
+    if (found) return found;
+    const { source, scope, description } = PAYMENT_SOURCES[payment.paymentType] || PAYMENT_SOURCES.order_payment;
+    return { source, lines: await serviceContents(payment, scope, description) };
+};
+
+// Save with the next free number. A failed save uses up no number, so there are no gaps.
+const createWithNextNumber = async (data) => {
+    for (let attempt = 1; ; attempt++) {
+        const sequence = await Invoice.nextSequence();
+        try {
+            return await Invoice.create({ ...data, sequence, invoiceNumber: Invoice.formatNumber(sequence) });
+        } catch (error) {
+            const numberTaken = error.code === 11000 && (error.keyPattern?.sequence || error.keyPattern?.invoiceNumber);
+            if (!numberTaken || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+        }
+    }
+};
+
+/**
+ * Issue the tax invoice for a successful payment, numbered after the last
+ * one issued. A payment only ever gets one invoice; asking again returns it.
+ * @param {Object} given - A Payment document with status 'success'.
+ * @returns {Promise<Object|null>} the invoice, or null if the payment has not succeeded.
+ */
+const issueInvoice = async (given) => {
+    const existing = await Invoice.findOne({ paymentId: given._id });
+    if (existing) return existing;
+
+    // Read it again, so populated references and stale statuses do not matter
+    const payment = await Payment.findById(given._id);
+    if (!payment || payment.status !== 'success') return null;
+
+    const [contents, customer] = await Promise.all([
+        contentsOf(payment),
+        User.findById(payment.userId).select('firstName lastName username email address'),
+    ]);
+    const { lines, address, shipping = 0, discount = 0, shippingLabel, ...refs } = contents;
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.net, 0));
+    const tax = roundMoney(lines.reduce((sum, line) => sum + line.tax, 0));
+    if (shipping > 0) {
+        lines.push({ description: shippingLabel || 'Shipping', quantity: 1, unitPrice: shipping, taxName: 'Tax', taxRate: 0, net: shipping, tax: 0, total: shipping });
+    }
+
+    let invoice;
+    try {
+        invoice = await createWithNextNumber({
+            ...refs,
+            paymentId: payment._id,
+            customerId: payment.userId,
+            billTo: { name: fullName(customer), email: customer?.email, address: address || customer?.address },
+            lines,
+            subtotal,
+            discount,
+            shipping,
+            tax,
+            total: roundMoney(subtotal + shipping + tax),
+            taxes: totalTaxes(lines),
+            issuedAt: payment.paymentDate || new Date(),
+        });
+    } catch (error) {
+        // Issued by another request in the meantime
+        if (error.code === 11000 && error.keyPattern?.paymentId) return Invoice.findOne({ paymentId: payment._id });
+        throw error;
+    }
+
+    await Payment.updateOne({ _id: payment._id }, { invoiceId: invoice._id });
+    given.invoiceId = invoice._id;
+    console.log(`🧾 Invoice ${invoice.invoiceNumber} issued for payment ${payment._id}`);
+    return invoice;
+};
+
+// Try a failed invoice again later, so a busy moment does not leave the payment without one
+const retryInvoice = (payment, attempt = 0) => {
+    const timer = setTimeout(async () => {
+        try {
+            await issueInvoice(payment);
+        } catch (error) {
+            if (attempt + 1 < INVOICE_RETRY_DELAYS.length) return retryInvoice(payment, attempt + 1);
+            console.error(`❌ Gave up issuing an invoice for payment ${payment._id}; run scripts/issue-missing-invoices.js:`, error);
+        }
+    }, INVOICE_RETRY_DELAYS[attempt]);
+    // A pending retry does not keep a script from exiting
+    timer.unref?.();
+};
+
+/**
+ * Invoice a payment that has just succeeded. A failure never undoes the
+ * payment: it is logged and the invoice is tried again a few times in the
+ * background. scripts/issue-missing-invoices.js issues any still missing.
+ * @param {Object} payment
+ * @returns {Promise<Object|null>} the invoice, or null if none was issued yet.
+ */
+const invoicePayment = async (payment) => {
+    if (payment?.status !== 'success') return null;
+    try {
+        return await issueInvoice(payment);
+    } catch (error) {
+        console.error(`❌ Failed to issue an invoice for payment ${payment._id}, trying again shortly:`, error);
+        retryInvoice(payment);
+        return null;
+    }
+};
+
+export { issueInvoice, invoicePayment };
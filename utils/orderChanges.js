@@ -0,0 +1,178 @@
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import { restoreProductStock } from './inventory.js';
+import { refundPayment } from './payments.js';
+import { roundMoney } from './pricing.js';
+import { applyPromotions } from './promotions.js';
+import { quoteShipping, shipToOfOrder } from './shipping.js';
+
+// Lines can be changed until the order leaves the store
+const UNSHIPPED_ORDER_STATUSES = ['created', 'processing'];
+
+// What the customer pays for a line before tax
+const netOf = (item) => (item.lineTotal ?? item.priceAtOrder * item.quantity) - (item.discount || 0);
+
+// The tax rate of a line; orders from before tax by category only have one for the whole order
+const taxRateOf = (item, order) => item.taxRate ?? order.pricing?.taxRate ?? 0;
+
+// What the customer paid for a line, tax included
+const paidFor = (item, order) => {
+    const net = netOf(item);
+    return net + (item.tax ?? net * taxRateOf(item, order) / 100);
+};
+
+// A line cut down to a lower quantity keeps the discount it had per unit, and its tax rate
+const scaleLine = (item, quantity, taxRate) => {
+    const ratio = quantity / item.quantity;
+    const lineTotal = roundMoney(item.priceAtOrder * quantity);
+    const discount = roundMoney((item.discount || 0) * ratio);
+    return {
+        ...item,
+        quantity,
+        lineTotal,
+        discount,
+        taxRate,
+        tax: roundMoney((lineTotal - discount) * taxRate / 100),
+        promotions: (item.promotions || []).map(promotion => ({ ...promotion, amount: roundMoney(promotion.amount * ratio) })),
+    };
+};
+
+/**
+ * Price the lines left on an order again at the prices and tax rates they were
+ * bought at. Promotions and shipping are worked out afresh for what is left, so
+ * a minimum spend, buy X get Y or free shipping the order no longer reaches is lost.
+ * @param {Object} order - The order as it was read.
+ * @param {Object[]} items - The remaining lines; their discounts, promotions and tax are set again.
+ * @returns {Promise<{ pricing: Object, appliedPromotions: Object[], shippingQuote: Object }>}
+ */
+const repriceLines = async (order, items) => {
+    const products = await Product.find({ _id: { $in: items.map(item => item.productId?._id || item.productId) } });
+    const byId = new Map(products.map(product => [String(product._id), product]));
+    const promoCodes = (order.appliedPromotions || []).map(promotion => promotion.code).filter(Boolean);
+    const promotions = await applyPromotions(items, item => byId.get(String(item.productId?._id || item.productId)), {
+        promoCodes,
+        customerId: order.customerId,
+        excludeOrderId: order._id,
+    });
+
+    const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+    const discount = promotions.discount;
+    for (const item of items) item.tax = roundMoney(netOf(item) * item.taxRate / 100);
+    const tax = roundMoney(items.reduce((sum, item) => sum + item.tax, 0));
+
+    // A zone that stopped delivering since keeps the charge the order was placed with
+    const delivery = await quoteShipping(items, byId, shipToOfOrder(order), roundMoney(subtotal - discount));
+    const shipping = delivery.ok ? delivery.charge : (order.pricing.shipping || 0);
+
+    return {
+        pricing: { subtotal, discount, shipping, taxRate: order.pricing.taxRate, tax, total: roundMoney(subtotal - discount + shipping + tax) },
+        appliedPromotions: promotions.applied,
+        shippingQuote: delivery.ok ? delivery.quote : order.shippingQuote,
+    };
+};
+
+/**
+ * Take lines off an order, or lower their quantities, before it ships.
+ * What is left is priced again with repriceLines, so promotions and the
+ * delivery charge follow the smaller order; a change that would make it cost more is refused.
+ * Removed quantities go back into stock if they had been taken, and the
+ * difference is refunded against the order's payment if it was paid for.
+ * @param {Object} order - The order document as it was read.
+ * @param {Array<{ itemId, quantity }>} changes - The new quantity of each changed line; 0 removes it.
+ * @param {{ actor?: ObjectId }} [options]
+ * @returns {Promise<{ ok: boolean, status?: number, message?: string, order?: Object, lineChanges?: Object[], refundAmount?: number, refund?: Object }>}
+ *   refund is the payment that was refunded, or null if there was nothing to refund.
+ */
+const reduceOrderLines = async (order, changes, { actor = null } = {}) => {
+    if (!UNSHIPPED_ORDER_STATUSES.includes(order.status)) {
+        return { ok: false, status: 409, message: 'Items can only be changed before the order is on its way' };
+    }
+    if (!Array.isArray(changes) || changes.length === 0) {
+        return { ok: false, status: 400, message: 'Choose the items to change' };
+    }
+
+    const wanted = new Map();
+    for (const { itemId, quantity } of changes) {
+        const item = order.items.find(line => String(line._id) === String(itemId));
+        if (!item) return { ok: false, status: 400, message: 'That item is not on this order' };
+        const amount = Number(quantity);
+        if (!Number.isInteger(amount) || amount < 0) {
+            return { ok: false, status: 400, message: `Quantity for ${item.name} must be a whole number` };
+        }
+        if (amount > item.quantity) {
+            return { ok: false, status: 400, message: `${item.name} can only be reduced; place a new order to add more` };
+        }
+        if (amount < item.quantity) wanted.set(String(item._id), amount);
+    }
+    if (wanted.size === 0) return { ok: false, status: 400, message: 'Nothing to change' };
+
+    const now = new Date();
+    const items = [];
+    const lineChanges = [];
+    const removed = [];
+    for (const item of order.items) {
+        const line = item.toObject();
+        const to = wanted.has(String(item._id)) ? wanted.get(String(item._id)) : item.quantity;
+        if (to === item.quantity) {
+            items.push({ ...line, taxRate: taxRateOf(line, order) });
+            continue;
+        }
+        const taxRate = taxRateOf(line, order);
+        const kept = to > 0 ? scaleLine(line, to, taxRate) : null;
+        if (kept) items.push(kept);
+        lineChanges.push({
+            itemId: item._id,
+            name: item.name,
+            variantLabel: item.variantLabel,
+            from: item.quantity,
+            to,
+            amount: roundMoney((netOf(line) - (kept ? netOf(kept) : 0)) * (1 + taxRate / 100)),
+            at: now,
+            by: actor,
+        });
+        removed.push({ productId: item.productId, variantId: item.variantId, quantity: item.quantity - to });
+    }
+    if (items.length === 0) {
+        return { ok: false, status: 400, message: 'To remove every item, cancel the order instead' };
+    }
+
+    const set = { items };
+    if (order.pricing) {
+        Object.assign(set, await repriceLines(order, items));
+        set.amount = set.pricing.total;
+        // Losing an offer can outweigh the items taken off; the customer would pay more for less
+        if (set.amount > order.amount) {
+            return {
+                ok: false,
+                status: 409,
+                message: `Without these items the order no longer gets its discounts or free shipping and would cost LKR ${set.amount.toFixed(2)}, more than the LKR ${order.amount.toFixed(2)} it costs now. Cancel the order instead.`,
+            };
+        }
+    } else {
+        // Orders from before the price breakdown only have an amount to take the lines off
+        set.amount = roundMoney(order.amount - lineChanges.reduce((sum, change) => sum + change.amount, 0));
+    }
+
+    // Only write if nobody changed the order since it was read
+    const updated = await Order.findOneAndUpdate(
+        { _id: order._id, status: order.status, __v: order.__v },
+        { $set: set, $push: { lineChanges: { $each: lineChanges } }, $inc: { __v: 1 } },
+        { new: true, runValidators: true }
+    );
+    if (!updated) {
+        return { ok: false, status: 409, message: 'This order changed while you were editing it. Reload it and try again.' };
+    }
+
+    if (order.stockDeductedAt) {
+        await restoreProductStock(removed, { orderId: order._id, actor });
+    }
+
+    const refundAmount = roundMoney(order.amount - updated.amount);
+    const refund = refundAmount > 0
+        ? await refundPayment(order._id, refundAmount, `Items removed from order ${order._id}`)
+        : null;
+
+    return { ok: true, order: updated, lineChanges, refundAmount, refund };
+};
+
+export { UNSHIPPED_ORDER_STATUSES, paidFor, reduceOrderLines };
@@ -0,0 +1,129 @@
+import Order, { ORDER_STATUSES, ORDER_TRANSITIONS, LEGACY_ORDER_STATUSES } from '../models/Order.js';
+import Payment from '../models/Payments.js';
+import User from '../models/User.js';
+import { reduceProductStock, restoreProductStock } from './inventory.js';
+import { refundPayment, refundableAmount } from './payments.js';
+import { sendOrderStatusEmail, sendRefundRequestEmail } from './wemailService.js';
+
+// From 'processing' on, the order's items are out of stock
+const STOCK_TAKEN_STATUSES = ['processing', 'out_for_delivery', 'delivered'];
+
+// The customer is emailed when their order reaches one of these (paying already confirms the order)
+const CUSTOMER_EMAIL_STATUSES = ['out_for_delivery', 'delivered', 'cancelled'];
+
+// Orders from before the lifecycle may still hold an old status until the migration has run
+const canonicalStatus = (status) => LEGACY_ORDER_STATUSES[status] || status;
+
+const statusLabel = (status) => status.replace(/_/g, ' ');
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[canonicalStatus(from)] || []).includes(to);
+
+// The statuses the order may move to next, for status pickers
+const nextStatuses = (order) => ORDER_TRANSITIONS[canonicalStatus(order.status)] || [];
+
+// Pay back what is left of a cancelled order's payment. Refunds already made
+// (returns, removed lines) are not paid twice.
+const refundCancelledOrder = async (order, note) => {
+    const payment = await Payment.findOne({ orderId: order._id, status: 'success' });
+    if (!payment) return { refund: null, owed: 0 };
+    const owed = refundableAmount(payment);
+    if (owed <= 0) return { refund: null, owed: 0 };
+    const refund = await refundPayment(order._id, owed, note || `Order ${order._id} cancelled`);
+    if (refund) console.log(`💸 Order ${order._id} cancelled: LKR ${owed} refunded`);
+    return { refund, owed };
+};
+
+// Email the customer and, for a cancelled order whose refund could not be
+// recorded, the manager. Runs without holding up the request; the status
+// change has already happened, so failures are only logged.
+const notifyStatusChange = async (order, { owedByHand = 0 } = {}) => {
+    try {
+        const customer = await User.findById(order.customerId).select('email username firstName lastName');
+
+        if (owedByHand > 0) {
+            await sendRefundRequestEmail(order, customer, owedByHand);
+        }
+        if (CUSTOMER_EMAIL_STATUSES.includes(order.status) && customer?.email) {
+            await sendOrderStatusEmail(customer.email, customer.firstName || customer.username, order);
+        }
+    } catch (error) {
+        console.error(`❌ Failed to send ${order.status} emails for order ${order._id}:`, error);
+    }
+};
+
+/**
+ * Move an order to its next status, if the lifecycle allows it, and apply
+ * what that change means: stock is taken when the order starts processing,
+ * and put back when it is cancelled, together with a refund of whatever
+ * of the payment has not been refunded yet. The change is added to the
+ * status history and the customer is emailed (the manager too, if the
+ * refund has to be made by hand).
+ * The status is only written if nobody else changed it in the meantime.
+ * @param {Object} order - The order document as it was read.
+ * @param {string} to - One of ORDER_STATUSES.
+ * @param {{ actor?: ObjectId, note?: string }} [options] - actor is empty for automatic changes.
+ * @returns {Promise<{ ok: boolean, status?: number, message?: string, shortages?: Object[], order?: Object, refunded?: number }>}
+ *   refunded is what a cancellation paid back.
+ */
+const transitionOrder = async (order, to, { actor = null, note } = {}) => {
+    const from = canonicalStatus(order.status);
+    if (!ORDER_STATUSES.includes(to)) {
+        return { ok: false, status: 400, message: 'Invalid order status' };
+    }
+    if (from === to) {
+        return { ok: false, status: 400, message: `Order is already ${statusLabel(to)}` };
+    }
+    if (!canTransition(from, to)) {
+        return { ok: false, status: 409, message: `An order that is ${statusLabel(from)} cannot be moved to ${statusLabel(to)}` };
+    }
+
+    const now = new Date();
+    const set = { status: to };
+    let tookStock = false;
+    if (STOCK_TAKEN_STATUSES.includes(to) && !order.stockDeductedAt) {
+        const stock = await reduceProductStock(order.items, { cartToken: order.cartToken, orderId: order._id, actor });
+        if (!stock.ok) {
+            const [shortage] = stock.shortages;
+            return {
+                ok: false,
+                status: 409,
+                message: `Only ${shortage.available} of ${shortage.name} left in stock`,
+                shortages: stock.shortages,
+            };
+        }
+        set.stockDeductedAt = now;
+        tookStock = true;
+    }
+    if (to === 'cancelled') {
+        set.cancelledAt = now;
+        set.stockDeductedAt = null;
+    }
+    if (to === 'delivered') set.deliveredAt = now;
+
+    const updated = await Order.findOneAndUpdate(
+        { _id: order._id, status: order.status },
+        { $set: set, $push: { statusHistory: { status: to, from, at: now, by: actor, note } } },
+        { new: true }
+    );
+    if (!updated) {
+        if (tookStock) await restoreProductStock(order.items, { orderId: order._id, actor });
+        return { ok: false, status: 409, message: 'The order was changed by someone else. Reload it and try again.' };
+    }
+
+    if (to === 'cancelled' && order.stockDeductedAt) {
+        await restoreProductStock(order.items, { orderId: order._id, actor });
+    }
+    const { refund, owed } = to === 'cancelled' ? await refundCancelledOrder(updated, note) : { refund: null, owed: 0 };
+    if (owed > 0 && !refund) {
+        console.error(`⚠️ Order ${order._id} cancelled, but its refund of LKR ${owed} could not be recorded`);
+    }
+    console.log(`📦 Order ${order._id}: ${from} → ${to}`);
+
+    notifyStatusChange(updated, { owedByHand: refund ? 0 : owed });
+    return { ok: true, order: updated, refunded: refund ? owed : 0 };
+};
+
+export {
+    nextStatuses,
+    transitionOrder,
+};
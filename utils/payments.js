@@ -0,0 +1,91 @@
+import Payment from '../models/Payments.js';
+import Invoice from '../models/Invoice.js';
+import { roundMoney } from './pricing.js';
+
+// Refunds are in cents; this keeps floating-point sums from tipping over the amount paid
+const MONEY_TOLERANCE = 0.005;
+
+// Two refunds of one payment can start together; the one that writes second reads it again
+const MAX_REFUND_ATTEMPTS = 5;
+
+// What is still left to pay back on a payment
+const refundableAmount = (payment) => Math.max(0, roundMoney(payment.amount - (payment.refundAmount || 0)));
+
+/**
+ * The part of an invoice's tax that a refund gives back. Refunds are taken off
+ * the taxed goods before the untaxed shipping, so paying back the shipping
+ * gives back no tax, and all refunds together never give back more than the invoice charged.
+ * @param {Object|null} invoice
+ * @param {number} refundedBefore - What earlier refunds of the payment paid back.
+ * @param {number} amount - This refund.
+ * @returns {number}
+ */
+const refundTaxShare = (invoice, refundedBefore, amount) => {
+    const goods = invoice ? invoice.total - (invoice.shipping || 0) : 0;
+    if (!(invoice?.tax > 0) || !(goods > 0)) return 0;
+    const taxOf = (refunded) => invoice.tax * Math.min(refunded, goods) / goods;
+    return roundMoney(taxOf(refundedBefore + amount) - taxOf(refundedBefore));
+};
+
+// Apply a refund to the successful payment the filter picks. The write only goes
+// through if the payment still has the refunds it was read with and the limit
+// holds, so two refunds at the same moment cannot together pay back more than was paid.
+const applyRefund = async (filter, amount, reason) => {
+    for (let attempt = 1; attempt <= MAX_REFUND_ATTEMPTS; attempt++) {
+        const current = await Payment.findOne({ ...filter, status: 'success' });
+        if (!current || amount > refundableAmount(current) + MONEY_TOLERANCE) return null;
+
+        const invoice = current.invoiceId ? await Invoice.findById(current.invoiceId) : null;
+        const date = new Date();
+        const payment = await Payment.findOneAndUpdate(
+            {
+                _id: current._id,
+                status: 'success',
+                refundAmount: current.refundAmount ?? null,
+                $expr: { $lte: [{ $add: [{ $ifNull: ['$refundAmount', 0] }, amount] }, { $add: ['$amount', MONEY_TOLERANCE] }] },
+            },
+            {
+                $inc: { refundAmount: amount },
+                $set: { refundReason: reason, refundDate: date },
+                $push: { refunds: { amount, tax: refundTaxShare(invoice, current.refundAmount || 0, amount), reason, date } },
+            },
+            { new: true }
+        );
+        if (!payment) continue;
+
+        if (payment.refundAmount >= payment.amount - MONEY_TOLERANCE) {
+            const refunded = await Payment.findOneAndUpdate(
+                { _id: payment._id, status: 'success' },
+                { $set: { status: 'refunded' } },
+                { new: true }
+            );
+            return refunded || payment;
+        }
+        return payment;
+    }
+    return null;
+};
+
+/**
+ * Record a refund of part (or the rest) of an order's successful payment.
+ * Refunds add up in refundAmount and are each kept in refunds; the payment only
+ * becomes 'refunded' once all of it has been paid back. A refund that would
+ * take the total past what was paid is refused.
+ * @param {ObjectId} orderId
+ * @param {number} amount - What to pay back now.
+ * @param {string} reason - Shown on the payment, e.g. an RMA number.
+ * @returns {Promise<Object|null>} the payment, or null if the order was not paid for
+ *   or not that much of it is left to refund.
+ */
+const refundPayment = (orderId, amount, reason) => applyRefund({ orderId }, amount, reason);
+
+/**
+ * The same as refundPayment, for one payment picked by its id.
+ * @param {ObjectId} paymentId
+ * @param {number} amount
+ * @param {string} reason
+ * @returns {Promise<Object|null>}
+ */
+const refundPaymentById = (paymentId, amount, reason) => applyRefund({ _id: paymentId }, amount, reason);
+
+export { refundPayment, refundPaymentById, refundableAmount, refundTaxShare };
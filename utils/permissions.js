@@ -0,0 +1,110 @@
+import RolePermission from '../models/RolePermission.js';
+import { PERMISSIONS, ROLES, TWO_FACTOR_ROLES, DEFAULT_ROLE_PERMISSIONS, LOCKED_ADMIN_PERMISSIONS } from '../config/permissions.js';
+
+// The matrix is read on every protected request, so keep it in memory for a
+// short while. Edits through the admin API clear the cache straight away.
+const CACHE_TTL_MS = 60 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+// A stored row's permissions, plus the role's default permissions that were added
+// to the catalogue after the row was saved, so new features reach every role.
+// Rows not yet given knownPermissions by scripts/backfill-role-known-permissions.js get none.
+const storedPermissions = (row) => {
+    const known = new Set(row.knownPermissions || Object.keys(PERMISSIONS));
+    const unseenDefaults = DEFAULT_ROLE_PERMISSIONS[row.role].filter(p => !known.has(p));
+    return [...new Set([...row.permissions, ...unseenDefaults])];
+};
+
+// Read every role row once and derive both the permission matrix and the 2FA requirements
+const loadRoleSettings = async () => {
+    if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+        return cached;
+    }
+
+    const rows = await RolePermission.find({}).lean();
+    const matrix = {};
+    const twoFactor = {};
+    for (const role of ROLES) {
+        const row = rows.find(r => r.role === role);
+        matrix[role] = row ? storedPermissions(row) : [...DEFAULT_ROLE_PERMISSIONS[role]];
+        twoFactor[role] = !!row?.requireTwoFactor;
+    }
+    // Admin always keeps the permissions needed to repair the matrix
+    matrix.admin = [...new Set([...matrix.admin, ...LOCKED_ADMIN_PERMISSIONS])];
+
+    cached = { matrix, twoFactor };
+    cachedAt = Date.now();
+    return cached;
+};
+
+// Build the full matrix: stored rows win, missing roles fall back to defaults
+const loadPermissionMatrix = async () => (await loadRoleSettings()).matrix;
+
+// Map of role -> whether two-factor authentication is mandatory
+const loadTwoFactorRequirements = async () => (await loadRoleSettings()).twoFactor;
+
+const isTwoFactorRequired = async (role) => !!(await loadTwoFactorRequirements())[role];
+
+const invalidatePermissionCache = () => {
+    cached = null;
+    cachedAt = 0;
+};
+
+const getRolePermissions = async (role) => {
+    const matrix = await loadPermissionMatrix();
+    return matrix[role] || [];
+};
+
+const hasPermission = async (role, permission) => {
+    const granted = await getRolePermissions(role);
+    return granted.includes(permission);
+};
+
+// The customer a request acts for: staff holding `permission` may name anyone,
+// everyone else always acts for themselves
+const customerForRequest = async (req, customerId, permission = 'orders:manage') =>
+    (customerId && await hasPermission(req.user.role, permission) ? customerId : req.user._id);
+
+// Save one role's permissions, dropping unknown names
+const setRolePermissions = async (role, permissions, updatedBy) => {
+    let valid = [...new Set(permissions.filter(p => PERMISSIONS[p]))];
+    if (role === 'admin') {
+        valid = [...new Set([...valid, ...LOCKED_ADMIN_PERMISSIONS])];
+    }
+
+    const row = await RolePermission.findOneAndUpdate(
+        { role },
+        { role, permissions: valid, knownPermissions: Object.keys(PERMISSIONS), updatedBy },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    invalidatePermissionCache();
+    return row;
+};
+
+// Make two-factor authentication mandatory (or optional again) for one role.
+// A row created here overrides no permissions: the role keeps following its defaults.
+const setTwoFactorRequirement = async (role, required, updatedBy) => {
+    if (!TWO_FACTOR_ROLES.includes(role)) {
+        throw new Error(`Two-factor authentication cannot be required for role '${role}'`);
+    }
+    const row = await RolePermission.findOneAndUpdate(
+        { role },
+        { $set: { requireTwoFactor: !!required, updatedBy }, $setOnInsert: { permissions: [], knownPermissions: [] } },
+        { upsert: true, new: true }
+    );
+    invalidatePermissionCache();
+    return row;
+};
+
+export {
+    loadPermissionMatrix,
+    invalidatePermissionCache,
+    getRolePermissions,
+    hasPermission,
+    customerForRequest,
+    setRolePermissions,
+    loadTwoFactorRequirements,
+    isTwoFactorRequired,
+    setTwoFactorRequirement,
+};
@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import Payment from '../models/Payments.js';
+import Invoice from '../models/Invoice.js';
+import Booking from '../models/Booking.js';
+import ProgramEnrollment from '../models/ProgramEnrollment.js';
+import Attendance from '../models/Attendance.js';
+import PlayerFeedback from '../models/PlayerFeedback.js';
+import RepairRequest from '../models/RepairRequest.js';
+import Feedback from '../models/Feedback.js';
+import Review from '../models/Review.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import Wishlist from '../models/Wishlist.js';
+import Address from '../models/Address.js';
+import RestockAlert from '../models/RestockAlert.js';
+import Notification from '../models/Notification.js';
+import DeliveryRun from '../models/DeliveryRun.js';
+import EmailVerification from '../models/EmailVerification.js';
+import AuthSession from '../models/AuthSession.js';
+import { revokeAllSessions } from './authSession.js';
+
+// Never exported: credentials, one-time codes and security counters
+const PRIVATE_USER_FIELDS = [
+    '-passwordHash', '-passwordResetCode', '-passwordResetExpires', '-emailVerificationCode',
+    '-emailVerificationExpires', '-failedLoginAttempts', '-lastFailedLoginAt', '-lockUntil',
+    '-passwordResetAttempts',
+].join(' ');
+
+// Statuses that mean staff still have work to do for the customer
+const OPEN_ORDER_STATUSES = ['created', 'processing', 'out_for_delivery'];
+const CLOSED_REPAIR_STATUSES = ['Rejected', 'Customer Rejected', 'Completed', 'Cancelled'];
+
+// Coaching records for one player
+const collectPlayerRecords = async (userId) => {
+    const [enrollments, attendance, playerFeedback] = await Promise.all([
+        ProgramEnrollment.find({ user: userId }).populate('program', 'title category').lean(),
+        Attendance.find({ participant: userId }).populate('session', 'title scheduledDate').lean(),
+        PlayerFeedback.find({ player: userId, isVisibleToPlayer: true })
+            .populate('program', 'title').populate('session', 'title scheduledDate').lean(),
+    ]);
+    return { enrollments, attendance, playerFeedback };
+};
+
+/**
+ * Everything we hold about a user, plus the coaching records of any junior
+ * players they manage, as one JSON-serialisable object.
+ * @param {String|ObjectId} userId
+ */
+const buildDataExport = async (userId) => {
+    const profile = await User.findById(userId).select(PRIVATE_USER_FIELDS).lean();
+    if (!profile) return null;
+
+    const [orders, payments, invoices, addresses, bookings, repairRequests, feedback, reviews, returnRequests, wishlist, restockAlerts, notifications, sessions, player, children] = await Promise.all([
+        Order.find({ customerId: userId }).populate('items.productId', 'name').lean(),
+        Payment.find({ userId }).lean(),
+        Invoice.find({ customerId: userId }).lean(),
+        Address.find({ userId }).lean(),
+        Booking.find({ customerId: userId }).populate('groundId', 'name').lean(),
+        RepairRequest.find({ customerId: userId }).lean(),
+        Feedback.find({ customerId: userId }).lean(),
+        Review.find({ customerId: userId }).populate('productId', 'name').lean(),
+        ReturnRequest.find({ customerId: userId }).lean(),
+        Wishlist.findOne({ userId }).populate('items.productId', 'name').lean(),
+        RestockAlert.find({ userId }).populate('productId', 'name').lean(),
+        Notification.find({ userId }).lean(),
+        AuthSession.find({ userId }).select('deviceName ipAddress userAgent createdAt lastUsedAt revokedAt').lean(),
+        collectPlayerRecords(userId),
+        User.find({ guardian: userId }).select(PRIVATE_USER_FIELDS).lean(),
+    ]);
+
+    const juniorPlayers = await Promise.all(children.map(async (child) => ({
+        profile: child,
+        ...(await collectPlayerRecords(child._id)),
+    })));
+
+    return {
+        exportedAt: new Date(),
+        profile,
+        orders,
+        payments,
+        invoices,
+        addressBook: addresses,
+        bookings,
+        ...player,
+        repairRequests,
+        serviceFeedback: feedback,
+        productReviews: reviews,
+        returnRequests,
+        wishlist: wishlist?.items || [],
+        restockAlerts,
+        notifications,
+        loginSessions: sessions,
+        juniorPlayers,
+    };
+};
+
+/**
+ * Reasons the account cannot be erased yet, as human-readable strings.
+ * Erasure waits until deliveries, returns, upcoming bookings, repairs and coaching are finished or cancelled.
+ */
+const findErasureBlockers = async (userId) => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const [openOrders, openReturns, upcomingBookings, openRepairs, liveEnrollments] = await Promise.all([
+        Order.countDocuments({ customerId: userId, status: { $in: OPEN_ORDER_STATUSES } }),
+        ReturnRequest.countDocuments({ customerId: userId, status: { $in: ['requested', 'approved'] } }),
+        Booking.countDocuments({ customerId: userId, status: { $in: ['pending', 'confirmed'] }, bookingDate: { $gte: today } }),
+        RepairRequest.countDocuments({ customerId: userId, status: { $nin: CLOSED_REPAIR_STATUSES } }),
+        ProgramEnrollment.countDocuments({ user: userId, status: { $in: ['pending', 'active'] } }),
+    ]);
+
+    const blockers = [];
+    if (openOrders) blockers.push(`${openOrders} order(s) still being processed or delivered`);
+    if (openReturns) blockers.push(`${openReturns} return(s) or exchange(s) still open`);
+    if (upcomingBookings) blockers.push(`${upcomingBookings} upcoming ground booking(s)`);
+    if (openRepairs) blockers.push(`${openRepairs} open repair request(s)`);
+    if (liveEnrollments) blockers.push(`${liveEnrollments} pending or active program enrollment(s)`);
+    return blockers;
+};
+
+// Strip one account of personal data, keeping its id so every reference stays valid
+const anonymiseUser = async (user) => {
+    await revokeAllSessions(user._id, 'account_deleted');
+    await Notification.deleteMany({ userId: user._id });
+    await Wishlist.deleteOne({ userId: user._id });
+    await RestockAlert.deleteMany({ userId: user._id });
+    await Address.deleteMany({ userId: user._id });
+    if (user.email) await EmailVerification.deleteMany({ email: user.email });
+
+    // So is the proof of delivery taken at their door
+    const orderIds = await Order.find({ customerId: user._id }).distinct('_id');
+    await DeliveryRun.updateMany(
+        { 'stops.orderId': { $in: orderIds } },
+        { $unset: { 'stops.$[stop].recipientName': '', 'stops.$[stop].photo': '', 'stops.$[stop].note': '' } },
+        { arrayFilters: [{ 'stop.orderId': { $in: orderIds } }] }
+    );
+
+    // Delivery addresses are personal; the order lines, amounts and dates are kept for the accounts
+    await Order.updateMany({ customerId: user._id }, { $set: { address: 'Erased' }, $unset: { deliveryAddress: '' } });
+    await Order.deleteMany({ customerId: user._id, status: 'cart_pending' });
+    // Issued tax invoices are legal records and cannot change, so they keep the name and address billed
+
+    user.username = `erased-${user._id}-${crypto.randomBytes(3).toString('hex')}`;
+    user.firstName = 'Erased';
+    user.lastName = 'User';
+    user.status = 'deactivated';
+    user.erasedAt = new Date();
+    for (const field of [
+        'email', 'passwordHash', 'contactNumber', 'address', 'profileImageURL', 'dob',
+        'passwordResetCode', 'passwordResetExpires', 'emailVerificationCode', 'emailVerificationExpires',
+        'lastFailedLoginAt', 'lockUntil', 'twoFactorSecret', 'twoFactorPendingSecret',
+        'twoFactorBackupCodes', 'twoFactorLastUsedStep', 'twoFactorEnabledAt',
+    ]) {
+        user[field] = undefined;
+    }
+    user.twoFactorEnabled = false;
+    await user.save();
+};
+
+/**
+ * Erase a user (and any junior players they manage) by anonymising the account in place.
+ * Orders, payments, payroll and audit entries keep pointing at the same id, so no
+ * financial record loses its owner and nothing is left dangling.
+ * @returns {Promise<{ erased: ObjectId[], blockers: String[] }>} nothing is changed when blockers is non-empty
+ */
+const eraseUser = async (user) => {
+    const children = await User.find({ guardian: user._id });
+
+    const blockers = await findErasureBlockers(user._id);
+    for (const child of children) {
+        for (const blocker of await findErasureBlockers(child._id)) {
+            blockers.push(`${child.firstName}: ${blocker}`);
+        }
+    }
+    if (blockers.length > 0) {
+        return { erased: [], blockers };
+    }
+
+    for (const child of children) {
+        await anonymiseUser(child);
+    }
+    await anonymiseUser(user);
+
+    return { erased: [user._id, ...children.map(child => child._id)], blockers: [] };
+};
+
+export { buildDataExport, findErasureBlockers, eraseUser };
@@ -0,0 +1,117 @@
+import Product from '../models/Product.js';
+import { applyPromotions } from './promotions.js';
+import { quoteShipping } from './shipping.js';
+import { taxShopLines } from './tax.js';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Price order lines from the catalogue. Whatever price or total the client
+ * sent is ignored; only product and variant IDs and quantities are taken from the request.
+ * @param {Array<{ productId, variantId, quantity }>} lines - Requested items.
+ * @param {{ promoCodes?: string[], customerId?, excludeOrderId?, shipTo?: Object }} [options] - Passed to
+ *   applyPromotions; shipTo ({ method, district, postalCode }) is passed to quoteShipping.
+ * @returns {Promise<{ items: Object[], pricing: Object, promotions: Object[], shippingQuote: Object, promoErrors: string[], errors: string[] }>}
+ *   items are ready for Order.items; pricing is the breakdown stored on the order;
+ *   promotions are the applied promotions for Order.appliedPromotions;
+ *   shippingQuote explains pricing.shipping, for Order.shippingQuote.
+ */
+const priceOrder = async (lines = [], options = {}) => {
+    const errors = [];
+    if (!Array.isArray(lines) || lines.length === 0) {
+        return { items: [], pricing: null, promotions: [], shippingQuote: null, promoErrors: [], errors: ['Add at least one item'] };
+    }
+
+    const ids = lines.map(line => String(line.productId?._id || line.productId));
+    const products = await Product.find({ _id: { $in: ids.filter(id => /^[a-f\d]{24}$/i.test(id)) } });
+    const byId = new Map(products.map(p => [p._id.toString(), p]));
+
+    const items = [];
+    lines.forEach((line, index) => {
+        const product = byId.get(ids[index]);
+        const quantity = Number(line.quantity);
+        if (!product || !product.is_active) {
+            errors.push(`Product ${ids[index]} is not available`);
+            return;
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            errors.push(`Invalid quantity for ${product.name}`);
+            return;
+        }
+
+        // Products with variants are bought one variant at a time
+        const variant = product.getVariant(line.variantId);
+        if (product.hasVariants() && (!variant || !variant.is_active)) {
+            errors.push(`Choose an available option for ${product.name}`);
+            return;
+        }
+        const unitPrice = product.priceFor(variant);
+        items.push({
+            productId: product._id,
+            variantId: variant ? variant._id : null,
+            sku: variant ? variant.sku : undefined,
+            variantLabel: variant ? Product.variantLabel(variant) : undefined,
+            name: product.name,
+            quantity,
+            priceAtOrder: unitPrice,
+            lineTotal: roundMoney(unitPrice * quantity),
+        });
+    });
+
+    const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+    const promotions = await applyPromotions(items, item => byId.get(item.productId.toString()), options);
+    const discount = promotions.discount;
+    const delivery = await quoteShipping(items, byId, options.shipTo, roundMoney(subtotal - discount));
+    if (!delivery.ok) errors.push(delivery.message);
+    const shipping = delivery.ok ? delivery.charge : 0;
+    const { tax, taxRate } = await taxShopLines(items, byId);
+    const total = roundMoney(subtotal - discount + shipping + tax);
+
+    return {
+        items,
+        pricing: { subtotal, discount, shipping, taxRate, tax, total },
+        promotions: promotions.applied,
+        shippingQuote: delivery.ok ? delivery.quote : null,
+        promoErrors: promotions.errors,
+        errors,
+    };
+};
+
+/**
+ * Compare the total the customer saw with the server's figure.
+ * @returns {boolean} true when they agree to the cent.
+ */
+const matchesExpectedTotal = (expectedTotal, pricing) =>
+    Math.abs(roundMoney(Number(expectedTotal)) - pricing.total) < 0.005;
+
+/**
+ * Answer a checkout whose items could not be priced, or whose expected total
+ * does not match the server's, so the customer can review the new figures.
+ * @param {Object} res - Express response.
+ * @param {*} expectedTotal - The total shown to the customer.
+ * @param {Object} quote - The result of priceOrder.
+ * @returns {boolean} true when a response has been sent.
+ */
+const rejectInvalidQuote = (res, expectedTotal, quote) => {
+    const errors = [...quote.errors, ...quote.promoErrors];
+    if (errors.length > 0) {
+        res.status(400).json({ message: errors.join('; '), errors });
+        return true;
+    }
+    if (expectedTotal === undefined || expectedTotal === null || expectedTotal === '') {
+        res.status(400).json({ message: 'expectedTotal is required', pricing: quote.pricing });
+        return true;
+    }
+    if (!matchesExpectedTotal(expectedTotal, quote.pricing)) {
+        res.status(409).json({
+            message: `Prices have changed since you opened your cart. The total is now LKR ${quote.pricing.total}.`,
+            code: 'PRICE_CHANGED',
+            pricing: quote.pricing,
+            items: quote.items,
+        });
+        return true;
+    }
+    return false;
+};
+
+export { priceOrder, matchesExpectedTotal, rejectInvalidQuote, roundMoney };
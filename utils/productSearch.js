@@ -0,0 +1,234 @@
+import Product from '../models/Product.js';
+
+// Upper bounds of the price bands offered as facets (LKR); the last band is open-ended
+const PRICE_BANDS = [1000, 5000, 10000, 25000, 50000];
+
+// The catalogue words are read for typo correction and autocomplete on most
+// searches, so keep them in memory for a short while. Product edits clear the
+// cache straight away.
+const CACHE_TTL_MS = 5 * 60 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const tokenize = (text = '') => text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Edit distance where swapping two neighbouring letters counts as one edit.
+// Gives up early and returns max + 1 once the words are further apart than max.
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let twoBack = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (twoBack && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], twoBack[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        twoBack = previous;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Short words only get one typo; "bat" -> "cat" is already a different word
+const allowedTypos = (word) => (word.length <= 4 ? 1 : 2);
+
+/**
+ * Words used in active product names, brands and categories with how often
+ * each appears, plus the names, brands and categories themselves for autocomplete.
+ */
+const loadVocabulary = async () => {
+    if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+        return cached;
+    }
+
+    const products = await Product.find({ is_active: true }).select('name brand category').lean();
+    const words = new Map();
+    const brands = new Set();
+    const categories = new Set();
+    for (const product of products) {
+        for (const word of tokenize(`${product.name} ${product.brand || ''} ${product.category}`)) {
+            words.set(word, (words.get(word) || 0) + 1);
+        }
+        if (product.brand) brands.add(product.brand);
+        categories.add(product.category);
+    }
+
+    cached = { words, products, brands: [...brands], categories: [...categories] };
+    cachedAt = Date.now();
+    return cached;
+};
+
+const invalidateSearchVocabulary = () => {
+    cached = null;
+    cachedAt = 0;
+};
+
+// The closest catalogue word to a misspelt one, preferring the more common word on a tie
+const closestWord = (word, words) => {
+    let best = null;
+    let bestDistance = allowedTypos(word) + 1;
+    for (const [candidate, count] of words) {
+        const distance = editDistance(word, candidate, allowedTypos(word));
+        if (distance < bestDistance || (distance === bestDistance && best && count > words.get(best))) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+};
+
+/**
+ * Replace words the catalogue does not contain with the nearest word it does,
+ * e.g. "kookabura" -> "kookaburra". Numbers and very short words are left alone.
+ * @returns {Promise<{ text: string, corrected: boolean }>}
+ */
+const correctQuery = async (query) => {
+    const { words } = await loadVocabulary();
+    let corrected = false;
+    const text = tokenize(query).map(word => {
+        if (word.length < 3 || /^\d+$/.test(word) || words.has(word)) return word;
+        const replacement = closestWord(word, words);
+        if (!replacement) return word;
+        corrected = true;
+        return replacement;
+    }).join(' ');
+    return { text, corrected };
+};
+
+/**
+ * Work out how to match a search box query. Whole words go through the
+ * weighted text index (see the Product model) so results can be ranked by
+ * relevance; if that finds nothing, e.g. half-typed words, every word is
+ * matched as the start of a word in the name, brand or category instead.
+ * @param {string} query
+ * @param {Object} baseFilter - filters that apply whatever the query is
+ * @returns {Promise<{ filter: Object, ranked: boolean, correctedQuery: string|null }>}
+ */
+const resolveSearch = async (query, baseFilter) => {
+    const { text, corrected } = await correctQuery(query);
+    if (!text) return { filter: baseFilter, ranked: false, correctedQuery: null };
+
+    const textFilter = { ...baseFilter, $text: { $search: text } };
+    if (await Product.exists(textFilter)) {
+        return { filter: textFilter, ranked: true, correctedQuery: corrected ? text : null };
+    }
+
+    const prefixFilter = {
+        ...baseFilter,
+        $and: tokenize(query).map(word => {
+            const startOfWord = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(word)}`, 'iu');
+            return { $or: [{ name: startOfWord }, { brand: startOfWord }, { category: startOfWord }] };
+        }),
+    };
+    return { filter: prefixFilter, ranked: false, correctedQuery: null };
+};
+
+const priceFilterFor = (minPrice, maxPrice) => {
+    if (!minPrice && !maxPrice) return null;
+    const price = {};
+    if (minPrice) price.$gte = Number(minPrice);
+    if (maxPrice) price.$lte = Number(maxPrice);
+    return price;
+};
+
+/**
+ * Category, brand and price band counts for a search. Each facet is counted
+ * with every selected filter except its own, so the shopper can see what
+ * picking another category, brand or band would give.
+ * @param {Object} filter - the search without the facet filters
+ * @param {{ category?: string, brand?: string, price?: Object }} selected
+ */
+const searchFacets = async (filter, selected) => {
+    const only = (...keys) => {
+        const match = {};
+        for (const key of keys) {
+            if (selected[key]) match[key] = selected[key];
+        }
+        return [{ $match: match }];
+    };
+    const bounds = [0, ...PRICE_BANDS];
+
+    const [facets] = await Product.aggregate([
+        { $match: filter },
+        {
+            $facet: {
+                categories: [...only('brand', 'price'), { $group: { _id: '$category', count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }],
+                brands: [
+                    ...only('category', 'price'),
+                    { $match: { brand: { $nin: [null, ''] } } },
+                    { $group: { _id: '$brand', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } },
+                ],
+                priceBands: [
+                    ...only('category', 'brand'),
+                    { $bucket: { groupBy: '$price', boundaries: bounds, default: 'over', output: { count: { $sum: 1 } } } },
+                ],
+            },
+        },
+    ]);
+
+    return {
+        categories: facets.categories.map(row => ({ value: row._id, count: row.count })),
+        brands: facets.brands.map(row => ({ value: row._id, count: row.count })),
+        priceBands: facets.priceBands.map(row => {
+            if (row._id === 'over') return { min: bounds[bounds.length - 1], max: null, count: row.count };
+            return { min: row._id, max: bounds[bounds.indexOf(row._id) + 1], count: row.count };
+        }),
+    };
+};
+
+/**
+ * Autocomplete for the search box: product names, brands and categories that
+ * start with what was typed, or are a typo away from it.
+ * @returns {Promise<Array<{ type: 'product'|'brand'|'category', text: string, productId?: string }>>}
+ */
+const suggestSearchTerms = async (typed, limit = 8) => {
+    const words = tokenize(typed);
+    if (words.length === 0) return [];
+    const vocabulary = await loadVocabulary();
+    const last = words[words.length - 1];
+
+    // Every typed word must start a word of the suggestion; the last one may be half typed
+    const matches = (text) => {
+        const textWords = tokenize(text);
+        return words.every((word, index) => textWords.some(textWord =>
+            (index === words.length - 1 ? textWord.startsWith(word) : textWord === word)));
+    };
+    let lookFor = matches;
+    const anyMatch = [...vocabulary.categories, ...vocabulary.brands, ...vocabulary.products.map(p => p.name)].some(matches);
+    if (!anyMatch && last.length >= 3) {
+        // Nothing starts that way, so try the closest catalogue word instead
+        const replacement = closestWord(last, vocabulary.words);
+        if (replacement) {
+            const fixed = [...words.slice(0, -1), replacement];
+            lookFor = (text) => fixed.every(word => tokenize(text).includes(word));
+        }
+    }
+
+    const suggestions = [
+        ...vocabulary.categories.filter(lookFor).map(text => ({ type: 'category', text })),
+        ...vocabulary.brands.filter(lookFor).map(text => ({ type: 'brand', text })),
+        ...vocabulary.products.filter(product => lookFor(product.name))
+            .map(product => ({ type: 'product', text: product.name, productId: product._id })),
+    ];
+    return suggestions.slice(0, limit);
+};
+
+export {
+    PRICE_BANDS,
+    invalidateSearchVocabulary,
+    correctQuery,
+    resolveSearch,
+    priceFilterFor,
+    searchFacets,
+    suggestSearchTerms,
+};
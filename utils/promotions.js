@@ -0,0 +1,156 @@
+import Promotion from '../models/Promotion.js';
+import Order from '../models/Order.js';
+import { roundMoney } from './pricing.js';
+
+// Orders in these states do not count towards usage limits
+const UNUSED_ORDER_STATUSES = ['cart_pending', 'cancelled'];
+
+const normaliseCodes = (codes) =>
+    [...new Set((Array.isArray(codes) ? codes : [codes]).map(code => String(code || '').trim().toUpperCase()).filter(Boolean))];
+
+const label = (promotion) => (promotion.code ? `Promo code ${promotion.code}` : promotion.name);
+
+/**
+ * Why a promotion cannot be used on this order, or null when it can.
+ * @param {Object} promotion
+ * @param {number} coveredSubtotal - Value of the lines the promotion covers.
+ * @param {{ customerId?, excludeOrderId? }} context
+ * @returns {Promise<string|null>}
+ */
+const whyNotEligible = async (promotion, coveredSubtotal, { customerId, excludeOrderId }) => {
+    const now = new Date();
+    if (promotion.startsAt && promotion.startsAt > now) return `${label(promotion)} is not active yet`;
+    if (promotion.endsAt && promotion.endsAt <= now) return `${label(promotion)} has expired`;
+    if (coveredSubtotal <= 0) return `${label(promotion)} does not apply to the items in your cart`;
+    if (coveredSubtotal < promotion.minSpend) {
+        return `${label(promotion)} needs a minimum spend of LKR ${promotion.minSpend} on eligible items`;
+    }
+
+    const used = { 'appliedPromotions.promotionId': promotion._id, status: { $nin: UNUSED_ORDER_STATUSES } };
+    if (excludeOrderId) used._id = { $ne: excludeOrderId };
+    if (promotion.usageLimit && await Order.countDocuments(used) >= promotion.usageLimit) {
+        return `${label(promotion)} has been fully redeemed`;
+    }
+    // Without a customer (e.g. a guest quote) the per-customer limit is checked at checkout
+    if (promotion.usageLimitPerCustomer && customerId
+        && await Order.countDocuments({ ...used, customerId }) >= promotion.usageLimitPerCustomer) {
+        return `You have already used ${label(promotion)}`;
+    }
+    return null;
+};
+
+// Discount per line index for one promotion, before any other promotion is applied
+const lineDiscounts = (promotion, items, coveredIndexes) => {
+    const discounts = new Map();
+    const coveredSubtotal = coveredIndexes.reduce((sum, index) => sum + items[index].lineTotal, 0);
+
+    if (promotion.type === 'fixed') {
+        // Spread the amount over the covered lines by value, so each line records its share
+        const amount = Math.min(promotion.value, coveredSubtotal);
+        let left = amount;
+        coveredIndexes.forEach((index, position) => {
+            const share = position === coveredIndexes.length - 1
+                ? left
+                : roundMoney(amount * items[index].lineTotal / coveredSubtotal);
+            discounts.set(index, share);
+            left = roundMoney(left - share);
+        });
+        return discounts;
+    }
+
+    for (const index of coveredIndexes) {
+        const item = items[index];
+        if (promotion.type === 'percentage') {
+            discounts.set(index, roundMoney(item.lineTotal * promotion.value / 100));
+        } else {
+            // buy_x_get_y works per line: every (buy + get) units, `get` of them are discounted
+            const groupSize = promotion.buyQuantity + promotion.getQuantity;
+            const discountedUnits = Math.floor(item.quantity / groupSize) * promotion.getQuantity;
+            discounts.set(index, roundMoney(discountedUnits * item.priceAtOrder * promotion.value / 100));
+        }
+    }
+    return discounts;
+};
+
+/**
+ * Work out which promotions apply to priced order lines and record the
+ * discounts on them (item.discount and item.promotions).
+ * Automatic promotions (no code) are always considered; coded ones only when entered.
+ * @param {Object[]} items - Lines from priceOrder, each with lineTotal.
+ * @param {(item: Object) => Object} productFor - The product document of a line.
+ * @param {{ promoCodes?: string[], customerId?, excludeOrderId? }} [options]
+ * @returns {Promise<{ discount: number, applied: Object[], errors: string[] }>}
+ *   errors explain entered codes that could not be used, including those a better offer beat.
+ */
+const applyPromotions = async (items, productFor, { promoCodes, customerId, excludeOrderId } = {}) => {
+    const codes = normaliseCodes(promoCodes);
+    const errors = [];
+    const promotions = await Promotion.find({ is_active: true, $or: [{ code: null }, { code: { $in: codes } }] });
+
+    for (const code of codes) {
+        if (!promotions.some(promotion => promotion.code === code)) errors.push(`Promo code ${code} is not valid`);
+    }
+
+    const candidates = [];
+    for (const promotion of promotions) {
+        const coveredIndexes = items.map((item, index) => index).filter(index => promotion.covers(productFor(items[index])));
+        const coveredSubtotal = coveredIndexes.reduce((sum, index) => sum + items[index].lineTotal, 0);
+        const problem = await whyNotEligible(promotion, coveredSubtotal, { customerId, excludeOrderId });
+        if (problem) {
+            if (promotion.code) errors.push(problem);
+            continue;
+        }
+        const discounts = lineDiscounts(promotion, items, coveredIndexes);
+        const total = roundMoney([...discounts.values()].reduce((sum, amount) => sum + amount, 0));
+        if (total > 0) candidates.push({ promotion, discounts, total });
+    }
+
+    // Stackable promotions are applied one after another without taking a line below zero
+    const remaining = items.map(item => item.lineTotal);
+    const stacked = candidates
+        .filter(candidate => candidate.promotion.stackable)
+        .sort((a, b) => b.promotion.priority - a.promotion.priority)
+        .map(({ promotion, discounts }) => {
+            const capped = new Map();
+            for (const [index, amount] of discounts) {
+                const applied = Math.min(amount, remaining[index]);
+                remaining[index] = roundMoney(remaining[index] - applied);
+                if (applied > 0) capped.set(index, applied);
+            }
+            return { promotion, discounts: capped, total: roundMoney([...capped.values()].reduce((sum, amount) => sum + amount, 0)) };
+        })
+        .filter(candidate => candidate.total > 0);
+    const stackedTotal = stacked.reduce((sum, candidate) => sum + candidate.total, 0);
+
+    const [bestSingle] = candidates
+        .filter(candidate => !candidate.promotion.stackable)
+        .sort((a, b) => b.total - a.total);
+    const chosen = bestSingle && bestSingle.total > stackedTotal ? [bestSingle] : stacked;
+    for (const { promotion } of candidates) {
+        if (promotion.code && !chosen.some(candidate => candidate.promotion === promotion)) {
+            errors.push(`${label(promotion)} was not applied because a better offer was used`);
+        }
+    }
+
+    items.forEach(item => {
+        item.discount = 0;
+        item.promotions = [];
+    });
+    for (const { promotion, discounts } of chosen) {
+        for (const [index, amount] of discounts) {
+            const item = items[index];
+            item.discount = roundMoney(item.discount + amount);
+            item.promotions.push({ promotionId: promotion._id, code: promotion.code || undefined, amount });
+        }
+    }
+
+    const applied = chosen.map(({ promotion, total }) => ({
+        promotionId: promotion._id,
+        code: promotion.code || undefined,
+        name: promotion.name,
+        amount: total,
+    }));
+    return { discount: roundMoney(applied.reduce((sum, promotion) => sum + promotion.amount, 0)), applied, errors };
+};
+
+export { applyPromotions, normaliseCodes };
@@ -0,0 +1,183 @@
+import Product from '../models/Product.js';
+import Supplier from '../models/Supplier.js';
+import PurchaseOrder, { OPEN_PO_STATUSES } from '../models/PurchaseOrder.js';
+import { adjustStock, describeStock, reorderPointOf } from './inventory.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When goods ordered today should arrive, going by the supplier's quoted lead time
+const expectedDeliveryFor = (supplier, from = new Date()) => new Date(from.getTime() + (supplier.leadTimeDays || 0) * DAY_MS);
+
+// The product's reorder quantity, or enough to get back to twice the reorder point
+const reorderQuantityFor = (product, variant) =>
+    product.reorderQuantity || Math.max(1, 2 * reorderPointOf(product) - (variant || product).stock_quantity);
+
+// What the item cost on its most recent purchase order, so a new line starts from a sensible price
+const lastUnitCost = async (productId, variantId) => {
+    const [previous] = await PurchaseOrder.find({ lines: { $elemMatch: { productId, variantId } } })
+        .sort({ createdAt: -1 })
+        .limit(1);
+    const line = previous?.lines.find(entry =>
+        String(entry.productId) === String(productId) && String(entry.variantId || '') === String(variantId || ''));
+    return line ? line.unitCost : 0;
+};
+
+/**
+ * Build a purchase order line for a catalogue item.
+ * @returns {Promise<{ ok: boolean, line?: Object, status?: number, message?: string }>}
+ */
+const buildLine = async ({ productId, variantId = null, quantityOrdered, unitCost }) => {
+    const product = await Product.findById(productId);
+    if (!product) return { ok: false, status: 404, message: 'Product not found' };
+    const variant = product.getVariant(variantId);
+    if (variantId && !variant) return { ok: false, status: 404, message: `Variant not found on ${product.name}` };
+    if (product.hasVariants() && !variant) {
+        return { ok: false, status: 400, message: `Choose which variant of ${product.name} to order` };
+    }
+
+    const quantity = quantityOrdered ?? reorderQuantityFor(product, variant);
+    if (!Number.isInteger(Number(quantity)) || Number(quantity) < 1) {
+        return { ok: false, status: 400, message: `Quantity for ${product.name} must be a whole number of 1 or more` };
+    }
+
+    return {
+        ok: true,
+        line: {
+            productId: product._id,
+            variantId: variant ? variant._id : null,
+            sku: variant ? variant.sku : product.productId,
+            name: describeStock(product, variant).name,
+            quantityOrdered: Number(quantity),
+            unitCost: unitCost ?? await lastUnitCost(product._id, variant ? variant._id : null),
+        },
+    };
+};
+
+/**
+ * Put a low stock item on its supplier's draft reorder PO, creating the PO if
+ * there is none. An item already on a draft or open PO is not ordered again.
+ * @param {{ productId, variantId?, actor? }} request
+ * @returns {Promise<{ ok: boolean, purchaseOrder?: Object, existing?: boolean, status?: number, message?: string }>}
+ */
+const draftReorder = async ({ productId, variantId = null, actor }) => {
+    const built = await buildLine({ productId, variantId });
+    if (!built.ok) return built;
+    const { line } = built;
+
+    const product = await Product.findById(line.productId).select('name supplierId');
+    if (!product.supplierId) return { ok: false, status: 400, message: `Set a supplier for ${product.name} before reordering it` };
+    const supplier = await Supplier.findById(product.supplierId);
+    if (!supplier || !supplier.is_active) {
+        return { ok: false, status: 400, message: `The supplier of ${product.name} is missing or inactive` };
+    }
+
+    const existing = await PurchaseOrder.findOne({
+        status: { $in: ['draft', ...OPEN_PO_STATUSES] },
+        lines: { $elemMatch: { productId: line.productId, variantId: line.variantId } },
+    });
+    if (existing) return { ok: true, existing: true, purchaseOrder: existing };
+
+    // One draft per supplier collects everything that needs reordering until it is sent
+    let purchaseOrder = await PurchaseOrder.findOne({ supplierId: supplier._id, status: 'draft', source: 'low_stock' });
+    if (purchaseOrder) {
+        purchaseOrder.lines.push(line);
+        await purchaseOrder.save();
+    } else {
+        purchaseOrder = await PurchaseOrder.create({
+            poNumber: await PurchaseOrder.nextNumber(),
+            supplierId: supplier._id,
+            lines: [line],
+            expectedDeliveryDate: expectedDeliveryFor(supplier),
+            source: 'low_stock',
+            createdBy: actor,
+        });
+    }
+
+    console.log(`📦 ${line.name} added to draft ${purchaseOrder.poNumber} for ${supplier.name}`);
+    return { ok: true, existing: false, purchaseOrder };
+};
+
+/**
+ * Book a delivery against an ordered PO and put the goods into stock as
+ * 'supplier_receipt' movements. A delivery may cover some lines, or part of a line.
+ * @param {Object} purchaseOrder
+ * @param {{ lines: Array<{ lineId, quantity }>, note?: string, actor? }} delivery
+ * @returns {Promise<{ ok: boolean, purchaseOrder?: Object, skipped?: string[], status?: number, message?: string }>}
+ *   skipped names lines whose product or variant no longer exists, so no stock was added for them.
+ */
+const receiveGoods = async (purchaseOrder, { lines = [], note, actor }) => {
+    if (!OPEN_PO_STATUSES.includes(purchaseOrder.status)) {
+        return { ok: false, status: 400, message: `Goods cannot be received on a ${purchaseOrder.status.replace('_', ' ')} purchase order` };
+    }
+
+    const received = new Map();
+    for (const { lineId, quantity } of lines) {
+        const amount = Number(quantity) || 0;
+        if (amount === 0) continue;
+        const line = purchaseOrder.lines.id(lineId);
+        if (!line) return { ok: false, status: 400, message: 'That line is not on this purchase order' };
+        if (!Number.isInteger(amount) || amount < 0) {
+            return { ok: false, status: 400, message: `Quantity received for ${line.name} must be a whole number` };
+        }
+        const total = (received.get(line) || 0) + amount;
+        if (total > purchaseOrder.outstandingFor(line)) {
+            return { ok: false, status: 400, message: `Only ${purchaseOrder.outstandingFor(line)} of ${line.name} are still to come` };
+        }
+        received.set(line, total);
+    }
+    if (received.size === 0) return { ok: false, status: 400, message: 'Enter how many of at least one line arrived' };
+
+    const fullyReceived = purchaseOrder.lines.every(line =>
+        line.quantityReceived + (received.get(line) || 0) >= line.quantityOrdered);
+    const increments = {};
+    const arrayFilters = [];
+    [...received].forEach(([line, quantity], index) => {
+        increments[`lines.$[line${index}].quantityReceived`] = quantity;
+        arrayFilters.push({ [`line${index}._id`]: line._id });
+    });
+
+    // Matching on the receipt count makes a second delivery booked at the same time fail instead of double counting
+    const updated = await PurchaseOrder.findOneAndUpdate(
+        { _id: purchaseOrder._id, status: { $in: OPEN_PO_STATUSES }, receipts: { $size: purchaseOrder.receipts.length } },
+        {
+            $inc: increments,
+            $push: {
+                receipts: {
+                    receivedAt: new Date(),
+                    receivedBy: actor,
+                    lines: [...received].map(([line, quantity]) => ({ lineId: line._id, quantity })),
+                    note,
+                },
+            },
+            $set: fullyReceived ? { status: 'received', receivedAt: new Date() } : { status: 'partially_received' },
+        },
+        { new: true, arrayFilters }
+    );
+    if (!updated) {
+        return { ok: false, status: 409, message: 'This purchase order changed while the delivery was being entered. Reload it and try again.' };
+    }
+
+    const skipped = [];
+    for (const [line, quantity] of received) {
+        const result = await adjustStock({
+            productId: line.productId,
+            variantId: line.variantId,
+            quantity,
+            reason: 'supplier_receipt',
+            note: updated.poNumber,
+            purchaseOrderId: updated._id,
+            actor,
+        });
+        if (!result) skipped.push(line.name);
+    }
+
+    console.log(`📦 Goods received on ${updated.poNumber}: ${received.size} line(s), now ${updated.status}`);
+    return { ok: true, purchaseOrder: updated, skipped };
+};
+
+export {
+    expectedDeliveryFor,
+    buildLine,
+    draftReorder,
+    receiveGoods,
+};
@@ -0,0 +1,74 @@
+import Product from '../models/Product.js';
+import RestockAlert from '../models/RestockAlert.js';
+import User from '../models/User.js';
+import { createNotification } from '../controllers/notificationController.js';
+import { sendBackInStockEmail } from './wemailService.js';
+
+// What the customer asked about: the variant if they picked one, otherwise the product
+const alertTarget = (product, variantId) => {
+    const variant = product.getVariant(variantId);
+    return {
+        name: variant ? `${product.name} (${Product.variantLabel(variant)})` : product.name,
+        inStock: (variant || product).stock_quantity > 0,
+    };
+};
+
+/**
+ * Tell every customer waiting on this product (or one of its variants) that is
+ * in stock again, by email and in-app notification. Each alert is claimed
+ * before it is sent, so two restocks at once cannot send it twice.
+ * @param {Object} product - The product as it is after the stock change.
+ * @returns {Promise<number>} How many customers were told.
+ */
+const sendRestockAlerts = async (product) => {
+    const waiting = await RestockAlert.find({ productId: product._id, status: 'waiting' });
+    let sent = 0;
+    for (const alert of waiting) {
+        const target = alertTarget(product, alert.variantId);
+        if (!target.inStock) continue;
+
+        const claimed = await RestockAlert.findOneAndUpdate(
+            { _id: alert._id, status: 'waiting' },
+            { status: 'sent', sentAt: new Date() },
+            { new: true }
+        );
+        if (!claimed) continue;
+
+        await createNotification({
+            userId: alert.userId,
+            type: 'back_in_stock',
+            title: '🔔 Back in stock',
+            message: `${target.name} is back in stock.`,
+            relatedProduct: product._id,
+            priority: 'medium',
+        });
+
+        const user = await User.findById(alert.userId).select('email username firstName');
+        if (user?.email) {
+            try {
+                await sendBackInStockEmail(user.email, user.firstName || user.username, target.name);
+            } catch (emailError) {
+                console.error(`❌ Failed to send back in stock email for ${target.name}:`, emailError);
+            }
+        }
+        sent++;
+    }
+    if (sent > 0) console.log(`🔔 ${sent} customer(s) told ${product.name} is back in stock`);
+    return sent;
+};
+
+/**
+ * Start sending restock alerts after a stock increase without holding up the
+ * request that made it; a failure is logged and the alerts stay waiting.
+ */
+const queueRestockAlerts = (product) => {
+    sendRestockAlerts(product).catch(error => {
+        console.error(`❌ Failed to send restock alerts for ${product.name}:`, error);
+    });
+};
+
+export {
+    alertTarget,
+    sendRestockAlerts,
+    queueRestockAlerts,
+};
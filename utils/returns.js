@@ -0,0 +1,251 @@
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import ReturnRequest, { ACTIVE_RETURN_STATUSES } from '../models/ReturnRequest.js';
+import { adjustStock, reduceProductStock, restoreProductStock } from './inventory.js';
+import { paidFor } from './orderChanges.js';
+import { refundPayment } from './payments.js';
+import { roundMoney } from './pricing.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long after delivery a customer can ask to send something back
+const getReturnWindowDays = () => parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 14;
+
+// Last day a return can be requested, or null if the order has not been delivered
+const returnDeadline = (order) => {
+    if (order.status !== 'delivered') return null;
+    const deliveredAt = order.deliveredAt || order.date;
+    return new Date(new Date(deliveredAt).getTime() + getReturnWindowDays() * DAY_MS);
+};
+
+/**
+ * Every line of a delivered order with how much of it can still be sent back:
+ * what was bought less what other open or settled returns already cover.
+ * unitRefund is the price paid per unit after promotion discounts, with its tax.
+ */
+const returnableLines = async (order) => {
+    const existing = await ReturnRequest.find({ orderId: order._id, status: { $in: ACTIVE_RETURN_STATUSES } }).select('lines');
+    const claimed = new Map();
+    for (const request of existing) {
+        for (const line of request.lines) {
+            const key = String(line.orderItemId);
+            claimed.set(key, (claimed.get(key) || 0) + line.quantity);
+        }
+    }
+
+    return order.items.map(item => {
+        const paid = paidFor(item, order);
+        const alreadyReturned = claimed.get(String(item._id)) || 0;
+        return {
+            orderItemId: item._id,
+            productId: item.productId?._id || item.productId,
+            variantId: item.variantId || null,
+            name: item.name,
+            variantLabel: item.variantLabel,
+            ordered: item.quantity,
+            alreadyReturned,
+            returnable: Math.max(0, item.quantity - alreadyReturned),
+            unitRefund: roundMoney(paid / item.quantity),
+        };
+    });
+};
+
+// An exchange can be for another variant of the same product at the same price
+const checkExchangeVariant = (product, line, exchangeVariantId) => {
+    const wanted = product.getVariant(exchangeVariantId);
+    if (!wanted || !wanted.is_active) return 'That size or option is not available';
+    const priceOf = (variant) => variant?.price ?? product.price;
+    if (priceOf(wanted) !== priceOf(product.getVariant(line.variantId))) {
+        return `${Product.variantLabel(wanted)} costs a different amount; return this item and order it instead`;
+    }
+    return null;
+};
+
+/**
+ * Check a customer's return or exchange request against their order.
+ * @param {Object} order - A delivered order belonging to the customer.
+ * @param {{ type: 'return'|'exchange', items: Array<{ orderItemId, quantity, exchangeVariantId? }> }} request
+ * @returns {Promise<{ ok: boolean, lines?: Object[], status?: number, message?: string }>}
+ */
+const buildReturnLines = async (order, { type, items = [] }) => {
+    const deadline = returnDeadline(order);
+    if (!deadline) return { ok: false, status: 400, message: 'Only delivered orders can be returned' };
+    if (Date.now() > deadline.getTime()) {
+        return { ok: false, status: 400, message: `Returns for this order closed on ${deadline.toLocaleDateString()}` };
+    }
+
+    const available = new Map((await returnableLines(order)).map(line => [String(line.orderItemId), line]));
+    const lines = [];
+    for (const { orderItemId, quantity, exchangeVariantId } of items) {
+        const amount = Number(quantity) || 0;
+        if (amount === 0) continue;
+        const line = available.get(String(orderItemId));
+        if (!line) return { ok: false, status: 400, message: 'That item is not on this order' };
+        if (!Number.isInteger(amount) || amount < 0) {
+            return { ok: false, status: 400, message: `Quantity for ${line.name} must be a whole number` };
+        }
+        if (amount > line.returnable) {
+            return { ok: false, status: 400, message: `Only ${line.returnable} of ${line.name} can still be sent back` };
+        }
+
+        let exchangeTo = null;
+        if (type === 'exchange' && exchangeVariantId && String(exchangeVariantId) !== String(line.variantId)) {
+            const product = await Product.findById(line.productId);
+            if (!product) return { ok: false, status: 400, message: `${line.name} is no longer sold, so it can only be returned` };
+            const problem = checkExchangeVariant(product, line, exchangeVariantId);
+            if (problem) return { ok: false, status: 400, message: problem };
+            exchangeTo = exchangeVariantId;
+        }
+
+        lines.push({
+            orderItemId: line.orderItemId,
+            productId: line.productId,
+            variantId: line.variantId,
+            name: line.name,
+            variantLabel: line.variantLabel,
+            quantity: amount,
+            unitRefund: line.unitRefund,
+            exchangeVariantId: exchangeTo,
+        });
+    }
+    if (lines.length === 0) return { ok: false, status: 400, message: 'Choose at least one item to send back' };
+    return { ok: true, lines };
+};
+
+// Items for a free replacement order; an exchange may swap in another variant
+const replacementItems = async (returnRequest) => {
+    const items = [];
+    for (const line of returnRequest.lines) {
+        const product = await Product.findById(line.productId);
+        if (!product) return null;
+        const variant = product.getVariant(line.exchangeVariantId || line.variantId);
+        const priceAtOrder = variant?.price ?? product.price;
+        const lineTotal = roundMoney(priceAtOrder * line.quantity);
+        items.push({
+            productId: product._id,
+            variantId: variant ? variant._id : null,
+            sku: variant?.sku,
+            variantLabel: variant ? Product.variantLabel(variant) : undefined,
+            name: product.name,
+            quantity: line.quantity,
+            priceAtOrder,
+            lineTotal,
+            discount: lineTotal,
+        });
+    }
+    return items;
+};
+
+/**
+ * Book the goods of an approved return as received and settle it. Each line
+ * is restocked as a 'customer_return' movement or written off, then the
+ * customer is refunded what they paid for those lines, or sent a free
+ * replacement order. An exchange can still be refunded, e.g. when the
+ * replacement is out of stock.
+ * @param {Object} returnRequest
+ * @param {{ dispositions: Object<string, 'restock'|'write_off'>, settlement: 'refund'|'replacement', actor }} receipt
+ *   dispositions is keyed by return line _id.
+ * @returns {Promise<{ ok: boolean, returnRequest?: Object, refund?: Object, replacementOrder?: Object, status?: number, message?: string, shortages?: Object[] }>}
+ */
+const receiveReturn = async (returnRequest, { dispositions = {}, settlement, actor }) => {
+    if (returnRequest.status !== 'approved') {
+        return { ok: false, status: 400, message: `Goods cannot be received on a ${returnRequest.status} return` };
+    }
+    if (!['refund', 'replacement'].includes(settlement)) {
+        return { ok: false, status: 400, message: 'Choose whether to refund or send a replacement' };
+    }
+    for (const line of returnRequest.lines) {
+        if (!['restock', 'write_off'].includes(dispositions[line._id])) {
+            return { ok: false, status: 400, message: `Choose whether ${line.name} goes back into stock or is written off` };
+        }
+    }
+
+    const order = await Order.findById(returnRequest.orderId);
+    if (!order) return { ok: false, status: 404, message: 'The order for this return no longer exists' };
+
+    // Take the replacement out of stock first, so a shortage stops everything
+    let replacementOrder = null;
+    if (settlement === 'replacement') {
+        const items = await replacementItems(returnRequest);
+        if (!items) return { ok: false, status: 400, message: 'A product on this return is no longer sold; refund it instead' };
+        const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+        replacementOrder = new Order({
+            customerId: returnRequest.customerId,
+            items,
+            amount: 0,
+            pricing: { subtotal, discount: subtotal, total: 0 },
+            address: order.address,
+            deliveryAddress: order.deliveryAddress,
+            // Sent the way the original went, free of charge
+            shippingQuote: order.shippingQuote && {
+                method: order.shippingQuote.method,
+                zoneName: order.shippingQuote.zoneName,
+                pickupLocation: order.shippingQuote.pickupLocation,
+                freeShipping: true,
+                charge: 0,
+            },
+            status: 'processing',
+            statusHistory: [{ status: 'processing', by: actor, note: `Replacement for ${returnRequest.rmaNumber}` }],
+            returnRequestId: returnRequest._id,
+            stockDeductedAt: new Date(),
+        });
+        const stock = await reduceProductStock(items, { orderId: replacementOrder._id, actor });
+        if (!stock.ok) {
+            const [shortage] = stock.shortages;
+            return {
+                ok: false,
+                status: 409,
+                message: `Only ${shortage.available} of ${shortage.name} left in stock for the replacement; refund it instead`,
+                shortages: stock.shortages,
+            };
+        }
+    }
+
+    const refundAmount = settlement === 'refund' ? roundMoney(returnRequest.total) : 0;
+    const set = { status: 'received', receivedBy: actor, receivedAt: new Date(), refundAmount };
+    if (replacementOrder) set.replacementOrderId = replacementOrder._id;
+    returnRequest.lines.forEach((line, index) => {
+        set[`lines.${index}.disposition`] = dispositions[line._id];
+    });
+
+    // Only one receipt can win, so goods are never restocked or refunded twice
+    const updated = await ReturnRequest.findOneAndUpdate(
+        { _id: returnRequest._id, status: 'approved' },
+        { $set: set },
+        { new: true }
+    );
+    if (!updated) {
+        if (replacementOrder) await restoreProductStock(replacementOrder.items, { orderId: replacementOrder._id, actor });
+        return { ok: false, status: 409, message: 'This return changed while it was being received. Reload it and try again.' };
+    }
+    if (replacementOrder) await replacementOrder.save();
+
+    for (const line of updated.lines) {
+        if (line.disposition !== 'restock') continue;
+        await adjustStock({
+            productId: line.productId,
+            variantId: line.variantId,
+            quantity: line.quantity,
+            reason: 'customer_return',
+            note: updated.rmaNumber,
+            orderId: updated.orderId,
+            returnRequestId: updated._id,
+            actor,
+        });
+    }
+
+    const refund = refundAmount > 0 ? await refundPayment(updated.orderId, refundAmount, updated.rmaNumber) : null;
+    if (refundAmount > 0 && !refund) {
+        console.log(`⚠️ ${updated.rmaNumber}: order ${updated.orderId} has no successful payment with LKR ${refundAmount} left to refund; refund it by hand`);
+    }
+
+    console.log(`📦 ${updated.rmaNumber} received: ${settlement === 'refund' ? `refund LKR ${refundAmount}` : `replacement order ${replacementOrder._id}`}`);
+    return { ok: true, returnRequest: updated, refund, replacementOrder };
+};
+
+export {
+    returnDeadline,
+    returnableLines,
+    buildReturnLines,
+    receiveReturn,
+};
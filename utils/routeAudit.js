@@ -0,0 +1,60 @@
+// Walks the mounted API routers and reports how each endpoint is guarded.
+// Guards added with router.use() only apply to routes registered after them,
+// so the stack is read in order, exactly as Express runs it.
+
+const describeHandlers = (handlers) => {
+    const result = { protected: false, public: false, permissions: [] };
+    for (const fn of handlers) {
+        if (fn.isAuthGuard) result.protected = true;
+        if (fn.isPublicRoute) result.public = true;
+        if (fn.permissions) result.permissions.push(...fn.permissions);
+    }
+    return result;
+};
+
+const auditRouter = (mountPath, router) => {
+    const entries = [];
+    const inherited = [];
+
+    for (const layer of router.stack) {
+        if (!layer.route) {
+            // Router-level middleware (router.use) applies to everything below it
+            inherited.push(layer.handle);
+            continue;
+        }
+
+        const routeHandlers = layer.route.stack.map(l => l.handle);
+        const guard = describeHandlers([...inherited, ...routeHandlers]);
+        const methods = Object.keys(layer.route.methods).filter(m => layer.route.methods[m]);
+
+        for (const method of methods) {
+            const status = guard.protected ? 'protected' : guard.public ? 'public' : 'unprotected';
+            entries.push({
+                method: method.toUpperCase(),
+                path: `${mountPath}${layer.route.path === '/' ? '' : layer.route.path}`,
+                status,
+                permissions: [...new Set(guard.permissions)],
+            });
+        }
+    }
+    return entries;
+};
+
+/**
+ * Builds the route report for a list of [mountPath, router] pairs.
+ * @param {Array<[String, Function]>} apiRoutes - The routers mounted in server.js.
+ */
+const buildRouteReport = (apiRoutes) => {
+    const routes = apiRoutes.flatMap(([mountPath, router]) => auditRouter(mountPath, router));
+    return {
+        summary: {
+            total: routes.length,
+            protected: routes.filter(r => r.status === 'protected').length,
+            public: routes.filter(r => r.status === 'public').length,
+            unprotected: routes.filter(r => r.status === 'unprotected').length,
+        },
+        routes,
+    };
+};
+
+export { buildRouteReport };
@@ -0,0 +1,149 @@
+import ShippingZone, { SHIPPING_METHODS } from '../models/ShippingZone.js';
+import { resolveDeliveryAddress } from './addresses.js';
+import { roundMoney } from './pricing.js';
+
+// Read lazily because server.js loads .env after the imports run.
+// The flat charge only applies until the first shipping zone is set up.
+const getDeliveryCharge = () => {
+    const charge = Number(process.env.DELIVERY_CHARGE);
+    return Number.isFinite(charge) && charge >= 0 ? charge : 450;
+};
+const getPickupLocation = () => process.env.PICKUP_LOCATION || 'CricketXpert Academy front desk';
+
+// The zone an address belongs to: the longest matching postal prefix, then its district, then the default
+const matchZone = (zones, { district, postalCode } = {}) => {
+    if (postalCode) {
+        const byPrefix = zones
+            .flatMap(zone => zone.postalPrefixes.map(prefix => ({ zone, prefix })))
+            .filter(({ prefix }) => String(postalCode).startsWith(prefix))
+            .sort((a, b) => b.prefix.length - a.prefix.length);
+        if (byPrefix.length > 0) return byPrefix[0].zone;
+    }
+    if (district) {
+        const byDistrict = zones.find(zone => zone.districts.includes(district));
+        if (byDistrict) return byDistrict;
+    }
+    return zones.find(zone => zone.isDefault) || null;
+};
+
+// Price from the zone's rate table; beyond the last step each started kg or item costs extraPerUnit
+const rateFor = (zone, measure) => {
+    const rates = [...zone.rates].sort((a, b) => a.upTo - b.upTo);
+    const step = rates.find(rate => measure <= rate.upTo);
+    if (step) return step.price;
+    const last = rates[rates.length - 1];
+    const over = Math.ceil(Math.round((measure - last.upTo) * 1000) / 1000);
+    return roundMoney(last.price + over * (zone.extraPerUnit || 0));
+};
+
+/**
+ * Work out the shipping charge for priced order lines.
+ * Store pickup is free. Deliveries are charged by the zone the address falls
+ * in, on the parcel's weight or item count, and ship free once the order is
+ * worth the zone's freeOver after discounts. Without a district or postal
+ * code (the cart page, or an order placed before saved addresses) the default zone is used,
+ * or the cheapest zone when there is none, and the quote is marked as an estimate.
+ * @param {Object[]} items - Lines from priceOrder, with productId and quantity.
+ * @param {Map<string, Object>} productsById - The products of those lines.
+ * @param {{ method?: string, district?: string, postalCode?: string }} shipTo
+ * @param {number} merchandise - What the goods cost after discounts.
+ * @returns {Promise<{ ok: boolean, charge?: number, quote?: Object, message?: string }>}
+ *   quote is what Order.shippingQuote stores.
+ */
+const quoteShipping = async (items, productsById, shipTo = {}, merchandise = 0) => {
+    const method = shipTo.method || 'delivery';
+    if (!SHIPPING_METHODS.includes(method)) {
+        return { ok: false, message: 'Choose delivery or store pickup' };
+    }
+    if (items.length === 0) return { ok: true, charge: 0, quote: null };
+    if (method === 'pickup') {
+        return { ok: true, charge: 0, quote: { method, pickupLocation: getPickupLocation(), charge: 0 } };
+    }
+
+    // In kg, to the gram
+    const weight = Math.round(items.reduce(
+        (sum, item) => sum + (productsById.get(String(item.productId))?.shippingWeight || 0) * item.quantity, 0) * 1000) / 1000;
+    const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
+
+    const zones = await ShippingZone.find({ is_active: true });
+    if (zones.length === 0) {
+        const charge = getDeliveryCharge();
+        return { ok: true, charge, quote: { method, zoneName: 'Standard delivery', weight, itemCount, charge } };
+    }
+
+    const known = !!(shipTo.district || shipTo.postalCode);
+    const chargeIn = (zone) => {
+        const free = zone.freeOver != null && merchandise >= zone.freeOver;
+        return { zone, free, charge: free ? 0 : rateFor(zone, zone.basis === 'items' ? itemCount : weight) };
+    };
+    let match = matchZone(zones, shipTo);
+    if (!match && known) {
+        return { ok: false, message: `We do not deliver to ${shipTo.district || shipTo.postalCode} yet. Choose store pickup instead.` };
+    }
+    const priced = match
+        ? chargeIn(match)
+        : zones.map(chargeIn).sort((a, b) => a.charge - b.charge)[0];
+    match = priced.zone;
+
+    return {
+        ok: true,
+        charge: priced.charge,
+        quote: {
+            method,
+            zoneId: match._id,
+            zoneName: match.name,
+            basis: match.basis,
+            weight,
+            itemCount,
+            freeOver: match.freeOver,
+            freeShipping: priced.free,
+            estimate: !known,
+            charge: priced.charge,
+        },
+    };
+};
+
+/**
+ * Work out where a checkout goes and how: store pickup needs no address,
+ * deliveries go to one of the customer's saved addresses.
+ * @param {ObjectId} customerId
+ * @param {{ deliveryMethod?: string, addressId? }} choice - From the checkout request.
+ * @returns {Promise<{ ok: boolean, address?: string, deliveryAddress?: Object, shipTo?: Object, status?: number, message?: string }>}
+ *   shipTo is passed on to priceOrder.
+ */
+const resolveDestination = async (customerId, { deliveryMethod = 'delivery', addressId } = {}) => {
+    if (deliveryMethod === 'pickup') {
+        return { ok: true, address: `Store pickup: ${getPickupLocation()}`, shipTo: { method: 'pickup' } };
+    }
+    if (deliveryMethod !== 'delivery') {
+        return { ok: false, status: 400, message: 'Choose delivery or store pickup' };
+    }
+
+    const destination = await resolveDeliveryAddress(customerId, { addressId });
+    if (!destination.ok) return destination;
+    const { district, postalCode } = destination.deliveryAddress || {};
+    return { ...destination, shipTo: { method: 'delivery', district, postalCode } };
+};
+
+// The shipping line as customers see it, e.g. on the order PDF
+const describeShipping = (quote) => {
+    if (quote?.method === 'pickup') return `Store pickup at ${quote.pickupLocation || getPickupLocation()}`;
+    return quote?.zoneName ? `Shipping (${quote.zoneName})` : 'Shipping';
+};
+
+// Where an existing order ships to, for pricing it again
+const shipToOfOrder = (order) => ({
+    method: order.shippingQuote?.method || 'delivery',
+    district: order.deliveryAddress?.district,
+    postalCode: order.deliveryAddress?.postalCode,
+});
+
+export {
+    describeShipping,
+    getDeliveryCharge,
+    getPickupLocation,
+    matchZone,
+    quoteShipping,
+    resolveDestination,
+    shipToOfOrder,
+};
@@ -0,0 +1,32 @@
+import Coach from '../models/Coach.js';
+import Technician from '../models/Technician.js';
+
+/**
+ * Make sure a coach or technician user has the linked Coach / Technician
+ * document the rest of the app expects. Does nothing for other roles or
+ * when the profile already exists.
+ * @param {Object} user - The saved User document.
+ * @param {Object} [details] - { specializations, skills } for a new profile.
+ * @returns {Promise<Object|null>} The created profile, or null if none was needed.
+ */
+const ensureStaffProfile = async (user, details = {}) => {
+    if (user.role === 'coach' && !(await Coach.exists({ userId: user._id }))) {
+        return Coach.create({
+            userId: user._id,
+            specializations: details.specializations?.length ? details.specializations : ['General Coaching'],
+            isActive: true,
+        });
+    }
+
+    if (user.role === 'technician' && !(await Technician.exists({ technicianId: user._id }))) {
+        return Technician.create({
+            technicianId: user._id,
+            skills: details.skills?.length ? details.skills : ['General Repairs'],
+            available: true,
+        });
+    }
+
+    return null;
+};
+
+export { ensureStaffProfile };
@@ -0,0 +1,68 @@
+import TaxRate from '../models/TaxRate.js';
+import { roundMoney } from './pricing.js';
+
+// Read lazily because server.js loads .env after the imports run.
+// Shop sales are taxed at this until a shop rate is set up.
+const getDefaultShopRate = () => Number(process.env.TAX_RATE_PERCENT) || 0;
+
+const loadTaxRates = () => TaxRate.find({ is_active: true }).lean();
+
+/**
+ * The rate for a sale: the shop rate for the product's category, then the
+ * general rate of its scope. Shop sales without one fall back to
+ * TAX_RATE_PERCENT; services without one are not taxed.
+ * @param {Object[]} rates - From loadTaxRates.
+ * @param {string} scope - One of TAX_SCOPES.
+ * @param {string} [category] - The product category, for shop sales.
+ * @returns {{ name: string, rate: number }}
+ */
+const findTaxRate = (rates, scope, category) => {
+    const inScope = rates.filter(rate => rate.scope === scope);
+    const wanted = category?.trim().toLowerCase();
+    const match = (wanted && inScope.find(rate => rate.category?.toLowerCase() === wanted))
+        || inScope.find(rate => !rate.category);
+    if (match) return { name: match.name, rate: match.rate };
+    return { name: 'Tax', rate: scope === 'shop' ? getDefaultShopRate() : 0 };
+};
+
+/**
+ * Add tax to priced shop lines, each at the rate for its product's category.
+ * Tax is charged on what the line costs after its discount; shipping is not taxed.
+ * @param {Object[]} items - Lines from priceOrder; taxName, taxRate and tax are set on each.
+ * @param {Map<string, Object>} productsById - The products of those lines.
+ * @returns {Promise<{ tax: number, taxRate: number }>} taxRate is the one rate all
+ *   lines share, or the effective rate across them when they differ.
+ */
+const taxShopLines = async (items, productsById) => {
+    const rates = await loadTaxRates();
+    let taxable = 0;
+    let tax = 0;
+    const used = new Set();
+    for (const item of items) {
+        const { name, rate } = findTaxRate(rates, 'shop', productsById.get(String(item.productId))?.category);
+        const net = item.lineTotal - (item.discount || 0);
+        item.taxName = name;
+        item.taxRate = rate;
+        item.tax = roundMoney(net * rate / 100);
+        taxable += net;
+        tax += item.tax;
+        used.add(rate);
+    }
+    tax = roundMoney(tax);
+    const taxRate = used.size === 1 ? [...used][0] : (taxable > 0 ? roundMoney(tax / taxable * 100) : 0);
+    return { tax, taxRate };
+};
+
+/**
+ * Take the tax out of a service fee, which is quoted with tax included.
+ * @param {string} scope - 'ground_booking', 'coaching_fee' or 'repair'.
+ * @param {number} gross - What the customer pays.
+ * @returns {Promise<{ name: string, rate: number, net: number, tax: number }>}
+ */
+const taxIncludedIn = async (scope, gross) => {
+    const { name, rate } = findTaxRate(await loadTaxRates(), scope);
+    const tax = roundMoney(gross * rate / (100 + rate));
+    return { name, rate, net: roundMoney(gross - tax), tax };
+};
+
+export { getDefaultShopRate, loadTaxRates, findTaxRate, taxShopLines, taxIncludedIn };
@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+
+// Time-based one-time passwords (RFC 6238) as used by Google Authenticator,
+// Microsoft Authenticator, Authy and friends: 6 digits, 30 second steps, SHA-1.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (secret, counter) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return code.toString().padStart(DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+/**
+ * Checks a code against the current step and one step either side for clock drift.
+ * @returns {Number|null} The matching time step (store it to block replays), or null.
+ */
+const verifyTotp = (secret, token, lastUsedStep = null) => {
+    const code = String(token || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(code)) return null;
+
+    const now = currentStep();
+    for (const step of [now - 1, now, now + 1]) {
+        if (lastUsedStep !== null && step <= lastUsedStep) continue;
+        const expected = hotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+const buildOtpAuthUrl = (secret, accountName) => {
+    const issuer = process.env.TWO_FACTOR_ISSUER || 'CricketExpert';
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+};
+
+const buildQrCodeDataUrl = (otpAuthUrl) => QRCode.toDataURL(otpAuthUrl);
+
+// Ten one-off recovery codes like "7f3a-92c1"
+const generateBackupCodes = (count = 10) => Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+});
+
+export {
+    generateSecret,
+    verifyTotp,
+    buildOtpAuthUrl,
+    buildQrCodeDataUrl,
+    generateBackupCodes,
+    hotp,
+};
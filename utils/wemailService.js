@@ -92,7 +92,12 @@ const sendEmailVerificationCode = async (email, code) => {
 };
 
 // --- Function 5: Low Stock Alert Email ---
+// Read lazily because server.js loads .env after the imports run
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
 const sendLowStockAlert = async (product) => {
+  // Opens the purchase orders page, which asks once before adding the item to its supplier's draft PO
+  const reorderLink = `${getFrontendUrl()}/admin/purchase-orders?reorder=${product._id}${product.variantId ? `&variantId=${product.variantId}` : ''}`;
   const mailOptions = {
     from: process.env.EMAIL_USER,
     to: process.env.SERVICE_MANAGER_EMAIL, // Send to admin/manager
@@ -113,6 +118,10 @@ const sendLowStockAlert = async (product) => {
         </div>
         
         <p style="color: #dc3545; font-weight: bold;">⚠️ Action Required: Please restock this item immediately!</p>
+
+        <p>
+          <a href="${reorderLink}" style="display: inline-block; background-color: #072679; color: #ffffff; padding: 10px 20px; border-radius: 6px; text-decoration: none;">Create draft purchase order</a>
+        </p>
         
         <p>This alert was triggered when stock fell to ${product.stock_quantity} units or below.</p>
         
@@ -133,10 +142,175 @@ const sendLowStockAlert = async (product) => {
   }
 };
 
+// --- Function 6: Back In Stock Email ---
+const sendBackInStockEmail = async (email, username, productName) => {
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: email,
+    subject: `Back in stock: ${productName}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #072679;">Good news, ${username}!</h2>
+        <p><strong>${productName}</strong> is back in stock at CricketExpert.</p>
+        <p>Stock can run out again quickly, so order soon if you still want it.</p>
+        <p>
+          <a href="${getFrontendUrl()}/products" style="display: inline-block; background-color: #072679; color: #ffffff; padding: 10px 20px; border-radius: 6px; text-decoration: none;">Shop now</a>
+        </p>
+        <p style="color: #6c757d; font-size: 12px;">You asked us to tell you when this item was available again. We will not email you about it again.</p>
+      </div>
+    `,
+  };
+  const info = await transporter.sendMail(mailOptions);
+  console.log(`📧 Back in stock email sent to ${email} for ${productName}: ${info.response}`);
+};
+
+// --- Function 7: Order Status Email ---
+const ORDER_STATUS_MESSAGES = {
+  out_for_delivery: 'Your order has left our store and is on its way to you.',
+  delivered: 'Your order has been delivered. We hope you enjoy it!',
+  cancelled: 'Your order has been cancelled. If you paid for it, your refund is being processed.',
+};
+
+const sendOrderStatusEmail = async (email, username, order) => {
+  const message = ORDER_STATUS_MESSAGES[order.status];
+  if (!message) return;
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: email,
+    subject: `Order ${order._id}: ${order.status.replace(/_/g, ' ')}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #072679;">Hi ${username},</h2>
+        <p>${message}</p>
+        <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Order ID:</strong> ${order._id}</p>
+          <p><strong>Total Amount:</strong> LKR ${(order.amount || 0).toFixed(2)}</p>
+        </div>
+        <p>
+          <a href="${getFrontendUrl()}/my-orders" style="display: inline-block; background-color: #072679; color: #ffffff; padding: 10px 20px; border-radius: 6px; text-decoration: none;">View my orders</a>
+        </p>
+      </div>
+    `,
+  };
+  const info = await transporter.sendMail(mailOptions);
+  console.log(`📧 Order ${order.status} email sent to ${email} for order ${order._id}: ${info.response}`);
+};
+
+// --- Function 8: Refund Request for the Manager ---
+// Sent when a paid order is cancelled, so the money can be returned
+const sendRefundRequestEmail = async (order, customer, refundAmount = order.amount) => {
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: process.env.SERVICE_MANAGER_EMAIL,
+    subject: `🚨 REFUND REQUIRED - Order Cancelled: ${order._id}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #dc3545;">🚨 Order Cancellation - Refund Required</h2>
+        <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <h3 style="margin-top: 0;">Order Details</h3>
+          <p><strong>Order ID:</strong> ${order._id}</p>
+          <p><strong>Customer Name:</strong> ${customer?.firstName || ''} ${customer?.lastName || ''}</p>
+          <p><strong>Customer Email:</strong> ${customer?.email || 'N/A'}</p>
+          <p><strong>Order Date:</strong> ${new Date(order.date).toLocaleDateString()}</p>
+          <p><strong>Cancelled Date:</strong> ${new Date(order.cancelledAt).toLocaleDateString()}</p>
+          <p><strong>Refund Amount:</strong> LKR ${(refundAmount || 0).toFixed(2)}</p>
+        </div>
+        <div style="background-color: #e2e3e5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <h3 style="margin-top: 0;">Order Items</h3>
+          ${order.items.map(item => `
+            <p style="margin: 5px 0;">
+              • ${item.name || 'Unknown Product'}${item.variantLabel ? ` (${item.variantLabel})` : ''}
+              (Qty: ${item.quantity}, Price: LKR ${item.priceAtOrder || 0})
+            </p>
+          `).join('')}
+        </div>
+        <p>Refund the payment from the Payments page once the money has been returned.</p>
+        <p style="color: #6c757d; font-size: 12px;">
+          This is an automated notification from CricketExpert Order Management System.
+        </p>
+      </div>
+    `,
+  };
+  const info = await transporter.sendMail(mailOptions);
+  console.log(`📧 Refund request for order ${order._id} sent to service manager: ${info.response}`);
+};
+
+// --- Function 9: Return Request Update Email ---
+const RETURN_STATUS_MESSAGES = {
+  approved: 'Your return has been approved. Please send the items back to our store with your RMA number on the parcel.',
+  rejected: 'We are sorry, but we could not accept your return.',
+  received: 'We have received the items you sent back.',
+};
+
+const sendReturnUpdateEmail = async (email, username, returnRequest) => {
+  const message = RETURN_STATUS_MESSAGES[returnRequest.status];
+  if (!message) return;
+  let outcome = '';
+  if (returnRequest.status === 'received') {
+    outcome = returnRequest.replacementOrderId
+      ? `<p>Your replacement is on its way as order <strong>${returnRequest.replacementOrderId}</strong>.</p>`
+      : `<p>A refund of <strong>LKR ${(returnRequest.refundAmount || 0).toFixed(2)}</strong> is being returned to your original payment method.</p>`;
+  }
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: email,
+    subject: `Your ${returnRequest.type} ${returnRequest.rmaNumber}: ${returnRequest.status}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #072679;">Hi ${username},</h2>
+        <p>${message}</p>
+        ${returnRequest.staffNote ? `<p><strong>Note from our team:</strong> ${returnRequest.staffNote}</p>` : ''}
+        ${outcome}
+        <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>RMA number:</strong> ${returnRequest.rmaNumber}</p>
+          ${returnRequest.lines.map(line => `
+            <p style="margin: 5px 0;">• ${line.name}${line.variantLabel ? ` (${line.variantLabel})` : ''} × ${line.quantity}</p>
+          `).join('')}
+        </div>
+        <p>
+          <a href="${getFrontendUrl()}/my-orders" style="display: inline-block; background-color: #072679; color: #ffffff; padding: 10px 20px; border-radius: 6px; text-decoration: none;">View my orders</a>
+        </p>
+      </div>
+    `,
+  };
+  const info = await transporter.sendMail(mailOptions);
+  console.log(`📧 Return ${returnRequest.rmaNumber} ${returnRequest.status} email sent to ${email}: ${info.response}`);
+};
+
+// --- Function 10: Failed Delivery Attempt Email ---
+const sendDeliveryFailedEmail = async (email, username, order, reasonText) => {
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: email,
+    subject: `Order ${order._id}: we missed you`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #072679;">Hi ${username},</h2>
+        <p>We tried to deliver your order today but could not: <strong>${reasonText}</strong>.</p>
+        <p>Your order is back with us and will go out again on a later delivery run. If your address or phone number has changed, please contact us.</p>
+        <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Order ID:</strong> ${order._id}</p>
+          <p><strong>Total Amount:</strong> LKR ${(order.amount || 0).toFixed(2)}</p>
+        </div>
+        <p>
+          <a href="${getFrontendUrl()}/my-orders" style="display: inline-block; background-color: #072679; color: #ffffff; padding: 10px 20px; border-radius: 6px; text-decoration: none;">View my orders</a>
+        </p>
+      </div>
+    `,
+  };
+  const info = await transporter.sendMail(mailOptions);
+  console.log(`📧 Failed delivery email sent to ${email} for order ${order._id}: ${info.response}`);
+};
+
 export {
   sendWelcomeEmail,
   sendNewUserNotification,
   sendPasswordResetCodeEmail,
   sendEmailVerificationCode,
   sendLowStockAlert,
+  sendBackInStockEmail,
+  sendOrderStatusEmail,
+  sendRefundRequestEmail,
+  sendReturnUpdateEmail,
+  sendDeliveryFailedEmail,
 };